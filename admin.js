@@ -45,6 +45,20 @@ async function cloneInstance(id) {
   }
 }
 
+// Pause, resume or start maintenance straight away
+async function setInstanceState(id, state) {
+  const response = await apiCall(`/admin/instances/${id}/state`, {
+    method: 'POST',
+    body: JSON.stringify({ state })
+  });
+  
+  if (response.ok) {
+    location.reload();
+  } else {
+    alert('Failed to update instance state');
+  }
+}
+
 // Copy widget code
 function copyWidgetCode(button) {
   const instanceId = button.getAttribute('data-instance-id');
@@ -83,6 +97,184 @@ async function logout() {
   window.location.href = '/admin';
 }
 
+// Parse backup agents: one "agent-id" or "agent-id, api-key" per line
+function parseBackupAgents(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [agentId, ...keyParts] = line.split(',');
+      return {
+        typingmind_agent_id: agentId.trim(),
+        api_key: keyParts.join(',').trim() || null
+      };
+    });
+}
+
+// Parse lead form fields: one "key | Label | type | required" per line
+function parseLeadFields(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [key, label, type, required] = line.split('|').map(part => part.trim());
+      return {
+        key,
+        label: label || key,
+        type: (type || 'text').toLowerCase(),
+        required: (required || '').toLowerCase() === 'required'
+      };
+    });
+}
+
+// Parse redaction patterns: one "name | action | pattern" per line (the pattern may contain "|")
+function parseRedactionPatterns(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [name, action, ...patternParts] = line.split('|');
+      return {
+        name: name.trim(),
+        pattern: patternParts.join('|').trim(),
+        action: (action || '').trim().toLowerCase()
+      };
+    });
+}
+
+// Parse webhooks: one "url | event, event | secret" per line (no events means all events)
+function parseWebhooks(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [url, events, secret] = line.split('|').map(part => part.trim());
+      return {
+        url,
+        events: (events || '').split(',').map(event => event.trim()).filter(event => event),
+        secret: secret || null
+      };
+    });
+}
+
+// Parse experiment variants: one "key | weight | agent-id | welcome message | starter; starter" per line
+function parseExperimentVariants(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [key, weight, agentId, welcome, starters] = line.split('|').map(part => part.trim());
+      return {
+        key: (key || '').toLowerCase(),
+        weight: weight ? Number(weight) : null,
+        typingmind_agent_id: agentId || null,
+        welcome_message: welcome || null,
+        starters: (starters || '').split(';').map(starter => starter.trim()).filter(starter => starter)
+      };
+    });
+}
+
+// Parse welcome translations: one "locale | message" per line
+function parseWelcomeTranslations(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [locale, ...message] = line.split('|');
+      return { locale: locale.trim().toLowerCase(), text: message.join('|').trim() };
+    });
+}
+
+// Parse widget string overrides: one "locale | key | text" per line
+function parseStringOverrides(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const [locale, key, ...value] = line.split('|');
+      return { locale: locale.trim().toLowerCase(), key: (key || '').trim(), text: value.join('|').trim() };
+    });
+}
+
+// Network rule fields: IP ranges, countries and ASNs
+const NETWORK_RULE_FIELDS = ['deny_cidrs', 'deny_countries', 'deny_asns', 'allow_cidrs', 'allow_countries', 'allow_asns'];
+
+// Parse a network rule list: entries one per line or separated by commas
+function parseNetworkRuleList(text) {
+  return (text || '').split(/[\n,]/)
+    .map(entry => entry.trim())
+    .filter(entry => entry);
+}
+
+// Test an IP, country and ASN against the network rules currently in the edit form
+async function testNetworkRules(button) {
+  const form = button.closest('form');
+  const instanceId = button.getAttribute('data-instance-id');
+  const result = document.getElementById('network_test_result');
+  
+  const rules = {};
+  for (const field of NETWORK_RULE_FIELDS) {
+    rules[field] = parseNetworkRuleList(form.elements[field].value);
+  }
+  
+  const response = await apiCall(`/admin/instances/${instanceId}/network-rules/test`, {
+    method: 'POST',
+    body: JSON.stringify({
+      ip: document.getElementById('network_test_ip').value.trim(),
+      country: document.getElementById('network_test_country').value.trim(),
+      asn: document.getElementById('network_test_asn').value.trim(),
+      rules
+    })
+  });
+  
+  const data = await response.json();
+  if (!response.ok) {
+    result.textContent = 'Error: ' + (data.error || 'Failed to test network rules');
+    return;
+  }
+  
+  const { ip, country, asn } = data.network;
+  const visitor = [ip, country, asn ? `AS${asn}` : null].filter(part => part).join(', ') || 'unknown visitor';
+  result.textContent = `${data.allowed ? 'Allowed' : 'Blocked'} (${visitor}): ${data.reason}`;
+}
+
+// Take over or resolve a conversation from the transcript page
+async function setHandoff(instanceId, conversationId, action) {
+  const response = await apiCall(`/admin/instances/${instanceId}/conversations/${conversationId}/handoff`, {
+    method: 'POST',
+    body: JSON.stringify({ action })
+  });
+  
+  if (response.ok) {
+    location.reload();
+  } else {
+    const error = await response.json();
+    alert('Error: ' + (error.error || 'Failed to update handoff'));
+  }
+}
+
+// Send a staff reply to the visitor
+async function sendStaffReply(e) {
+  e.preventDefault();
+  const form = e.target;
+  const content = form.elements.content.value.trim();
+  if (!content) return;
+  
+  const instanceId = form.getAttribute('data-instance-id');
+  const conversationId = form.getAttribute('data-conversation-id');
+  const response = await apiCall(`/admin/instances/${instanceId}/conversations/${conversationId}/messages`, {
+    method: 'POST',
+    body: JSON.stringify({ content })
+  });
+  
+  if (response.ok) {
+    location.reload();
+  } else {
+    const error = await response.json();
+    alert('Error: ' + (error.error || 'Failed to send reply'));
+  }
+}
+
 // Create instance (for the new instance form)
 async function createInstance(e) {
   e.preventDefault();
@@ -93,15 +285,47 @@ async function createInstance(e) {
   data.markdown = data.markdown === 'on';
   data.image_upload = data.image_upload === 'on';
   data.persist_session = data.persist_session === 'on';
+  data.lead_form_enabled = data.lead_form_enabled === 'on';
+  data.handoff_enabled = data.handoff_enabled === 'on';
+  data.guardrail_check_replies = data.guardrail_check_replies === 'on';
+  data.challenge_enabled = data.challenge_enabled === 'on';
+  data.identity_enabled = data.identity_enabled === 'on';
+  data.identity_forward_to_agent = data.identity_forward_to_agent === 'on';
+  data.business_hours_enabled = data.business_hours_enabled === 'on';
+  data.business_hours_strict = data.business_hours_strict === 'on';
+  data.locale_auto_detect = data.locale_auto_detect === 'on';
   
   // Parse domains and paths
   data.domains = data.domains ? data.domains.split('\n').filter(d => d.trim()) : [];
   data.paths = data.paths ? data.paths.split('\n').filter(p => p.trim()) : [];
+  data.backup_agents = parseBackupAgents(data.backup_agents);
+  data.starters = data.starters ? data.starters.split('\n').map(s => s.trim()).filter(s => s) : [];
+  data.experiment_variants = parseExperimentVariants(data.experiment_variants);
+  data.lead_form_fields = parseLeadFields(data.lead_form_fields);
+  data.redaction_patterns = parseRedactionPatterns(data.redaction_patterns);
+  data.blocked_keywords = data.blocked_keywords ? data.blocked_keywords.split('\n').map(k => k.trim()).filter(k => k) : [];
+  data.blocked_patterns = data.blocked_patterns ? data.blocked_patterns.split('\n').map(p => p.trim()).filter(p => p) : [];
+  data.business_holidays = data.business_holidays ? data.business_holidays.split(/[\n,]/).map(d => d.trim()).filter(d => d) : [];
+  for (const field of NETWORK_RULE_FIELDS) {
+    data[field] = parseNetworkRuleList(data[field]);
+  }
+  data.welcome_translations = parseWelcomeTranslations(data.welcome_translations);
+  data.string_overrides = parseStringOverrides(data.string_overrides);
+  data.webhooks = parseWebhooks(data.webhooks);
   
   // Convert numbers
   data.width = parseInt(data.width);
   data.messages_per_hour = parseInt(data.messages_per_hour);
   data.messages_per_session = parseInt(data.messages_per_session);
+  data.timeout_ms = parseInt(data.timeout_ms);
+  data.max_retries = parseInt(data.max_retries);
+  data.backoff_base_ms = parseInt(data.backoff_base_ms);
+  data.backoff_max_ms = parseInt(data.backoff_max_ms);
+  data.messages_per_day = parseInt(data.messages_per_day) || null;
+  data.messages_per_month = parseInt(data.messages_per_month) || null;
+  data.tokens_per_month = parseInt(data.tokens_per_month) || null;
+  data.quota_warning_percent = parseInt(data.quota_warning_percent);
+  data.challenge_trust_minutes = parseInt(data.challenge_trust_minutes);
   
   const response = await fetch('/admin/instances', {
     method: 'POST',
@@ -132,14 +356,47 @@ async function editInstance(e) {
   data.markdown = data.markdown === 'on';
   data.image_upload = data.image_upload === 'on';
   data.persist_session = data.persist_session === 'on';
+  data.lead_form_enabled = data.lead_form_enabled === 'on';
+  data.handoff_enabled = data.handoff_enabled === 'on';
+  data.guardrail_check_replies = data.guardrail_check_replies === 'on';
+  data.challenge_enabled = data.challenge_enabled === 'on';
+  data.identity_enabled = data.identity_enabled === 'on';
+  data.identity_forward_to_agent = data.identity_forward_to_agent === 'on';
+  data.business_hours_enabled = data.business_hours_enabled === 'on';
+  data.business_hours_strict = data.business_hours_strict === 'on';
+  data.locale_auto_detect = data.locale_auto_detect === 'on';
   
-  // Parse domains
+  // Parse domains and paths
   data.domains = data.domains ? data.domains.split('\n').filter(d => d.trim()) : [];
+  data.paths = data.paths ? data.paths.split('\n').filter(p => p.trim()) : [];
+  data.backup_agents = parseBackupAgents(data.backup_agents);
+  data.starters = data.starters ? data.starters.split('\n').map(s => s.trim()).filter(s => s) : [];
+  data.experiment_variants = parseExperimentVariants(data.experiment_variants);
+  data.lead_form_fields = parseLeadFields(data.lead_form_fields);
+  data.redaction_patterns = parseRedactionPatterns(data.redaction_patterns);
+  data.blocked_keywords = data.blocked_keywords ? data.blocked_keywords.split('\n').map(k => k.trim()).filter(k => k) : [];
+  data.blocked_patterns = data.blocked_patterns ? data.blocked_patterns.split('\n').map(p => p.trim()).filter(p => p) : [];
+  data.business_holidays = data.business_holidays ? data.business_holidays.split(/[\n,]/).map(d => d.trim()).filter(d => d) : [];
+  for (const field of NETWORK_RULE_FIELDS) {
+    data[field] = parseNetworkRuleList(data[field]);
+  }
+  data.welcome_translations = parseWelcomeTranslations(data.welcome_translations);
+  data.string_overrides = parseStringOverrides(data.string_overrides);
+  data.webhooks = parseWebhooks(data.webhooks);
   
   // Convert numbers
   data.width = parseInt(data.width);
   data.messages_per_hour = parseInt(data.messages_per_hour);
   data.messages_per_session = parseInt(data.messages_per_session);
+  data.timeout_ms = parseInt(data.timeout_ms);
+  data.max_retries = parseInt(data.max_retries);
+  data.backoff_base_ms = parseInt(data.backoff_base_ms);
+  data.backoff_max_ms = parseInt(data.backoff_max_ms);
+  data.messages_per_day = parseInt(data.messages_per_day) || null;
+  data.messages_per_month = parseInt(data.messages_per_month) || null;
+  data.tokens_per_month = parseInt(data.tokens_per_month) || null;
+  data.quota_warning_percent = parseInt(data.quota_warning_percent);
+  data.challenge_trust_minutes = parseInt(data.challenge_trust_minutes);
   
   const response = await fetch(`/admin/instances/${instanceId}`, {
     method: 'PUT',
@@ -171,4 +428,10 @@ document.addEventListener('DOMContentLoaded', function() {
   if (editForm) {
     editForm.addEventListener('submit', editInstance);
   }
+  
+  // Add reply handler if on a transcript with a handoff
+  const replyForm = document.getElementById('staff-reply-form');
+  if (replyForm) {
+    replyForm.addEventListener('submit', sendStaffReply);
+  }
 });
\ No newline at end of file
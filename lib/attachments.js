@@ -0,0 +1,122 @@
+/**
+ * Attachments module
+ * Validates multimodal message parts (images) before they are forwarded to TypingMind
+ */
+
+// Image types accepted from the widget
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Largest decoded image accepted (bytes)
+export const MAX_IMAGE_BYTES = 512 * 1024;
+
+// Most images accepted in a single message
+export const MAX_IMAGES_PER_MESSAGE = 3;
+
+// Largest chat request body for instances without image upload (bytes)
+export const MAX_REQUEST_BYTES = 1024 * 1024;
+
+// Largest chat request body for instances with image upload: the text budget plus a full
+// message of images, which base64 makes a third larger (bytes)
+export const MAX_IMAGE_REQUEST_BYTES = MAX_REQUEST_BYTES + Math.ceil(MAX_IMAGES_PER_MESSAGE * MAX_IMAGE_BYTES / 3) * 4;
+
+/**
+ * Get the largest chat request body an instance accepts
+ * @param {Object} options - Instance options
+ * @param {boolean} options.imageUpload - Whether the instance allows images
+ * @returns {number} Size in bytes
+ */
+export function getMaxRequestBytes({ imageUpload = false } = {}) {
+  return imageUpload ? MAX_IMAGE_REQUEST_BYTES : MAX_REQUEST_BYTES;
+}
+
+/**
+ * Get the decoded size of base64 data
+ * @param {string} base64 - Base64 encoded data
+ * @returns {number} Size in bytes
+ */
+export function getBase64Size(base64) {
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Parse an image data URL
+ * @param {string} url - Data URL (data:image/png;base64,...)
+ * @returns {Object|null} { type, size } or null if not a base64 data URL
+ */
+export function parseImageDataUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  const match = url.match(/^data:([a-z0-9.+-]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/]*={0,2})$/i);
+  if (!match) return null;
+
+  return {
+    type: match[1].toLowerCase(),
+    size: getBase64Size(match[2])
+  };
+}
+
+/**
+ * Validate the content parts of chat messages
+ * String content is always accepted; array content may hold text and image_url parts
+ * @param {Array} messages - Messages sent by the widget
+ * @param {Object} options - Validation options
+ * @param {boolean} options.imageUpload - Whether the instance allows images
+ * @returns {Object} { valid: true } or { valid: false, status, error, message }
+ */
+export function validateMessageAttachments(messages, { imageUpload = false } = {}) {
+  for (const message of messages) {
+    const content = message?.content;
+    if (!Array.isArray(content)) continue;
+
+    let imageCount = 0;
+
+    for (const part of content) {
+      if (part?.type === 'text') {
+        if (typeof part.text !== 'string') {
+          return invalid(400, 'Invalid message content', 'Text parts must contain a text string');
+        }
+        continue;
+      }
+
+      if (part?.type !== 'image_url') {
+        return invalid(400, 'Invalid message content', `Unsupported content part: ${part?.type || 'unknown'}`);
+      }
+
+      if (!imageUpload) {
+        return invalid(403, 'Image upload not enabled', 'This chat does not accept images');
+      }
+
+      imageCount++;
+      if (imageCount > MAX_IMAGES_PER_MESSAGE) {
+        return invalid(400, 'Too many images', `Maximum ${MAX_IMAGES_PER_MESSAGE} images allowed per message`);
+      }
+
+      const image = parseImageDataUrl(part.image_url?.url);
+      if (!image) {
+        return invalid(400, 'Invalid image', 'Images must be sent as base64 data URLs');
+      }
+
+      if (!ALLOWED_IMAGE_TYPES.includes(image.type)) {
+        return invalid(415, 'Unsupported image type', `Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+      }
+
+      if (image.size > MAX_IMAGE_BYTES) {
+        return invalid(413, 'Image too large', `Images must be ${Math.round(MAX_IMAGE_BYTES / 1024)}KB or smaller`);
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Build a failed validation result
+ * @param {number} status - HTTP status code
+ * @param {string} error - Error title
+ * @param {string} message - Error details
+ * @returns {Object} Validation result
+ */
+function invalid(status, error, message) {
+  return { valid: false, status, error, message };
+}
@@ -0,0 +1,127 @@
+/**
+ * Tests for the attachments module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_IMAGES_PER_MESSAGE,
+  MAX_REQUEST_BYTES,
+  getMaxRequestBytes,
+  getBase64Size,
+  parseImageDataUrl,
+  validateMessageAttachments
+} from './attachments.js';
+
+// Build a base64 data URL with the given decoded size
+function createDataUrl(type, bytes) {
+  return `data:${type};base64,${Buffer.alloc(bytes).toString('base64')}`;
+}
+
+// Build a user message with image parts
+function imageMessage(urls, text = 'What is this?') {
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text },
+      ...urls.map(url => ({ type: 'image_url', image_url: { url } }))
+    ]
+  };
+}
+
+describe('Attachments Module', () => {
+  describe('getBase64Size', () => {
+    test('should account for padding', () => {
+      expect(getBase64Size(Buffer.alloc(3).toString('base64'))).toBe(3);
+      expect(getBase64Size(Buffer.alloc(4).toString('base64'))).toBe(4);
+      expect(getBase64Size(Buffer.alloc(5).toString('base64'))).toBe(5);
+    });
+  });
+
+  describe('parseImageDataUrl', () => {
+    test('should read type and size', () => {
+      expect(parseImageDataUrl(createDataUrl('image/PNG', 10))).toEqual({ type: 'image/png', size: 10 });
+    });
+
+    test('should reject remote URLs and malformed data', () => {
+      expect(parseImageDataUrl('https://example.com/cat.png')).toBeNull();
+      expect(parseImageDataUrl('data:image/png,raw')).toBeNull();
+      expect(parseImageDataUrl(null)).toBeNull();
+    });
+  });
+
+  describe('getMaxRequestBytes', () => {
+    test('should fit a full message of the largest images with image upload on', () => {
+      const urls = Array.from({ length: MAX_IMAGES_PER_MESSAGE }, () => createDataUrl('image/webp', MAX_IMAGE_BYTES));
+      const messages = [imageMessage(urls)];
+      const body = JSON.stringify({ instanceId: 'test-instance', sessionId: 'session-123', messages });
+
+      expect(validateMessageAttachments(messages, { imageUpload: true })).toEqual({ valid: true });
+      expect(Buffer.byteLength(body)).toBeGreaterThan(getMaxRequestBytes());
+      expect(Buffer.byteLength(body)).toBeLessThanOrEqual(getMaxRequestBytes({ imageUpload: true }));
+      expect(getMaxRequestBytes({ imageUpload: false })).toBe(MAX_REQUEST_BYTES);
+    });
+  });
+
+  describe('validateMessageAttachments', () => {
+    test('should accept plain text messages', () => {
+      const messages = [{ role: 'user', content: 'Hello' }];
+      expect(validateMessageAttachments(messages)).toEqual({ valid: true });
+    });
+
+    test('should accept images when enabled', () => {
+      const messages = [imageMessage([createDataUrl('image/jpeg', 1024)])];
+      expect(validateMessageAttachments(messages, { imageUpload: true })).toEqual({ valid: true });
+    });
+
+    test('should reject images when the feature is off', () => {
+      const messages = [imageMessage([createDataUrl('image/jpeg', 1024)])];
+      const result = validateMessageAttachments(messages, { imageUpload: false });
+
+      expect(result.valid).toBe(false);
+      expect(result.status).toBe(403);
+      expect(result.error).toBe('Image upload not enabled');
+    });
+
+    test('should reject unsupported image types', () => {
+      const messages = [imageMessage([createDataUrl('image/svg+xml', 100)])];
+      const result = validateMessageAttachments(messages, { imageUpload: true });
+
+      expect(result.status).toBe(415);
+      expect(result.message).toContain(ALLOWED_IMAGE_TYPES.join(', '));
+    });
+
+    test('should reject oversized images', () => {
+      const messages = [imageMessage([createDataUrl('image/png', MAX_IMAGE_BYTES + 1)])];
+      const result = validateMessageAttachments(messages, { imageUpload: true });
+
+      expect(result.status).toBe(413);
+      expect(result.error).toBe('Image too large');
+    });
+
+    test('should limit images per message', () => {
+      const urls = Array.from({ length: MAX_IMAGES_PER_MESSAGE + 1 }, () => createDataUrl('image/png', 10));
+      const result = validateMessageAttachments([imageMessage(urls)], { imageUpload: true });
+
+      expect(result.status).toBe(400);
+      expect(result.error).toBe('Too many images');
+    });
+
+    test('should reject remote image URLs', () => {
+      const messages = [imageMessage(['https://example.com/cat.png'])];
+      const result = validateMessageAttachments(messages, { imageUpload: true });
+
+      expect(result.status).toBe(400);
+      expect(result.error).toBe('Invalid image');
+    });
+
+    test('should reject unknown content parts', () => {
+      const messages = [{ role: 'user', content: [{ type: 'file', data: 'x' }] }];
+      const result = validateMessageAttachments(messages, { imageUpload: true });
+
+      expect(result.status).toBe(400);
+      expect(result.message).toBe('Unsupported content part: file');
+    });
+  });
+});
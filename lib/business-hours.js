@@ -0,0 +1,392 @@
+/**
+ * Business hours module
+ * Weekly schedules with a time zone and holiday dates, the open/closed state they give,
+ * and the messages visitors leave through the offline form while an instance is closed
+ */
+
+// Days of the week in form order: schedule key, form field and label
+export const BUSINESS_DAYS = [
+  { key: 'mon', field: 'hours_mon', label: 'Monday' },
+  { key: 'tue', field: 'hours_tue', label: 'Tuesday' },
+  { key: 'wed', field: 'hours_wed', label: 'Wednesday' },
+  { key: 'thu', field: 'hours_thu', label: 'Thursday' },
+  { key: 'fri', field: 'hours_fri', label: 'Friday' },
+  { key: 'sat', field: 'hours_sat', label: 'Saturday' },
+  { key: 'sun', field: 'hours_sun', label: 'Sunday' }
+];
+
+// What the widget does while the instance is closed
+export const OFFLINE_BEHAVIORS = ['banner', 'form', 'hide'];
+
+// Shown in the banner or above the offline form unless the instance sets its own
+export const DEFAULT_OFFLINE_MESSAGE = 'Our team is offline right now and will follow up during business hours.';
+
+// Most holiday dates an instance may list
+export const MAX_HOLIDAYS = 100;
+
+// Longest offline message an instance may set (characters)
+export const MAX_OFFLINE_MESSAGE_LENGTH = 500;
+
+// Longest message a visitor may leave through the offline form (characters)
+export const MAX_OFFLINE_NOTE_LENGTH = 2000;
+
+// Most opening ranges in a single day
+const MAX_RANGES_PER_DAY = 6;
+
+// Longest name and email kept from the offline form
+const MAX_NAME_LENGTH = 200;
+const MAX_EMAIL_LENGTH = 254;
+
+const RANGE_PATTERN = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parse one day's opening hours
+ * @param {string} text - Ranges such as "09:00-12:00, 13:00-17:30"; empty means closed
+ * @returns {Array|null} Sorted { start, end } minutes after midnight, or null when not valid
+ */
+export function parseHourRanges(text) {
+  if (typeof text !== 'string') return null;
+
+  const parts = text.split(',').map(part => part.trim()).filter(part => part.length > 0);
+  if (parts.length > MAX_RANGES_PER_DAY) return null;
+
+  const ranges = [];
+  for (const part of parts) {
+    const match = RANGE_PATTERN.exec(part);
+    if (!match) return null;
+
+    const start = toMinutes(match[1], match[2]);
+    const end = toMinutes(match[3], match[4]);
+    if (start === null || end === null || start >= end) return null;
+
+    ranges.push({ start, end });
+  }
+
+  return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format one day's opening hours for the admin form
+ * @param {Array} ranges - { start, end } minutes after midnight
+ * @returns {string} Ranges such as "09:00-17:00", or an empty string when closed
+ */
+export function formatHourRanges(ranges) {
+  return (ranges || [])
+    .map(range => `${formatMinutes(range.start)}-${formatMinutes(range.end)}`)
+    .join(', ');
+}
+
+/**
+ * Read a stored weekly schedule
+ * @param {string|Object|null} stored - JSON object of day key to ranges
+ * @returns {Object} Ranges for every day ('mon'..'sun'); days without valid ranges are closed
+ */
+export function parseStoredSchedule(stored) {
+  let schedule = stored;
+  if (typeof stored === 'string') {
+    try {
+      schedule = JSON.parse(stored);
+    } catch (error) {
+      schedule = null;
+    }
+  }
+
+  const days = {};
+  for (const { key } of BUSINESS_DAYS) {
+    const ranges = Array.isArray(schedule?.[key]) ? schedule[key] : [];
+    days[key] = ranges.filter(range =>
+      Number.isInteger(range?.start) && Number.isInteger(range?.end) &&
+      range.start >= 0 && range.end <= 1440 && range.start < range.end
+    );
+  }
+  return days;
+}
+
+/**
+ * Read a holiday list, keeping valid dates only
+ * @param {string|Array|null} stored - JSON list or array of YYYY-MM-DD dates
+ * @returns {string[]} Sorted unique dates
+ */
+export function parseHolidayList(stored) {
+  let holidays = stored;
+  if (typeof stored === 'string') {
+    try {
+      holidays = JSON.parse(stored);
+    } catch (error) {
+      holidays = null;
+    }
+  }
+
+  if (!Array.isArray(holidays)) return [];
+
+  const dates = holidays
+    .map(date => typeof date === 'string' ? date.trim() : '')
+    .filter(isValidDate);
+
+  return [...new Set(dates)].sort().slice(0, MAX_HOLIDAYS);
+}
+
+/**
+ * Check whether a time zone is one the runtime knows
+ * @param {string} timeZone - IANA time zone such as Europe/London
+ * @returns {boolean} True when the time zone can be used
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check the business hours fields from the admin form
+ * @param {Object} data - Instance data with hours_* fields as strings and holidays as an array
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateBusinessHours(data) {
+  const errors = [];
+
+  if (data.business_timezone && !isValidTimeZone(data.business_timezone)) {
+    errors.push('Time zone must be an IANA name such as Europe/London');
+  }
+
+  let openDays = 0;
+  for (const day of BUSINESS_DAYS) {
+    const value = data[day.field];
+    if (value === undefined || value === null) continue;
+
+    const ranges = parseHourRanges(value);
+    if (!ranges) {
+      errors.push(`${day.label} hours must be ranges such as 09:00-17:00, separated by commas`);
+    } else if (ranges.length > 0) {
+      openDays++;
+    }
+  }
+
+  if (data.business_hours_enabled && openDays === 0) {
+    errors.push('Set opening hours for at least one day to turn on business hours');
+  }
+
+  const holidays = data.business_holidays;
+  if (holidays !== undefined && holidays !== null) {
+    if (!Array.isArray(holidays)) {
+      errors.push('Holidays must be a list');
+    } else {
+      const invalid = holidays.filter(date => !isValidDate(date));
+      if (invalid.length > 0) {
+        errors.push(`Holidays must be dates such as 2026-12-25: ${invalid.slice(0, 3).join(', ')}`);
+      }
+      if (holidays.length > MAX_HOLIDAYS) {
+        errors.push(`At most ${MAX_HOLIDAYS} holidays are allowed`);
+      }
+    }
+  }
+
+  if (data.offline_behavior && !OFFLINE_BEHAVIORS.includes(data.offline_behavior)) {
+    errors.push(`Offline behavior must be one of: ${OFFLINE_BEHAVIORS.join(', ')}`);
+  }
+
+  if (data.offline_message && data.offline_message.length > MAX_OFFLINE_MESSAGE_LENGTH) {
+    errors.push(`Offline message must be ${MAX_OFFLINE_MESSAGE_LENGTH} characters or fewer`);
+  }
+
+  return errors;
+}
+
+/**
+ * Work out whether an instance is open
+ * @param {Object|null} businessHours - Instance business hours from getInstanceConfig
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} { open, reason: 'always' | 'open' | 'holiday' | 'closed' }
+ */
+export function getBusinessHoursStatus(businessHours, now = new Date()) {
+  if (!businessHours?.enabled) {
+    return { open: true, reason: 'always' };
+  }
+
+  const local = getLocalTime(now, businessHours.timezone);
+  if (businessHours.holidays.includes(local.date)) {
+    return { open: false, reason: 'holiday' };
+  }
+
+  const ranges = businessHours.schedule[local.day] || [];
+  const open = ranges.some(range => local.minutes >= range.start && local.minutes < range.end);
+
+  return { open, reason: open ? 'open' : 'closed' };
+}
+
+/**
+ * Get the business hours details the widget needs
+ * @param {Object|null} businessHours - Instance business hours from getInstanceConfig
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object|null} { open, offlineBehavior, offlineMessage }, or null when the instance is always open
+ */
+export function getPublicBusinessHours(businessHours, now = new Date()) {
+  if (!businessHours?.enabled) return null;
+
+  return {
+    open: getBusinessHoursStatus(businessHours, now).open,
+    offlineBehavior: businessHours.offlineBehavior,
+    offlineMessage: businessHours.offlineMessage
+  };
+}
+
+/**
+ * Check an offline form submission
+ * @param {Object} values - Submitted { name, email, message }
+ * @returns {Object} { valid, errors, values } with trimmed values
+ */
+export function validateOfflineMessage(values) {
+  const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  const read = (value) => typeof value === 'string' ? value.trim() : '';
+
+  const cleaned = {
+    name: read(input.name) || null,
+    email: read(input.email),
+    message: read(input.message)
+  };
+  const errors = [];
+
+  if (cleaned.name && cleaned.name.length > MAX_NAME_LENGTH) {
+    errors.push(`Name must be ${MAX_NAME_LENGTH} characters or fewer`);
+  }
+  if (!cleaned.email) {
+    errors.push('Email is required');
+  } else if (cleaned.email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(cleaned.email)) {
+    errors.push('Email must be a valid email address');
+  }
+  if (!cleaned.message) {
+    errors.push('Message is required');
+  } else if (cleaned.message.length > MAX_OFFLINE_NOTE_LENGTH) {
+    errors.push(`Message must be ${MAX_OFFLINE_NOTE_LENGTH} characters or fewer`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    values: cleaned
+  };
+}
+
+/**
+ * Save a message left through the offline form
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} offlineMessage - Message data
+ * @param {string} offlineMessage.instanceId - Instance ID
+ * @param {string} offlineMessage.sessionId - Widget session ID
+ * @param {Object} offlineMessage.values - Validated { name, email, message }
+ * @param {string|null} offlineMessage.origin - Request origin
+ * @returns {Promise<void>}
+ */
+export async function saveOfflineMessage(db, { instanceId, sessionId, values, origin = null }) {
+  await db.prepare(`
+    INSERT INTO offline_messages (instance_id, session_id, name, email, message, origin, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    instanceId,
+    sessionId,
+    values.name,
+    values.email,
+    values.message,
+    origin,
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * List messages left through the offline form, newest first
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.limit - Page size
+ * @param {number} pagination.offset - Rows to skip
+ * @returns {Promise<Object>} { messages, total }
+ */
+export async function listOfflineMessages(db, instanceId, { limit = 50, offset = 0 } = {}) {
+  const messages = await db.prepare(`
+    SELECT * FROM offline_messages
+    WHERE instance_id = ?
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(instanceId, limit, offset).all();
+
+  const count = await db.prepare(`
+    SELECT COUNT(*) as total FROM offline_messages WHERE instance_id = ?
+  `).bind(instanceId).first();
+
+  return {
+    messages: messages.results,
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Read the weekday, date and time of day in a time zone
+ * @param {Date} now - Time to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { day: 'mon'..'sun', date: 'YYYY-MM-DD', minutes }
+ */
+function getLocalTime(now, timeZone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  for (const part of format.formatToParts(now)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    day: parts.weekday.slice(0, 3).toLowerCase(),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: (parseInt(parts.hour) % 24) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * Convert a time of day to minutes after midnight
+ * @param {string} hours - Hours (0-24)
+ * @param {string} minutes - Minutes (00-59)
+ * @returns {number|null} Minutes, or null when not a time; 24:00 is the end of the day
+ */
+function toMinutes(hours, minutes) {
+  const h = parseInt(hours);
+  const m = parseInt(minutes);
+  if (m > 59 || h > 24 || (h === 24 && m !== 0)) return null;
+  return h * 60 + m;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time such as 09:30
+ */
+function formatMinutes(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const m = String(minutes % 60).padStart(2, '0');
+  return `${h}:${m}`;
+}
+
+/**
+ * Check a YYYY-MM-DD date
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value is a real calendar date
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
@@ -0,0 +1,188 @@
+/**
+ * Tests for the business hours module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseHourRanges,
+  formatHourRanges,
+  parseStoredSchedule,
+  parseHolidayList,
+  isValidTimeZone,
+  validateBusinessHours,
+  getBusinessHoursStatus,
+  getPublicBusinessHours,
+  validateOfflineMessage,
+  saveOfflineMessage,
+  DEFAULT_OFFLINE_MESSAGE
+} from './business-hours.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB() {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          run: async () => ({ success: true })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+// Weekdays 09:00-17:00 in New York, closed at weekends
+const weekdays = [{ start: 540, end: 1020 }];
+const businessHours = {
+  enabled: true,
+  timezone: 'America/New_York',
+  schedule: parseStoredSchedule({ mon: weekdays, tue: weekdays, wed: weekdays, thu: weekdays, fri: weekdays }),
+  holidays: ['2026-12-25'],
+  offlineBehavior: 'form',
+  offlineMessage: DEFAULT_OFFLINE_MESSAGE,
+  strict: false
+};
+
+describe('Business Hours Module', () => {
+  describe('parseHourRanges', () => {
+    test('should parse and sort ranges', () => {
+      expect(parseHourRanges('13:00-17:30, 9:00 - 12:00')).toEqual([
+        { start: 540, end: 720 },
+        { start: 780, end: 1050 }
+      ]);
+      expect(parseHourRanges('00:00-24:00')).toEqual([{ start: 0, end: 1440 }]);
+      expect(parseHourRanges('')).toEqual([]);
+    });
+
+    test('should reject malformed, reversed and out-of-range times', () => {
+      expect(parseHourRanges('9am-5pm')).toBeNull();
+      expect(parseHourRanges('17:00-09:00')).toBeNull();
+      expect(parseHourRanges('09:00-24:30')).toBeNull();
+      expect(parseHourRanges('09:60-10:00')).toBeNull();
+    });
+
+    test('should format ranges back for the admin form', () => {
+      expect(formatHourRanges(parseHourRanges('9:00-12:00, 13:30-17:00'))).toBe('09:00-12:00, 13:30-17:00');
+      expect(formatHourRanges([])).toBe('');
+    });
+  });
+
+  describe('stored values', () => {
+    test('should close days without valid ranges', () => {
+      const schedule = parseStoredSchedule('{"mon":[{"start":540,"end":1020}],"tue":[{"start":600,"end":500}]}');
+
+      expect(schedule.mon).toEqual([{ start: 540, end: 1020 }]);
+      expect(schedule.tue).toEqual([]);
+      expect(schedule.sun).toEqual([]);
+      expect(parseStoredSchedule('not json').mon).toEqual([]);
+    });
+
+    test('should keep valid, unique holiday dates', () => {
+      expect(parseHolidayList('["2026-12-26","2026-12-25","2026-02-30","2026-12-25"]')).toEqual(['2026-12-25', '2026-12-26']);
+      expect(parseHolidayList(null)).toEqual([]);
+    });
+
+    test('should recognise IANA time zones', () => {
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+    });
+  });
+
+  describe('validateBusinessHours', () => {
+    test('should accept a valid schedule', () => {
+      expect(validateBusinessHours({
+        business_hours_enabled: true,
+        business_timezone: 'Europe/Berlin',
+        hours_mon: '09:00-17:00',
+        hours_sat: '',
+        business_holidays: ['2026-12-25'],
+        offline_behavior: 'hide'
+      })).toEqual([]);
+    });
+
+    test('should report invalid fields', () => {
+      const errors = validateBusinessHours({
+        business_hours_enabled: true,
+        business_timezone: 'Nowhere/City',
+        hours_mon: '9-5',
+        business_holidays: ['25/12/2026'],
+        offline_behavior: 'sleep',
+        offline_message: 'x'.repeat(501)
+      });
+
+      expect(errors).toEqual([
+        'Time zone must be an IANA name such as Europe/London',
+        'Monday hours must be ranges such as 09:00-17:00, separated by commas',
+        'Set opening hours for at least one day to turn on business hours',
+        'Holidays must be dates such as 2026-12-25: 25/12/2026',
+        'Offline behavior must be one of: banner, form, hide',
+        'Offline message must be 500 characters or fewer'
+      ]);
+    });
+  });
+
+  describe('getBusinessHoursStatus', () => {
+    test('should follow the schedule in the instance time zone', () => {
+      // Monday 2026-10-19 13:30 UTC is 09:30 in New York
+      expect(getBusinessHoursStatus(businessHours, new Date('2026-10-19T13:30:00Z'))).toEqual({ open: true, reason: 'open' });
+      // Monday 2026-10-19 12:30 UTC is 08:30 in New York
+      expect(getBusinessHoursStatus(businessHours, new Date('2026-10-19T12:30:00Z'))).toEqual({ open: false, reason: 'closed' });
+      // Saturday 2026-10-24 03:00 UTC is still Friday 23:00 in New York, after hours
+      expect(getBusinessHoursStatus(businessHours, new Date('2026-10-24T03:00:00Z')).open).toBe(false);
+    });
+
+    test('should be closed on holidays and open when business hours are off', () => {
+      // Friday 2026-12-25 15:00 UTC is 10:00 in New York
+      expect(getBusinessHoursStatus(businessHours, new Date('2026-12-25T15:00:00Z'))).toEqual({ open: false, reason: 'holiday' });
+      expect(getBusinessHoursStatus({ ...businessHours, enabled: false })).toEqual({ open: true, reason: 'always' });
+      expect(getBusinessHoursStatus(undefined)).toEqual({ open: true, reason: 'always' });
+    });
+
+    test('should give the widget the state and offline behavior only', () => {
+      expect(getPublicBusinessHours(businessHours, new Date('2026-10-24T15:00:00Z'))).toEqual({
+        open: false,
+        offlineBehavior: 'form',
+        offlineMessage: DEFAULT_OFFLINE_MESSAGE
+      });
+      expect(getPublicBusinessHours({ enabled: false })).toBeNull();
+    });
+  });
+
+  describe('offline messages', () => {
+    test('should require an email and a message', () => {
+      expect(validateOfflineMessage({ name: ' Ana ', email: 'ana@example.com', message: ' Call me back ' })).toEqual({
+        valid: true,
+        errors: [],
+        values: { name: 'Ana', email: 'ana@example.com', message: 'Call me back' }
+      });
+      expect(validateOfflineMessage({ email: 'not-an-email' }).errors).toEqual([
+        'Email must be a valid email address',
+        'Message is required'
+      ]);
+      expect(validateOfflineMessage(null).valid).toBe(false);
+    });
+
+    test('should store the message against the session', async () => {
+      const db = createTrackingDB();
+
+      await saveOfflineMessage(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        values: { name: null, email: 'ana@example.com', message: 'Call me back' },
+        origin: 'https://example.com'
+      });
+
+      expect(db.statements[0].query).toContain('INSERT INTO offline_messages');
+      expect(db.statements[0].params.slice(0, 6)).toEqual([
+        'test-instance', 'sess_1', null, 'ana@example.com', 'Call me back', 'https://example.com'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Challenge module
+ * Turnstile-style bot challenge: verifies widget tokens server-side and trusts the
+ * session that solved one for a while, so scripted clients cannot mint sessions freely
+ */
+
+// Siteverify endpoint used unless CHALLENGE_VERIFY_URL points somewhere else (e.g. a local stub)
+export const DEFAULT_CHALLENGE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// Script the widget loads to render the challenge, unless CHALLENGE_SCRIPT_URL is set
+export const DEFAULT_CHALLENGE_SCRIPT_URL = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+
+// How long a verified session is trusted (minutes)
+export const DEFAULT_CHALLENGE_TRUST_MINUTES = 60;
+export const MAX_CHALLENGE_TRUST_MINUTES = 10080;
+
+// Longest token accepted; Turnstile tokens are well under this
+const MAX_TOKEN_LENGTH = 2048;
+
+/**
+ * Get the challenge details the widget needs
+ * @param {Object} challenge - Instance challenge settings from getInstanceConfig
+ * @param {Object} env - Environment bindings
+ * @returns {Object|null} { siteKey, scriptUrl }, or null when the instance has no challenge
+ */
+export function getPublicChallenge(challenge, env) {
+  if (!challenge?.enabled) return null;
+
+  return {
+    siteKey: challenge.siteKey,
+    scriptUrl: env.CHALLENGE_SCRIPT_URL || DEFAULT_CHALLENGE_SCRIPT_URL
+  };
+}
+
+/**
+ * Check a chat request against the instance's challenge
+ * A trusted session passes straight away; otherwise the request must carry a token that
+ * the verification endpoint accepts, after which the session is trusted. Requests without
+ * a session ID need a fresh token every time
+ * @param {Object} env - Environment bindings (DB, CHALLENGE_VERIFY_URL, TURNSTILE_SECRET_KEY)
+ * @param {Object} options - Check options
+ * @param {string} options.instanceId - Instance ID
+ * @param {Object} options.challenge - Instance challenge settings from getInstanceConfig
+ * @param {string|null} options.sessionId - Widget session ID
+ * @param {string|null} options.token - Challenge token sent by the widget
+ * @param {string|null} options.ip - Visitor IP, passed on to the verification endpoint
+ * @returns {Promise<Object>} { passed, reason: 'trusted' | 'verified' | 'required' | 'failed' }
+ */
+export async function checkChallenge(env, { instanceId, challenge, sessionId, token, ip }) {
+  if (sessionId && await isSessionTrusted(env.DB, instanceId, sessionId)) {
+    return { passed: true, reason: 'trusted' };
+  }
+
+  if (typeof token !== 'string' || !token || token.length > MAX_TOKEN_LENGTH) {
+    return { passed: false, reason: 'required' };
+  }
+
+  const secret = challenge.secretKey || env.TURNSTILE_SECRET_KEY;
+  if (!secret) {
+    console.error('[Challenge] No secret key for instance:', instanceId);
+    return { passed: false, reason: 'failed' };
+  }
+
+  const result = await verifyChallengeToken(env.CHALLENGE_VERIFY_URL || DEFAULT_CHALLENGE_VERIFY_URL, {
+    secret,
+    token,
+    ip
+  });
+  if (!result.success) {
+    console.error('[Challenge] Verification failed:', { instanceId, errorCodes: result.errorCodes });
+    return { passed: false, reason: 'failed' };
+  }
+
+  if (sessionId) {
+    await trustSession(env.DB, instanceId, sessionId, challenge.trustMinutes || DEFAULT_CHALLENGE_TRUST_MINUTES);
+  }
+
+  return { passed: true, reason: 'verified' };
+}
+
+/**
+ * Ask the verification endpoint whether a token is valid
+ * Network errors and unexpected replies count as a failed verification
+ * @param {string} verifyUrl - Siteverify-compatible endpoint
+ * @param {Object} params - Verification parameters
+ * @param {string} params.secret - Secret key
+ * @param {string} params.token - Token from the widget
+ * @param {string|null} params.ip - Visitor IP
+ * @returns {Promise<Object>} { success, errorCodes }
+ */
+export async function verifyChallengeToken(verifyUrl, { secret, token, ip }) {
+  const form = new URLSearchParams({ secret, response: token });
+  if (ip) {
+    form.set('remoteip', ip);
+  }
+
+  try {
+    const response = await fetch(verifyUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form.toString()
+    });
+    if (!response.ok) {
+      return { success: false, errorCodes: [`http-${response.status}`] };
+    }
+
+    const data = await response.json();
+    return {
+      success: data.success === true,
+      errorCodes: data['error-codes'] || []
+    };
+  } catch (error) {
+    return { success: false, errorCodes: ['verify-unavailable'] };
+  }
+}
+
+/**
+ * Check whether a session solved a challenge recently enough to be trusted
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {string} sessionId - Widget session ID
+ * @returns {Promise<boolean>} True while the trust has not expired
+ */
+export async function isSessionTrusted(db, instanceId, sessionId) {
+  const row = await db.prepare(`
+    SELECT expires_at FROM challenge_sessions WHERE instance_id = ? AND session_id = ?
+  `).bind(instanceId, sessionId).first();
+
+  return !!row && row.expires_at > new Date().toISOString();
+}
+
+/**
+ * Trust a session for a number of minutes, clearing the instance's expired sessions
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {string} sessionId - Widget session ID
+ * @param {number} minutes - How long to trust the session
+ * @returns {Promise<void>}
+ */
+export async function trustSession(db, instanceId, sessionId, minutes) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+
+  await db.batch([
+    db.prepare(`
+      INSERT OR REPLACE INTO challenge_sessions (instance_id, session_id, verified_at, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).bind(instanceId, sessionId, now.toISOString(), expiresAt),
+    db.prepare(`
+      DELETE FROM challenge_sessions WHERE instance_id = ? AND expires_at <= ?
+    `).bind(instanceId, now.toISOString())
+  ]);
+}
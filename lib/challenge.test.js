@@ -0,0 +1,159 @@
+/**
+ * Tests for the challenge module
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  getPublicChallenge,
+  checkChallenge,
+  verifyChallengeToken,
+  DEFAULT_CHALLENGE_VERIFY_URL,
+  DEFAULT_CHALLENGE_SCRIPT_URL
+} from './challenge.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ first = null } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          first: async () => first
+        };
+        statements.push(statement);
+        return statement;
+      }
+    }),
+    batch: jest.fn(async () => [])
+  };
+}
+
+const challenge = { enabled: true, siteKey: 'site-key', secretKey: null, trustMinutes: 30 };
+
+describe('Challenge Module', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getPublicChallenge', () => {
+    test('should expose only the site key and script URL', () => {
+      expect(getPublicChallenge({ ...challenge, secretKey: 'secret' }, {})).toEqual({
+        siteKey: 'site-key',
+        scriptUrl: DEFAULT_CHALLENGE_SCRIPT_URL
+      });
+      expect(getPublicChallenge(challenge, { CHALLENGE_SCRIPT_URL: 'http://localhost:8788/stub.js' }).scriptUrl)
+        .toBe('http://localhost:8788/stub.js');
+    });
+
+    test('should be null when the challenge is off', () => {
+      expect(getPublicChallenge({ enabled: false }, {})).toBeNull();
+      expect(getPublicChallenge(undefined, {})).toBeNull();
+    });
+  });
+
+  describe('verifyChallengeToken', () => {
+    test('should post the secret, token and IP as a form', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+
+      const result = await verifyChallengeToken(DEFAULT_CHALLENGE_VERIFY_URL, {
+        secret: 'secret',
+        token: 'token-1',
+        ip: '203.0.113.7'
+      });
+
+      expect(result).toEqual({ success: true, errorCodes: [] });
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe(DEFAULT_CHALLENGE_VERIFY_URL);
+      expect(init.body).toBe('secret=secret&response=token-1&remoteip=203.0.113.7');
+    });
+
+    test('should fail on rejected tokens, HTTP errors and network errors', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ success: false, 'error-codes': ['timeout-or-duplicate'] })
+      });
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+      global.fetch.mockRejectedValueOnce(new Error('offline'));
+
+      const params = { secret: 'secret', token: 'token-1', ip: null };
+      expect(await verifyChallengeToken('https://verify', params)).toEqual({ success: false, errorCodes: ['timeout-or-duplicate'] });
+      expect(await verifyChallengeToken('https://verify', params)).toEqual({ success: false, errorCodes: ['http-500'] });
+      expect(await verifyChallengeToken('https://verify', params)).toEqual({ success: false, errorCodes: ['verify-unavailable'] });
+    });
+  });
+
+  describe('checkChallenge', () => {
+    test('should pass trusted sessions without a token', async () => {
+      const db = createTrackingDB({ first: { expires_at: '2999-01-01T00:00:00.000Z' } });
+
+      const result = await checkChallenge({ DB: db }, {
+        instanceId: 'test-instance', challenge, sessionId: 'sess_1', token: null, ip: null
+      });
+
+      expect(result).toEqual({ passed: true, reason: 'trusted' });
+      expect(db.statements[0].params).toEqual(['test-instance', 'sess_1']);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should require a token once trust has expired', async () => {
+      const db = createTrackingDB({ first: { expires_at: '2000-01-01T00:00:00.000Z' } });
+
+      const result = await checkChallenge({ DB: db }, {
+        instanceId: 'test-instance', challenge, sessionId: 'sess_1', token: '', ip: null
+      });
+
+      expect(result).toEqual({ passed: false, reason: 'required' });
+    });
+
+    test('should verify with the configured endpoint and trust the session', async () => {
+      const db = createTrackingDB();
+      const env = { DB: db, CHALLENGE_VERIFY_URL: 'http://localhost:8788/siteverify', TURNSTILE_SECRET_KEY: 'env-secret' };
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+
+      const result = await checkChallenge(env, {
+        instanceId: 'test-instance', challenge, sessionId: 'sess_1', token: 'token-1', ip: '203.0.113.7'
+      });
+
+      expect(result).toEqual({ passed: true, reason: 'verified' });
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8788/siteverify');
+      expect(global.fetch.mock.calls[0][1].body).toContain('secret=env-secret');
+
+      const trust = db.statements.find(s => s.query.includes('INSERT OR REPLACE INTO challenge_sessions'));
+      const [, , verifiedAt, expiresAt] = trust.params;
+      expect(new Date(expiresAt) - new Date(verifiedAt)).toBe(30 * 60 * 1000);
+      expect(db.batch).toHaveBeenCalled();
+    });
+
+    test('should prefer the instance secret and not trust sessionless requests', async () => {
+      const db = createTrackingDB();
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true }) });
+
+      const result = await checkChallenge({ DB: db, TURNSTILE_SECRET_KEY: 'env-secret' }, {
+        instanceId: 'test-instance', challenge: { ...challenge, secretKey: 'own-secret' }, sessionId: null, token: 'token-1', ip: null
+      });
+
+      expect(result.passed).toBe(true);
+      expect(global.fetch.mock.calls[0][1].body).toContain('secret=own-secret');
+      expect(db.batch).not.toHaveBeenCalled();
+    });
+
+    test('should fail rejected tokens and missing secrets', async () => {
+      const db = createTrackingDB();
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ success: false }) });
+
+      const options = { instanceId: 'test-instance', challenge, sessionId: 'sess_1', token: 'token-1', ip: null };
+      expect(await checkChallenge({ DB: db, TURNSTILE_SECRET_KEY: 'env-secret' }, options)).toEqual({ passed: false, reason: 'failed' });
+      expect(await checkChallenge({ DB: db }, options)).toEqual({ passed: false, reason: 'failed' });
+      expect(db.batch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Conversations module for D1 database operations
+ * Persists chat exchanges so transcripts survive beyond the visitor's browser
+ */
+
+/**
+ * Convert message content to plain text for storage
+ * Array content (multimodal parts) keeps text parts and notes attachments
+ * @param {string|Array|Object} content - Message content
+ * @returns {string} Plain text content
+ */
+export function extractMessageText(content) {
+  if (typeof content === 'string') return content;
+
+  if (Array.isArray(content)) {
+    return content
+      .map(part => {
+        if (typeof part === 'string') return part;
+        if (part?.type === 'text') return part.text || '';
+        if (part?.type === 'image_url' || part?.type === 'image') return '[image]';
+        return '';
+      })
+      .filter(text => text.length > 0)
+      .join('\n');
+  }
+
+  if (content && typeof content.text === 'string') return content.text;
+
+  return '';
+}
+
+/**
+ * Extract the assistant reply text from a TypingMind response body
+ * @param {Object} data - TypingMind API response
+ * @returns {string} Reply text or empty string
+ */
+export function extractReplyText(data) {
+  if (!data || typeof data !== 'object') return '';
+
+  if (Array.isArray(data.messages) && data.messages.length > 0) {
+    return extractMessageText(data.messages[0].content);
+  }
+  if (data.content) return extractMessageText(data.content);
+  if (typeof data.message === 'string') return data.message;
+
+  return '';
+}
+
+/**
+ * Find the latest user message in a chat request
+ * @param {Array} messages - Messages sent by the widget
+ * @returns {Object|null} Latest user message or null
+ */
+export function getLatestUserMessage(messages) {
+  if (!Array.isArray(messages)) return null;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'user') {
+      return messages[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Save a chat exchange (user message and assistant reply)
+ * Creates the conversation on first use and keeps its counters current. The first
+ * verified identity and experiment variant seen in a session stay attached to its conversation
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} exchange - Exchange data
+ * @param {string} exchange.instanceId - Instance ID
+ * @param {string} exchange.sessionId - Widget session ID
+ * @param {string|null} exchange.origin - Request origin
+ * @param {string} exchange.userContent - User message text
+ * @param {string} exchange.assistantContent - Assistant reply text
+ * @param {number} exchange.latencyMs - Time taken to produce the reply
+ * @param {Object|null} exchange.identity - Verified identity from verifyIdentityToken
+ * @param {string|null} exchange.variant - Experiment variant key from assignVariant
+ * @returns {Promise<void>}
+ */
+export async function saveExchange(db, exchange) {
+  const {
+    instanceId,
+    sessionId,
+    origin = null,
+    userContent,
+    assistantContent,
+    latencyMs = null,
+    identity = null,
+    variant = null
+  } = exchange;
+
+  const statements = [];
+  const now = new Date().toISOString();
+  const messageCount = (userContent ? 1 : 0) + (assistantContent ? 1 : 0);
+
+  // Create conversation or bump its activity
+  statements.push(db.prepare(`
+    INSERT INTO conversations (instance_id, session_id, origin, message_count, started_at, last_message_at,
+      user_id, user_name, user_email, variant)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(instance_id, session_id) DO UPDATE SET
+      message_count = message_count + excluded.message_count,
+      last_message_at = excluded.last_message_at,
+      user_name = CASE WHEN user_id IS NULL THEN excluded.user_name ELSE user_name END,
+      user_email = CASE WHEN user_id IS NULL THEN excluded.user_email ELSE user_email END,
+      user_id = COALESCE(user_id, excluded.user_id),
+      variant = COALESCE(variant, excluded.variant)
+  `).bind(instanceId, sessionId, origin, messageCount, now, now,
+    identity?.userId || null, identity?.name || null, identity?.email || null, variant));
+
+  // Insert messages linked to the conversation
+  const insertMessage = `
+    INSERT INTO messages (conversation_id, role, content, latency_ms, variant, created_at)
+    SELECT id, ?, ?, ?, ?, ? FROM conversations WHERE instance_id = ? AND session_id = ?
+  `;
+
+  if (userContent) {
+    statements.push(db.prepare(insertMessage)
+      .bind('user', userContent, null, variant, now, instanceId, sessionId));
+  }
+
+  if (assistantContent) {
+    statements.push(db.prepare(insertMessage)
+      .bind('assistant', assistantContent, latencyMs, variant, now, instanceId, sessionId));
+  }
+
+  await db.batch(statements);
+}
+
+// Maximum number of message rows returned by an export
+export const EXPORT_ROW_LIMIT = 10000;
+
+/**
+ * Build the WHERE clause shared by conversation listing and export
+ * @param {string} instanceId - Instance ID
+ * @param {Object} filters - Conversation filters
+ * @param {string} [filters.search] - Text that must appear in a message
+ * @param {string} [filters.from] - Earliest activity date (YYYY-MM-DD)
+ * @param {string} [filters.to] - Latest start date (YYYY-MM-DD)
+ * @param {string} [filters.origin] - Exact request origin
+ * @returns {Object} { where, params }
+ */
+function buildConversationFilters(instanceId, filters = {}) {
+  const clauses = ['c.instance_id = ?'];
+  const params = [instanceId];
+
+  if (filters.search) {
+    const escaped = filters.search.replace(/[\\%_]/g, char => `\\${char}`);
+    clauses.push(`EXISTS (
+      SELECT 1 FROM messages sm
+      WHERE sm.conversation_id = c.id AND sm.content LIKE ? ESCAPE '\\'
+    )`);
+    params.push(`%${escaped}%`);
+  }
+
+  if (filters.from) {
+    clauses.push('c.last_message_at >= ?');
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    clauses.push('c.started_at <= ?');
+    params.push(`${filters.to}T23:59:59.999Z`);
+  }
+
+  if (filters.origin) {
+    clauses.push('c.origin = ?');
+    params.push(filters.origin);
+  }
+
+  return {
+    where: clauses.join(' AND '),
+    params
+  };
+}
+
+/**
+ * List conversations for an instance, newest activity first
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} filters - Conversation filters (see buildConversationFilters)
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.limit - Page size
+ * @param {number} pagination.offset - Rows to skip
+ * @returns {Promise<Object>} { conversations, total }
+ */
+export async function listConversations(db, instanceId, filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { where, params } = buildConversationFilters(instanceId, filters);
+
+  const conversations = await db.prepare(`
+    SELECT c.id, c.session_id, c.origin, c.user_id, c.user_name, c.user_email,
+      c.message_count, c.started_at, c.last_message_at
+    FROM conversations c
+    WHERE ${where}
+    ORDER BY c.last_message_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, limit, offset).all();
+
+  const count = await db.prepare(`
+    SELECT COUNT(*) as total FROM conversations c WHERE ${where}
+  `).bind(...params).first();
+
+  return {
+    conversations: conversations.results,
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Get the distinct origins seen for an instance
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @returns {Promise<string[]>} Origins in alphabetical order
+ */
+export async function listConversationOrigins(db, instanceId) {
+  const origins = await db.prepare(`
+    SELECT DISTINCT origin FROM conversations
+    WHERE instance_id = ? AND origin IS NOT NULL
+    ORDER BY origin
+  `).bind(instanceId).all();
+
+  return origins.results.map(row => row.origin);
+}
+
+/**
+ * Get a conversation with its full transcript
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {number|string} conversationId - Conversation ID
+ * @returns {Promise<Object|null>} { conversation, messages } or null if not found
+ */
+export async function getConversation(db, instanceId, conversationId) {
+  const conversation = await db.prepare(`
+    SELECT * FROM conversations WHERE id = ? AND instance_id = ?
+  `).bind(conversationId, instanceId).first();
+
+  if (!conversation) return null;
+
+  const messages = await db.prepare(`
+    SELECT id, role, content, latency_ms, created_at FROM messages
+    WHERE conversation_id = ?
+    ORDER BY created_at ASC, id ASC
+  `).bind(conversation.id).all();
+
+  return {
+    conversation,
+    messages: messages.results
+  };
+}
+
+/**
+ * Get message rows for every conversation matching the filters
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} filters - Conversation filters (see buildConversationFilters)
+ * @returns {Promise<Array>} Message rows joined with their conversation
+ */
+export async function getConversationExportRows(db, instanceId, filters = {}) {
+  const { where, params } = buildConversationFilters(instanceId, filters);
+
+  const rows = await db.prepare(`
+    SELECT c.id as conversation_id, c.session_id, c.origin, c.started_at,
+      c.user_id, c.user_name, c.user_email, m.role, m.content, m.latency_ms, m.created_at
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    WHERE ${where}
+    ORDER BY c.last_message_at DESC, c.id, m.created_at ASC, m.id ASC
+    LIMIT ?
+  `).bind(...params, EXPORT_ROW_LIMIT).all();
+
+  return rows.results;
+}
+
+/**
+ * Group export rows into conversations with nested messages
+ * @param {Array} rows - Rows from getConversationExportRows
+ * @returns {Array} Conversations with their messages
+ */
+export function groupExportRows(rows) {
+  const conversations = new Map();
+
+  for (const row of rows) {
+    if (!conversations.has(row.conversation_id)) {
+      conversations.set(row.conversation_id, {
+        id: row.conversation_id,
+        sessionId: row.session_id,
+        origin: row.origin,
+        startedAt: row.started_at,
+        user: row.user_id ? { id: row.user_id, name: row.user_name, email: row.user_email } : null,
+        messages: []
+      });
+    }
+
+    conversations.get(row.conversation_id).messages.push({
+      role: row.role,
+      content: row.content,
+      latencyMs: row.latency_ms,
+      createdAt: row.created_at
+    });
+  }
+
+  return Array.from(conversations.values());
+}
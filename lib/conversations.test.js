@@ -0,0 +1,285 @@
+/**
+ * Tests for the conversations module
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  extractMessageText,
+  extractReplyText,
+  getLatestUserMessage,
+  saveExchange,
+  listConversations,
+  listConversationOrigins,
+  getConversation,
+  getConversationExportRows,
+  groupExportRows,
+  EXPORT_ROW_LIMIT
+} from './conversations.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ first = null, all = [] } = {}) {
+  const statements = [];
+  const batches = [];
+
+  return {
+    statements,
+    batches,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          first: async () => (typeof first === 'function' ? first(statement) : first),
+          all: async () => ({ results: typeof all === 'function' ? all(statement) : all })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    }),
+    batch: async (stmts) => {
+      batches.push(stmts);
+      return stmts.map(() => ({ success: true }));
+    }
+  };
+}
+
+describe('Conversations Module', () => {
+  describe('extractMessageText', () => {
+    test('should return string content unchanged', () => {
+      expect(extractMessageText('Hello')).toBe('Hello');
+    });
+
+    test('should join text parts and mark images', () => {
+      const content = [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,abc' } }
+      ];
+      expect(extractMessageText(content)).toBe('What is this?\n[image]');
+    });
+
+    test('should return empty string for missing content', () => {
+      expect(extractMessageText(undefined)).toBe('');
+      expect(extractMessageText(null)).toBe('');
+    });
+  });
+
+  describe('extractReplyText', () => {
+    test('should read TypingMind messages format', () => {
+      const data = {
+        messages: [{ role: 'assistant', content: [{ type: 'text', text: 'Hi there' }] }]
+      };
+      expect(extractReplyText(data)).toBe('Hi there');
+    });
+
+    test('should read content and message fields', () => {
+      expect(extractReplyText({ content: 'A' })).toBe('A');
+      expect(extractReplyText({ message: 'B' })).toBe('B');
+    });
+
+    test('should return empty string for unknown formats', () => {
+      expect(extractReplyText({ error: 'nope' })).toBe('');
+      expect(extractReplyText(null)).toBe('');
+    });
+  });
+
+  describe('getLatestUserMessage', () => {
+    test('should return the last user message', () => {
+      const messages = [
+        { role: 'user', content: 'First' },
+        { role: 'assistant', content: 'Reply' },
+        { role: 'user', content: 'Second' }
+      ];
+      expect(getLatestUserMessage(messages)).toEqual({ role: 'user', content: 'Second' });
+    });
+
+    test('should return null without user messages', () => {
+      expect(getLatestUserMessage([{ role: 'assistant', content: 'Hi' }])).toBeNull();
+      expect(getLatestUserMessage(null)).toBeNull();
+    });
+  });
+
+  describe('saveExchange', () => {
+    let db;
+
+    beforeEach(() => {
+      db = createTrackingDB();
+    });
+
+    test('should upsert the conversation and insert both messages in one batch', async () => {
+      await saveExchange(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        origin: 'https://example.com',
+        userContent: 'Hello',
+        assistantContent: 'Hi there',
+        latencyMs: 850
+      });
+
+      expect(db.batches).toHaveLength(1);
+      const [conversation, userMessage, assistantMessage] = db.batches[0];
+
+      expect(conversation.query).toContain('INSERT INTO conversations');
+      expect(conversation.query).toContain('ON CONFLICT(instance_id, session_id)');
+      expect(conversation.params.slice(0, 4)).toEqual(['test-instance', 'sess_123', 'https://example.com', 2]);
+
+      expect(userMessage.query).toContain('INSERT INTO messages');
+      expect(userMessage.params.slice(0, 3)).toEqual(['user', 'Hello', null]);
+      expect(userMessage.params.slice(-2)).toEqual(['test-instance', 'sess_123']);
+
+      expect(assistantMessage.params.slice(0, 3)).toEqual(['assistant', 'Hi there', 850]);
+    });
+
+    test('should skip empty messages', async () => {
+      await saveExchange(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        userContent: '',
+        assistantContent: 'Hi there'
+      });
+
+      const batch = db.batches[0];
+      expect(batch).toHaveLength(2);
+      expect(batch[0].params[3]).toBe(1);
+      expect(batch[0].params[2]).toBeNull();
+    });
+
+    test('should attach a verified identity without replacing an earlier one', async () => {
+      await saveExchange(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        userContent: 'Hello',
+        assistantContent: null,
+        identity: { userId: 'user-42', name: 'Renée', email: 'renee@example.com', expiresAt: 1 }
+      });
+
+      const [conversation] = db.batches[0];
+      expect(conversation.params.slice(-4, -1)).toEqual(['user-42', 'Renée', 'renee@example.com']);
+      expect(conversation.query).toContain('user_id = COALESCE(user_id, excluded.user_id)');
+    });
+
+    test('should record the experiment variant on the conversation and each message', async () => {
+      await saveExchange(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        userContent: 'Hello',
+        assistantContent: 'Hi there',
+        variant: 'friendly'
+      });
+
+      const [conversation, userMessage, assistantMessage] = db.batches[0];
+      expect(conversation.params.at(-1)).toBe('friendly');
+      expect(conversation.query).toContain('variant = COALESCE(variant, excluded.variant)');
+      expect(userMessage.params[3]).toBe('friendly');
+      expect(assistantMessage.params[3]).toBe('friendly');
+    });
+  });
+
+  describe('listConversations', () => {
+    test('should list conversations for an instance with paging', async () => {
+      const db = createTrackingDB({ first: { total: 2 }, all: [{ id: 1 }, { id: 2 }] });
+
+      const result = await listConversations(db, 'test-instance', {}, { limit: 10, offset: 20 });
+
+      expect(result).toEqual({ conversations: [{ id: 1 }, { id: 2 }], total: 2 });
+      expect(db.statements[0].query).toContain('WHERE c.instance_id = ?');
+      expect(db.statements[0].params).toEqual(['test-instance', 10, 20]);
+      expect(db.statements[1].params).toEqual(['test-instance']);
+    });
+
+    test('should apply search, date and origin filters', async () => {
+      const db = createTrackingDB({ first: { total: 0 } });
+
+      await listConversations(db, 'test-instance', {
+        search: '50%_off',
+        from: '2024-01-01',
+        to: '2024-01-31',
+        origin: 'https://example.com'
+      });
+
+      const [listStatement] = db.statements;
+      expect(listStatement.query).toContain('sm.content LIKE ?');
+      expect(listStatement.query).toContain('c.last_message_at >= ?');
+      expect(listStatement.query).toContain('c.started_at <= ?');
+      expect(listStatement.query).toContain('c.origin = ?');
+      expect(listStatement.params).toEqual([
+        'test-instance',
+        '%50\\%\\_off%',
+        '2024-01-01',
+        '2024-01-31T23:59:59.999Z',
+        'https://example.com',
+        50,
+        0
+      ]);
+    });
+  });
+
+  describe('listConversationOrigins', () => {
+    test('should return origin strings', async () => {
+      const db = createTrackingDB({ all: [{ origin: 'https://a.com' }, { origin: 'https://b.com' }] });
+
+      const origins = await listConversationOrigins(db, 'test-instance');
+
+      expect(origins).toEqual(['https://a.com', 'https://b.com']);
+    });
+  });
+
+  describe('getConversation', () => {
+    test('should return conversation with messages', async () => {
+      const db = createTrackingDB({
+        first: { id: 5, instance_id: 'test-instance', session_id: 'sess_1' },
+        all: [{ role: 'user', content: 'Hi' }]
+      });
+
+      const result = await getConversation(db, 'test-instance', '5');
+
+      expect(result.conversation.session_id).toBe('sess_1');
+      expect(result.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+      expect(db.statements[0].params).toEqual(['5', 'test-instance']);
+      expect(db.statements[1].params).toEqual([5]);
+    });
+
+    test('should return null when conversation belongs to another instance', async () => {
+      const db = createTrackingDB({ first: null });
+
+      expect(await getConversation(db, 'test-instance', '5')).toBeNull();
+      expect(db.statements).toHaveLength(1);
+    });
+  });
+
+  describe('getConversationExportRows', () => {
+    test('should cap exported rows', async () => {
+      const db = createTrackingDB({ all: [{ conversation_id: 1 }] });
+
+      const rows = await getConversationExportRows(db, 'test-instance', { origin: 'https://a.com' });
+
+      expect(rows).toEqual([{ conversation_id: 1 }]);
+      expect(db.statements[0].query).toContain('JOIN conversations c');
+      expect(db.statements[0].params).toEqual(['test-instance', 'https://a.com', EXPORT_ROW_LIMIT]);
+    });
+  });
+
+  describe('groupExportRows', () => {
+    test('should nest messages under their conversation', () => {
+      const grouped = groupExportRows([
+        { conversation_id: 1, session_id: 's1', origin: 'o', started_at: 't0', role: 'user', content: 'Hi', latency_ms: null, created_at: 't1' },
+        { conversation_id: 1, session_id: 's1', origin: 'o', started_at: 't0', role: 'assistant', content: 'Hello', latency_ms: 500, created_at: 't2' },
+        { conversation_id: 2, session_id: 's2', origin: 'o', started_at: 't3', user_id: 'user-42', user_name: 'Renée', user_email: null, role: 'user', content: 'Yo', latency_ms: null, created_at: 't4' }
+      ]);
+
+      expect(grouped).toHaveLength(2);
+      expect(grouped[0]).toEqual({
+        id: 1,
+        sessionId: 's1',
+        origin: 'o',
+        startedAt: 't0',
+        user: null,
+        messages: [
+          { role: 'user', content: 'Hi', latencyMs: null, createdAt: 't1' },
+          { role: 'assistant', content: 'Hello', latencyMs: 500, createdAt: 't2' }
+        ]
+      });
+      expect(grouped[1].user).toEqual({ id: 'user-42', name: 'Renée', email: null });
+      expect(grouped[1].messages).toHaveLength(1);
+    });
+  });
+});
@@ -3,6 +3,28 @@
  * Handles all instance-related database queries
  */
 
+import { parseStoredLeadFields } from './leads.js';
+import { generateWebhookSecret } from './webhooks.js';
+import { normalizeQuickReplies, MAX_STARTERS } from './quick-replies.js';
+import { normalizeRedactionAction, parseStoredRedactionPatterns } from './redaction.js';
+import { parseStoredGuardrailRules, DEFAULT_REFUSAL_MESSAGE } from './guardrails.js';
+import { DEFAULT_QUOTA_MESSAGE, DEFAULT_QUOTA_WARNING_PERCENT } from './quotas.js';
+import { NETWORK_RULE_LISTS, parseNetworkRuleList, parseStoredNetworkRules } from './network-rules.js';
+import { DEFAULT_CHALLENGE_TRUST_MINUTES, MAX_CHALLENGE_TRUST_MINUTES } from './challenge.js';
+import { generateIdentitySecret } from './identity.js';
+import {
+  BUSINESS_DAYS,
+  OFFLINE_BEHAVIORS,
+  DEFAULT_OFFLINE_MESSAGE,
+  parseHourRanges,
+  parseStoredSchedule,
+  parseHolidayList,
+  isValidTimeZone
+} from './business-hours.js';
+import { INSTANCE_STATES, parseStoredAvailability, parseWindowTime } from './instance-state.js';
+import { parseStoredVariant } from './experiments.js';
+import { isSupportedLocale, parseStoredStringOverrides, parseStoredWelcomeTranslations, TEXT_DIRECTIONS } from './locales.js';
+
 /**
  * Get instance configuration with all related data
  * @param {D1Database} db - D1 database instance
@@ -13,15 +35,45 @@ export async function getInstanceConfig(db, instanceId) {
   const query = `
     SELECT 
       i.id, i.name, i.typingmind_agent_id, i.api_key,
+      i.state, i.maintenance_message, i.maintenance_starts_at, i.maintenance_ends_at,
       rl.messages_per_hour, rl.messages_per_session,
+      us.timeout_ms, us.max_retries, us.backoff_base_ms, us.backoff_max_ms,
       f.image_upload, f.markdown, f.persist_session,
       t.primary_color, t.position, t.width, t.embed_mode,
-      wm.welcome_message, wm.show_on_new_session, wm.show_on_return
+      wm.welcome_message, wm.show_on_new_session, wm.show_on_return,
+      ct.context_template,
+      lf.enabled as lead_form_enabled, lf.title as lead_form_title, lf.fields as lead_form_fields,
+      hs.enabled as handoff_enabled, hs.staff_name as handoff_staff_name, hs.waiting_message as handoff_waiting_message,
+      rd.email_action as redact_email, rd.phone_action as redact_phone, rd.card_action as redact_card,
+      rd.custom_patterns as redaction_patterns,
+      g.blocked_keywords, g.blocked_patterns, g.refusal_message, g.check_replies as guardrail_check_replies,
+      q.messages_per_day, q.messages_per_month, q.tokens_per_month,
+      q.warning_percent as quota_warning_percent, q.limit_message as quota_message,
+      nr.deny_cidrs, nr.deny_countries, nr.deny_asns, nr.allow_cidrs, nr.allow_countries, nr.allow_asns,
+      cs.enabled as challenge_enabled, cs.site_key as challenge_site_key,
+      cs.secret_key as challenge_secret_key, cs.trust_minutes as challenge_trust_minutes,
+      ids.enabled as identity_enabled, ids.secret as identity_secret, ids.forward_to_agent as identity_forward,
+      bh.enabled as business_hours_enabled, bh.timezone as business_timezone, bh.schedule as business_schedule,
+      bh.holidays as business_holidays, bh.offline_behavior, bh.offline_message, bh.strict as business_hours_strict,
+      ls.default_locale, ls.auto_detect as locale_auto_detect, ls.direction as text_direction,
+      ls.string_overrides, ls.welcome_translations
     FROM agent_instances i
     LEFT JOIN instance_rate_limits rl ON i.id = rl.instance_id
+    LEFT JOIN instance_upstream_settings us ON i.id = us.instance_id
     LEFT JOIN instance_features f ON i.id = f.instance_id
     LEFT JOIN instance_themes t ON i.id = t.instance_id
     LEFT JOIN instance_welcome_messages wm ON i.id = wm.instance_id
+    LEFT JOIN instance_context_templates ct ON i.id = ct.instance_id
+    LEFT JOIN instance_lead_forms lf ON i.id = lf.instance_id
+    LEFT JOIN instance_handoff_settings hs ON i.id = hs.instance_id
+    LEFT JOIN instance_redaction_settings rd ON i.id = rd.instance_id
+    LEFT JOIN instance_guardrails g ON i.id = g.instance_id
+    LEFT JOIN instance_quotas q ON i.id = q.instance_id
+    LEFT JOIN instance_network_rules nr ON i.id = nr.instance_id
+    LEFT JOIN instance_challenge_settings cs ON i.id = cs.instance_id
+    LEFT JOIN instance_identity_settings ids ON i.id = ids.instance_id
+    LEFT JOIN instance_business_hours bh ON i.id = bh.instance_id
+    LEFT JOIN instance_locale_settings ls ON i.id = ls.instance_id
     WHERE i.id = ?
   `;
   
@@ -38,17 +90,48 @@ export async function getInstanceConfig(db, instanceId) {
     'SELECT path FROM instance_paths WHERE instance_id = ?'
   ).bind(instanceId).all();
   
+  // Get backup agents in failover order
+  const backupAgents = await db.prepare(
+    'SELECT typingmind_agent_id, api_key FROM instance_backup_agents WHERE instance_id = ? ORDER BY position'
+  ).bind(instanceId).all();
+  
+  // Get conversation starters
+  const starters = await db.prepare(
+    'SELECT prompt FROM instance_starters WHERE instance_id = ? ORDER BY position'
+  ).bind(instanceId).all();
+  
+  // Get webhooks
+  const webhooks = await db.prepare(
+    'SELECT url, secret, events FROM instance_webhooks WHERE instance_id = ? ORDER BY position'
+  ).bind(instanceId).all();
+  
+  // Get experiment variants
+  const experimentVariants = await db.prepare(
+    'SELECT variant_key, weight, typingmind_agent_id, welcome_message, starters FROM instance_experiment_variants WHERE instance_id = ? ORDER BY position'
+  ).bind(instanceId).all();
+  
   return {
     id: result.id,
     name: result.name,
     typingmindAgentId: result.typingmind_agent_id,
     apiKey: result.api_key,
+    availability: parseStoredAvailability(result),
+    backupAgents: backupAgents.results.map(b => ({
+      agentId: b.typingmind_agent_id,
+      apiKey: b.api_key
+    })),
     allowedDomains: domains.results.map(d => d.domain),
     allowedPaths: paths.results.map(p => p.path),
     rateLimit: {
       messagesPerHour: result.messages_per_hour || 100,
       messagesPerSession: result.messages_per_session || 30
     },
+    upstream: {
+      timeoutMs: result.timeout_ms || 30000,
+      maxRetries: result.max_retries !== null && result.max_retries !== undefined ? result.max_retries : 2,
+      backoffBaseMs: result.backoff_base_ms || 500,
+      backoffMaxMs: result.backoff_max_ms || 8000
+    },
     features: {
       imageUpload: !!result.image_upload,
       markdown: !!result.markdown,
@@ -63,8 +146,101 @@ export async function getInstanceConfig(db, instanceId) {
     welcomeMessage: {
       text: result.welcome_message || 'Hello! How can I help you today?',
       showOnNewSession: result.show_on_new_session !== null ? !!result.show_on_new_session : true,
-      showOnReturn: !!result.show_on_return
-    }
+      showOnReturn: !!result.show_on_return,
+      translations: parseStoredWelcomeTranslations(result.welcome_translations)
+    },
+    locale: {
+      defaultLocale: isSupportedLocale(result.default_locale) ? result.default_locale : 'en',
+      autoDetect: !!result.locale_auto_detect,
+      direction: TEXT_DIRECTIONS.includes(result.text_direction) ? result.text_direction : 'auto',
+      strings: parseStoredStringOverrides(result.string_overrides)
+    },
+    starters: normalizeQuickReplies(starters.results.map(s => s.prompt), MAX_STARTERS),
+    experimentVariants: experimentVariants.results.map(parseStoredVariant),
+    contextTemplate: result.context_template || '',
+    leadForm: {
+      enabled: !!result.lead_form_enabled,
+      title: result.lead_form_title || 'Before we start',
+      fields: parseStoredLeadFields(result.lead_form_fields)
+    },
+    handoff: handoffConfig(result),
+    redaction: {
+      email: normalizeRedactionAction(result.redact_email),
+      phone: normalizeRedactionAction(result.redact_phone),
+      card: normalizeRedactionAction(result.redact_card),
+      patterns: parseStoredRedactionPatterns(result.redaction_patterns)
+    },
+    guardrails: {
+      keywords: parseStoredGuardrailRules(result.blocked_keywords),
+      patterns: parseStoredGuardrailRules(result.blocked_patterns, { patterns: true }),
+      refusalMessage: result.refusal_message || DEFAULT_REFUSAL_MESSAGE,
+      checkReplies: !!result.guardrail_check_replies
+    },
+    quotas: {
+      messagesPerDay: result.messages_per_day || null,
+      messagesPerMonth: result.messages_per_month || null,
+      tokensPerMonth: result.tokens_per_month || null,
+      warningPercent: result.quota_warning_percent || DEFAULT_QUOTA_WARNING_PERCENT,
+      limitMessage: result.quota_message || DEFAULT_QUOTA_MESSAGE
+    },
+    networkRules: parseStoredNetworkRules(result),
+    challenge: {
+      enabled: !!result.challenge_enabled && !!result.challenge_site_key,
+      siteKey: result.challenge_site_key || null,
+      secretKey: result.challenge_secret_key || null,
+      trustMinutes: result.challenge_trust_minutes || DEFAULT_CHALLENGE_TRUST_MINUTES
+    },
+    identity: {
+      enabled: !!result.identity_enabled && !!result.identity_secret,
+      secret: result.identity_secret || null,
+      forwardToAgent: !!result.identity_forward
+    },
+    businessHours: {
+      enabled: !!result.business_hours_enabled,
+      timezone: isValidTimeZone(result.business_timezone) ? result.business_timezone : 'UTC',
+      schedule: parseStoredSchedule(result.business_schedule),
+      holidays: parseHolidayList(result.business_holidays),
+      offlineBehavior: OFFLINE_BEHAVIORS.includes(result.offline_behavior) ? result.offline_behavior : 'banner',
+      offlineMessage: result.offline_message || DEFAULT_OFFLINE_MESSAGE,
+      strict: !!result.business_hours_strict
+    },
+    webhooks: webhooks.results.map(w => ({
+      url: w.url,
+      secret: w.secret,
+      events: w.events ? w.events.split(',').map(e => e.trim()).filter(e => e) : []
+    }))
+  };
+}
+
+/**
+ * Get the settings the handoff endpoints need: allowed domains and paths and the handoff settings
+ * The widget polls for staff replies every few seconds, so this skips the rest of the config
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID to fetch
+ * @returns {Promise<Object|null>} { id, allowedDomains, allowedPaths, handoff } or null if not found
+ */
+export async function getInstanceHandoffConfig(db, instanceId) {
+  const result = await db.prepare(`
+    SELECT 
+      i.id,
+      hs.enabled as handoff_enabled, hs.staff_name as handoff_staff_name, hs.waiting_message as handoff_waiting_message
+    FROM agent_instances i
+    LEFT JOIN instance_handoff_settings hs ON i.id = hs.instance_id
+    WHERE i.id = ?
+  `).bind(instanceId).first();
+  
+  if (!result) return null;
+  
+  const [domains, paths] = await Promise.all([
+    db.prepare('SELECT domain FROM instance_domains WHERE instance_id = ?').bind(instanceId).all(),
+    db.prepare('SELECT path FROM instance_paths WHERE instance_id = ?').bind(instanceId).all()
+  ]);
+  
+  return {
+    id: result.id,
+    allowedDomains: domains.results.map(d => d.domain),
+    allowedPaths: paths.results.map(p => p.path),
+    handoff: handoffConfig(result)
   };
 }
 
@@ -106,6 +282,31 @@ export async function getInstanceById(db, id) {
     SELECT domain FROM instance_domains WHERE instance_id = ?
   `).bind(id).all();
   
+  // Get paths
+  const paths = await db.prepare(`
+    SELECT path FROM instance_paths WHERE instance_id = ?
+  `).bind(id).all();
+  
+  // Get backup agents
+  const backupAgents = await db.prepare(`
+    SELECT typingmind_agent_id, api_key FROM instance_backup_agents WHERE instance_id = ? ORDER BY position
+  `).bind(id).all();
+  
+  // Get conversation starters
+  const starters = await db.prepare(`
+    SELECT prompt FROM instance_starters WHERE instance_id = ? ORDER BY position
+  `).bind(id).all();
+  
+  // Get webhooks
+  const webhooks = await db.prepare(`
+    SELECT url, secret, events FROM instance_webhooks WHERE instance_id = ? ORDER BY position
+  `).bind(id).all();
+  
+  // Get experiment variants
+  const experimentVariants = await db.prepare(`
+    SELECT * FROM instance_experiment_variants WHERE instance_id = ? ORDER BY position
+  `).bind(id).all();
+  
   // Get features
   const features = await db.prepare(`
     SELECT * FROM instance_features WHERE instance_id = ?
@@ -116,6 +317,11 @@ export async function getInstanceById(db, id) {
     SELECT * FROM instance_rate_limits WHERE instance_id = ?
   `).bind(id).first();
   
+  // Get upstream settings
+  const upstreamSettings = await db.prepare(`
+    SELECT * FROM instance_upstream_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
   // Get theme
   const theme = await db.prepare(`
     SELECT * FROM instance_themes WHERE instance_id = ?
@@ -126,13 +332,85 @@ export async function getInstanceById(db, id) {
     SELECT * FROM instance_welcome_messages WHERE instance_id = ?
   `).bind(id).first();
   
+  // Get context template
+  const contextTemplate = await db.prepare(`
+    SELECT * FROM instance_context_templates WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get lead form
+  const leadForm = await db.prepare(`
+    SELECT * FROM instance_lead_forms WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get handoff settings
+  const handoffSettings = await db.prepare(`
+    SELECT * FROM instance_handoff_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get redaction settings
+  const redactionSettings = await db.prepare(`
+    SELECT * FROM instance_redaction_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get guardrails
+  const guardrails = await db.prepare(`
+    SELECT * FROM instance_guardrails WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get quotas
+  const quotas = await db.prepare(`
+    SELECT * FROM instance_quotas WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get network rules
+  const networkRules = await db.prepare(`
+    SELECT * FROM instance_network_rules WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get challenge settings
+  const challengeSettings = await db.prepare(`
+    SELECT * FROM instance_challenge_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get identity settings
+  const identitySettings = await db.prepare(`
+    SELECT * FROM instance_identity_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get business hours
+  const businessHours = await db.prepare(`
+    SELECT * FROM instance_business_hours WHERE instance_id = ?
+  `).bind(id).first();
+  
+  // Get locale settings
+  const localeSettings = await db.prepare(`
+    SELECT * FROM instance_locale_settings WHERE instance_id = ?
+  `).bind(id).first();
+  
   return {
     instance,
     domains: domains.results,
+    paths: paths.results,
+    backupAgents: backupAgents.results,
+    starters: starters.results,
+    webhooks: webhooks.results,
+    experimentVariants: experimentVariants.results,
     features,
     rateLimits,
+    upstreamSettings,
     theme,
-    welcomeMessage
+    welcomeMessage,
+    contextTemplate,
+    leadForm,
+    handoffSettings,
+    redactionSettings,
+    guardrails,
+    quotas,
+    networkRules,
+    challengeSettings,
+    identitySettings,
+    businessHours,
+    localeSettings
   };
 }
 
@@ -147,9 +425,9 @@ export async function createInstance(db, data) {
   
   // Insert instance
   statements.push(db.prepare(
-    `INSERT INTO agent_instances (id, typingmind_agent_id, name, api_key) 
-     VALUES (?, ?, ?, ?)`
-  ).bind(data.id, data.typingmind_agent_id, data.name, data.api_key || null));
+    `INSERT INTO agent_instances (id, typingmind_agent_id, name, api_key, state, maintenance_message, maintenance_starts_at, maintenance_ends_at) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(data.id, data.typingmind_agent_id, data.name, data.api_key || null, ...instanceStateParams(data)));
   
   // Insert domains
   if (data.domains && data.domains.length > 0) {
@@ -160,12 +438,63 @@ export async function createInstance(db, data) {
     }
   }
   
+  // Insert paths
+  if (data.paths && data.paths.length > 0) {
+    for (const path of data.paths) {
+      statements.push(db.prepare(
+        `INSERT INTO instance_paths (instance_id, path) VALUES (?, ?)`
+      ).bind(data.id, path));
+    }
+  }
+  
+  // Insert backup agents
+  if (data.backup_agents && data.backup_agents.length > 0) {
+    data.backup_agents.forEach((backup, position) => {
+      statements.push(db.prepare(
+        `INSERT INTO instance_backup_agents (instance_id, position, typingmind_agent_id, api_key) VALUES (?, ?, ?, ?)`
+      ).bind(data.id, position, backup.typingmind_agent_id, backup.api_key || null));
+    });
+  }
+  
+  // Insert conversation starters
+  if (data.starters && data.starters.length > 0) {
+    data.starters.forEach((prompt, position) => {
+      statements.push(db.prepare(
+        `INSERT INTO instance_starters (instance_id, position, prompt) VALUES (?, ?, ?)`
+      ).bind(data.id, position, prompt));
+    });
+  }
+  
+  // Insert webhooks
+  if (data.webhooks && data.webhooks.length > 0) {
+    data.webhooks.forEach((webhook, position) => {
+      statements.push(db.prepare(
+        `INSERT INTO instance_webhooks (instance_id, position, url, secret, events) VALUES (?, ?, ?, ?, ?)`
+      ).bind(data.id, position, ...webhookParams(webhook)));
+    });
+  }
+  
+  // Insert experiment variants
+  if (data.experiment_variants && data.experiment_variants.length > 0) {
+    data.experiment_variants.forEach((variant, position) => {
+      statements.push(db.prepare(
+        `INSERT INTO instance_experiment_variants (instance_id, position, variant_key, weight, typingmind_agent_id, welcome_message, starters) VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(data.id, position, ...experimentVariantParams(variant)));
+    });
+  }
+  
   // Insert rate limits
   statements.push(db.prepare(
     `INSERT INTO instance_rate_limits (instance_id, messages_per_hour, messages_per_session) 
      VALUES (?, ?, ?)`
   ).bind(data.id, data.messages_per_hour || 100, data.messages_per_session || 30));
   
+  // Insert upstream settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_upstream_settings (instance_id, timeout_ms, max_retries, backoff_base_ms, backoff_max_ms) 
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(data.id, ...upstreamSettingsParams(data)));
+  
   // Insert features
   statements.push(db.prepare(
     `INSERT INTO instance_features (instance_id, image_upload, markdown, persist_session) 
@@ -186,6 +515,61 @@ export async function createInstance(db, data) {
   ).bind(data.id, data.welcome_message || 'Hello! How can I help you today?', 
          data.show_on_new_session !== false ? 1 : 0, data.show_on_return ? 1 : 0));
   
+  // Insert context template
+  statements.push(db.prepare(
+    `INSERT INTO instance_context_templates (instance_id, context_template) VALUES (?, ?)`
+  ).bind(data.id, data.context_template || null));
+  
+  // Insert lead form
+  statements.push(db.prepare(
+    `INSERT INTO instance_lead_forms (instance_id, enabled, title, fields) VALUES (?, ?, ?, ?)`
+  ).bind(data.id, ...leadFormParams(data)));
+  
+  // Insert handoff settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_handoff_settings (instance_id, enabled, staff_name, waiting_message) VALUES (?, ?, ?, ?)`
+  ).bind(data.id, ...handoffSettingsParams(data)));
+  
+  // Insert redaction settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_redaction_settings (instance_id, email_action, phone_action, card_action, custom_patterns) VALUES (?, ?, ?, ?, ?)`
+  ).bind(data.id, ...redactionSettingsParams(data)));
+  
+  // Insert guardrails
+  statements.push(db.prepare(
+    `INSERT INTO instance_guardrails (instance_id, blocked_keywords, blocked_patterns, refusal_message, check_replies) VALUES (?, ?, ?, ?, ?)`
+  ).bind(data.id, ...guardrailParams(data)));
+  
+  // Insert quotas
+  statements.push(db.prepare(
+    `INSERT INTO instance_quotas (instance_id, messages_per_day, messages_per_month, tokens_per_month, warning_percent, limit_message) VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(data.id, ...quotaParams(data)));
+  
+  // Insert network rules
+  statements.push(db.prepare(
+    `INSERT INTO instance_network_rules (instance_id, deny_cidrs, deny_countries, deny_asns, allow_cidrs, allow_countries, allow_asns) VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(data.id, ...networkRuleParams(data)));
+  
+  // Insert challenge settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_challenge_settings (instance_id, enabled, site_key, secret_key, trust_minutes) VALUES (?, ?, ?, ?, ?)`
+  ).bind(data.id, ...challengeSettingsParams(data)));
+  
+  // Insert identity settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_identity_settings (instance_id, enabled, secret, forward_to_agent) VALUES (?, ?, ?, ?)`
+  ).bind(data.id, ...identitySettingsParams(data)));
+  
+  // Insert business hours
+  statements.push(db.prepare(
+    `INSERT INTO instance_business_hours (instance_id, enabled, timezone, schedule, holidays, offline_behavior, offline_message, strict) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(data.id, ...businessHoursParams(data)));
+  
+  // Insert locale settings
+  statements.push(db.prepare(
+    `INSERT INTO instance_locale_settings (instance_id, default_locale, auto_detect, direction, string_overrides, welcome_translations) VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(data.id, ...localeSettingsParams(data)));
+  
   // Execute all statements
   await db.batch(statements);
 }
@@ -203,9 +587,11 @@ export async function updateInstance(db, id, data) {
   // Update main instance
   statements.push(db.prepare(`
     UPDATE agent_instances 
-    SET name = ?, typingmind_agent_id = ?, api_key = ?, updated_at = CURRENT_TIMESTAMP
+    SET name = ?, typingmind_agent_id = ?, api_key = ?,
+        state = ?, maintenance_message = ?, maintenance_starts_at = ?, maintenance_ends_at = ?,
+        updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
-  `).bind(data.name, data.typingmind_agent_id, data.api_key || null, id));
+  `).bind(data.name, data.typingmind_agent_id, data.api_key || null, ...instanceStateParams(data), id));
   
   // Delete existing domains and re-insert
   statements.push(db.prepare('DELETE FROM instance_domains WHERE instance_id = ?').bind(id));
@@ -215,6 +601,54 @@ export async function updateInstance(db, id, data) {
     }
   }
   
+  // Delete existing paths and re-insert
+  statements.push(db.prepare('DELETE FROM instance_paths WHERE instance_id = ?').bind(id));
+  if (data.paths && data.paths.length > 0) {
+    for (const path of data.paths) {
+      statements.push(db.prepare('INSERT INTO instance_paths (instance_id, path) VALUES (?, ?)').bind(id, path));
+    }
+  }
+  
+  // Delete existing backup agents and re-insert
+  statements.push(db.prepare('DELETE FROM instance_backup_agents WHERE instance_id = ?').bind(id));
+  if (data.backup_agents && data.backup_agents.length > 0) {
+    data.backup_agents.forEach((backup, position) => {
+      statements.push(db.prepare(
+        'INSERT INTO instance_backup_agents (instance_id, position, typingmind_agent_id, api_key) VALUES (?, ?, ?, ?)'
+      ).bind(id, position, backup.typingmind_agent_id, backup.api_key || null));
+    });
+  }
+  
+  // Update conversation starters (delete and re-insert to keep order)
+  statements.push(db.prepare('DELETE FROM instance_starters WHERE instance_id = ?').bind(id));
+  if (data.starters && data.starters.length > 0) {
+    data.starters.forEach((prompt, position) => {
+      statements.push(db.prepare(
+        'INSERT INTO instance_starters (instance_id, position, prompt) VALUES (?, ?, ?)'
+      ).bind(id, position, prompt));
+    });
+  }
+  
+  // Update webhooks (delete and re-insert to keep order)
+  statements.push(db.prepare('DELETE FROM instance_webhooks WHERE instance_id = ?').bind(id));
+  if (data.webhooks && data.webhooks.length > 0) {
+    data.webhooks.forEach((webhook, position) => {
+      statements.push(db.prepare(
+        'INSERT INTO instance_webhooks (instance_id, position, url, secret, events) VALUES (?, ?, ?, ?, ?)'
+      ).bind(id, position, ...webhookParams(webhook)));
+    });
+  }
+  
+  // Update experiment variants (delete and re-insert to keep order)
+  statements.push(db.prepare('DELETE FROM instance_experiment_variants WHERE instance_id = ?').bind(id));
+  if (data.experiment_variants && data.experiment_variants.length > 0) {
+    data.experiment_variants.forEach((variant, position) => {
+      statements.push(db.prepare(
+        'INSERT INTO instance_experiment_variants (instance_id, position, variant_key, weight, typingmind_agent_id, welcome_message, starters) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      ).bind(id, position, ...experimentVariantParams(variant)));
+    });
+  }
+  
   // Update features
   statements.push(db.prepare(`
     INSERT OR REPLACE INTO instance_features (instance_id, markdown, image_upload, persist_session) 
@@ -227,6 +661,12 @@ export async function updateInstance(db, id, data) {
     VALUES (?, ?, ?)
   `).bind(id, data.messages_per_hour, data.messages_per_session));
   
+  // Update upstream settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_upstream_settings (instance_id, timeout_ms, max_retries, backoff_base_ms, backoff_max_ms) 
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, ...upstreamSettingsParams(data)));
+  
   // Update theme
   statements.push(db.prepare(`
     INSERT OR REPLACE INTO instance_themes (instance_id, primary_color, position, width, embed_mode) 
@@ -240,6 +680,72 @@ export async function updateInstance(db, id, data) {
   `).bind(id, data.welcome_message || 'Hello! How can I help you today?', 
          data.show_on_new_session !== false ? 1 : 0, data.show_on_return ? 1 : 0));
   
+  // Update context template
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_context_templates (instance_id, context_template)
+    VALUES (?, ?)
+  `).bind(id, data.context_template || null));
+  
+  // Update lead form
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_lead_forms (instance_id, enabled, title, fields)
+    VALUES (?, ?, ?, ?)
+  `).bind(id, ...leadFormParams(data)));
+  
+  // Update handoff settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_handoff_settings (instance_id, enabled, staff_name, waiting_message)
+    VALUES (?, ?, ?, ?)
+  `).bind(id, ...handoffSettingsParams(data)));
+  
+  // Update redaction settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_redaction_settings (instance_id, email_action, phone_action, card_action, custom_patterns)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, ...redactionSettingsParams(data)));
+  
+  // Update guardrails
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_guardrails (instance_id, blocked_keywords, blocked_patterns, refusal_message, check_replies)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, ...guardrailParams(data)));
+  
+  // Update quotas
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_quotas (instance_id, messages_per_day, messages_per_month, tokens_per_month, warning_percent, limit_message)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(id, ...quotaParams(data)));
+  
+  // Update network rules
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_network_rules (instance_id, deny_cidrs, deny_countries, deny_asns, allow_cidrs, allow_countries, allow_asns)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(id, ...networkRuleParams(data)));
+  
+  // Update challenge settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_challenge_settings (instance_id, enabled, site_key, secret_key, trust_minutes)
+    VALUES (?, ?, ?, ?, ?)
+  `).bind(id, ...challengeSettingsParams(data)));
+  
+  // Update identity settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_identity_settings (instance_id, enabled, secret, forward_to_agent)
+    VALUES (?, ?, ?, ?)
+  `).bind(id, ...identitySettingsParams(data)));
+  
+  // Update business hours
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_business_hours (instance_id, enabled, timezone, schedule, holidays, offline_behavior, offline_message, strict)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(id, ...businessHoursParams(data)));
+  
+  // Update locale settings
+  statements.push(db.prepare(`
+    INSERT OR REPLACE INTO instance_locale_settings (instance_id, default_locale, auto_detect, direction, string_overrides, welcome_translations)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(id, ...localeSettingsParams(data)));
+  
   // Execute all statements
   await db.batch(statements);
 }
@@ -254,6 +760,24 @@ export async function deleteInstance(db, id) {
   await db.prepare('DELETE FROM agent_instances WHERE id = ?').bind(id).run();
 }
 
+/**
+ * Switch an instance's state straight away, keeping the rest of its setup
+ * Any scheduled maintenance window is cleared so the new state applies now
+ * @param {D1Database} db - D1 database instance
+ * @param {string} id - Instance ID
+ * @param {string} state - 'active', 'paused' or 'maintenance'
+ * @returns {Promise<boolean>} True when the instance exists
+ */
+export async function setInstanceState(db, id, state) {
+  const result = await db.prepare(`
+    UPDATE agent_instances
+    SET state = ?, maintenance_starts_at = NULL, maintenance_ends_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).bind(state, id).run();
+
+  return result.meta?.changes > 0;
+}
+
 /**
  * Clone an instance with all its settings
  * @param {D1Database} db - D1 database instance
@@ -276,9 +800,10 @@ export async function cloneInstance(db, sourceId, newId, name) {
   
   // Clone instance
   statements.push(db.prepare(
-    `INSERT INTO agent_instances (id, typingmind_agent_id, name, api_key) 
-     VALUES (?, ?, ?, ?)`
-  ).bind(newId, source.typingmind_agent_id, name, source.api_key));
+    `INSERT INTO agent_instances (id, typingmind_agent_id, name, api_key, state, maintenance_message, maintenance_starts_at, maintenance_ends_at) 
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(newId, source.typingmind_agent_id, name, source.api_key, source.state || 'active', source.maintenance_message || null,
+         source.maintenance_starts_at || null, source.maintenance_ends_at || null));
   
   // Clone domains
   const domains = await db.prepare(
@@ -291,6 +816,62 @@ export async function cloneInstance(db, sourceId, newId, name) {
     ).bind(newId, domain.domain));
   }
   
+  // Clone paths
+  const paths = await db.prepare(
+    'SELECT path FROM instance_paths WHERE instance_id = ?'
+  ).bind(sourceId).all();
+  
+  for (const path of paths.results) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_paths (instance_id, path) VALUES (?, ?)`
+    ).bind(newId, path.path));
+  }
+  
+  // Clone backup agents
+  const backupAgents = await db.prepare(
+    'SELECT position, typingmind_agent_id, api_key FROM instance_backup_agents WHERE instance_id = ?'
+  ).bind(sourceId).all();
+  
+  for (const backup of backupAgents.results) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_backup_agents (instance_id, position, typingmind_agent_id, api_key) VALUES (?, ?, ?, ?)`
+    ).bind(newId, backup.position, backup.typingmind_agent_id, backup.api_key));
+  }
+  
+  // Clone conversation starters
+  const starters = await db.prepare(
+    'SELECT position, prompt FROM instance_starters WHERE instance_id = ?'
+  ).bind(sourceId).all();
+  
+  for (const starter of starters.results) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_starters (instance_id, position, prompt) VALUES (?, ?, ?)`
+    ).bind(newId, starter.position, starter.prompt));
+  }
+  
+  // Clone webhooks
+  const webhooks = await db.prepare(
+    'SELECT position, url, secret, events FROM instance_webhooks WHERE instance_id = ?'
+  ).bind(sourceId).all();
+  
+  for (const webhook of webhooks.results) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_webhooks (instance_id, position, url, secret, events) VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, webhook.position, webhook.url, webhook.secret, webhook.events));
+  }
+  
+  // Clone experiment variants
+  const experimentVariants = await db.prepare(
+    'SELECT position, variant_key, weight, typingmind_agent_id, welcome_message, starters FROM instance_experiment_variants WHERE instance_id = ?'
+  ).bind(sourceId).all();
+  
+  for (const variant of experimentVariants.results) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_experiment_variants (instance_id, position, variant_key, weight, typingmind_agent_id, welcome_message, starters) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(newId, variant.position, variant.variant_key, variant.weight, variant.typingmind_agent_id,
+           variant.welcome_message, variant.starters));
+  }
+  
   // Clone rate limits
   const rateLimits = await db.prepare(
     'SELECT * FROM instance_rate_limits WHERE instance_id = ?'
@@ -303,6 +884,19 @@ export async function cloneInstance(db, sourceId, newId, name) {
     ).bind(newId, rateLimits.messages_per_hour, rateLimits.messages_per_session));
   }
   
+  // Clone upstream settings
+  const upstreamSettings = await db.prepare(
+    'SELECT * FROM instance_upstream_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (upstreamSettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_upstream_settings (instance_id, timeout_ms, max_retries, backoff_base_ms, backoff_max_ms) 
+       VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, upstreamSettings.timeout_ms, upstreamSettings.max_retries, 
+           upstreamSettings.backoff_base_ms, upstreamSettings.backoff_max_ms));
+  }
+  
   // Clone features
   const features = await db.prepare(
     'SELECT * FROM instance_features WHERE instance_id = ?'
@@ -339,6 +933,392 @@ export async function cloneInstance(db, sourceId, newId, name) {
     ).bind(newId, welcomeMessage.welcome_message, welcomeMessage.show_on_new_session, welcomeMessage.show_on_return));
   }
   
+  // Clone context template
+  const contextTemplate = await db.prepare(
+    'SELECT * FROM instance_context_templates WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (contextTemplate) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_context_templates (instance_id, context_template) VALUES (?, ?)`
+    ).bind(newId, contextTemplate.context_template));
+  }
+  
+  // Clone lead form
+  const leadForm = await db.prepare(
+    'SELECT * FROM instance_lead_forms WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (leadForm) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_lead_forms (instance_id, enabled, title, fields) VALUES (?, ?, ?, ?)`
+    ).bind(newId, leadForm.enabled, leadForm.title, leadForm.fields));
+  }
+  
+  // Clone handoff settings
+  const handoffSettings = await db.prepare(
+    'SELECT * FROM instance_handoff_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (handoffSettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_handoff_settings (instance_id, enabled, staff_name, waiting_message) VALUES (?, ?, ?, ?)`
+    ).bind(newId, handoffSettings.enabled, handoffSettings.staff_name, handoffSettings.waiting_message));
+  }
+  
+  // Clone redaction settings
+  const redactionSettings = await db.prepare(
+    'SELECT * FROM instance_redaction_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (redactionSettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_redaction_settings (instance_id, email_action, phone_action, card_action, custom_patterns) VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, redactionSettings.email_action, redactionSettings.phone_action,
+           redactionSettings.card_action, redactionSettings.custom_patterns));
+  }
+  
+  // Clone guardrails
+  const guardrails = await db.prepare(
+    'SELECT * FROM instance_guardrails WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (guardrails) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_guardrails (instance_id, blocked_keywords, blocked_patterns, refusal_message, check_replies) VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, guardrails.blocked_keywords, guardrails.blocked_patterns,
+           guardrails.refusal_message, guardrails.check_replies));
+  }
+  
+  // Clone quotas (usage starts from zero)
+  const quotas = await db.prepare(
+    'SELECT * FROM instance_quotas WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (quotas) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_quotas (instance_id, messages_per_day, messages_per_month, tokens_per_month, warning_percent, limit_message) VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(newId, quotas.messages_per_day, quotas.messages_per_month, quotas.tokens_per_month,
+           quotas.warning_percent, quotas.limit_message));
+  }
+  
+  // Clone network rules
+  const networkRules = await db.prepare(
+    'SELECT * FROM instance_network_rules WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (networkRules) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_network_rules (instance_id, deny_cidrs, deny_countries, deny_asns, allow_cidrs, allow_countries, allow_asns) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(newId, networkRules.deny_cidrs, networkRules.deny_countries, networkRules.deny_asns,
+           networkRules.allow_cidrs, networkRules.allow_countries, networkRules.allow_asns));
+  }
+  
+  // Clone challenge settings (verified sessions are not copied)
+  const challengeSettings = await db.prepare(
+    'SELECT * FROM instance_challenge_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (challengeSettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_challenge_settings (instance_id, enabled, site_key, secret_key, trust_minutes) VALUES (?, ?, ?, ?, ?)`
+    ).bind(newId, challengeSettings.enabled, challengeSettings.site_key,
+           challengeSettings.secret_key, challengeSettings.trust_minutes));
+  }
+  
+  // Clone identity settings with a new secret, so tokens signed for the source are not accepted
+  const identitySettings = await db.prepare(
+    'SELECT * FROM instance_identity_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (identitySettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_identity_settings (instance_id, enabled, secret, forward_to_agent) VALUES (?, ?, ?, ?)`
+    ).bind(newId, identitySettings.enabled, identitySettings.secret ? generateIdentitySecret() : null,
+           identitySettings.forward_to_agent));
+  }
+  
+  // Clone business hours
+  const businessHours = await db.prepare(
+    'SELECT * FROM instance_business_hours WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (businessHours) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_business_hours (instance_id, enabled, timezone, schedule, holidays, offline_behavior, offline_message, strict) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(newId, businessHours.enabled, businessHours.timezone, businessHours.schedule, businessHours.holidays,
+           businessHours.offline_behavior, businessHours.offline_message, businessHours.strict));
+  }
+  
+  // Clone locale settings
+  const localeSettings = await db.prepare(
+    'SELECT * FROM instance_locale_settings WHERE instance_id = ?'
+  ).bind(sourceId).first();
+  
+  if (localeSettings) {
+    statements.push(db.prepare(
+      `INSERT INTO instance_locale_settings (instance_id, default_locale, auto_detect, direction, string_overrides, welcome_translations) VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(newId, localeSettings.default_locale, localeSettings.auto_detect, localeSettings.direction,
+           localeSettings.string_overrides, localeSettings.welcome_translations));
+  }
+  
   // Execute all statements
   await db.batch(statements);
-}
\ No newline at end of file
+}
+
+/**
+ * Get upstream settings bind parameters with defaults applied
+ * @param {Object} data - Instance data
+ * @returns {Array} [timeout_ms, max_retries, backoff_base_ms, backoff_max_ms]
+ */
+function upstreamSettingsParams(data) {
+  return [
+    data.timeout_ms || 30000,
+    Number.isInteger(data.max_retries) ? data.max_retries : 2,
+    data.backoff_base_ms || 500,
+    data.backoff_max_ms || 8000
+  ];
+}
+
+/**
+ * Get lead form bind parameters
+ * Fields are stored as JSON; an empty list means the default name and email fields
+ * @param {Object} data - Instance data
+ * @returns {Array} [enabled, title, fields]
+ */
+function leadFormParams(data) {
+  const fields = Array.isArray(data.lead_form_fields) && data.lead_form_fields.length > 0
+    ? JSON.stringify(data.lead_form_fields)
+    : null;
+  
+  return [
+    data.lead_form_enabled ? 1 : 0,
+    data.lead_form_title || null,
+    fields
+  ];
+}
+
+/**
+ * Get handoff settings bind parameters
+ * Empty text falls back to the defaults in getInstanceConfig
+ * @param {Object} data - Instance data
+ * @returns {Array} [enabled, staff_name, waiting_message]
+ */
+function handoffSettingsParams(data) {
+  return [
+    data.handoff_enabled ? 1 : 0,
+    data.handoff_staff_name || null,
+    data.handoff_waiting_message || null
+  ];
+}
+
+/**
+ * Get redaction settings bind parameters
+ * Unknown actions are stored as off; custom patterns are stored as JSON
+ * @param {Object} data - Instance data
+ * @returns {Array} [email_action, phone_action, card_action, custom_patterns]
+ */
+function redactionSettingsParams(data) {
+  const patterns = Array.isArray(data.redaction_patterns) && data.redaction_patterns.length > 0
+    ? JSON.stringify(data.redaction_patterns)
+    : null;
+  
+  return [
+    normalizeRedactionAction(data.redact_email),
+    normalizeRedactionAction(data.redact_phone),
+    normalizeRedactionAction(data.redact_card),
+    patterns
+  ];
+}
+
+/**
+ * Get guardrail bind parameters
+ * Keyword and pattern lists are stored as JSON; an empty refusal falls back to the default
+ * @param {Object} data - Instance data
+ * @returns {Array} [blocked_keywords, blocked_patterns, refusal_message, check_replies]
+ */
+function guardrailParams(data) {
+  const toJson = (list) => Array.isArray(list) && list.length > 0 ? JSON.stringify(list) : null;
+  
+  return [
+    toJson(data.blocked_keywords),
+    toJson(data.blocked_patterns),
+    data.refusal_message || null,
+    data.guardrail_check_replies ? 1 : 0
+  ];
+}
+
+/**
+ * Get quota bind parameters
+ * Quotas that are empty or not positive are stored as NULL (unlimited)
+ * @param {Object} data - Instance data
+ * @returns {Array} [messages_per_day, messages_per_month, tokens_per_month, warning_percent, limit_message]
+ */
+function quotaParams(data) {
+  const toLimit = (value) => Number.isInteger(value) && value > 0 ? value : null;
+  
+  return [
+    toLimit(data.messages_per_day),
+    toLimit(data.messages_per_month),
+    toLimit(data.tokens_per_month),
+    toLimit(data.quota_warning_percent) || DEFAULT_QUOTA_WARNING_PERCENT,
+    data.quota_message || null
+  ];
+}
+
+/**
+ * Get network rule bind parameters
+ * Each list is normalized and stored as JSON; invalid entries are dropped and empty lists stored as NULL
+ * @param {Object} data - Instance data
+ * @returns {Array} [deny_cidrs, deny_countries, deny_asns, allow_cidrs, allow_countries, allow_asns]
+ */
+function networkRuleParams(data) {
+  return NETWORK_RULE_LISTS.map(list => {
+    const rules = parseNetworkRuleList(data[list.field], list.kind);
+    return rules.length > 0 ? JSON.stringify(rules) : null;
+  });
+}
+
+/**
+ * Get challenge settings bind parameters
+ * Trust times outside 1 minute to MAX_CHALLENGE_TRUST_MINUTES fall back to the default
+ * @param {Object} data - Instance data
+ * @returns {Array} [enabled, site_key, secret_key, trust_minutes]
+ */
+function challengeSettingsParams(data) {
+  const trustMinutes = Number.isInteger(data.challenge_trust_minutes) &&
+    data.challenge_trust_minutes >= 1 && data.challenge_trust_minutes <= MAX_CHALLENGE_TRUST_MINUTES
+    ? data.challenge_trust_minutes
+    : DEFAULT_CHALLENGE_TRUST_MINUTES;
+  
+  return [
+    data.challenge_enabled ? 1 : 0,
+    data.challenge_site_key || null,
+    data.challenge_secret_key || null,
+    trustMinutes
+  ];
+}
+
+/**
+ * Get identity settings bind parameters
+ * Turning identities on without a secret generates one
+ * @param {Object} data - Instance data
+ * @returns {Array} [enabled, secret, forward_to_agent]
+ */
+function identitySettingsParams(data) {
+  const secret = typeof data.identity_secret === 'string' ? data.identity_secret.trim() : '';
+  
+  return [
+    data.identity_enabled ? 1 : 0,
+    secret || (data.identity_enabled ? generateIdentitySecret() : null),
+    data.identity_forward_to_agent ? 1 : 0
+  ];
+}
+
+/**
+ * Get instance state bind parameters
+ * An unknown state is stored active; window times that cannot be read are dropped
+ * @param {Object} data - Instance data
+ * @returns {Array} [state, maintenance_message, maintenance_starts_at, maintenance_ends_at]
+ */
+function instanceStateParams(data) {
+  return [
+    INSTANCE_STATES.includes(data.state) ? data.state : 'active',
+    data.maintenance_message || null,
+    parseWindowTime(data.maintenance_starts_at) || null,
+    parseWindowTime(data.maintenance_ends_at) || null
+  ];
+}
+
+/**
+ * Get business hours bind parameters
+ * Days with invalid hours are stored closed; an unknown time zone or behavior falls back to UTC or banner
+ * @param {Object} data - Instance data
+ * @returns {Array} [enabled, timezone, schedule, holidays, offline_behavior, offline_message, strict]
+ */
+function businessHoursParams(data) {
+  const schedule = {};
+  for (const day of BUSINESS_DAYS) {
+    schedule[day.key] = parseHourRanges(data[day.field] || '') || [];
+  }
+  const holidays = parseHolidayList(data.business_holidays);
+  
+  return [
+    data.business_hours_enabled ? 1 : 0,
+    isValidTimeZone(data.business_timezone) ? data.business_timezone : 'UTC',
+    JSON.stringify(schedule),
+    holidays.length > 0 ? JSON.stringify(holidays) : null,
+    OFFLINE_BEHAVIORS.includes(data.offline_behavior) ? data.offline_behavior : 'banner',
+    data.offline_message || null,
+    data.business_hours_strict ? 1 : 0
+  ];
+}
+
+/**
+ * Get locale settings bind parameters
+ * Overrides and welcome translations are stored as JSON objects keyed by locale
+ * @param {Object} data - Instance data
+ * @returns {Array} [default_locale, auto_detect, direction, string_overrides, welcome_translations]
+ */
+function localeSettingsParams(data) {
+  const overrides = {};
+  for (const { locale, key, text } of data.string_overrides || []) {
+    overrides[locale] = { ...overrides[locale], [key]: text };
+  }
+  
+  const welcomes = {};
+  for (const { locale, text } of data.welcome_translations || []) {
+    welcomes[locale] = text;
+  }
+  
+  return [
+    isSupportedLocale(data.default_locale) ? data.default_locale : 'en',
+    data.locale_auto_detect ? 1 : 0,
+    TEXT_DIRECTIONS.includes(data.text_direction) ? data.text_direction : 'auto',
+    Object.keys(overrides).length > 0 ? JSON.stringify(overrides) : null,
+    Object.keys(welcomes).length > 0 ? JSON.stringify(welcomes) : null
+  ];
+}
+
+/**
+ * Build the handoff settings of an instance from its joined row
+ * @param {Object} row - Row with handoff_enabled, handoff_staff_name and handoff_waiting_message
+ * @returns {Object} { enabled, staffName, waitingMessage }
+ */
+function handoffConfig(row) {
+  return {
+    enabled: !!row.handoff_enabled,
+    staffName: row.handoff_staff_name || 'Support team',
+    waitingMessage: row.handoff_waiting_message || 'Connecting you with a member of our team. They will reply here shortly.'
+  };
+}
+
+/**
+ * Get webhook bind parameters
+ * A webhook saved without a secret gets a generated one; events are stored as a comma list
+ * @param {Object} webhook - Webhook as { url, secret, events }
+ * @returns {Array} [url, secret, events]
+ */
+function webhookParams(webhook) {
+  return [
+    webhook.url,
+    webhook.secret || generateWebhookSecret(),
+    Array.isArray(webhook.events) ? webhook.events.join(',') : ''
+  ];
+}
+
+/**
+ * Get experiment variant bind parameters
+ * Empty fields are stored as NULL so the variant keeps the instance's own setting
+ * @param {Object} variant - Variant as { key, weight, typingmind_agent_id, welcome_message, starters }
+ * @returns {Array} [variant_key, weight, typingmind_agent_id, welcome_message, starters]
+ */
+function experimentVariantParams(variant) {
+  return [
+    variant.key,
+    variant.weight,
+    variant.typingmind_agent_id || null,
+    variant.welcome_message || null,
+    JSON.stringify(Array.isArray(variant.starters) ? variant.starters : [])
+  ];
+}
@@ -5,13 +5,17 @@
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import {
   getInstanceConfig,
+  getInstanceHandoffConfig,
   getAllInstances,
   getInstanceById,
   createInstance,
   updateInstance,
   deleteInstance,
-  cloneInstance
+  cloneInstance,
+  setInstanceState
 } from './database.js';
+import { DEFAULT_OFFLINE_MESSAGE } from './business-hours.js';
+import { DEFAULT_MAINTENANCE_MESSAGE } from './instance-state.js';
 
 // Mock D1 database
 function createMockDB() {
@@ -22,6 +26,10 @@ function createMockDB() {
         name: 'Test Instance',
         typingmind_agent_id: 'agent-123',
         api_key: 'test-key',
+        state: 'maintenance',
+        maintenance_message: null,
+        maintenance_starts_at: '2026-10-20T22:00:00.000Z',
+        maintenance_ends_at: null,
         created_at: '2024-01-01',
         updated_at: '2024-01-01'
       }
@@ -33,12 +41,122 @@ function createMockDB() {
     instance_paths: [
       { id: 1, instance_id: 'test-instance', path: '/api/*' }
     ],
+    instance_backup_agents: [
+      { id: 2, instance_id: 'test-instance', position: 1, typingmind_agent_id: 'agent-backup-2', api_key: null },
+      { id: 1, instance_id: 'test-instance', position: 0, typingmind_agent_id: 'agent-backup-1', api_key: 'backup-key' }
+    ],
+    instance_starters: [
+      { id: 2, instance_id: 'test-instance', position: 1, prompt: 'Book a demo' },
+      { id: 1, instance_id: 'test-instance', position: 0, prompt: 'What does it cost?' }
+    ],
+    instance_webhooks: [
+      { id: 1, instance_id: 'test-instance', position: 0, url: 'https://hooks.example.com/chat', secret: 'whsec_abc', events: 'lead.captured,agent.error' }
+    ],
+    instance_experiment_variants: [
+      { id: 2, instance_id: 'test-instance', position: 1, variant_key: 'friendly', weight: 3, typingmind_agent_id: 'agent-friendly', welcome_message: 'Hey there!', starters: '["Show me around"]' },
+      { id: 1, instance_id: 'test-instance', position: 0, variant_key: 'control', weight: 1, typingmind_agent_id: null, welcome_message: null, starters: '[]' }
+    ],
     instance_rate_limits: [
       { instance_id: 'test-instance', messages_per_hour: 200, messages_per_session: 50 }
     ],
+    instance_upstream_settings: [
+      { instance_id: 'test-instance', timeout_ms: 15000, max_retries: 0, backoff_base_ms: 250, backoff_max_ms: 4000 }
+    ],
     instance_features: [
       { instance_id: 'test-instance', image_upload: 1, markdown: 1, persist_session: 0 }
     ],
+    instance_context_templates: [
+      { instance_id: 'test-instance', context_template: 'Page: {{url}}' }
+    ],
+    instance_lead_forms: [
+      {
+        instance_id: 'test-instance',
+        enabled: 1,
+        title: 'Say hello',
+        fields: '[{"key":"email","label":"Work email","type":"email","required":true}]'
+      }
+    ],
+    instance_handoff_settings: [
+      { instance_id: 'test-instance', enabled: 1, staff_name: 'Ada from Support', waiting_message: null }
+    ],
+    instance_redaction_settings: [
+      {
+        instance_id: 'test-instance',
+        email_action: 'tokenize',
+        phone_action: 'off',
+        card_action: 'reject',
+        custom_patterns: '[{"name":"mrn","pattern":"MRN-\\\\d{6}","action":"mask"}]'
+      }
+    ],
+    instance_guardrails: [
+      {
+        instance_id: 'test-instance',
+        blocked_keywords: '["crypto","stock tips"]',
+        blocked_patterns: '["\\\\bbet(ting)?\\\\b"]',
+        refusal_message: null,
+        check_replies: 1
+      }
+    ],
+    instance_quotas: [
+      {
+        instance_id: 'test-instance',
+        messages_per_day: 500,
+        messages_per_month: null,
+        tokens_per_month: 2000000,
+        warning_percent: 90,
+        limit_message: null
+      }
+    ],
+    instance_network_rules: [
+      {
+        instance_id: 'test-instance',
+        deny_cidrs: '["203.0.113.0/24"]',
+        deny_countries: null,
+        deny_asns: '[16509]',
+        allow_cidrs: null,
+        allow_countries: '["US","CA"]',
+        allow_asns: null
+      }
+    ],
+    instance_challenge_settings: [
+      {
+        instance_id: 'test-instance',
+        enabled: 1,
+        site_key: '0x4AAAAAAA-site',
+        secret_key: null,
+        trust_minutes: 120
+      }
+    ],
+    instance_identity_settings: [
+      {
+        instance_id: 'test-instance',
+        enabled: 1,
+        secret: 'idsec_test',
+        forward_to_agent: 1
+      }
+    ],
+    instance_business_hours: [
+      {
+        instance_id: 'test-instance',
+        enabled: 1,
+        timezone: 'Europe/London',
+        schedule: '{"mon":[{"start":540,"end":1020}],"sat":[{"start":600,"end":780}]}',
+        holidays: '["2026-12-25"]',
+        offline_behavior: 'form',
+        offline_message: null,
+        strict: 1
+      }
+    ],
+    instance_locale_settings: [
+      {
+        instance_id: 'test-instance',
+        default_locale: 'de',
+        auto_detect: 1,
+        direction: 'rtl',
+        string_overrides: '{"es":{"sendMessage":"Mandar"},"fr":{"sendMessage":"Envoyer"}}',
+        welcome_translations: '{"es":"¡Hola!"}'
+      }
+    ],
     instance_themes: [
       { instance_id: 'test-instance', primary_color: '#ff0000', position: 'bottom-left', width: 400, embed_mode: 'inline' }
     ]
@@ -63,20 +181,81 @@ function createMockDB() {
                 if (!instance) return null;
                 
                 const rateLimits = mockData.instance_rate_limits.find(r => r.instance_id === instanceId);
+                const upstream = mockData.instance_upstream_settings.find(u => u.instance_id === instanceId);
                 const features = mockData.instance_features.find(f => f.instance_id === instanceId);
                 const theme = mockData.instance_themes.find(t => t.instance_id === instanceId);
+                const contextTemplate = mockData.instance_context_templates.find(c => c.instance_id === instanceId);
+                const leadForm = mockData.instance_lead_forms.find(l => l.instance_id === instanceId);
+                const handoff = mockData.instance_handoff_settings.find(h => h.instance_id === instanceId);
+                const redaction = mockData.instance_redaction_settings.find(r => r.instance_id === instanceId);
+                const guardrails = mockData.instance_guardrails.find(g => g.instance_id === instanceId);
+                const quotas = mockData.instance_quotas.find(q => q.instance_id === instanceId);
+                const networkRules = mockData.instance_network_rules.find(n => n.instance_id === instanceId);
+                const challenge = mockData.instance_challenge_settings.find(c => c.instance_id === instanceId);
+                const identity = mockData.instance_identity_settings.find(s => s.instance_id === instanceId);
+                const businessHours = mockData.instance_business_hours.find(b => b.instance_id === instanceId);
+                const localeSettings = mockData.instance_locale_settings.find(l => l.instance_id === instanceId);
                 
                 return {
                   ...instance,
                   messages_per_hour: rateLimits?.messages_per_hour,
                   messages_per_session: rateLimits?.messages_per_session,
+                  timeout_ms: upstream?.timeout_ms,
+                  max_retries: upstream?.max_retries,
+                  backoff_base_ms: upstream?.backoff_base_ms,
+                  backoff_max_ms: upstream?.backoff_max_ms,
                   image_upload: features?.image_upload,
                   markdown: features?.markdown,
                   persist_session: features?.persist_session,
                   primary_color: theme?.primary_color,
                   position: theme?.position,
                   width: theme?.width,
-                  embed_mode: theme?.embed_mode
+                  embed_mode: theme?.embed_mode,
+                  context_template: contextTemplate?.context_template,
+                  lead_form_enabled: leadForm?.enabled,
+                  lead_form_title: leadForm?.title,
+                  lead_form_fields: leadForm?.fields,
+                  handoff_enabled: handoff?.enabled,
+                  handoff_staff_name: handoff?.staff_name,
+                  handoff_waiting_message: handoff?.waiting_message,
+                  redact_email: redaction?.email_action,
+                  redact_phone: redaction?.phone_action,
+                  redact_card: redaction?.card_action,
+                  redaction_patterns: redaction?.custom_patterns,
+                  blocked_keywords: guardrails?.blocked_keywords,
+                  blocked_patterns: guardrails?.blocked_patterns,
+                  refusal_message: guardrails?.refusal_message,
+                  guardrail_check_replies: guardrails?.check_replies,
+                  messages_per_day: quotas?.messages_per_day,
+                  messages_per_month: quotas?.messages_per_month,
+                  tokens_per_month: quotas?.tokens_per_month,
+                  quota_warning_percent: quotas?.warning_percent,
+                  quota_message: quotas?.limit_message,
+                  deny_cidrs: networkRules?.deny_cidrs,
+                  deny_countries: networkRules?.deny_countries,
+                  deny_asns: networkRules?.deny_asns,
+                  allow_cidrs: networkRules?.allow_cidrs,
+                  allow_countries: networkRules?.allow_countries,
+                  allow_asns: networkRules?.allow_asns,
+                  challenge_enabled: challenge?.enabled,
+                  challenge_site_key: challenge?.site_key,
+                  challenge_secret_key: challenge?.secret_key,
+                  challenge_trust_minutes: challenge?.trust_minutes,
+                  identity_enabled: identity?.enabled,
+                  identity_secret: identity?.secret,
+                  identity_forward: identity?.forward_to_agent,
+                  business_hours_enabled: businessHours?.enabled,
+                  business_timezone: businessHours?.timezone,
+                  business_schedule: businessHours?.schedule,
+                  business_holidays: businessHours?.holidays,
+                  offline_behavior: businessHours?.offline_behavior,
+                  offline_message: businessHours?.offline_message,
+                  business_hours_strict: businessHours?.strict,
+                  default_locale: localeSettings?.default_locale,
+                  locale_auto_detect: localeSettings?.auto_detect,
+                  text_direction: localeSettings?.direction,
+                  string_overrides: localeSettings?.string_overrides,
+                  welcome_translations: localeSettings?.welcome_translations
                 };
               }
               
@@ -95,6 +274,66 @@ function createMockDB() {
                 return mockData.instance_rate_limits.find(r => r.instance_id === instanceId) || null;
               }
               
+              if (normalizedQuery.includes('from instance_upstream_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_upstream_settings.find(u => u.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_context_templates')) {
+                const instanceId = params[0];
+                return mockData.instance_context_templates.find(c => c.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_lead_forms')) {
+                const instanceId = params[0];
+                return mockData.instance_lead_forms.find(l => l.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_handoff_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_handoff_settings.find(h => h.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_redaction_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_redaction_settings.find(r => r.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_guardrails')) {
+                const instanceId = params[0];
+                return mockData.instance_guardrails.find(g => g.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_quotas')) {
+                const instanceId = params[0];
+                return mockData.instance_quotas.find(q => q.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_network_rules')) {
+                const instanceId = params[0];
+                return mockData.instance_network_rules.find(n => n.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_challenge_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_challenge_settings.find(c => c.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_identity_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_identity_settings.find(s => s.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_business_hours')) {
+                const instanceId = params[0];
+                return mockData.instance_business_hours.find(b => b.instance_id === instanceId) || null;
+              }
+              
+              if (normalizedQuery.includes('from instance_locale_settings')) {
+                const instanceId = params[0];
+                return mockData.instance_locale_settings.find(l => l.instance_id === instanceId) || null;
+              }
+              
               if (normalizedQuery.includes('from instance_themes')) {
                 const instanceId = params[0];
                 return mockData.instance_themes.find(t => t.instance_id === instanceId) || null;
@@ -115,6 +354,38 @@ function createMockDB() {
                 return { results: paths };
               }
               
+              if (normalizedQuery.includes('from instance_backup_agents')) {
+                const instanceId = params[0];
+                const backups = mockData.instance_backup_agents
+                  .filter(b => b.instance_id === instanceId)
+                  .sort((a, b) => a.position - b.position);
+                return { results: backups };
+              }
+              
+              if (normalizedQuery.includes('from instance_starters')) {
+                const instanceId = params[0];
+                const starters = mockData.instance_starters
+                  .filter(s => s.instance_id === instanceId)
+                  .sort((a, b) => a.position - b.position);
+                return { results: starters };
+              }
+              
+              if (normalizedQuery.includes('from instance_webhooks')) {
+                const instanceId = params[0];
+                const webhooks = mockData.instance_webhooks
+                  .filter(w => w.instance_id === instanceId)
+                  .sort((a, b) => a.position - b.position);
+                return { results: webhooks };
+              }
+              
+              if (normalizedQuery.includes('from instance_experiment_variants')) {
+                const instanceId = params[0];
+                const variants = mockData.instance_experiment_variants
+                  .filter(v => v.instance_id === instanceId)
+                  .sort((a, b) => a.position - b.position);
+                return { results: variants };
+              }
+              
               if (normalizedQuery.includes('count(distinct')) {
                 // getAllInstances query
                 return {
@@ -129,6 +400,12 @@ function createMockDB() {
               return { results: [] };
             },
             run: async () => {
+              if (normalizedQuery.includes('update agent_instances set state')) {
+                const instance = mockData.agent_instances.find(i => i.id === params[1]);
+                if (instance) instance.state = params[0];
+                return { success: true, meta: { changes: instance ? 1 : 0 } };
+              }
+              
               // For delete operations
               if (normalizedQuery.includes('delete from agent_instances')) {
                 const instanceId = params[0];
@@ -166,12 +443,28 @@ describe('Database Module', () => {
         name: 'Test Instance',
         typingmindAgentId: 'agent-123',
         apiKey: 'test-key',
+        availability: {
+          state: 'maintenance',
+          maintenanceMessage: DEFAULT_MAINTENANCE_MESSAGE,
+          maintenanceStartsAt: '2026-10-20T22:00:00.000Z',
+          maintenanceEndsAt: null
+        },
         allowedDomains: ['example.com', '*.test.com'],
         allowedPaths: ['/api/*'],
+        backupAgents: [
+          { agentId: 'agent-backup-1', apiKey: 'backup-key' },
+          { agentId: 'agent-backup-2', apiKey: null }
+        ],
         rateLimit: {
           messagesPerHour: 200,
           messagesPerSession: 50
         },
+        upstream: {
+          timeoutMs: 15000,
+          maxRetries: 0,
+          backoffBaseMs: 250,
+          backoffMaxMs: 4000
+        },
         features: {
           imageUpload: true,
           markdown: true,
@@ -182,6 +475,89 @@ describe('Database Module', () => {
           position: 'bottom-left',
           width: 400,
           embedMode: 'inline'
+        },
+        starters: ['What does it cost?', 'Book a demo'],
+        experimentVariants: [
+          { key: 'control', weight: 1, agentId: null, welcomeMessage: null, starters: [] },
+          { key: 'friendly', weight: 3, agentId: 'agent-friendly', welcomeMessage: 'Hey there!', starters: ['Show me around'] }
+        ],
+        contextTemplate: 'Page: {{url}}',
+        leadForm: {
+          enabled: true,
+          title: 'Say hello',
+          fields: [{ key: 'email', label: 'Work email', type: 'email', required: true }]
+        },
+        webhooks: [
+          { url: 'https://hooks.example.com/chat', secret: 'whsec_abc', events: ['lead.captured', 'agent.error'] }
+        ],
+        handoff: {
+          enabled: true,
+          staffName: 'Ada from Support',
+          waitingMessage: 'Connecting you with a member of our team. They will reply here shortly.'
+        },
+        redaction: {
+          email: 'tokenize',
+          phone: 'off',
+          card: 'reject',
+          patterns: [{ name: 'mrn', pattern: 'MRN-\\d{6}', action: 'mask' }]
+        },
+        guardrails: {
+          keywords: ['crypto', 'stock tips'],
+          patterns: ['\\bbet(ting)?\\b'],
+          refusalMessage: "Sorry, I can't help with that. Is there something else I can help you with?",
+          checkReplies: true
+        },
+        quotas: {
+          messagesPerDay: 500,
+          messagesPerMonth: null,
+          tokensPerMonth: 2000000,
+          warningPercent: 90,
+          limitMessage: "We've reached our chat limit for now. Please try again later."
+        },
+        networkRules: {
+          denyCidrs: ['203.0.113.0/24'],
+          denyCountries: [],
+          denyAsns: [16509],
+          allowCidrs: [],
+          allowCountries: ['US', 'CA'],
+          allowAsns: []
+        },
+        challenge: {
+          enabled: true,
+          siteKey: '0x4AAAAAAA-site',
+          secretKey: null,
+          trustMinutes: 120
+        },
+        identity: {
+          enabled: true,
+          secret: 'idsec_test',
+          forwardToAgent: true
+        },
+        businessHours: {
+          enabled: true,
+          timezone: 'Europe/London',
+          schedule: {
+            mon: [{ start: 540, end: 1020 }],
+            tue: [],
+            wed: [],
+            thu: [],
+            fri: [],
+            sat: [{ start: 600, end: 780 }],
+            sun: []
+          },
+          holidays: ['2026-12-25'],
+          offlineBehavior: 'form',
+          offlineMessage: DEFAULT_OFFLINE_MESSAGE,
+          strict: true
+        },
+        welcomeMessage: {
+          translations: { es: '¡Hola!' }
+        },
+        locale: {
+          defaultLocale: 'de',
+          autoDetect: true,
+          direction: 'rtl',
+          strings: { es: { sendMessage: 'Mandar' } }
         }
       });
     });
@@ -211,12 +587,92 @@ describe('Database Module', () => {
         messagesPerHour: 100,
         messagesPerSession: 30
       });
+      expect(result.upstream).toEqual({
+        timeoutMs: 30000,
+        maxRetries: 2,
+        backoffBaseMs: 500,
+        backoffMaxMs: 8000
+      });
       expect(result.theme).toEqual({
         primaryColor: '#007bff',
         position: 'bottom-right',
         width: 380,
         embedMode: 'popup'
       });
+      expect(result.redaction).toEqual({ email: 'off', phone: 'off', card: 'off', patterns: [] });
+      expect(result.guardrails).toEqual({
+        keywords: [],
+        patterns: [],
+        refusalMessage: "Sorry, I can't help with that. Is there something else I can help you with?",
+        checkReplies: false
+      });
+      expect(result.quotas).toEqual({
+        messagesPerDay: null,
+        messagesPerMonth: null,
+        tokensPerMonth: null,
+        warningPercent: 80,
+        limitMessage: "We've reached our chat limit for now. Please try again later."
+      });
+      expect(result.networkRules).toEqual({
+        denyCidrs: [],
+        denyCountries: [],
+        denyAsns: [],
+        allowCidrs: [],
+        allowCountries: [],
+        allowAsns: []
+      });
+      expect(result.challenge).toEqual({ enabled: false, siteKey: null, secretKey: null, trustMinutes: 60 });
+      expect(result.identity).toEqual({ enabled: false, secret: null, forwardToAgent: false });
+      expect(result.businessHours).toMatchObject({
+        enabled: false,
+        timezone: 'UTC',
+        holidays: [],
+        offlineBehavior: 'banner',
+        offlineMessage: DEFAULT_OFFLINE_MESSAGE,
+        strict: false
+      });
+      expect(result.locale).toEqual({ defaultLocale: 'en', autoDetect: false, direction: 'auto', strings: {} });
+      expect(result.welcomeMessage.translations).toEqual({});
+      expect(result.leadForm).toEqual({
+        enabled: false,
+        title: 'Before we start',
+        fields: [
+          { key: 'name', label: 'Name', type: 'text', required: true },
+          { key: 'email', label: 'Email', type: 'email', required: true }
+        ]
+      });
+      expect(result.starters).toEqual([]);
+    });
+  });
+
+  describe('getInstanceHandoffConfig', () => {
+    test('should load only domains, paths and handoff settings', async () => {
+      const queries = [];
+      const trackingDB = {
+        prepare: (query) => {
+          queries.push(query);
+          return mockDB.prepare(query);
+        }
+      };
+      
+      const result = await getInstanceHandoffConfig(trackingDB, 'test-instance');
+      
+      expect(result).toEqual({
+        id: 'test-instance',
+        allowedDomains: ['example.com', '*.test.com'],
+        allowedPaths: ['/api/*'],
+        handoff: {
+          enabled: true,
+          staffName: 'Ada from Support',
+          waitingMessage: 'Connecting you with a member of our team. They will reply here shortly.'
+        }
+      });
+      expect(queries).toHaveLength(3);
+      expect(queries[0]).not.toContain('instance_rate_limits');
+    });
+
+    test('should return null for non-existent instance', async () => {
+      expect(await getInstanceHandoffConfig(mockDB, 'non-existent')).toBeNull();
     });
   });
 
@@ -247,6 +703,17 @@ describe('Database Module', () => {
           { domain: 'example.com' },
           { domain: '*.test.com' }
         ],
+        paths: [
+          { path: '/api/*' }
+        ],
+        backupAgents: [
+          { typingmind_agent_id: 'agent-backup-1', api_key: 'backup-key' },
+          { typingmind_agent_id: 'agent-backup-2', api_key: null }
+        ],
+        starters: [
+          { prompt: 'What does it cost?' },
+          { prompt: 'Book a demo' }
+        ],
         features: {
           image_upload: 1,
           markdown: 1,
@@ -256,11 +723,22 @@ describe('Database Module', () => {
           messages_per_hour: 200,
           messages_per_session: 50
         },
+        upstreamSettings: {
+          timeout_ms: 15000,
+          max_retries: 0
+        },
         theme: {
           primary_color: '#ff0000',
           position: 'bottom-left',
           width: 400,
           embed_mode: 'inline'
+        },
+        contextTemplate: {
+          context_template: 'Page: {{url}}'
+        },
+        leadForm: {
+          enabled: 1,
+          title: 'Say hello'
         }
       });
     });
@@ -310,6 +788,148 @@ describe('Database Module', () => {
       expect(statements.length).toBeGreaterThan(5); // instance + domains + rate limits + features + theme
     });
 
+    test('should insert allowed paths', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await createInstance(trackingDB, {
+        id: 'seo-bot-blog',
+        name: 'Blog Bot',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        paths: ['/blog/*', '/news/']
+      });
+
+      const pathStmts = statements.filter(s => s.query.includes('INSERT INTO instance_paths'));
+      expect(pathStmts.map(s => s.params)).toEqual([
+        ['seo-bot-blog', '/blog/*'],
+        ['seo-bot-blog', '/news/']
+      ]);
+    });
+
+    test('should insert backup agents in order', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await createInstance(trackingDB, {
+        id: 'seo-bot',
+        name: 'Bot',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        backup_agents: [
+          { typingmind_agent_id: 'agent-2', api_key: 'key-2' },
+          { typingmind_agent_id: 'agent-3' }
+        ]
+      });
+
+      const backupStmts = statements.filter(s => s.query.includes('INSERT INTO instance_backup_agents'));
+      expect(backupStmts.map(s => s.params)).toEqual([
+        ['seo-bot', 0, 'agent-2', 'key-2'],
+        ['seo-bot', 1, 'agent-3', null]
+      ]);
+    });
+
+    test('should insert webhooks, generating missing secrets', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await createInstance(trackingDB, {
+        id: 'seo-bot',
+        name: 'Bot',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        webhooks: [
+          { url: 'https://hooks.example.com/a', events: ['lead.captured', 'agent.error'], secret: 'whsec_mine' },
+          { url: 'https://hooks.example.com/b', events: [] }
+        ]
+      });
+
+      const webhookStmts = statements.filter(s => s.query.includes('INSERT INTO instance_webhooks'));
+      expect(webhookStmts[0].params).toEqual(['seo-bot', 0, 'https://hooks.example.com/a', 'whsec_mine', 'lead.captured,agent.error']);
+      expect(webhookStmts[1].params).toEqual(['seo-bot', 1, 'https://hooks.example.com/b', expect.stringMatching(/^whsec_/), '']);
+    });
+
+    test('should insert experiment variants, storing empty fields as NULL', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await createInstance(trackingDB, {
+        id: 'seo-bot',
+        name: 'Bot',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        experiment_variants: [
+          { key: 'control', weight: 1, typingmind_agent_id: '', welcome_message: '', starters: [] },
+          { key: 'short', weight: 2, typingmind_agent_id: 'agent-2', welcome_message: 'Hi!', starters: ['Pricing'] }
+        ]
+      });
+
+      const variantStmts = statements.filter(s => s.query.includes('INSERT INTO instance_experiment_variants'));
+      expect(variantStmts.map(s => s.params)).toEqual([
+        ['seo-bot', 0, 'control', 1, null, null, '[]'],
+        ['seo-bot', 1, 'short', 2, 'agent-2', 'Hi!', '["Pricing"]']
+      ]);
+    });
+
+    test('should insert conversation starters in order', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await createInstance(trackingDB, {
+        id: 'seo-bot',
+        name: 'Bot',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        starters: ['Audit my site', 'Explain Core Web Vitals']
+      });
+
+      const starterStmts = statements.filter(s => s.query.includes('INSERT INTO instance_starters'));
+      expect(starterStmts.map(s => s.params)).toEqual([
+        ['seo-bot', 0, 'Audit my site'],
+        ['seo-bot', 1, 'Explain Core Web Vitals']
+      ]);
+    });
+
     test('should use defaults for optional fields', async () => {
       const statements = [];
       const trackingDB = {
@@ -339,6 +959,46 @@ describe('Database Module', () => {
       );
       expect(rateLimitStmt.params).toContain(100); // default messages_per_hour
       expect(rateLimitStmt.params).toContain(30);  // default messages_per_session
+      
+      const upstreamStmt = statements.find(s => s.query.includes('instance_upstream_settings'));
+      expect(upstreamStmt.params).toEqual(['minimal', 30000, 2, 500, 8000]);
+      
+      const contextStmt = statements.find(s => s.query.includes('instance_context_templates'));
+      expect(contextStmt.params).toEqual(['minimal', null]);
+      
+      const leadFormStmt = statements.find(s => s.query.includes('instance_lead_forms'));
+      expect(leadFormStmt.params).toEqual(['minimal', 0, null, null]);
+      
+      const handoffStmt = statements.find(s => s.query.includes('instance_handoff_settings'));
+      expect(handoffStmt.params).toEqual(['minimal', 0, null, null]);
+      
+      const redactionStmt = statements.find(s => s.query.includes('instance_redaction_settings'));
+      expect(redactionStmt.params).toEqual(['minimal', 'off', 'off', 'off', null]);
+      
+      const guardrailStmt = statements.find(s => s.query.includes('instance_guardrails'));
+      expect(guardrailStmt.params).toEqual(['minimal', null, null, null, 0]);
+      
+      const quotaStmt = statements.find(s => s.query.includes('instance_quotas'));
+      expect(quotaStmt.params).toEqual(['minimal', null, null, null, 80, null]);
+      
+      const networkRuleStmt = statements.find(s => s.query.includes('instance_network_rules'));
+      expect(networkRuleStmt.params).toEqual(['minimal', null, null, null, null, null, null]);
+      
+      const challengeStmt = statements.find(s => s.query.includes('instance_challenge_settings'));
+      expect(challengeStmt.params).toEqual(['minimal', 0, null, null, 60]);
+      
+      const identityStmt = statements.find(s => s.query.includes('instance_identity_settings'));
+      expect(identityStmt.params).toEqual(['minimal', 0, null, 0]);
+      
+      const businessHoursStmt = statements.find(s => s.query.includes('instance_business_hours'));
+      expect(businessHoursStmt.params).toEqual([
+        'minimal', 0, 'UTC',
+        '{"mon":[],"tue":[],"wed":[],"thu":[],"fri":[],"sat":[],"sun":[]}',
+        null, 'banner', null, 0
+      ]);
+      
+      const localeStmt = statements.find(s => s.query.includes('instance_locale_settings'));
+      expect(localeStmt.params).toEqual(['minimal', 'en', 0, 'auto', null, null]);
     });
   });
 
@@ -385,6 +1045,433 @@ describe('Database Module', () => {
       );
       expect(deleteDomainsStmt).toBeDefined();
     });
+
+    test('should replace allowed paths', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        paths: ['/blog/*']
+      });
+
+      const deletePaths = statements.find(s => s.query.includes('DELETE FROM instance_paths'));
+      const insertPaths = statements.filter(s => s.query.includes('INSERT INTO instance_paths'));
+      expect(deletePaths.params).toEqual(['test-instance']);
+      expect(insertPaths.map(s => s.params)).toEqual([['test-instance', '/blog/*']]);
+    });
+
+    test('should replace backup agents', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        backup_agents: [{ typingmind_agent_id: 'agent-2', api_key: '' }]
+      });
+
+      const deleteBackups = statements.find(s => s.query.includes('DELETE FROM instance_backup_agents'));
+      const insertBackups = statements.filter(s => s.query.includes('INSERT INTO instance_backup_agents'));
+      expect(deleteBackups.params).toEqual(['test-instance']);
+      expect(insertBackups.map(s => s.params)).toEqual([['test-instance', 0, 'agent-2', null]]);
+    });
+
+    test('should replace conversation starters', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        starters: ['Track my order']
+      });
+
+      const deleteStarters = statements.find(s => s.query.includes('DELETE FROM instance_starters'));
+      const insertStarters = statements.filter(s => s.query.includes('INSERT INTO instance_starters'));
+      expect(deleteStarters.params).toEqual(['test-instance']);
+      expect(insertStarters.map(s => s.params)).toEqual([['test-instance', 0, 'Track my order']]);
+    });
+
+    test('should store upstream settings, keeping zero retries', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        timeout_ms: 10000,
+        max_retries: 0,
+        backoff_base_ms: 200,
+        backoff_max_ms: 2000
+      });
+
+      const upstreamStmt = statements.find(s => s.query.includes('instance_upstream_settings'));
+      expect(upstreamStmt.params).toEqual(['test-instance', 10000, 0, 200, 2000]);
+    });
+
+    test('should store the lead form with its fields as JSON', async () => {
+      const statements = [];
+      const trackingDB = {
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+            return {};
+          }
+        }),
+        batch: async () => {}
+      };
+      const fields = [{ key: 'company', label: 'Company', type: 'text', required: false }];
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        lead_form_enabled: true,
+        lead_form_title: 'Who are you?',
+        lead_form_fields: fields
+      });
+
+      const leadFormStmt = statements.find(s => s.query.includes('instance_lead_forms'));
+      expect(leadFormStmt.query).toContain('INSERT OR REPLACE');
+      expect(leadFormStmt.params).toEqual(['test-instance', 1, 'Who are you?', JSON.stringify(fields)]);
+    });
+
+    test('should save handoff settings', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        handoff_enabled: true,
+        handoff_staff_name: 'Support',
+        handoff_waiting_message: ''
+      });
+
+      const handoffStmt = statements.find(s => s.query.includes('instance_handoff_settings'));
+      expect(handoffStmt.query).toContain('INSERT OR REPLACE');
+      expect(handoffStmt.params).toEqual(['test-instance', 1, 'Support', null]);
+    });
+
+    test('should save redaction settings', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+      const patterns = [{ name: 'mrn', pattern: 'MRN-\\d{6}', action: 'reject' }];
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        redact_email: 'mask',
+        redact_phone: 'bogus',
+        redact_card: 'reject',
+        redaction_patterns: patterns
+      });
+
+      const redactionStmt = statements.find(s => s.query.includes('instance_redaction_settings'));
+      expect(redactionStmt.query).toContain('INSERT OR REPLACE');
+      expect(redactionStmt.params).toEqual(['test-instance', 'mask', 'off', 'reject', JSON.stringify(patterns)]);
+    });
+
+    test('should save guardrails', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        blocked_keywords: ['crypto'],
+        blocked_patterns: [],
+        refusal_message: 'I only answer product questions.',
+        guardrail_check_replies: true
+      });
+
+      const guardrailStmt = statements.find(s => s.query.includes('instance_guardrails'));
+      expect(guardrailStmt.query).toContain('INSERT OR REPLACE');
+      expect(guardrailStmt.params).toEqual(['test-instance', '["crypto"]', null, 'I only answer product questions.', 1]);
+    });
+
+    test('should save quotas', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        messages_per_day: 200,
+        messages_per_month: 0,
+        tokens_per_month: 1000000,
+        quota_warning_percent: 75,
+        quota_message: 'Back tomorrow!'
+      });
+
+      const quotaStmt = statements.find(s => s.query.includes('instance_quotas'));
+      expect(quotaStmt.query).toContain('INSERT OR REPLACE');
+      expect(quotaStmt.params).toEqual(['test-instance', 200, null, 1000000, 75, 'Back tomorrow!']);
+    });
+
+    test('should save normalized network rules', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        deny_cidrs: ['203.0.113.0/24', 'not-an-ip'],
+        deny_asns: ['AS16509', '14061'],
+        allow_countries: ['us', 'gb']
+      });
+
+      const networkRuleStmt = statements.find(s => s.query.includes('instance_network_rules'));
+      expect(networkRuleStmt.query).toContain('INSERT OR REPLACE');
+      expect(networkRuleStmt.params).toEqual([
+        'test-instance', '["203.0.113.0/24"]', null, '[16509,14061]', null, '["US","GB"]', null
+      ]);
+    });
+
+    test('should save challenge settings', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        challenge_enabled: true,
+        challenge_site_key: '0x4AAAAAAA-site',
+        challenge_secret_key: '',
+        challenge_trust_minutes: 99999
+      });
+
+      const challengeStmt = statements.find(s => s.query.includes('instance_challenge_settings'));
+      expect(challengeStmt.query).toContain('INSERT OR REPLACE');
+      expect(challengeStmt.params).toEqual(['test-instance', 1, '0x4AAAAAAA-site', null, 60]);
+    });
+
+    test('should save identity settings, generating a missing secret', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+      const data = {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        identity_enabled: true,
+        identity_forward_to_agent: true
+      };
+
+      await updateInstance(trackingDB, 'test-instance', { ...data, identity_secret: ' idsec_kept ' });
+      await updateInstance(trackingDB, 'test-instance', { ...data, identity_secret: '' });
+
+      const [kept, generated] = statements.filter(s => s.query.includes('instance_identity_settings'));
+      expect(kept.query).toContain('INSERT OR REPLACE');
+      expect(kept.params).toEqual(['test-instance', 1, 'idsec_kept', 1]);
+      expect(generated.params[2]).toMatch(/^idsec_[0-9a-f]{64}$/);
+    });
+
+    test('should save the state and maintenance window', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        state: 'maintenance',
+        maintenance_message: 'Upgrading, back at 2am',
+        maintenance_starts_at: '2026-10-20T22:00',
+        maintenance_ends_at: 'soon'
+      });
+
+      const stmt = statements.find(s => s.query.includes('UPDATE agent_instances'));
+      expect(stmt.params).toEqual([
+        'Test', 'agent-1', null, 'maintenance', 'Upgrading, back at 2am', '2026-10-20T22:00:00.000Z', null, 'test-instance'
+      ]);
+    });
+
+    test('should save business hours, closing days with invalid hours', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        business_hours_enabled: true,
+        business_timezone: 'America/New_York',
+        hours_mon: '09:00-17:00',
+        hours_tue: 'all day',
+        business_holidays: ['2026-12-25', 'someday'],
+        offline_behavior: 'hide',
+        offline_message: 'Back at 9am',
+        business_hours_strict: true
+      });
+
+      const stmt = statements.find(s => s.query.includes('instance_business_hours'));
+      expect(stmt.query).toContain('INSERT OR REPLACE');
+      expect(stmt.params).toEqual([
+        'test-instance', 1, 'America/New_York',
+        '{"mon":[{"start":540,"end":1020}],"tue":[],"wed":[],"thu":[],"fri":[],"sat":[],"sun":[]}',
+        '["2026-12-25"]', 'hide', 'Back at 9am', 1
+      ]);
+    });
+
+    test('should save locale settings keyed by locale', async () => {
+      const statements = [];
+      const trackingDB = {
+        ...mockDB,
+        prepare: (query) => ({
+          bind: (...params) => {
+            statements.push({ query, params });
+          }
+        }),
+        batch: async () => {}
+      };
+
+      await updateInstance(trackingDB, 'test-instance', {
+        name: 'Test',
+        typingmind_agent_id: 'agent-1',
+        domains: ['example.com'],
+        default_locale: 'es',
+        locale_auto_detect: true,
+        text_direction: 'ltr',
+        string_overrides: [
+          { locale: 'es', key: 'sendMessage', text: 'Mandar' },
+          { locale: 'es', key: 'talkToPerson', text: 'Hablar con alguien' },
+          { locale: 'de', key: 'sendMessage', text: 'Abschicken' }
+        ],
+        welcome_translations: [{ locale: 'de', text: 'Hallo!' }]
+      });
+
+      const stmt = statements.find(s => s.query.includes('instance_locale_settings'));
+      expect(stmt.query).toContain('INSERT OR REPLACE');
+      expect(stmt.params).toEqual([
+        'test-instance', 'es', 1, 'ltr',
+        '{"es":{"sendMessage":"Mandar","talkToPerson":"Hablar con alguien"},"de":{"sendMessage":"Abschicken"}}',
+        '{"de":"Hallo!"}'
+      ]);
+    });
+  });
+
+  describe('setInstanceState', () => {
+    test('should switch the state and report missing instances', async () => {
+      expect(await setInstanceState(mockDB, 'test-instance', 'paused')).toBe(true);
+      expect((await getInstanceConfig(mockDB, 'test-instance')).availability.state).toBe('paused');
+      expect(await setInstanceState(mockDB, 'missing', 'paused')).toBe(false);
+    });
   });
 
   describe('deleteInstance', () => {
@@ -427,8 +1514,102 @@ describe('Database Module', () => {
         s.query && s.query.toLowerCase().includes('insert')
       );
       
-      // Should have inserts for: instance, domains (2), rate limits, features, theme
-      expect(insertStatements.length).toBeGreaterThanOrEqual(6);
+      // Should have inserts for: instance, domains (2), paths, rate limits, features, theme
+      expect(insertStatements.length).toBeGreaterThanOrEqual(7);
+      
+      const instanceInsert = insertStatements.find(s => s.query.includes('agent_instances'));
+      expect(instanceInsert.params).toEqual([
+        'cloned-instance', 'agent-123', 'Cloned Instance', 'test-key', 'maintenance', null, '2026-10-20T22:00:00.000Z', null
+      ]);
+      
+      const pathInsert = insertStatements.find(s => s.query.includes('instance_paths'));
+      expect(pathInsert.params).toEqual(['cloned-instance', '/api/*']);
+      
+      const backupInserts = insertStatements
+        .filter(s => s.query.includes('instance_backup_agents'))
+        .map(s => s.params);
+      expect(backupInserts).toContainEqual(['cloned-instance', 0, 'agent-backup-1', 'backup-key']);
+      expect(backupInserts).toContainEqual(['cloned-instance', 1, 'agent-backup-2', null]);
+      
+      const starterInserts = insertStatements
+        .filter(s => s.query.includes('instance_starters'))
+        .map(s => s.params);
+      expect(starterInserts).toContainEqual(['cloned-instance', 0, 'What does it cost?']);
+      expect(starterInserts).toContainEqual(['cloned-instance', 1, 'Book a demo']);
+      
+      const webhookInsert = insertStatements.find(s => s.query.includes('instance_webhooks'));
+      expect(webhookInsert.params).toEqual([
+        'cloned-instance', 0, 'https://hooks.example.com/chat', 'whsec_abc', 'lead.captured,agent.error'
+      ]);
+      
+      const variantInserts = insertStatements
+        .filter(s => s.query.includes('instance_experiment_variants'))
+        .map(s => s.params);
+      expect(variantInserts).toContainEqual(['cloned-instance', 1, 'friendly', 3, 'agent-friendly', 'Hey there!', '["Show me around"]']);
+      
+      const upstreamInsert = insertStatements.find(s => s.query.includes('instance_upstream_settings'));
+      expect(upstreamInsert.params).toEqual(['cloned-instance', 15000, 0, 250, 4000]);
+      
+      const contextInsert = insertStatements.find(s => s.query.includes('instance_context_templates'));
+      expect(contextInsert.params).toEqual(['cloned-instance', 'Page: {{url}}']);
+      
+      const leadFormInsert = insertStatements.find(s => s.query.includes('instance_lead_forms'));
+      expect(leadFormInsert.params).toEqual([
+        'cloned-instance',
+        1,
+        'Say hello',
+        '[{"key":"email","label":"Work email","type":"email","required":true}]'
+      ]);
+      
+      const handoffInsert = insertStatements.find(s => s.query.includes('instance_handoff_settings'));
+      expect(handoffInsert.params).toEqual(['cloned-instance', 1, 'Ada from Support', null]);
+      
+      const redactionInsert = insertStatements.find(s => s.query.includes('instance_redaction_settings'));
+      expect(redactionInsert.params).toEqual([
+        'cloned-instance',
+        'tokenize',
+        'off',
+        'reject',
+        '[{"name":"mrn","pattern":"MRN-\\\\d{6}","action":"mask"}]'
+      ]);
+      
+      const guardrailInsert = insertStatements.find(s => s.query.includes('instance_guardrails'));
+      expect(guardrailInsert.params).toEqual([
+        'cloned-instance',
+        '["crypto","stock tips"]',
+        '["\\\\bbet(ting)?\\\\b"]',
+        null,
+        1
+      ]);
+      
+      const quotaInsert = insertStatements.find(s => s.query.includes('instance_quotas'));
+      expect(quotaInsert.params).toEqual(['cloned-instance', 500, null, 2000000, 90, null]);
+      
+      const networkRuleInsert = insertStatements.find(s => s.query.includes('instance_network_rules'));
+      expect(networkRuleInsert.params).toEqual([
+        'cloned-instance', '["203.0.113.0/24"]', null, '[16509]', null, '["US","CA"]', null
+      ]);
+      
+      const challengeInsert = insertStatements.find(s => s.query.includes('instance_challenge_settings'));
+      expect(challengeInsert.params).toEqual(['cloned-instance', 1, '0x4AAAAAAA-site', null, 120]);
+      
+      const identityInsert = insertStatements.find(s => s.query.includes('instance_identity_settings'));
+      expect(identityInsert.params).toEqual(['cloned-instance', 1, expect.stringMatching(/^idsec_/), 1]);
+      expect(identityInsert.params[2]).not.toBe('idsec_test');
+      
+      const businessHoursInsert = insertStatements.find(s => s.query.includes('instance_business_hours'));
+      expect(businessHoursInsert.params).toEqual([
+        'cloned-instance', 1, 'Europe/London',
+        '{"mon":[{"start":540,"end":1020}],"sat":[{"start":600,"end":780}]}',
+        '["2026-12-25"]', 'form', null, 1
+      ]);
+      
+      const localeInsert = insertStatements.find(s => s.query.includes('instance_locale_settings'));
+      expect(localeInsert.params).toEqual([
+        'cloned-instance', 'de', 1, 'rtl',
+        '{"es":{"sendMessage":"Mandar"},"fr":{"sendMessage":"Envoyer"}}',
+        '{"es":"¡Hola!"}'
+      ]);
     });
 
     test('should throw error for non-existent source', async () => {
@@ -0,0 +1,203 @@
+/**
+ * Experiments module
+ * Weighted variants of an instance's welcome text, starter prompts and agent, sticky
+ * assignment of widget sessions to variants, and per-variant results
+ */
+
+import { MAX_STARTERS, MAX_QUICK_REPLY_LENGTH } from './quick-replies.js';
+
+// Most variants an instance may run at once
+export const MAX_EXPERIMENT_VARIANTS = 10;
+
+// Largest traffic weight a single variant may have
+export const MAX_VARIANT_WEIGHT = 1000;
+
+// Longest welcome message a variant may set (characters)
+export const MAX_VARIANT_WELCOME_LENGTH = 1000;
+
+const VARIANT_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Check the variant list from the admin form
+ * @param {Array} variants - Variants as { key, weight, typingmind_agent_id, welcome_message, starters }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateExperimentVariants(variants) {
+  const errors = [];
+  if (!Array.isArray(variants) || variants.length === 0) return errors;
+
+  if (variants.length > MAX_EXPERIMENT_VARIANTS) {
+    errors.push(`At most ${MAX_EXPERIMENT_VARIANTS} experiment variants are allowed`);
+  }
+
+  const invalidKeys = variants.filter(v => !VARIANT_KEY_PATTERN.test(v.key || '')).map(v => v.key || '(empty)');
+  if (invalidKeys.length > 0) {
+    errors.push(`Experiment variant keys must be lowercase letters, numbers, hyphens or underscores (max 32): ${invalidKeys.join(', ')}`);
+  }
+
+  const keys = variants.map(v => v.key);
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Experiment variant keys must be unique');
+  }
+
+  if (variants.some(v => !Number.isInteger(v.weight) || v.weight < 0 || v.weight > MAX_VARIANT_WEIGHT)) {
+    errors.push(`Experiment variant weights must be whole numbers from 0 to ${MAX_VARIANT_WEIGHT}`);
+  } else if (variants.every(v => v.weight === 0)) {
+    errors.push('At least one experiment variant needs a weight above 0');
+  }
+
+  if (variants.some(v => v.welcome_message && v.welcome_message.length > MAX_VARIANT_WELCOME_LENGTH)) {
+    errors.push(`Experiment welcome messages must be ${MAX_VARIANT_WELCOME_LENGTH} characters or fewer`);
+  }
+
+  if (variants.some(v => Array.isArray(v.starters) && v.starters.length > MAX_STARTERS)) {
+    errors.push(`Experiment variants may have at most ${MAX_STARTERS} starter prompts`);
+  }
+  if (variants.some(v => Array.isArray(v.starters) && v.starters.some(s => s.length > MAX_QUICK_REPLY_LENGTH))) {
+    errors.push(`Experiment starter prompts must be ${MAX_QUICK_REPLY_LENGTH} characters or fewer`);
+  }
+
+  return errors;
+}
+
+/**
+ * Read a stored variant row
+ * Empty fields mean the variant keeps the instance's own setting
+ * @param {Object} row - instance_experiment_variants row
+ * @returns {Object} { key, weight, agentId, welcomeMessage, starters }
+ */
+export function parseStoredVariant(row) {
+  let starters = [];
+  try {
+    const parsed = JSON.parse(row.starters || '[]');
+    if (Array.isArray(parsed)) {
+      starters = parsed.filter(s => typeof s === 'string' && s.trim()).slice(0, MAX_STARTERS);
+    }
+  } catch {
+    starters = [];
+  }
+
+  return {
+    key: row.variant_key,
+    weight: Number.isInteger(row.weight) && row.weight > 0 ? row.weight : 0,
+    agentId: row.typingmind_agent_id || null,
+    welcomeMessage: row.welcome_message || null,
+    starters
+  };
+}
+
+/**
+ * Hash a session ID to an unsigned 32-bit number (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashSessionId(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick the variant a widget session sees
+ * The session ID is hashed into the weight ranges, so a session keeps its variant for as
+ * long as the variants and weights stay the same, without storing the assignment
+ * @param {Array} variants - Variants from getInstanceConfig
+ * @param {string|null} sessionId - Widget session ID
+ * @returns {Object|null} Variant, or null when the instance runs no experiment
+ */
+export function assignVariant(variants, sessionId) {
+  if (!Array.isArray(variants) || !sessionId) return null;
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  if (totalWeight <= 0) return null;
+
+  let bucket = hashSessionId(String(sessionId)) % totalWeight;
+  for (const variant of variants) {
+    if (bucket < variant.weight) return variant;
+    bucket -= variant.weight;
+  }
+
+  return null;
+}
+
+/**
+ * Apply a variant's overrides to an instance config
+ * A variant's welcome text is shown in every language, so the instance's translations are dropped
+ * @param {Object} config - Instance config from getInstanceConfig
+ * @param {Object|null} variant - Variant from assignVariant
+ * @returns {Object} Config with the variant's agent, welcome text and starters
+ */
+export function applyVariant(config, variant) {
+  if (!variant) return config;
+
+  return {
+    ...config,
+    typingmindAgentId: variant.agentId || config.typingmindAgentId,
+    welcomeMessage: variant.welcomeMessage
+      ? { ...config.welcomeMessage, text: variant.welcomeMessage, translations: {} }
+      : config.welcomeMessage,
+    starters: variant.starters.length > 0 ? variant.starters : config.starters
+  };
+}
+
+/**
+ * Compare engagement, feedback and lead conversion per variant
+ * Variants that are no longer configured keep their rows so finished experiments can be read
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Array} variants - Configured variants, listed first and in order
+ * @returns {Promise<Array>} Rows with key, weight, conversations, messages, avgMessages,
+ *   up, down, satisfaction, leads and conversionRate (rates are 0-100 or null)
+ */
+export async function getExperimentResults(db, instanceId, variants = []) {
+  const result = await db.prepare(`
+    SELECT c.variant,
+      COUNT(*) as conversation_count,
+      COALESCE(SUM(c.message_count), 0) as message_count,
+      COUNT(l.id) as lead_count,
+      COALESCE(SUM(f.up_count), 0) as up_count,
+      COALESCE(SUM(f.down_count), 0) as down_count
+    FROM conversations c
+    LEFT JOIN leads l ON l.instance_id = c.instance_id AND l.session_id = c.session_id
+    LEFT JOIN (
+      SELECT session_id,
+        SUM(CASE WHEN rating > 0 THEN 1 ELSE 0 END) as up_count,
+        SUM(CASE WHEN rating < 0 THEN 1 ELSE 0 END) as down_count
+      FROM message_feedback
+      WHERE instance_id = ?
+      GROUP BY session_id
+    ) f ON f.session_id = c.session_id
+    WHERE c.instance_id = ? AND c.variant IS NOT NULL
+    GROUP BY c.variant
+  `).bind(instanceId, instanceId).all();
+
+  const counts = new Map(result.results.map(row => [row.variant, row]));
+  const keys = variants.map(v => v.key);
+  for (const key of [...counts.keys()].sort()) {
+    if (!keys.includes(key)) keys.push(key);
+  }
+
+  return keys.map(key => {
+    const row = counts.get(key);
+    const conversations = row?.conversation_count || 0;
+    const up = row?.up_count || 0;
+    const down = row?.down_count || 0;
+    const leads = row?.lead_count || 0;
+
+    return {
+      key,
+      weight: variants.find(v => v.key === key)?.weight ?? null,
+      conversations,
+      messages: row?.message_count || 0,
+      avgMessages: conversations > 0 ? Math.round((row.message_count / conversations) * 10) / 10 : null,
+      up,
+      down,
+      satisfaction: up + down > 0 ? Math.round((up / (up + down)) * 100) : null,
+      leads,
+      conversionRate: conversations > 0 ? Math.round((leads / conversations) * 100) : null
+    };
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Tests for the experiments module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateExperimentVariants,
+  parseStoredVariant,
+  assignVariant,
+  applyVariant,
+  getExperimentResults
+} from './experiments.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB(rows = []) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          all: async () => ({ results: rows })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+const variants = [
+  { key: 'control', weight: 1, agentId: null, welcomeMessage: null, starters: [] },
+  { key: 'friendly', weight: 3, agentId: 'character-friendly', welcomeMessage: 'Hey there!', starters: ['Show me around'] }
+];
+
+const config = {
+  id: 'test-instance',
+  typingmindAgentId: 'character-main',
+  welcomeMessage: { text: 'Hello! How can I help you today?', showOnNewSession: true, showOnReturn: false },
+  starters: ['What does it cost?']
+};
+
+describe('Experiments Module', () => {
+  describe('validateExperimentVariants', () => {
+    test('should accept variants that fall back to the instance settings', () => {
+      expect(validateExperimentVariants([
+        { key: 'control', weight: 50, typingmind_agent_id: null, welcome_message: null, starters: [] },
+        { key: 'short_welcome', weight: 50, typingmind_agent_id: null, welcome_message: 'Hi!', starters: ['Pricing'] }
+      ])).toEqual([]);
+      expect(validateExperimentVariants([])).toEqual([]);
+    });
+
+    test('should report invalid variants', () => {
+      expect(validateExperimentVariants([
+        { key: 'Control', weight: 0, starters: [] },
+        { key: 'b', weight: 0, welcome_message: 'x'.repeat(1001), starters: ['a', 'b', 'c', 'd', 'e', 'f', 'x'.repeat(81)] },
+        { key: 'b', weight: 0, starters: [] }
+      ])).toEqual([
+        'Experiment variant keys must be lowercase letters, numbers, hyphens or underscores (max 32): Control',
+        'Experiment variant keys must be unique',
+        'At least one experiment variant needs a weight above 0',
+        'Experiment welcome messages must be 1000 characters or fewer',
+        'Experiment variants may have at most 6 starter prompts',
+        'Experiment starter prompts must be 80 characters or fewer'
+      ]);
+      expect(validateExperimentVariants([{ key: 'a', weight: 1.5, starters: [] }])).toEqual([
+        'Experiment variant weights must be whole numbers from 0 to 1000'
+      ]);
+    });
+  });
+
+  describe('parseStoredVariant', () => {
+    test('should read starters from JSON and ignore broken values', () => {
+      expect(parseStoredVariant({
+        variant_key: 'friendly',
+        weight: 3,
+        typingmind_agent_id: 'character-friendly',
+        welcome_message: 'Hey there!',
+        starters: '["Show me around", 7, ""]'
+      })).toEqual(variants[1]);
+      expect(parseStoredVariant({ variant_key: 'control', weight: -1, starters: 'not json' })).toEqual({
+        key: 'control',
+        weight: 0,
+        agentId: null,
+        welcomeMessage: null,
+        starters: []
+      });
+    });
+  });
+
+  describe('assignVariant', () => {
+    test('should keep a session on the same variant', () => {
+      const first = assignVariant(variants, 'sess_abc');
+      for (let i = 0; i < 5; i++) {
+        expect(assignVariant(variants, 'sess_abc')).toBe(first);
+      }
+    });
+
+    test('should split sessions roughly by weight', () => {
+      const counts = { control: 0, friendly: 0 };
+      for (let i = 0; i < 2000; i++) {
+        counts[assignVariant(variants, `sess_${i}`).key]++;
+      }
+
+      expect(counts.friendly / 2000).toBeGreaterThan(0.7);
+      expect(counts.friendly / 2000).toBeLessThan(0.8);
+    });
+
+    test('should skip variants without weight and run nothing without variants or a session', () => {
+      const paused = [{ ...variants[0], weight: 0 }, variants[1]];
+      for (let i = 0; i < 50; i++) {
+        expect(assignVariant(paused, `sess_${i}`).key).toBe('friendly');
+      }
+      expect(assignVariant([], 'sess_abc')).toBeNull();
+      expect(assignVariant(variants, null)).toBeNull();
+    });
+  });
+
+  describe('applyVariant', () => {
+    test('should override only the fields a variant sets', () => {
+      expect(applyVariant(config, variants[1])).toEqual({
+        ...config,
+        typingmindAgentId: 'character-friendly',
+        welcomeMessage: { ...config.welcomeMessage, text: 'Hey there!', translations: {} },
+        starters: ['Show me around']
+      });
+      expect(applyVariant(config, variants[0])).toEqual(config);
+      expect(applyVariant(config, null)).toBe(config);
+    });
+  });
+
+  describe('getExperimentResults', () => {
+    test('should compute rates per variant and keep retired variants', async () => {
+      const db = createTrackingDB([
+        { variant: 'friendly', conversation_count: 4, message_count: 18, lead_count: 1, up_count: 3, down_count: 1 },
+        { variant: 'old', conversation_count: 2, message_count: 4, lead_count: 0, up_count: 0, down_count: 0 }
+      ]);
+
+      const results = await getExperimentResults(db, 'test-instance', variants);
+
+      expect(db.statements[0].query).toContain('LEFT JOIN leads l');
+      expect(db.statements[0].query).toContain('GROUP BY c.variant');
+      expect(db.statements[0].params).toEqual(['test-instance', 'test-instance']);
+      expect(results).toEqual([
+        { key: 'control', weight: 1, conversations: 0, messages: 0, avgMessages: null, up: 0, down: 0, satisfaction: null, leads: 0, conversionRate: null },
+        { key: 'friendly', weight: 3, conversations: 4, messages: 18, avgMessages: 4.5, up: 3, down: 1, satisfaction: 75, leads: 1, conversionRate: 25 },
+        { key: 'old', weight: null, conversations: 2, messages: 4, avgMessages: 2, up: 0, down: 0, satisfaction: null, leads: 0, conversionRate: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Feedback module
+ * Stores visitors' thumbs up/down ratings of agent replies and summarises them for the dashboard
+ */
+
+// Ratings sent by the widget and the values stored for them
+export const FEEDBACK_RATINGS = { up: 1, down: -1 };
+
+// Longest comment and rated reply kept (characters)
+export const MAX_FEEDBACK_COMMENT_LENGTH = 1000;
+export const MAX_FEEDBACK_CONTENT_LENGTH = 4000;
+
+// Longest message key accepted (the widget sends the reply's ISO timestamp)
+const MAX_MESSAGE_KEY_LENGTH = 64;
+
+// Answers listed in the dashboard's lowest-rated table
+export const LOWEST_RATED_LIMIT = 10;
+
+/**
+ * Validate a feedback submission from the widget
+ * The comment is optional and trimmed; the reply text is trimmed to MAX_FEEDBACK_CONTENT_LENGTH
+ * @param {Object} input - Submitted { messageKey, rating, comment, content }
+ * @returns {Object} { valid, errors, feedback }
+ */
+export function validateFeedback(input) {
+  const errors = [];
+  const { messageKey, rating, comment, content } = input || {};
+
+  if (typeof messageKey !== 'string' || !messageKey || messageKey.length > MAX_MESSAGE_KEY_LENGTH) {
+    errors.push('A valid message key is required');
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(FEEDBACK_RATINGS, rating)) {
+    errors.push('Rating must be "up" or "down"');
+  }
+
+  if (typeof content !== 'string' || !content.trim()) {
+    errors.push('The rated reply is required');
+  }
+
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    errors.push('Comment must be text');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, feedback: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    feedback: {
+      messageKey,
+      rating: FEEDBACK_RATINGS[rating],
+      comment: (comment || '').trim().slice(0, MAX_FEEDBACK_COMMENT_LENGTH) || null,
+      content: content.trim().slice(0, MAX_FEEDBACK_CONTENT_LENGTH)
+    }
+  };
+}
+
+/**
+ * Save a rating for a reply
+ * Rating the same reply again replaces the earlier rating and comment
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} feedback - Feedback data
+ * @param {string} feedback.instanceId - Instance ID
+ * @param {string} feedback.sessionId - Widget session ID
+ * @param {string} feedback.messageKey - Widget key of the rated reply
+ * @param {number} feedback.rating - 1 or -1
+ * @param {string|null} feedback.comment - Optional comment
+ * @param {string} feedback.content - Rated reply text
+ * @returns {Promise<void>}
+ */
+export async function saveFeedback(db, feedback) {
+  const { instanceId, sessionId, messageKey, rating, comment, content } = feedback;
+  const now = new Date().toISOString();
+
+  await db.prepare(`
+    INSERT INTO message_feedback (instance_id, session_id, message_key, rating, comment, content, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(instance_id, session_id, message_key) DO UPDATE SET
+      rating = excluded.rating,
+      comment = excluded.comment,
+      content = excluded.content,
+      updated_at = excluded.updated_at
+  `).bind(instanceId, sessionId, messageKey, rating, comment, content, now, now).run();
+}
+
+/**
+ * Get thumbs up and down counts for every instance with feedback
+ * @param {D1Database} db - D1 database instance
+ * @returns {Promise<Object>} Map of instance ID to { up, down, rate } where rate is the share of thumbs up (0-100)
+ */
+export async function getSatisfactionByInstance(db) {
+  const result = await db.prepare(`
+    SELECT instance_id,
+      SUM(CASE WHEN rating > 0 THEN 1 ELSE 0 END) as up_count,
+      SUM(CASE WHEN rating < 0 THEN 1 ELSE 0 END) as down_count
+    FROM message_feedback
+    GROUP BY instance_id
+  `).bind().all();
+
+  const satisfaction = {};
+  for (const row of result.results) {
+    const total = row.up_count + row.down_count;
+    satisfaction[row.instance_id] = {
+      up: row.up_count,
+      down: row.down_count,
+      rate: total > 0 ? Math.round((row.up_count / total) * 100) : null
+    };
+  }
+
+  return satisfaction;
+}
+
+/**
+ * List the replies with the most thumbs down across all instances
+ * Identical replies are grouped so a prompt that keeps producing a bad answer rises to the top
+ * @param {D1Database} db - D1 database instance
+ * @param {number} limit - Most answers returned
+ * @returns {Promise<Array>} Rows with instance_name, content, up_count, down_count, latest_comment and last_rated_at
+ */
+export async function listLowestRatedAnswers(db, limit = LOWEST_RATED_LIMIT) {
+  const result = await db.prepare(`
+    SELECT f.instance_id, i.name as instance_name, f.content,
+      SUM(CASE WHEN f.rating > 0 THEN 1 ELSE 0 END) as up_count,
+      SUM(CASE WHEN f.rating < 0 THEN 1 ELSE 0 END) as down_count,
+      MAX(f.updated_at) as last_rated_at,
+      (
+        SELECT c.comment FROM message_feedback c
+        WHERE c.instance_id = f.instance_id AND c.content = f.content AND c.comment IS NOT NULL
+        ORDER BY c.updated_at DESC LIMIT 1
+      ) as latest_comment
+    FROM message_feedback f
+    JOIN agent_instances i ON i.id = f.instance_id
+    GROUP BY f.instance_id, f.content
+    HAVING down_count > 0
+    ORDER BY down_count - up_count DESC, last_rated_at DESC
+    LIMIT ?
+  `).bind(limit).all();
+
+  return result.results;
+}
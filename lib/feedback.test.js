@@ -0,0 +1,116 @@
+/**
+ * Tests for the feedback module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateFeedback,
+  saveFeedback,
+  getSatisfactionByInstance,
+  listLowestRatedAnswers,
+  MAX_FEEDBACK_COMMENT_LENGTH,
+  LOWEST_RATED_LIMIT
+} from './feedback.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ all = [] } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          all: async () => ({ results: all }),
+          run: async () => ({ success: true })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+describe('Feedback Module', () => {
+  describe('validateFeedback', () => {
+    test('should map the rating and trim the comment', () => {
+      const result = validateFeedback({
+        messageKey: '2025-01-01T10:00:00.000Z',
+        rating: 'up',
+        comment: ` ${'x'.repeat(MAX_FEEDBACK_COMMENT_LENGTH + 5)} `,
+        content: ' Great answer '
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.feedback.rating).toBe(1);
+      expect(result.feedback.comment).toHaveLength(MAX_FEEDBACK_COMMENT_LENGTH);
+      expect(result.feedback.content).toBe('Great answer');
+    });
+
+    test('should store an empty comment as null', () => {
+      const result = validateFeedback({ messageKey: 'k', rating: 'down', comment: '   ', content: 'Reply' });
+
+      expect(result.feedback.comment).toBeNull();
+    });
+
+    test('should report every problem', () => {
+      const result = validateFeedback({ rating: 'sideways', comment: 42 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'A valid message key is required',
+        'Rating must be "up" or "down"',
+        'The rated reply is required',
+        'Comment must be text'
+      ]);
+    });
+  });
+
+  describe('saveFeedback', () => {
+    test('should upsert the rating for the reply', async () => {
+      const db = createTrackingDB();
+
+      await saveFeedback(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        messageKey: 'key-1',
+        rating: -1,
+        comment: null,
+        content: 'Reply'
+      });
+
+      expect(db.statements[0].query).toContain('ON CONFLICT(instance_id, session_id, message_key) DO UPDATE');
+      expect(db.statements[0].params.slice(0, 6)).toEqual(['test-instance', 'sess_1', 'key-1', -1, null, 'Reply']);
+    });
+  });
+
+  describe('getSatisfactionByInstance', () => {
+    test('should compute the thumbs up rate per instance', async () => {
+      const db = createTrackingDB({
+        all: [
+          { instance_id: 'support', up_count: 3, down_count: 1 },
+          { instance_id: 'sales', up_count: 0, down_count: 2 }
+        ]
+      });
+
+      expect(await getSatisfactionByInstance(db)).toEqual({
+        support: { up: 3, down: 1, rate: 75 },
+        sales: { up: 0, down: 2, rate: 0 }
+      });
+    });
+  });
+
+  describe('listLowestRatedAnswers', () => {
+    test('should group replies and order them by net thumbs down', async () => {
+      const rows = [{ instance_name: 'Support', content: 'Reply', up_count: 0, down_count: 2 }];
+      const db = createTrackingDB({ all: rows });
+
+      expect(await listLowestRatedAnswers(db)).toEqual(rows);
+      expect(db.statements[0].query).toContain('GROUP BY f.instance_id, f.content');
+      expect(db.statements[0].query).toContain('ORDER BY down_count - up_count DESC');
+      expect(db.statements[0].params).toEqual([LOWEST_RATED_LIMIT]);
+    });
+  });
+});
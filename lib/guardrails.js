@@ -0,0 +1,178 @@
+/**
+ * Guardrails module
+ * Blocks off-topic or abusive messages with keyword and regex rules and logs them for review
+ */
+
+// Reply sent instead of the agent's when an instance has no refusal message
+export const DEFAULT_REFUSAL_MESSAGE = "Sorry, I can't help with that. Is there something else I can help you with?";
+
+// Most keywords and patterns an instance may have
+export const MAX_BLOCKED_KEYWORDS = 50;
+export const MAX_BLOCKED_PATTERNS = 20;
+
+// Longest keyword, pattern and refusal message accepted (characters)
+export const MAX_BLOCKED_RULE_LENGTH = 200;
+export const MAX_REFUSAL_LENGTH = 500;
+
+// Longest message text kept in the guardrail log (characters)
+const MAX_LOGGED_CONTENT_LENGTH = 2000;
+
+/**
+ * Check keyword and pattern lists from the admin form
+ * @param {Array<string>} keywords - Blocked words or phrases
+ * @param {Array<string>} patterns - Blocked regular expressions
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateGuardrailRules(keywords, patterns) {
+  const errors = [];
+
+  if (!Array.isArray(keywords) || !Array.isArray(patterns)) {
+    return ['Blocked keywords and patterns must be lists'];
+  }
+
+  if (keywords.length > MAX_BLOCKED_KEYWORDS) {
+    errors.push(`At most ${MAX_BLOCKED_KEYWORDS} blocked keywords are allowed`);
+  }
+  if (keywords.some(keyword => typeof keyword !== 'string' || keyword.length > MAX_BLOCKED_RULE_LENGTH)) {
+    errors.push(`Blocked keywords must be ${MAX_BLOCKED_RULE_LENGTH} characters or fewer`);
+  }
+
+  if (patterns.length > MAX_BLOCKED_PATTERNS) {
+    errors.push(`At most ${MAX_BLOCKED_PATTERNS} blocked patterns are allowed`);
+  }
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || pattern.length > MAX_BLOCKED_RULE_LENGTH) {
+      errors.push(`Blocked patterns must be ${MAX_BLOCKED_RULE_LENGTH} characters or fewer`);
+    } else if (!compilePattern(pattern)) {
+      errors.push(`Blocked pattern is not a valid regular expression: ${pattern}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read a stored keyword or pattern list
+ * Bad JSON gives an empty list; patterns that no longer compile are dropped
+ * @param {string|Array|null} stored - JSON text from D1 (or an already parsed list)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.patterns - Whether the list holds regular expressions
+ * @returns {Array<string>} Rules
+ */
+export function parseStoredGuardrailRules(stored, { patterns = false } = {}) {
+  let rules = stored;
+  if (typeof stored === 'string') {
+    try {
+      rules = JSON.parse(stored);
+    } catch (error) {
+      rules = null;
+    }
+  }
+
+  if (!Array.isArray(rules)) return [];
+
+  return rules
+    .filter(rule => typeof rule === 'string' && rule.trim().length > 0)
+    .map(rule => rule.trim())
+    .filter(rule => !patterns || compilePattern(rule))
+    .slice(0, patterns ? MAX_BLOCKED_PATTERNS : MAX_BLOCKED_KEYWORDS);
+}
+
+/**
+ * Find the first guardrail rule a message breaks
+ * Keywords match whole words or phrases and both kinds of rule ignore case
+ * @param {string} text - Message text
+ * @param {Object} guardrails - Instance guardrails { keywords, patterns }
+ * @returns {Object|null} { type: 'keyword' | 'pattern', rule } or null when the text is allowed
+ */
+export function findGuardrailMatch(text, guardrails) {
+  if (typeof text !== 'string' || !text || !guardrails) return null;
+
+  for (const keyword of guardrails.keywords || []) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    if (new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text)) {
+      return { type: 'keyword', rule: keyword };
+    }
+  }
+
+  for (const pattern of guardrails.patterns || []) {
+    if (compilePattern(pattern)?.test(text)) {
+      return { type: 'pattern', rule: pattern };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Log a blocked message or reply
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} event - Event data
+ * @param {string} event.instanceId - Instance ID
+ * @param {string|null} event.sessionId - Widget session ID
+ * @param {string} event.direction - 'user' for a visitor message, 'reply' for an agent reply
+ * @param {Object} event.match - Rule from findGuardrailMatch
+ * @param {string} event.content - Blocked text
+ * @returns {Promise<void>}
+ */
+export async function logGuardrailEvent(db, event) {
+  const { instanceId, sessionId, direction, match, content } = event;
+
+  await db.prepare(`
+    INSERT INTO guardrail_events (instance_id, session_id, direction, rule_type, rule, content, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    instanceId,
+    sessionId || null,
+    direction,
+    match.type,
+    match.rule,
+    (content || '').slice(0, MAX_LOGGED_CONTENT_LENGTH),
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * List blocked messages for an instance, newest first
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} options - Listing options
+ * @param {string} [options.direction] - Only 'user' or 'reply' events
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Rows to skip
+ * @returns {Promise<Object>} { events, total }
+ */
+export async function listGuardrailEvents(db, instanceId, { direction = '', limit = 50, offset = 0 } = {}) {
+  const where = direction ? 'instance_id = ? AND direction = ?' : 'instance_id = ?';
+  const params = direction ? [instanceId, direction] : [instanceId];
+
+  const events = await db.prepare(`
+    SELECT id, session_id, direction, rule_type, rule, content, created_at
+    FROM guardrail_events
+    WHERE ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, limit, offset).all();
+
+  const count = await db.prepare(`
+    SELECT COUNT(*) as total FROM guardrail_events WHERE ${where}
+  `).bind(...params).first();
+
+  return {
+    events: events.results,
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Compile a blocked pattern, returning null when it is not a valid regular expression
+ * @param {string} pattern - Pattern source
+ * @returns {RegExp|null} Case-insensitive expression
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    return null;
+  }
+}
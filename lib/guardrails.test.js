@@ -0,0 +1,116 @@
+/**
+ * Tests for the guardrails module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  validateGuardrailRules,
+  parseStoredGuardrailRules,
+  findGuardrailMatch,
+  logGuardrailEvent,
+  listGuardrailEvents,
+  MAX_BLOCKED_KEYWORDS
+} from './guardrails.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ all = [], first = null } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          all: async () => ({ results: all }),
+          first: async () => first,
+          run: async () => ({ success: true })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+describe('Guardrails Module', () => {
+  describe('validateGuardrailRules', () => {
+    test('should accept valid keywords and patterns', () => {
+      expect(validateGuardrailRules(['crypto', 'stock tips'], ['\\bbet(ting)?\\b'])).toEqual([]);
+    });
+
+    test('should report invalid patterns and too many keywords', () => {
+      const keywords = Array.from({ length: MAX_BLOCKED_KEYWORDS + 1 }, (_, i) => `word${i}`);
+
+      expect(validateGuardrailRules(keywords, ['(unclosed'])).toEqual([
+        `At most ${MAX_BLOCKED_KEYWORDS} blocked keywords are allowed`,
+        'Blocked pattern is not a valid regular expression: (unclosed'
+      ]);
+    });
+  });
+
+  describe('parseStoredGuardrailRules', () => {
+    test('should read JSON lists and drop broken patterns', () => {
+      expect(parseStoredGuardrailRules('[" crypto ", ""]')).toEqual(['crypto']);
+      expect(parseStoredGuardrailRules('["bet", "["]', { patterns: true })).toEqual(['bet']);
+      expect(parseStoredGuardrailRules('not json')).toEqual([]);
+      expect(parseStoredGuardrailRules(null)).toEqual([]);
+    });
+  });
+
+  describe('findGuardrailMatch', () => {
+    const guardrails = { keywords: ['crypto', 'stock tips'], patterns: ['\\bidiot\\w*'] };
+
+    test('should match whole keywords and phrases ignoring case', () => {
+      expect(findGuardrailMatch('Any CRYPTO advice?', guardrails)).toEqual({ type: 'keyword', rule: 'crypto' });
+      expect(findGuardrailMatch('Got any stock\n tips?', guardrails)).toEqual({ type: 'keyword', rule: 'stock tips' });
+    });
+
+    test('should not match keywords inside other words', () => {
+      expect(findGuardrailMatch('Is cryptography covered?', guardrails)).toBeNull();
+    });
+
+    test('should match patterns', () => {
+      expect(findGuardrailMatch('You idiots', guardrails)).toEqual({ type: 'pattern', rule: '\\bidiot\\w*' });
+    });
+
+    test('should allow everything without rules', () => {
+      expect(findGuardrailMatch('crypto', { keywords: [], patterns: [] })).toBeNull();
+      expect(findGuardrailMatch('crypto', null)).toBeNull();
+      expect(findGuardrailMatch('', guardrails)).toBeNull();
+    });
+  });
+
+  describe('logGuardrailEvent', () => {
+    test('should store the rule and the blocked text', async () => {
+      const db = createTrackingDB();
+
+      await logGuardrailEvent(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        direction: 'user',
+        match: { type: 'keyword', rule: 'crypto' },
+        content: 'Any crypto advice?'
+      });
+
+      expect(db.statements[0].query).toContain('INSERT INTO guardrail_events');
+      expect(db.statements[0].params.slice(0, 6)).toEqual([
+        'test-instance', 'sess_1', 'user', 'keyword', 'crypto', 'Any crypto advice?'
+      ]);
+    });
+  });
+
+  describe('listGuardrailEvents', () => {
+    test('should filter by direction and page the results', async () => {
+      const rows = [{ id: 1, direction: 'reply', rule: 'crypto' }];
+      const db = createTrackingDB({ all: rows, first: { total: 7 } });
+
+      const result = await listGuardrailEvents(db, 'test-instance', { direction: 'reply', limit: 5, offset: 5 });
+
+      expect(result).toEqual({ events: rows, total: 7 });
+      expect(db.statements[0].params).toEqual(['test-instance', 'reply', 5, 5]);
+      expect(db.statements[1].params).toEqual(['test-instance', 'reply']);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Handoff module
+ * Tracks conversations taken over by staff and stores their replies in D1
+ */
+
+import { HANDOFF_MARKER } from './reply-markers.js';
+
+// Marker the TypingMind agent includes in a reply to ask for a human; the widget reads it from reply-markers.js
+export { HANDOFF_MARKER };
+
+// Handoff states: requested (waiting for staff), active (staff replying) and resolved (back to the bot)
+export const HANDOFF_STATUSES = ['requested', 'active', 'resolved'];
+
+// Who asked for the handoff
+export const HANDOFF_REQUESTERS = ['visitor', 'agent', 'staff'];
+
+// Longest staff reply or handoff reason kept (characters)
+export const MAX_STAFF_MESSAGE_LENGTH = 4000;
+export const MAX_HANDOFF_REASON_LENGTH = 500;
+
+// Most staff messages returned to one widget poll
+const POLL_MESSAGE_LIMIT = 50;
+
+/**
+ * Check whether a handoff keeps the bot out of the conversation
+ * @param {Object|null} handoff - Handoff row
+ * @returns {boolean} True while the handoff is requested or active
+ */
+export function isHandoffOpen(handoff) {
+  return !!handoff && (handoff.status === 'requested' || handoff.status === 'active');
+}
+
+/**
+ * Look for the handoff marker in an agent reply
+ * @param {string} text - Reply text
+ * @returns {Object} { requested, content } with the marker removed from content
+ */
+export function extractHandoffRequest(text) {
+  if (typeof text !== 'string' || !text.includes(HANDOFF_MARKER)) {
+    return { requested: false, content: text };
+  }
+
+  return {
+    requested: true,
+    content: text.split(HANDOFF_MARKER).join('').trim()
+  };
+}
+
+/**
+ * Get the handoff for a widget session
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {string} sessionId - Widget session ID
+ * @returns {Promise<Object|null>} Handoff row or null
+ */
+export async function getHandoff(db, instanceId, sessionId) {
+  return await db.prepare(`
+    SELECT * FROM handoffs WHERE instance_id = ? AND session_id = ?
+  `).bind(instanceId, sessionId).first();
+}
+
+/**
+ * Ask for staff to take over a session
+ * An open handoff is left as it is; a resolved one is reopened
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} request - Handoff request
+ * @param {string} request.instanceId - Instance ID
+ * @param {string} request.sessionId - Widget session ID
+ * @param {string} request.requestedBy - One of HANDOFF_REQUESTERS
+ * @param {string|null} request.reason - Optional reason shown in the inbox
+ * @returns {Promise<void>}
+ */
+export async function requestHandoff(db, request) {
+  const { instanceId, sessionId, requestedBy, reason = null } = request;
+  const now = new Date().toISOString();
+
+  await db.prepare(`
+    INSERT INTO handoffs (instance_id, session_id, status, requested_by, reason, requested_at, updated_at)
+    VALUES (?, ?, 'requested', ?, ?, ?, ?)
+    ON CONFLICT(instance_id, session_id) DO UPDATE SET
+      status = 'requested',
+      requested_by = excluded.requested_by,
+      reason = excluded.reason,
+      requested_at = excluded.requested_at,
+      updated_at = excluded.updated_at
+    WHERE handoffs.status = 'resolved'
+  `).bind(
+    instanceId,
+    sessionId,
+    requestedBy,
+    reason ? String(reason).slice(0, MAX_HANDOFF_REASON_LENGTH) : null,
+    now,
+    now
+  ).run();
+}
+
+/**
+ * Change the state of a session's handoff from the admin inbox
+ * Staff can take over a session that never asked for a handoff
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {string} sessionId - Widget session ID
+ * @param {string} status - 'active' or 'resolved'
+ * @returns {Promise<void>}
+ */
+export async function setHandoffStatus(db, instanceId, sessionId, status) {
+  const now = new Date().toISOString();
+
+  await db.prepare(`
+    INSERT INTO handoffs (instance_id, session_id, status, requested_by, requested_at, updated_at)
+    VALUES (?, ?, ?, 'staff', ?, ?)
+    ON CONFLICT(instance_id, session_id) DO UPDATE SET
+      status = excluded.status,
+      updated_at = excluded.updated_at
+  `).bind(instanceId, sessionId, status, now, now).run();
+}
+
+/**
+ * Store a staff reply and make sure the handoff is active
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} reply - Staff reply
+ * @param {string} reply.instanceId - Instance ID
+ * @param {string} reply.sessionId - Widget session ID
+ * @param {string} reply.content - Reply text
+ * @returns {Promise<void>}
+ */
+export async function saveStaffMessage(db, reply) {
+  const { instanceId, sessionId, content } = reply;
+  const now = new Date().toISOString();
+
+  await db.batch([
+    db.prepare(`
+      UPDATE conversations SET message_count = message_count + 1, last_message_at = ?
+      WHERE instance_id = ? AND session_id = ?
+    `).bind(now, instanceId, sessionId),
+    db.prepare(`
+      INSERT INTO messages (conversation_id, role, content, latency_ms, created_at)
+      SELECT id, 'staff', ?, NULL, ? FROM conversations WHERE instance_id = ? AND session_id = ?
+    `).bind(content.slice(0, MAX_STAFF_MESSAGE_LENGTH), now, instanceId, sessionId),
+    db.prepare(`
+      INSERT INTO handoffs (instance_id, session_id, status, requested_by, requested_at, updated_at)
+      VALUES (?, ?, 'active', 'staff', ?, ?)
+      ON CONFLICT(instance_id, session_id) DO UPDATE SET
+        status = 'active',
+        updated_at = excluded.updated_at
+    `).bind(instanceId, sessionId, now, now)
+  ]);
+}
+
+/**
+ * Get staff replies for a session newer than the last one the widget has
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {string} sessionId - Widget session ID
+ * @param {number} afterId - ID of the last staff message the widget has seen
+ * @returns {Promise<Array>} Messages as { id, content, createdAt }
+ */
+export async function listStaffMessages(db, instanceId, sessionId, afterId = 0) {
+  const result = await db.prepare(`
+    SELECT m.id, m.content, m.created_at
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    WHERE c.instance_id = ? AND c.session_id = ? AND m.role = 'staff' AND m.id > ?
+    ORDER BY m.id ASC
+    LIMIT ?
+  `).bind(instanceId, sessionId, afterId, POLL_MESSAGE_LIMIT).all();
+
+  return result.results.map(row => ({
+    id: row.id,
+    content: row.content,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * List open handoffs across all instances for the admin inbox, oldest request first
+ * @param {D1Database} db - D1 database instance
+ * @returns {Promise<Array>} Handoffs with instance name and conversation ID
+ */
+export async function listOpenHandoffs(db) {
+  const result = await db.prepare(`
+    SELECT h.*, i.name as instance_name, c.id as conversation_id, c.last_message_at
+    FROM handoffs h
+    JOIN agent_instances i ON i.id = h.instance_id
+    LEFT JOIN conversations c ON c.instance_id = h.instance_id AND c.session_id = h.session_id
+    WHERE h.status IN ('requested', 'active')
+    ORDER BY h.requested_at ASC
+  `).all();
+
+  return result.results;
+}
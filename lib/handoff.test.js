@@ -0,0 +1,154 @@
+/**
+ * Tests for the handoff module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  isHandoffOpen,
+  extractHandoffRequest,
+  getHandoff,
+  requestHandoff,
+  setHandoffStatus,
+  saveStaffMessage,
+  listStaffMessages,
+  listOpenHandoffs,
+  MAX_STAFF_MESSAGE_LENGTH,
+  MAX_HANDOFF_REASON_LENGTH
+} from './handoff.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ first = null, all = [] } = {}) {
+  const statements = [];
+  const batches = [];
+
+  const createStatement = (query, params = []) => {
+    const statement = {
+      query: query.replace(/\s+/g, ' ').trim(),
+      params,
+      first: async () => first,
+      all: async () => ({ results: all }),
+      run: async () => ({ success: true })
+    };
+    statements.push(statement);
+    return statement;
+  };
+
+  return {
+    statements,
+    batches,
+    prepare: (query) => ({
+      bind: (...params) => createStatement(query, params),
+      all: () => createStatement(query).all()
+    }),
+    batch: async (list) => {
+      batches.push(list);
+      return list.map(() => ({ success: true }));
+    }
+  };
+}
+
+describe('Handoff Module', () => {
+  describe('isHandoffOpen', () => {
+    test('should be open while requested or active', () => {
+      expect(isHandoffOpen({ status: 'requested' })).toBe(true);
+      expect(isHandoffOpen({ status: 'active' })).toBe(true);
+      expect(isHandoffOpen({ status: 'resolved' })).toBe(false);
+      expect(isHandoffOpen(null)).toBe(false);
+    });
+  });
+
+  describe('extractHandoffRequest', () => {
+    test('should strip the marker and report the request', () => {
+      expect(extractHandoffRequest('Let me get a colleague. [HANDOFF]')).toEqual({
+        requested: true,
+        content: 'Let me get a colleague.'
+      });
+    });
+
+    test('should leave replies without the marker alone', () => {
+      expect(extractHandoffRequest('Hello there')).toEqual({ requested: false, content: 'Hello there' });
+      expect(extractHandoffRequest(undefined)).toEqual({ requested: false, content: undefined });
+    });
+  });
+
+  describe('getHandoff', () => {
+    test('should look up the handoff for the session', async () => {
+      const db = createTrackingDB({ first: { status: 'active' } });
+
+      expect(await getHandoff(db, 'test-instance', 'sess_1')).toEqual({ status: 'active' });
+      expect(db.statements[0].params).toEqual(['test-instance', 'sess_1']);
+    });
+  });
+
+  describe('requestHandoff', () => {
+    test('should only reopen resolved handoffs', async () => {
+      const db = createTrackingDB();
+
+      await requestHandoff(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        requestedBy: 'visitor',
+        reason: 'x'.repeat(MAX_HANDOFF_REASON_LENGTH + 10)
+      });
+
+      const { query, params } = db.statements[0];
+      expect(query).toContain('INSERT INTO handoffs');
+      expect(query).toContain("WHERE handoffs.status = 'resolved'");
+      expect(params.slice(0, 3)).toEqual(['test-instance', 'sess_1', 'visitor']);
+      expect(params[3]).toHaveLength(MAX_HANDOFF_REASON_LENGTH);
+    });
+  });
+
+  describe('setHandoffStatus', () => {
+    test('should upsert the status for the session', async () => {
+      const db = createTrackingDB();
+
+      await setHandoffStatus(db, 'test-instance', 'sess_1', 'resolved');
+
+      expect(db.statements[0].query).toContain('ON CONFLICT(instance_id, session_id) DO UPDATE');
+      expect(db.statements[0].params.slice(0, 3)).toEqual(['test-instance', 'sess_1', 'resolved']);
+    });
+  });
+
+  describe('saveStaffMessage', () => {
+    test('should store the reply and mark the handoff active in one batch', async () => {
+      const db = createTrackingDB();
+
+      await saveStaffMessage(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        content: 'y'.repeat(MAX_STAFF_MESSAGE_LENGTH + 1)
+      });
+
+      expect(db.batches).toHaveLength(1);
+      const [count, insert, handoff] = db.batches[0];
+      expect(count.query).toContain('UPDATE conversations SET message_count = message_count + 1');
+      expect(insert.query).toContain("SELECT id, 'staff'");
+      expect(insert.params[0]).toHaveLength(MAX_STAFF_MESSAGE_LENGTH);
+      expect(handoff.query).toContain("status = 'active'");
+    });
+  });
+
+  describe('listStaffMessages', () => {
+    test('should return staff replies after the given ID', async () => {
+      const db = createTrackingDB({
+        all: [{ id: 7, content: 'Hi, this is Sam', created_at: '2025-01-01T00:00:00.000Z' }]
+      });
+
+      const messages = await listStaffMessages(db, 'test-instance', 'sess_1', 5);
+
+      expect(messages).toEqual([{ id: 7, content: 'Hi, this is Sam', createdAt: '2025-01-01T00:00:00.000Z' }]);
+      expect(db.statements[0].query).toContain("m.role = 'staff' AND m.id > ?");
+      expect(db.statements[0].params.slice(0, 3)).toEqual(['test-instance', 'sess_1', 5]);
+    });
+  });
+
+  describe('listOpenHandoffs', () => {
+    test('should list requested and active handoffs', async () => {
+      const db = createTrackingDB({ all: [{ id: 1, instance_name: 'Support' }] });
+
+      expect(await listOpenHandoffs(db)).toEqual([{ id: 1, instance_name: 'Support' }]);
+      expect(db.statements[0].query).toContain("h.status IN ('requested', 'active')");
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * Identity module
+ * Verifies end-user identities signed by the host site's backend, so signed-in
+ * customers can be named in transcripts and to the agent without anyone being able
+ * to claim someone else's identity
+ *
+ * Identities are HS256 JSON Web Tokens signed with the instance's identity secret:
+ * `sub` is the user ID, `name` and `email` are optional and `exp` is required
+ */
+
+// Longest token accepted
+const MAX_TOKEN_LENGTH = 4096;
+
+// Clock difference allowed between the host site's backend and the worker (seconds)
+const CLOCK_SKEW_SECONDS = 60;
+
+// Longest user ID and name kept; emails follow the RFC 5321 limit
+const MAX_USER_ID_LENGTH = 200;
+const MAX_NAME_LENGTH = 200;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Generate an identity secret for an instance that turned identities on without one
+ * @returns {string} Secret such as idsec_3f9a...
+ */
+export function generateIdentitySecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return 'idsec_' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign an identity the way the host site's backend should
+ * @param {Object} identity - Identity to sign
+ * @param {string} identity.userId - User ID
+ * @param {string} [identity.name] - Display name
+ * @param {string} [identity.email] - Email address
+ * @param {number} identity.expiresAt - Unix time in seconds after which the token is refused
+ * @param {string} secret - Instance identity secret
+ * @returns {Promise<string>} Signed token
+ */
+export async function signIdentityToken({ userId, name, email, expiresAt }, secret) {
+  const header = encodeJson({ alg: 'HS256', typ: 'JWT' });
+  const payload = encodeJson({ sub: userId, name, email, exp: expiresAt });
+  const signature = await hmac(secret, `${header}.${payload}`);
+
+  return `${header}.${payload}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Verify a signed identity
+ * @param {string} token - Token passed to TypingMindChat.identify()
+ * @param {string} secret - Instance identity secret
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<Object>} { valid: true, identity } or { valid: false, reason: 'malformed' | 'signature' | 'expired' }
+ */
+export async function verifyIdentityToken(token, secret, now = Date.now()) {
+  if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [header, payload, signature] = parts;
+  const alg = decodeJson(header)?.alg;
+  const claims = decodeJson(payload);
+  const signatureBytes = base64UrlDecode(signature);
+  if (alg !== 'HS256' || !claims || !signatureBytes) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!await hmacVerify(secret, `${header}.${payload}`, signatureBytes)) {
+    return { valid: false, reason: 'signature' };
+  }
+
+  const identity = readClaims(claims);
+  if (!identity) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (identity.expiresAt * 1000 + CLOCK_SKEW_SECONDS * 1000 <= now) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, identity };
+}
+
+/**
+ * Tell the agent who it is talking to
+ * @param {Array} messages - Messages forwarded to TypingMind
+ * @param {Object|null} identity - Verified identity
+ * @returns {Array} Messages with a leading system message, or the original messages
+ */
+export function injectIdentity(messages, identity) {
+  if (!identity) return messages;
+
+  const details = [`User ID: ${identity.userId}`];
+  if (identity.name) details.push(`Name: ${identity.name}`);
+  if (identity.email) details.push(`Email: ${identity.email}`);
+
+  return [
+    { role: 'system', content: `The visitor is signed in to the website and their identity has been verified.\n${details.join('\n')}` },
+    ...messages
+  ];
+}
+
+/**
+ * Read the identity claims, rejecting missing or oversized values
+ * @param {Object} claims - Decoded token payload
+ * @returns {Object|null} { userId, name, email, expiresAt } or null when the claims are not valid
+ */
+function readClaims(claims) {
+  const userId = typeof claims.sub === 'number' ? String(claims.sub) : claims.sub;
+  if (typeof userId !== 'string' || !userId.trim() || userId.length > MAX_USER_ID_LENGTH) return null;
+  if (!Number.isFinite(claims.exp)) return null;
+
+  const name = optionalString(claims.name, MAX_NAME_LENGTH);
+  const email = optionalString(claims.email, MAX_EMAIL_LENGTH);
+  if (name === undefined || email === undefined) return null;
+  if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) return null;
+
+  return { userId: userId.replace(/\s+/g, ' ').trim(), name, email, expiresAt: claims.exp };
+}
+
+/**
+ * Read an optional string claim
+ * @param {*} value - Claim value
+ * @param {number} maxLength - Longest value allowed
+ * @returns {string|null|undefined} Value on one line, null when absent, undefined when not valid
+ */
+function optionalString(value, maxLength) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > maxLength) return undefined;
+  return value.replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Import an HMAC-SHA256 key
+ * @param {string} secret - Secret
+ * @param {string[]} usages - Key usages
+ * @returns {Promise<CryptoKey>} Key
+ */
+function importKey(secret, usages) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    usages
+  );
+}
+
+/**
+ * Sign text with HMAC-SHA256
+ * @param {string} secret - Secret
+ * @param {string} text - Signed text
+ * @returns {Promise<Uint8Array>} Signature
+ */
+async function hmac(secret, text) {
+  const key = await importKey(secret, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text)));
+}
+
+/**
+ * Check an HMAC-SHA256 signature in constant time
+ * @param {string} secret - Secret
+ * @param {string} text - Signed text
+ * @param {Uint8Array} signature - Signature to check
+ * @returns {Promise<boolean>} True when the signature matches
+ */
+async function hmacVerify(secret, text, signature) {
+  const key = await importKey(secret, ['verify']);
+  return crypto.subtle.verify('HMAC', key, signature, new TextEncoder().encode(text));
+}
+
+/**
+ * Encode an object as base64url JSON
+ * @param {Object} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeJson(value) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Decode base64url JSON
+ * @param {string} text - Encoded value
+ * @returns {Object|null} Decoded object, or null when not valid
+ */
+function decodeJson(text) {
+  const bytes = base64UrlDecode(text);
+  if (!bytes) return null;
+
+  try {
+    const value = JSON.parse(new TextDecoder().decode(bytes));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Encoded text
+ */
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array|null} Bytes, or null when not base64url
+ */
+function base64UrlDecode(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) return null;
+
+  try {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  } catch (error) {
+    return null;
+  }
+}
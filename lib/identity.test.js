@@ -0,0 +1,98 @@
+/**
+ * Tests for the identity module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { signIdentityToken, verifyIdentityToken, injectIdentity } from './identity.js';
+
+const secret = 'identity-secret';
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+const inOneHour = Math.floor(now / 1000) + 3600;
+
+// Encode a header or payload the way a JWT library would
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+describe('Identity Module', () => {
+  describe('verifyIdentityToken', () => {
+    test('should accept a token signed with the instance secret', async () => {
+      const token = await signIdentityToken({
+        userId: 'user-42',
+        name: 'Renée Dupont',
+        email: 'renee@example.com',
+        expiresAt: inOneHour
+      }, secret);
+
+      expect(await verifyIdentityToken(token, secret, now)).toEqual({
+        valid: true,
+        identity: { userId: 'user-42', name: 'Renée Dupont', email: 'renee@example.com', expiresAt: inOneHour }
+      });
+    });
+
+    test('should accept numeric user IDs and missing optional claims', async () => {
+      const token = await signIdentityToken({ userId: 42, expiresAt: inOneHour }, secret);
+
+      expect((await verifyIdentityToken(token, secret, now)).identity).toEqual({
+        userId: '42', name: null, email: null, expiresAt: inOneHour
+      });
+    });
+
+    test('should reject tokens signed with another secret', async () => {
+      const token = await signIdentityToken({ userId: 'user-42', expiresAt: inOneHour }, 'guessed-secret');
+
+      expect(await verifyIdentityToken(token, secret, now)).toEqual({ valid: false, reason: 'signature' });
+    });
+
+    test('should reject a payload swapped under a valid signature', async () => {
+      const token = await signIdentityToken({ userId: 'user-42', expiresAt: inOneHour }, secret);
+      const [header, , signature] = token.split('.');
+      const forged = `${header}.${encode({ sub: 'admin', exp: inOneHour })}.${signature}`;
+
+      expect(await verifyIdentityToken(forged, secret, now)).toEqual({ valid: false, reason: 'signature' });
+    });
+
+    test('should reject unsigned and malformed tokens', async () => {
+      const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'user-42', exp: inOneHour })}.`;
+
+      expect(await verifyIdentityToken(unsigned, secret, now)).toEqual({ valid: false, reason: 'malformed' });
+      expect(await verifyIdentityToken('not-a-token', secret, now)).toEqual({ valid: false, reason: 'malformed' });
+      expect(await verifyIdentityToken(null, secret, now)).toEqual({ valid: false, reason: 'malformed' });
+    });
+
+    test('should require a user ID and an expiry', async () => {
+      const noExpiry = await signIdentityToken({ userId: 'user-42' }, secret);
+      const noUser = await signIdentityToken({ expiresAt: inOneHour }, secret);
+      const badEmail = await signIdentityToken({ userId: 'user-42', email: 'not an email', expiresAt: inOneHour }, secret);
+
+      expect((await verifyIdentityToken(noExpiry, secret, now)).reason).toBe('malformed');
+      expect((await verifyIdentityToken(noUser, secret, now)).reason).toBe('malformed');
+      expect((await verifyIdentityToken(badEmail, secret, now)).reason).toBe('malformed');
+    });
+
+    test('should reject expired tokens, allowing a minute of clock skew', async () => {
+      const token = await signIdentityToken({ userId: 'user-42', expiresAt: Math.floor(now / 1000) - 30 }, secret);
+
+      expect((await verifyIdentityToken(token, secret, now)).valid).toBe(true);
+      expect(await verifyIdentityToken(token, secret, now + 60 * 1000)).toEqual({ valid: false, reason: 'expired' });
+    });
+  });
+
+  describe('injectIdentity', () => {
+    const messages = [{ role: 'user', content: 'Where is my order?' }];
+
+    test('should add a system message naming the visitor', () => {
+      const result = injectIdentity(messages, { userId: 'user-42', name: 'Renée', email: null });
+
+      expect(result).toHaveLength(2);
+      expect(result[0].role).toBe('system');
+      expect(result[0].content).toContain('User ID: user-42\nName: Renée');
+      expect(result[0].content).not.toContain('Email');
+      expect(result[1]).toBe(messages[0]);
+    });
+
+    test('should leave anonymous conversations alone', () => {
+      expect(injectIdentity(messages, null)).toBe(messages);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Instance state module
+ * Active, paused and maintenance states, scheduled maintenance windows, and what
+ * the widget and the status page are told about them
+ */
+
+// States an instance can be switched to
+export const INSTANCE_STATES = ['active', 'paused', 'maintenance'];
+
+// Shown in the widget during maintenance unless the instance sets its own message
+export const DEFAULT_MAINTENANCE_MESSAGE = 'Chat is down for maintenance. Please check back soon.';
+
+// Longest maintenance message an instance may set (characters)
+export const MAX_MAINTENANCE_MESSAGE_LENGTH = 500;
+
+// Form values from datetime-local inputs have no zone and are read as UTC
+const LOCAL_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+
+/**
+ * Read a maintenance window time
+ * @param {string|null} value - ISO time, or YYYY-MM-DDTHH:MM in UTC; empty means no limit
+ * @returns {string|null|undefined} ISO time, null when empty, undefined when not valid
+ */
+export function parseWindowTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') return undefined;
+
+  const text = value.trim();
+  if (!text) return null;
+
+  const time = Date.parse(LOCAL_TIME_PATTERN.test(text) ? `${text}Z` : text);
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+/**
+ * Read the stored state columns of an instance row
+ * @param {Object} row - agent_instances row
+ * @returns {Object} { state, maintenanceMessage, maintenanceStartsAt, maintenanceEndsAt }
+ */
+export function parseStoredAvailability(row) {
+  return {
+    state: INSTANCE_STATES.includes(row?.state) ? row.state : 'active',
+    maintenanceMessage: row?.maintenance_message || DEFAULT_MAINTENANCE_MESSAGE,
+    maintenanceStartsAt: parseWindowTime(row?.maintenance_starts_at) || null,
+    maintenanceEndsAt: parseWindowTime(row?.maintenance_ends_at) || null
+  };
+}
+
+/**
+ * Check the state fields from the admin form
+ * @param {Object} data - Instance data
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateInstanceState(data) {
+  const errors = [];
+
+  if (data.state && !INSTANCE_STATES.includes(data.state)) {
+    errors.push(`State must be one of: ${INSTANCE_STATES.join(', ')}`);
+  }
+
+  if (data.maintenance_message && data.maintenance_message.length > MAX_MAINTENANCE_MESSAGE_LENGTH) {
+    errors.push(`Maintenance message must be ${MAX_MAINTENANCE_MESSAGE_LENGTH} characters or fewer`);
+  }
+
+  const startsAt = parseWindowTime(data.maintenance_starts_at);
+  const endsAt = parseWindowTime(data.maintenance_ends_at);
+  if (startsAt === undefined) {
+    errors.push('Maintenance start must be a date and time');
+  }
+  if (endsAt === undefined) {
+    errors.push('Maintenance end must be a date and time');
+  }
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    errors.push('Maintenance end must be after its start');
+  }
+
+  return errors;
+}
+
+/**
+ * Work out the state an instance is in right now
+ * Maintenance with a window only applies between its start and end; paused always applies
+ * @param {Object|null} availability - Instance availability from getInstanceConfig
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object} { state: 'active' | 'paused' | 'maintenance', message, endsAt }
+ */
+export function getInstanceState(availability, now = new Date()) {
+  const state = availability?.state;
+
+  if (state === 'paused') {
+    return { state: 'paused', message: null, endsAt: null };
+  }
+
+  if (state === 'maintenance') {
+    const time = now.getTime();
+    const started = !availability.maintenanceStartsAt || Date.parse(availability.maintenanceStartsAt) <= time;
+    const ended = !!availability.maintenanceEndsAt && Date.parse(availability.maintenanceEndsAt) <= time;
+    if (started && !ended) {
+      return {
+        state: 'maintenance',
+        message: availability.maintenanceMessage || DEFAULT_MAINTENANCE_MESSAGE,
+        endsAt: availability.maintenanceEndsAt || null
+      };
+    }
+  }
+
+  return { state: 'active', message: null, endsAt: null };
+}
+
+/**
+ * Get the state the widget needs
+ * @param {Object|null} availability - Instance availability from getInstanceConfig
+ * @param {Date} now - Current time (for tests)
+ * @returns {Object|null} { state, message, endsAt }, or null while the instance is active
+ */
+export function getPublicInstanceState(availability, now = new Date()) {
+  const current = getInstanceState(availability, now);
+  return current.state === 'active' ? null : current;
+}
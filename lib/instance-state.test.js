@@ -0,0 +1,100 @@
+/**
+ * Tests for the instance state module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseWindowTime,
+  parseStoredAvailability,
+  validateInstanceState,
+  getInstanceState,
+  getPublicInstanceState,
+  DEFAULT_MAINTENANCE_MESSAGE
+} from './instance-state.js';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Instance State Module', () => {
+  describe('parseWindowTime', () => {
+    test('should read form times as UTC and keep ISO times', () => {
+      expect(parseWindowTime('2026-10-20T22:00')).toBe('2026-10-20T22:00:00.000Z');
+      expect(parseWindowTime('2026-10-20T22:00:00+02:00')).toBe('2026-10-20T20:00:00.000Z');
+      expect(parseWindowTime('')).toBeNull();
+      expect(parseWindowTime(null)).toBeNull();
+      expect(parseWindowTime('tomorrow')).toBeUndefined();
+    });
+  });
+
+  describe('parseStoredAvailability', () => {
+    test('should fall back to active and the default message', () => {
+      expect(parseStoredAvailability({ state: 'archived', maintenance_ends_at: 'never' })).toEqual({
+        state: 'active',
+        maintenanceMessage: DEFAULT_MAINTENANCE_MESSAGE,
+        maintenanceStartsAt: null,
+        maintenanceEndsAt: null
+      });
+    });
+  });
+
+  describe('validateInstanceState', () => {
+    test('should accept a scheduled maintenance window', () => {
+      expect(validateInstanceState({
+        state: 'maintenance',
+        maintenance_message: 'Back soon',
+        maintenance_starts_at: '2026-10-20T22:00',
+        maintenance_ends_at: '2026-10-21T02:00'
+      })).toEqual([]);
+      expect(validateInstanceState({})).toEqual([]);
+    });
+
+    test('should report invalid fields', () => {
+      expect(validateInstanceState({
+        state: 'deleted',
+        maintenance_message: 'x'.repeat(501),
+        maintenance_starts_at: '2026-10-21T02:00',
+        maintenance_ends_at: '2026-10-20T22:00'
+      })).toEqual([
+        'State must be one of: active, paused, maintenance',
+        'Maintenance message must be 500 characters or fewer',
+        'Maintenance end must be after its start'
+      ]);
+      expect(validateInstanceState({ maintenance_starts_at: 'soon' })).toEqual([
+        'Maintenance start must be a date and time'
+      ]);
+    });
+  });
+
+  describe('getInstanceState', () => {
+    const maintenance = {
+      state: 'maintenance',
+      maintenanceMessage: 'Upgrading',
+      maintenanceStartsAt: '2026-10-19T10:00:00.000Z',
+      maintenanceEndsAt: '2026-10-19T14:00:00.000Z'
+    };
+
+    test('should apply maintenance inside its window only', () => {
+      expect(getInstanceState(maintenance, now)).toEqual({
+        state: 'maintenance',
+        message: 'Upgrading',
+        endsAt: '2026-10-19T14:00:00.000Z'
+      });
+      expect(getInstanceState(maintenance, new Date('2026-10-19T09:00:00Z')).state).toBe('active');
+      expect(getInstanceState(maintenance, new Date('2026-10-19T14:00:00Z')).state).toBe('active');
+      expect(getInstanceState({ ...maintenance, maintenanceStartsAt: null, maintenanceEndsAt: null }, now).state).toBe('maintenance');
+    });
+
+    test('should pause regardless of the window and default to active', () => {
+      expect(getInstanceState({ ...maintenance, state: 'paused' }, new Date('2026-10-19T09:00:00Z'))).toEqual({
+        state: 'paused',
+        message: null,
+        endsAt: null
+      });
+      expect(getInstanceState(undefined, now).state).toBe('active');
+    });
+
+    test('should give the widget nothing while active', () => {
+      expect(getPublicInstanceState({ state: 'active' }, now)).toBeNull();
+      expect(getPublicInstanceState(maintenance, now).state).toBe('maintenance');
+    });
+  });
+});
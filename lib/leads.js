@@ -0,0 +1,255 @@
+/**
+ * Leads module
+ * Validates pre-chat form submissions and stores them in D1 against the widget session
+ */
+
+// Input types the pre-chat form can render
+export const LEAD_FIELD_TYPES = ['text', 'email', 'tel', 'textarea'];
+
+// Fields shown when an instance enables the form without configuring any
+export const DEFAULT_LEAD_FIELDS = [
+  { key: 'name', label: 'Name', type: 'text', required: true },
+  { key: 'email', label: 'Email', type: 'email', required: true }
+];
+
+// Most fields a form may have
+export const MAX_LEAD_FIELDS = 10;
+
+// Longest value kept for a single field (characters)
+export const MAX_LEAD_VALUE_LENGTH = 1000;
+
+// Maximum number of leads returned by an export
+export const LEAD_EXPORT_LIMIT = 10000;
+
+// Keys used by the export columns, so they cannot name a custom field
+const RESERVED_FIELD_KEYS = ['created_at', 'session_id', 'conversation_id', 'origin'];
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]{6,20}$/;
+
+/**
+ * Check a field list from the admin form
+ * @param {Array} fields - Fields as { key, label, type, required }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateLeadFields(fields) {
+  const errors = [];
+  if (!Array.isArray(fields)) return ['Lead form fields must be a list'];
+
+  if (fields.length > MAX_LEAD_FIELDS) {
+    errors.push(`Lead forms can have at most ${MAX_LEAD_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+  for (const field of fields) {
+    if (!field || !FIELD_KEY_PATTERN.test(field.key || '')) {
+      errors.push(`Invalid lead field key: ${field?.key || '(empty)'} (use lowercase letters, numbers and underscores)`);
+      continue;
+    }
+    if (RESERVED_FIELD_KEYS.includes(field.key)) {
+      errors.push(`Lead field key is reserved: ${field.key}`);
+    }
+    if (seen.has(field.key)) {
+      errors.push(`Duplicate lead field key: ${field.key}`);
+    }
+    seen.add(field.key);
+    if (!LEAD_FIELD_TYPES.includes(field.type)) {
+      errors.push(`Lead field ${field.key} has an unknown type: ${field.type}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read the stored field list for an instance
+ * Bad JSON or an empty list falls back to the default name and email fields
+ * @param {string|Array|null} stored - JSON text from D1 (or an already parsed list)
+ * @returns {Array<Object>} Fields as { key, label, type, required }
+ */
+export function parseStoredLeadFields(stored) {
+  let fields = stored;
+  if (typeof stored === 'string') {
+    try {
+      fields = JSON.parse(stored);
+    } catch (error) {
+      fields = null;
+    }
+  }
+
+  if (!Array.isArray(fields) || fields.length === 0 || validateLeadFields(fields).length > 0) {
+    return DEFAULT_LEAD_FIELDS.map(field => ({ ...field }));
+  }
+
+  return fields.map(field => ({
+    key: field.key,
+    label: field.label || field.key,
+    type: field.type,
+    required: !!field.required
+  }));
+}
+
+/**
+ * Validate a pre-chat form submission against the instance's fields
+ * Unknown keys are dropped and values are trimmed to MAX_LEAD_VALUE_LENGTH
+ * @param {Array<Object>} fields - Instance lead fields
+ * @param {Object} values - Submitted values keyed by field key
+ * @returns {Object} { valid, errors, values }
+ */
+export function validateLead(fields, values) {
+  const errors = [];
+  const cleaned = {};
+  const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+
+  for (const field of fields) {
+    const raw = input[field.key];
+    const value = typeof raw === 'string' || typeof raw === 'number'
+      ? String(raw).trim().slice(0, MAX_LEAD_VALUE_LENGTH)
+      : '';
+
+    if (!value) {
+      if (field.required) {
+        errors.push(`${field.label} is required`);
+      }
+      continue;
+    }
+
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push(`${field.label} must be a valid email address`);
+    } else if (field.type === 'tel' && !PHONE_PATTERN.test(value)) {
+      errors.push(`${field.label} must be a valid phone number`);
+    }
+
+    cleaned[field.key] = value;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    values: cleaned
+  };
+}
+
+/**
+ * Save a lead for a widget session
+ * A second submission from the same session replaces the first
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} lead - Lead data
+ * @param {string} lead.instanceId - Instance ID
+ * @param {string} lead.sessionId - Widget session ID
+ * @param {Object} lead.values - Validated form values
+ * @param {string|null} lead.origin - Request origin
+ * @returns {Promise<void>}
+ */
+export async function saveLead(db, lead) {
+  const { instanceId, sessionId, values, origin = null } = lead;
+  const { name = null, email = null, ...extra } = values;
+
+  await db.prepare(`
+    INSERT INTO leads (instance_id, session_id, name, email, data, origin, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(instance_id, session_id) DO UPDATE SET
+      name = excluded.name,
+      email = excluded.email,
+      data = excluded.data,
+      origin = excluded.origin,
+      created_at = excluded.created_at
+  `).bind(
+    instanceId,
+    sessionId,
+    name,
+    email,
+    JSON.stringify(extra),
+    origin,
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * Turn a lead row into the shape used by the admin page and exports
+ * @param {Object} row - Row from the leads table
+ * @returns {Object} Lead with its custom values parsed
+ */
+function toLead(row) {
+  let data = {};
+  try {
+    data = row.data ? JSON.parse(row.data) : {};
+  } catch (error) {
+    data = {};
+  }
+
+  return { ...row, data };
+}
+
+/**
+ * List leads for an instance, newest first
+ * Each lead carries the ID of the conversation from the same session, if any
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} pagination - Pagination options
+ * @param {number} pagination.limit - Page size
+ * @param {number} pagination.offset - Rows to skip
+ * @returns {Promise<Object>} { leads, total }
+ */
+export async function listLeads(db, instanceId, { limit = 50, offset = 0 } = {}) {
+  const leads = await db.prepare(`
+    SELECT l.*, c.id as conversation_id
+    FROM leads l
+    LEFT JOIN conversations c ON c.instance_id = l.instance_id AND c.session_id = l.session_id
+    WHERE l.instance_id = ?
+    ORDER BY l.created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(instanceId, limit, offset).all();
+
+  const count = await db.prepare(`
+    SELECT COUNT(*) as total FROM leads WHERE instance_id = ?
+  `).bind(instanceId).first();
+
+  return {
+    leads: leads.results.map(toLead),
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Get leads for a CSV export, flattening custom values into columns
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Array<Object>} fields - Instance lead fields (custom columns follow name and email)
+ * @returns {Promise<Object>} { rows, columns }
+ */
+export async function getLeadExportRows(db, instanceId, fields) {
+  const result = await db.prepare(`
+    SELECT l.*, c.id as conversation_id
+    FROM leads l
+    LEFT JOIN conversations c ON c.instance_id = l.instance_id AND c.session_id = l.session_id
+    WHERE l.instance_id = ?
+    ORDER BY l.created_at DESC
+    LIMIT ?
+  `).bind(instanceId, LEAD_EXPORT_LIMIT).all();
+
+  const customKeys = fields
+    .map(field => field.key)
+    .filter(key => key !== 'name' && key !== 'email');
+
+  const rows = result.results.map(toLead).map(lead => {
+    const row = {
+      created_at: lead.created_at,
+      session_id: lead.session_id,
+      conversation_id: lead.conversation_id,
+      origin: lead.origin,
+      name: lead.name,
+      email: lead.email
+    };
+    customKeys.forEach(key => {
+      row[key] = lead.data[key];
+    });
+    return row;
+  });
+
+  return {
+    rows,
+    columns: ['created_at', 'session_id', 'conversation_id', 'origin', 'name', 'email', ...customKeys]
+  };
+}
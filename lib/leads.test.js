@@ -0,0 +1,199 @@
+/**
+ * Tests for the leads module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_LEAD_FIELDS,
+  MAX_LEAD_FIELDS,
+  MAX_LEAD_VALUE_LENGTH,
+  LEAD_EXPORT_LIMIT,
+  validateLeadFields,
+  parseStoredLeadFields,
+  validateLead,
+  saveLead,
+  listLeads,
+  getLeadExportRows
+} from './leads.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ first = null, all = [] } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          first: async () => first,
+          all: async () => ({ results: all }),
+          run: async () => ({ success: true })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+const fields = [
+  { key: 'name', label: 'Name', type: 'text', required: true },
+  { key: 'email', label: 'Email', type: 'email', required: true },
+  { key: 'phone', label: 'Phone', type: 'tel', required: false },
+  { key: 'company', label: 'Company', type: 'text', required: false }
+];
+
+describe('Leads Module', () => {
+  describe('validateLeadFields', () => {
+    test('should accept a valid field list', () => {
+      expect(validateLeadFields(fields)).toEqual([]);
+    });
+
+    test('should reject bad keys, duplicates, reserved keys and unknown types', () => {
+      const errors = validateLeadFields([
+        { key: 'Full Name', type: 'text' },
+        { key: 'email', type: 'email' },
+        { key: 'email', type: 'email' },
+        { key: 'origin', type: 'text' },
+        { key: 'budget', type: 'number' }
+      ]);
+
+      expect(errors).toHaveLength(4);
+      expect(errors[0]).toContain('Invalid lead field key: Full Name');
+      expect(errors).toContain('Duplicate lead field key: email');
+      expect(errors).toContain('Lead field key is reserved: origin');
+      expect(errors).toContain('Lead field budget has an unknown type: number');
+    });
+
+    test('should limit the number of fields', () => {
+      const many = Array.from({ length: MAX_LEAD_FIELDS + 1 }, (_, i) => ({ key: `f${i}`, type: 'text' }));
+      expect(validateLeadFields(many)).toContain(`Lead forms can have at most ${MAX_LEAD_FIELDS} fields`);
+    });
+  });
+
+  describe('parseStoredLeadFields', () => {
+    test('should parse stored JSON', () => {
+      const stored = JSON.stringify([{ key: 'company', label: 'Company', type: 'text', required: 1 }]);
+      expect(parseStoredLeadFields(stored)).toEqual([
+        { key: 'company', label: 'Company', type: 'text', required: true }
+      ]);
+    });
+
+    test('should fall back to the default fields', () => {
+      expect(parseStoredLeadFields(null)).toEqual(DEFAULT_LEAD_FIELDS);
+      expect(parseStoredLeadFields('not json')).toEqual(DEFAULT_LEAD_FIELDS);
+      expect(parseStoredLeadFields('[]')).toEqual(DEFAULT_LEAD_FIELDS);
+      expect(parseStoredLeadFields('[{"key":"Bad Key","type":"text"}]')).toEqual(DEFAULT_LEAD_FIELDS);
+    });
+  });
+
+  describe('validateLead', () => {
+    test('should trim values and drop unknown keys', () => {
+      const result = validateLead(fields, {
+        name: '  Ada ',
+        email: 'ada@example.com',
+        phone: '+61 2 9999 0000',
+        unknown: 'x'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.values).toEqual({
+        name: 'Ada',
+        email: 'ada@example.com',
+        phone: '+61 2 9999 0000'
+      });
+    });
+
+    test('should report missing required fields and bad formats', () => {
+      const result = validateLead(fields, { email: 'nope', phone: 'call me' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'Name is required',
+        'Email must be a valid email address',
+        'Phone must be a valid phone number'
+      ]);
+    });
+
+    test('should cap value length', () => {
+      const result = validateLead(fields, {
+        name: 'a'.repeat(MAX_LEAD_VALUE_LENGTH + 50),
+        email: 'ada@example.com'
+      });
+      expect(result.values.name).toHaveLength(MAX_LEAD_VALUE_LENGTH);
+    });
+
+    test('should ignore non-string values', () => {
+      const result = validateLead(fields, { name: { nested: true }, email: 'ada@example.com' });
+      expect(result.errors).toEqual(['Name is required']);
+    });
+  });
+
+  describe('saveLead', () => {
+    test('should upsert the lead for the session with custom values as JSON', async () => {
+      const db = createTrackingDB();
+
+      await saveLead(db, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        values: { name: 'Ada', email: 'ada@example.com', company: 'Analytical' },
+        origin: 'https://example.com'
+      });
+
+      const [statement] = db.statements;
+      expect(statement.query).toContain('INSERT INTO leads');
+      expect(statement.query).toContain('ON CONFLICT(instance_id, session_id) DO UPDATE');
+      expect(statement.params.slice(0, 6)).toEqual([
+        'test-instance',
+        'sess_1',
+        'Ada',
+        'ada@example.com',
+        '{"company":"Analytical"}',
+        'https://example.com'
+      ]);
+    });
+  });
+
+  describe('listLeads', () => {
+    test('should page leads and parse custom values', async () => {
+      const db = createTrackingDB({
+        first: { total: 1 },
+        all: [{ id: 1, session_id: 'sess_1', name: 'Ada', data: '{"company":"Analytical"}', conversation_id: 7 }]
+      });
+
+      const result = await listLeads(db, 'test-instance', { limit: 25, offset: 50 });
+
+      expect(result.total).toBe(1);
+      expect(result.leads[0].data).toEqual({ company: 'Analytical' });
+      expect(result.leads[0].conversation_id).toBe(7);
+      expect(db.statements[0].query).toContain('LEFT JOIN conversations c');
+      expect(db.statements[0].params).toEqual(['test-instance', 25, 50]);
+    });
+  });
+
+  describe('getLeadExportRows', () => {
+    test('should flatten custom values into columns', async () => {
+      const db = createTrackingDB({
+        all: [{
+          created_at: '2025-01-01T00:00:00.000Z',
+          session_id: 'sess_1',
+          conversation_id: null,
+          origin: 'https://example.com',
+          name: 'Ada',
+          email: 'ada@example.com',
+          data: '{"company":"Analytical","phone":"123456"}'
+        }]
+      });
+
+      const { rows, columns } = await getLeadExportRows(db, 'test-instance', fields);
+
+      expect(columns).toEqual([
+        'created_at', 'session_id', 'conversation_id', 'origin', 'name', 'email', 'phone', 'company'
+      ]);
+      expect(rows[0]).toMatchObject({ name: 'Ada', phone: '123456', company: 'Analytical' });
+      expect(db.statements[0].params).toEqual(['test-instance', LEAD_EXPORT_LIMIT]);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Locales module
+ * Languages the widget ships strings for, per-instance string overrides,
+ * welcome message translations and text direction
+ */
+
+// Locales with bundled widget strings, in admin form order
+export const SUPPORTED_LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'de', label: 'Deutsch' }
+];
+
+// Widget strings an instance may override
+// Keep in step with the catalogs in widget/src/utils/i18n.js
+export const TRANSLATION_KEYS = [
+  'chatTitle', 'openChat', 'minimizeChat', 'closeChat', 'welcomePlaceholder',
+  'inputPlaceholder', 'inputLabel', 'sendMessage', 'attachImage', 'removeAttachment', 'attachedImage',
+  'attachTypeError', 'attachLimitError', 'attachSizeError', 'attachError', 'sendError', 'streamError',
+  'leadFormTitle', 'leadFormSubmit', 'leadFormError', 'fieldRequired', 'fieldInvalidEmail',
+  'offlineFormSubmit', 'offlineName', 'offlineEmail', 'offlineMessage', 'offlineThanks',
+  'talkToPerson', 'handoffError', 'handoffEnded',
+  'feedbackHelpful', 'feedbackNotHelpful', 'feedbackCommentPlaceholder', 'feedbackCommentLabel',
+  'feedbackSend', 'feedbackThanks'
+];
+
+// Text directions an instance may use; 'auto' follows the host page's dir attribute
+export const TEXT_DIRECTIONS = ['auto', 'ltr', 'rtl'];
+
+// Longest string override an instance may set (characters)
+export const MAX_STRING_OVERRIDE_LENGTH = 300;
+
+// Longest translated welcome message an instance may set (characters)
+export const MAX_WELCOME_TRANSLATION_LENGTH = 1000;
+
+const LOCALE_CODES = SUPPORTED_LOCALES.map(locale => locale.code);
+
+/**
+ * Check whether a locale has bundled widget strings
+ * @param {string} code - Locale code such as 'es'
+ * @returns {boolean} True when supported
+ */
+export function isSupportedLocale(code) {
+  return LOCALE_CODES.includes(code);
+}
+
+/**
+ * Read stored welcome message translations
+ * @param {string|Object|null} stored - JSON object of locale to text
+ * @returns {Object} Text per supported locale; unknown locales and empty texts are dropped
+ */
+export function parseStoredWelcomeTranslations(stored) {
+  const translations = readJsonObject(stored);
+
+  const result = {};
+  for (const code of LOCALE_CODES) {
+    if (typeof translations[code] === 'string' && translations[code].trim()) {
+      result[code] = translations[code];
+    }
+  }
+  return result;
+}
+
+/**
+ * Read stored widget string overrides
+ * @param {string|Object|null} stored - JSON object of locale to { key: text }
+ * @returns {Object} Overrides per supported locale; unknown locales and keys are dropped
+ */
+export function parseStoredStringOverrides(stored) {
+  const overrides = readJsonObject(stored);
+
+  const result = {};
+  for (const code of LOCALE_CODES) {
+    const strings = overrides[code];
+    if (!strings || typeof strings !== 'object') continue;
+
+    for (const key of TRANSLATION_KEYS) {
+      if (typeof strings[key] === 'string' && strings[key].trim()) {
+        result[code] = { ...result[code], [key]: strings[key] };
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Check the language fields from the admin form
+ * @param {Object} data - Instance data with default_locale, text_direction, welcome_translations
+ *   ({ locale, text } list) and string_overrides ({ locale, key, text } list)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateLocaleSettings(data) {
+  const errors = [];
+  const supported = LOCALE_CODES.join(', ');
+
+  if (data.default_locale && !isSupportedLocale(data.default_locale)) {
+    errors.push(`Default language must be one of: ${supported}`);
+  }
+
+  if (data.text_direction && !TEXT_DIRECTIONS.includes(data.text_direction)) {
+    errors.push(`Text direction must be one of: ${TEXT_DIRECTIONS.join(', ')}`);
+  }
+
+  const welcomes = Array.isArray(data.welcome_translations) ? data.welcome_translations : [];
+  const welcomeLocales = welcomes.map(w => w.locale);
+  const unknownWelcome = welcomeLocales.filter(code => !isSupportedLocale(code));
+  if (unknownWelcome.length > 0) {
+    errors.push(`Welcome translations must use one of: ${supported} (got ${unknownWelcome.map(c => c || '(empty)').join(', ')})`);
+  }
+  if (new Set(welcomeLocales).size !== welcomeLocales.length) {
+    errors.push('Each language may have one welcome translation');
+  }
+  if (welcomes.some(w => !w.text)) {
+    errors.push('Welcome translations need a message');
+  }
+  if (welcomes.some(w => w.text && w.text.length > MAX_WELCOME_TRANSLATION_LENGTH)) {
+    errors.push(`Welcome translations must be ${MAX_WELCOME_TRANSLATION_LENGTH} characters or fewer`);
+  }
+
+  const overrides = Array.isArray(data.string_overrides) ? data.string_overrides : [];
+  const unknownLocales = overrides.map(o => o.locale).filter(code => !isSupportedLocale(code));
+  if (unknownLocales.length > 0) {
+    errors.push(`String overrides must use one of: ${supported} (got ${unknownLocales.map(c => c || '(empty)').join(', ')})`);
+  }
+  const unknownKeys = overrides.map(o => o.key).filter(key => !TRANSLATION_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unknown widget strings: ${unknownKeys.map(k => k || '(empty)').join(', ')}`);
+  }
+  const pairs = overrides.map(o => `${o.locale}|${o.key}`);
+  if (new Set(pairs).size !== pairs.length) {
+    errors.push('Each widget string may be overridden once per language');
+  }
+  if (overrides.some(o => !o.text)) {
+    errors.push('String overrides need a text');
+  }
+  if (overrides.some(o => o.text && o.text.length > MAX_STRING_OVERRIDE_LENGTH)) {
+    errors.push(`String overrides must be ${MAX_STRING_OVERRIDE_LENGTH} characters or fewer`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a JSON object, treating anything else as empty
+ * @param {string|Object|null} stored - JSON text or object
+ * @returns {Object} Parsed object
+ */
+function readJsonObject(stored) {
+  let value = stored;
+  if (typeof stored === 'string') {
+    try {
+      value = JSON.parse(stored);
+    } catch (error) {
+      value = null;
+    }
+  }
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
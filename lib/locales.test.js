@@ -0,0 +1,78 @@
+/**
+ * Tests for the locales module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  isSupportedLocale,
+  parseStoredWelcomeTranslations,
+  parseStoredStringOverrides,
+  validateLocaleSettings
+} from './locales.js';
+
+describe('Locales Module', () => {
+  describe('isSupportedLocale', () => {
+    test('should accept bundled locales only', () => {
+      expect(isSupportedLocale('es')).toBe(true);
+      expect(isSupportedLocale('de')).toBe(true);
+      expect(isSupportedLocale('fr')).toBe(false);
+      expect(isSupportedLocale(undefined)).toBe(false);
+    });
+  });
+
+  describe('parseStoredWelcomeTranslations', () => {
+    test('should keep texts for supported locales', () => {
+      expect(parseStoredWelcomeTranslations('{"es":"¡Hola!","fr":"Bonjour","de":"  "}')).toEqual({ es: '¡Hola!' });
+      expect(parseStoredWelcomeTranslations('not json')).toEqual({});
+      expect(parseStoredWelcomeTranslations(null)).toEqual({});
+    });
+  });
+
+  describe('parseStoredStringOverrides', () => {
+    test('should keep known strings for supported locales', () => {
+      expect(parseStoredStringOverrides(JSON.stringify({
+        es: { sendMessage: 'Mandar', noSuchKey: 'x' },
+        de: { talkToPerson: 7 },
+        fr: { sendMessage: 'Envoyer' }
+      }))).toEqual({ es: { sendMessage: 'Mandar' } });
+      expect(parseStoredStringOverrides('[]')).toEqual({});
+    });
+  });
+
+  describe('validateLocaleSettings', () => {
+    test('should accept valid settings', () => {
+      expect(validateLocaleSettings({
+        default_locale: 'es',
+        text_direction: 'rtl',
+        welcome_translations: [{ locale: 'de', text: 'Hallo!' }, { locale: 'en', text: 'Hello!' }],
+        string_overrides: [{ locale: 'es', key: 'sendMessage', text: 'Mandar' }, { locale: 'de', key: 'sendMessage', text: 'Senden' }]
+      })).toEqual([]);
+      expect(validateLocaleSettings({})).toEqual([]);
+    });
+
+    test('should report invalid settings', () => {
+      expect(validateLocaleSettings({
+        default_locale: 'fr',
+        text_direction: 'right',
+        welcome_translations: [{ locale: 'es', text: '¡Hola!' }, { locale: 'es', text: 'x'.repeat(1001) }, { locale: 'it', text: '' }],
+        string_overrides: [
+          { locale: 'de', key: 'sendMessage', text: 'Senden' },
+          { locale: 'de', key: 'sendMessage', text: 'x'.repeat(301) },
+          { locale: 'pt', key: 'sendButton', text: '' }
+        ]
+      })).toEqual([
+        'Default language must be one of: en, es, de',
+        'Text direction must be one of: auto, ltr, rtl',
+        'Welcome translations must use one of: en, es, de (got it)',
+        'Each language may have one welcome translation',
+        'Welcome translations need a message',
+        'Welcome translations must be 1000 characters or fewer',
+        'String overrides must use one of: en, es, de (got pt)',
+        'Unknown widget strings: sendButton',
+        'Each widget string may be overridden once per language',
+        'String overrides need a text',
+        'String overrides must be 300 characters or fewer'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Public Request Middleware
+ * Shared checks for the widget's form endpoints (leads, feedback, offline messages)
+ */
+
+import { validateInstanceId, validateDomain } from '../security.js';
+import { getInstanceConfig } from '../database.js';
+import {
+  enforceRateLimit,
+  generateRateLimitKeys,
+  extractClientId,
+  createRateLimitErrorResponse
+} from '../rate-limiter.js';
+import { hasNetworkRules, getRequestNetwork, evaluateNetworkRules } from '../network-rules.js';
+import { getInstanceState } from '../instance-state.js';
+import { dispatchWebhookEvent } from '../webhooks.js';
+
+// Form submissions are small; larger bodies are refused before they are read
+export const MAX_FORM_REQUEST_BYTES = 65536;
+
+/**
+ * Check a widget form submission the same way as /chat: body size, instance and session IDs,
+ * instance lookup, allowed domains, instance state, network rules and rate limits.
+ * Each endpoint counts against its own rate limit keys, so forms never use up chat messages
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} options - Check options
+ * @param {string} options.scope - Endpoint name used in the rate limit keys, e.g. 'leads'
+ * @param {string[]} options.requiredFields - Body fields that must be present; instanceId and sessionId are always checked
+ * @param {Object} options.responseHeaders - Headers for error responses
+ * @returns {Promise<Object>} { response } when the request is refused, otherwise { body, instanceConfig }
+ */
+export async function checkPublicRequest(request, env, ctx, { scope, requiredFields, responseHeaders }) {
+  const contentLength = request.headers.get('Content-Length');
+  if (contentLength && parseInt(contentLength) > MAX_FORM_REQUEST_BYTES) {
+    return reject({
+      error: 'Request too large',
+      message: `Request body exceeds ${MAX_FORM_REQUEST_BYTES / 1024}KB limit`
+    }, 413, responseHeaders);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return reject({ error: 'Invalid JSON body' }, 400, responseHeaders);
+  }
+
+  const missing = !body || typeof body !== 'object' || requiredFields.some(field => !body[field]);
+  if (missing) {
+    const names = requiredFields.length > 1
+      ? `${requiredFields.slice(0, -1).join(', ')} and ${requiredFields[requiredFields.length - 1]}`
+      : requiredFields[0];
+    return reject({ error: `Missing required fields: ${names}` }, 400, responseHeaders);
+  }
+
+  const { instanceId, sessionId } = body;
+
+  // Validate instance ID format
+  if (!validateInstanceId(instanceId)) {
+    return reject({ error: 'Invalid instance ID format' }, 400, responseHeaders);
+  }
+
+  if (typeof sessionId !== 'string' || sessionId.length > 100) {
+    return reject({ error: 'Invalid session ID' }, 400, responseHeaders);
+  }
+
+  // Get instance config from D1
+  const instanceConfig = await getInstanceConfig(env.DB, instanceId);
+  if (!instanceConfig) {
+    return reject({ error: 'Instance not found' }, 404, responseHeaders);
+  }
+
+  // Validate domain
+  if (!await validateDomain(request, instanceConfig)) {
+    const requestDomain = request.headers.get('Origin') || request.headers.get('Referer') || 'Unknown domain';
+    return reject({
+      error: 'Domain not authorized',
+      details: `Domain ${requestDomain} is not in the allowed list for instance '${instanceId}'`
+    }, 403, responseHeaders);
+  }
+
+  // Paused instances and instances in maintenance take no submissions either
+  const instanceState = getInstanceState(instanceConfig.availability);
+  if (instanceState.state !== 'active') {
+    return reject({
+      error: instanceState.state === 'paused' ? 'Paused' : 'Maintenance',
+      details: instanceState.message || 'Chat is not available right now.',
+      state: instanceState.state
+    }, 503, responseHeaders);
+  }
+
+  // Check the visitor's IP, country and ASN against the instance's network rules
+  if (hasNetworkRules(instanceConfig.networkRules)) {
+    const network = getRequestNetwork(request);
+    const access = evaluateNetworkRules(instanceConfig.networkRules, network);
+    if (!access.allowed) {
+      console.error('[Public] Network rule blocked request:', { instanceId, scope, ...network, reason: access.reason });
+      return reject({
+        error: 'Access denied',
+        details: 'Chat is not available from your network or location.'
+      }, 403, responseHeaders);
+    }
+  }
+
+  const clientId = extractClientId(request, sessionId);
+  const { hourlyKey, sessionKey } = generateRateLimitKeys(`${instanceId}:${scope}`, clientId, sessionId);
+  const rateLimitResult = await enforceRateLimit(env, {
+    hourlyKey,
+    sessionKey,
+    hourlyLimit: instanceConfig.rateLimit.messagesPerHour,
+    sessionLimit: instanceConfig.rateLimit.messagesPerSession,
+    sessionId
+  });
+
+  if (!rateLimitResult.allowed) {
+    dispatchWebhookEvent(env, ctx, instanceConfig, 'rate_limit.exceeded', {
+      sessionId,
+      origin: request.headers.get('Origin'),
+      message: rateLimitResult.message,
+      retryAfter: rateLimitResult.retryAfter
+    });
+    return { response: createRateLimitErrorResponse(rateLimitResult, responseHeaders) };
+  }
+
+  return { body, instanceConfig };
+}
+
+/**
+ * Build a refusal result
+ * @param {Object} payload - JSON error body
+ * @param {number} status - HTTP status
+ * @param {Object} responseHeaders - Response headers
+ * @returns {Object} { response }
+ */
+function reject(payload, status, responseHeaders) {
+  return {
+    response: new Response(JSON.stringify(payload), {
+      status,
+      headers: responseHeaders
+    })
+  };
+}
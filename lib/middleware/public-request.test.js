@@ -0,0 +1,155 @@
+/**
+ * Tests for public request middleware
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { generateRateLimitKeys, extractClientId, createRateLimitErrorResponse } from '../rate-limiter.js';
+
+// Mock functions
+const mockValidateDomain = jest.fn();
+const mockGetInstanceConfig = jest.fn();
+const mockEnforceRateLimit = jest.fn();
+const mockDispatchWebhookEvent = jest.fn(() => Promise.resolve());
+
+// Mock modules
+jest.unstable_mockModule('../security.js', () => ({
+  validateInstanceId: (id) => /^[a-z0-9-]+$/.test(id),
+  validateDomain: mockValidateDomain
+}));
+
+jest.unstable_mockModule('../database.js', () => ({
+  getInstanceConfig: mockGetInstanceConfig
+}));
+
+// Only the counting is mocked; keys and the 429 response are the real ones
+jest.unstable_mockModule('../rate-limiter.js', () => ({
+  enforceRateLimit: mockEnforceRateLimit,
+  generateRateLimitKeys,
+  extractClientId,
+  createRateLimitErrorResponse
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  dispatchWebhookEvent: mockDispatchWebhookEvent
+}));
+
+// Import after mocking
+const { checkPublicRequest, MAX_FORM_REQUEST_BYTES } = await import('./public-request.js');
+
+describe('Public Request Middleware', () => {
+  let mockEnv;
+  let mockRequest;
+  let mockInstance;
+  let headers;
+  const options = {
+    scope: 'leads',
+    requiredFields: ['instanceId', 'sessionId', 'values'],
+    responseHeaders: { 'Content-Type': 'application/json' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockEnv = { DB: {} };
+    headers = { Origin: 'https://example.com' };
+    mockRequest = {
+      headers: { get: jest.fn((name) => headers[name] ?? null) },
+      json: jest.fn(() => Promise.resolve({ instanceId: 'test-instance', sessionId: 'sess_123', values: {} }))
+    };
+    mockInstance = {
+      id: 'test-instance',
+      allowedDomains: ['example.com'],
+      rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+    };
+
+    mockGetInstanceConfig.mockResolvedValue(mockInstance);
+    mockValidateDomain.mockResolvedValue(true);
+    mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+  });
+
+  test('should return the body and instance for an allowed request', async () => {
+    const result = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(result.response).toBeUndefined();
+    expect(result.body).toEqual({ instanceId: 'test-instance', sessionId: 'sess_123', values: {} });
+    expect(result.instanceConfig).toBe(mockInstance);
+  });
+
+  test('should count submissions against keys of their own', async () => {
+    await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(mockEnforceRateLimit).toHaveBeenCalledWith(mockEnv, {
+      hourlyKey: 'rate:hour:test-instance:leads:sess_123',
+      sessionKey: 'rate:session:test-instance:leads:sess_123',
+      hourlyLimit: 100,
+      sessionLimit: 30,
+      sessionId: 'sess_123'
+    });
+  });
+
+  test('should refuse oversized bodies without reading them', async () => {
+    headers['Content-Length'] = String(MAX_FORM_REQUEST_BYTES + 1);
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(response.status).toBe(413);
+    expect(mockRequest.json).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for invalid JSON', async () => {
+    mockRequest.json.mockRejectedValue(new SyntaxError('Unexpected token'));
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Invalid JSON body' });
+  });
+
+  test('should name the required fields when one is missing', async () => {
+    mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', sessionId: 'sess_123' });
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Missing required fields: instanceId, sessionId and values');
+    expect(mockGetInstanceConfig).not.toHaveBeenCalled();
+  });
+
+  test('should refuse paused instances', async () => {
+    mockInstance.availability = { state: 'paused' };
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(response.status).toBe(503);
+    expect((await response.json()).state).toBe('paused');
+    expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+  });
+
+  test('should apply network rules', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+    headers['CF-IPCountry'] = 'DE';
+    mockInstance.networkRules = { denyCountries: ['DE'] };
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, undefined, options);
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toBe('Access denied');
+    consoleSpy.mockRestore();
+  });
+
+  test('should return 429 and send a webhook event when the rate limit is hit', async () => {
+    const ctx = { waitUntil: jest.fn() };
+    mockEnforceRateLimit.mockResolvedValue({ allowed: false, message: 'Slow down', retryAfter: 120 });
+
+    const { response } = await checkPublicRequest(mockRequest, mockEnv, ctx, options);
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('120');
+    expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, ctx, mockInstance, 'rate_limit.exceeded', {
+      sessionId: 'sess_123',
+      origin: 'https://example.com',
+      message: 'Slow down',
+      retryAfter: 120
+    });
+  });
+});
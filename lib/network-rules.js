@@ -0,0 +1,329 @@
+/**
+ * Network rules module
+ * Per-instance allow and deny lists for visitor IP ranges, countries and ASNs,
+ * read from the CF-Connecting-IP and CF-IPCountry headers and request.cf
+ */
+
+// Most entries a single list may hold
+export const MAX_NETWORK_RULES = 200;
+
+// Rule lists an instance can set: config key, form/D1 field, entry kind, action and label
+export const NETWORK_RULE_LISTS = [
+  { key: 'denyCidrs', field: 'deny_cidrs', kind: 'cidr', action: 'deny', label: 'blocked IP ranges' },
+  { key: 'denyCountries', field: 'deny_countries', kind: 'country', action: 'deny', label: 'blocked countries' },
+  { key: 'denyAsns', field: 'deny_asns', kind: 'asn', action: 'deny', label: 'blocked ASNs' },
+  { key: 'allowCidrs', field: 'allow_cidrs', kind: 'cidr', action: 'allow', label: 'allowed IP ranges' },
+  { key: 'allowCountries', field: 'allow_countries', kind: 'country', action: 'allow', label: 'allowed countries' },
+  { key: 'allowAsns', field: 'allow_asns', kind: 'asn', action: 'allow', label: 'allowed ASNs' }
+];
+
+// Largest 32-bit autonomous system number
+const MAX_ASN = 4294967295;
+
+/**
+ * Check whether an instance has any network rule set
+ * @param {Object|null} rules - Instance network rules from getInstanceConfig
+ * @returns {boolean} True when at least one list has entries
+ */
+export function hasNetworkRules(rules) {
+  return !!rules && NETWORK_RULE_LISTS.some(list => rules[list.key]?.length > 0);
+}
+
+/**
+ * Read the visitor's IP, country and ASN from a Cloudflare request
+ * @param {Request} request - Incoming request
+ * @returns {Object} { ip, country, asn }; each is null when Cloudflare did not provide it
+ */
+export function getRequestNetwork(request) {
+  return normalizeNetwork({
+    ip: request.headers.get('CF-Connecting-IP'),
+    country: request.headers.get('CF-IPCountry') || request.cf?.country,
+    asn: request.cf?.asn
+  });
+}
+
+/**
+ * Tidy a visitor's network details, e.g. from the admin test tool
+ * @param {Object} network - { ip, country, asn } in any accepted form ("de", "AS16509", ...)
+ * @returns {Object} { ip, country, asn } with unknown or invalid values as null
+ */
+export function normalizeNetwork({ ip, country, asn } = {}) {
+  return {
+    ip: typeof ip === 'string' && ip.trim() ? ip.trim() : null,
+    country: normalizeCountry(country),
+    asn: normalizeAsn(asn)
+  };
+}
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * IPv4-mapped IPv6 addresses (::ffff:192.0.2.1) are treated as IPv4
+ * @param {string} text - Address text
+ * @returns {Object|null} { version: 4 | 6, value: BigInt } or null when not an address
+ */
+export function parseIpAddress(text) {
+  const address = parseAddress(text);
+  if (address?.version === 6 && address.value >> 32n === 0xffffn) {
+    return { version: 4, value: address.value & 0xffffffffn };
+  }
+  return address;
+}
+
+/**
+ * Parse a CIDR range; a bare address is a range of one
+ * @param {string} text - Range text, e.g. 203.0.113.0/24 or 2001:db8::/32
+ * @returns {Object|null} { version, value, prefix } or null when not a range
+ */
+export function parseCidr(text) {
+  if (typeof text !== 'string') return null;
+
+  const [addressText, prefixText, ...rest] = text.trim().split('/');
+  const address = parseAddress(addressText);
+  if (!address || rest.length > 0) return null;
+
+  const bits = address.version === 4 ? 32 : 128;
+  if (prefixText === undefined) {
+    return { ...address, prefix: bits };
+  }
+  if (!/^\d{1,3}$/.test(prefixText) || Number(prefixText) > bits) return null;
+
+  return { ...address, prefix: Number(prefixText) };
+}
+
+/**
+ * Check whether an address falls inside a range
+ * @param {Object} range - Range from parseCidr
+ * @param {Object} address - Address from parseIpAddress
+ * @returns {boolean} True when the address is in the range
+ */
+export function cidrContains(range, address) {
+  if (!range || !address || range.version !== address.version) return false;
+
+  const hostBits = BigInt((range.version === 4 ? 32 : 128) - range.prefix);
+  return range.value >> hostBits === address.value >> hostBits;
+}
+
+/**
+ * Read a stored or submitted rule list, dropping entries that are not valid
+ * Countries are upper-cased and ASNs become numbers ("AS13335" and "13335" are both accepted)
+ * @param {string|Array|null} stored - JSON text from D1 (or an already parsed list)
+ * @param {string} kind - 'cidr', 'country' or 'asn'
+ * @returns {Array} Entries without duplicates
+ */
+export function parseNetworkRuleList(stored, kind) {
+  let rules = stored;
+  if (typeof stored === 'string') {
+    try {
+      rules = JSON.parse(stored);
+    } catch (error) {
+      rules = null;
+    }
+  }
+
+  if (!Array.isArray(rules)) return [];
+
+  const entries = rules
+    .map(rule => normalizeRule(kind, rule))
+    .filter(rule => rule !== null);
+
+  return [...new Set(entries)].slice(0, MAX_NETWORK_RULES);
+}
+
+/**
+ * Read every network rule list from an instance_network_rules row
+ * @param {Object|null} row - Row (or submitted form data) keyed by the NETWORK_RULE_LISTS fields
+ * @returns {Object} { denyCidrs, denyCountries, denyAsns, allowCidrs, allowCountries, allowAsns }
+ */
+export function parseStoredNetworkRules(row) {
+  const rules = {};
+  for (const list of NETWORK_RULE_LISTS) {
+    rules[list.key] = parseNetworkRuleList(row?.[list.field], list.kind);
+  }
+  return rules;
+}
+
+/**
+ * Check the rule lists from the admin form
+ * @param {Object} data - Instance data with the NETWORK_RULE_LISTS fields as arrays
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateNetworkRules(data) {
+  const errors = [];
+
+  for (const list of NETWORK_RULE_LISTS) {
+    const rules = data[list.field];
+    if (rules === undefined || rules === null) continue;
+
+    if (!Array.isArray(rules)) {
+      errors.push(`The ${list.label} must be a list`);
+      continue;
+    }
+
+    if (rules.length > MAX_NETWORK_RULES) {
+      errors.push(`At most ${MAX_NETWORK_RULES} ${list.label} are allowed`);
+    }
+
+    const invalid = rules.filter(rule => normalizeRule(list.kind, rule) === null);
+    if (invalid.length > 0) {
+      const expected = {
+        cidr: 'IP addresses or CIDR ranges',
+        country: 'two-letter country codes',
+        asn: 'AS numbers'
+      }[list.kind];
+      errors.push(`The ${list.label} must be ${expected}: ${invalid.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decide whether a visitor may use an instance
+ * Deny lists are checked first and win. Each allow list that has entries must then
+ * match too, so allowing US and 203.0.113.0/24 only admits that range from the US.
+ * A visitor whose IP, country or ASN is unknown never matches a list
+ * @param {Object} rules - Instance network rules from getInstanceConfig
+ * @param {Object} network - Visitor network from getRequestNetwork
+ * @returns {Object} { allowed, rule, reason }; rule is the matching deny entry, if any
+ */
+export function evaluateNetworkRules(rules, network) {
+  const address = parseIpAddress(network?.ip);
+  const country = normalizeCountry(network?.country);
+  const asn = normalizeAsn(network?.asn);
+
+  const describe = {
+    cidr: `IP ${network?.ip || 'unknown'}`,
+    country: `Country ${country || 'unknown'}`,
+    asn: asn ? `AS${asn}` : 'Unknown ASN'
+  };
+  const matches = {
+    cidr: (rule) => cidrContains(parseCidr(rule), address),
+    country: (rule) => rule === country,
+    asn: (rule) => rule === asn
+  };
+
+  for (const list of NETWORK_RULE_LISTS.filter(l => l.action === 'deny')) {
+    const rule = (rules?.[list.key] || []).find(matches[list.kind]);
+    if (rule !== undefined) {
+      const entry = list.kind === 'asn' ? `AS${rule}` : String(rule);
+      return {
+        allowed: false,
+        rule: entry,
+        reason: list.kind === 'cidr'
+          ? `${describe.cidr} is in blocked range ${entry}`
+          : `${describe[list.kind]} is blocked`
+      };
+    }
+  }
+
+  for (const list of NETWORK_RULE_LISTS.filter(l => l.action === 'allow')) {
+    const allowed = rules?.[list.key] || [];
+    if (allowed.length > 0 && !allowed.some(matches[list.kind])) {
+      return {
+        allowed: false,
+        rule: null,
+        reason: `${describe[list.kind]} is not in the ${list.label}`
+      };
+    }
+  }
+
+  return { allowed: true, rule: null, reason: 'No network rule blocks this visitor' };
+}
+
+/**
+ * Normalize one list entry
+ * @param {string} kind - 'cidr', 'country' or 'asn'
+ * @param {*} rule - Entry as stored or submitted
+ * @returns {string|number|null} Normalized entry, or null when it is not valid
+ */
+function normalizeRule(kind, rule) {
+  if (kind === 'country') return normalizeCountry(rule);
+  if (kind === 'asn') return normalizeAsn(rule);
+
+  if (typeof rule !== 'string') return null;
+  const range = rule.trim();
+  return parseCidr(range) ? range : null;
+}
+
+/**
+ * Normalize a country code; Cloudflare also uses XX for unknown and T1 for Tor
+ * @param {*} country - Country code
+ * @returns {string|null} Upper-case code, or null when not a code
+ */
+function normalizeCountry(country) {
+  if (typeof country !== 'string') return null;
+  const code = country.trim().toUpperCase();
+  return /^[A-Z][A-Z0-9]$/.test(code) ? code : null;
+}
+
+/**
+ * Normalize an autonomous system number
+ * @param {*} asn - Number, "13335" or "AS13335"
+ * @returns {number|null} ASN, or null when not valid
+ */
+function normalizeAsn(asn) {
+  const match = String(asn ?? '').trim().match(/^(?:AS)?(\d{1,10})$/i);
+  const value = match ? Number(match[1]) : 0;
+  return value >= 1 && value <= MAX_ASN ? value : null;
+}
+
+/**
+ * Parse an address without unmapping IPv4-mapped IPv6
+ * @param {string} text - Address text
+ * @returns {Object|null} { version, value } or null when not an address
+ */
+function parseAddress(text) {
+  if (typeof text !== 'string') return null;
+  const address = text.trim();
+
+  if (!address.includes(':')) {
+    const value = parseIpv4(address);
+    return value === null ? null : { version: 4, value };
+  }
+
+  const value = parseIpv6(address);
+  return value === null ? null : { version: 6, value };
+}
+
+/**
+ * Parse dotted IPv4 into a number
+ * @param {string} text - Address text
+ * @returns {BigInt|null} 32-bit value
+ */
+function parseIpv4(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) | BigInt(part), 0n);
+}
+
+/**
+ * Parse IPv6 (with :: compression and an optional dotted IPv4 tail) into a number
+ * @param {string} text - Address text
+ * @returns {BigInt|null} 128-bit value
+ */
+function parseIpv6(text) {
+  let address = text;
+
+  // Rewrite a dotted IPv4 tail as two hex groups
+  const tailStart = address.lastIndexOf(':') + 1;
+  if (address.slice(tailStart).includes('.')) {
+    const ipv4 = parseIpv4(address.slice(tailStart));
+    if (ipv4 === null) return null;
+    address = `${address.slice(0, tailStart)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return null;
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
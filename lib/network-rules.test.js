@@ -0,0 +1,201 @@
+/**
+ * Tests for the network rules module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  hasNetworkRules,
+  getRequestNetwork,
+  parseIpAddress,
+  parseCidr,
+  cidrContains,
+  parseNetworkRuleList,
+  parseStoredNetworkRules,
+  validateNetworkRules,
+  evaluateNetworkRules,
+  MAX_NETWORK_RULES
+} from './network-rules.js';
+
+// Rules with every list empty, for tests to fill in
+function createRules(overrides = {}) {
+  return {
+    denyCidrs: [],
+    denyCountries: [],
+    denyAsns: [],
+    allowCidrs: [],
+    allowCountries: [],
+    allowAsns: [],
+    ...overrides
+  };
+}
+
+describe('Network Rules Module', () => {
+  describe('hasNetworkRules', () => {
+    test('should be true only when a list has entries', () => {
+      expect(hasNetworkRules(null)).toBe(false);
+      expect(hasNetworkRules(createRules())).toBe(false);
+      expect(hasNetworkRules(createRules({ denyAsns: [16509] }))).toBe(true);
+    });
+  });
+
+  describe('getRequestNetwork', () => {
+    test('should read the Cloudflare headers and request.cf', () => {
+      const request = new Request('https://example.com/chat', {
+        headers: { 'CF-Connecting-IP': '203.0.113.7', 'CF-IPCountry': 'de' }
+      });
+      request.cf = { asn: 16509 };
+
+      expect(getRequestNetwork(request)).toEqual({ ip: '203.0.113.7', country: 'DE', asn: 16509 });
+    });
+
+    test('should return nulls outside Cloudflare', () => {
+      const request = new Request('https://example.com/chat');
+
+      expect(getRequestNetwork(request)).toEqual({ ip: null, country: null, asn: null });
+    });
+  });
+
+  describe('parseIpAddress', () => {
+    test('should parse IPv4 and IPv6', () => {
+      expect(parseIpAddress('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+      expect(parseIpAddress('2001:db8::1')).toEqual({ version: 6, value: 0x20010db8000000000000000000000001n });
+      expect(parseIpAddress('::1')).toEqual({ version: 6, value: 1n });
+    });
+
+    test('should treat IPv4-mapped IPv6 as IPv4', () => {
+      expect(parseIpAddress('::ffff:192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+    });
+
+    test('should reject malformed addresses', () => {
+      expect(parseIpAddress('256.0.0.1')).toBeNull();
+      expect(parseIpAddress('1.2.3')).toBeNull();
+      expect(parseIpAddress('2001:db8::1::2')).toBeNull();
+      expect(parseIpAddress('2001:db8:0:0:0:0:0:0:1')).toBeNull();
+      expect(parseIpAddress('example.com')).toBeNull();
+      expect(parseIpAddress(null)).toBeNull();
+    });
+  });
+
+  describe('parseCidr and cidrContains', () => {
+    test('should match addresses inside a range', () => {
+      const range = parseCidr('203.0.113.0/24');
+
+      expect(cidrContains(range, parseIpAddress('203.0.113.200'))).toBe(true);
+      expect(cidrContains(range, parseIpAddress('203.0.114.1'))).toBe(false);
+      expect(cidrContains(parseCidr('2001:db8::/32'), parseIpAddress('2001:db8:ffff::9'))).toBe(true);
+      expect(cidrContains(parseCidr('0.0.0.0/0'), parseIpAddress('8.8.8.8'))).toBe(true);
+    });
+
+    test('should treat a bare address as a range of one', () => {
+      expect(parseCidr('198.51.100.4')).toMatchObject({ version: 4, prefix: 32 });
+      expect(cidrContains(parseCidr('198.51.100.4'), parseIpAddress('198.51.100.5'))).toBe(false);
+    });
+
+    test('should not match across IP versions', () => {
+      expect(cidrContains(parseCidr('::/0'), parseIpAddress('192.0.2.1'))).toBe(false);
+    });
+
+    test('should reject bad prefixes', () => {
+      expect(parseCidr('10.0.0.0/33')).toBeNull();
+      expect(parseCidr('10.0.0.0/')).toBeNull();
+      expect(parseCidr('10.0.0.0/8/8')).toBeNull();
+    });
+  });
+
+  describe('parseNetworkRuleList', () => {
+    test('should normalize entries and drop invalid ones', () => {
+      expect(parseNetworkRuleList('["us", "GB", "usa", "US"]', 'country')).toEqual(['US', 'GB']);
+      expect(parseNetworkRuleList(['AS16509', '14061', 'hosting'], 'asn')).toEqual([16509, 14061]);
+      expect(parseNetworkRuleList([' 10.0.0.0/8 ', '10.0.0.0/40'], 'cidr')).toEqual(['10.0.0.0/8']);
+      expect(parseNetworkRuleList('not json', 'cidr')).toEqual([]);
+    });
+  });
+
+  describe('parseStoredNetworkRules', () => {
+    test('should read every list from a row', () => {
+      expect(parseStoredNetworkRules({ deny_asns: '[16509]', allow_countries: '["us"]' })).toEqual(
+        createRules({ denyAsns: [16509], allowCountries: ['US'] })
+      );
+      expect(parseStoredNetworkRules(null)).toEqual(createRules());
+    });
+  });
+
+  describe('validateNetworkRules', () => {
+    test('should accept valid lists', () => {
+      expect(validateNetworkRules({
+        deny_cidrs: ['203.0.113.0/24', '2001:db8::/32'],
+        allow_countries: ['US', 'ca'],
+        deny_asns: ['AS16509', '14061']
+      })).toEqual([]);
+    });
+
+    test('should list invalid entries and oversized lists', () => {
+      const ranges = Array.from({ length: MAX_NETWORK_RULES + 1 }, (_, i) => `10.0.${Math.floor(i / 256)}.${i % 256}`);
+
+      expect(validateNetworkRules({
+        allow_cidrs: ranges,
+        deny_countries: ['Russia', 'CN'],
+        deny_asns: ['amazon']
+      })).toEqual([
+        'The blocked countries must be two-letter country codes: Russia',
+        'The blocked ASNs must be AS numbers: amazon',
+        `At most ${MAX_NETWORK_RULES} allowed IP ranges are allowed`
+      ]);
+    });
+  });
+
+  describe('evaluateNetworkRules', () => {
+    const visitor = { ip: '203.0.113.7', country: 'US', asn: 7922 };
+
+    test('should allow everyone without rules', () => {
+      expect(evaluateNetworkRules(createRules(), visitor)).toMatchObject({ allowed: true });
+    });
+
+    test('should block denied ranges, countries and ASNs', () => {
+      expect(evaluateNetworkRules(createRules({ denyCidrs: ['203.0.113.0/24'] }), visitor)).toEqual({
+        allowed: false,
+        rule: '203.0.113.0/24',
+        reason: 'IP 203.0.113.7 is in blocked range 203.0.113.0/24'
+      });
+      expect(evaluateNetworkRules(createRules({ denyCountries: ['US'] }), visitor)).toMatchObject({
+        allowed: false,
+        reason: 'Country US is blocked'
+      });
+      expect(evaluateNetworkRules(createRules({ denyAsns: [7922] }), visitor)).toMatchObject({
+        allowed: false,
+        rule: 'AS7922',
+        reason: 'AS7922 is blocked'
+      });
+    });
+
+    test('should require a match in every allow list that has entries', () => {
+      const rules = createRules({ allowCountries: ['US', 'CA'], allowCidrs: ['198.51.100.0/24'] });
+
+      expect(evaluateNetworkRules(rules, { ...visitor, ip: '198.51.100.20' })).toMatchObject({ allowed: true });
+      expect(evaluateNetworkRules(rules, visitor)).toEqual({
+        allowed: false,
+        rule: null,
+        reason: 'IP 203.0.113.7 is not in the allowed IP ranges'
+      });
+      expect(evaluateNetworkRules(rules, { ...visitor, ip: '198.51.100.20', country: 'FR' })).toMatchObject({
+        allowed: false,
+        reason: 'Country FR is not in the allowed countries'
+      });
+    });
+
+    test('should let deny lists win over allow lists', () => {
+      const rules = createRules({ allowCountries: ['US'], denyCidrs: ['203.0.113.7'] });
+
+      expect(evaluateNetworkRules(rules, visitor)).toMatchObject({ allowed: false, rule: '203.0.113.7' });
+    });
+
+    test('should not admit unknown visitors through an allow list', () => {
+      const rules = createRules({ allowCountries: ['US'], denyAsns: [16509] });
+
+      expect(evaluateNetworkRules(rules, { ip: null, country: null, asn: null })).toMatchObject({
+        allowed: false,
+        reason: 'Country unknown is not in the allowed countries'
+      });
+    });
+  });
+});
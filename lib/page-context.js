@@ -0,0 +1,119 @@
+/**
+ * Page context module
+ * Turns the page details sent by the widget into a system message for TypingMind
+ */
+
+// Longest value kept for each built-in page field (characters)
+export const PAGE_CONTEXT_LIMITS = {
+  url: 2048,
+  title: 300,
+  description: 500,
+  selectedText: 1000
+};
+
+// Most custom values accepted from setContext()
+export const MAX_CUSTOM_CONTEXT_KEYS = 20;
+
+// Longest custom context value (characters)
+export const MAX_CUSTOM_CONTEXT_LENGTH = 500;
+
+/**
+ * Clean a single context value
+ * Control characters are removed and whitespace collapsed so values stay on one line
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Cleaned value (empty if unusable)
+ */
+function cleanValue(value, maxLength) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    value = String(value);
+  }
+  if (typeof value !== 'string') return '';
+
+  return value
+    .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+/**
+ * Validate and trim the page context sent by the widget
+ * The widget runs on the visitor's browser, so every field is treated as untrusted text
+ * @param {Object} raw - Context from the request body
+ * @returns {Object} { url, title, description, selectedText, custom }
+ */
+export function sanitizePageContext(raw) {
+  const context = { url: '', title: '', description: '', selectedText: '', custom: {} };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return context;
+
+  for (const [field, maxLength] of Object.entries(PAGE_CONTEXT_LIMITS)) {
+    context[field] = cleanValue(raw[field], maxLength);
+  }
+
+  // Only keep http(s) URLs
+  if (context.url && !/^https?:\/\//i.test(context.url)) {
+    context.url = '';
+  }
+
+  if (raw.custom && typeof raw.custom === 'object' && !Array.isArray(raw.custom)) {
+    const keys = Object.keys(raw.custom)
+      .filter(key => /^[A-Za-z0-9_.-]{1,50}$/.test(key))
+      .slice(0, MAX_CUSTOM_CONTEXT_KEYS);
+
+    for (const key of keys) {
+      const value = cleanValue(raw.custom[key], MAX_CUSTOM_CONTEXT_LENGTH);
+      if (value) {
+        context.custom[key] = value;
+      }
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Fill a context template with page details
+ * Supported placeholders: {{url}}, {{title}}, {{description}}, {{selectedText}},
+ * {{custom}} (every custom value as "key: value" lines) and {{custom.key}}
+ * Unknown placeholders are replaced with an empty string
+ * @param {string} template - Instance context template
+ * @param {Object} context - Sanitized page context
+ * @returns {string} Rendered context (trimmed)
+ */
+export function renderContextTemplate(template, context) {
+  if (!template) return '';
+
+  const rendered = template.replace(/\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g, (match, name) => {
+    if (name === 'custom') {
+      return Object.entries(context.custom)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+    }
+    if (name.startsWith('custom.')) {
+      return context.custom[name.slice('custom.'.length)] || '';
+    }
+    if (Object.prototype.hasOwnProperty.call(PAGE_CONTEXT_LIMITS, name)) {
+      return context[name];
+    }
+    return '';
+  });
+
+  return rendered.trim();
+}
+
+/**
+ * Add the rendered page context to the messages forwarded to TypingMind
+ * @param {Array} messages - Chat messages from the widget
+ * @param {string} template - Instance context template
+ * @param {Object} rawContext - Context from the request body
+ * @returns {Array} Messages with a leading system message, or the original messages
+ */
+export function injectPageContext(messages, template, rawContext) {
+  if (!template) return messages;
+
+  const content = renderContextTemplate(template, sanitizePageContext(rawContext));
+  if (!content) return messages;
+
+  return [{ role: 'system', content }, ...messages];
+}
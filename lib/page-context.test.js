@@ -0,0 +1,110 @@
+/**
+ * Tests for the page context module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  PAGE_CONTEXT_LIMITS,
+  MAX_CUSTOM_CONTEXT_KEYS,
+  sanitizePageContext,
+  renderContextTemplate,
+  injectPageContext
+} from './page-context.js';
+
+const pageContext = {
+  url: 'https://shop.example.com/products/blue-widget',
+  title: 'Blue Widget',
+  description: 'The best blue widget',
+  selectedText: 'model A-100',
+  custom: { sku: 'A-100', cartValue: 59 }
+};
+
+describe('Page Context Module', () => {
+  describe('sanitizePageContext', () => {
+    test('should keep valid fields', () => {
+      expect(sanitizePageContext(pageContext)).toEqual({
+        ...pageContext,
+        custom: { sku: 'A-100', cartValue: '59' }
+      });
+    });
+
+    test('should return empty context for missing or invalid input', () => {
+      const empty = { url: '', title: '', description: '', selectedText: '', custom: {} };
+      expect(sanitizePageContext(undefined)).toEqual(empty);
+      expect(sanitizePageContext('text')).toEqual(empty);
+      expect(sanitizePageContext([])).toEqual(empty);
+    });
+
+    test('should collapse whitespace and control characters', () => {
+      const result = sanitizePageContext({ selectedText: 'line one\n\n\tline\u0000two  ' });
+      expect(result.selectedText).toBe('line one line two');
+    });
+
+    test('should trim long values', () => {
+      const result = sanitizePageContext({ title: 'x'.repeat(1000) });
+      expect(result.title).toHaveLength(PAGE_CONTEXT_LIMITS.title);
+    });
+
+    test('should drop non-http URLs', () => {
+      expect(sanitizePageContext({ url: 'javascript:alert(1)' }).url).toBe('');
+    });
+
+    test('should filter custom keys and values', () => {
+      const custom = { 'bad key': 'x', nested: { a: 1 }, empty: '', ok: 'yes' };
+      for (let i = 0; i < MAX_CUSTOM_CONTEXT_KEYS + 5; i++) {
+        custom[`k${i}`] = 'v';
+      }
+
+      const result = sanitizePageContext({ custom });
+
+      expect(result.custom.ok).toBe('yes');
+      expect(result.custom).not.toHaveProperty('bad key');
+      expect(result.custom).not.toHaveProperty('nested');
+      expect(result.custom).not.toHaveProperty('empty');
+      expect(Object.keys(result.custom).length).toBeLessThanOrEqual(MAX_CUSTOM_CONTEXT_KEYS);
+    });
+  });
+
+  describe('renderContextTemplate', () => {
+    const context = sanitizePageContext(pageContext);
+
+    test('should fill page placeholders', () => {
+      const result = renderContextTemplate('Visitor is on {{url}} ({{ title }}). Selected: {{selectedText}}', context);
+      expect(result).toBe('Visitor is on https://shop.example.com/products/blue-widget (Blue Widget). Selected: model A-100');
+    });
+
+    test('should fill custom placeholders', () => {
+      expect(renderContextTemplate('SKU {{custom.sku}}', context)).toBe('SKU A-100');
+      expect(renderContextTemplate('{{custom}}', context)).toBe('sku: A-100\ncartValue: 59');
+    });
+
+    test('should replace unknown placeholders with nothing', () => {
+      expect(renderContextTemplate('A{{secret}}B{{custom.missing}}C', context)).toBe('ABC');
+    });
+
+    test('should return an empty string without a template', () => {
+      expect(renderContextTemplate('', context)).toBe('');
+    });
+  });
+
+  describe('injectPageContext', () => {
+    const messages = [{ role: 'user', content: 'Is this in stock?' }];
+
+    test('should prepend a system message', () => {
+      const result = injectPageContext(messages, 'Product: {{custom.sku}}', pageContext);
+
+      expect(result).toEqual([
+        { role: 'system', content: 'Product: A-100' },
+        ...messages
+      ]);
+    });
+
+    test('should leave messages alone without a template', () => {
+      expect(injectPageContext(messages, '', pageContext)).toBe(messages);
+    });
+
+    test('should skip the system message when the template renders empty', () => {
+      expect(injectPageContext(messages, '{{selectedText}}', {})).toBe(messages);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Quick replies module
+ * Limits for per-instance conversation starters and parsing of agent-suggested follow-ups
+ */
+
+import { MAX_SUGGESTIONS, SUGGESTIONS_PATTERN } from './reply-markers.js';
+
+// Most starter prompts shown under the welcome message
+export const MAX_STARTERS = 6;
+
+// Longest starter prompt or suggested reply kept (characters)
+export const MAX_QUICK_REPLY_LENGTH = 80;
+
+// Most follow-up suggestions taken from one agent reply; the widget reads it from reply-markers.js
+export { MAX_SUGGESTIONS };
+
+/**
+ * Clean a list of quick replies: trim, drop empties and duplicates, and cap length and count
+ * @param {Array<string>} replies - Raw reply texts
+ * @param {number} limit - Most replies kept
+ * @returns {Array<string>} Cleaned replies
+ */
+export function normalizeQuickReplies(replies, limit) {
+  if (!Array.isArray(replies)) return [];
+
+  const cleaned = replies
+    .filter(reply => typeof reply === 'string')
+    .map(reply => reply.trim().slice(0, MAX_QUICK_REPLY_LENGTH))
+    .filter(reply => reply.length > 0);
+
+  return [...new Set(cleaned)].slice(0, limit);
+}
+
+/**
+ * Look for suggested follow-up replies in an agent reply
+ * @param {string} text - Reply text
+ * @returns {Object} { suggestions, content } with the suggestions block removed from content
+ */
+export function extractSuggestions(text) {
+  if (typeof text !== 'string') {
+    return { suggestions: [], content: text };
+  }
+
+  const match = text.match(SUGGESTIONS_PATTERN);
+  if (!match) {
+    return { suggestions: [], content: text };
+  }
+
+  return {
+    suggestions: normalizeQuickReplies(match[1].split('|'), MAX_SUGGESTIONS),
+    content: text.replace(SUGGESTIONS_PATTERN, '').trim()
+  };
+}
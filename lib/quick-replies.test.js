@@ -0,0 +1,48 @@
+/**
+ * Tests for the quick replies module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeQuickReplies,
+  extractSuggestions,
+  MAX_QUICK_REPLY_LENGTH,
+  MAX_SUGGESTIONS
+} from './quick-replies.js';
+
+describe('Quick Replies Module', () => {
+  describe('normalizeQuickReplies', () => {
+    test('should trim, drop empties and duplicates, and cap the count', () => {
+      expect(normalizeQuickReplies([' Pricing ', '', 'Pricing', 'Demo', 42, 'Support'], 2))
+        .toEqual(['Pricing', 'Demo']);
+    });
+
+    test('should cap the length of each reply', () => {
+      const [reply] = normalizeQuickReplies(['x'.repeat(MAX_QUICK_REPLY_LENGTH + 20)], 1);
+      expect(reply).toHaveLength(MAX_QUICK_REPLY_LENGTH);
+    });
+
+    test('should return an empty list for non-arrays', () => {
+      expect(normalizeQuickReplies(null, 3)).toEqual([]);
+    });
+  });
+
+  describe('extractSuggestions', () => {
+    test('should strip the block and return the suggestions', () => {
+      expect(extractSuggestions('We have two plans.\n[SUGGESTIONS: Compare plans | Start a trial ]')).toEqual({
+        suggestions: ['Compare plans', 'Start a trial'],
+        content: 'We have two plans.'
+      });
+    });
+
+    test('should keep at most the maximum number of suggestions', () => {
+      const { suggestions } = extractSuggestions('Ok [suggestions: a | b | c | d | e | f]');
+      expect(suggestions).toHaveLength(MAX_SUGGESTIONS);
+    });
+
+    test('should leave replies without suggestions alone', () => {
+      expect(extractSuggestions('Hello there')).toEqual({ suggestions: [], content: 'Hello there' });
+      expect(extractSuggestions(undefined)).toEqual({ suggestions: [], content: undefined });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Quotas module
+ * Instance-wide daily and monthly message quotas and monthly token estimates,
+ * with soft-limit warnings and a hard cutoff
+ */
+
+// Shown to visitors once an instance has used up a quota
+export const DEFAULT_QUOTA_MESSAGE = "We've reached our chat limit for now. Please try again later.";
+
+// Share of a quota (percent) at which the warning is sent
+export const DEFAULT_QUOTA_WARNING_PERCENT = 80;
+
+// Rough characters per token used to estimate TypingMind usage
+const CHARS_PER_TOKEN = 4;
+
+// Quotas an instance can set: config key, usage period, counted metric and label
+export const QUOTA_LIMITS = [
+  { key: 'messagesPerDay', period: 'day', metric: 'messages', label: 'messages per day' },
+  { key: 'messagesPerMonth', period: 'month', metric: 'messages', label: 'messages per month' },
+  { key: 'tokensPerMonth', period: 'month', metric: 'tokens', label: 'tokens per month' }
+];
+
+/**
+ * Check whether an instance has any quota set
+ * @param {Object|null} quotas - Instance quotas from getInstanceConfig
+ * @returns {boolean} True when at least one quota is set
+ */
+export function hasQuotas(quotas) {
+  return !!quotas && QUOTA_LIMITS.some(limit => quotas[limit.key] > 0);
+}
+
+/**
+ * Get the usage periods a moment falls in (UTC)
+ * @param {Date} now - Moment to use
+ * @returns {Object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+export function getQuotaPeriods(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+/**
+ * Estimate the tokens used by some text
+ * @param {Array<string>} texts - Message and reply texts
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(texts) {
+  const characters = texts.reduce((total, text) => total + (typeof text === 'string' ? text.length : 0), 0);
+  return Math.ceil(characters / CHARS_PER_TOKEN);
+}
+
+/**
+ * Get an instance's usage for the current day and month
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} periods - Periods from getQuotaPeriods
+ * @returns {Promise<Object>} { day: { messages, tokens }, month: { messages, tokens } }
+ */
+export async function getQuotaUsage(db, instanceId, periods) {
+  const result = await db.prepare(`
+    SELECT period, messages, tokens FROM quota_usage
+    WHERE instance_id = ? AND period IN (?, ?)
+  `).bind(instanceId, periods.day, periods.month).all();
+
+  const usage = { day: { messages: 0, tokens: 0 }, month: { messages: 0, tokens: 0 } };
+  for (const row of result.results) {
+    const period = row.period === periods.day ? 'day' : 'month';
+    usage[period] = { messages: row.messages, tokens: row.tokens };
+  }
+
+  return usage;
+}
+
+/**
+ * Find the first quota an instance has used up
+ * @param {Object} quotas - Instance quotas from getInstanceConfig
+ * @param {Object} usage - Usage from getQuotaUsage
+ * @returns {Object|null} Entry of QUOTA_LIMITS, or null when every quota has room left
+ */
+export function findExceededQuota(quotas, usage) {
+  return QUOTA_LIMITS.find(limit =>
+    quotas[limit.key] > 0 && usage[limit.period][limit.metric] >= quotas[limit.key]
+  ) || null;
+}
+
+/**
+ * Add one exchange to an instance's daily and monthly usage
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} amount - { messages, tokens } to add
+ * @param {Object} periods - Periods from getQuotaPeriods
+ * @returns {Promise<Object>} Usage after the update, shaped like getQuotaUsage
+ */
+export async function recordQuotaUsage(db, instanceId, { messages, tokens }, periods) {
+  const updatedAt = new Date().toISOString();
+  const upsert = (period) => db.prepare(`
+    INSERT INTO quota_usage (instance_id, period, messages, tokens, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(instance_id, period) DO UPDATE SET
+      messages = messages + excluded.messages,
+      tokens = tokens + excluded.tokens,
+      updated_at = excluded.updated_at
+    RETURNING messages, tokens
+  `).bind(instanceId, period, messages, tokens, updatedAt);
+
+  const [day, month] = await db.batch([upsert(periods.day), upsert(periods.month)]);
+
+  return {
+    day: day.results?.[0] || { messages, tokens },
+    month: month.results?.[0] || { messages, tokens }
+  };
+}
+
+/**
+ * Find the quotas an exchange pushed past the warning level or the limit
+ * @param {Object} quotas - Instance quotas from getInstanceConfig
+ * @param {Object} before - Usage before the exchange
+ * @param {Object} after - Usage after the exchange
+ * @returns {Array<Object>} { quota, level: 'warning' | 'exceeded', used, limit } for each crossing
+ */
+export function findQuotaCrossings(quotas, before, after) {
+  const warningPercent = quotas.warningPercent || DEFAULT_QUOTA_WARNING_PERCENT;
+  const crossings = [];
+
+  for (const limit of QUOTA_LIMITS) {
+    const max = quotas[limit.key];
+    if (!(max > 0)) continue;
+
+    const previous = before[limit.period][limit.metric];
+    const used = after[limit.period][limit.metric];
+    const warningAt = Math.ceil(max * warningPercent / 100);
+
+    if (previous < max && used >= max) {
+      crossings.push({ quota: limit.key, level: 'exceeded', used, limit: max });
+    } else if (previous < warningAt && used >= warningAt) {
+      crossings.push({ quota: limit.key, level: 'warning', used, limit: max });
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * List current usage for every instance with a quota, for the admin dashboard
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} periods - Periods from getQuotaPeriods
+ * @returns {Promise<Array>} Rows with instance_id, instance_name, the quota settings and day/month usage
+ */
+export async function listQuotaUsage(db, periods) {
+  const result = await db.prepare(`
+    SELECT q.instance_id, i.name as instance_name,
+      q.messages_per_day, q.messages_per_month, q.tokens_per_month, q.warning_percent,
+      COALESCE(d.messages, 0) as day_messages,
+      COALESCE(m.messages, 0) as month_messages,
+      COALESCE(m.tokens, 0) as month_tokens
+    FROM instance_quotas q
+    JOIN agent_instances i ON i.id = q.instance_id
+    LEFT JOIN quota_usage d ON d.instance_id = q.instance_id AND d.period = ?
+    LEFT JOIN quota_usage m ON m.instance_id = q.instance_id AND m.period = ?
+    WHERE q.messages_per_day > 0 OR q.messages_per_month > 0 OR q.tokens_per_month > 0
+    ORDER BY i.name
+  `).bind(periods.day, periods.month).all();
+
+  return result.results;
+}
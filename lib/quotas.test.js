@@ -0,0 +1,125 @@
+/**
+ * Tests for the quotas module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  hasQuotas,
+  getQuotaPeriods,
+  estimateTokens,
+  getQuotaUsage,
+  findExceededQuota,
+  recordQuotaUsage,
+  findQuotaCrossings
+} from './quotas.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ all = [], batch = [] } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          all: async () => ({ results: all })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    }),
+    batch: async () => batch
+  };
+}
+
+const periods = { day: '2026-10-19', month: '2026-10' };
+
+describe('Quotas Module', () => {
+  describe('hasQuotas', () => {
+    test('should be true only when a quota is set', () => {
+      expect(hasQuotas(null)).toBe(false);
+      expect(hasQuotas({ messagesPerDay: null, messagesPerMonth: null, tokensPerMonth: null })).toBe(false);
+      expect(hasQuotas({ tokensPerMonth: 50000 })).toBe(true);
+    });
+  });
+
+  describe('getQuotaPeriods', () => {
+    test('should use UTC day and month', () => {
+      expect(getQuotaPeriods(new Date('2026-10-19T23:30:00-05:00'))).toEqual({ day: '2026-10-20', month: '2026-10' });
+    });
+  });
+
+  describe('estimateTokens', () => {
+    test('should count four characters per token', () => {
+      expect(estimateTokens(['Hello', 'there!', null])).toBe(3);
+      expect(estimateTokens([])).toBe(0);
+    });
+  });
+
+  describe('getQuotaUsage', () => {
+    test('should read the day and month rows', async () => {
+      const db = createTrackingDB({ all: [{ period: '2026-10', messages: 40, tokens: 9000 }] });
+
+      const usage = await getQuotaUsage(db, 'test-instance', periods);
+
+      expect(usage).toEqual({ day: { messages: 0, tokens: 0 }, month: { messages: 40, tokens: 9000 } });
+      expect(db.statements[0].params).toEqual(['test-instance', '2026-10-19', '2026-10']);
+    });
+  });
+
+  describe('findExceededQuota', () => {
+    const usage = { day: { messages: 10, tokens: 100 }, month: { messages: 10, tokens: 5000 } };
+
+    test('should return the first quota that is used up', () => {
+      expect(findExceededQuota({ messagesPerDay: 20, tokensPerMonth: 5000 }, usage)).toMatchObject({ key: 'tokensPerMonth' });
+      expect(findExceededQuota({ messagesPerDay: 10, tokensPerMonth: 5000 }, usage)).toMatchObject({ key: 'messagesPerDay' });
+    });
+
+    test('should ignore unset quotas', () => {
+      expect(findExceededQuota({ messagesPerDay: null, messagesPerMonth: 11 }, usage)).toBeNull();
+    });
+  });
+
+  describe('recordQuotaUsage', () => {
+    test('should add to both periods and return the new totals', async () => {
+      const db = createTrackingDB({
+        batch: [
+          { results: [{ messages: 3, tokens: 120 }] },
+          { results: [{ messages: 50, tokens: 9000 }] }
+        ]
+      });
+
+      const usage = await recordQuotaUsage(db, 'test-instance', { messages: 1, tokens: 40 }, periods);
+
+      expect(usage).toEqual({ day: { messages: 3, tokens: 120 }, month: { messages: 50, tokens: 9000 } });
+      expect(db.statements[0].query).toContain('ON CONFLICT(instance_id, period) DO UPDATE SET messages = messages + excluded.messages');
+      expect(db.statements.map(s => s.params.slice(0, 4))).toEqual([
+        ['test-instance', '2026-10-19', 1, 40],
+        ['test-instance', '2026-10', 1, 40]
+      ]);
+    });
+  });
+
+  describe('findQuotaCrossings', () => {
+    const quotas = { messagesPerDay: 10, messagesPerMonth: 100, tokensPerMonth: null, warningPercent: 80 };
+
+    test('should report the warning level and the limit once each', () => {
+      const before = { day: { messages: 7, tokens: 0 }, month: { messages: 99, tokens: 0 } };
+      const after = { day: { messages: 8, tokens: 0 }, month: { messages: 100, tokens: 0 } };
+
+      expect(findQuotaCrossings(quotas, before, after)).toEqual([
+        { quota: 'messagesPerDay', level: 'warning', used: 8, limit: 10 },
+        { quota: 'messagesPerMonth', level: 'exceeded', used: 100, limit: 100 }
+      ]);
+    });
+
+    test('should stay quiet between crossings', () => {
+      const before = { day: { messages: 8, tokens: 0 }, month: { messages: 50, tokens: 0 } };
+      const after = { day: { messages: 9, tokens: 0 }, month: { messages: 51, tokens: 0 } };
+
+      expect(findQuotaCrossings(quotas, before, after)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Rate limiter Durable Object
+ * Keeps a client's hourly and session counters in one object so they are checked and
+ * incremented atomically, with fixed-window or sliding-window hourly limits
+ */
+
+// Length of the hourly window (ms)
+const HOUR_MS = 3600 * 1000;
+
+// Session counters expire this long after the last message (ms), matching the KV limiter
+const SESSION_TTL_MS = 86400 * 1000;
+
+// Seconds a visitor is asked to wait after reaching the session limit
+const SESSION_RETRY_AFTER = 300;
+
+// Hourly limiting algorithms
+export const RATE_LIMIT_ALGORITHMS = ['fixed', 'sliding'];
+
+/**
+ * Count a message against a fixed hourly window
+ * The count resets when the clock passes into the next window
+ * @param {Object|null} state - Stored window { windowStart, count }
+ * @param {number} limit - Maximum messages per window
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { allowed, state, remaining, retryAfter }
+ */
+export function applyFixedWindow(state, limit, now) {
+  const windowStart = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const count = state?.windowStart === windowStart ? state.count : 0;
+
+  if (count >= limit) {
+    return {
+      allowed: false,
+      state: { windowStart, count },
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((windowStart + HOUR_MS - now) / 1000))
+    };
+  }
+
+  return {
+    allowed: true,
+    state: { windowStart, count: count + 1 },
+    remaining: limit - count - 1,
+    retryAfter: null
+  };
+}
+
+/**
+ * Count a message against a sliding hourly window
+ * Estimates the last hour's messages from the current window's count plus the previous
+ * window's count weighted by how much of it still falls inside the last hour
+ * @param {Object|null} state - Stored windows { windowStart, count, previousCount }
+ * @param {number} limit - Maximum messages in any hour
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { allowed, state, remaining, retryAfter }
+ */
+export function applySlidingWindow(state, limit, now) {
+  const windowStart = Math.floor(now / HOUR_MS) * HOUR_MS;
+  let count = 0;
+  let previousCount = 0;
+
+  if (state?.windowStart === windowStart) {
+    count = state.count;
+    previousCount = state.previousCount || 0;
+  } else if (state?.windowStart === windowStart - HOUR_MS) {
+    previousCount = state.count;
+  }
+
+  const elapsed = (now - windowStart) / HOUR_MS;
+  const estimate = previousCount * (1 - elapsed) + count;
+
+  if (estimate + 1 > limit) {
+    return {
+      allowed: false,
+      state: { windowStart, count, previousCount },
+      remaining: 0,
+      retryAfter: slidingRetryAfter({ windowStart, count, previousCount }, limit, now)
+    };
+  }
+
+  return {
+    allowed: true,
+    state: { windowStart, count: count + 1, previousCount },
+    remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+    retryAfter: null
+  };
+}
+
+/**
+ * Work out how long until a sliding window has room for one more message
+ * @param {Object} state - Current windows { windowStart, count, previousCount }
+ * @param {number} limit - Maximum messages in any hour
+ * @param {number} now - Current time (ms)
+ * @returns {number} Seconds to wait
+ */
+function slidingRetryAfter({ windowStart, count, previousCount }, limit, now) {
+  let waitUntil;
+
+  if (count + 1 <= limit && previousCount > 0) {
+    // Room appears in this window once enough of the previous window has slid out
+    const fraction = 1 - (limit - count - 1) / previousCount;
+    waitUntil = windowStart + fraction * HOUR_MS;
+  } else if (count > 0) {
+    // Otherwise wait for this window's messages to slide out during the next one
+    const fraction = Math.max(0, 1 - (limit - 1) / count);
+    waitUntil = windowStart + HOUR_MS + fraction * HOUR_MS;
+  } else {
+    waitUntil = windowStart + HOUR_MS;
+  }
+
+  return Math.max(1, Math.ceil((waitUntil - now) / 1000));
+}
+
+/**
+ * Durable Object holding one client's rate limit counters
+ * Requests to an object run one at a time, so each check-and-increment is atomic
+ */
+export class RateLimiter {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Environment bindings
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Check and count one message, or read the counters
+   * A POST with a body of { hourlyLimit, sessionLimit, session, algorithm } counts a message;
+   * a GET with an ?algorithm= parameter only reads the counters (see peek)
+   * @param {Request} request - Request from the worker
+   * @returns {Promise<Response>} JSON rate limit result (see checkAndUpdateRateLimit) or counters
+   */
+  async fetch(request) {
+    if (request.method === 'GET') {
+      const algorithm = new URL(request.url).searchParams.get('algorithm');
+      const counters = await this.peek({ algorithm, now: Date.now() });
+
+      return new Response(JSON.stringify(counters), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const { hourlyLimit, sessionLimit, session, algorithm } = await request.json();
+    const result = await this.check({ hourlyLimit, sessionLimit, session, algorithm, now: Date.now() });
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Check both limits and count the message when both allow it
+   * @param {Object} options - Check options
+   * @param {number} options.hourlyLimit - Maximum messages per hour
+   * @param {number} options.sessionLimit - Maximum messages per session
+   * @param {boolean} options.session - Whether the client has a session to count
+   * @param {string} options.algorithm - 'fixed' or 'sliding'
+   * @param {number} options.now - Current time (ms)
+   * @returns {Promise<Object>} Rate limit result
+   */
+  async check({ hourlyLimit, sessionLimit, session, algorithm, now }) {
+    const storage = this.state.storage;
+    const stored = await storage.get(['hourly', 'session']);
+    const applyWindow = algorithm === 'fixed' ? applyFixedWindow : applySlidingWindow;
+
+    const hourly = applyWindow(stored.get('hourly') || null, hourlyLimit, now);
+    if (!hourly.allowed) {
+      return {
+        allowed: false,
+        message: `Hourly rate limit exceeded. Maximum ${hourlyLimit} messages per hour.`,
+        retryAfter: hourly.retryAfter
+      };
+    }
+
+    const sessionState = stored.get('session');
+    const sessionCount = sessionState && sessionState.expiresAt > now ? sessionState.count : 0;
+    if (session && sessionCount >= sessionLimit) {
+      return {
+        allowed: false,
+        message: `Session rate limit exceeded. Maximum ${sessionLimit} messages per session.`,
+        retryAfter: SESSION_RETRY_AFTER
+      };
+    }
+
+    const updates = { hourly: hourly.state };
+    if (session) {
+      updates.session = { count: sessionCount + 1, expiresAt: now + SESSION_TTL_MS };
+    }
+    await storage.put(updates);
+
+    // Clear the object out once every counter it holds has expired
+    const expiresAt = Math.max(hourly.state.windowStart + 2 * HOUR_MS, updates.session?.expiresAt || 0);
+    await storage.setAlarm(expiresAt);
+
+    return {
+      allowed: true,
+      message: 'Request allowed',
+      remainingHourly: hourly.remaining,
+      remainingSession: session ? sessionLimit - sessionCount - 1 : null
+    };
+  }
+
+  /**
+   * Read the counters without counting a message
+   * A sliding window reports its estimate of the last hour's messages, rounded up
+   * @param {Object} options - Read options
+   * @param {string} options.algorithm - 'fixed' or 'sliding'
+   * @param {number} options.now - Current time (ms)
+   * @returns {Promise<Object>} { hourlyCount, hourlyResetsIn (seconds), sessionCount }
+   */
+  async peek({ algorithm, now }) {
+    const stored = await this.state.storage.get(['hourly', 'session']);
+    const hourly = stored.get('hourly');
+    const windowStart = Math.floor(now / HOUR_MS) * HOUR_MS;
+
+    let hourlyCount = hourly?.windowStart === windowStart ? hourly.count : 0;
+    if (algorithm !== 'fixed') {
+      const previousCount = hourly?.windowStart === windowStart
+        ? hourly.previousCount || 0
+        : hourly?.windowStart === windowStart - HOUR_MS ? hourly.count : 0;
+      hourlyCount = Math.ceil(previousCount * (1 - (now - windowStart) / HOUR_MS) + hourlyCount);
+    }
+
+    const session = stored.get('session');
+
+    return {
+      hourlyCount,
+      hourlyResetsIn: Math.max(1, Math.ceil((windowStart + HOUR_MS - now) / 1000)),
+      sessionCount: session && session.expiresAt > now ? session.count : 0
+    };
+  }
+
+  /**
+   * Delete the counters once they have expired
+   * @returns {Promise<void>}
+   */
+  async alarm() {
+    const session = await this.state.storage.get('session');
+    if (session && session.expiresAt > Date.now()) {
+      await this.state.storage.setAlarm(session.expiresAt);
+      return;
+    }
+
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Tests for the rate limiter Durable Object
+ */
+
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RateLimiter, applyFixedWindow, applySlidingWindow } from './rate-limiter-object.js';
+
+// Hour boundary used as a fixed clock
+const HOUR = 3600 * 1000;
+const START = 1000 * HOUR;
+
+// Mock Durable Object state with in-memory storage and alarm
+function createMockState() {
+  const store = new Map();
+  const state = {
+    alarm: null,
+    storage: {
+      get: async (keys) => Array.isArray(keys)
+        ? new Map(keys.filter(key => store.has(key)).map(key => [key, store.get(key)]))
+        : store.get(keys),
+      put: async (entries) => {
+        Object.entries(entries).forEach(([key, value]) => store.set(key, value));
+      },
+      setAlarm: async (time) => { state.alarm = time; },
+      deleteAll: async () => store.clear()
+    },
+    store
+  };
+  return state;
+}
+
+describe('Rate Limiter Durable Object', () => {
+  describe('applyFixedWindow', () => {
+    test('should count within the window and reset in the next one', () => {
+      let result = applyFixedWindow(null, 2, START + 10);
+      expect(result).toMatchObject({ allowed: true, remaining: 1 });
+      
+      result = applyFixedWindow(result.state, 2, START + 20);
+      result = applyFixedWindow(result.state, 2, START + HOUR - 5000);
+      expect(result).toMatchObject({ allowed: false, retryAfter: 5 });
+      
+      result = applyFixedWindow(result.state, 2, START + HOUR);
+      expect(result).toMatchObject({ allowed: true, remaining: 1 });
+    });
+  });
+
+  describe('applySlidingWindow', () => {
+    test('should weight the previous window by how much of it is still in the last hour', () => {
+      const previous = { windowStart: START - HOUR, count: 10 };
+      
+      // A quarter into the window, 7.5 of the previous 10 messages still count
+      expect(applySlidingWindow(previous, 10, START + HOUR / 4)).toMatchObject({
+        allowed: true,
+        remaining: 1,
+        state: { windowStart: START, count: 1, previousCount: 10 }
+      });
+      
+      // Early in the window the previous hour still fills the limit
+      const blocked = applySlidingWindow(previous, 10, START + HOUR / 20);
+      expect(blocked.allowed).toBe(false);
+      expect(blocked.retryAfter).toBe(180);
+    });
+
+    test('should forget windows older than the previous hour', () => {
+      const old = { windowStart: START - 2 * HOUR, count: 10 };
+      
+      expect(applySlidingWindow(old, 10, START + 1)).toMatchObject({ allowed: true, remaining: 9 });
+    });
+  });
+
+  describe('RateLimiter', () => {
+    let state;
+    let limiter;
+
+    beforeEach(() => {
+      state = createMockState();
+      limiter = new RateLimiter(state, {});
+    });
+
+    test('should count hourly and session messages together', async () => {
+      const options = { hourlyLimit: 100, sessionLimit: 2, session: true, algorithm: 'fixed', now: START };
+      
+      expect(await limiter.check(options)).toEqual({
+        allowed: true,
+        message: 'Request allowed',
+        remainingHourly: 99,
+        remainingSession: 1
+      });
+      await limiter.check(options);
+      
+      expect(await limiter.check(options)).toEqual({
+        allowed: false,
+        message: 'Session rate limit exceeded. Maximum 2 messages per session.',
+        retryAfter: 300
+      });
+      expect(state.store.get('hourly').count).toBe(2);
+    });
+
+    test('should not count blocked messages', async () => {
+      const options = { hourlyLimit: 1, sessionLimit: 30, session: false, algorithm: 'sliding', now: START };
+      
+      await limiter.check(options);
+      const result = await limiter.check(options);
+      
+      expect(result).toMatchObject({
+        allowed: false,
+        message: 'Hourly rate limit exceeded. Maximum 1 messages per hour.'
+      });
+      expect(state.store.get('hourly').count).toBe(1);
+      expect(state.store.has('session')).toBe(false);
+    });
+
+    test('should answer checks sent over fetch', async () => {
+      const request = new Request('https://rate-limiter/check', {
+        method: 'POST',
+        body: JSON.stringify({ hourlyLimit: 5, sessionLimit: 5, session: true, algorithm: 'sliding' })
+      });
+      
+      const response = await limiter.fetch(request);
+      
+      expect(await response.json()).toMatchObject({ allowed: true, remainingHourly: 4, remainingSession: 4 });
+    });
+
+    test('should read the counters without counting a message', async () => {
+      const options = { hourlyLimit: 100, sessionLimit: 30, session: true, algorithm: 'fixed', now: START };
+      await limiter.check(options);
+      await limiter.check(options);
+
+      expect(await limiter.peek({ algorithm: 'fixed', now: START + HOUR / 2 })).toEqual({
+        hourlyCount: 2,
+        hourlyResetsIn: 1800,
+        sessionCount: 2
+      });
+
+      // Half an hour into the next window, half of the previous window's messages still count
+      expect(await limiter.peek({ algorithm: 'sliding', now: START + HOUR * 1.5 })).toEqual({
+        hourlyCount: 1,
+        hourlyResetsIn: 1800,
+        sessionCount: 2
+      });
+      expect(state.store.get('hourly').count).toBe(2);
+    });
+
+    test('should answer reads sent over fetch', async () => {
+      const response = await limiter.fetch(new Request('https://rate-limiter/check?algorithm=fixed'));
+
+      expect(await response.json()).toMatchObject({ hourlyCount: 0, sessionCount: 0 });
+      expect(state.store.size).toBe(0);
+    });
+
+    test('should clear expired counters when the alarm fires', async () => {
+      await limiter.check({ hourlyLimit: 5, sessionLimit: 5, session: false, algorithm: 'fixed', now: START });
+      expect(state.alarm).toBe(START + 2 * HOUR);
+      
+      await limiter.alarm();
+      
+      expect(state.store.size).toBe(0);
+    });
+  });
+});
@@ -1,10 +1,133 @@
 /**
- * Rate limiting module for KV-based rate limits
- * Handles per-instance and per-session rate limiting
+ * Rate limiting module
+ * Handles per-instance and per-session rate limiting with the RateLimiter Durable Object,
+ * or with KV counters when the Durable Object is not bound or has been switched off
  */
 
+import { RATE_LIMIT_ALGORITHMS } from './rate-limiter-object.js';
+
 /**
- * Check and update rate limits
+ * Check and count a message with the configured rate limit backend
+ * Uses the RATE_LIMITER Durable Object unless RATE_LIMIT_BACKEND is "kv", and falls back
+ * to the KV limiter when the Durable Object is missing or fails
+ * @param {Object} env - Environment bindings (RATE_LIMITER, RATE_LIMITS, RATE_LIMIT_BACKEND, RATE_LIMIT_ALGORITHM)
+ * @param {Object} options - Rate limiting options (see checkAndUpdateRateLimit)
+ * @returns {Promise<Object>} Rate limit result with allowed status and message
+ */
+export async function enforceRateLimit(env, options) {
+  if (env.RATE_LIMITER && env.RATE_LIMIT_BACKEND !== 'kv') {
+    try {
+      return await checkDurableRateLimit(env.RATE_LIMITER, {
+        ...options,
+        algorithm: resolveAlgorithm(env)
+      });
+    } catch (error) {
+      console.error('[RateLimit] Durable Object failed, using KV:', error);
+    }
+  }
+  
+  return checkAndUpdateRateLimit(env.RATE_LIMITS, options);
+}
+
+/**
+ * Check and count a message in the client's RateLimiter Durable Object
+ * One object per hourly key holds both counters, since the session ID is the client ID
+ * whenever there is a session
+ * @param {DurableObjectNamespace} namespace - RateLimiter namespace binding
+ * @param {Object} options - Rate limiting options (see checkAndUpdateRateLimit)
+ * @param {string} options.algorithm - 'fixed' or 'sliding'
+ * @returns {Promise<Object>} Rate limit result with allowed status and message
+ */
+export async function checkDurableRateLimit(namespace, options) {
+  const { hourlyKey, hourlyLimit, sessionLimit, sessionId, algorithm } = options;
+  const stub = namespace.get(namespace.idFromName(hourlyKey));
+  
+  const response = await stub.fetch('https://rate-limiter/check', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      hourlyLimit,
+      sessionLimit,
+      session: !!sessionId,
+      algorithm
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Rate limiter responded with ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Read a client's hourly and session usage without counting a message
+ * Reads the RATE_LIMITER Durable Object under the same conditions enforceRateLimit counts
+ * in it, and the KV counters otherwise
+ * @param {Object} env - Environment bindings (RATE_LIMITER, RATE_LIMITS, RATE_LIMIT_BACKEND, RATE_LIMIT_ALGORITHM)
+ * @param {string} instanceId - Instance ID
+ * @param {string} clientId - Client identifier
+ * @param {Object} limits - Limits { messagesPerHour, messagesPerSession }
+ * @returns {Promise<Object>} { hourly, session } status objects (see checkRateLimitStatus)
+ */
+export async function readRateLimitUsage(env, instanceId, clientId, limits) {
+  if (env.RATE_LIMITER && env.RATE_LIMIT_BACKEND !== 'kv') {
+    try {
+      const { hourlyKey } = generateRateLimitKeys(instanceId, clientId);
+      const counters = await readDurableRateLimitCounters(env.RATE_LIMITER, hourlyKey, resolveAlgorithm(env));
+      
+      return {
+        hourly: {
+          count: counters.hourlyCount,
+          limit: limits.messagesPerHour,
+          remaining: Math.max(0, limits.messagesPerHour - counters.hourlyCount),
+          ttl: counters.hourlyResetsIn
+        },
+        session: {
+          count: counters.sessionCount,
+          limit: limits.messagesPerSession,
+          remaining: Math.max(0, limits.messagesPerSession - counters.sessionCount),
+          ttl: null
+        }
+      };
+    } catch (error) {
+      console.error('[RateLimit] Durable Object failed, reading KV:', error);
+    }
+  }
+  
+  const [hourly, session] = await Promise.all([
+    checkRateLimitStatus(env.RATE_LIMITS, instanceId, clientId, 'hourly', limits.messagesPerHour),
+    checkRateLimitStatus(env.RATE_LIMITS, instanceId, 'session-' + clientId, 'session', limits.messagesPerSession)
+  ]);
+  
+  return { hourly, session };
+}
+
+/**
+ * Read the counters of a client's RateLimiter Durable Object without counting a message
+ * @param {DurableObjectNamespace} namespace - RateLimiter namespace binding
+ * @param {string} hourlyKey - Hourly key naming the client's object
+ * @param {string} algorithm - 'fixed' or 'sliding'
+ * @returns {Promise<Object>} { hourlyCount, hourlyResetsIn, sessionCount }
+ */
+export async function readDurableRateLimitCounters(namespace, hourlyKey, algorithm) {
+  const stub = namespace.get(namespace.idFromName(hourlyKey));
+  
+  const response = await stub.fetch(`https://rate-limiter/check?algorithm=${encodeURIComponent(algorithm)}`, {
+    method: 'GET'
+  });
+  
+  if (!response.ok) {
+    throw new Error(`Rate limiter responded with ${response.status}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Check and update rate limits in KV
+ * KV reads and writes are not atomic, so concurrent requests can pass the limit;
+ * this is the fallback when the Durable Object limiter is unavailable
  * @param {KVNamespace} rateLimitsKV - Cloudflare KV namespace for rate limits
  * @param {Object} options - Rate limiting options
  * @param {string} options.hourlyKey - Key for hourly rate limit
@@ -208,4 +331,13 @@ export async function getRateLimitStatus(rateLimitsKV, instanceId, clientId, ses
       exceeded: currentSessionCount >= limits.sessionLimit
     } : null
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Get the hourly algorithm the Durable Object limiter should use
+ * @param {Object} env - Environment bindings (RATE_LIMIT_ALGORITHM)
+ * @returns {string} 'fixed' or 'sliding' (the default)
+ */
+function resolveAlgorithm(env) {
+  return RATE_LIMIT_ALGORITHMS.includes(env.RATE_LIMIT_ALGORITHM) ? env.RATE_LIMIT_ALGORITHM : 'sliding';
+}
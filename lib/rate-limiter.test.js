@@ -2,14 +2,16 @@
  * Tests for the rate limiter module
  */
 
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
 import {
+  enforceRateLimit,
   checkAndUpdateRateLimit,
   generateRateLimitKeys,
   extractClientId,
   createRateLimitErrorResponse,
   clearRateLimits,
-  getRateLimitStatus
+  getRateLimitStatus,
+  readRateLimitUsage
 } from './rate-limiter.js';
 
 // Mock KV namespace
@@ -40,6 +42,23 @@ function createMockKV() {
   };
 }
 
+// Mock RateLimiter namespace that records the object name and the body sent to it
+// (respond gets the request URL)
+function createMockNamespace(respond) {
+  const calls = [];
+  
+  return {
+    calls,
+    idFromName: (name) => ({ name }),
+    get: (id) => ({
+      fetch: async (url, init) => {
+        calls.push({ name: id.name, body: init.body ? JSON.parse(init.body) : undefined });
+        return respond(url);
+      }
+    })
+  };
+}
+
 // Mock request
 function createMockRequest(headers = {}) {
   return {
@@ -171,6 +190,88 @@ describe('Rate Limiter Module', () => {
     });
   });
 
+  describe('enforceRateLimit', () => {
+    const options = {
+      hourlyKey: 'rate:hour:test:session1',
+      sessionKey: 'rate:session:test:session1',
+      hourlyLimit: 100,
+      sessionLimit: 30,
+      sessionId: 'session1'
+    };
+
+    test('should count the message in the Durable Object', async () => {
+      const namespace = createMockNamespace(() => new Response(JSON.stringify({ allowed: true, message: 'Request allowed' })));
+      
+      const result = await enforceRateLimit({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV, RATE_LIMIT_ALGORITHM: 'fixed' }, options);
+      
+      expect(result).toEqual({ allowed: true, message: 'Request allowed' });
+      expect(namespace.calls).toEqual([{
+        name: 'rate:hour:test:session1',
+        body: { hourlyLimit: 100, sessionLimit: 30, session: true, algorithm: 'fixed' }
+      }]);
+      expect(await mockKV.get('rate:hour:test:session1')).toBeNull();
+    });
+
+    test('should default to the sliding window algorithm', async () => {
+      const namespace = createMockNamespace(() => new Response(JSON.stringify({ allowed: true })));
+      
+      await enforceRateLimit({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV, RATE_LIMIT_ALGORITHM: 'bogus' }, options);
+      
+      expect(namespace.calls[0].body.algorithm).toBe('sliding');
+    });
+
+    test('should fall back to KV when the Durable Object fails', async () => {
+      const namespace = createMockNamespace(() => new Response('Internal error', { status: 500 }));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const result = await enforceRateLimit({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV }, options);
+      
+      expect(result).toMatchObject({ allowed: true, remainingHourly: 99 });
+      expect(await mockKV.get('rate:hour:test:session1')).toBe('1');
+      consoleSpy.mockRestore();
+    });
+
+    test('should use KV when configured or when no Durable Object is bound', async () => {
+      const namespace = createMockNamespace(() => new Response(JSON.stringify({ allowed: true })));
+      
+      await enforceRateLimit({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV, RATE_LIMIT_BACKEND: 'kv' }, options);
+      await enforceRateLimit({ RATE_LIMITS: mockKV }, options);
+      
+      expect(namespace.calls).toHaveLength(0);
+      expect(await mockKV.get('rate:hour:test:session1')).toBe('2');
+    });
+  });
+
+  describe('readRateLimitUsage', () => {
+    const limits = { messagesPerHour: 100, messagesPerSession: 30 };
+
+    test('should read the counters from the Durable Object', async () => {
+      const respond = jest.fn(() => new Response(JSON.stringify({ hourlyCount: 12, hourlyResetsIn: 600, sessionCount: 4 })));
+      const namespace = createMockNamespace(respond);
+      
+      const usage = await readRateLimitUsage({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV }, 'test', '1.2.3.4', limits);
+      
+      expect(usage).toEqual({
+        hourly: { count: 12, limit: 100, remaining: 88, ttl: 600 },
+        session: { count: 4, limit: 30, remaining: 26, ttl: null }
+      });
+      expect(namespace.calls[0].name).toBe('rate:hour:test:1.2.3.4');
+      expect(respond).toHaveBeenCalledWith('https://rate-limiter/check?algorithm=sliding');
+    });
+
+    test('should read KV when configured or when no Durable Object is bound', async () => {
+      const namespace = createMockNamespace(() => new Response('{}'));
+      await mockKV.put('rate:hour:test:1.2.3.4', '7', { expirationTtl: 3600 });
+      
+      const usage = await readRateLimitUsage({ RATE_LIMITER: namespace, RATE_LIMITS: mockKV, RATE_LIMIT_BACKEND: 'kv' }, 'test', '1.2.3.4', limits);
+      
+      expect(usage.hourly).toMatchObject({ count: 7, remaining: 93 });
+      expect(usage.session).toMatchObject({ count: 0, remaining: 30 });
+      expect(namespace.calls).toHaveLength(0);
+      expect((await readRateLimitUsage({ RATE_LIMITS: mockKV }, 'test', '1.2.3.4', limits)).hourly.count).toBe(7);
+    });
+  });
+
   describe('generateRateLimitKeys', () => {
     test('should generate correct keys with sessionId', () => {
       const keys = generateRateLimitKeys('instance1', 'client1', 'session1');
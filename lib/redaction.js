@@ -0,0 +1,364 @@
+/**
+ * Redaction module
+ * Finds personal data in visitors' messages and masks, tokenizes or rejects it before it leaves the worker
+ */
+
+// What an instance can do with each kind of detected data
+export const REDACTION_ACTIONS = ['off', 'mask', 'tokenize', 'reject'];
+
+// Built-in detectors in matching order (cards first so their digits are not taken for phone numbers)
+export const BUILT_IN_DETECTORS = ['card', 'email', 'phone'];
+
+// Most custom patterns an instance may have
+export const MAX_REDACTION_PATTERNS = 10;
+
+// Longest custom pattern accepted (characters)
+export const MAX_REDACTION_PATTERN_LENGTH = 200;
+
+// Words shown to the visitor when a message is rejected
+const DETECTOR_LABELS = {
+  card: 'card number',
+  email: 'email address',
+  phone: 'phone number'
+};
+
+const DETECTOR_PATTERNS = {
+  card: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  phone: /(?<![\w+])\+?\(?\d[\d\s().-]{6,}\d(?!\w)/g
+};
+
+const PATTERN_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits only
+ * @returns {boolean} True when the checksum is valid
+ */
+export function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * Check a custom pattern list from the admin form
+ * @param {Array} patterns - Patterns as { name, pattern, action }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateRedactionPatterns(patterns) {
+  const errors = [];
+  if (!Array.isArray(patterns)) return ['Redaction patterns must be a list'];
+
+  if (patterns.length > MAX_REDACTION_PATTERNS) {
+    errors.push(`At most ${MAX_REDACTION_PATTERNS} redaction patterns are allowed`);
+  }
+
+  const seen = new Set();
+  for (const entry of patterns) {
+    if (!entry || !PATTERN_NAME_PATTERN.test(entry.name || '')) {
+      errors.push(`Invalid redaction pattern name: ${entry?.name || '(empty)'} (use lowercase letters, numbers and underscores)`);
+      continue;
+    }
+    if (BUILT_IN_DETECTORS.includes(entry.name) || seen.has(entry.name)) {
+      errors.push(`Duplicate redaction pattern name: ${entry.name}`);
+    }
+    seen.add(entry.name);
+    if (!REDACTION_ACTIONS.includes(entry.action) || entry.action === 'off') {
+      errors.push(`Redaction pattern ${entry.name} must mask, tokenize or reject`);
+    }
+    if (typeof entry.pattern !== 'string' || !entry.pattern || entry.pattern.length > MAX_REDACTION_PATTERN_LENGTH) {
+      errors.push(`Redaction pattern ${entry.name} must be 1-${MAX_REDACTION_PATTERN_LENGTH} characters`);
+    } else if (!compilePattern(entry.pattern)) {
+      errors.push(`Redaction pattern ${entry.name} is not a valid regular expression`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read the stored custom pattern list for an instance
+ * Bad JSON gives no patterns; entries that fail validation are skipped
+ * @param {string|Array|null} stored - JSON text from D1 (or an already parsed list)
+ * @returns {Array<Object>} Patterns as { name, pattern, action }
+ */
+export function parseStoredRedactionPatterns(stored) {
+  let patterns = stored;
+  if (typeof stored === 'string') {
+    try {
+      patterns = JSON.parse(stored);
+    } catch (error) {
+      patterns = null;
+    }
+  }
+
+  if (!Array.isArray(patterns)) return [];
+
+  return patterns
+    .filter(entry => validateRedactionPatterns([entry]).length === 0)
+    .slice(0, MAX_REDACTION_PATTERNS)
+    .map(({ name, pattern, action }) => ({ name, pattern, action }));
+}
+
+/**
+ * Normalize a stored action, treating unknown values as off
+ * @param {string|null} action - Stored action
+ * @returns {string} One of REDACTION_ACTIONS
+ */
+export function normalizeRedactionAction(action) {
+  return REDACTION_ACTIONS.includes(action) ? action : 'off';
+}
+
+/**
+ * Check whether an instance redacts anything
+ * @param {Object} settings - Instance redaction settings { card, email, phone, patterns }
+ * @returns {boolean} True when at least one detector is on
+ */
+export function isRedactionEnabled(settings) {
+  if (!settings) return false;
+  return BUILT_IN_DETECTORS.some(name => normalizeRedactionAction(settings[name]) !== 'off') ||
+    (settings.patterns || []).length > 0;
+}
+
+/**
+ * Find personal data in a piece of text
+ * Matches never overlap; earlier detectors win, then custom patterns in order
+ * @param {string} text - Text to scan
+ * @param {Object} settings - Instance redaction settings
+ * @returns {Array<Object>} Matches as { detector, action, start, end, value } in text order
+ */
+export function findSensitiveData(text, settings) {
+  if (typeof text !== 'string' || !text || !settings) return [];
+
+  const detectors = [
+    ...BUILT_IN_DETECTORS
+      .map(name => ({ name, action: normalizeRedactionAction(settings[name]), regex: DETECTOR_PATTERNS[name] }))
+      .filter(detector => detector.action !== 'off'),
+    ...(settings.patterns || [])
+      .map(entry => ({ name: entry.name, action: entry.action, regex: compilePattern(entry.pattern) }))
+      .filter(detector => detector.regex)
+  ];
+
+  const found = [];
+  for (const detector of detectors) {
+    for (const match of text.matchAll(detector.regex)) {
+      const value = match[0];
+      if (!value || !isDetectedValue(detector.name, value)) continue;
+
+      const start = match.index;
+      const end = start + value.length;
+      if (found.some(other => start < other.end && end > other.start)) continue;
+
+      found.push({ detector: detector.name, action: detector.action, start, end, value });
+    }
+  }
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Redact the user messages of a chat request
+ * Every user message is redacted because the widget resends the history; only the latest
+ * one is counted and can be rejected, so an earlier rejected message cannot block the session
+ * @param {Array} messages - Messages sent by the widget
+ * @param {Object} settings - Instance redaction settings
+ * @returns {Object} { messages, counts, rejected } where counts maps "detector:action" to a count
+ *   and rejected lists the detectors that rejected the latest message
+ */
+export function redactMessages(messages, settings) {
+  if (!isRedactionEnabled(settings)) {
+    return { messages, counts: {}, rejected: [] };
+  }
+
+  const tokens = new Map();
+  let latestUserIndex = -1;
+  messages.forEach((message, index) => {
+    if (message?.role === 'user') latestUserIndex = index;
+  });
+
+  const counts = {};
+  const rejected = [];
+  const redacted = messages.map((message, index) => {
+    if (message?.role !== 'user') return message;
+
+    const isLatest = index === latestUserIndex;
+    const redactPart = (text) => {
+      const result = redactText(text, settings, tokens);
+      if (isLatest) {
+        for (const match of result.matches) {
+          const key = `${match.detector}:${match.action}`;
+          counts[key] = (counts[key] || 0) + 1;
+          if (match.action === 'reject' && !rejected.includes(match.detector)) {
+            rejected.push(match.detector);
+          }
+        }
+      }
+      return result.text;
+    };
+
+    if (typeof message.content === 'string') {
+      return { ...message, content: redactPart(message.content) };
+    }
+    if (Array.isArray(message.content)) {
+      return {
+        ...message,
+        content: message.content.map(part =>
+          part?.type === 'text' && typeof part.text === 'string'
+            ? { ...part, text: redactPart(part.text) }
+            : part
+        )
+      };
+    }
+    return message;
+  });
+
+  return { messages: redacted, counts, rejected };
+}
+
+/**
+ * Describe rejected detectors for the visitor
+ * @param {string[]} detectors - Detector names that rejected the message
+ * @returns {string} Message asking the visitor to remove the data
+ */
+export function describeRejection(detectors) {
+  const labels = detectors.map(name => DETECTOR_LABELS[name] || 'sensitive information');
+  const unique = [...new Set(labels)];
+  return `Please remove the ${unique.join(' and ')} from your message and try again`;
+}
+
+/**
+ * Add a request's redaction counts to the instance totals
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} counts - Map of "detector:action" to a count, as returned by redactMessages
+ * @returns {Promise<void>}
+ */
+export async function recordRedactionCounts(db, instanceId, counts) {
+  const entries = Object.entries(counts || {});
+  if (entries.length === 0) return;
+
+  const now = new Date().toISOString();
+  await db.batch(entries.map(([key, count]) => {
+    const [detector, action] = key.split(':');
+    return db.prepare(`
+      INSERT INTO redaction_counts (instance_id, detector, action, count, last_redacted_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(instance_id, detector, action) DO UPDATE SET
+        count = count + excluded.count,
+        last_redacted_at = excluded.last_redacted_at
+    `).bind(instanceId, detector, action, count, now);
+  }));
+}
+
+/**
+ * Get the redaction totals for an instance
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @returns {Promise<Array>} Rows with detector, action, count and last_redacted_at
+ */
+export async function getRedactionCounts(db, instanceId) {
+  const result = await db.prepare(`
+    SELECT detector, action, count, last_redacted_at
+    FROM redaction_counts
+    WHERE instance_id = ?
+    ORDER BY count DESC
+  `).bind(instanceId).all();
+
+  return result.results;
+}
+
+/**
+ * Replace the matches in one piece of text
+ * @param {string} text - Text to redact
+ * @param {Object} settings - Instance redaction settings
+ * @param {Map} tokens - Tokens already handed out, so a value keeps its token across messages
+ * @returns {Object} { text, matches }
+ */
+function redactText(text, settings, tokens) {
+  const matches = findSensitiveData(text, settings);
+  let output = '';
+  let cursor = 0;
+
+  for (const match of matches) {
+    output += text.slice(cursor, match.start);
+    output += match.action === 'tokenize'
+      ? tokenFor(match, tokens)
+      : maskValue(match);
+    cursor = match.end;
+  }
+
+  return { text: output + text.slice(cursor), matches };
+}
+
+/**
+ * Mask a value, keeping the last four digits of card numbers
+ * Rejected values in earlier messages are masked too
+ * @param {Object} match - Match from findSensitiveData
+ * @returns {string} Masked value
+ */
+function maskValue(match) {
+  if (match.detector === 'card') {
+    const digits = match.value.replace(/\D/g, '');
+    return `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+  }
+  return match.value.replace(/[A-Za-z0-9]/g, '*');
+}
+
+/**
+ * Get the token for a value, numbering each detector's values in order of appearance
+ * @param {Object} match - Match from findSensitiveData
+ * @param {Map} tokens - Tokens already handed out
+ * @returns {string} Token such as [EMAIL_1]
+ */
+function tokenFor(match, tokens) {
+  const key = `${match.detector}:${match.value.toLowerCase()}`;
+  if (!tokens.has(key)) {
+    const used = [...tokens.keys()].filter(existing => existing.startsWith(`${match.detector}:`)).length;
+    tokens.set(key, `[${match.detector.toUpperCase()}_${used + 1}]`);
+  }
+  return tokens.get(key);
+}
+
+/**
+ * Check that a built-in match is really the data it looks like
+ * @param {string} detector - Detector name
+ * @param {string} value - Matched text
+ * @returns {boolean} True when the match should be redacted
+ */
+function isDetectedValue(detector, value) {
+  if (detector === 'card') {
+    const digits = value.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+  }
+  if (detector === 'phone') {
+    // Nine digits keeps dates such as 2025-01-01 from counting as phone numbers
+    const digits = value.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15;
+  }
+  return true;
+}
+
+/**
+ * Compile a custom pattern, returning null when it is not a valid regular expression
+ * @param {string} pattern - Pattern source
+ * @returns {RegExp|null} Case-insensitive global expression
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'gi');
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * Tests for the redaction module
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  passesLuhn,
+  validateRedactionPatterns,
+  parseStoredRedactionPatterns,
+  isRedactionEnabled,
+  findSensitiveData,
+  redactMessages,
+  describeRejection,
+  recordRedactionCounts,
+  MAX_REDACTION_PATTERNS
+} from './redaction.js';
+
+// Mock D1 database that records batched statements
+function createTrackingDB() {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => ({ query: query.replace(/\s+/g, ' ').trim(), params })
+    }),
+    batch: async (batch) => {
+      statements.push(...batch);
+      return batch.map(() => ({ success: true }));
+    }
+  };
+}
+
+describe('Redaction Module', () => {
+  describe('passesLuhn', () => {
+    test('should accept valid card numbers and reject others', () => {
+      expect(passesLuhn('4111111111111111')).toBe(true);
+      expect(passesLuhn('4111111111111112')).toBe(false);
+      expect(passesLuhn('')).toBe(false);
+    });
+  });
+
+  describe('validateRedactionPatterns', () => {
+    test('should accept a valid pattern', () => {
+      expect(validateRedactionPatterns([{ name: 'mrn', pattern: 'MRN-\\d{6}', action: 'tokenize' }])).toEqual([]);
+    });
+
+    test('should report bad names, actions and expressions', () => {
+      expect(validateRedactionPatterns([
+        { name: 'Bad Name', pattern: 'x', action: 'mask' },
+        { name: 'email', pattern: 'x', action: 'mask' },
+        { name: 'case_no', pattern: '(', action: 'mask' },
+        { name: 'ref', pattern: 'REF', action: 'off' }
+      ])).toEqual([
+        'Invalid redaction pattern name: Bad Name (use lowercase letters, numbers and underscores)',
+        'Duplicate redaction pattern name: email',
+        'Redaction pattern case_no is not a valid regular expression',
+        'Redaction pattern ref must mask, tokenize or reject'
+      ]);
+    });
+
+    test('should limit the number of patterns', () => {
+      const patterns = Array.from({ length: MAX_REDACTION_PATTERNS + 1 }, (_, i) => ({
+        name: `p${i}`,
+        pattern: 'x',
+        action: 'mask'
+      }));
+      expect(validateRedactionPatterns(patterns)).toContain(`At most ${MAX_REDACTION_PATTERNS} redaction patterns are allowed`);
+    });
+  });
+
+  describe('parseStoredRedactionPatterns', () => {
+    test('should skip invalid entries and bad JSON', () => {
+      const stored = JSON.stringify([
+        { name: 'mrn', pattern: 'MRN-\\d+', action: 'reject' },
+        { name: 'broken', pattern: '[', action: 'mask' }
+      ]);
+
+      expect(parseStoredRedactionPatterns(stored)).toEqual([{ name: 'mrn', pattern: 'MRN-\\d+', action: 'reject' }]);
+      expect(parseStoredRedactionPatterns('not json')).toEqual([]);
+      expect(parseStoredRedactionPatterns(null)).toEqual([]);
+    });
+  });
+
+  describe('isRedactionEnabled', () => {
+    test('should be off until a detector or pattern is configured', () => {
+      expect(isRedactionEnabled(null)).toBe(false);
+      expect(isRedactionEnabled({ card: 'off', email: 'off', phone: 'off', patterns: [] })).toBe(false);
+      expect(isRedactionEnabled({ email: 'mask', patterns: [] })).toBe(true);
+      expect(isRedactionEnabled({ patterns: [{ name: 'mrn', pattern: 'x', action: 'mask' }] })).toBe(true);
+    });
+  });
+
+  describe('findSensitiveData', () => {
+    const settings = { card: 'mask', email: 'mask', phone: 'mask', patterns: [] };
+
+    test('should find emails, phone numbers and Luhn-valid cards', () => {
+      const matches = findSensitiveData(
+        'Mail jo@example.com, call +61 412 345 678, card 4111 1111 1111 1111',
+        settings
+      );
+
+      expect(matches.map(m => [m.detector, m.value])).toEqual([
+        ['email', 'jo@example.com'],
+        ['phone', '+61 412 345 678'],
+        ['card', '4111 1111 1111 1111']
+      ]);
+    });
+
+    test('should ignore card-like numbers that fail the checksum', () => {
+      expect(findSensitiveData('Order 4111 1111 1111 1112', { card: 'mask', patterns: [] })).toEqual([]);
+    });
+
+    test('should not treat dates and short numbers as phone numbers', () => {
+      expect(findSensitiveData('Booked for 2025-01-01, room 1204', settings)).toEqual([]);
+    });
+
+    test('should apply custom patterns case-insensitively', () => {
+      const matches = findSensitiveData('My record is mrn-123456', {
+        patterns: [{ name: 'mrn', pattern: 'MRN-\\d{6}', action: 'reject' }]
+      });
+
+      expect(matches).toEqual([
+        { detector: 'mrn', action: 'reject', start: 13, end: 23, value: 'mrn-123456' }
+      ]);
+    });
+  });
+
+  describe('redactMessages', () => {
+    test('should leave messages untouched when redaction is off', () => {
+      const messages = [{ role: 'user', content: 'jo@example.com' }];
+
+      expect(redactMessages(messages, { email: 'off', patterns: [] })).toEqual({
+        messages,
+        counts: {},
+        rejected: []
+      });
+    });
+
+    test('should mask values and keep the last four card digits', () => {
+      const { messages } = redactMessages(
+        [{ role: 'user', content: 'Card 4111-1111-1111-1111 or jo@example.com' }],
+        { card: 'mask', email: 'mask', patterns: [] }
+      );
+
+      expect(messages[0].content).toBe('Card ************1111 or **@*******.***');
+    });
+
+    test('should give a value the same token across messages', () => {
+      const { messages, counts } = redactMessages([
+        { role: 'user', content: 'I am jo@example.com' },
+        { role: 'assistant', content: 'Thanks [EMAIL_1]' },
+        { role: 'user', content: 'Also sam@example.com, and JO@example.com again' }
+      ], { email: 'tokenize', patterns: [] });
+
+      expect(messages[0].content).toBe('I am [EMAIL_1]');
+      expect(messages[1].content).toBe('Thanks [EMAIL_1]');
+      expect(messages[2].content).toBe('Also [EMAIL_2], and [EMAIL_1] again');
+      expect(counts).toEqual({ 'email:tokenize': 2 });
+    });
+
+    test('should redact text parts of multimodal messages', () => {
+      const image = { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } };
+      const { messages } = redactMessages([
+        { role: 'user', content: [{ type: 'text', text: 'Call 0412 345 678' }, image] }
+      ], { phone: 'tokenize', patterns: [] });
+
+      expect(messages[0].content).toEqual([{ type: 'text', text: 'Call [PHONE_1]' }, image]);
+    });
+
+    test('should only reject and count the latest user message', () => {
+      const settings = { card: 'reject', email: 'mask', patterns: [] };
+      const earlier = redactMessages([
+        { role: 'user', content: 'Card 4111111111111111' },
+        { role: 'user', content: 'Sorry, email me at jo@example.com' }
+      ], settings);
+
+      expect(earlier.rejected).toEqual([]);
+      expect(earlier.counts).toEqual({ 'email:mask': 1 });
+      expect(earlier.messages[0].content).toBe('Card ************1111');
+
+      const latest = redactMessages([{ role: 'user', content: 'Card 4111111111111111' }], settings);
+      expect(latest.rejected).toEqual(['card']);
+      expect(latest.counts).toEqual({ 'card:reject': 1 });
+    });
+  });
+
+  describe('describeRejection', () => {
+    test('should name each kind of data once', () => {
+      expect(describeRejection(['card', 'email'])).toBe('Please remove the card number and email address from your message and try again');
+      expect(describeRejection(['mrn', 'case_no'])).toBe('Please remove the sensitive information from your message and try again');
+    });
+  });
+
+  describe('recordRedactionCounts', () => {
+    test('should add each count to the instance totals', async () => {
+      const db = createTrackingDB();
+
+      await recordRedactionCounts(db, 'test-instance', { 'email:mask': 2, 'card:reject': 1 });
+
+      expect(db.statements).toHaveLength(2);
+      expect(db.statements[0].query).toContain('ON CONFLICT(instance_id, detector, action) DO UPDATE SET count = count + excluded.count');
+      expect(db.statements[0].params.slice(0, 4)).toEqual(['test-instance', 'email', 'mask', 2]);
+      expect(db.statements[1].params.slice(0, 4)).toEqual(['test-instance', 'card', 'reject', 1]);
+    });
+
+    test('should skip the database when nothing was redacted', async () => {
+      const db = createTrackingDB();
+
+      await recordRedactionCounts(db, 'test-instance', {});
+
+      expect(db.statements).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Reply markers module
+ * Markers the agent writes into its replies. The widget build imports this file too,
+ * so it must stay free of imports and worker-only code
+ */
+
+// Marker the agent puts in a reply to hand the conversation to staff
+export const HANDOFF_MARKER = '[HANDOFF]';
+
+// The agent ends a reply with [SUGGESTIONS: First | Second] to offer follow-ups
+export const SUGGESTIONS_PATTERN = /\[SUGGESTIONS:([^\]]*)\]/i;
+
+// The same block, also matched while unclosed so it never flashes up as a reply streams in
+export const PARTIAL_SUGGESTIONS_PATTERN = /\[SUGGESTIONS:([^\]]*)(?:\]|$)/i;
+
+// Most follow-up suggestions taken from one agent reply
+export const MAX_SUGGESTIONS = 4;
@@ -14,10 +14,14 @@ import {
   createInstance,
   updateInstance,
   deleteInstance,
-  cloneInstance
+  cloneInstance,
+  setInstanceState
 } from '../database.js';
 import { validateInstanceId } from '../security.js';
+import { getRedactionCounts } from '../redaction.js';
+import { INSTANCE_STATES } from '../instance-state.js';
 import { createInstanceForm, editInstanceForm } from '../templates/admin-forms.js';
+import { validateInstanceData, createErrorResponse } from '../services/admin-service.js';
 
 /**
  * Create new instance form
@@ -66,6 +70,12 @@ export async function handleCreateInstance(request, env) {
       });
     }
     
+    // Check every setting before anything is saved
+    const validation = validateInstanceData(data);
+    if (!validation.valid) {
+      return createErrorResponse(validation.errors);
+    }
+    
     // Create instance with all related data
     await createInstance(env.DB, data);
     
@@ -116,6 +126,51 @@ export async function handleDeleteInstance(request, env) {
   }
 }
 
+/**
+ * Switch instance state endpoint (dashboard pause, maintenance and resume buttons)
+ * @param {Request} request - HTTP request with { state }
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Update result
+ */
+export async function handleSetInstanceState(request, env) {
+  // Validate session
+  const isValid = await validateAdminSession(request, env);
+  if (!isValid) {
+    return createUnauthorizedResponse();
+  }
+  
+  try {
+    const { id } = request.params;
+    const { state } = await request.json();
+    
+    if (!INSTANCE_STATES.includes(state)) {
+      return new Response(JSON.stringify({ error: `State must be one of: ${INSTANCE_STATES.join(', ')}` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    if (!await setInstanceState(env.DB, id, state)) {
+      return new Response(JSON.stringify({ error: 'Instance not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    return new Response(JSON.stringify({ success: true, state }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    
+  } catch (error) {
+    console.error('[Admin] Set instance state error:', error);
+    return new Response(JSON.stringify({ error: 'Failed to update instance state' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 /**
  * Edit instance form
  * @param {Request} request - HTTP request
@@ -138,7 +193,8 @@ export async function handleEditInstanceForm(request, env) {
     return new Response('Instance not found', { status: 404 });
   }
   
-  const html = editInstanceForm(id, instanceData);
+  const redactionCounts = await getRedactionCounts(env.DB, id);
+  const html = editInstanceForm(id, instanceData, { redactionCounts });
   
   return new Response(html, {
     headers: { 
@@ -165,6 +221,12 @@ export async function handleUpdateInstance(request, env) {
     const { id } = request.params;
     const data = await request.json();
     
+    // Check every setting before anything is saved; the ID comes from the URL
+    const validation = validateInstanceData({ ...data, id });
+    if (!validation.valid) {
+      return createErrorResponse(validation.errors);
+    }
+    
     // Update instance with all related data
     await updateInstance(env.DB, id, data);
     
@@ -3,6 +3,7 @@
  */
 
 import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { REDACTION_ACTIONS, validateRedactionPatterns } from '../redaction.js';
 
 // Create mock functions before importing modules
 const mockValidateAdminSession = jest.fn();
@@ -23,8 +24,10 @@ const mockCreateInstance = jest.fn();
 const mockUpdateInstance = jest.fn();
 const mockDeleteInstance = jest.fn();
 const mockCloneInstance = jest.fn();
+const mockSetInstanceState = jest.fn();
 const mockGetInstanceConfig = jest.fn();
 const mockGetInstanceById = jest.fn();
+const mockGetRedactionCounts = jest.fn();
 
 // Mock modules before imports
 jest.unstable_mockModule('../auth.js', () => ({
@@ -49,9 +52,17 @@ jest.unstable_mockModule('../database.js', () => ({
   updateInstance: mockUpdateInstance,
   deleteInstance: mockDeleteInstance,
   cloneInstance: mockCloneInstance,
+  setInstanceState: mockSetInstanceState,
   getInstanceConfig: mockGetInstanceConfig
 }));
 
+// Instance validation runs for real, so it keeps the real redaction checks
+jest.unstable_mockModule('../redaction.js', () => ({
+  getRedactionCounts: mockGetRedactionCounts,
+  REDACTION_ACTIONS,
+  validateRedactionPatterns
+}));
+
 // Import after mocking
 const {
   handleCreateInstanceForm,
@@ -59,7 +70,8 @@ const {
   handleEditInstanceForm,
   handleUpdateInstance,
   handleDeleteInstance,
-  handleCloneInstance
+  handleCloneInstance,
+  handleSetInstanceState
 } = await import('./admin-crud.js');
 
 describe('Admin CRUD Routes', () => {
@@ -169,13 +181,41 @@ describe('Admin CRUD Routes', () => {
         // missing name and typingmind_agent_id
       };
       mockRequest.json.mockResolvedValue(incompleteData);
-      mockCreateInstance.mockRejectedValue(new Error('Missing required fields'));
       
       const response = await handleCreateInstance(mockRequest, mockEnv);
       const data = await response.json();
       
-      expect(response.status).toBe(500); // Since createInstance will throw an error
-      expect(data.error).toBe('Failed to create instance');
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'TypingMind Agent ID is required',
+        'Instance name is required',
+        'At least one allowed domain is required'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid webhook URLs and IP ranges', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        webhooks: [{ url: 'javascript:alert(1)', events: ['message.created'] }],
+        deny_cidrs: ['10.0.0.0/99']
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'The blocked IP ranges must be IP addresses or CIDR ranges: 10.0.0.0/99',
+        'Webhook URL must be a valid https:// URL: javascript:alert(1)'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
     });
 
     test('should validate instance ID format', async () => {
@@ -200,6 +240,126 @@ describe('Admin CRUD Routes', () => {
       expect(data.error).toBe('Invalid instance ID format');
     });
 
+    test('should reject invalid redaction settings', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        redact_email: 'hide',
+        redaction_patterns: [{ name: 'order_id', pattern: '([a-z', action: 'mask' }]
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'Unknown redaction action: hide',
+        'Redaction pattern order_id is not a valid regular expression'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid guardrail patterns', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        blocked_keywords: ['crypto'],
+        blocked_patterns: ['(unclosed']
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'Blocked pattern is not a valid regular expression: (unclosed'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid network rules', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        deny_countries: ['Germany'],
+        allow_asns: ['AS13335', 'cloudflare']
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'The blocked countries must be two-letter country codes: Germany',
+        'The allowed ASNs must be AS numbers: cloudflare'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid business hours', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        business_timezone: 'Mars/Base',
+        business_holidays: ['2026-13-45']
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'Time zone must be an IANA name such as Europe/London',
+        'Holidays must be dates such as 2026-12-25: 2026-13-45'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject experiments with no weighted variant', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        ...validData,
+        experiment_variants: [
+          { key: 'control', weight: 0 },
+          { key: 'short-welcome', weight: 0 }
+        ]
+      });
+      
+      const response = await handleCreateInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'At least one experiment variant needs a weight above 0'
+      ]);
+      expect(mockCreateInstance).not.toHaveBeenCalled();
+    });
+
     test('should handle database errors', async () => {
       mockRequest.headers.get.mockImplementation((name) => {
         if (name === 'Cookie') return 'admin_session=valid-session';
@@ -236,14 +396,18 @@ describe('Admin CRUD Routes', () => {
         theme: { primary_color: '#007bff' }
       };
       
+      const redactionCounts = [{ detector: 'email', action: 'mask', count: 4 }];
+      
       mockGetInstanceById.mockResolvedValue(mockInstanceData);
+      mockGetRedactionCounts.mockResolvedValue(redactionCounts);
       mockEditInstanceForm.mockReturnValue('<html>Edit Form</html>');
       
       const response = await handleEditInstanceForm(mockRequest, mockEnv);
       
       expect(response.status).toBe(200);
       expect(response.headers.get('Content-Type')).toBe('text/html');
-      expect(mockEditInstanceForm).toHaveBeenCalledWith('test-instance', mockInstanceData);
+      expect(mockGetRedactionCounts).toHaveBeenCalledWith(mockEnv.DB, 'test-instance');
+      expect(mockEditInstanceForm).toHaveBeenCalledWith('test-instance', mockInstanceData, { redactionCounts });
     });
 
     test('should return 404 for missing instance', async () => {
@@ -317,13 +481,39 @@ describe('Admin CRUD Routes', () => {
       mockRequest.json.mockResolvedValue({
         // missing required fields
       });
-      mockUpdateInstance.mockRejectedValue(new Error('Missing required fields'));
       
       const response = await handleUpdateInstance(mockRequest, mockEnv);
       const data = await response.json();
       
-      expect(response.status).toBe(500);
-      expect(data.error).toBe('Failed to update instance');
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual([
+        'TypingMind Agent ID is required',
+        'Instance name is required',
+        'At least one allowed domain is required'
+      ]);
+      expect(mockUpdateInstance).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid webhook URLs on update', async () => {
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Cookie') return 'admin_session=valid-session';
+        return null;
+      });
+      mockRequest.params = { id: 'test-instance' };
+      
+      mockValidateAdminSession.mockResolvedValue(true);
+      mockRequest.json.mockResolvedValue({
+        name: 'Updated Instance',
+        typingmind_agent_id: 'agent-updated',
+        domains: ['updated.example.com'],
+        webhooks: [{ url: 'not a url', events: [] }]
+      });
+      
+      const response = await handleUpdateInstance(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(400);
+      expect((await response.json()).errors).toEqual(['Webhook URL must be a valid https:// URL: not a url']);
+      expect(mockUpdateInstance).not.toHaveBeenCalled();
     });
   });
 
@@ -363,6 +553,48 @@ describe('Admin CRUD Routes', () => {
     });
   });
 
+  describe('handleSetInstanceState', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockValidateAdminSession.mockResolvedValue(true);
+    });
+
+    test('should switch the state', async () => {
+      mockRequest.json.mockResolvedValue({ state: 'paused' });
+      mockSetInstanceState.mockResolvedValue(true);
+      
+      const response = await handleSetInstanceState(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ success: true, state: 'paused' });
+      expect(mockSetInstanceState).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', 'paused');
+    });
+
+    test('should reject unknown states and missing instances', async () => {
+      mockRequest.json.mockResolvedValue({ state: 'deleted' });
+      
+      const invalid = await handleSetInstanceState(mockRequest, mockEnv);
+      
+      expect(invalid.status).toBe(400);
+      expect(mockSetInstanceState).not.toHaveBeenCalled();
+      
+      mockRequest.json.mockResolvedValue({ state: 'active' });
+      mockSetInstanceState.mockResolvedValue(false);
+      
+      const missing = await handleSetInstanceState(mockRequest, mockEnv);
+      
+      expect(missing.status).toBe(404);
+    });
+
+    test('should require an admin session', async () => {
+      mockValidateAdminSession.mockResolvedValue(false);
+      
+      const response = await handleSetInstanceState(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(401);
+    });
+  });
+
   describe('handleCloneInstance', () => {
     test('should clone instance with new ID', async () => {
       mockRequest.headers.get.mockImplementation((name) => {
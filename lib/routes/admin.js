@@ -11,8 +11,47 @@ import {
   createLogoutCookie,
   validatePassword
 } from '../auth.js';
-import { getAllInstances } from '../database.js';
-import { loginPage, dashboardPage } from '../templates/admin-pages.js';
+import { getAllInstances, getInstanceById } from '../database.js';
+import {
+  listConversations,
+  listConversationOrigins,
+  getConversation,
+  getConversationExportRows,
+  groupExportRows
+} from '../conversations.js';
+import { listLeads, getLeadExportRows, parseStoredLeadFields } from '../leads.js';
+import { listOfflineMessages } from '../business-hours.js';
+import { parseStoredVariant, getExperimentResults } from '../experiments.js';
+import { listDeliveries } from '../webhooks.js';
+import { listGuardrailEvents } from '../guardrails.js';
+import { listQuotaUsage, getQuotaPeriods } from '../quotas.js';
+import {
+  getRequestNetwork,
+  normalizeNetwork,
+  parseIpAddress,
+  parseStoredNetworkRules,
+  evaluateNetworkRules
+} from '../network-rules.js';
+import { getSatisfactionByInstance, listLowestRatedAnswers } from '../feedback.js';
+import {
+  getHandoff,
+  setHandoffStatus,
+  saveStaffMessage,
+  listOpenHandoffs,
+  MAX_STAFF_MESSAGE_LENGTH
+} from '../handoff.js';
+import {
+  loginPage,
+  dashboardPage,
+  conversationsPage,
+  transcriptPage,
+  leadsPage,
+  offlineMessagesPage,
+  experimentsPage,
+  webhooksPage,
+  guardrailsPage,
+  inboxPage
+} from '../templates/admin-pages.js';
 import { 
   requireAuth,
   parseJsonBody,
@@ -20,9 +59,41 @@ import {
 } from '../middleware/admin-validation.js';
 import {
   createErrorResponse,
-  createSuccessResponse
+  createSuccessResponse,
+  parseConversationFilters,
+  generateCsv
 } from '../services/admin-service.js';
 
+// Conversations shown per page in the transcript viewer
+const CONVERSATIONS_PAGE_SIZE = 50;
+
+// Leads shown per page
+const LEADS_PAGE_SIZE = 50;
+
+// Offline messages shown per page
+const OFFLINE_MESSAGES_PAGE_SIZE = 50;
+
+// Webhook deliveries shown per page
+const WEBHOOK_DELIVERIES_PAGE_SIZE = 50;
+
+// Blocked messages shown per page
+const GUARDRAIL_EVENTS_PAGE_SIZE = 50;
+
+// Columns included in CSV transcript exports
+const EXPORT_COLUMNS = [
+  'conversation_id',
+  'session_id',
+  'origin',
+  'started_at',
+  'user_id',
+  'user_name',
+  'user_email',
+  'role',
+  'content',
+  'latency_ms',
+  'created_at'
+];
+
 /**
  * Serve admin.js file
  * This function now serves the admin.js from KV storage to avoid code duplication
@@ -166,8 +237,15 @@ export async function handleAdminDashboard(request, env) {
     // Get all instances from database
     const instances = await getAllInstances(env.DB);
     
+    // Reply ratings for the satisfaction column and lowest-rated answers
+    const satisfaction = await getSatisfactionByInstance(env.DB);
+    const lowestRated = await listLowestRatedAnswers(env.DB);
+    
+    // Today's and this month's usage for instances with quotas
+    const quotaUsage = await listQuotaUsage(env.DB, getQuotaPeriods());
+    
     // Generate dashboard HTML
-    const html = dashboardPage(instances);
+    const html = dashboardPage(instances, { satisfaction, lowestRated, quotaUsage });
     
     return new Response(html, {
       headers: { 
@@ -187,4 +265,631 @@ export async function handleAdminDashboard(request, env) {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Conversations list for an instance
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Conversations page HTML
+ */
+export async function handleAdminConversations(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const filters = parseConversationFilters(new URL(request.url));
+    const [{ conversations, total }, origins] = await Promise.all([
+      listConversations(env.DB, id, filters, {
+        limit: CONVERSATIONS_PAGE_SIZE,
+        offset: (filters.page - 1) * CONVERSATIONS_PAGE_SIZE
+      }),
+      listConversationOrigins(env.DB, id)
+    ]);
+    
+    const html = conversationsPage(instanceData.instance, {
+      conversations,
+      total,
+      origins,
+      filters,
+      pageSize: CONVERSATIONS_PAGE_SIZE
+    });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Conversations error:', error);
+    return new Response('<h1>Error loading conversations</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Full transcript of a single conversation
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Transcript page HTML
+ */
+export async function handleAdminConversationTranscript(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id, conversationId } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    const transcript = instanceData
+      ? await getConversation(env.DB, id, conversationId)
+      : null;
+    
+    if (!transcript) {
+      return new Response('Conversation not found', { status: 404 });
+    }
+    
+    // Show the handoff panel when the instance allows handoffs or the session already had one
+    const handoff = await getHandoff(env.DB, id, transcript.conversation.session_id);
+    const handoffPanel = instanceData.handoffSettings?.enabled || handoff
+      ? {
+          status: handoff?.status || 'none',
+          requestedBy: handoff?.requested_by || null,
+          reason: handoff?.reason || null
+        }
+      : null;
+    
+    const html = transcriptPage(instanceData.instance, transcript.conversation, transcript.messages, handoffPanel);
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Transcript error:', error);
+    return new Response('<h1>Error loading transcript</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Export conversations matching the current filters as CSV or JSON
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Export file download
+ */
+export async function handleAdminConversationExport(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  const url = new URL(request.url);
+  const format = url.searchParams.get('format') || 'csv';
+  
+  if (!['csv', 'json'].includes(format)) {
+    return createErrorResponse('Format must be csv or json', 400, createAdminResponseHeaders());
+  }
+  
+  try {
+    const filters = parseConversationFilters(url);
+    const rows = await getConversationExportRows(env.DB, id, filters);
+    const filename = `${id}-conversations-${new Date().toISOString().slice(0, 10)}.${format}`;
+    
+    const body = format === 'csv'
+      ? generateCsv(rows, EXPORT_COLUMNS)
+      : JSON.stringify({ instanceId: id, filters, conversations: groupExportRows(rows) }, null, 2);
+    
+    return new Response(body, {
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Conversation export error:', error);
+    return createErrorResponse('Failed to export conversations', 500, createAdminResponseHeaders());
+  }
+}
+
+/**
+ * Leads captured by an instance's pre-chat form
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Leads page HTML
+ */
+export async function handleAdminLeads(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const page = Math.max(1, parseInt(new URL(request.url).searchParams.get('page')) || 1);
+    const { leads, total } = await listLeads(env.DB, id, {
+      limit: LEADS_PAGE_SIZE,
+      offset: (page - 1) * LEADS_PAGE_SIZE
+    });
+    
+    const html = leadsPage(instanceData.instance, {
+      leads,
+      total,
+      fields: parseStoredLeadFields(instanceData.leadForm?.fields),
+      page,
+      pageSize: LEADS_PAGE_SIZE
+    });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Leads error:', error);
+    return new Response('<h1>Error loading leads</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Messages visitors left through an instance's offline form
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Offline messages page HTML
+ */
+export async function handleAdminOfflineMessages(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const page = Math.max(1, parseInt(new URL(request.url).searchParams.get('page')) || 1);
+    const { messages, total } = await listOfflineMessages(env.DB, id, {
+      limit: OFFLINE_MESSAGES_PAGE_SIZE,
+      offset: (page - 1) * OFFLINE_MESSAGES_PAGE_SIZE
+    });
+    
+    const html = offlineMessagesPage(instanceData.instance, {
+      messages,
+      total,
+      page,
+      pageSize: OFFLINE_MESSAGES_PAGE_SIZE
+    });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Offline messages error:', error);
+    return new Response('<h1>Error loading offline messages</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Compare an instance's experiment variants
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Experiment results page HTML
+ */
+export async function handleAdminExperiments(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const variants = (instanceData.experimentVariants || []).map(parseStoredVariant);
+    const results = await getExperimentResults(env.DB, id, variants);
+    
+    const html = experimentsPage(instanceData.instance, { variants, results });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Experiments error:', error);
+    return new Response('<h1>Error loading experiments</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Export an instance's leads as CSV
+ * Custom form fields become extra columns after name and email
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} CSV file download
+ */
+export async function handleAdminLeadExport(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return createErrorResponse('Instance not found', 404, createAdminResponseHeaders());
+    }
+    
+    const fields = parseStoredLeadFields(instanceData.leadForm?.fields);
+    const { rows, columns } = await getLeadExportRows(env.DB, id, fields);
+    const filename = `${id}-leads-${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    return new Response(generateCsv(rows, columns), {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Lead export error:', error);
+    return createErrorResponse('Failed to export leads', 500, createAdminResponseHeaders());
+  }
+}
+
+/**
+ * Handle webhook delivery log page
+ * @param {Request} request - HTTP request with id param and optional status/page query
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Webhook deliveries page HTML
+ */
+export async function handleAdminWebhookDeliveries(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const params = new URL(request.url).searchParams;
+    const status = ['delivered', 'failed'].includes(params.get('status')) ? params.get('status') : '';
+    const page = Math.max(1, parseInt(params.get('page')) || 1);
+    const { deliveries, total } = await listDeliveries(env.DB, id, {
+      status,
+      limit: WEBHOOK_DELIVERIES_PAGE_SIZE,
+      offset: (page - 1) * WEBHOOK_DELIVERIES_PAGE_SIZE
+    });
+    
+    const html = webhooksPage(instanceData.instance, {
+      deliveries,
+      total,
+      status,
+      page,
+      pageSize: WEBHOOK_DELIVERIES_PAGE_SIZE
+    });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Webhook deliveries error:', error);
+    return new Response('<h1>Error loading webhook deliveries</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Handle guardrail log page
+ * @param {Request} request - HTTP request with id param and optional direction/page query
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Blocked messages page HTML
+ */
+export async function handleAdminGuardrailEvents(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return new Response('Instance not found', { status: 404 });
+    }
+    
+    const params = new URL(request.url).searchParams;
+    const direction = ['user', 'reply'].includes(params.get('direction')) ? params.get('direction') : '';
+    const page = Math.max(1, parseInt(params.get('page')) || 1);
+    const { events, total } = await listGuardrailEvents(env.DB, id, {
+      direction,
+      limit: GUARDRAIL_EVENTS_PAGE_SIZE,
+      offset: (page - 1) * GUARDRAIL_EVENTS_PAGE_SIZE
+    });
+    
+    const html = guardrailsPage(instanceData.instance, {
+      events,
+      total,
+      direction,
+      page,
+      pageSize: GUARDRAIL_EVENTS_PAGE_SIZE
+    });
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Guardrail events error:', error);
+    return new Response('<h1>Error loading blocked messages</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Test a visitor's IP, country and ASN against an instance's network rules
+ * Body: { ip, country, asn, rules }. Rules are the unsaved form lists keyed by field
+ * (saved rules are used when omitted); an empty ip, country and asn tests the caller's own connection
+ * @param {Request} request - HTTP request with id param
+ * @param {Object} env - Environment bindings
+ * @returns {Response} JSON response with { allowed, rule, reason, network }
+ */
+export async function handleAdminNetworkRuleTest(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { success, data, error } = await parseJsonBody(request);
+  if (!success) {
+    return createErrorResponse(error, 400, createAdminResponseHeaders());
+  }
+  
+  const ip = typeof data.ip === 'string' ? data.ip.trim() : '';
+  if (ip && !parseIpAddress(ip)) {
+    return createErrorResponse('Enter a valid IPv4 or IPv6 address', 400, createAdminResponseHeaders());
+  }
+  
+  const { id } = request.params;
+  
+  try {
+    const instanceData = await getInstanceById(env.DB, id);
+    if (!instanceData) {
+      return createErrorResponse('Instance not found', 404, createAdminResponseHeaders());
+    }
+    
+    const rules = parseStoredNetworkRules(data.rules || instanceData.networkRules);
+    const network = ip || data.country || data.asn
+      ? normalizeNetwork({ ip, country: data.country, asn: data.asn })
+      : getRequestNetwork(request);
+    
+    const result = evaluateNetworkRules(rules, network);
+    
+    return createSuccessResponse({ ...result, network }, 200, createAdminResponseHeaders());
+  } catch (error) {
+    console.error('[Admin] Network rule test error:', error);
+    return createErrorResponse('Failed to test network rules', 500, createAdminResponseHeaders());
+  }
+}
+
+/**
+ * Handle handoff inbox page listing open handoffs across all instances
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Inbox page HTML
+ */
+export async function handleAdminInbox(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  try {
+    const handoffs = await listOpenHandoffs(env.DB);
+    const html = inboxPage(handoffs);
+    
+    return new Response(html, {
+      headers: { 
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Inbox error:', error);
+    return new Response('<h1>Error loading inbox</h1>', {
+      status: 500,
+      headers: {
+        'Content-Type': 'text/html',
+        ...securityHeaders
+      }
+    });
+  }
+}
+
+/**
+ * Take over or resolve a conversation
+ * Body: { action: 'accept' | 'resolve' }
+ * @param {Request} request - HTTP request with id and conversationId params
+ * @param {Object} env - Environment bindings
+ * @returns {Response} JSON response with the new status
+ */
+export async function handleAdminHandoffAction(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { success, data, error } = await parseJsonBody(request);
+  if (!success) {
+    return createErrorResponse(error, 400, createAdminResponseHeaders());
+  }
+  
+  const statuses = { accept: 'active', resolve: 'resolved' };
+  const status = statuses[data.action];
+  if (!status) {
+    return createErrorResponse('Action must be accept or resolve', 400, createAdminResponseHeaders());
+  }
+  
+  const { id, conversationId } = request.params;
+  
+  try {
+    const transcript = await getConversation(env.DB, id, conversationId);
+    if (!transcript) {
+      return createErrorResponse('Conversation not found', 404, createAdminResponseHeaders());
+    }
+    
+    await setHandoffStatus(env.DB, id, transcript.conversation.session_id, status);
+    
+    return createSuccessResponse({ status }, 200, createAdminResponseHeaders());
+  } catch (error) {
+    console.error('[Admin] Handoff action error:', error);
+    return createErrorResponse('Failed to update handoff', 500, createAdminResponseHeaders());
+  }
+}
+
+/**
+ * Send a staff reply to the visitor; the widget picks it up on its next poll
+ * Body: { content }
+ * @param {Request} request - HTTP request with id and conversationId params
+ * @param {Object} env - Environment bindings
+ * @returns {Response} JSON response
+ */
+export async function handleAdminStaffReply(request, env) {
+  // Check authentication
+  const authResponse = await requireAuth(request, env);
+  if (authResponse) {
+    return authResponse;
+  }
+  
+  const { success, data, error } = await parseJsonBody(request);
+  if (!success) {
+    return createErrorResponse(error, 400, createAdminResponseHeaders());
+  }
+  
+  const content = typeof data.content === 'string' ? data.content.trim() : '';
+  if (!content) {
+    return createErrorResponse('Reply content is required', 400, createAdminResponseHeaders());
+  }
+  
+  if (content.length > MAX_STAFF_MESSAGE_LENGTH) {
+    return createErrorResponse(`Reply must be ${MAX_STAFF_MESSAGE_LENGTH} characters or less`, 400, createAdminResponseHeaders());
+  }
+  
+  const { id, conversationId } = request.params;
+  
+  try {
+    const transcript = await getConversation(env.DB, id, conversationId);
+    if (!transcript) {
+      return createErrorResponse('Conversation not found', 404, createAdminResponseHeaders());
+    }
+    
+    await saveStaffMessage(env.DB, {
+      instanceId: id,
+      sessionId: transcript.conversation.session_id,
+      content
+    });
+    
+    return createSuccessResponse({}, 201, createAdminResponseHeaders());
+  } catch (error) {
+    console.error('[Admin] Staff reply error:', error);
+    return createErrorResponse('Failed to send reply', 500, createAdminResponseHeaders());
+  }
+}
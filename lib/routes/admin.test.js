@@ -18,6 +18,36 @@ const mockSecurityHeaders = {
 const mockLoginPage = jest.fn();
 const mockDashboardPage = jest.fn();
 const mockGetAllInstances = jest.fn();
+const mockGetInstanceById = jest.fn();
+const mockConversationsPage = jest.fn(() => '<html>Conversations</html>');
+const mockTranscriptPage = jest.fn(() => '<html>Transcript</html>');
+const mockListConversations = jest.fn();
+const mockListConversationOrigins = jest.fn();
+const mockGetConversation = jest.fn();
+const mockGetConversationExportRows = jest.fn();
+const mockGroupExportRows = jest.fn((rows) => rows);
+const mockParseConversationFilters = jest.fn(() => ({ search: '', from: '', to: '', origin: '', page: 1 }));
+const mockGenerateCsv = jest.fn(() => 'conversation_id,role\r\n1,user');
+const mockLeadsPage = jest.fn(() => '<html>Leads</html>');
+const mockListLeads = jest.fn();
+const mockGetLeadExportRows = jest.fn();
+const mockParseStoredLeadFields = jest.fn(() => [{ key: 'name', label: 'Name', type: 'text', required: true }]);
+const mockOfflineMessagesPage = jest.fn(() => '<html>Offline Messages</html>');
+const mockListOfflineMessages = jest.fn();
+const mockExperimentsPage = jest.fn(() => '<html>Experiments</html>');
+const mockGetExperimentResults = jest.fn();
+const mockWebhooksPage = jest.fn(() => '<html>Webhooks</html>');
+const mockListDeliveries = jest.fn();
+const mockGuardrailsPage = jest.fn(() => '<html>Guardrails</html>');
+const mockListGuardrailEvents = jest.fn();
+const mockInboxPage = jest.fn(() => '<html>Inbox</html>');
+const mockGetHandoff = jest.fn();
+const mockSetHandoffStatus = jest.fn();
+const mockSaveStaffMessage = jest.fn();
+const mockListOpenHandoffs = jest.fn();
+const mockGetSatisfactionByInstance = jest.fn();
+const mockListLowestRatedAnswers = jest.fn();
+const mockListQuotaUsage = jest.fn(() => Promise.resolve([]));
 const mockRequireAuth = jest.fn();
 const mockParseJsonBody = jest.fn();
 const mockCreateAdminResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
@@ -42,12 +72,70 @@ jest.unstable_mockModule('../security.js', () => ({
 }));
 
 jest.unstable_mockModule('../database.js', () => ({
-  getAllInstances: mockGetAllInstances
+  getAllInstances: mockGetAllInstances,
+  getInstanceById: mockGetInstanceById
+}));
+
+jest.unstable_mockModule('../conversations.js', () => ({
+  listConversations: mockListConversations,
+  listConversationOrigins: mockListConversationOrigins,
+  getConversation: mockGetConversation,
+  getConversationExportRows: mockGetConversationExportRows,
+  groupExportRows: mockGroupExportRows
+}));
+
+jest.unstable_mockModule('../leads.js', () => ({
+  listLeads: mockListLeads,
+  getLeadExportRows: mockGetLeadExportRows,
+  parseStoredLeadFields: mockParseStoredLeadFields
+}));
+
+jest.unstable_mockModule('../business-hours.js', () => ({
+  listOfflineMessages: mockListOfflineMessages
+}));
+
+jest.unstable_mockModule('../experiments.js', () => ({
+  parseStoredVariant: (row) => ({ key: row.variant_key, weight: row.weight }),
+  getExperimentResults: mockGetExperimentResults
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  listDeliveries: mockListDeliveries
+}));
+
+jest.unstable_mockModule('../guardrails.js', () => ({
+  listGuardrailEvents: mockListGuardrailEvents
+}));
+
+jest.unstable_mockModule('../feedback.js', () => ({
+  getSatisfactionByInstance: mockGetSatisfactionByInstance,
+  listLowestRatedAnswers: mockListLowestRatedAnswers
+}));
+
+jest.unstable_mockModule('../quotas.js', () => ({
+  listQuotaUsage: mockListQuotaUsage,
+  getQuotaPeriods: () => ({ day: '2026-10-19', month: '2026-10' })
+}));
+
+jest.unstable_mockModule('../handoff.js', () => ({
+  getHandoff: mockGetHandoff,
+  setHandoffStatus: mockSetHandoffStatus,
+  saveStaffMessage: mockSaveStaffMessage,
+  listOpenHandoffs: mockListOpenHandoffs,
+  MAX_STAFF_MESSAGE_LENGTH: 4000
 }));
 
 jest.unstable_mockModule('../templates/admin-pages.js', () => ({
   loginPage: mockLoginPage,
-  dashboardPage: mockDashboardPage
+  dashboardPage: mockDashboardPage,
+  conversationsPage: mockConversationsPage,
+  transcriptPage: mockTranscriptPage,
+  leadsPage: mockLeadsPage,
+  offlineMessagesPage: mockOfflineMessagesPage,
+  experimentsPage: mockExperimentsPage,
+  webhooksPage: mockWebhooksPage,
+  guardrailsPage: mockGuardrailsPage,
+  inboxPage: mockInboxPage
 }));
 
 jest.unstable_mockModule('../middleware/admin-validation.js', () => ({
@@ -58,7 +146,9 @@ jest.unstable_mockModule('../middleware/admin-validation.js', () => ({
 
 jest.unstable_mockModule('../services/admin-service.js', () => ({
   createErrorResponse: mockCreateErrorResponse,
-  createSuccessResponse: mockCreateSuccessResponse
+  createSuccessResponse: mockCreateSuccessResponse,
+  parseConversationFilters: mockParseConversationFilters,
+  generateCsv: mockGenerateCsv
 }));
 
 
@@ -68,7 +158,20 @@ const {
   handleAdminLogin, 
   handleAdminLogout,
   handleAdminDashboard,
-  handleAdminJs 
+  handleAdminJs,
+  handleAdminConversations,
+  handleAdminConversationTranscript,
+  handleAdminConversationExport,
+  handleAdminLeads,
+  handleAdminLeadExport,
+  handleAdminOfflineMessages,
+  handleAdminExperiments,
+  handleAdminWebhookDeliveries,
+  handleAdminGuardrailEvents,
+  handleAdminNetworkRuleTest,
+  handleAdminInbox,
+  handleAdminHandoffAction,
+  handleAdminStaffReply
 } = await import('./admin.js');
 
 describe('Admin Routes', () => {
@@ -241,7 +344,14 @@ describe('Admin Routes', () => {
         }
       ];
       
+      const satisfaction = { 'test-1': { up: 3, down: 1, rate: 75 } };
+      const lowestRated = [{ instance_name: 'Test Instance', content: 'Wrong answer', up_count: 0, down_count: 2 }];
+      
       mockGetAllInstances.mockResolvedValue(mockInstances);
+      mockGetSatisfactionByInstance.mockResolvedValue(satisfaction);
+      mockListLowestRatedAnswers.mockResolvedValue(lowestRated);
+      const quotaUsage = [{ instance_id: 'test-1', messages_per_day: 100, day_messages: 12 }];
+      mockListQuotaUsage.mockResolvedValue(quotaUsage);
       mockDashboardPage.mockReturnValue('<html>Dashboard</html>');
       
       const response = await handleAdminDashboard(mockRequest, mockEnv);
@@ -249,7 +359,8 @@ describe('Admin Routes', () => {
       expect(response.status).toBe(200);
       expect(response.headers.get('Content-Type')).toBe('text/html');
       expect(mockRequireAuth).toHaveBeenCalledWith(mockRequest, mockEnv);
-      expect(mockDashboardPage).toHaveBeenCalledWith(mockInstances);
+      expect(mockListQuotaUsage).toHaveBeenCalledWith(mockEnv.DB, { day: '2026-10-19', month: '2026-10' });
+      expect(mockDashboardPage).toHaveBeenCalledWith(mockInstances, { satisfaction, lowestRated, quotaUsage });
     });
 
     test('should return auth response for invalid session', async () => {
@@ -316,4 +427,555 @@ describe('Admin Routes', () => {
       expect(js).toContain('Admin JavaScript not deployed');
     });
   });
-});
\ No newline at end of file
+
+  describe('handleAdminConversations', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/conversations?page=2';
+    });
+
+    test('should render conversations page with filters and pagination', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockParseConversationFilters.mockReturnValue({ search: 'refund', from: '', to: '', origin: '', page: 2 });
+      mockListConversations.mockResolvedValue({ conversations: [{ id: 1 }], total: 51 });
+      mockListConversationOrigins.mockResolvedValue(['https://example.com']);
+      
+      const response = await handleAdminConversations(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/html');
+      expect(mockListConversations).toHaveBeenCalledWith(
+        mockEnv.DB,
+        'test-instance',
+        expect.objectContaining({ search: 'refund' }),
+        { limit: 50, offset: 50 }
+      );
+      expect(mockConversationsPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        expect.objectContaining({ total: 51, origins: ['https://example.com'], pageSize: 50 })
+      );
+    });
+
+    test('should require authentication', async () => {
+      const mockAuthResponse = new Response('Unauthorized', { status: 302 });
+      mockRequireAuth.mockResolvedValue(mockAuthResponse);
+      
+      const response = await handleAdminConversations(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockAuthResponse);
+      expect(mockListConversations).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown instance', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminConversations(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminConversationTranscript', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance', conversationId: '7' };
+    });
+
+    test('should render transcript page', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockGetConversation.mockResolvedValue({
+        conversation: { id: 7 },
+        messages: [{ role: 'user', content: 'Hi' }]
+      });
+      
+      const response = await handleAdminConversationTranscript(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockGetConversation).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', '7');
+      expect(mockTranscriptPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        { id: 7 },
+        [{ role: 'user', content: 'Hi' }],
+        null
+      );
+    });
+
+    test('should pass the handoff panel when the instance allows handoffs', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({
+        instance: { id: 'test-instance', name: 'Test' },
+        handoffSettings: { enabled: 1 }
+      });
+      mockGetConversation.mockResolvedValue({
+        conversation: { id: 7, session_id: 'sess_1' },
+        messages: []
+      });
+      mockGetHandoff.mockResolvedValue({ status: 'requested', requested_by: 'visitor', reason: 'Billing' });
+      
+      await handleAdminConversationTranscript(mockRequest, mockEnv);
+      
+      expect(mockGetHandoff).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', 'sess_1');
+      expect(mockTranscriptPage).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Object),
+        [],
+        { status: 'requested', requestedBy: 'visitor', reason: 'Billing' }
+      );
+    });
+
+    test('should return 404 when conversation does not exist', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockGetConversation.mockResolvedValue(null);
+      
+      const response = await handleAdminConversationTranscript(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminConversationExport', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetConversationExportRows.mockResolvedValue([{ conversation_id: 1, role: 'user' }]);
+    });
+
+    test('should export CSV by default', async () => {
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/conversations/export';
+      
+      const response = await handleAdminConversationExport(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+      expect(response.headers.get('Content-Disposition')).toMatch(/attachment; filename="test-instance-conversations-.*\.csv"/);
+      expect(await response.text()).toBe('conversation_id,role\r\n1,user');
+    });
+
+    test('should export JSON when requested', async () => {
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/conversations/export?format=json';
+      
+      const response = await handleAdminConversationExport(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.headers.get('Content-Type')).toBe('application/json');
+      expect(data.instanceId).toBe('test-instance');
+      expect(data.conversations).toEqual([{ conversation_id: 1, role: 'user' }]);
+    });
+
+    test('should reject unknown formats', async () => {
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/conversations/export?format=xml';
+      
+      const response = await handleAdminConversationExport(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(400);
+      expect(mockGetConversationExportRows).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminLeads', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/leads?page=3';
+    });
+
+    test('should render leads page with the instance fields', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({
+        instance: { id: 'test-instance', name: 'Test' },
+        leadForm: { enabled: 1, fields: '[{"key":"name","label":"Name","type":"text"}]' }
+      });
+      mockListLeads.mockResolvedValue({ leads: [{ id: 1 }], total: 120 });
+      
+      const response = await handleAdminLeads(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/html');
+      expect(mockListLeads).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', { limit: 50, offset: 100 });
+      expect(mockParseStoredLeadFields).toHaveBeenCalledWith('[{"key":"name","label":"Name","type":"text"}]');
+      expect(mockLeadsPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        expect.objectContaining({ total: 120, page: 3, pageSize: 50 })
+      );
+    });
+
+    test('should require authentication', async () => {
+      const mockAuthResponse = new Response('Unauthorized', { status: 302 });
+      mockRequireAuth.mockResolvedValue(mockAuthResponse);
+      
+      const response = await handleAdminLeads(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockAuthResponse);
+      expect(mockListLeads).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown instance', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminLeads(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminOfflineMessages', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/offline-messages?page=2';
+    });
+
+    test('should render the offline messages page', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockListOfflineMessages.mockResolvedValue({ messages: [{ id: 1 }], total: 60 });
+      
+      const response = await handleAdminOfflineMessages(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockListOfflineMessages).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', { limit: 50, offset: 50 });
+      expect(mockOfflineMessagesPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        { messages: [{ id: 1 }], total: 60, page: 2, pageSize: 50 }
+      );
+    });
+
+    test('should require authentication', async () => {
+      const mockAuthResponse = new Response('Unauthorized', { status: 302 });
+      mockRequireAuth.mockResolvedValue(mockAuthResponse);
+      
+      const response = await handleAdminOfflineMessages(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockAuthResponse);
+      expect(mockListOfflineMessages).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown instance', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminOfflineMessages(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminExperiments', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+    });
+
+    test('should render results for the configured variants', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({
+        instance: { id: 'test-instance', name: 'Test' },
+        experimentVariants: [{ variant_key: 'control', weight: 1 }]
+      });
+      mockGetExperimentResults.mockResolvedValue([{ key: 'control', conversations: 3 }]);
+      
+      const response = await handleAdminExperiments(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockGetExperimentResults).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', [{ key: 'control', weight: 1 }]);
+      expect(mockExperimentsPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        { variants: [{ key: 'control', weight: 1 }], results: [{ key: 'control', conversations: 3 }] }
+      );
+    });
+
+    test('should return 404 for unknown instance', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminExperiments(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+      expect(mockGetExperimentResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminLeadExport', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/leads/export';
+      mockRequireAuth.mockResolvedValue(null);
+    });
+
+    test('should export leads as CSV with the export columns', async () => {
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance' }, leadForm: null });
+      mockGetLeadExportRows.mockResolvedValue({ rows: [{ name: 'Ada' }], columns: ['name'] });
+      mockGenerateCsv.mockReturnValueOnce('name\r\nAda');
+      
+      const response = await handleAdminLeadExport(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/csv; charset=utf-8');
+      expect(response.headers.get('Content-Disposition')).toMatch(/attachment; filename="test-instance-leads-.*\.csv"/);
+      expect(mockGenerateCsv).toHaveBeenCalledWith([{ name: 'Ada' }], ['name']);
+      expect(await response.text()).toBe('name\r\nAda');
+    });
+
+    test('should return 404 for unknown instance', async () => {
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminLeadExport(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+      expect(mockGetLeadExportRows).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminWebhookDeliveries', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/webhooks?status=failed&page=2';
+    });
+
+    test('should render the delivery log with the status filter', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockListDeliveries.mockResolvedValue({ deliveries: [{ id: 'evt_1' }], total: 60 });
+      
+      const response = await handleAdminWebhookDeliveries(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/html');
+      expect(mockListDeliveries).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', {
+        status: 'failed',
+        limit: 50,
+        offset: 50
+      });
+      expect(mockWebhooksPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        expect.objectContaining({ total: 60, status: 'failed', page: 2, pageSize: 50 })
+      );
+    });
+
+    test('should ignore unknown status filters', async () => {
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/webhooks?status=bogus';
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockListDeliveries.mockResolvedValue({ deliveries: [], total: 0 });
+      
+      await handleAdminWebhookDeliveries(mockRequest, mockEnv);
+      
+      expect(mockListDeliveries).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', expect.objectContaining({ status: '' }));
+    });
+
+    test('should require authentication', async () => {
+      const mockAuthResponse = new Response('Unauthorized', { status: 302 });
+      mockRequireAuth.mockResolvedValue(mockAuthResponse);
+      
+      const response = await handleAdminWebhookDeliveries(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockAuthResponse);
+      expect(mockListDeliveries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminGuardrailEvents', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/guardrails?direction=reply&page=3';
+    });
+
+    test('should render the blocked messages with the direction filter', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockListGuardrailEvents.mockResolvedValue({ events: [{ id: 1 }], total: 120 });
+      
+      const response = await handleAdminGuardrailEvents(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockListGuardrailEvents).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', {
+        direction: 'reply',
+        limit: 50,
+        offset: 100
+      });
+      expect(mockGuardrailsPage).toHaveBeenCalledWith(
+        { id: 'test-instance', name: 'Test' },
+        expect.objectContaining({ total: 120, direction: 'reply', page: 3, pageSize: 50 })
+      );
+    });
+
+    test('should ignore unknown direction filters', async () => {
+      mockRequest.url = 'https://worker.test/admin/instances/test-instance/guardrails?direction=bogus';
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({ instance: { id: 'test-instance', name: 'Test' } });
+      mockListGuardrailEvents.mockResolvedValue({ events: [], total: 0 });
+      
+      await handleAdminGuardrailEvents(mockRequest, mockEnv);
+      
+      expect(mockListGuardrailEvents).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', expect.objectContaining({ direction: '' }));
+    });
+
+    test('should return 404 for unknown instances', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminGuardrailEvents(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+      expect(mockListGuardrailEvents).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminInbox', () => {
+    test('should render open handoffs', async () => {
+      mockRequireAuth.mockResolvedValue(null);
+      mockListOpenHandoffs.mockResolvedValue([{ id: 1, status: 'requested' }]);
+      
+      const response = await handleAdminInbox(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/html');
+      expect(mockInboxPage).toHaveBeenCalledWith([{ id: 1, status: 'requested' }]);
+    });
+
+    test('should require authentication', async () => {
+      const mockAuthResponse = new Response('Unauthorized', { status: 302 });
+      mockRequireAuth.mockResolvedValue(mockAuthResponse);
+      
+      const response = await handleAdminInbox(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockAuthResponse);
+      expect(mockListOpenHandoffs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAdminNetworkRuleTest', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetInstanceById.mockResolvedValue({
+        instance: { id: 'test-instance' },
+        networkRules: { deny_asns: '[16509]', allow_countries: null }
+      });
+    });
+
+    test('should test the submitted rules', async () => {
+      mockParseJsonBody.mockResolvedValue({
+        success: true,
+        data: { ip: '203.0.113.7', country: 'fr', asn: '', rules: { allow_countries: ['US', 'CA'] } }
+      });
+      
+      const response = await handleAdminNetworkRuleTest(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data).toEqual({
+        success: true,
+        allowed: false,
+        rule: null,
+        reason: 'Country FR is not in the allowed countries',
+        network: { ip: '203.0.113.7', country: 'FR', asn: null }
+      });
+    });
+
+    test('should use the saved rules and the caller\'s connection by default', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: {} });
+      mockRequest.headers.get.mockImplementation((name) => ({
+        'CF-Connecting-IP': '198.51.100.20',
+        'CF-IPCountry': 'US'
+      })[name] || null);
+      mockRequest.cf = { asn: 16509 };
+      
+      const response = await handleAdminNetworkRuleTest(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data).toMatchObject({
+        allowed: false,
+        rule: 'AS16509',
+        network: { ip: '198.51.100.20', country: 'US', asn: 16509 }
+      });
+    });
+
+    test('should reject invalid IP addresses', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { ip: '300.1.1.1' } });
+      
+      const response = await handleAdminNetworkRuleTest(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(400);
+      expect(mockGetInstanceById).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown instances', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { ip: '203.0.113.7' } });
+      mockGetInstanceById.mockResolvedValue(null);
+      
+      const response = await handleAdminNetworkRuleTest(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminHandoffAction', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance', conversationId: '7' };
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetConversation.mockResolvedValue({ conversation: { id: 7, session_id: 'sess_1' }, messages: [] });
+    });
+
+    test('should take over the conversation', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { action: 'accept' } });
+      
+      const response = await handleAdminHandoffAction(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ success: true, status: 'active' });
+      expect(mockSetHandoffStatus).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', 'sess_1', 'active');
+    });
+
+    test('should reject unknown actions', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { action: 'delete' } });
+      
+      const response = await handleAdminHandoffAction(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(400);
+      expect(mockSetHandoffStatus).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown conversations', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { action: 'resolve' } });
+      mockGetConversation.mockResolvedValue(null);
+      
+      const response = await handleAdminHandoffAction(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('handleAdminStaffReply', () => {
+    beforeEach(() => {
+      mockRequest.params = { id: 'test-instance', conversationId: '7' };
+      mockRequireAuth.mockResolvedValue(null);
+      mockGetConversation.mockResolvedValue({ conversation: { id: 7, session_id: 'sess_1' }, messages: [] });
+    });
+
+    test('should store the staff reply for the session', async () => {
+      mockParseJsonBody.mockResolvedValue({ success: true, data: { content: '  Hi, I can help  ' } });
+      
+      const response = await handleAdminStaffReply(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(201);
+      expect(mockSaveStaffMessage).toHaveBeenCalledWith(mockEnv.DB, {
+        instanceId: 'test-instance',
+        sessionId: 'sess_1',
+        content: 'Hi, I can help'
+      });
+    });
+
+    test('should reject empty and oversized replies', async () => {
+      mockParseJsonBody.mockResolvedValueOnce({ success: true, data: { content: '   ' } });
+      expect((await handleAdminStaffReply(mockRequest, mockEnv)).status).toBe(400);
+      
+      mockParseJsonBody.mockResolvedValueOnce({ success: true, data: { content: 'x'.repeat(4001) } });
+      expect((await handleAdminStaffReply(mockRequest, mockEnv)).status).toBe(400);
+      
+      expect(mockSaveStaffMessage).not.toHaveBeenCalled();
+    });
+  });
+});
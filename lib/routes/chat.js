@@ -10,11 +10,46 @@ import {
 } from '../security.js';
 import { getInstanceConfig } from '../database.js';
 import {
-  checkAndUpdateRateLimit,
+  enforceRateLimit,
   generateRateLimitKeys,
   extractClientId,
   createRateLimitErrorResponse
 } from '../rate-limiter.js';
+import { relayUpstreamStream } from '../streaming.js';
+import { buildBackends, callUpstream, resolveUpstreamSettings } from '../upstream.js';
+import { validateMessageAttachments, getMaxRequestBytes, MAX_IMAGE_REQUEST_BYTES } from '../attachments.js';
+import { injectPageContext } from '../page-context.js';
+import {
+  saveExchange,
+  extractMessageText,
+  extractReplyText,
+  getLatestUserMessage
+} from '../conversations.js';
+import { dispatchWebhookEvent } from '../webhooks.js';
+import {
+  getHandoff,
+  isHandoffOpen,
+  requestHandoff,
+  extractHandoffRequest
+} from '../handoff.js';
+import { extractSuggestions } from '../quick-replies.js';
+import { redactMessages, describeRejection, recordRedactionCounts } from '../redaction.js';
+import { findGuardrailMatch, logGuardrailEvent } from '../guardrails.js';
+import {
+  hasQuotas,
+  getQuotaPeriods,
+  getQuotaUsage,
+  findExceededQuota,
+  recordQuotaUsage,
+  findQuotaCrossings,
+  estimateTokens
+} from '../quotas.js';
+import { hasNetworkRules, getRequestNetwork, evaluateNetworkRules } from '../network-rules.js';
+import { getPublicChallenge, checkChallenge } from '../challenge.js';
+import { verifyIdentityToken, injectIdentity } from '../identity.js';
+import { getBusinessHoursStatus, getPublicBusinessHours } from '../business-hours.js';
+import { getInstanceState, getPublicInstanceState } from '../instance-state.js';
+import { assignVariant, applyVariant } from '../experiments.js';
 
 /**
  * Get instance information endpoint
@@ -50,12 +85,25 @@ export async function handleGetInstance(request, env) {
       });
     }
     
+    // Sessions in an experiment see their variant's welcome text and starters
+    const sessionId = new URL(request.url).searchParams.get('sessionId');
+    const variant = assignVariant(instance.experimentVariants, sessionId);
+    const { welcomeMessage, starters } = applyVariant(instance, variant);
+    
     // Return limited instance info for public use
     return new Response(JSON.stringify({
       id: instance.id,
       name: instance.name,
       theme: instance.theme,
-      features: instance.features
+      features: instance.features,
+      welcomeMessage,
+      starters,
+      locale: instance.locale,
+      leadForm: instance.leadForm,
+      handoff: instance.handoff,
+      challenge: getPublicChallenge(instance.challenge, env),
+      businessHours: getPublicBusinessHours(instance.businessHours),
+      state: getPublicInstanceState(instance.availability)
     }), {
       status: 200,
       headers: responseHeaders
@@ -71,32 +119,31 @@ export async function handleGetInstance(request, env) {
 
 /**
  * Handle chat endpoint
+ * When the request body sets `stream: true`, TypingMind is asked for a streamed
+ * reply which is relayed to the widget as server-sent events
  * @param {Request} request - HTTP request
  * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
  * @returns {Response} Chat response or error
  */
-export async function handleChat(request, env) {
+export async function handleChat(request, env, ctx) {
   const origin = request.headers.get('Origin') || '*';
   const responseHeaders = createResponseHeaders(origin);
   const startTime = Date.now(); // Track start time for metrics
   let instanceId = null; // Store instanceId for error tracking
   
   try {
-    // Check Content-Length header for request size limit (1MB)
-    const contentLength = request.headers.get('Content-Length');
-    if (contentLength && parseInt(contentLength) > 1048576) {
-      return new Response(JSON.stringify({ 
-        error: 'Request too large',
-        message: 'Request body exceeds 1MB limit'
-      }), {
-        status: 413,
-        headers: responseHeaders
-      });
+    // Check Content-Length against the largest body any instance accepts; the instance's own
+    // limit (1MB, more when it accepts images) is checked once its config is loaded
+    const contentLength = parseInt(request.headers.get('Content-Length') || '0');
+    if (contentLength > MAX_IMAGE_REQUEST_BYTES) {
+      return createRequestTooLargeResponse(MAX_IMAGE_REQUEST_BYTES, responseHeaders);
     }
     
     const body = await request.json();
     instanceId = body.instanceId; // Store for error tracking
-    const { messages, sessionId } = body;
+    const { messages, sessionId, context } = body;
+    const wantsStream = body.stream === true;
     
     if (!instanceId || !messages) {
       return new Response(JSON.stringify({ error: 'Missing required fields: instanceId and messages' }), {
@@ -141,22 +188,31 @@ export async function handleChat(request, env) {
       });
     }
     
+    // Hold the body to the instance's own limit
+    const maxRequestBytes = getMaxRequestBytes({ imageUpload: instanceConfig.features?.imageUpload });
+    if (contentLength > maxRequestBytes) {
+      return createRequestTooLargeResponse(maxRequestBytes, responseHeaders);
+    }
+    
     // Validate domain
     if (!await validateDomain(request, instanceConfig)) {
       console.error('[Chat] Domain validation failed:', {
         origin: request.headers.get('Origin'),
         referer: request.headers.get('Referer'),
         allowedDomains: instanceConfig.allowedDomains,
+        allowedPaths: instanceConfig.allowedPaths,
         instanceId
       });
       // Get request details for better error message
       const origin = request.headers.get('Origin');
       const referer = request.headers.get('Referer');
       const requestDomain = origin || referer || 'Unknown domain';
+      const allowedPaths = instanceConfig.allowedPaths || [];
+      const pathDetails = allowedPaths.length > 0 ? `, allowed paths: ${allowedPaths.join(', ')}` : '';
       
       return new Response(JSON.stringify({ 
         error: 'Domain not authorized',
-        details: `Domain ${requestDomain} is not in the allowed list for instance '${instanceId}'. Allowed domains: ${instanceConfig.allowedDomains.join(', ')}`,
+        details: `Domain ${requestDomain} is not in the allowed list for instance '${instanceId}'. Allowed domains: ${instanceConfig.allowedDomains.join(', ')}${pathDetails}`,
         debugInfo: {
           requestHeaders: {
             origin: origin || 'not provided',
@@ -164,7 +220,8 @@ export async function handleChat(request, env) {
             host: request.headers.get('Host') || 'not provided'
           },
           instanceId,
-          allowedDomains: instanceConfig.allowedDomains
+          allowedDomains: instanceConfig.allowedDomains,
+          allowedPaths
         }
       }), {
         status: 403,
@@ -172,6 +229,121 @@ export async function handleChat(request, env) {
       });
     }
     
+    // Paused instances and instances in maintenance keep their setup but do not answer
+    const instanceState = getInstanceState(instanceConfig.availability);
+    if (instanceState.state !== 'active') {
+      return new Response(JSON.stringify({ 
+        error: instanceState.state === 'paused' ? 'Paused' : 'Maintenance',
+        details: instanceState.message || 'Chat is not available right now.',
+        state: instanceState.state
+      }), {
+        status: 503,
+        headers: responseHeaders
+      });
+    }
+    
+    // Check the visitor's IP, country and ASN against the instance's network rules
+    if (hasNetworkRules(instanceConfig.networkRules)) {
+      const network = getRequestNetwork(request);
+      const access = evaluateNetworkRules(instanceConfig.networkRules, network);
+      if (!access.allowed) {
+        console.error('[Chat] Network rule blocked request:', { instanceId, ...network, reason: access.reason });
+        return new Response(JSON.stringify({ 
+          error: 'Access denied',
+          details: 'Chat is not available from your network or location.'
+        }), {
+          status: 403,
+          headers: responseHeaders
+        });
+      }
+    }
+    
+    // Refuse chats outside business hours when the instance enforces its schedule
+    if (instanceConfig.businessHours?.enabled && instanceConfig.businessHours.strict) {
+      const hours = getBusinessHoursStatus(instanceConfig.businessHours);
+      if (!hours.open) {
+        return new Response(JSON.stringify({ 
+          error: 'Closed',
+          details: instanceConfig.businessHours.offlineMessage,
+          businessHours: hours.reason
+        }), {
+          status: 403,
+          headers: responseHeaders
+        });
+      }
+    }
+    
+    // Require a solved bot challenge before the session may chat
+    if (instanceConfig.challenge?.enabled) {
+      const challengeResult = await checkChallenge(env, {
+        instanceId,
+        challenge: instanceConfig.challenge,
+        sessionId,
+        token: body.challengeToken,
+        ip: request.headers.get('CF-Connecting-IP')
+      });
+      if (!challengeResult.passed) {
+        return new Response(JSON.stringify({ 
+          error: challengeResult.reason === 'required' ? 'Challenge required' : 'Challenge failed',
+          details: 'Please complete the verification to continue.',
+          challenge: challengeResult.reason
+        }), {
+          status: 403,
+          headers: responseHeaders
+        });
+      }
+    }
+    
+    // Verify the signed-in visitor; a token that fails is refused rather than treated as anonymous
+    let identity = null;
+    if (body.identity && instanceConfig.identity?.enabled) {
+      const verification = await verifyIdentityToken(body.identity, instanceConfig.identity.secret);
+      if (!verification.valid) {
+        console.error('[Chat] Identity verification failed:', { instanceId, reason: verification.reason });
+        return new Response(JSON.stringify({ 
+          error: 'Invalid identity',
+          details: verification.reason === 'expired'
+            ? 'Your sign-in has expired. Please reload the page.'
+            : 'Your sign-in could not be verified.',
+          identity: verification.reason
+        }), {
+          status: 401,
+          headers: responseHeaders
+        });
+      }
+      identity = verification.identity;
+    }
+    
+    // Check image parts against the instance's upload setting
+    const attachmentCheck = validateMessageAttachments(messages, {
+      imageUpload: instanceConfig.features?.imageUpload
+    });
+    if (!attachmentCheck.valid) {
+      return new Response(JSON.stringify({ 
+        error: attachmentCheck.error,
+        message: attachmentCheck.message
+      }), {
+        status: attachmentCheck.status,
+        headers: responseHeaders
+      });
+    }
+    
+    // Mask, tokenize or reject personal data before anything is stored or sent upstream
+    const redaction = redactMessages(messages, instanceConfig.redaction);
+    if (Object.keys(redaction.counts).length > 0) {
+      runInBackground(ctx, 'record redaction counts', recordRedactionCounts(env.DB, instanceId, redaction.counts));
+    }
+    if (redaction.rejected.length > 0) {
+      return new Response(JSON.stringify({
+        error: 'Sensitive data not allowed',
+        details: describeRejection(redaction.rejected)
+      }), {
+        status: 400,
+        headers: responseHeaders
+      });
+    }
+    const chatMessages = redaction.messages;
+    
     console.log('[Chat] Processing request:', {
       instanceId,
       instanceName: instanceConfig.name,
@@ -184,8 +356,17 @@ export async function handleChat(request, env) {
     const clientId = extractClientId(request, sessionId);
     const { hourlyKey, sessionKey } = generateRateLimitKeys(instanceId, clientId, sessionId);
     
+    // Sessions in an experiment talk to their variant's agent, and every exchange records the variant
+    const variant = assignVariant(instanceConfig.experimentVariants, sessionId || clientId);
+    
+    // Event data shared by the webhooks sent for this request
+    const eventContext = {
+      sessionId: sessionId || clientId,
+      origin: request.headers.get('Origin')
+    };
+    
     // Check rate limits
-    const rateLimitResult = await checkAndUpdateRateLimit(env.RATE_LIMITS, {
+    const rateLimitResult = await enforceRateLimit(env, {
       hourlyKey,
       sessionKey,
       hourlyLimit: instanceConfig.rateLimit.messagesPerHour,
@@ -194,57 +375,159 @@ export async function handleChat(request, env) {
     });
     
     if (!rateLimitResult.allowed) {
+      dispatchWebhookEvent(env, ctx, instanceConfig, 'rate_limit.exceeded', {
+        ...eventContext,
+        message: rateLimitResult.message,
+        retryAfter: rateLimitResult.retryAfter
+      });
       return createRateLimitErrorResponse(rateLimitResult, responseHeaders);
     }
     
-    // Call TypingMind API with the actual agent ID
-    const apiKey = instanceConfig.apiKey || env.DEFAULT_API_KEY;
-    const apiHost = env.TYPINGMIND_API_HOST || 'https://api.typingmind.com';
+    const userContent = extractMessageText(getLatestUserMessage(chatMessages)?.content);
     
-    // Create abort controller for timeout
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-    
-    let apiResponse;
-    try {
-      apiResponse = await fetch(`${apiHost}/api/v2/agents/${instanceConfig.typingmindAgentId}/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-API-KEY': apiKey
-        },
-        body: JSON.stringify({ messages }),
-        signal: controller.signal
+    // The first user message of a session starts a conversation
+    if (messages.filter(message => message.role === 'user').length === 1) {
+      dispatchWebhookEvent(env, ctx, instanceConfig, 'conversation.started', {
+        ...eventContext,
+        message: userContent
       });
-    } catch (fetchError) {
-      clearTimeout(timeout);
-      if (fetchError.name === 'AbortError') {
-        // Track timeout as failed request
-        const endTime = Date.now();
-        const responseTime = endTime - startTime;
-        const { updateInstanceMetrics } = await import('./status.js');
-        await updateInstanceMetrics(env, instanceId, responseTime, false, 'Request timeout');
+    }
+    
+    // While staff handle the session, store the visitor's message for them and leave the agent out
+    if (instanceConfig.handoff?.enabled && sessionId) {
+      const handoff = await getHandoff(env.DB, instanceId, sessionId);
+      if (isHandoffOpen(handoff)) {
+        runInBackground(ctx, 'store conversation', saveExchange(env.DB, {
+          instanceId,
+          sessionId,
+          origin: request.headers.get('Origin'),
+          userContent,
+          assistantContent: null,
+          identity,
+          variant: variant?.key || null
+        }));
         
-        return new Response(JSON.stringify({ 
-          error: 'Request timeout',
-          message: 'The API request timed out after 30 seconds'
+        return new Response(JSON.stringify({
+          handoff: { status: handoff.status }
+        }), {
+          status: 200,
+          headers: responseHeaders
+        });
+      }
+    }
+    
+    // Answer blocked topics with the canned refusal; the message never reaches TypingMind
+    const guardrails = instanceConfig.guardrails;
+    const blockedBy = findGuardrailMatch(userContent, guardrails);
+    if (blockedBy) {
+      runInBackground(ctx, 'log guardrail event', logGuardrailEvent(env.DB, {
+        instanceId,
+        sessionId: sessionId || clientId,
+        direction: 'user',
+        match: blockedBy,
+        content: userContent
+      }));
+      runInBackground(ctx, 'store conversation', saveExchange(env.DB, {
+        instanceId,
+        sessionId: sessionId || clientId,
+        origin: request.headers.get('Origin'),
+        userContent,
+        assistantContent: guardrails.refusalMessage,
+        identity,
+        variant: variant?.key || null
+      }));
+      
+      return new Response(JSON.stringify({
+        content: guardrails.refusalMessage,
+        guardrail: 'blocked'
+      }), {
+        status: 200,
+        headers: responseHeaders
+      });
+    }
+    
+    // Stop once the instance has used up a quota; usage is added when the reply arrives
+    const quotas = hasQuotas(instanceConfig.quotas) ? instanceConfig.quotas : null;
+    const quotaPeriods = getQuotaPeriods();
+    if (quotas) {
+      const exceeded = findExceededQuota(quotas, await getQuotaUsage(env.DB, instanceId, quotaPeriods));
+      if (exceeded) {
+        return new Response(JSON.stringify({
+          error: 'Quota exceeded',
+          details: quotas.limitMessage,
+          quota: exceeded.key
         }), {
-          status: 504,
+          status: 429,
           headers: responseHeaders
         });
       }
-      throw fetchError;
-    } finally {
-      clearTimeout(timeout);
     }
     
-    if (!apiResponse.ok) {
-      const errorText = await apiResponse.text();
+    // Call TypingMind, retrying transient errors and failing over to backup agents
+    const apiHost = env.TYPINGMIND_API_HOST || 'https://api.typingmind.com';
+    const backends = buildBackends(applyVariant(instanceConfig, variant), env);
+    const upstreamSettings = resolveUpstreamSettings(instanceConfig.upstream);
+    
+    // Describe the visitor's page to the agent when the instance has a context template,
+    // and who the visitor is when the instance forwards identities. Blocked turns earlier in
+    // the history are dropped, so they never reach TypingMind either
+    const upstreamMessages = injectIdentity(
+      injectPageContext(dropBlockedExchanges(chatMessages, guardrails), instanceConfig.contextTemplate, context),
+      instanceConfig.identity?.forwardToAgent ? identity : null
+    );
+    const upstreamTexts = upstreamMessages.map(message => extractMessageText(message.content));
+    
+    const outcome = await callUpstream(backends, {
+      apiHost,
+      messages: upstreamMessages,
+      // Replies can only be checked once they are complete, so checking turns streaming off
+      stream: wantsStream && !guardrails?.checkReplies,
+      settings: upstreamSettings
+    });
+    const backend = outcome.backend;
+    const metricsDetails = {
+      backend: backend.label,
+      failovers: outcome.failovers,
+      retries: outcome.retries
+    };
+    
+    // Report upstream failures to webhooks before answering the widget
+    if (!outcome.ok) {
+      dispatchWebhookEvent(env, ctx, instanceConfig, 'agent.error', {
+        ...eventContext,
+        reason: outcome.reason,
+        status: outcome.status || null,
+        code: outcome.data?.error?.code || null,
+        agentId: backend.agentId
+      });
+    }
+    
+    if (outcome.reason === 'network') {
+      throw outcome.error;
+    }
+    
+    if (outcome.reason === 'timeout') {
+      // Track timeout as failed request
+      const endTime = Date.now();
+      const responseTime = endTime - startTime;
+      const { updateInstanceMetrics } = await import('./status.js');
+      await updateInstanceMetrics(env, instanceId, responseTime, false, 'Request timeout', metricsDetails);
+      
+      return new Response(JSON.stringify({ 
+        error: 'Request timeout',
+        message: `The API request timed out after ${Math.round(upstreamSettings.timeoutMs / 1000)} seconds`
+      }), {
+        status: 504,
+        headers: responseHeaders
+      });
+    }
+    
+    if (outcome.reason === 'http') {
       console.error('[Chat] TypingMind API error:', {
-        status: apiResponse.status,
-        error: errorText,
+        status: outcome.status,
+        error: outcome.errorText,
         instanceId,
-        typingmindAgentId: instanceConfig.typingmindAgentId,
+        typingmindAgentId: backend.agentId,
         apiHost
       });
       
@@ -252,22 +535,67 @@ export async function handleChat(request, env) {
       const endTime = Date.now();
       const responseTime = endTime - startTime;
       const { updateInstanceMetrics } = await import('./status.js');
-      await updateInstanceMetrics(env, instanceId, responseTime, false, `API error: ${apiResponse.status}`);
+      await updateInstanceMetrics(env, instanceId, responseTime, false, `API error: ${outcome.status}`, metricsDetails);
       
       return new Response(JSON.stringify({ 
-        error: `API error: ${apiResponse.status}`,
-        details: errorText
+        error: `API error: ${outcome.status}`,
+        details: outcome.errorText
       }), {
         status: 500,
         headers: responseHeaders
       });
     }
     
-    let data;
-    try {
-      data = await apiResponse.json();
-    } catch (jsonError) {
-      console.error('[Chat] Failed to parse API response:', jsonError);
+    // Relay streamed replies as they arrive; metrics are recorded once the stream ends
+    if (outcome.ok && !outcome.data) {
+      return relayUpstreamStream(outcome.response, {
+        headers: responseHeaders,
+        ctx,
+        // The request timeout ends once headers arrive, so each chunk gets the same allowance
+        idleTimeoutMs: upstreamSettings.timeoutMs,
+        onComplete: async ({ content, error }) => {
+          const responseTime = Date.now() - startTime;
+          if (content) {
+            if (quotas) {
+              runInBackground(ctx, 'record quota usage', recordExchangeUsage(env, ctx, instanceConfig, quotaPeriods, estimateTokens([...upstreamTexts, content]), eventContext));
+            }
+            const reply = stripSuggestions(applyHandoffMarker(env, ctx, instanceConfig, sessionId, content));
+            runInBackground(ctx, 'store conversation', saveExchange(env.DB, {
+              instanceId,
+              sessionId: sessionId || clientId,
+              origin: request.headers.get('Origin'),
+              userContent,
+              assistantContent: reply,
+              latencyMs: responseTime,
+              identity,
+              variant: variant?.key || null
+            }));
+            dispatchWebhookEvent(env, ctx, instanceConfig, 'message.created', {
+              ...eventContext,
+              userMessage: userContent,
+              reply,
+              latencyMs: responseTime,
+              agentId: backend.agentId
+            });
+          }
+          if (error) {
+            dispatchWebhookEvent(env, ctx, instanceConfig, 'agent.error', {
+              ...eventContext,
+              reason: 'stream',
+              status: null,
+              agentId: backend.agentId,
+              error
+            });
+          }
+          const { updateInstanceMetrics } = await import('./status.js');
+          await updateInstanceMetrics(env, instanceId, responseTime, !error, error ? `Stream error: ${error}` : null, metricsDetails);
+        }
+      });
+    }
+    
+    // TypingMind may answer with plain JSON even when a stream was requested
+    if (outcome.reason === 'invalid_json') {
+      console.error('[Chat] Failed to parse API response:', outcome.error);
       return new Response(JSON.stringify({ 
         error: 'Invalid API response',
         message: 'The API returned an invalid response format'
@@ -278,8 +606,8 @@ export async function handleChat(request, env) {
     }
     
     // Validate response structure
-    if (!data || typeof data !== 'object') {
-      console.error('[Chat] Invalid response structure:', data);
+    if (outcome.reason === 'invalid_response') {
+      console.error('[Chat] Invalid response structure:', outcome.data);
       return new Response(JSON.stringify({ 
         error: 'Invalid response format',
         message: 'The API returned an unexpected response format'
@@ -289,33 +617,101 @@ export async function handleChat(request, env) {
       });
     }
     
+    const data = outcome.data;
+    
     // Check if TypingMind returned an error
     if (data.error && data.error.code === 'agent_not_found') {
       console.error('[Chat] TypingMind agent not found:', {
         instanceId,
-        typingmindAgentId: instanceConfig.typingmindAgentId,
+        typingmindAgentId: backend.agentId,
         error: data.error
       });
       return new Response(JSON.stringify({
         error: 'Agent not configured in TypingMind',
-        details: `The TypingMind agent ID (${instanceConfig.typingmindAgentId}) configured for this instance is not recognized by TypingMind. Please update the instance configuration with a valid agent ID.`,
+        details: `The TypingMind agent ID (${backend.agentId}) configured for this instance is not recognized by TypingMind. Please update the instance configuration with a valid agent ID.`,
         instanceId: instanceId,
-        typingmindAgentId: instanceConfig.typingmindAgentId
+        typingmindAgentId: backend.agentId
       }), {
         status: 404,
         headers: responseHeaders
       });
     }
-    
+
+    // Any other agent error is a failed request: no quota, transcript or message webhook
+    if (outcome.reason === 'agent_error') {
+      const code = data.error.code || null;
+      console.error('[Chat] TypingMind agent error:', {
+        instanceId,
+        typingmindAgentId: backend.agentId,
+        error: data.error
+      });
+
+      const responseTime = Date.now() - startTime;
+      const { updateInstanceMetrics } = await import('./status.js');
+      await updateInstanceMetrics(env, instanceId, responseTime, false, `Agent error: ${code || 'unknown'}`, metricsDetails);
+
+      return new Response(JSON.stringify({
+        error: 'Agent error',
+        code,
+        message: data.error.message || 'The agent could not answer this message'
+      }), {
+        status: 502,
+        headers: responseHeaders
+      });
+    }
+
     // Track metrics for status page
     const endTime = Date.now();
     const responseTime = endTime - startTime;
     
     // Import and update metrics
     const { updateInstanceMetrics } = await import('./status.js');
-    await updateInstanceMetrics(env, instanceId, responseTime, true);
+    await updateInstanceMetrics(env, instanceId, responseTime, true, null, metricsDetails);
     
-    return new Response(JSON.stringify(data), {
+    // Swap blocked replies for the refusal before the visitor, transcripts or webhooks see them
+    const replyText = extractReplyText(data);
+    if (quotas) {
+      runInBackground(ctx, 'record quota usage', recordExchangeUsage(env, ctx, instanceConfig, quotaPeriods, estimateTokens([...upstreamTexts, replyText]), eventContext));
+    }
+    const replyBlockedBy = guardrails?.checkReplies ? findGuardrailMatch(replyText, guardrails) : null;
+    if (replyBlockedBy) {
+      runInBackground(ctx, 'log guardrail event', logGuardrailEvent(env.DB, {
+        instanceId,
+        sessionId: sessionId || clientId,
+        direction: 'reply',
+        match: replyBlockedBy,
+        content: replyText
+      }));
+    }
+    
+    // Store the exchange for transcripts
+    const reply = replyBlockedBy
+      ? guardrails.refusalMessage
+      : stripSuggestions(applyHandoffMarker(env, ctx, instanceConfig, sessionId, replyText));
+    runInBackground(ctx, 'store conversation', saveExchange(env.DB, {
+      instanceId,
+      sessionId: sessionId || clientId,
+      origin: request.headers.get('Origin'),
+      userContent,
+      assistantContent: reply,
+      latencyMs: responseTime,
+      identity,
+      variant: variant?.key || null
+    }));
+    
+    dispatchWebhookEvent(env, ctx, instanceConfig, 'message.created', {
+      ...eventContext,
+      userMessage: userContent,
+      reply,
+      latencyMs: responseTime,
+      agentId: backend.agentId
+    });
+    
+    const responseBody = replyBlockedBy
+      ? { content: guardrails.refusalMessage, guardrail: 'blocked' }
+      : data;
+    
+    return new Response(JSON.stringify(responseBody), {
       status: 200,
       headers: responseHeaders
     });
@@ -342,4 +738,130 @@ export async function handleChat(request, env) {
       headers: responseHeaders
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Run a task in the background without delaying the response
+ * Failures are logged so they never break the chat itself
+ * @param {Object} ctx - Execution context
+ * @param {string} label - What the task does, for the failure log (e.g. 'store conversation')
+ * @param {Promise} promise - Task already started
+ * @returns {Promise<void>} Background task
+ */
+function runInBackground(ctx, label, promise) {
+  const task = promise.catch(error => {
+    console.error(`[Chat] Failed to ${label}:`, error);
+  });
+  
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(task);
+  }
+  
+  return task;
+}
+
+/**
+ * Add an exchange to the instance's quota usage
+ * Sends quota.warning and quota.exceeded webhooks when this exchange crossed a level
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {Object} periods - Periods from getQuotaPeriods
+ * @param {number} tokens - Estimated tokens used by the exchange
+ * @param {Object} eventContext - Session and origin shared by the request's webhooks
+ * @returns {Promise<void>}
+ */
+async function recordExchangeUsage(env, ctx, instanceConfig, periods, tokens, eventContext) {
+  const amount = { messages: 1, tokens };
+  const after = await recordQuotaUsage(env.DB, instanceConfig.id, amount, periods);
+  
+  // The totals come back from the same atomic update, so only this exchange can have crossed a level
+  const before = {
+    day: { messages: after.day.messages - amount.messages, tokens: after.day.tokens - amount.tokens },
+    month: { messages: after.month.messages - amount.messages, tokens: after.month.tokens - amount.tokens }
+  };
+  
+  for (const crossing of findQuotaCrossings(instanceConfig.quotas, before, after)) {
+    dispatchWebhookEvent(env, ctx, instanceConfig, `quota.${crossing.level}`, {
+      ...eventContext,
+      quota: crossing.quota,
+      used: crossing.used,
+      limit: crossing.limit
+    });
+  }
+}
+
+/**
+ * Strip the handoff marker from an agent reply and open a handoff when it was present
+ * The widget removes the marker from what it shows; this keeps it out of transcripts and webhooks
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} instanceConfig - Instance configuration
+ * @param {string} sessionId - Widget session ID
+ * @param {string} reply - Agent reply text
+ * @returns {string} Reply without the marker
+ */
+function applyHandoffMarker(env, ctx, instanceConfig, sessionId, reply) {
+  const { requested, content } = extractHandoffRequest(reply);
+  
+  if (requested && instanceConfig.handoff?.enabled && sessionId) {
+    runInBackground(ctx, 'request handoff', requestHandoff(env.DB, {
+      instanceId: instanceConfig.id,
+      sessionId,
+      requestedBy: 'agent'
+    }));
+  }
+  
+  return content;
+}
+
+/**
+ * Remove the suggested follow-ups block from an agent reply
+ * The widget turns it into reply chips; transcripts and webhooks only keep the text
+ * @param {string} reply - Agent reply text
+ * @returns {string} Reply without the suggestions block
+ */
+function stripSuggestions(reply) {
+  return extractSuggestions(reply).content;
+}
+
+/**
+ * Drop earlier visitor messages that break a guardrail, with the reply that answered them
+ * The widget keeps a refused message in its history and sends it again with the next one
+ * @param {Array} messages - Chat messages
+ * @param {Object} guardrails - Instance guardrails
+ * @returns {Array} Messages without blocked exchanges
+ */
+function dropBlockedExchanges(messages, guardrails) {
+  const kept = [];
+  let dropReply = false;
+  
+  for (const message of messages) {
+    if (message.role === 'user') {
+      dropReply = !!findGuardrailMatch(extractMessageText(message.content), guardrails);
+      if (!dropReply) kept.push(message);
+    } else if (message.role === 'assistant' && dropReply) {
+      dropReply = false;
+    } else {
+      kept.push(message);
+    }
+  }
+  
+  return kept;
+}
+
+/**
+ * Create the response for a request body over the size limit
+ * @param {number} maxBytes - Limit that was exceeded (bytes)
+ * @param {Object} responseHeaders - Base response headers
+ * @returns {Response} HTTP 413 response
+ */
+function createRequestTooLargeResponse(maxBytes, responseHeaders) {
+  return new Response(JSON.stringify({ 
+    error: 'Request too large',
+    message: `Request body exceeds ${maxBytes / (1024 * 1024)}MB limit`
+  }), {
+    status: 413,
+    headers: responseHeaders
+  });
+}
@@ -9,10 +9,23 @@ const mockValidateInstanceId = jest.fn((id) => /^[a-z0-9-]+$/.test(id));
 const mockValidateDomain = jest.fn();
 const mockCreateResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
 const mockGetInstanceConfig = jest.fn();
-const mockCheckAndUpdateRateLimit = jest.fn();
+const mockEnforceRateLimit = jest.fn();
 const mockGenerateRateLimitKeys = jest.fn();
 const mockExtractClientId = jest.fn();
 const mockCreateRateLimitErrorResponse = jest.fn();
+const mockUpdateInstanceMetrics = jest.fn();
+const mockSaveExchange = jest.fn(() => Promise.resolve());
+const mockValidateMessageAttachments = jest.fn(() => ({ valid: true }));
+const mockDispatchWebhookEvent = jest.fn(() => Promise.resolve());
+const mockGetHandoff = jest.fn(() => Promise.resolve(null));
+const mockRequestHandoff = jest.fn(() => Promise.resolve());
+const mockRedactMessages = jest.fn((messages) => ({ messages, counts: {}, rejected: [] }));
+const mockRecordRedactionCounts = jest.fn(() => Promise.resolve());
+const mockLogGuardrailEvent = jest.fn(() => Promise.resolve());
+const mockGetQuotaUsage = jest.fn();
+const mockRecordQuotaUsage = jest.fn();
+const mockGetPublicChallenge = jest.fn();
+const mockCheckChallenge = jest.fn();
 
 // Mock modules before imports
 jest.unstable_mockModule('../security.js', () => ({
@@ -26,18 +39,92 @@ jest.unstable_mockModule('../database.js', () => ({
 }));
 
 jest.unstable_mockModule('../rate-limiter.js', () => ({
-  checkAndUpdateRateLimit: mockCheckAndUpdateRateLimit,
+  enforceRateLimit: mockEnforceRateLimit,
   generateRateLimitKeys: mockGenerateRateLimitKeys,
   extractClientId: mockExtractClientId,
   createRateLimitErrorResponse: mockCreateRateLimitErrorResponse
 }));
 
+jest.unstable_mockModule('../conversations.js', () => ({
+  saveExchange: mockSaveExchange,
+  extractMessageText: (content) => content,
+  extractReplyText: (data) => data.content || '',
+  getLatestUserMessage: (messages) => messages[messages.length - 1]
+}));
+
+jest.unstable_mockModule('../attachments.js', () => ({
+  validateMessageAttachments: mockValidateMessageAttachments,
+  getMaxRequestBytes: ({ imageUpload }) => imageUpload ? 3145728 : 1048576,
+  MAX_IMAGE_REQUEST_BYTES: 3145728
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  dispatchWebhookEvent: mockDispatchWebhookEvent
+}));
+
+jest.unstable_mockModule('../handoff.js', () => ({
+  getHandoff: mockGetHandoff,
+  requestHandoff: mockRequestHandoff,
+  isHandoffOpen: (handoff) => !!handoff && handoff.status !== 'resolved',
+  extractHandoffRequest: (text) => ({
+    requested: text.includes('[HANDOFF]'),
+    content: text.replace('[HANDOFF]', '').trim()
+  })
+}));
+
+jest.unstable_mockModule('../redaction.js', () => ({
+  redactMessages: mockRedactMessages,
+  recordRedactionCounts: mockRecordRedactionCounts,
+  describeRejection: (detectors) => `Please remove the ${detectors.join(' and ')} from your message and try again`
+}));
+
+jest.unstable_mockModule('../guardrails.js', () => ({
+  findGuardrailMatch: (text, guardrails) => {
+    const keyword = (guardrails?.keywords || []).find(k => text.toLowerCase().includes(k));
+    return keyword ? { type: 'keyword', rule: keyword } : null;
+  },
+  logGuardrailEvent: mockLogGuardrailEvent
+}));
+
+jest.unstable_mockModule('../quotas.js', () => ({
+  hasQuotas: (quotas) => !!quotas,
+  getQuotaPeriods: () => ({ day: '2026-10-19', month: '2026-10' }),
+  getQuotaUsage: mockGetQuotaUsage,
+  findExceededQuota: (quotas, usage) => usage.day.messages >= quotas.messagesPerDay ? { key: 'messagesPerDay' } : null,
+  recordQuotaUsage: mockRecordQuotaUsage,
+  findQuotaCrossings: (quotas, before, after) => before.day.messages < 8 && after.day.messages >= 8
+    ? [{ quota: 'messagesPerDay', level: 'warning', used: after.day.messages, limit: quotas.messagesPerDay }]
+    : [],
+  estimateTokens: (texts) => texts.join('').length
+}));
+
+jest.unstable_mockModule('../challenge.js', () => ({
+  getPublicChallenge: mockGetPublicChallenge,
+  checkChallenge: mockCheckChallenge
+}));
+
+jest.unstable_mockModule('./status.js', () => ({
+  updateInstanceMetrics: mockUpdateInstanceMetrics
+}));
+
 // Import after mocking
 const { handleGetInstance, handleChat } = await import('./chat.js');
+const { signIdentityToken } = await import('../identity.js');
 
 // Mock fetch
 global.fetch = jest.fn();
 
+// Business hours with no opening hours on any day, so the instance is always closed
+const closedHours = {
+  enabled: true,
+  timezone: 'UTC',
+  schedule: { mon: [], tue: [], wed: [], thu: [], fri: [], sat: [], sun: [] },
+  holidays: [],
+  offlineBehavior: 'banner',
+  offlineMessage: 'We are closed.',
+  strict: true
+};
+
 describe('Chat Routes', () => {
   let mockEnv;
   let mockRequest;
@@ -52,6 +139,7 @@ describe('Chat Routes', () => {
     
     mockRequest = {
       params: {},
+      url: 'https://worker.test/instance/test-instance',
       headers: {
         get: jest.fn()
       },
@@ -83,11 +171,135 @@ describe('Chat Routes', () => {
         id: 'test-instance',
         name: 'Test Instance',
         theme: { primaryColor: '#007bff' },
-        features: { markdown: true }
+        features: { markdown: true },
+        businessHours: null,
+        state: null
       });
       expect(mockGetInstanceConfig).toHaveBeenCalledWith(mockEnv.DB, 'test-instance');
     });
 
+    test('should include the lead form configuration', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      const leadForm = {
+        enabled: true,
+        title: 'Before we start',
+        fields: [{ key: 'email', label: 'Email', type: 'email', required: true }]
+      };
+      mockGetInstanceConfig.mockResolvedValue({ id: 'test-instance', name: 'Test', leadForm });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.leadForm).toEqual(leadForm);
+    });
+
+    test('should include the handoff settings', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      const handoff = { enabled: true, staffName: 'Support team', waitingMessage: 'Connecting you now.' };
+      mockGetInstanceConfig.mockResolvedValue({ id: 'test-instance', name: 'Test', handoff });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.handoff).toEqual(handoff);
+    });
+
+    test('should include the public challenge details', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      const challenge = { enabled: true, siteKey: 'site-key', secretKey: 'secret', trustMinutes: 60 };
+      mockGetInstanceConfig.mockResolvedValue({ id: 'test-instance', name: 'Test', challenge });
+      mockGetPublicChallenge.mockReturnValue({ siteKey: 'site-key', scriptUrl: 'https://challenge.example/api.js' });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.challenge).toEqual({ siteKey: 'site-key', scriptUrl: 'https://challenge.example/api.js' });
+      expect(mockGetPublicChallenge).toHaveBeenCalledWith(challenge, mockEnv);
+    });
+
+    test('should include the open or closed state when business hours are on', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        name: 'Test',
+        businessHours: { ...closedHours, strict: false, offlineBehavior: 'hide' }
+      });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.businessHours).toEqual({
+        open: false,
+        offlineBehavior: 'hide',
+        offlineMessage: 'We are closed.'
+      });
+    });
+
+    test('should include the maintenance state and message', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        name: 'Test',
+        availability: { state: 'maintenance', maintenanceMessage: 'Back at 2am', maintenanceStartsAt: null, maintenanceEndsAt: null }
+      });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.state).toEqual({ state: 'maintenance', message: 'Back at 2am', endsAt: null });
+    });
+
+    test('should include the welcome message and conversation starters', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      const welcomeMessage = { text: 'Hi there', showOnNewSession: true, showOnReturn: false };
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        name: 'Test',
+        welcomeMessage,
+        starters: ['What does it cost?', 'Book a demo']
+      });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.welcomeMessage).toEqual(welcomeMessage);
+      expect(data.starters).toEqual(['What does it cost?', 'Book a demo']);
+    });
+
+    test('should include the locale settings and welcome translations', async () => {
+      mockRequest.params = { id: 'test-instance' };
+      const locale = { defaultLocale: 'es', autoDetect: true, strings: { es: { sendMessage: 'Mandar' } } };
+      const welcomeMessage = { text: 'Hi there', showOnNewSession: true, showOnReturn: false, translations: { es: '¡Hola!' } };
+      mockGetInstanceConfig.mockResolvedValue({ id: 'test-instance', name: 'Test', welcomeMessage, locale });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.locale).toEqual(locale);
+      expect(data.welcomeMessage).toEqual(welcomeMessage);
+    });
+    
+    test("should show the session's experiment variant", async () => {
+      mockRequest.params = { id: 'test-instance' };
+      mockRequest.url = 'https://worker.test/instance/test-instance?sessionId=session-123';
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        name: 'Test',
+        welcomeMessage: { text: 'Hi there', showOnNewSession: true, showOnReturn: false },
+        starters: ['What does it cost?'],
+        experimentVariants: [
+          { key: 'friendly', weight: 1, agentId: null, welcomeMessage: 'Hey, welcome!', starters: [] }
+        ]
+      });
+      
+      const response = await handleGetInstance(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(data.welcomeMessage).toEqual({ text: 'Hey, welcome!', showOnNewSession: true, showOnReturn: false, translations: {} });
+      expect(data.starters).toEqual(['What does it cost?']);
+      expect(data.experimentVariants).toBeUndefined();
+    });
+
     test('should return 400 when instance ID is missing', async () => {
       mockRequest.params = {};
       
@@ -169,7 +381,7 @@ describe('Chat Routes', () => {
       
       mockGetInstanceConfig.mockResolvedValue(mockInstance);
       mockValidateDomain.mockResolvedValue(true);
-      mockCheckAndUpdateRateLimit.mockResolvedValue({ allowed: true });
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
       
       const mockApiResponse = { content: 'Hello! How can I help?' };
       global.fetch.mockResolvedValue({
@@ -182,6 +394,25 @@ describe('Chat Routes', () => {
       
       expect(response.status).toBe(200);
       expect(data).toEqual(mockApiResponse);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        instanceId: 'test-instance',
+        sessionId: 'session-123',
+        origin: 'https://example.com',
+        userContent: 'Hello',
+        assistantContent: 'Hello! How can I help?',
+        latencyMs: expect.any(Number)
+      }));
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, undefined, mockInstance, 'conversation.started', {
+        sessionId: 'session-123',
+        origin: 'https://example.com',
+        message: 'Hello'
+      });
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, undefined, mockInstance, 'message.created', expect.objectContaining({
+        sessionId: 'session-123',
+        userMessage: 'Hello',
+        reply: 'Hello! How can I help?',
+        agentId: 'agent-123'
+      }));
       expect(global.fetch).toHaveBeenCalledWith(
         'https://api.typingmind.com/api/v2/agents/agent-123/chat',
         expect.objectContaining({
@@ -196,6 +427,16 @@ describe('Chat Routes', () => {
     });
 
     test('should reject request exceeding size limit', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        features: { imageUpload: false }
+      });
       mockRequest.headers.get.mockImplementation((name) => {
         if (name === 'Content-Length') return '2000000'; // 2MB
         return null;
@@ -209,6 +450,37 @@ describe('Chat Routes', () => {
       expect(data.message).toBe('Request body exceeds 1MB limit');
     });
 
+    test('should allow larger requests when the instance accepts images', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        features: { imageUpload: true }
+      });
+      mockValidateDomain.mockResolvedValue(false);
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Content-Length') return '3145728';
+        return null;
+      });
+      
+      // Passes the size check and stops at the next one
+      const response = await handleChat(mockRequest, mockEnv);
+      expect(response.status).toBe(403);
+      
+      mockRequest.headers.get.mockImplementation((name) => {
+        if (name === 'Content-Length') return '3145729';
+        return null;
+      });
+      
+      const tooLarge = await handleChat(mockRequest, mockEnv);
+      expect(tooLarge.status).toBe(413);
+      expect((await tooLarge.json()).message).toBe('Request body exceeds 3MB limit');
+    });
+
     test('should validate required fields', async () => {
       mockRequest.json.mockResolvedValue({
         instanceId: 'test-instance'
@@ -271,88 +543,1117 @@ describe('Chat Routes', () => {
       expect(data.details).toContain('allowed.com');
     });
 
-    test('should handle rate limit exceeded', async () => {
+    test('should block visitors denied by network rules', async () => {
       mockRequest.json.mockResolvedValue({
         instanceId: 'test-instance',
         messages: [{ role: 'user', content: 'Hello' }]
       });
+      mockRequest.headers.get.mockImplementation((name) => ({
+        'Origin': 'https://example.com',
+        'CF-Connecting-IP': '203.0.113.7',
+        'CF-IPCountry': 'US'
+      })[name] || null);
       
       mockGetInstanceConfig.mockResolvedValue({
         id: 'test-instance',
         allowedDomains: ['example.com'],
-        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        networkRules: { denyCidrs: ['203.0.113.0/24'], allowCountries: ['US'] }
       });
-      
       mockValidateDomain.mockResolvedValue(true);
-      mockCheckAndUpdateRateLimit.mockResolvedValue({ 
-        allowed: false,
-        retryAfter: 3600
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(403);
+      expect(data).toEqual({
+        error: 'Access denied',
+        details: 'Chat is not available from your network or location.'
+      });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should refuse chats outside business hours when the schedule is strict', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1'
       });
       
-      const mockErrorResponse = new Response('Rate limit exceeded', { status: 429 });
-      mockCreateRateLimitErrorResponse.mockReturnValue(mockErrorResponse);
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        businessHours: closedHours
+      });
+      mockValidateDomain.mockResolvedValue(true);
       
       const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
       
-      expect(response).toBe(mockErrorResponse);
+      expect(response.status).toBe(403);
+      expect(data).toEqual({ error: 'Closed', details: 'We are closed.', businessHours: 'closed' });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
     });
 
-    test('should handle API timeout', async () => {
+    test('should refuse chats while the instance is paused or in maintenance', async () => {
       mockRequest.json.mockResolvedValue({
         instanceId: 'test-instance',
-        messages: [{ role: 'user', content: 'Hello' }]
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1'
       });
+      mockValidateDomain.mockResolvedValue(true);
       
       mockGetInstanceConfig.mockResolvedValue({
         id: 'test-instance',
         allowedDomains: ['example.com'],
-        typingmindAgentId: 'agent-123',
-        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+        availability: { state: 'paused' }
+      });
+      const paused = await handleChat(mockRequest, mockEnv);
+      
+      expect(paused.status).toBe(503);
+      expect(await paused.json()).toEqual({ error: 'Paused', details: 'Chat is not available right now.', state: 'paused' });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        availability: { state: 'maintenance', maintenanceMessage: 'Back at 2am' }
+      });
+      const maintenance = await handleChat(mockRequest, mockEnv);
+      
+      expect(maintenance.status).toBe(503);
+      expect(await maintenance.json()).toEqual({ error: 'Maintenance', details: 'Back at 2am', state: 'maintenance' });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should keep answering outside business hours unless the schedule is strict', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1'
       });
       
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        businessHours: { ...closedHours, strict: false }
+      });
       mockValidateDomain.mockResolvedValue(true);
-      mockCheckAndUpdateRateLimit.mockResolvedValue({ allowed: true });
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi there' })
+      });
       
-      // Simulate timeout
-      global.fetch.mockRejectedValue(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+    });
+
+    test('should ask for a challenge before serving untrusted sessions', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_random'
+      });
+      
+      const challenge = { enabled: true, siteKey: 'site-key', secretKey: null, trustMinutes: 60 };
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        challenge
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockCheckChallenge.mockResolvedValue({ passed: false, reason: 'required' });
       
       const response = await handleChat(mockRequest, mockEnv);
       const data = await response.json();
       
-      expect(response.status).toBe(504);
-      expect(data.error).toBe('Request timeout');
-      expect(data.message).toBe('The API request timed out after 30 seconds');
+      expect(response.status).toBe(403);
+      expect(data).toEqual({
+        error: 'Challenge required',
+        details: 'Please complete the verification to continue.',
+        challenge: 'required'
+      });
+      expect(mockCheckChallenge).toHaveBeenCalledWith(mockEnv, {
+        instanceId: 'test-instance',
+        challenge,
+        sessionId: 'sess_random',
+        token: undefined,
+        ip: null
+      });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
     });
 
-    test('should handle agent not found error', async () => {
+    test('should serve sessions that pass the challenge', async () => {
       mockRequest.json.mockResolvedValue({
         instanceId: 'test-instance',
-        messages: [{ role: 'user', content: 'Hello' }]
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1',
+        challengeToken: 'token-1'
       });
       
       mockGetInstanceConfig.mockResolvedValue({
         id: 'test-instance',
         allowedDomains: ['example.com'],
-        typingmindAgentId: 'invalid-agent',
-        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        challenge: { enabled: true, siteKey: 'site-key', secretKey: null, trustMinutes: 60 }
       });
-      
       mockValidateDomain.mockResolvedValue(true);
-      mockCheckAndUpdateRateLimit.mockResolvedValue({ allowed: true });
+      mockCheckChallenge.mockResolvedValue({ passed: true, reason: 'verified' });
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi there' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockCheckChallenge).toHaveBeenCalledWith(mockEnv, expect.objectContaining({ token: 'token-1' }));
+    });
+
+    test('should attach a verified identity and forward it to the agent', async () => {
+      const token = await signIdentityToken({
+        userId: 'user-42',
+        name: 'Renée',
+        email: 'renee@example.com',
+        expiresAt: Math.floor(Date.now() / 1000) + 600
+      }, 'idsec_test');
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Where is my order?' }],
+        sessionId: 'sess_1',
+        identity: token
+      });
       
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        identity: { enabled: true, secret: 'idsec_test', forwardToAgent: true }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
       global.fetch.mockResolvedValue({
         ok: true,
-        json: async () => ({
-          error: { code: 'agent_not_found' }
-        })
+        json: async () => ({ content: 'It ships today' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        identity: expect.objectContaining({ userId: 'user-42', name: 'Renée', email: 'renee@example.com' })
+      }));
+      const upstreamBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(upstreamBody.messages[0].role).toBe('system');
+      expect(upstreamBody.messages[0].content).toContain('User ID: user-42');
+    });
+
+    test('should refuse identities that do not verify', async () => {
+      const token = await signIdentityToken({
+        userId: 'someone-else',
+        expiresAt: Math.floor(Date.now() / 1000) + 600
+      }, 'guessed-secret');
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1',
+        identity: token
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        identity: { enabled: true, secret: 'idsec_test', forwardToAgent: false }
       });
+      mockValidateDomain.mockResolvedValue(true);
       
       const response = await handleChat(mockRequest, mockEnv);
       const data = await response.json();
       
-      expect(response.status).toBe(404);
-      expect(data.error).toBe('Agent not configured in TypingMind');
-      expect(data.typingmindAgentId).toBe('invalid-agent');
+      expect(response.status).toBe(401);
+      expect(data).toEqual({
+        error: 'Invalid identity',
+        details: 'Your sign-in could not be verified.',
+        identity: 'signature'
+      });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockSaveExchange).not.toHaveBeenCalled();
+    });
+
+    test('should keep identities out of upstream messages unless forwarding is on', async () => {
+      const token = await signIdentityToken({
+        userId: 'user-42',
+        expiresAt: Math.floor(Date.now() / 1000) + 600
+      }, 'idsec_test');
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'sess_1',
+        identity: token
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        identity: { enabled: true, secret: 'idsec_test', forwardToAgent: false }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi there' })
+      });
+      
+      await handleChat(mockRequest, mockEnv);
+      
+      const upstreamBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(upstreamBody.messages).toEqual([{ role: 'user', content: 'Hello' }]);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        identity: expect.objectContaining({ userId: 'user-42' })
+      }));
+    });
+
+    test('should let visitors through when network rules allow them', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      mockRequest.headers.get.mockImplementation((name) => ({
+        'Origin': 'https://example.com',
+        'CF-Connecting-IP': '198.51.100.20',
+        'CF-IPCountry': 'CA'
+      })[name] || null);
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+        networkRules: { denyCountries: ['KP'], allowCountries: ['US', 'CA'] }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi there' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalled();
+    });
+
+    test('should reject image parts the instance does not accept', async () => {
+      const messages = [{
+        role: 'user',
+        content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }]
+      }];
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', messages });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        features: { imageUpload: false },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockValidateMessageAttachments.mockReturnValueOnce({
+        valid: false,
+        status: 403,
+        error: 'Image upload not enabled',
+        message: 'This chat does not accept images'
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(403);
+      expect(data.error).toBe('Image upload not enabled');
+      expect(mockValidateMessageAttachments).toHaveBeenCalledWith(messages, { imageUpload: false });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should forward multimodal messages when images are allowed', async () => {
+      const messages = [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]
+      }];
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', messages });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        typingmindAgentId: 'agent-123',
+        allowedDomains: ['example.com'],
+        features: { imageUpload: true },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'A cat' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockValidateMessageAttachments).toHaveBeenCalledWith(messages, { imageUpload: true });
+      const upstreamBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(upstreamBody.messages).toEqual(messages);
+    });
+
+    test('should handle rate limit exceeded', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ 
+        allowed: false,
+        retryAfter: 3600
+      });
+      
+      const mockErrorResponse = new Response('Rate limit exceeded', { status: 429 });
+      mockCreateRateLimitErrorResponse.mockReturnValue(mockErrorResponse);
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response).toBe(mockErrorResponse);
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledTimes(1);
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(
+        mockEnv, undefined, expect.objectContaining({ id: 'test-instance' }), 'rate_limit.exceeded',
+        expect.objectContaining({ sessionId: 'client-123', retryAfter: 3600 })
+      );
+    });
+
+    test('should handle API timeout', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      // Simulate timeout
+      global.fetch.mockRejectedValue(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(504);
+      expect(data.error).toBe('Request timeout');
+      expect(data.message).toBe('The API request timed out after 30 seconds');
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(
+        mockEnv, undefined, expect.any(Object), 'agent.error',
+        expect.objectContaining({ reason: 'timeout', agentId: 'agent-123' })
+      );
+    });
+
+    test('should handle agent not found error', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'invalid-agent',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          error: { code: 'agent_not_found' }
+        })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(404);
+      expect(data.error).toBe('Agent not configured in TypingMind');
+      expect(data.typingmindAgentId).toBe('invalid-agent');
+      expect(mockSaveExchange).not.toHaveBeenCalled();
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(
+        mockEnv, undefined, expect.any(Object), 'agent.error',
+        expect.objectContaining({ reason: 'agent_error', code: 'agent_not_found' })
+      );
+      expect(mockDispatchWebhookEvent).not.toHaveBeenCalledWith(
+        expect.anything(), expect.anything(), expect.anything(), 'message.created', expect.anything()
+      );
+    });
+
+    test('should store the message for staff instead of calling the agent during a handoff', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Are you still there?' }],
+        sessionId: 'session-123'
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        handoff: { enabled: true },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      mockGetHandoff.mockResolvedValueOnce({ status: 'active' });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ handoff: { status: 'active' } });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockGetHandoff).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', 'session-123');
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        sessionId: 'session-123',
+        userContent: 'Are you still there?',
+        assistantContent: null
+      }));
+    });
+
+    test('should open a handoff when the agent reply contains the marker', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'I want a refund' }],
+        sessionId: 'session-123'
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        handoff: { enabled: true },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Let me get a colleague. [HANDOFF]' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockRequestHandoff).toHaveBeenCalledWith(mockEnv.DB, {
+        instanceId: 'test-instance',
+        sessionId: 'session-123',
+        requestedBy: 'agent'
+      });
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        assistantContent: 'Let me get a colleague.'
+      }));
+    });
+
+    test('should keep suggested replies out of the stored transcript', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'What plans do you have?' }],
+        sessionId: 'session-123'
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'We have Pro and Team.\n[SUGGESTIONS: Compare plans | Start a trial]' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        assistantContent: 'We have Pro and Team.'
+      }));
+    });
+
+    test('should inject page context as a system message', async () => {
+      const messages = [{ role: 'user', content: 'Is this in stock?' }];
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages,
+        context: { url: 'https://example.com/p/1', title: 'Blue Widget', custom: { sku: 'A-100' } }
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        contextTemplate: 'Visitor is viewing {{title}} (SKU {{custom.sku}})',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Yes' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      const sent = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(sent.messages).toEqual([
+        { role: 'system', content: 'Visitor is viewing Blue Widget (SKU A-100)' },
+        ...messages
+      ]);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        userContent: 'Is this in stock?'
+      }));
+    });
+
+    test('should send and store redacted messages and record the counts', async () => {
+      const messages = [{ role: 'user', content: 'Email me at jo@example.com' }];
+      const redaction = { email: 'tokenize', phone: 'off', card: 'off', patterns: [] };
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', messages, sessionId: 'session-123' });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        redaction,
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockRedactMessages.mockReturnValueOnce({
+        messages: [{ role: 'user', content: 'Email me at [EMAIL_1]' }],
+        counts: { 'email:tokenize': 1 },
+        rejected: []
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Will do' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(mockRedactMessages).toHaveBeenCalledWith(messages, redaction);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages).toEqual([
+        { role: 'user', content: 'Email me at [EMAIL_1]' }
+      ]);
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        userContent: 'Email me at [EMAIL_1]'
+      }));
+      expect(mockRecordRedactionCounts).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', { 'email:tokenize': 1 });
+    });
+
+    test('should reject messages with data the instance does not accept', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'My card is 4111 1111 1111 1111' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        redaction: { email: 'off', phone: 'off', card: 'reject', patterns: [] },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockRedactMessages.mockReturnValueOnce({
+        messages: [{ role: 'user', content: 'My card is ************1111' }],
+        counts: { 'card:reject': 1 },
+        rejected: ['card']
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(400);
+      expect(data).toEqual({
+        error: 'Sensitive data not allowed',
+        details: 'Please remove the card from your message and try again'
+      });
+      expect(mockRecordRedactionCounts).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', { 'card:reject': 1 });
+      expect(mockEnforceRateLimit).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockSaveExchange).not.toHaveBeenCalled();
+    });
+
+    test('should answer blocked messages with the refusal without calling TypingMind', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Any CRYPTO tips?' }],
+        sessionId: 'session-123',
+        stream: true
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        guardrails: { keywords: ['crypto'], patterns: [], refusalMessage: 'Product questions only', checkReplies: false },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ content: 'Product questions only', guardrail: 'blocked' });
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(mockUpdateInstanceMetrics).not.toHaveBeenCalled();
+      expect(mockLogGuardrailEvent).toHaveBeenCalledWith(mockEnv.DB, {
+        instanceId: 'test-instance',
+        sessionId: 'session-123',
+        direction: 'user',
+        match: { type: 'keyword', rule: 'crypto' },
+        content: 'Any CRYPTO tips?'
+      });
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        userContent: 'Any CRYPTO tips?',
+        assistantContent: 'Product questions only'
+      }));
+    });
+
+    test('should leave blocked messages earlier in the history out of the upstream request', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [
+          { role: 'user', content: 'Any crypto tips?' },
+          { role: 'assistant', content: 'Product questions only' },
+          { role: 'user', content: 'How do I reset my password?' }
+        ],
+        sessionId: 'session-123'
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        guardrails: { keywords: ['crypto'], patterns: [], refusalMessage: 'Product questions only', checkReplies: false },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Use the reset link.' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages).toEqual([
+        { role: 'user', content: 'How do I reset my password?' }
+      ]);
+    });
+
+    test('should check agent replies without streaming when asked to', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'What should I invest in?' }],
+        sessionId: 'session-123',
+        stream: true
+      });
+      
+      const mockInstance = {
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        guardrails: { keywords: ['crypto'], patterns: [], refusalMessage: 'Product questions only', checkReplies: true },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      };
+      mockGetInstanceConfig.mockResolvedValue(mockInstance);
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Try crypto!' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBeUndefined();
+      expect(data).toEqual({ content: 'Product questions only', guardrail: 'blocked' });
+      expect(mockLogGuardrailEvent).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        direction: 'reply',
+        content: 'Try crypto!'
+      }));
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        assistantContent: 'Product questions only'
+      }));
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, undefined, mockInstance, 'message.created', expect.objectContaining({
+        reply: 'Product questions only'
+      }));
+    });
+
+    test('should stop at a used-up quota with the limit message', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        quotas: { messagesPerDay: 10, limitMessage: 'Back tomorrow!' },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      mockGetQuotaUsage.mockResolvedValue({ day: { messages: 10, tokens: 0 }, month: { messages: 10, tokens: 0 } });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(429);
+      expect(data).toEqual({ error: 'Quota exceeded', details: 'Back tomorrow!', quota: 'messagesPerDay' });
+      expect(mockGetQuotaUsage).toHaveBeenCalledWith(mockEnv.DB, 'test-instance', { day: '2026-10-19', month: '2026-10' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should add replies to quota usage and warn when a level is crossed', async () => {
+      const ctx = { waitUntil: jest.fn() };
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'session-123'
+      });
+      
+      const mockInstance = {
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        quotas: { messagesPerDay: 10, limitMessage: 'Back tomorrow!' },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      };
+      mockGetInstanceConfig.mockResolvedValue(mockInstance);
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      mockGetQuotaUsage.mockResolvedValue({ day: { messages: 7, tokens: 0 }, month: { messages: 7, tokens: 0 } });
+      mockRecordQuotaUsage.mockResolvedValue({ day: { messages: 8, tokens: 90 }, month: { messages: 8, tokens: 90 } });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi there' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv, ctx);
+      await Promise.all(ctx.waitUntil.mock.calls.map(([task]) => task));
+      
+      expect(response.status).toBe(200);
+      expect(mockRecordQuotaUsage).toHaveBeenCalledWith(
+        mockEnv.DB,
+        'test-instance',
+        { messages: 1, tokens: 'HelloHi there'.length },
+        { day: '2026-10-19', month: '2026-10' }
+      );
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, ctx, mockInstance, 'quota.warning', expect.objectContaining({
+        sessionId: 'session-123',
+        quota: 'messagesPerDay',
+        used: 8,
+        limit: 10
+      }));
+    });
+
+    test("should use the experiment variant's agent and record the variant", async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'session-123'
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        experimentVariants: [
+          { key: 'new-agent', weight: 1, agentId: 'agent-456', welcomeMessage: null, starters: [] }
+        ],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ content: 'Hi!' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      
+      expect(response.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.typingmind.com/api/v2/agents/agent-456/chat',
+        expect.any(Object)
+      );
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        sessionId: 'session-123',
+        variant: 'new-agent'
+      }));
+    });
+
+    test('should fail over to a backup agent when the primary fails', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        backupAgents: [{ agentId: 'agent-backup', apiKey: 'backup-key' }],
+        upstream: { maxRetries: 0 },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 503,
+          text: async () => 'Service Unavailable'
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ content: 'Answer from backup' })
+        });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data.content).toBe('Answer from backup');
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        'https://api.typingmind.com/api/v2/agents/agent-backup/chat',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'X-API-KEY': 'backup-key' })
+        })
+      );
+      expect(mockUpdateInstanceMetrics).toHaveBeenCalledWith(
+        mockEnv, 'test-instance', expect.any(Number), true, null,
+        { backend: 'backup-1', failovers: 1, retries: 0 }
+      );
+    });
+
+    test('should report the last backend error when every agent fails', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        backupAgents: [{ agentId: 'agent-backup', apiKey: null }],
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      global.fetch
+        .mockRejectedValueOnce(Object.assign(new Error('Aborted'), { name: 'AbortError' }))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ error: { code: 'agent_not_found' } })
+        });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(404);
+      expect(data.typingmindAgentId).toBe('agent-backup');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail the request when every agent returns another agent error', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'session-123'
+      });
+
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        backupAgents: [{ agentId: 'agent-backup', apiKey: null }],
+        quotas: { messagesPerDay: 10 },
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      mockGetQuotaUsage.mockResolvedValue({ day: { messages: 0, tokens: 0 }, month: { messages: 0, tokens: 0 } });
+      global.fetch.mockImplementation(async () => ({
+        ok: true,
+        json: async () => ({ error: { code: 'something_else' } })
+      }));
+
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(502);
+      expect(data.code).toBe('something_else');
+      expect(mockUpdateInstanceMetrics).toHaveBeenCalledWith(
+        mockEnv, 'test-instance', expect.any(Number), false, 'Agent error: something_else',
+        expect.objectContaining({ backend: 'backup-1' })
+      );
+      expect(mockRecordQuotaUsage).not.toHaveBeenCalled();
+      expect(mockSaveExchange).not.toHaveBeenCalled();
+      expect(mockDispatchWebhookEvent).not.toHaveBeenCalledWith(
+        expect.anything(), expect.anything(), expect.anything(), 'message.created', expect.anything()
+      );
+    });
+
+    test('should relay upstream stream as server-sent events', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        sessionId: 'session-123',
+        stream: true
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      const encoder = new TextEncoder();
+      const upstreamBody = new ReadableStream({
+        start(controller) {
+          controller.enqueue(encoder.encode('data: {"content":"Hi"}\n\n'));
+          controller.enqueue(encoder.encode('data: {"content":" there"}\n\n'));
+          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+          controller.close();
+        }
+      });
+      global.fetch.mockResolvedValue(new Response(upstreamBody, {
+        status: 200,
+        headers: { 'Content-Type': 'text/event-stream' }
+      }));
+      
+      const ctx = { waitUntil: jest.fn() };
+      const response = await handleChat(mockRequest, mockEnv, ctx);
+      
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.typingmind.com/api/v2/agents/agent-123/chat',
+        expect.objectContaining({
+          headers: {
+            'Content-Type': 'application/json',
+            'X-API-KEY': 'test-api-key',
+            'Accept': 'text/event-stream'
+          },
+          body: JSON.stringify({ messages: [{ role: 'user', content: 'Hello' }], stream: true })
+        })
+      );
+      
+      const text = await response.text();
+      expect(text).toBe(
+        'data: {"content":"Hi"}\n\n' +
+        'data: {"content":" there"}\n\n' +
+        'event: done\ndata: [DONE]\n\n'
+      );
+      
+      await ctx.waitUntil.mock.calls[0][0];
+      expect(mockUpdateInstanceMetrics).toHaveBeenCalledWith(
+        mockEnv, 'test-instance', expect.any(Number), true, null,
+        { backend: 'primary', failovers: 0, retries: 0 }
+      );
+      expect(mockSaveExchange).toHaveBeenCalledWith(mockEnv.DB, expect.objectContaining({
+        sessionId: 'session-123',
+        assistantContent: 'Hi there'
+      }));
+    });
+
+    test('should fall back to JSON when upstream does not stream', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        messages: [{ role: 'user', content: 'Hello' }],
+        stream: true
+      });
+      
+      mockGetInstanceConfig.mockResolvedValue({
+        id: 'test-instance',
+        allowedDomains: ['example.com'],
+        typingmindAgentId: 'agent-123',
+        rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+      });
+      
+      mockValidateDomain.mockResolvedValue(true);
+      mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+      
+      global.fetch.mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'Content-Type': 'application/json' }),
+        json: async () => ({ content: 'Full reply' })
+      });
+      
+      const response = await handleChat(mockRequest, mockEnv);
+      const data = await response.json();
+      
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ content: 'Full reply' });
+      expect(mockUpdateInstanceMetrics).toHaveBeenCalledWith(
+        mockEnv, 'test-instance', expect.any(Number), true, null,
+        { backend: 'primary', failovers: 0, retries: 0 }
+      );
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Feedback routes module
+ * Handles thumbs up/down ratings of agent replies from the widget
+ */
+
+import { createResponseHeaders } from '../security.js';
+import { checkPublicRequest } from '../middleware/public-request.js';
+import { validateFeedback, saveFeedback } from '../feedback.js';
+
+/**
+ * Handle feedback submission endpoint
+ * Checked like /chat by checkPublicRequest (IDs, domain, state, network rules, rate limits) before the rating itself
+ * @param {Request} request - HTTP request with { instanceId, sessionId, messageKey, rating, comment, content }
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Response} Submission result or error
+ */
+export async function handleSubmitFeedback(request, env, ctx) {
+  const origin = request.headers.get('Origin') || '*';
+  const responseHeaders = createResponseHeaders(origin);
+
+  try {
+    const checked = await checkPublicRequest(request, env, ctx, {
+      scope: 'feedback',
+      requiredFields: ['instanceId', 'sessionId'],
+      responseHeaders
+    });
+    if (checked.response) return checked.response;
+    const { body } = checked;
+    const { instanceId, sessionId } = body;
+
+    const result = validateFeedback(body);
+    if (!result.valid) {
+      return new Response(JSON.stringify({
+        error: 'Invalid feedback',
+        details: result.errors.join(', '),
+        errors: result.errors
+      }), {
+        status: 400,
+        headers: responseHeaders
+      });
+    }
+
+    await saveFeedback(env.DB, {
+      instanceId,
+      sessionId,
+      ...result.feedback
+    });
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 201,
+      headers: responseHeaders
+    });
+  } catch (error) {
+    console.error('[Feedback] Internal error:', error);
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      details: error.message
+    }), {
+      status: 500,
+      headers: responseHeaders
+    });
+  }
+}
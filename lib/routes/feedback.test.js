@@ -0,0 +1,148 @@
+/**
+ * Tests for feedback routes module
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { generateRateLimitKeys, extractClientId, createRateLimitErrorResponse } from '../rate-limiter.js';
+
+// Create mock functions before importing modules
+const mockValidateInstanceId = jest.fn((id) => /^[a-z0-9-]+$/.test(id));
+const mockValidateDomain = jest.fn();
+const mockCreateResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
+const mockGetInstanceConfig = jest.fn();
+const mockEnforceRateLimit = jest.fn();
+
+// Mock modules before imports
+jest.unstable_mockModule('../security.js', () => ({
+  validateInstanceId: mockValidateInstanceId,
+  validateDomain: mockValidateDomain,
+  createResponseHeaders: mockCreateResponseHeaders
+}));
+
+jest.unstable_mockModule('../database.js', () => ({
+  getInstanceConfig: mockGetInstanceConfig
+}));
+
+jest.unstable_mockModule('../rate-limiter.js', () => ({
+  enforceRateLimit: mockEnforceRateLimit,
+  generateRateLimitKeys,
+  extractClientId,
+  createRateLimitErrorResponse
+}));
+
+// Import after mocking
+const { handleSubmitFeedback } = await import('./feedback.js');
+
+describe('Feedback Routes', () => {
+  let mockEnv;
+  let mockRun;
+  let mockBind;
+
+  const createRequest = (body, headers = {}) => ({
+    headers: {
+      get: jest.fn((name) => {
+        if (name === 'Origin') return 'https://example.com';
+        return headers[name] || null;
+      })
+    },
+    json: jest.fn().mockResolvedValue(body)
+  });
+
+  const validBody = {
+    instanceId: 'test-instance',
+    sessionId: 'sess_123',
+    messageKey: '2025-01-01T10:00:00.000Z',
+    rating: 'down',
+    comment: '  Wrong price  ',
+    content: 'The Pro plan costs $5.'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // D1 mock so the real feedback validation and storage code runs
+    mockRun = jest.fn(() => Promise.resolve({ success: true }));
+    mockBind = jest.fn(() => ({ run: mockRun }));
+    mockEnv = { DB: { prepare: jest.fn(() => ({ bind: mockBind })) } };
+
+    mockGetInstanceConfig.mockResolvedValue({
+      id: 'test-instance',
+      allowedDomains: ['example.com'],
+      rateLimit: { messagesPerHour: 100, messagesPerSession: 30 }
+    });
+    mockValidateDomain.mockResolvedValue(true);
+    mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+  });
+
+  test('should store a valid rating', async () => {
+    const response = await handleSubmitFeedback(createRequest(validBody), mockEnv);
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ success: true });
+    expect(mockBind.mock.calls[0].slice(0, 6)).toEqual([
+      'test-instance',
+      'sess_123',
+      '2025-01-01T10:00:00.000Z',
+      -1,
+      'Wrong price',
+      'The Pro plan costs $5.'
+    ]);
+  });
+
+  test('should reject invalid ratings', async () => {
+    const response = await handleSubmitFeedback(createRequest({ ...validBody, rating: 'meh' }), mockEnv);
+    const data = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(data.errors).toEqual(['Rating must be "up" or "down"']);
+    expect(mockRun).not.toHaveBeenCalled();
+  });
+
+  test('should reject unauthorized domains', async () => {
+    mockValidateDomain.mockResolvedValue(false);
+
+    const response = await handleSubmitFeedback(createRequest(validBody), mockEnv);
+
+    expect(response.status).toBe(403);
+    expect(mockRun).not.toHaveBeenCalled();
+  });
+
+  test('should return 404 for unknown instances', async () => {
+    mockGetInstanceConfig.mockResolvedValue(null);
+
+    const response = await handleSubmitFeedback(createRequest(validBody), mockEnv);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should require a session ID', async () => {
+    const response = await handleSubmitFeedback(createRequest({ ...validBody, sessionId: undefined }), mockEnv);
+
+    expect(response.status).toBe(400);
+    expect(mockGetInstanceConfig).not.toHaveBeenCalled();
+  });
+
+  test('should return 400 for invalid JSON', async () => {
+    const request = createRequest(null);
+    request.json.mockRejectedValue(new SyntaxError('Unexpected token'));
+
+    const response = await handleSubmitFeedback(request, mockEnv);
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should rate limit ratings', async () => {
+    mockEnforceRateLimit.mockResolvedValue({ allowed: false, message: 'Slow down', retryAfter: 60 });
+
+    const response = await handleSubmitFeedback(createRequest(validBody), mockEnv);
+
+    expect(response.status).toBe(429);
+    expect(mockRun).not.toHaveBeenCalled();
+  });
+
+  test('should reject oversized requests', async () => {
+    const response = await handleSubmitFeedback(createRequest(validBody, { 'Content-Length': '70000' }), mockEnv);
+
+    expect(response.status).toBe(413);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Handoff routes module
+ * Lets the widget ask for a human and poll for staff replies
+ */
+
+import {
+  validateInstanceId,
+  validateDomain,
+  createResponseHeaders
+} from '../security.js';
+import { getInstanceHandoffConfig } from '../database.js';
+import {
+  getHandoff,
+  requestHandoff,
+  listStaffMessages,
+  isHandoffOpen
+} from '../handoff.js';
+
+/**
+ * Handle a visitor's request to talk to a person
+ * @param {Request} request - HTTP request with { instanceId, sessionId, reason }
+ * @param {Object} env - Environment bindings
+ * @returns {Response} Handoff status or error
+ */
+export async function handleRequestHandoff(request, env) {
+  const origin = request.headers.get('Origin') || '*';
+  const responseHeaders = createResponseHeaders(origin);
+
+  try {
+    const body = await request.json();
+    const { instanceId, sessionId, reason } = body;
+
+    const check = await checkHandoffRequest(request, env, instanceId, sessionId, responseHeaders);
+    if (check.response) {
+      return check.response;
+    }
+
+    await requestHandoff(env.DB, {
+      instanceId,
+      sessionId,
+      requestedBy: 'visitor',
+      reason: typeof reason === 'string' ? reason.trim() || null : null
+    });
+
+    const handoff = await getHandoff(env.DB, instanceId, sessionId);
+
+    return new Response(JSON.stringify({
+      status: handoff?.status || 'requested',
+      waitingMessage: check.instanceConfig.handoff.waitingMessage
+    }), {
+      status: 200,
+      headers: responseHeaders
+    });
+  } catch (error) {
+    console.error('[Handoff] Internal error:', error);
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      details: error.message
+    }), {
+      status: 500,
+      headers: responseHeaders
+    });
+  }
+}
+
+/**
+ * Handle the widget's poll for staff replies
+ * Query: instanceId, sessionId and after (ID of the last staff message the widget has)
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @returns {Response} { status, staffName, messages } or error
+ */
+export async function handleHandoffMessages(request, env) {
+  const origin = request.headers.get('Origin') || '*';
+  const responseHeaders = createResponseHeaders(origin);
+
+  try {
+    const params = new URL(request.url).searchParams;
+    const instanceId = params.get('instanceId');
+    const sessionId = params.get('sessionId');
+    const after = Math.max(0, parseInt(params.get('after')) || 0);
+
+    const check = await checkHandoffRequest(request, env, instanceId, sessionId, responseHeaders);
+    if (check.response) {
+      return check.response;
+    }
+
+    const handoff = await getHandoff(env.DB, instanceId, sessionId);
+    const messages = handoff
+      ? await listStaffMessages(env.DB, instanceId, sessionId, after)
+      : [];
+
+    return new Response(JSON.stringify({
+      status: handoff?.status || 'none',
+      open: isHandoffOpen(handoff),
+      staffName: check.instanceConfig.handoff.staffName,
+      messages
+    }), {
+      status: 200,
+      headers: responseHeaders
+    });
+  } catch (error) {
+    console.error('[Handoff] Internal error:', error);
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      details: error.message
+    }), {
+      status: 500,
+      headers: responseHeaders
+    });
+  }
+}
+
+/**
+ * Run the checks shared by the handoff endpoints
+ * Instance ID format, session ID, instance lookup, allowed domains and the handoff setting
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @param {string} instanceId - Instance ID from the request
+ * @param {string} sessionId - Widget session ID from the request
+ * @param {Object} responseHeaders - CORS response headers
+ * @returns {Promise<Object>} { instanceConfig } or { response } when a check fails
+ */
+async function checkHandoffRequest(request, env, instanceId, sessionId, responseHeaders) {
+  const fail = (status, payload) => ({
+    response: new Response(JSON.stringify(payload), { status, headers: responseHeaders })
+  });
+
+  if (!instanceId || !sessionId) {
+    return fail(400, { error: 'Missing required fields: instanceId and sessionId' });
+  }
+
+  if (!validateInstanceId(instanceId)) {
+    return fail(400, { error: 'Invalid instance ID format' });
+  }
+
+  if (typeof sessionId !== 'string' || sessionId.length > 100) {
+    return fail(400, { error: 'Invalid session ID' });
+  }
+
+  // Only the domains, paths and handoff settings; the widget polls this every few seconds
+  const instanceConfig = await getInstanceHandoffConfig(env.DB, instanceId);
+  if (!instanceConfig) {
+    return fail(404, { error: 'Instance not found' });
+  }
+
+  if (!await validateDomain(request, instanceConfig)) {
+    const requestDomain = request.headers.get('Origin') || request.headers.get('Referer') || 'Unknown domain';
+    return fail(403, {
+      error: 'Domain not authorized',
+      details: `Domain ${requestDomain} is not in the allowed list for instance '${instanceId}'`
+    });
+  }
+
+  if (!instanceConfig.handoff?.enabled) {
+    return fail(404, { error: 'Human handoff is not enabled for this instance' });
+  }
+
+  return { instanceConfig };
+}
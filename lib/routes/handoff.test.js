@@ -0,0 +1,166 @@
+/**
+ * Tests for handoff routes module
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+// Create mock functions before importing modules
+const mockValidateInstanceId = jest.fn((id) => /^[a-z0-9-]+$/.test(id));
+const mockValidateDomain = jest.fn();
+const mockCreateResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
+const mockGetInstanceHandoffConfig = jest.fn();
+
+// Mock modules before imports
+jest.unstable_mockModule('../security.js', () => ({
+  validateInstanceId: mockValidateInstanceId,
+  validateDomain: mockValidateDomain,
+  createResponseHeaders: mockCreateResponseHeaders
+}));
+
+jest.unstable_mockModule('../database.js', () => ({
+  getInstanceHandoffConfig: mockGetInstanceHandoffConfig
+}));
+
+// Import after mocking
+const { handleRequestHandoff, handleHandoffMessages } = await import('./handoff.js');
+
+describe('Handoff Routes', () => {
+  let mockEnv;
+  let mockInstance;
+  let mockFirst;
+  let mockAll;
+  let mockRun;
+  let mockBind;
+
+  const createPostRequest = (body) => ({
+    headers: {
+      get: jest.fn((name) => (name === 'Origin' ? 'https://example.com' : null))
+    },
+    json: jest.fn().mockResolvedValue(body)
+  });
+
+  const createGetRequest = (query) => ({
+    url: `https://worker.example.com/handoff?${new URLSearchParams(query)}`,
+    headers: {
+      get: jest.fn((name) => (name === 'Origin' ? 'https://example.com' : null))
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // D1 mock so the real handoff storage code runs
+    mockFirst = jest.fn(() => Promise.resolve(null));
+    mockAll = jest.fn(() => Promise.resolve({ results: [] }));
+    mockRun = jest.fn(() => Promise.resolve({ success: true }));
+    mockBind = jest.fn(() => ({ first: mockFirst, all: mockAll, run: mockRun }));
+    mockEnv = { DB: { prepare: jest.fn(() => ({ bind: mockBind })) } };
+
+    mockInstance = {
+      id: 'test-instance',
+      allowedDomains: ['example.com'],
+      handoff: {
+        enabled: true,
+        staffName: 'Support team',
+        waitingMessage: 'Connecting you with our team.'
+      }
+    };
+
+    mockGetInstanceHandoffConfig.mockResolvedValue(mockInstance);
+    mockValidateDomain.mockResolvedValue(true);
+  });
+
+  describe('handleRequestHandoff', () => {
+    test('should open a visitor handoff for the session', async () => {
+      mockFirst.mockResolvedValue({ status: 'requested' });
+
+      const response = await handleRequestHandoff(createPostRequest({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        reason: ' Billing question '
+      }), mockEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({ status: 'requested', waitingMessage: 'Connecting you with our team.' });
+
+      const insertCall = mockEnv.DB.prepare.mock.calls.findIndex(([query]) => query.includes('INSERT INTO handoffs'));
+      expect(mockBind.mock.calls[insertCall].slice(0, 4)).toEqual(['test-instance', 'sess_123', 'visitor', 'Billing question']);
+    });
+
+    test('should reject instances without handoff enabled', async () => {
+      mockInstance.handoff.enabled = false;
+
+      const response = await handleRequestHandoff(createPostRequest({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123'
+      }), mockEnv);
+
+      expect(response.status).toBe(404);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should reject unauthorized domains', async () => {
+      mockValidateDomain.mockResolvedValue(false);
+
+      const response = await handleRequestHandoff(createPostRequest({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123'
+      }), mockEnv);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should require a session ID', async () => {
+      const response = await handleRequestHandoff(createPostRequest({ instanceId: 'test-instance' }), mockEnv);
+
+      expect(response.status).toBe(400);
+      expect(mockGetInstanceHandoffConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleHandoffMessages', () => {
+    test('should return staff replies after the given ID', async () => {
+      mockFirst.mockResolvedValue({ status: 'active' });
+      mockAll.mockResolvedValue({
+        results: [{ id: 12, content: 'Hi, I can help', created_at: '2025-01-01T00:00:00.000Z' }]
+      });
+
+      const response = await handleHandoffMessages(createGetRequest({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        after: '10'
+      }), mockEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toEqual({
+        status: 'active',
+        open: true,
+        staffName: 'Support team',
+        messages: [{ id: 12, content: 'Hi, I can help', createdAt: '2025-01-01T00:00:00.000Z' }]
+      });
+      expect(mockBind).toHaveBeenCalledWith('test-instance', 'sess_123', 10, expect.any(Number));
+    });
+
+    test('should report sessions without a handoff', async () => {
+      const response = await handleHandoffMessages(createGetRequest({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123'
+      }), mockEnv);
+      const data = await response.json();
+
+      expect(data).toEqual({ status: 'none', open: false, staffName: 'Support team', messages: [] });
+      expect(mockAll).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid instance IDs', async () => {
+      const response = await handleHandoffMessages(createGetRequest({
+        instanceId: 'Bad ID!',
+        sessionId: 'sess_123'
+      }), mockEnv);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
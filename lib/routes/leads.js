@@ -0,0 +1,79 @@
+/**
+ * Lead routes module
+ * Handles pre-chat form submissions from the widget
+ */
+
+import { createResponseHeaders } from '../security.js';
+import { checkPublicRequest } from '../middleware/public-request.js';
+import { validateLead, saveLead } from '../leads.js';
+import { dispatchWebhookEvent } from '../webhooks.js';
+
+/**
+ * Handle pre-chat form submission endpoint
+ * Checked like /chat by checkPublicRequest (IDs, domain, state, network rules, rate limits) before the form itself
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Response} Submission result or error
+ */
+export async function handleSubmitLead(request, env, ctx) {
+  const origin = request.headers.get('Origin') || '*';
+  const responseHeaders = createResponseHeaders(origin);
+
+  try {
+    const checked = await checkPublicRequest(request, env, ctx, {
+      scope: 'leads',
+      requiredFields: ['instanceId', 'sessionId', 'values'],
+      responseHeaders
+    });
+    if (checked.response) return checked.response;
+    const { body: { instanceId, sessionId, values }, instanceConfig } = checked;
+
+    if (!instanceConfig.leadForm?.enabled) {
+      return new Response(JSON.stringify({ error: 'Lead form is not enabled for this instance' }), {
+        status: 404,
+        headers: responseHeaders
+      });
+    }
+
+    // Check the values against the instance's field configuration
+    const result = validateLead(instanceConfig.leadForm.fields, values);
+    if (!result.valid) {
+      return new Response(JSON.stringify({
+        error: 'Invalid lead',
+        details: result.errors.join(', '),
+        errors: result.errors
+      }), {
+        status: 400,
+        headers: responseHeaders
+      });
+    }
+
+    await saveLead(env.DB, {
+      instanceId,
+      sessionId,
+      values: result.values,
+      origin: request.headers.get('Origin')
+    });
+
+    dispatchWebhookEvent(env, ctx, instanceConfig, 'lead.captured', {
+      sessionId,
+      origin: request.headers.get('Origin'),
+      values: result.values
+    });
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 201,
+      headers: responseHeaders
+    });
+  } catch (error) {
+    console.error('[Lead] Internal error:', error);
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      details: error.message
+    }), {
+      status: 500,
+      headers: responseHeaders
+    });
+  }
+}
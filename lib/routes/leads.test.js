@@ -0,0 +1,235 @@
+/**
+ * Tests for lead routes module
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { generateRateLimitKeys, extractClientId, createRateLimitErrorResponse } from '../rate-limiter.js';
+
+// Create mock functions before importing modules
+const mockValidateInstanceId = jest.fn((id) => /^[a-z0-9-]+$/.test(id));
+const mockValidateDomain = jest.fn();
+const mockCreateResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
+const mockGetInstanceConfig = jest.fn();
+const mockDispatchWebhookEvent = jest.fn(() => Promise.resolve());
+const mockEnforceRateLimit = jest.fn();
+
+// Mock modules before imports
+jest.unstable_mockModule('../security.js', () => ({
+  validateInstanceId: mockValidateInstanceId,
+  validateDomain: mockValidateDomain,
+  createResponseHeaders: mockCreateResponseHeaders
+}));
+
+jest.unstable_mockModule('../database.js', () => ({
+  getInstanceConfig: mockGetInstanceConfig
+}));
+
+jest.unstable_mockModule('../rate-limiter.js', () => ({
+  enforceRateLimit: mockEnforceRateLimit,
+  generateRateLimitKeys,
+  extractClientId,
+  createRateLimitErrorResponse
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  dispatchWebhookEvent: mockDispatchWebhookEvent
+}));
+
+// Import after mocking
+const { handleSubmitLead } = await import('./leads.js');
+
+describe('Lead Routes', () => {
+  let mockEnv;
+  let mockRequest;
+  let mockInstance;
+  let mockRun;
+  let mockBind;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // D1 mock so the real lead validation and storage code runs
+    mockRun = jest.fn(() => Promise.resolve({ success: true }));
+    mockBind = jest.fn(() => ({ run: mockRun }));
+    mockEnv = { DB: { prepare: jest.fn(() => ({ bind: mockBind })) } };
+
+    mockRequest = {
+      headers: {
+        get: jest.fn((name) => (name === 'Origin' ? 'https://example.com' : null))
+      },
+      json: jest.fn()
+    };
+
+    mockInstance = {
+      id: 'test-instance',
+      allowedDomains: ['example.com'],
+      rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+      leadForm: {
+        enabled: true,
+        title: 'Before we start',
+        fields: [
+          { key: 'name', label: 'Name', type: 'text', required: true },
+          { key: 'email', label: 'Email', type: 'email', required: true },
+          { key: 'company', label: 'Company', type: 'text', required: false }
+        ]
+      }
+    };
+
+    mockGetInstanceConfig.mockResolvedValue(mockInstance);
+    mockValidateDomain.mockResolvedValue(true);
+    mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+  });
+
+  describe('handleSubmitLead', () => {
+    test('should save a valid lead against the session', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: ' Ada ', email: 'ada@example.com', company: 'Analytical', extra: 'dropped' }
+      });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(201);
+      expect(await response.json()).toEqual({ success: true });
+      expect(mockEnv.DB.prepare.mock.calls[0][0]).toContain('INSERT INTO leads');
+      expect(mockBind).toHaveBeenCalledWith(
+        'test-instance',
+        'sess_123',
+        'Ada',
+        'ada@example.com',
+        JSON.stringify({ company: 'Analytical' }),
+        'https://example.com',
+        expect.any(String)
+      );
+    });
+
+    test('should send a lead.captured webhook event', async () => {
+      const ctx = { waitUntil: jest.fn() };
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: 'Ada', email: 'ada@example.com' }
+      });
+
+      await handleSubmitLead(mockRequest, mockEnv, ctx);
+
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, ctx, mockInstance, 'lead.captured', {
+        sessionId: 'sess_123',
+        origin: 'https://example.com',
+        values: { name: 'Ada', email: 'ada@example.com' }
+      });
+    });
+
+    test('should return 400 with field errors for invalid values', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: '', email: 'not-an-email' }
+      });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual(['Name is required', 'Email must be a valid email address']);
+      expect(mockRun).not.toHaveBeenCalled();
+      expect(mockDispatchWebhookEvent).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when required fields are missing', async () => {
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', values: {} });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(400);
+      expect(mockGetInstanceConfig).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an invalid instance ID', async () => {
+      mockRequest.json.mockResolvedValue({ instanceId: 'Bad ID!', sessionId: 'sess_123', values: {} });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toBe('Invalid instance ID format');
+    });
+
+    test('should return 404 for unknown instances', async () => {
+      mockGetInstanceConfig.mockResolvedValue(null);
+      mockRequest.json.mockResolvedValue({ instanceId: 'missing', sessionId: 'sess_123', values: {} });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 403 for domains outside the allowed list', async () => {
+      mockValidateDomain.mockResolvedValue(false);
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', sessionId: 'sess_123', values: {} });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(403);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 429 when the visitor is rate limited', async () => {
+      mockEnforceRateLimit.mockResolvedValue({ allowed: false, message: 'Slow down', retryAfter: 60 });
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: 'Ada', email: 'ada@example.com' }
+      });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(429);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for invalid JSON', async () => {
+      mockRequest.json.mockRejectedValue(new SyntaxError('Unexpected token'));
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 404 when the instance has no lead form', async () => {
+      mockInstance.leadForm.enabled = false;
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: 'Ada', email: 'ada@example.com' }
+      });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(404);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 413 for oversized requests', async () => {
+      mockRequest.headers.get.mockImplementation((name) => (name === 'Content-Length' ? '70000' : null));
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(413);
+      expect(mockRequest.json).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when saving fails', async () => {
+      mockRun.mockRejectedValueOnce(new Error('D1 unavailable'));
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: 'Ada', email: 'ada@example.com' }
+      });
+
+      const response = await handleSubmitLead(mockRequest, mockEnv);
+
+      expect(response.status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Offline message routes module
+ * Handles messages left through the widget's offline form while an instance is closed
+ */
+
+import { createResponseHeaders } from '../security.js';
+import { checkPublicRequest } from '../middleware/public-request.js';
+import { validateOfflineMessage, saveOfflineMessage } from '../business-hours.js';
+import { dispatchWebhookEvent } from '../webhooks.js';
+
+/**
+ * Handle offline form submission endpoint
+ * Checked like /chat by checkPublicRequest (IDs, domain, state, network rules, rate limits).
+ * Messages are accepted whenever the instance uses the offline form, so a visitor who
+ * opened the form just before opening time can still send it
+ * @param {Request} request - HTTP request
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @returns {Response} Submission result or error
+ */
+export async function handleSubmitOfflineMessage(request, env, ctx) {
+  const origin = request.headers.get('Origin') || '*';
+  const responseHeaders = createResponseHeaders(origin);
+
+  try {
+    const checked = await checkPublicRequest(request, env, ctx, {
+      scope: 'offline',
+      requiredFields: ['instanceId', 'sessionId', 'values'],
+      responseHeaders
+    });
+    if (checked.response) return checked.response;
+    const { body: { instanceId, sessionId, values }, instanceConfig } = checked;
+
+    if (!instanceConfig.businessHours?.enabled || instanceConfig.businessHours.offlineBehavior !== 'form') {
+      return new Response(JSON.stringify({ error: 'Offline form is not enabled for this instance' }), {
+        status: 404,
+        headers: responseHeaders
+      });
+    }
+
+    const result = validateOfflineMessage(values);
+    if (!result.valid) {
+      return new Response(JSON.stringify({
+        error: 'Invalid message',
+        details: result.errors.join(', '),
+        errors: result.errors
+      }), {
+        status: 400,
+        headers: responseHeaders
+      });
+    }
+
+    await saveOfflineMessage(env.DB, {
+      instanceId,
+      sessionId,
+      values: result.values,
+      origin: request.headers.get('Origin')
+    });
+
+    dispatchWebhookEvent(env, ctx, instanceConfig, 'offline.message', {
+      sessionId,
+      origin: request.headers.get('Origin'),
+      values: result.values
+    });
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 201,
+      headers: responseHeaders
+    });
+  } catch (error) {
+    console.error('[Offline] Internal error:', error);
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      details: error.message
+    }), {
+      status: 500,
+      headers: responseHeaders
+    });
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Tests for offline message routes module
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { generateRateLimitKeys, extractClientId, createRateLimitErrorResponse } from '../rate-limiter.js';
+
+// Create mock functions before importing modules
+const mockValidateInstanceId = jest.fn((id) => /^[a-z0-9-]+$/.test(id));
+const mockValidateDomain = jest.fn();
+const mockCreateResponseHeaders = jest.fn(() => ({ 'Content-Type': 'application/json' }));
+const mockGetInstanceConfig = jest.fn();
+const mockDispatchWebhookEvent = jest.fn(() => Promise.resolve());
+const mockEnforceRateLimit = jest.fn();
+
+// Mock modules before imports
+jest.unstable_mockModule('../security.js', () => ({
+  validateInstanceId: mockValidateInstanceId,
+  validateDomain: mockValidateDomain,
+  createResponseHeaders: mockCreateResponseHeaders
+}));
+
+jest.unstable_mockModule('../database.js', () => ({
+  getInstanceConfig: mockGetInstanceConfig
+}));
+
+jest.unstable_mockModule('../rate-limiter.js', () => ({
+  enforceRateLimit: mockEnforceRateLimit,
+  generateRateLimitKeys,
+  extractClientId,
+  createRateLimitErrorResponse
+}));
+
+jest.unstable_mockModule('../webhooks.js', () => ({
+  dispatchWebhookEvent: mockDispatchWebhookEvent
+}));
+
+// Import after mocking
+const { handleSubmitOfflineMessage } = await import('./offline.js');
+
+describe('Offline Message Routes', () => {
+  let mockEnv;
+  let mockRequest;
+  let mockInstance;
+  let mockRun;
+  let mockBind;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // D1 mock so the real validation and storage code runs
+    mockRun = jest.fn(() => Promise.resolve({ success: true }));
+    mockBind = jest.fn(() => ({ run: mockRun }));
+    mockEnv = { DB: { prepare: jest.fn(() => ({ bind: mockBind })) } };
+
+    mockRequest = {
+      headers: {
+        get: jest.fn((name) => (name === 'Origin' ? 'https://example.com' : null))
+      },
+      json: jest.fn()
+    };
+
+    mockInstance = {
+      id: 'test-instance',
+      allowedDomains: ['example.com'],
+      rateLimit: { messagesPerHour: 100, messagesPerSession: 30 },
+      businessHours: { enabled: true, offlineBehavior: 'form' }
+    };
+
+    mockGetInstanceConfig.mockResolvedValue(mockInstance);
+    mockValidateDomain.mockResolvedValue(true);
+    mockEnforceRateLimit.mockResolvedValue({ allowed: true });
+  });
+
+  describe('handleSubmitOfflineMessage', () => {
+    test('should save the message and send an offline.message webhook event', async () => {
+      const ctx = { waitUntil: jest.fn() };
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: ' Ada ', email: 'ada@example.com', message: 'Please call me back' }
+      });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv, ctx);
+
+      expect(response.status).toBe(201);
+      expect(mockEnv.DB.prepare.mock.calls[0][0]).toContain('INSERT INTO offline_messages');
+      expect(mockBind).toHaveBeenCalledWith(
+        'test-instance',
+        'sess_123',
+        'Ada',
+        'ada@example.com',
+        'Please call me back',
+        'https://example.com',
+        expect.any(String)
+      );
+      expect(mockDispatchWebhookEvent).toHaveBeenCalledWith(mockEnv, ctx, mockInstance, 'offline.message', {
+        sessionId: 'sess_123',
+        origin: 'https://example.com',
+        values: { name: 'Ada', email: 'ada@example.com', message: 'Please call me back' }
+      });
+    });
+
+    test('should return 400 with field errors for invalid values', async () => {
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { email: 'not-an-email', message: '' }
+      });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+      const data = await response.json();
+
+      expect(response.status).toBe(400);
+      expect(data.errors).toEqual(['Email must be a valid email address', 'Message is required']);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 when the instance does not use the offline form', async () => {
+      mockInstance.businessHours.offlineBehavior = 'banner';
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { email: 'ada@example.com', message: 'Hello' }
+      });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+
+      expect(response.status).toBe(404);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 for domains outside the allowed list', async () => {
+      mockValidateDomain.mockResolvedValue(false);
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', sessionId: 'sess_123', values: {} });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+
+      expect(response.status).toBe(403);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 when required fields are missing', async () => {
+      mockRequest.json.mockResolvedValue({ instanceId: 'test-instance', values: {} });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+
+      expect(response.status).toBe(400);
+      expect(mockGetInstanceConfig).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for invalid JSON', async () => {
+      mockRequest.json.mockRejectedValue(new SyntaxError('Unexpected token'));
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should return 429 when the visitor is rate limited', async () => {
+      mockEnforceRateLimit.mockResolvedValue({ allowed: false, message: 'Slow down', retryAfter: 60 });
+      mockRequest.json.mockResolvedValue({
+        instanceId: 'test-instance',
+        sessionId: 'sess_123',
+        values: { name: 'Ada', email: 'ada@example.com', message: 'Call me back' }
+      });
+
+      const response = await handleSubmitOfflineMessage(mockRequest, mockEnv);
+
+      expect(response.status).toBe(429);
+      expect(mockRun).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -5,7 +5,9 @@
 
 import { securityHeaders } from '../security.js';
 import { getInstanceConfig } from '../database.js';
-import { checkRateLimitStatus } from '../rate-limiter.js';
+import { readRateLimitUsage } from '../rate-limiter.js';
+import { getInstanceState } from '../instance-state.js';
+import { escapeHtml } from '../templates/admin-layout.js';
 
 /**
  * Get instance status information
@@ -35,19 +37,11 @@ export async function handleInstanceStatus(request, env, ctx, instanceId) {
     
     // Get current rate limit status (without incrementing)
     const clientId = request.headers.get('CF-Connecting-IP') || 'anonymous';
-    const hourlyStatus = await checkRateLimitStatus(
-      env.RATE_LIMITS,
+    const { hourly: hourlyStatus, session: sessionStatus } = await readRateLimitUsage(
+      env,
       instanceId,
       clientId,
-      'hourly',
-      instanceConfig.rateLimit.messagesPerHour
-    );
-    const sessionStatus = await checkRateLimitStatus(
-      env.RATE_LIMITS,
-      instanceId,
-      'session-' + clientId,
-      'session',
-      instanceConfig.rateLimit.messagesPerSession
+      instanceConfig.rateLimit
     );
     
     // Get metrics from KV storage
@@ -67,12 +61,17 @@ export async function handleInstanceStatus(request, env, ctx, instanceId) {
       ? ((metrics.successfulRequests / metrics.totalRequests) * 100).toFixed(2)
       : 100;
     
+    // Paused and maintenance instances report their state instead of online
+    const instanceState = getInstanceState(instanceConfig.availability);
+    
     // Prepare response
     const statusResponse = {
       instance: {
         id: instanceConfig.id,
         name: instanceConfig.name,
-        status: 'online' // Could be enhanced with actual health checks
+        status: instanceState.state === 'active' ? 'online' : instanceState.state,
+        message: instanceState.message,
+        maintenanceEndsAt: instanceState.endsAt
       },
       metrics: {
         avgResponseTime: Math.round(metrics.avgResponseTime || 0),
@@ -80,6 +79,10 @@ export async function handleInstanceStatus(request, env, ctx, instanceId) {
         totalRequests: metrics.totalRequests,
         successfulRequests: metrics.successfulRequests,
         failedRequests: metrics.failedRequests,
+        failovers: metrics.failovers || 0,
+        retries: metrics.retries || 0,
+        lastBackend: metrics.lastBackend || null,
+        backends: metrics.backends || {},
         rateLimits: {
           messagesPerHour: {
             used: hourlyStatus.count,
@@ -144,8 +147,13 @@ export async function handleInstanceStatus(request, env, ctx, instanceId) {
 function generateStatusHTML(status) {
   const { instance, metrics, lastError, lastChecked } = status;
   const isOnline = instance.status === 'online';
-  const statusColor = isOnline ? '#4caf50' : '#f44336';
-  const statusText = isOnline ? 'Online' : 'Offline';
+  const statusColors = { online: '#4caf50', paused: '#9e9e9e', maintenance: '#ff9800' };
+  const statusTexts = { online: 'Online', paused: 'Paused', maintenance: 'Maintenance' };
+  const statusColor = statusColors[instance.status] || '#f44336';
+  const statusText = statusTexts[instance.status] || 'Offline';
+  const maintenanceUntil = instance.maintenanceEndsAt
+    ? ` until ${new Date(instance.maintenanceEndsAt).toUTCString()}`
+    : '';
   
   return `
 <!DOCTYPE html>
@@ -209,6 +217,11 @@ function generateStatusHTML(status) {
       animation: ${isOnline ? 'pulse' : 'none'} 2s infinite;
     }
     
+    .status-message {
+      margin-top: 10px;
+      color: #666;
+    }
+    
     @keyframes pulse {
       0% { opacity: 1; }
       50% { opacity: 0.5; }
@@ -307,6 +320,7 @@ function generateStatusHTML(status) {
         <span class="status-dot"></span>
         ${statusText}
       </div>
+      ${instance.message ? `<p class="status-message">${escapeHtml(instance.message)}${maintenanceUntil}</p>` : ''}
     </div>
     
     <div class="metrics-grid">
@@ -335,6 +349,25 @@ function generateStatusHTML(status) {
       </div>
     </div>
     
+    ${metrics.lastBackend ? `
+    <div class="metrics-grid">
+      <div class="metric-card">
+        <div class="metric-label">Last Answered By</div>
+        <div class="metric-value">${escapeHtml(metrics.lastBackend)}</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-label">Failovers</div>
+        <div class="metric-value">${metrics.failovers}</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-label">Retries</div>
+        <div class="metric-value">${metrics.retries}</div>
+      </div>
+    </div>
+    ` : ''}
+    
     <div class="metrics-grid">
       <div class="metric-card">
         <div class="metric-label">Hourly Rate Limit</div>
@@ -409,8 +442,13 @@ function formatTime(seconds) {
  * @param {number} responseTime - Response time in ms
  * @param {boolean} success - Whether request was successful
  * @param {string} error - Error message if any
+ * @param {Object} details - Upstream details
+ * @param {string} details.backend - Label of the backend that handled the request ('primary', 'backup-1', ...);
+ *   never the agent ID, since the status page is public
+ * @param {number} details.failovers - Number of backends skipped before it
+ * @param {number} details.retries - Number of retries made across backends
  */
-export async function updateInstanceMetrics(env, instanceId, responseTime, success, error = null) {
+export async function updateInstanceMetrics(env, instanceId, responseTime, success, error = null, details = {}) {
   const metricsKey = `status:${instanceId}:metrics`;
   
   // Get existing metrics
@@ -435,6 +473,19 @@ export async function updateInstanceMetrics(env, instanceId, responseTime, succe
     }
   }
   
+  // Track which backend answered and how often we had to fail over
+  if (details.backend) {
+    metrics.backends = metrics.backends || {};
+    metrics.backends[details.backend] = (metrics.backends[details.backend] || 0) + 1;
+    metrics.lastBackend = details.backend;
+  }
+  if (details.failovers) {
+    metrics.failovers = (metrics.failovers || 0) + details.failovers;
+  }
+  if (details.retries) {
+    metrics.retries = (metrics.retries || 0) + details.retries;
+  }
+  
   // Update response times (keep last 10)
   metrics.lastResponseTimes.push(responseTime);
   if (metrics.lastResponseTimes.length > 10) {
@@ -33,8 +33,9 @@ export function validateInstanceId(instanceId) {
 
 /**
  * Enhanced domain validation with better debugging
+ * When the instance has allowed paths, the Referer path must match one of them
  * @param {Request} request - The incoming request
- * @param {Object} instanceConfig - The instance configuration containing allowed domains
+ * @param {Object} instanceConfig - The instance configuration containing allowed domains and paths
  * @returns {Promise<boolean>} - True if domain is allowed, false otherwise
  */
 export async function validateDomain(request, instanceConfig) {
@@ -103,14 +104,90 @@ export async function validateDomain(request, instanceConfig) {
       return exactMatch;
     });
     
-    console.log('[validateDomain] Final result:', isAllowed);
-    return isAllowed;
+    if (!isAllowed) {
+      console.log('[validateDomain] Final result:', false);
+      return false;
+    }
+    
+    // Path restrictions only apply when the instance defines them
+    const allowedPaths = instanceConfig.allowedPaths || [];
+    if (allowedPaths.length === 0) {
+      console.log('[validateDomain] Final result:', true);
+      return true;
+    }
+    
+    // Origin never carries a path, so the page path comes from the Referer
+    if (!referer) {
+      console.log('[validateDomain] Path rules set but no referer, rejecting');
+      return false;
+    }
+    
+    const refererUrl = new URL(referer);
+    if (origin && refererUrl.origin !== new URL(origin).origin) {
+      console.log('[validateDomain] Referer does not match origin, rejecting');
+      return false;
+    }
+    
+    const pathAllowed = isPathAllowed(refererUrl.pathname, allowedPaths);
+    console.log('[validateDomain] Path check:', { path: refererUrl.pathname, allowedPaths, pathAllowed });
+    console.log('[validateDomain] Final result:', pathAllowed);
+    return pathAllowed;
   } catch (error) {
     console.error('[validateDomain] Error:', error);
     return false;
   }
 }
 
+/**
+ * Match a URL path against a single path rule
+ * - Exact: `/pricing` matches `/pricing` and `/pricing/`
+ * - Prefix: `/docs/` matches `/docs` and anything below it
+ * - Glob: `*` matches any characters (including `/`), `?` matches one character;
+ *   `/blog/*` also matches `/blog` itself
+ * @param {string} pathname - The URL path to check
+ * @param {string} rule - The allowed path rule
+ * @returns {boolean} - True if the path matches the rule
+ */
+export function matchPath(pathname, rule) {
+  if (!rule || !rule.startsWith('/')) return false;
+  
+  // Ignore trailing slashes on the page path so /blog and /blog/ behave the same
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+  
+  if (rule.includes('*') || rule.includes('?')) {
+    const pattern = rule
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    // Let "/blog/*" cover the "/blog" index page too
+    const optionalTail = pattern.endsWith('/.*') ? `${pattern.slice(0, -3)}(/.*)?` : pattern;
+    return new RegExp(`^${optionalTail}$`).test(path);
+  }
+  
+  if (rule.endsWith('/') && rule.length > 1) {
+    const base = rule.slice(0, -1);
+    return path === base || path.startsWith(rule);
+  }
+  
+  return path === rule;
+}
+
+/**
+ * Check a URL path against a list of allowed path rules
+ * An empty list allows every path
+ * @param {string} pathname - The URL path to check
+ * @param {string[]} allowedPaths - Allowed path rules (see matchPath)
+ * @returns {boolean} - True if the path is allowed
+ */
+export function isPathAllowed(pathname, allowedPaths = []) {
+  if (!allowedPaths || allowedPaths.length === 0) return true;
+  return allowedPaths.some(rule => matchPath(pathname, rule));
+}
+
 /**
  * Create response headers with CORS and security headers
  * @param {string} origin - The request origin
@@ -8,6 +8,8 @@ import {
   securityHeaders, 
   validateInstanceId, 
   validateDomain,
+  matchPath,
+  isPathAllowed,
   createResponseHeaders,
   handleCORSPreflight
 } from './security.js';
@@ -87,6 +89,108 @@ describe('Security Module', () => {
       });
       expect(await validateDomain(request, mockInstanceConfig)).toBe(true);
     });
+
+    describe('with allowed paths', () => {
+      const blogConfig = {
+        allowedDomains: ['example.com'],
+        allowedPaths: ['/blog/*']
+      };
+
+      test('should allow referer paths matching a rule', async () => {
+        const request = new Request('https://worker.example.com/chat', {
+          headers: {
+            'Origin': 'https://example.com',
+            'Referer': 'https://example.com/blog/seo-tips?utm=1'
+          }
+        });
+        expect(await validateDomain(request, blogConfig)).toBe(true);
+      });
+
+      test('should reject referer paths outside the rules', async () => {
+        const request = new Request('https://worker.example.com/chat', {
+          headers: {
+            'Origin': 'https://example.com',
+            'Referer': 'https://example.com/pricing'
+          }
+        });
+        expect(await validateDomain(request, blogConfig)).toBe(false);
+      });
+
+      test('should reject when the referer is missing', async () => {
+        const request = new Request('https://worker.example.com/chat', {
+          headers: { 'Origin': 'https://example.com' }
+        });
+        expect(await validateDomain(request, blogConfig)).toBe(false);
+      });
+
+      test('should reject a referer from a different origin', async () => {
+        const request = new Request('https://worker.example.com/chat', {
+          headers: {
+            'Origin': 'https://example.com',
+            'Referer': 'https://evil.com/blog/post'
+          }
+        });
+        expect(await validateDomain(request, blogConfig)).toBe(false);
+      });
+
+      test('should still reject disallowed domains', async () => {
+        const request = new Request('https://worker.example.com/chat', {
+          headers: {
+            'Origin': 'https://evil.com',
+            'Referer': 'https://evil.com/blog/post'
+          }
+        });
+        expect(await validateDomain(request, blogConfig)).toBe(false);
+      });
+    });
+  });
+
+  describe('matchPath', () => {
+    test('should match exact paths ignoring a trailing slash', () => {
+      expect(matchPath('/pricing', '/pricing')).toBe(true);
+      expect(matchPath('/pricing/', '/pricing')).toBe(true);
+      expect(matchPath('/pricing/enterprise', '/pricing')).toBe(false);
+      expect(matchPath('/', '/')).toBe(true);
+      expect(matchPath('/about', '/')).toBe(false);
+    });
+
+    test('should match prefix rules ending with a slash', () => {
+      expect(matchPath('/docs', '/docs/')).toBe(true);
+      expect(matchPath('/docs/getting-started', '/docs/')).toBe(true);
+      expect(matchPath('/docs/api/v2', '/docs/')).toBe(true);
+      expect(matchPath('/documents', '/docs/')).toBe(false);
+    });
+
+    test('should match glob rules', () => {
+      expect(matchPath('/blog', '/blog/*')).toBe(true);
+      expect(matchPath('/blog/post-1', '/blog/*')).toBe(true);
+      expect(matchPath('/blog/2024/post-1', '/blog/*')).toBe(true);
+      expect(matchPath('/blogger', '/blog/*')).toBe(false);
+      expect(matchPath('/shop/item-42/reviews', '/shop/*/reviews')).toBe(true);
+      expect(matchPath('/v1/help', '/v?/help')).toBe(true);
+    });
+
+    test('should treat regex characters literally', () => {
+      expect(matchPath('/a.b', '/a.b')).toBe(true);
+      expect(matchPath('/axb', '/a.b*')).toBe(false);
+    });
+
+    test('should ignore invalid rules', () => {
+      expect(matchPath('/blog', '')).toBe(false);
+      expect(matchPath('/blog', 'blog/*')).toBe(false);
+    });
+  });
+
+  describe('isPathAllowed', () => {
+    test('should allow every path when no rules are set', () => {
+      expect(isPathAllowed('/anything', [])).toBe(true);
+      expect(isPathAllowed('/anything', undefined)).toBe(true);
+    });
+
+    test('should allow a path matching any rule', () => {
+      expect(isPathAllowed('/docs/a', ['/blog/*', '/docs/'])).toBe(true);
+      expect(isPathAllowed('/contact', ['/blog/*', '/docs/'])).toBe(false);
+    });
   });
 
   describe('createResponseHeaders', () => {
@@ -3,6 +3,20 @@
  * Handles business logic for admin operations
  */
 
+import { validateLeadFields } from '../leads.js';
+import { WEBHOOK_EVENTS } from '../webhooks.js';
+import { MAX_STARTERS, MAX_QUICK_REPLY_LENGTH } from '../quick-replies.js';
+import { REDACTION_ACTIONS, validateRedactionPatterns } from '../redaction.js';
+import { validateGuardrailRules, MAX_REFUSAL_LENGTH } from '../guardrails.js';
+import { DEFAULT_QUOTA_WARNING_PERCENT } from '../quotas.js';
+import { NETWORK_RULE_LISTS, validateNetworkRules } from '../network-rules.js';
+import { DEFAULT_CHALLENGE_TRUST_MINUTES, MAX_CHALLENGE_TRUST_MINUTES } from '../challenge.js';
+import { validateBusinessHours } from '../business-hours.js';
+import { validateInstanceState } from '../instance-state.js';
+import { validateExperimentVariants } from '../experiments.js';
+import { validateLocaleSettings } from '../locales.js';
+import { UPSTREAM_SETTING_LIMITS } from '../upstream.js';
+
 /**
  * Process form data for instance creation/update
  * Converts form data to the format expected by the database
@@ -16,6 +30,15 @@ export function processFormData(formData) {
   data.markdown = data.markdown === 'on' || data.markdown === true;
   data.image_upload = data.image_upload === 'on' || data.image_upload === true;
   data.persist_session = data.persist_session === 'on' || data.persist_session === true;
+  data.lead_form_enabled = data.lead_form_enabled === 'on' || data.lead_form_enabled === true;
+  data.handoff_enabled = data.handoff_enabled === 'on' || data.handoff_enabled === true;
+  data.guardrail_check_replies = data.guardrail_check_replies === 'on' || data.guardrail_check_replies === true;
+  data.challenge_enabled = data.challenge_enabled === 'on' || data.challenge_enabled === true;
+  data.identity_enabled = data.identity_enabled === 'on' || data.identity_enabled === true;
+  data.identity_forward_to_agent = data.identity_forward_to_agent === 'on' || data.identity_forward_to_agent === true;
+  data.business_hours_enabled = data.business_hours_enabled === 'on' || data.business_hours_enabled === true;
+  data.business_hours_strict = data.business_hours_strict === 'on' || data.business_hours_strict === true;
+  data.locale_auto_detect = data.locale_auto_detect === 'on' || data.locale_auto_detect === true;
   
   // Parse domains (split by newlines and filter empty)
   if (typeof data.domains === 'string') {
@@ -27,16 +50,109 @@ export function processFormData(formData) {
     data.domains = [];
   }
   
-  // Parse paths if provided (for future use)
-  if (data.paths) {
-    if (typeof data.paths === 'string') {
-      data.paths = data.paths
+  // Parse paths (split by newlines and filter empty)
+  if (typeof data.paths === 'string') {
+    data.paths = data.paths
+      .split('\n')
+      .map(p => p.trim())
+      .filter(p => p.length > 0);
+  } else if (!Array.isArray(data.paths)) {
+    data.paths = [];
+  }
+  
+  // Parse backup agents (one "agent-id" or "agent-id, api-key" per line)
+  if (typeof data.backup_agents === 'string') {
+    data.backup_agents = parseBackupAgents(data.backup_agents);
+  } else if (!Array.isArray(data.backup_agents)) {
+    data.backup_agents = [];
+  }
+  
+  // Parse conversation starters (one prompt per line)
+  if (typeof data.starters === 'string') {
+    data.starters = data.starters
+      .split('\n')
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+  } else if (!Array.isArray(data.starters)) {
+    data.starters = [];
+  }
+  
+  // Parse experiment variants (one "key | weight | agent | welcome | starter; starter" per line)
+  if (typeof data.experiment_variants === 'string') {
+    data.experiment_variants = parseExperimentVariants(data.experiment_variants);
+  } else if (!Array.isArray(data.experiment_variants)) {
+    data.experiment_variants = [];
+  }
+  
+  // Parse lead form fields (one "key | Label | type | required" per line)
+  if (typeof data.lead_form_fields === 'string') {
+    data.lead_form_fields = parseLeadFields(data.lead_form_fields);
+  } else if (!Array.isArray(data.lead_form_fields)) {
+    data.lead_form_fields = [];
+  }
+  
+  // Parse redaction patterns (one "name | action | pattern" per line)
+  if (typeof data.redaction_patterns === 'string') {
+    data.redaction_patterns = parseRedactionPatterns(data.redaction_patterns);
+  } else if (!Array.isArray(data.redaction_patterns)) {
+    data.redaction_patterns = [];
+  }
+  
+  // Parse guardrail keywords and patterns (one per line)
+  for (const field of ['blocked_keywords', 'blocked_patterns']) {
+    if (typeof data[field] === 'string') {
+      data[field] = data[field]
         .split('\n')
-        .map(p => p.trim())
-        .filter(p => p.length > 0);
+        .map(rule => rule.trim())
+        .filter(rule => rule.length > 0);
+    } else if (!Array.isArray(data[field])) {
+      data[field] = [];
+    }
+  }
+  
+  // Parse network rules (IP ranges, countries or ASNs, one per line or comma-separated)
+  for (const { field } of NETWORK_RULE_LISTS) {
+    if (typeof data[field] === 'string') {
+      data[field] = data[field]
+        .split(/[\n,]/)
+        .map(rule => rule.trim())
+        .filter(rule => rule.length > 0);
+    } else if (!Array.isArray(data[field])) {
+      data[field] = [];
     }
   }
   
+  // Parse holidays (one date per line or comma-separated)
+  if (typeof data.business_holidays === 'string') {
+    data.business_holidays = data.business_holidays
+      .split(/[\n,]/)
+      .map(date => date.trim())
+      .filter(date => date.length > 0);
+  } else if (!Array.isArray(data.business_holidays)) {
+    data.business_holidays = [];
+  }
+  
+  // Parse welcome translations (one "locale | message" per line)
+  if (typeof data.welcome_translations === 'string') {
+    data.welcome_translations = parseWelcomeTranslations(data.welcome_translations);
+  } else if (!Array.isArray(data.welcome_translations)) {
+    data.welcome_translations = [];
+  }
+  
+  // Parse widget string overrides (one "locale | key | text" per line)
+  if (typeof data.string_overrides === 'string') {
+    data.string_overrides = parseStringOverrides(data.string_overrides);
+  } else if (!Array.isArray(data.string_overrides)) {
+    data.string_overrides = [];
+  }
+  
+  // Parse webhooks (one "url | event, event | secret" per line)
+  if (typeof data.webhooks === 'string') {
+    data.webhooks = parseWebhooks(data.webhooks);
+  } else if (!Array.isArray(data.webhooks)) {
+    data.webhooks = [];
+  }
+  
   // Convert numeric fields
   if (data.width !== undefined) {
     data.width = parseInt(data.width) || 380;
@@ -47,10 +163,184 @@ export function processFormData(formData) {
   if (data.messages_per_session !== undefined) {
     data.messages_per_session = parseInt(data.messages_per_session) || 30;
   }
+  if (data.timeout_ms !== undefined) {
+    data.timeout_ms = parseInt(data.timeout_ms) || 30000;
+  }
+  if (data.max_retries !== undefined) {
+    const maxRetries = parseInt(data.max_retries);
+    data.max_retries = isNaN(maxRetries) ? 2 : maxRetries;
+  }
+  if (data.backoff_base_ms !== undefined) {
+    data.backoff_base_ms = parseInt(data.backoff_base_ms) || 500;
+  }
+  if (data.backoff_max_ms !== undefined) {
+    data.backoff_max_ms = parseInt(data.backoff_max_ms) || 8000;
+  }
+  
+  // Empty quotas mean unlimited
+  for (const field of ['messages_per_day', 'messages_per_month', 'tokens_per_month']) {
+    if (data[field] !== undefined) {
+      const value = parseInt(data[field]);
+      data[field] = isNaN(value) ? null : value;
+    }
+  }
+  if (data.quota_warning_percent !== undefined) {
+    data.quota_warning_percent = parseInt(data.quota_warning_percent) || DEFAULT_QUOTA_WARNING_PERCENT;
+  }
+  if (data.challenge_trust_minutes !== undefined) {
+    data.challenge_trust_minutes = parseInt(data.challenge_trust_minutes) || DEFAULT_CHALLENGE_TRUST_MINUTES;
+  }
   
   return data;
 }
 
+/**
+ * Parse the backup agents textarea into ordered agent/key pairs
+ * @param {string} text - One "agent-id" or "agent-id, api-key" per line
+ * @returns {Array<Object>} Backups as { typingmind_agent_id, api_key }
+ */
+export function parseBackupAgents(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [agentId, ...keyParts] = line.split(',');
+      return {
+        typingmind_agent_id: agentId.trim(),
+        api_key: keyParts.join(',').trim() || null
+      };
+    });
+}
+
+/**
+ * Parse the lead form fields textarea
+ * The type defaults to text and a field is optional unless its fourth part is "required"
+ * @param {string} text - One "key | Label | type | required" per line
+ * @returns {Array<Object>} Fields as { key, label, type, required }
+ */
+export function parseLeadFields(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [key, label, type, required] = line.split('|').map(part => part.trim());
+      return {
+        key,
+        label: label || key,
+        type: (type || 'text').toLowerCase(),
+        required: (required || '').toLowerCase() === 'required'
+      };
+    });
+}
+
+/**
+ * Parse the redaction patterns textarea
+ * The pattern comes last so it may itself contain "|"
+ * @param {string} text - One "name | action | pattern" per line
+ * @returns {Array<Object>} Patterns as { name, pattern, action }
+ */
+export function parseRedactionPatterns(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [name, action, ...patternParts] = line.split('|');
+      return {
+        name: name.trim(),
+        pattern: patternParts.join('|').trim(),
+        action: (action || '').trim().toLowerCase()
+      };
+    });
+}
+
+/**
+ * Parse the webhooks textarea
+ * A line without events subscribes to every event; a line without a secret gets one generated on save
+ * @param {string} text - One "url | event, event | secret" per line
+ * @returns {Array<Object>} Webhooks as { url, events, secret }
+ */
+export function parseWebhooks(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [url, events, secret] = line.split('|').map(part => part.trim());
+      return {
+        url,
+        events: (events || '').split(',').map(event => event.trim()).filter(event => event.length > 0),
+        secret: secret || null
+      };
+    });
+}
+
+/**
+ * Parse the experiment variants textarea
+ * Empty agent, welcome or starter fields keep the instance's own setting for that variant
+ * @param {string} text - One "key | weight | agent-id | welcome message | starter; starter" per line
+ * @returns {Array<Object>} Variants as { key, weight, typingmind_agent_id, welcome_message, starters }
+ */
+export function parseExperimentVariants(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [key, weight, agentId, welcome, starters] = line.split('|').map(part => part.trim());
+      return {
+        key: (key || '').toLowerCase(),
+        weight: weight ? Number(weight) : null,
+        typingmind_agent_id: agentId || null,
+        welcome_message: welcome || null,
+        starters: (starters || '').split(';').map(starter => starter.trim()).filter(starter => starter.length > 0)
+      };
+    });
+}
+
+/**
+ * Parse the welcome translations textarea
+ * Everything after the first "|" is the message, so messages may contain "|"
+ * @param {string} text - One "locale | message" per line
+ * @returns {Array<Object>} Translations as { locale, text }
+ */
+export function parseWelcomeTranslations(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [locale, ...message] = line.split('|');
+      return {
+        locale: locale.trim().toLowerCase(),
+        text: message.join('|').trim()
+      };
+    });
+}
+
+/**
+ * Parse the widget string overrides textarea
+ * Everything after the second "|" is the text, so texts may contain "|"
+ * @param {string} text - One "locale | key | text" per line
+ * @returns {Array<Object>} Overrides as { locale, key, text }
+ */
+export function parseStringOverrides(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [locale, key, ...value] = line.split('|');
+      return {
+        locale: locale.trim().toLowerCase(),
+        key: (key || '').trim(),
+        text: value.join('|').trim()
+      };
+    });
+}
+
 /**
  * Validate instance data before creation/update
  * @param {Object} data - Instance data to validate
@@ -82,6 +372,24 @@ export function validateInstanceData(data) {
     errors.push('At least one allowed domain is required');
   }
   
+  // Path validation
+  if (Array.isArray(data.paths)) {
+    const invalidPaths = data.paths.filter(p => !p.startsWith('/'));
+    if (invalidPaths.length > 0) {
+      errors.push(`Allowed paths must start with "/": ${invalidPaths.join(', ')}`);
+    }
+  }
+  
+  // Backup agent validation
+  if (Array.isArray(data.backup_agents)) {
+    if (data.backup_agents.some(b => !b.typingmind_agent_id || !b.typingmind_agent_id.trim())) {
+      errors.push('Each backup agent needs a TypingMind Agent ID');
+    }
+    if (data.backup_agents.some(b => b.typingmind_agent_id === data.typingmind_agent_id)) {
+      errors.push('Backup agents must differ from the primary agent');
+    }
+  }
+  
   // Numeric field validation
   if (data.width !== undefined && (data.width < 300 || data.width > 800)) {
     errors.push('Width must be between 300 and 800 pixels');
@@ -95,6 +403,143 @@ export function validateInstanceData(data) {
     errors.push('Messages per session must be at least 1');
   }
   
+  // Conversation starter validation
+  if (Array.isArray(data.starters)) {
+    if (data.starters.length > MAX_STARTERS) {
+      errors.push(`At most ${MAX_STARTERS} conversation starters are allowed`);
+    }
+    if (data.starters.some(s => s.length > MAX_QUICK_REPLY_LENGTH)) {
+      errors.push(`Conversation starters must be ${MAX_QUICK_REPLY_LENGTH} characters or fewer`);
+    }
+  }
+  
+  // Context template validation
+  if (data.context_template && data.context_template.length > 2000) {
+    errors.push('Context template must be 2000 characters or fewer');
+  }
+  
+  // Lead form validation
+  if (Array.isArray(data.lead_form_fields)) {
+    errors.push(...validateLeadFields(data.lead_form_fields));
+  }
+  
+  if (data.lead_form_title && data.lead_form_title.length > 100) {
+    errors.push('Lead form title must be 100 characters or fewer');
+  }
+  
+  // Handoff validation
+  if (data.handoff_staff_name && data.handoff_staff_name.length > 50) {
+    errors.push('Staff display name must be 50 characters or fewer');
+  }
+  
+  if (data.handoff_waiting_message && data.handoff_waiting_message.length > 500) {
+    errors.push('Handoff waiting message must be 500 characters or fewer');
+  }
+  
+  // Redaction validation
+  for (const field of ['redact_email', 'redact_phone', 'redact_card']) {
+    if (data[field] && !REDACTION_ACTIONS.includes(data[field])) {
+      errors.push(`Unknown redaction action: ${data[field]}`);
+    }
+  }
+  
+  if (Array.isArray(data.redaction_patterns)) {
+    errors.push(...validateRedactionPatterns(data.redaction_patterns));
+  }
+  
+  // Guardrail validation
+  if (Array.isArray(data.blocked_keywords) && Array.isArray(data.blocked_patterns)) {
+    errors.push(...validateGuardrailRules(data.blocked_keywords, data.blocked_patterns));
+  }
+  
+  if (data.refusal_message && data.refusal_message.length > MAX_REFUSAL_LENGTH) {
+    errors.push(`Refusal message must be ${MAX_REFUSAL_LENGTH} characters or fewer`);
+  }
+  
+  // Network rule validation
+  errors.push(...validateNetworkRules(data));
+  
+  // Challenge validation
+  if (data.challenge_enabled && !data.challenge_site_key) {
+    errors.push('A site key is required to turn on the bot challenge');
+  }
+  
+  if ((data.challenge_site_key && data.challenge_site_key.length > 200) ||
+      (data.challenge_secret_key && data.challenge_secret_key.length > 200)) {
+    errors.push('Challenge keys must be 200 characters or fewer');
+  }
+  
+  if (data.challenge_trust_minutes !== undefined &&
+      (data.challenge_trust_minutes < 1 || data.challenge_trust_minutes > MAX_CHALLENGE_TRUST_MINUTES)) {
+    errors.push(`Challenge trust time must be between 1 and ${MAX_CHALLENGE_TRUST_MINUTES} minutes`);
+  }
+  
+  // Identity validation; short secrets would let signatures be guessed
+  if (data.identity_secret && (data.identity_secret.trim().length < 32 || data.identity_secret.length > 200)) {
+    errors.push('Identity secret must be between 32 and 200 characters, or empty to generate one');
+  }
+  
+  // Business hours validation
+  errors.push(...validateBusinessHours(data));
+  
+  // Instance state validation
+  errors.push(...validateInstanceState(data));
+  
+  // Experiment validation
+  errors.push(...validateExperimentVariants(data.experiment_variants));
+  
+  // Language validation
+  errors.push(...validateLocaleSettings(data));
+  
+  // Webhook validation
+  if (Array.isArray(data.webhooks)) {
+    for (const webhook of data.webhooks) {
+      if (!isHttpsUrl(webhook.url)) {
+        errors.push(`Webhook URL must be a valid https:// URL: ${webhook.url || '(empty)'}`);
+      }
+      const unknown = (webhook.events || []).filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        errors.push(`Unknown webhook events: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  // Quota validation
+  for (const [field, label] of [
+    ['messages_per_day', 'Messages per day'],
+    ['messages_per_month', 'Messages per month'],
+    ['tokens_per_month', 'Tokens per month']
+  ]) {
+    if (data[field] !== undefined && data[field] !== null && data[field] < 1) {
+      errors.push(`${label} quota must be at least 1, or empty for no quota`);
+    }
+  }
+  
+  if (data.quota_warning_percent !== undefined && (data.quota_warning_percent < 1 || data.quota_warning_percent > 100)) {
+    errors.push('Quota warning level must be between 1 and 100 percent');
+  }
+  
+  if (data.quota_message && data.quota_message.length > 500) {
+    errors.push('Quota message must be 500 characters or fewer');
+  }
+  
+  // Upstream retry validation
+  for (const [field, key, label, unit] of [
+    ['timeout_ms', 'timeoutMs', 'Timeout', ' milliseconds'],
+    ['max_retries', 'maxRetries', 'Retries', ''],
+    ['backoff_base_ms', 'backoffBaseMs', 'Backoff base', ' milliseconds'],
+    ['backoff_max_ms', 'backoffMaxMs', 'Maximum backoff', ' milliseconds']
+  ]) {
+    const { min, max } = UPSTREAM_SETTING_LIMITS[key];
+    if (data[field] !== undefined && (data[field] < min || data[field] > max)) {
+      errors.push(`${label} must be between ${min} and ${max}${unit}`);
+    }
+  }
+  
+  if (data.backoff_base_ms !== undefined && data.backoff_max_ms !== undefined && data.backoff_max_ms < data.backoff_base_ms) {
+    errors.push('Maximum backoff must not be less than the backoff base');
+  }
+  
   // Theme validation
   if (data.primary_color && !/^#[0-9A-Fa-f]{6}$/.test(data.primary_color)) {
     errors.push('Primary color must be a valid hex color (e.g., #007bff)');
@@ -177,4 +622,64 @@ export function generateWidgetCode(instanceId, origin = '') {
     document.head.appendChild(script);
   })();
 </script>`;
-}
\ No newline at end of file
+}
+/**
+ * Parse conversation filters from admin query parameters
+ * Invalid dates are dropped rather than rejected
+ * @param {URL} url - Request URL
+ * @returns {Object} { search, from, to, origin, page }
+ */
+export function parseConversationFilters(url) {
+  const params = url.searchParams;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  
+  const search = (params.get('q') || '').trim().slice(0, 200);
+  const from = params.get('from') || '';
+  const to = params.get('to') || '';
+  const origin = (params.get('origin') || '').trim();
+  const page = Math.max(1, parseInt(params.get('page')) || 1);
+  
+  return {
+    search,
+    from: datePattern.test(from) ? from : '',
+    to: datePattern.test(to) ? to : '',
+    origin,
+    page
+  };
+}
+
+/**
+ * Generate CSV text from an array of row objects
+ * Values containing commas, quotes or newlines are quoted. Text starting with =, +, -, @,
+ * tab or carriage return gets a leading ' so spreadsheets do not run visitor input as a formula
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string>} columns - Column keys, also used as the header row
+ * @returns {string} CSV text
+ */
+export function generateCsv(rows, columns) {
+  const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  
+  return lines.join('\r\n');
+}
+
+/**
+ * Check that a webhook URL is an absolute https:// URL
+ * @param {string} value - URL to check
+ * @returns {boolean} True if the URL can receive webhooks
+ */
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
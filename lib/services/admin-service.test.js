@@ -5,10 +5,19 @@
 import { describe, test, expect } from '@jest/globals';
 import {
   processFormData,
+  parseBackupAgents,
+  parseLeadFields,
+  parseWebhooks,
+  parseExperimentVariants,
+  parseWelcomeTranslations,
+  parseStringOverrides,
+  parseRedactionPatterns,
   validateInstanceData,
   createErrorResponse,
   createSuccessResponse,
-  generateWidgetCode
+  generateWidgetCode,
+  parseConversationFilters,
+  generateCsv
 } from './admin-service.js';
 
 describe('Admin Service', () => {
@@ -76,6 +85,49 @@ describe('Admin Service', () => {
       expect(result.domains).toEqual(['example.com', 'test.com']);
     });
 
+    test('should parse paths from string', () => {
+      const input = {
+        id: 'test',
+        paths: '/blog/*\n  \n /docs/ '
+      };
+      
+      const result = processFormData(input);
+      
+      expect(result.paths).toEqual(['/blog/*', '/docs/']);
+    });
+
+    test('should default paths to an empty list', () => {
+      const result = processFormData({ id: 'test' });
+      
+      expect(result.paths).toEqual([]);
+    });
+
+    test('should parse backup agents from string', () => {
+      const result = processFormData({
+        id: 'test',
+        backup_agents: 'agent-2\n\n agent-3 , tm-sk-abc '
+      });
+      
+      expect(result.backup_agents).toEqual([
+        { typingmind_agent_id: 'agent-2', api_key: null },
+        { typingmind_agent_id: 'agent-3', api_key: 'tm-sk-abc' }
+      ]);
+    });
+
+    test('should default backup agents to an empty list', () => {
+      expect(processFormData({ id: 'test' }).backup_agents).toEqual([]);
+    });
+
+    test('should parse conversation starters from string', () => {
+      const result = processFormData({
+        id: 'test',
+        starters: ' What does it cost? \n\nBook a demo'
+      });
+      
+      expect(result.starters).toEqual(['What does it cost?', 'Book a demo']);
+      expect(processFormData({ id: 'test' }).starters).toEqual([]);
+    });
+
     test('should convert numeric fields', () => {
       const input = {
         id: 'test',
@@ -91,6 +143,21 @@ describe('Admin Service', () => {
       expect(result.messages_per_session).toBe(50);
     });
 
+    test('should convert upstream retry settings', () => {
+      const result = processFormData({
+        id: 'test',
+        timeout_ms: '15000',
+        max_retries: '0',
+        backoff_base_ms: 'abc',
+        backoff_max_ms: '4000'
+      });
+      
+      expect(result.timeout_ms).toBe(15000);
+      expect(result.max_retries).toBe(0);
+      expect(result.backoff_base_ms).toBe(500);
+      expect(result.backoff_max_ms).toBe(4000);
+    });
+
     test('should use defaults for invalid numeric values', () => {
       const input = {
         id: 'test',
@@ -105,6 +172,181 @@ describe('Admin Service', () => {
       expect(result.messages_per_hour).toBe(100);
       expect(result.messages_per_session).toBe(30);
     });
+
+    test('should treat empty quotas as unlimited', () => {
+      const result = processFormData({
+        messages_per_day: '250',
+        messages_per_month: '',
+        tokens_per_month: 'lots',
+        quota_warning_percent: ''
+      });
+      
+      expect(result.messages_per_day).toBe(250);
+      expect(result.messages_per_month).toBeNull();
+      expect(result.tokens_per_month).toBeNull();
+      expect(result.quota_warning_percent).toBe(80);
+    });
+
+    test('should parse guardrail keywords and patterns one per line', () => {
+      const result = processFormData({
+        blocked_keywords: 'crypto\n\n  stock tips  ',
+        blocked_patterns: '\\bbet\\b',
+        guardrail_check_replies: 'on'
+      });
+      
+      expect(result.blocked_keywords).toEqual(['crypto', 'stock tips']);
+      expect(result.blocked_patterns).toEqual(['\\bbet\\b']);
+      expect(result.guardrail_check_replies).toBe(true);
+      expect(processFormData({}).blocked_keywords).toEqual([]);
+    });
+
+    test('should parse network rules by line or comma', () => {
+      const result = processFormData({
+        deny_cidrs: '203.0.113.0/24\n\n2001:db8::/32',
+        allow_countries: 'US, CA,\nGB'
+      });
+      
+      expect(result.deny_cidrs).toEqual(['203.0.113.0/24', '2001:db8::/32']);
+      expect(result.allow_countries).toEqual(['US', 'CA', 'GB']);
+      expect(result.deny_asns).toEqual([]);
+    });
+
+    test('should convert challenge settings', () => {
+      const result = processFormData({ challenge_enabled: 'on', challenge_trust_minutes: '15' });
+      
+      expect(result.challenge_enabled).toBe(true);
+      expect(result.challenge_trust_minutes).toBe(15);
+      expect(processFormData({ challenge_trust_minutes: '' }).challenge_trust_minutes).toBe(60);
+      expect(processFormData({}).challenge_enabled).toBe(false);
+    });
+
+    test('should convert identity checkboxes', () => {
+      const result = processFormData({ identity_enabled: 'on' });
+      
+      expect(result.identity_enabled).toBe(true);
+      expect(result.identity_forward_to_agent).toBe(false);
+    });
+
+    test('should convert business hours settings', () => {
+      const result = processFormData({
+        business_hours_enabled: 'on',
+        business_holidays: '2026-12-25\n2026-12-26, 2027-01-01\n'
+      });
+      
+      expect(result.business_hours_enabled).toBe(true);
+      expect(result.business_hours_strict).toBe(false);
+      expect(result.business_holidays).toEqual(['2026-12-25', '2026-12-26', '2027-01-01']);
+      expect(processFormData({}).business_holidays).toEqual([]);
+    });
+  });
+
+  describe('parseBackupAgents', () => {
+    test('should keep commas inside the API key', () => {
+      expect(parseBackupAgents('agent-2, key,with,commas')).toEqual([
+        { typingmind_agent_id: 'agent-2', api_key: 'key,with,commas' }
+      ]);
+    });
+
+    test('should return an empty list for empty input', () => {
+      expect(parseBackupAgents('')).toEqual([]);
+      expect(parseBackupAgents(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseLeadFields', () => {
+    test('should parse key, label, type and required flag', () => {
+      const text = 'name | Full name | text | required\ncompany\n\nphone | Phone | TEL';
+      expect(parseLeadFields(text)).toEqual([
+        { key: 'name', label: 'Full name', type: 'text', required: true },
+        { key: 'company', label: 'company', type: 'text', required: false },
+        { key: 'phone', label: 'Phone', type: 'tel', required: false }
+      ]);
+    });
+
+    test('should convert the textarea in processFormData', () => {
+      const result = processFormData({
+        lead_form_enabled: 'on',
+        lead_form_fields: 'email | Email | email | required'
+      });
+      expect(result.lead_form_enabled).toBe(true);
+      expect(result.handoff_enabled).toBe(false);
+      expect(result.lead_form_fields).toEqual([
+        { key: 'email', label: 'Email', type: 'email', required: true }
+      ]);
+    });
+  });
+
+  describe('parseWebhooks', () => {
+    test('should parse URL, events and secret', () => {
+      const text = 'https://a.example.com | lead.captured, agent.error | whsec_1\n\nhttps://b.example.com';
+      expect(parseWebhooks(text)).toEqual([
+        { url: 'https://a.example.com', events: ['lead.captured', 'agent.error'], secret: 'whsec_1' },
+        { url: 'https://b.example.com', events: [], secret: null }
+      ]);
+    });
+
+    test('should convert the textarea in processFormData', () => {
+      expect(processFormData({ webhooks: 'https://a.example.com' }).webhooks).toEqual([
+        { url: 'https://a.example.com', events: [], secret: null }
+      ]);
+      expect(processFormData({}).webhooks).toEqual([]);
+    });
+  });
+
+  describe('parseExperimentVariants', () => {
+    test('should parse key, weight, agent, welcome and starters', () => {
+      expect(parseExperimentVariants('Control | 50\n\nshort | 50 | agent-2 | Hi! | Pricing; Book a demo ')).toEqual([
+        { key: 'control', weight: 50, typingmind_agent_id: null, welcome_message: null, starters: [] },
+        { key: 'short', weight: 50, typingmind_agent_id: 'agent-2', welcome_message: 'Hi!', starters: ['Pricing', 'Book a demo'] }
+      ]);
+    });
+
+    test('should convert the textarea in processFormData', () => {
+      expect(processFormData({ experiment_variants: 'control | 1' }).experiment_variants).toHaveLength(1);
+      expect(processFormData({}).experiment_variants).toEqual([]);
+    });
+  });
+
+  describe('parseWelcomeTranslations', () => {
+    test('should parse locale and a message that contains pipes', () => {
+      expect(parseWelcomeTranslations('ES | ¡Hola! | ¿Qué tal?\n\nde|Hallo!')).toEqual([
+        { locale: 'es', text: '¡Hola! | ¿Qué tal?' },
+        { locale: 'de', text: 'Hallo!' }
+      ]);
+    });
+  });
+
+  describe('parseStringOverrides', () => {
+    test('should parse locale, key and text', () => {
+      expect(parseStringOverrides('es | sendMessage | Mandar\n\nde | talkToPerson')).toEqual([
+        { locale: 'es', key: 'sendMessage', text: 'Mandar' },
+        { locale: 'de', key: 'talkToPerson', text: '' }
+      ]);
+    });
+
+    test('should convert the language fields in processFormData', () => {
+      const data = processFormData({ locale_auto_detect: 'on', string_overrides: 'es | sendMessage | Mandar' });
+      
+      expect(data.locale_auto_detect).toBe(true);
+      expect(data.string_overrides).toHaveLength(1);
+      expect(data.welcome_translations).toEqual([]);
+    });
+  });
+
+  describe('parseRedactionPatterns', () => {
+    test('should parse name, action and a pattern that contains pipes', () => {
+      expect(parseRedactionPatterns('mrn | Tokenize | MRN-(\\d{6}|\\d{8})\n\ncase_no|reject|CASE-\\d+')).toEqual([
+        { name: 'mrn', pattern: 'MRN-(\\d{6}|\\d{8})', action: 'tokenize' },
+        { name: 'case_no', pattern: 'CASE-\\d+', action: 'reject' }
+      ]);
+    });
+
+    test('should convert the textarea in processFormData', () => {
+      expect(processFormData({ redaction_patterns: 'mrn | mask | MRN' }).redaction_patterns).toEqual([
+        { name: 'mrn', pattern: 'MRN', action: 'mask' }
+      ]);
+      expect(processFormData({}).redaction_patterns).toEqual([]);
+    });
   });
 
   describe('validateInstanceData', () => {
@@ -203,6 +445,310 @@ describe('Admin Service', () => {
       expect(result.errors).toContain('Invalid embed mode');
     });
 
+    test('should validate path format', () => {
+      const data = {
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        paths: ['/blog/*', 'docs/']
+      };
+      
+      const result = validateInstanceData(data);
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Allowed paths must start with "/": docs/');
+    });
+
+    test('should validate upstream retry settings', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        timeout_ms: 500,
+        max_retries: 9,
+        backoff_base_ms: 2000,
+        backoff_max_ms: 1000
+      });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Timeout must be between 1000 and 60000 milliseconds');
+      expect(result.errors).toContain('Retries must be between 0 and 5');
+      expect(result.errors).toContain('Maximum backoff must not be less than the backoff base');
+    });
+
+    test('should reject upstream retry settings above their limits', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        timeout_ms: 90000,
+        max_retries: 2,
+        backoff_base_ms: 500,
+        backoff_max_ms: 600000
+      });
+      
+      expect(result.errors).toEqual([
+        'Timeout must be between 1000 and 60000 milliseconds',
+        'Maximum backoff must be between 50 and 30000 milliseconds'
+      ]);
+    });
+
+    test('should validate lead form fields', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        lead_form_fields: [
+          { key: 'email', label: 'Email', type: 'email' },
+          { key: 'email', label: 'Email', type: 'date' }
+        ]
+      });
+      
+      expect(result.errors).toContain('Duplicate lead field key: email');
+      expect(result.errors).toContain('Lead field email has an unknown type: date');
+    });
+
+    test('should validate webhook URLs and events', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        webhooks: [
+          { url: 'http://insecure.example.com', events: [] },
+          { url: 'https://hooks.example.com', events: ['lead.captured', 'chat.deleted'] }
+        ]
+      });
+      
+      expect(result.errors).toEqual([
+        'Webhook URL must be a valid https:// URL: http://insecure.example.com',
+        'Unknown webhook events: chat.deleted'
+      ]);
+    });
+
+    test('should validate redaction actions and patterns', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        redact_email: 'mask',
+        redact_card: 'shred',
+        redaction_patterns: [{ name: 'mrn', pattern: 'MRN-(', action: 'mask' }]
+      });
+      
+      expect(result.errors).toEqual([
+        'Unknown redaction action: shred',
+        'Redaction pattern mrn is not a valid regular expression'
+      ]);
+    });
+
+    test('should validate guardrail patterns and the refusal message', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        blocked_keywords: ['crypto'],
+        blocked_patterns: ['bet(ting'],
+        refusal_message: 'x'.repeat(501)
+      });
+      
+      expect(result.errors).toEqual([
+        'Blocked pattern is not a valid regular expression: bet(ting',
+        'Refusal message must be 500 characters or fewer'
+      ]);
+    });
+
+    test('should validate network rules', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        deny_cidrs: ['10.0.0.0/33'],
+        allow_countries: ['US'],
+        deny_asns: ['AS16509']
+      });
+      
+      expect(result.errors).toEqual(['The blocked IP ranges must be IP addresses or CIDR ranges: 10.0.0.0/33']);
+    });
+
+    test('should validate quotas and the warning level', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        messages_per_day: 0,
+        messages_per_month: null,
+        quota_warning_percent: 120
+      });
+      
+      expect(result.errors).toEqual([
+        'Messages per day quota must be at least 1, or empty for no quota',
+        'Quota warning level must be between 1 and 100 percent'
+      ]);
+    });
+
+    test('should validate bot challenge settings', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        challenge_enabled: true,
+        challenge_site_key: '',
+        challenge_trust_minutes: 20000
+      });
+      
+      expect(result.errors).toEqual([
+        'A site key is required to turn on the bot challenge',
+        'Challenge trust time must be between 1 and 10080 minutes'
+      ]);
+    });
+
+    test('should reject short identity secrets', () => {
+      const data = {
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        identity_enabled: true
+      };
+      
+      expect(validateInstanceData({ ...data, identity_secret: 'password' }).errors).toEqual([
+        'Identity secret must be between 32 and 200 characters, or empty to generate one'
+      ]);
+      expect(validateInstanceData({ ...data, identity_secret: '' }).errors).toEqual([]);
+    });
+
+    test('should validate the state and maintenance window', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        state: 'maintenance',
+        maintenance_starts_at: '2026-10-21T02:00',
+        maintenance_ends_at: '2026-10-20T22:00'
+      });
+      
+      expect(result.errors).toEqual(['Maintenance end must be after its start']);
+    });
+
+    test('should validate business hours', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        business_hours_enabled: true,
+        business_timezone: 'Europe/London',
+        hours_mon: '09:00-17:00',
+        hours_tue: '5pm-9pm',
+        offline_behavior: 'form'
+      });
+      
+      expect(result.errors).toEqual([
+        'Tuesday hours must be ranges such as 09:00-17:00, separated by commas'
+      ]);
+    });
+
+    test('should limit the handoff staff name and waiting message', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        handoff_enabled: true,
+        handoff_staff_name: 'x'.repeat(51),
+        handoff_waiting_message: 'x'.repeat(501)
+      });
+      
+      expect(result.errors).toEqual([
+        'Staff display name must be 50 characters or fewer',
+        'Handoff waiting message must be 500 characters or fewer'
+      ]);
+    });
+
+    test('should limit the number and length of conversation starters', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        starters: ['a', 'b', 'c', 'd', 'e', 'f', 'x'.repeat(81)]
+      });
+      
+      expect(result.errors).toEqual([
+        'At most 6 conversation starters are allowed',
+        'Conversation starters must be 80 characters or fewer'
+      ]);
+    });
+
+    test('should limit the context template length', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        context_template: 'x'.repeat(2001)
+      });
+      
+      expect(result.errors).toContain('Context template must be 2000 characters or fewer');
+    });
+
+    test('should validate backup agents', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        backup_agents: [
+          { typingmind_agent_id: 'agent-123', api_key: null },
+          { typingmind_agent_id: '', api_key: 'key' }
+        ]
+      });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Each backup agent needs a TypingMind Agent ID');
+      expect(result.errors).toContain('Backup agents must differ from the primary agent');
+    });
+
+    test('should validate experiment variants', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        experiment_variants: parseExperimentVariants('control | 1\ncontrol | lots')
+      });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Experiment variant keys must be unique');
+      expect(result.errors).toContain('Experiment variant weights must be whole numbers from 0 to 1000');
+    });
+
+    test('should validate language settings', () => {
+      const result = validateInstanceData({
+        id: 'test',
+        typingmind_agent_id: 'agent-123',
+        name: 'Test',
+        domains: ['example.com'],
+        default_locale: 'fr',
+        string_overrides: parseStringOverrides('es | sendButton | Mandar')
+      });
+      
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Default language must be one of: en, es, de');
+      expect(result.errors).toContain('Unknown widget strings: sendButton');
+    });
+
     test('should accept valid data', () => {
       const data = {
         id: 'test-instance',
@@ -309,4 +855,75 @@ describe('Admin Service', () => {
       expect(code).toContain('})();');
     });
   });
-});
\ No newline at end of file
+
+  describe('parseConversationFilters', () => {
+    test('should read search, dates, origin and page', () => {
+      const url = new URL('https://worker.test/x?q=%20refund%20&from=2024-01-01&to=2024-01-31&origin=https%3A%2F%2Fexample.com&page=3');
+      
+      expect(parseConversationFilters(url)).toEqual({
+        search: 'refund',
+        from: '2024-01-01',
+        to: '2024-01-31',
+        origin: 'https://example.com',
+        page: 3
+      });
+    });
+
+    test('should drop invalid dates and default the page', () => {
+      const url = new URL('https://worker.test/x?from=yesterday&to=2024-13&page=-2');
+      
+      expect(parseConversationFilters(url)).toEqual({
+        search: '',
+        from: '',
+        to: '',
+        origin: '',
+        page: 1
+      });
+    });
+  });
+
+  describe('generateCsv', () => {
+    test('should generate header and rows', () => {
+      const csv = generateCsv(
+        [{ id: 1, role: 'user', content: 'Hello' }],
+        ['id', 'role', 'content']
+      );
+      
+      expect(csv).toBe('id,role,content\r\n1,user,Hello');
+    });
+
+    test('should quote values with commas, quotes and newlines', () => {
+      const csv = generateCsv(
+        [{ content: 'Hi, "there"\nfriend', latency: null }],
+        ['content', 'latency']
+      );
+      
+      expect(csv).toBe('content,latency\r\n"Hi, ""there""\nfriend",');
+    });
+
+    test('should neutralize text that spreadsheets would run as a formula', () => {
+      const csv = generateCsv(
+        [
+          { content: '=HYPERLINK("https://evil.example","Click")', latency: -5 },
+          { content: '+1 555', latency: 0 },
+          { content: '-2+3', latency: null },
+          { content: '@SUM(A1)', latency: null },
+          { content: '\t=1', latency: null },
+          { content: '\r=1', latency: null },
+          { content: 'a=b', latency: null }
+        ],
+        ['content', 'latency']
+      );
+
+      expect(csv.split('\r\n').slice(1, 5)).toEqual([
+        '"\'=HYPERLINK(""https://evil.example"",""Click"")",-5',
+        "'+1 555,0",
+        "'-2+3,",
+        "'@SUM(A1),"
+      ]);
+      expect(csv).toContain("'\t=1,");
+      expect(csv).toContain('"\'\r=1",');
+      expect(csv.endsWith('\r\na=b,')).toBe(true);
+    });
+  });
+});
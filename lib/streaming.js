@@ -0,0 +1,218 @@
+/**
+ * Streaming module
+ * Relays TypingMind server-sent events (SSE) to the widget
+ */
+
+// Headers added to every SSE response sent to the widget
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache'
+};
+
+// Longest wait for the next upstream chunk before the relay gives up (milliseconds)
+export const DEFAULT_STREAM_IDLE_TIMEOUT = 30000;
+
+/**
+ * Check whether a response carries a server-sent event stream
+ * @param {Response} response - HTTP response
+ * @returns {boolean} True if the content type is text/event-stream
+ */
+export function isEventStream(response) {
+  const contentType = response?.headers?.get?.('Content-Type') || '';
+  return contentType.includes('text/event-stream');
+}
+
+/**
+ * Format a single SSE event
+ * @param {Object|string} data - Event payload (objects are JSON encoded)
+ * @param {string|null} event - Optional event name
+ * @returns {string} Encoded SSE event
+ */
+export function formatSSEEvent(data, event = null) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  return `${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`;
+}
+
+/**
+ * Extract the text delta from an upstream stream chunk
+ * Supports plain `content`/`text` chunks as well as OpenAI and Anthropic style deltas
+ * @param {Object} payload - Parsed chunk payload
+ * @returns {string} Text delta or empty string
+ */
+export function extractStreamDelta(payload) {
+  if (!payload || typeof payload !== 'object') return '';
+
+  const choice = Array.isArray(payload.choices) ? payload.choices[0] : null;
+  if (typeof choice?.delta?.content === 'string') return choice.delta.content;
+  if (typeof payload.delta === 'string') return payload.delta;
+  if (typeof payload.delta?.text === 'string') return payload.delta.text;
+  if (typeof payload.content === 'string') return payload.content;
+  if (typeof payload.text === 'string') return payload.text;
+
+  return '';
+}
+
+/**
+ * Read an SSE body and yield the data field of each event
+ * @param {ReadableStream} body - Response body stream
+ * @param {Object} options - Parse options
+ * @param {number|null} options.idleTimeoutMs - Cancel the body and throw when no chunk arrives in time
+ * @returns {AsyncGenerator<string>} Event data strings
+ */
+export async function* parseSSEStream(body, { idleTimeoutMs = null } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await readChunk(reader, idleTimeoutMs);
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop() || '';
+
+      for (const event of events) {
+        const data = readEventData(event);
+        if (data !== null) yield data;
+      }
+    }
+
+    // Flush a trailing event that was not terminated by a blank line
+    const data = readEventData(buffer + decoder.decode());
+    if (data !== null) yield data;
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read the next chunk, cancelling the body if it stays silent for too long
+ * @param {ReadableStreamDefaultReader} reader - Body reader
+ * @param {number|null} idleTimeoutMs - Longest wait for the chunk, or null to wait forever
+ * @returns {Promise<Object>} Read result
+ */
+async function readChunk(reader, idleTimeoutMs) {
+  if (!idleTimeoutMs) return reader.read();
+
+  let timer;
+  const idle = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), idleTimeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([reader.read(), idle]);
+    if (result) return result;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  await reader.cancel();
+  throw new Error('Stream timed out');
+}
+
+/**
+ * Join the data lines of a raw SSE event
+ * @param {string} event - Raw event text
+ * @returns {string|null} Event data or null if the event has none
+ */
+function readEventData(event) {
+  const dataLines = event
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+
+  if (dataLines.length === 0) return null;
+  return dataLines.join('\n');
+}
+
+/**
+ * Relay an upstream SSE response to the client
+ * Emits `{ content }` token events, then a `done` event (or an `error` event)
+ * @param {Response} upstreamResponse - Streaming response from TypingMind
+ * @param {Object} options - Relay options
+ * @param {Object} options.headers - Base response headers (CORS, security)
+ * @param {Object} options.ctx - Execution context used to keep the relay alive
+ * @param {Function} options.onComplete - Called with { content, error } once the stream ends
+ * @param {number} options.idleTimeoutMs - Longest wait between upstream chunks
+ * @returns {Response} Streaming response for the widget
+ */
+export function relayUpstreamStream(upstreamResponse, {
+  headers = {},
+  ctx = null,
+  onComplete = null,
+  idleTimeoutMs = DEFAULT_STREAM_IDLE_TIMEOUT
+} = {}) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const pump = async () => {
+    let content = '';
+    let error = null;
+
+    try {
+      for await (const data of parseSSEStream(upstreamResponse.body, { idleTimeoutMs })) {
+        if (data === '[DONE]') break;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (parseError) {
+          console.warn('[Streaming] Skipping malformed upstream chunk');
+          continue;
+        }
+
+        if (parsed?.error) {
+          error = parsed.error.message || parsed.error.code || String(parsed.error);
+          break;
+        }
+
+        const delta = extractStreamDelta(parsed);
+        if (delta) {
+          content += delta;
+          await writer.write(encoder.encode(formatSSEEvent({ content: delta })));
+        }
+      }
+    } catch (streamError) {
+      console.error('[Streaming] Relay error:', streamError);
+      error = streamError.message || 'Stream interrupted';
+    }
+
+    try {
+      if (error) {
+        await writer.write(encoder.encode(formatSSEEvent({ error }, 'error')));
+      } else {
+        await writer.write(encoder.encode(formatSSEEvent('[DONE]', 'done')));
+      }
+      await writer.close();
+    } catch (writeError) {
+      // The client disconnected before the stream finished
+      console.warn('[Streaming] Client closed the stream early');
+    }
+
+    if (onComplete) {
+      try {
+        await onComplete({ content, error });
+      } catch (completeError) {
+        console.error('[Streaming] onComplete error:', completeError);
+      }
+    }
+  };
+
+  const relay = pump();
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(relay);
+  }
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      ...headers,
+      ...SSE_HEADERS
+    }
+  });
+}
@@ -0,0 +1,195 @@
+/**
+ * Tests for the streaming module
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  SSE_HEADERS,
+  isEventStream,
+  formatSSEEvent,
+  extractStreamDelta,
+  parseSSEStream,
+  relayUpstreamStream
+} from './streaming.js';
+
+// Build a ReadableStream from raw string chunks
+function createBody(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+describe('Streaming Module', () => {
+  describe('isEventStream', () => {
+    test('should detect event stream responses', () => {
+      const response = new Response('', { headers: { 'Content-Type': 'text/event-stream; charset=utf-8' } });
+      expect(isEventStream(response)).toBe(true);
+    });
+
+    test('should reject JSON responses', () => {
+      const response = new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+      expect(isEventStream(response)).toBe(false);
+    });
+
+    test('should handle responses without headers', () => {
+      expect(isEventStream({})).toBe(false);
+      expect(isEventStream(null)).toBe(false);
+    });
+  });
+
+  describe('formatSSEEvent', () => {
+    test('should encode objects as JSON data', () => {
+      expect(formatSSEEvent({ content: 'Hi' })).toBe('data: {"content":"Hi"}\n\n');
+    });
+
+    test('should include event name when provided', () => {
+      expect(formatSSEEvent('[DONE]', 'done')).toBe('event: done\ndata: [DONE]\n\n');
+    });
+  });
+
+  describe('extractStreamDelta', () => {
+    test('should read OpenAI style deltas', () => {
+      expect(extractStreamDelta({ choices: [{ delta: { content: 'Hello' } }] })).toBe('Hello');
+    });
+
+    test('should read Anthropic style deltas', () => {
+      expect(extractStreamDelta({ type: 'content_block_delta', delta: { text: 'Hi' } })).toBe('Hi');
+    });
+
+    test('should read plain content and text chunks', () => {
+      expect(extractStreamDelta({ content: 'A' })).toBe('A');
+      expect(extractStreamDelta({ text: 'B' })).toBe('B');
+      expect(extractStreamDelta({ delta: 'C' })).toBe('C');
+    });
+
+    test('should return empty string for unknown chunks', () => {
+      expect(extractStreamDelta({ type: 'ping' })).toBe('');
+      expect(extractStreamDelta(null)).toBe('');
+    });
+  });
+
+  describe('parseSSEStream', () => {
+    test('should yield data across chunk boundaries', async () => {
+      const body = createBody([
+        'data: {"content":"Hel',
+        'lo"}\n\nevent: message\ndata: {"content":"!"}\n\n',
+        'data: [DONE]'
+      ]);
+
+      const events = [];
+      for await (const data of parseSSEStream(body)) {
+        events.push(data);
+      }
+
+      expect(events).toEqual(['{"content":"Hello"}', '{"content":"!"}', '[DONE]']);
+    });
+
+    test('should ignore comments and events without data', async () => {
+      const body = createBody([': keep-alive\n\nevent: ping\n\ndata: x\n\n']);
+
+      const events = [];
+      for await (const data of parseSSEStream(body)) {
+        events.push(data);
+      }
+
+      expect(events).toEqual(['x']);
+    });
+  });
+
+  describe('relayUpstreamStream', () => {
+    test('should relay token chunks and finish with a done event', async () => {
+      const upstream = new Response(createBody([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":" world"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]), { headers: { 'Content-Type': 'text/event-stream' } });
+
+      const onComplete = jest.fn();
+      const ctx = { waitUntil: jest.fn() };
+      const response = relayUpstreamStream(upstream, {
+        headers: { 'Access-Control-Allow-Origin': 'https://example.com' },
+        ctx,
+        onComplete
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe(SSE_HEADERS['Content-Type']);
+      expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://example.com');
+      expect(ctx.waitUntil).toHaveBeenCalledTimes(1);
+
+      const text = await response.text();
+      expect(text).toBe(
+        'data: {"content":"Hello"}\n\n' +
+        'data: {"content":" world"}\n\n' +
+        'event: done\ndata: [DONE]\n\n'
+      );
+
+      await ctx.waitUntil.mock.calls[0][0];
+      expect(onComplete).toHaveBeenCalledWith({ content: 'Hello world', error: null });
+    });
+
+    test('should emit an error event when upstream reports an error', async () => {
+      const upstream = new Response(createBody([
+        'data: {"content":"Partial"}\n\n',
+        'data: {"error":{"message":"Upstream failure"}}\n\n'
+      ]));
+
+      const onComplete = jest.fn();
+      const ctx = { waitUntil: jest.fn() };
+      const response = relayUpstreamStream(upstream, { ctx, onComplete });
+
+      const text = await response.text();
+      expect(text).toContain('data: {"content":"Partial"}');
+      expect(text).toContain('event: error\ndata: {"error":"Upstream failure"}');
+
+      await ctx.waitUntil.mock.calls[0][0];
+      expect(onComplete).toHaveBeenCalledWith({ content: 'Partial', error: 'Upstream failure' });
+    });
+
+    test('should skip malformed chunks', async () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const upstream = new Response(createBody([
+        'data: not-json\n\n',
+        'data: {"content":"OK"}\n\n'
+      ]));
+
+      const response = relayUpstreamStream(upstream);
+      const text = await response.text();
+
+      expect(text).toBe('data: {"content":"OK"}\n\nevent: done\ndata: [DONE]\n\n');
+      consoleSpy.mockRestore();
+    });
+
+    test('should give up on a stream that stops sending chunks', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const cancel = jest.fn();
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('data: {"content":"Partial"}\n\n'));
+          // Never closed, as when TypingMind hangs mid-reply
+        },
+        cancel
+      });
+      const upstream = new Response(body, { headers: { 'Content-Type': 'text/event-stream' } });
+
+      const onComplete = jest.fn();
+      const ctx = { waitUntil: jest.fn() };
+      const response = relayUpstreamStream(upstream, { ctx, onComplete, idleTimeoutMs: 20 });
+
+      const text = await response.text();
+      expect(text).toBe(
+        'data: {"content":"Partial"}\n\n' +
+        'event: error\ndata: {"error":"Stream timed out"}\n\n'
+      );
+
+      await ctx.waitUntil.mock.calls[0][0];
+      expect(cancel).toHaveBeenCalled();
+      expect(onComplete).toHaveBeenCalledWith({ content: 'Partial', error: 'Stream timed out' });
+      consoleSpy.mockRestore();
+    });
+  });
+});
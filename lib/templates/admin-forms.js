@@ -3,7 +3,37 @@
  * Provides HTML templates for admin forms
  */
 
-import { formLayout } from './admin-layout.js';
+import { formLayout, escapeHtml } from './admin-layout.js';
+import { parseStoredLeadFields } from '../leads.js';
+import { WEBHOOK_EVENTS } from '../webhooks.js';
+import { REDACTION_ACTIONS, parseStoredRedactionPatterns } from '../redaction.js';
+import { parseStoredGuardrailRules, DEFAULT_REFUSAL_MESSAGE } from '../guardrails.js';
+import { DEFAULT_QUOTA_MESSAGE, DEFAULT_QUOTA_WARNING_PERCENT } from '../quotas.js';
+import { parseStoredNetworkRules } from '../network-rules.js';
+import { DEFAULT_CHALLENGE_TRUST_MINUTES, MAX_CHALLENGE_TRUST_MINUTES } from '../challenge.js';
+import {
+  BUSINESS_DAYS,
+  OFFLINE_BEHAVIORS,
+  DEFAULT_OFFLINE_MESSAGE,
+  MAX_OFFLINE_MESSAGE_LENGTH,
+  formatHourRanges,
+  parseStoredSchedule,
+  parseHolidayList
+} from '../business-hours.js';
+import {
+  INSTANCE_STATES,
+  DEFAULT_MAINTENANCE_MESSAGE,
+  MAX_MAINTENANCE_MESSAGE_LENGTH,
+  parseWindowTime
+} from '../instance-state.js';
+import { MAX_EXPERIMENT_VARIANTS, parseStoredVariant } from '../experiments.js';
+import {
+  SUPPORTED_LOCALES,
+  TEXT_DIRECTIONS,
+  TRANSLATION_KEYS,
+  parseStoredStringOverrides,
+  parseStoredWelcomeTranslations
+} from '../locales.js';
 
 /**
  * Generate create instance form HTML
@@ -34,12 +64,48 @@ export function createInstanceForm() {
       <div class="help-text">Leave empty to use default API key</div>
     </div>
     
+    <div class="form-group">
+      <label for="backup_agents">Backup Agents (Optional)</label>
+      <textarea id="backup_agents" name="backup_agents" placeholder="backup-agent-id&#10;other-agent-id, tm-sk-xxx"></textarea>
+      <div class="help-text">Tried in order when the primary agent times out or fails. One agent ID per line, optionally followed by a comma and its API key</div>
+    </div>
+    
     <div class="form-group">
       <label for="domains">Allowed Domains</label>
       <textarea id="domains" name="domains" placeholder="*.example.com&#10;app.example.com&#10;localhost:3000"></textarea>
       <div class="help-text">One domain per line. Use * for wildcards</div>
     </div>
     
+    <div class="form-group">
+      <label for="paths">Allowed Paths (Optional)</label>
+      <textarea id="paths" name="paths" placeholder="/blog/*&#10;/docs/&#10;/pricing"></textarea>
+      <div class="help-text">One path per line. Leave empty to allow every page. Use /docs/ for a prefix or * as a wildcard</div>
+    </div>
+    
+    <div class="section">
+      <h3>Availability</h3>
+      <div class="help-text">Paused instances hide the widget and refuse chats; maintenance shows the message below instead. The setup is kept either way</div>
+      <div class="form-group">
+        <label for="state">State</label>
+        <select id="state" name="state">
+          ${instanceStateOptions('active')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="maintenance_message">Maintenance Message (Optional)</label>
+        <textarea id="maintenance_message" name="maintenance_message" rows="2" maxlength="${MAX_MAINTENANCE_MESSAGE_LENGTH}" placeholder="${escapeHtml(DEFAULT_MAINTENANCE_MESSAGE)}"></textarea>
+      </div>
+      <div class="form-group">
+        <label for="maintenance_starts_at">Maintenance Starts (UTC, Optional)</label>
+        <input type="datetime-local" id="maintenance_starts_at" name="maintenance_starts_at">
+      </div>
+      <div class="form-group">
+        <label for="maintenance_ends_at">Maintenance Ends (UTC, Optional)</label>
+        <input type="datetime-local" id="maintenance_ends_at" name="maintenance_ends_at">
+        <div class="help-text">With a start or end, maintenance only applies between them and the instance is active outside that window</div>
+      </div>
+    </div>
+    
     <div class="section">
       <h3>Features</h3>
       <div class="form-group">
@@ -111,6 +177,58 @@ export function createInstanceForm() {
       </div>
     </div>
     
+    <div class="section">
+      <h3>Language</h3>
+      <div class="form-group">
+        <label for="default_locale">Default Language</label>
+        <select id="default_locale" name="default_locale">
+          ${localeOptions('en')}
+        </select>
+        <div class="help-text">Language of the widget's buttons, labels and messages. A locale set in the embed code takes precedence</div>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="locale_auto_detect" name="locale_auto_detect">
+          <label for="locale_auto_detect">Use the visitor's browser language when it is supported</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="text_direction">Text Direction</label>
+        <select id="text_direction" name="text_direction">
+          ${directionOptions('auto')}
+        </select>
+        <div class="help-text">Right to left mirrors the widget for languages such as Arabic and Hebrew, including which corner it opens from. Automatic follows the dir attribute of the page</div>
+      </div>
+      <div class="form-group">
+        <label for="welcome_translations">Welcome Message Translations (Optional)</label>
+        <textarea id="welcome_translations" name="welcome_translations" rows="3" placeholder="es | ¡Hola! ¿En qué puedo ayudarte?&#10;de | Hallo! Wie kann ich helfen?"></textarea>
+        <div class="help-text">One translation per line as language | message. Visitors in other languages see the welcome message above</div>
+      </div>
+      <div class="form-group">
+        <label for="string_overrides">Widget Text Overrides (Optional)</label>
+        <textarea id="string_overrides" name="string_overrides" rows="3" placeholder="en | talkToPerson | Chat with our team&#10;es | inputPlaceholder | Escribe tu pregunta..."></textarea>
+        <div class="help-text">One override per line as language | key | text. Keys: ${TRANSLATION_KEYS.join(', ')}</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Conversation Starters</h3>
+      <div class="form-group">
+        <label for="starters">Starter Prompts (Optional)</label>
+        <textarea id="starters" name="starters" rows="4" placeholder="What does it cost?&#10;Book a demo"></textarea>
+        <div class="help-text">One prompt per line, up to 6 (max 80 characters each). Shown as buttons under the welcome message. The agent can offer follow-ups by ending a reply with [SUGGESTIONS: First | Second]</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Experiments</h3>
+      <div class="form-group">
+        <label for="experiment_variants">Variants (Optional)</label>
+        <textarea id="experiment_variants" name="experiment_variants" rows="4" placeholder="control | 50&#10;short-welcome | 50 | | Hi! Ask me anything | Pricing; Book a demo"></textarea>
+        <div class="help-text">One variant per line as key | weight | agent ID | welcome message | starters separated by ;, up to ${MAX_EXPERIMENT_VARIANTS}. Empty fields keep this instance's own setting. Each session is assigned a variant by weight and keeps it; changing the variants or weights reassigns sessions. Results are on the Experiments page</div>
+      </div>
+    </div>
+    
     <div class="section">
       <h3>Rate Limits</h3>
       <div class="form-group">
@@ -122,6 +240,285 @@ export function createInstanceForm() {
         <input type="number" id="messages_per_session" name="messages_per_session" value="30" min="1">
       </div>
     </div>
+    
+    <div class="section">
+      <h3>Network Access</h3>
+      <div class="help-text">Checked after the domain check, using the visitor's IP, country and network (ASN) as seen by Cloudflare. Blocked entries always win. When an allowed list has entries, visitors must also match it</div>
+      <div class="form-group">
+        <label for="deny_cidrs">Blocked IP Ranges (Optional)</label>
+        <textarea id="deny_cidrs" name="deny_cidrs" rows="2" placeholder="203.0.113.0/24&#10;2001:db8::/32"></textarea>
+        <div class="help-text">IPv4 or IPv6 addresses or CIDR ranges, one per line</div>
+      </div>
+      <div class="form-group">
+        <label for="deny_countries">Blocked Countries (Optional)</label>
+        <input type="text" id="deny_countries" name="deny_countries" placeholder="KP, T1">
+        <div class="help-text">Two-letter country codes, separated by commas. T1 is Tor and XX is unknown</div>
+      </div>
+      <div class="form-group">
+        <label for="deny_asns">Blocked Networks (Optional)</label>
+        <input type="text" id="deny_asns" name="deny_asns" placeholder="AS16509, AS14061">
+        <div class="help-text">AS numbers, separated by commas. Use this to block hosting providers</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_cidrs">Allowed IP Ranges (Optional)</label>
+        <textarea id="allow_cidrs" name="allow_cidrs" rows="2" placeholder="198.51.100.0/24"></textarea>
+        <div class="help-text">Leave empty to allow every IP</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_countries">Allowed Countries (Optional)</label>
+        <input type="text" id="allow_countries" name="allow_countries" placeholder="US, CA">
+        <div class="help-text">Leave empty to allow every country</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_asns">Allowed Networks (Optional)</label>
+        <input type="text" id="allow_asns" name="allow_asns" placeholder="AS7922">
+        <div class="help-text">Leave empty to allow every network</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Bot Challenge</h3>
+      <div class="help-text">Visitors solve a Turnstile challenge before their first message. The session is then trusted for a while, so scripts cannot get around session limits by making up new sessions</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="challenge_enabled" name="challenge_enabled">
+          <label for="challenge_enabled">Require a challenge</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="challenge_site_key">Site Key</label>
+        <input type="text" id="challenge_site_key" name="challenge_site_key" maxlength="200">
+      </div>
+      <div class="form-group">
+        <label for="challenge_secret_key">Secret Key (Optional)</label>
+        <input type="password" id="challenge_secret_key" name="challenge_secret_key" maxlength="200" autocomplete="off">
+        <div class="help-text">Leave empty to use the worker's TURNSTILE_SECRET_KEY secret</div>
+      </div>
+      <div class="form-group">
+        <label for="challenge_trust_minutes">Trust Verified Sessions For (minutes)</label>
+        <input type="number" id="challenge_trust_minutes" name="challenge_trust_minutes" min="1" max="${MAX_CHALLENGE_TRUST_MINUTES}" value="${DEFAULT_CHALLENGE_TRUST_MINUTES}">
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Signed Identity</h3>
+      <div class="help-text">Your site's backend signs the signed-in user's ID, name and email with this secret, and the page passes the token to <code>TypingMindChat.identify()</code>. Verified users are shown on their conversations</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="identity_enabled" name="identity_enabled">
+          <label for="identity_enabled">Accept signed identities</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="identity_secret">Identity Secret</label>
+        <input type="text" id="identity_secret" name="identity_secret" maxlength="200" autocomplete="off">
+        <div class="help-text">At least 32 characters. Leave empty to generate one. Keep it on your server; never put it in the page</div>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="identity_forward_to_agent" name="identity_forward_to_agent">
+          <label for="identity_forward_to_agent">Tell the agent who the user is</label>
+        </div>
+        <div class="help-text">Adds the verified ID, name and email to the conversation sent to TypingMind</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Business Hours</h3>
+      <div class="help-text">Outside these hours and on holidays the widget tells visitors the team is offline. Leave a day empty to close all day; split overnight hours across two days</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="business_hours_enabled" name="business_hours_enabled">
+          <label for="business_hours_enabled">Use business hours</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="business_timezone">Time Zone</label>
+        <input type="text" id="business_timezone" name="business_timezone" maxlength="100" value="UTC" placeholder="Europe/London">
+      </div>
+      ${BUSINESS_DAYS.map(day => `
+      <div class="form-group">
+        <label for="${day.field}">${day.label}</label>
+        <input type="text" id="${day.field}" name="${day.field}" placeholder="09:00-17:00">
+      </div>`).join('')}
+      <div class="form-group">
+        <label for="business_holidays">Holidays (Optional)</label>
+        <textarea id="business_holidays" name="business_holidays" rows="3" placeholder="2026-12-25"></textarea>
+        <div class="help-text">One date per line, closed all day</div>
+      </div>
+      <div class="form-group">
+        <label for="offline_behavior">While Offline</label>
+        <select id="offline_behavior" name="offline_behavior">
+          ${offlineBehaviorOptions('banner')}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="offline_message">Offline Message (Optional)</label>
+        <textarea id="offline_message" name="offline_message" rows="2" maxlength="${MAX_OFFLINE_MESSAGE_LENGTH}" placeholder="${escapeHtml(DEFAULT_OFFLINE_MESSAGE)}"></textarea>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="business_hours_strict" name="business_hours_strict">
+          <label for="business_hours_strict">Refuse chat messages while offline</label>
+        </div>
+        <div class="help-text">Without this, visitors can still chat with the agent after hours</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Quotas</h3>
+      <div class="help-text">Instance-wide limits across all visitors. Leave a quota empty for no limit. Days and months follow UTC</div>
+      <div class="form-group">
+        <label for="messages_per_day">Messages Per Day</label>
+        <input type="number" id="messages_per_day" name="messages_per_day" min="1">
+      </div>
+      <div class="form-group">
+        <label for="messages_per_month">Messages Per Month</label>
+        <input type="number" id="messages_per_month" name="messages_per_month" min="1">
+      </div>
+      <div class="form-group">
+        <label for="tokens_per_month">Tokens Per Month</label>
+        <input type="number" id="tokens_per_month" name="tokens_per_month" min="1">
+        <div class="help-text">Estimated at four characters per token, counting the conversation sent to TypingMind and the reply</div>
+      </div>
+      <div class="form-group">
+        <label for="quota_warning_percent">Warning Level (%)</label>
+        <input type="number" id="quota_warning_percent" name="quota_warning_percent" min="1" max="100" value="${DEFAULT_QUOTA_WARNING_PERCENT}">
+        <div class="help-text">A quota.warning webhook is sent when usage reaches this share of a quota, and quota.exceeded when it runs out</div>
+      </div>
+      <div class="form-group">
+        <label for="quota_message">Limit Message (Optional)</label>
+        <textarea id="quota_message" name="quota_message" rows="2" maxlength="500" placeholder="${escapeHtml(DEFAULT_QUOTA_MESSAGE)}"></textarea>
+        <div class="help-text">Shown in the widget once a quota is used up</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Upstream Retries</h3>
+      <div class="form-group">
+        <label for="timeout_ms">Timeout Per Attempt (ms)</label>
+        <input type="number" id="timeout_ms" name="timeout_ms" value="30000" min="1000" max="60000">
+      </div>
+      <div class="form-group">
+        <label for="max_retries">Retries</label>
+        <input type="number" id="max_retries" name="max_retries" value="2" min="0" max="5">
+        <div class="help-text">Only 429, 502, 503 and network errors are retried. Timeouts move straight to the next backup agent</div>
+      </div>
+      <div class="form-group">
+        <label for="backoff_base_ms">Backoff Base (ms)</label>
+        <input type="number" id="backoff_base_ms" name="backoff_base_ms" value="500" min="50" max="30000">
+      </div>
+      <div class="form-group">
+        <label for="backoff_max_ms">Maximum Backoff (ms)</label>
+        <input type="number" id="backoff_max_ms" name="backoff_max_ms" value="8000" min="50" max="30000">
+        <div class="help-text">Delays double on each retry up to this limit, with random jitter. A longer upstream Retry-After stops retrying</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Page Context</h3>
+      <div class="form-group">
+        <label for="context_template">Context Template (Optional)</label>
+        <textarea id="context_template" name="context_template" rows="4" maxlength="2000" placeholder="The visitor is on {{url}} ({{title}}).&#10;Selected text: {{selectedText}}&#10;{{custom}}"></textarea>
+        <div class="help-text">Sent to the agent as a system message with every chat request. Placeholders: {{url}}, {{title}}, {{description}}, {{selectedText}}, {{custom}} (all values from setContext) or {{custom.sku}}. Leave empty to send no page context</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Lead Capture</h3>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="lead_form_enabled" name="lead_form_enabled">
+          <label for="lead_form_enabled">Ask for contact details before the first message</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="lead_form_title">Form Title</label>
+        <input type="text" id="lead_form_title" name="lead_form_title" maxlength="100" placeholder="Before we start">
+      </div>
+      <div class="form-group">
+        <label for="lead_form_fields">Form Fields (Optional)</label>
+        <textarea id="lead_form_fields" name="lead_form_fields" rows="4" placeholder="name | Name | text | required&#10;email | Email | email | required&#10;company | Company | text"></textarea>
+        <div class="help-text">One field per line: key | Label | type | required. Types: text, email, tel, textarea. Leave empty for required name and email fields</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Human Handoff</h3>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="handoff_enabled" name="handoff_enabled">
+          <label for="handoff_enabled">Let visitors and the agent hand the conversation to staff</label>
+        </div>
+        <div class="help-text">The agent can ask for a handoff by including [HANDOFF] in a reply. Open handoffs appear in the Handoff Inbox</div>
+      </div>
+      <div class="form-group">
+        <label for="handoff_staff_name">Staff Display Name</label>
+        <input type="text" id="handoff_staff_name" name="handoff_staff_name" maxlength="50" placeholder="Support team">
+      </div>
+      <div class="form-group">
+        <label for="handoff_waiting_message">Waiting Message (Optional)</label>
+        <textarea id="handoff_waiting_message" name="handoff_waiting_message" rows="2" maxlength="500" placeholder="Connecting you with a member of our team. They will reply here shortly."></textarea>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Redaction</h3>
+      <div class="help-text">Checked in every visitor message before it is sent to TypingMind, stored or sent to webhooks. Mask hides the value, tokenize swaps it for a placeholder such as [EMAIL_1] and reject asks the visitor to remove it</div>
+      <div class="form-group">
+        <label for="redact_email">Email Addresses</label>
+        <select id="redact_email" name="redact_email">${redactionActionOptions('off')}</select>
+      </div>
+      <div class="form-group">
+        <label for="redact_phone">Phone Numbers</label>
+        <select id="redact_phone" name="redact_phone">${redactionActionOptions('off')}</select>
+      </div>
+      <div class="form-group">
+        <label for="redact_card">Card Numbers</label>
+        <select id="redact_card" name="redact_card">${redactionActionOptions('off')}</select>
+        <div class="help-text">Only numbers that pass the Luhn check are treated as cards. Masking keeps the last four digits</div>
+      </div>
+      <div class="form-group">
+        <label for="redaction_patterns">Custom Patterns (Optional)</label>
+        <textarea id="redaction_patterns" name="redaction_patterns" rows="3" placeholder="mrn | tokenize | MRN-\\d{6}"></textarea>
+        <div class="help-text">One pattern per line: name | mask, tokenize or reject | regular expression. Names use lowercase letters, numbers and underscores. Patterns ignore case</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Guardrails</h3>
+      <div class="help-text">Visitor messages that match a rule get the refusal message instead of a reply. They are never sent to TypingMind and are listed on the Guardrails page</div>
+      <div class="form-group">
+        <label for="blocked_keywords">Blocked Keywords (Optional)</label>
+        <textarea id="blocked_keywords" name="blocked_keywords" rows="3" placeholder="crypto&#10;stock tips"></textarea>
+        <div class="help-text">One word or phrase per line. Whole words only, ignoring case</div>
+      </div>
+      <div class="form-group">
+        <label for="blocked_patterns">Blocked Patterns (Optional)</label>
+        <textarea id="blocked_patterns" name="blocked_patterns" rows="3" placeholder="\\bbet(ting)?\\b"></textarea>
+        <div class="help-text">One regular expression per line. Patterns ignore case</div>
+      </div>
+      <div class="form-group">
+        <label for="refusal_message">Refusal Message (Optional)</label>
+        <textarea id="refusal_message" name="refusal_message" rows="2" maxlength="500" placeholder="${escapeHtml(DEFAULT_REFUSAL_MESSAGE)}"></textarea>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="guardrail_check_replies" name="guardrail_check_replies">
+          <label for="guardrail_check_replies">Also check agent replies</label>
+        </div>
+        <div class="help-text">Replies are checked before they reach the visitor, so streaming is turned off while this is on</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Webhooks</h3>
+      <div class="form-group">
+        <label for="webhooks">Webhook Endpoints (Optional)</label>
+        <textarea id="webhooks" name="webhooks" rows="3" placeholder="https://example.com/hooks/chat | lead.captured, agent.error"></textarea>
+        <div class="help-text">One endpoint per line: https URL | events | secret. Events: ${WEBHOOK_EVENTS.join(', ')}. Leave events empty to receive all events and the secret empty to generate one</div>
+      </div>
+    </div>
   `;
 
   return formLayout({
@@ -139,8 +536,8 @@ export function createInstanceForm() {
  * @param {Object} instanceData - Instance data object
  * @returns {string} Edit instance form HTML
  */
-export function editInstanceForm(id, instanceData) {
-  const { instance, domains, features, rateLimits, theme, welcomeMessage } = instanceData;
+export function editInstanceForm(id, instanceData, { redactionCounts = [] } = {}) {
+  const { instance, domains, paths, backupAgents, starters, experimentVariants, features, rateLimits, upstreamSettings, theme, welcomeMessage, contextTemplate, leadForm, webhooks, handoffSettings, redactionSettings, guardrails, quotas, networkRules, challengeSettings, identitySettings, businessHours, localeSettings } = instanceData;
   
   // Properly handle checkbox states
   const markdownChecked = features?.markdown ? 'checked' : '';
@@ -152,6 +549,71 @@ export function editInstanceForm(id, instanceData) {
   const showOnReturnChecked = welcomeMessage?.show_on_return ? 'checked' : '';
   const welcomeText = welcomeMessage?.welcome_message || 'Hello! How can I help you today?';
   
+  // Conversation starters as one prompt per line
+  const starterLines = (starters || []).map(s => s.prompt).join('\n');
+  
+  // Experiment variants as "key | weight | agent | welcome | starters" lines, without trailing empty fields
+  const experimentLines = (experimentVariants || [])
+    .map(parseStoredVariant)
+    .map(v => {
+      const parts = [v.key, String(v.weight), v.agentId || '', v.welcomeMessage || '', v.starters.join('; ')];
+      while (parts[parts.length - 1] === '') parts.pop();
+      return parts.join(' | ');
+    })
+    .join('\n');
+  
+  // Language settings; translations and overrides as "locale | text" and "locale | key | text" lines
+  const localeAutoDetectChecked = localeSettings?.auto_detect ? 'checked' : '';
+  const welcomeTranslationLines = Object.entries(parseStoredWelcomeTranslations(localeSettings?.welcome_translations))
+    .map(([locale, text]) => `${locale} | ${text}`)
+    .join('\n');
+  const stringOverrideLines = Object.entries(parseStoredStringOverrides(localeSettings?.string_overrides))
+    .flatMap(([locale, strings]) => Object.entries(strings).map(([key, text]) => `${locale} | ${key} | ${text}`))
+    .join('\n');
+  
+  // Zero retries is a valid setting, so only fall back when unset
+  const maxRetries = Number.isInteger(upstreamSettings?.max_retries) ? upstreamSettings.max_retries : 2;
+  
+  // Lead form fields as "key | Label | type | required" lines; empty means the default fields
+  const leadFormEnabledChecked = leadForm?.enabled ? 'checked' : '';
+  const handoffEnabledChecked = handoffSettings?.enabled ? 'checked' : '';
+  const leadFieldLines = leadForm?.fields
+    ? parseStoredLeadFields(leadForm.fields)
+      .map(f => [f.key, f.label, f.type].concat(f.required ? ['required'] : []).join(' | '))
+      .join('\n')
+    : '';
+  
+  // Webhooks as "url | events | secret" lines; the secret is shown so it can be copied to the receiver
+  const webhookLines = (webhooks || [])
+    .map(w => [w.url, (w.events || '').split(',').filter(e => e).join(', '), w.secret].join(' | '))
+    .join('\n');
+  
+  // Custom redaction patterns as "name | action | pattern" lines, and the running totals
+  const redactionPatternLines = parseStoredRedactionPatterns(redactionSettings?.custom_patterns)
+    .map(p => [p.name, p.action, p.pattern].join(' | '))
+    .join('\n');
+  const redactionSummary = redactionCounts.length > 0
+    ? `Redacted so far: ${redactionCounts.map(c => `${c.detector} (${c.action}) ${c.count}`).join(', ')}`
+    : 'Nothing has been redacted yet';
+  
+  // Guardrail keywords and patterns, one per line
+  const blockedKeywordLines = parseStoredGuardrailRules(guardrails?.blocked_keywords).join('\n');
+  const blockedPatternLines = parseStoredGuardrailRules(guardrails?.blocked_patterns).join('\n');
+  const guardrailCheckRepliesChecked = guardrails?.check_replies ? 'checked' : '';
+  const challengeEnabledChecked = challengeSettings?.enabled ? 'checked' : '';
+  const identityEnabledChecked = identitySettings?.enabled ? 'checked' : '';
+  const identityForwardChecked = identitySettings?.forward_to_agent ? 'checked' : '';
+  
+  // Business hours: one line of ranges per day, holidays one per line
+  const businessHoursEnabledChecked = businessHours?.enabled ? 'checked' : '';
+  const businessHoursStrictChecked = businessHours?.strict ? 'checked' : '';
+  const schedule = parseStoredSchedule(businessHours?.schedule);
+  const holidayLines = parseHolidayList(businessHours?.holidays).join('\n');
+  
+  // Network rules: ranges one per line, countries and ASNs comma-separated
+  const rules = parseStoredNetworkRules(networkRules);
+  const asnList = (asns) => asns.map(asn => `AS${asn}`).join(', ');
+  
   // Handle select options
   const positionOptions = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
   const embedModeOptions = ['popup', 'inline'];
@@ -173,12 +635,48 @@ export function editInstanceForm(id, instanceData) {
       <input type="text" id="api_key" name="api_key" value="${instance.api_key || ''}" placeholder="Leave empty to use default">
     </div>
     
+    <div class="form-group">
+      <label for="backup_agents">Backup Agents (one per line, optional)</label>
+      <textarea id="backup_agents" name="backup_agents" placeholder="backup-agent-id, tm-sk-xxx">${(backupAgents || []).map(b => b.api_key ? `${b.typingmind_agent_id}, ${b.api_key}` : b.typingmind_agent_id).join('\n')}</textarea>
+      <div class="help-text">Tried in order when the primary agent times out or fails. Add ", api-key" to use a different key</div>
+    </div>
+    
     <div class="form-group">
       <label for="domains">Allowed Domains (one per line)</label>
       <textarea id="domains" name="domains">${domains.map(d => d.domain).join('\n')}</textarea>
       <div class="help-text">Use * for wildcard, e.g., *.example.com</div>
     </div>
     
+    <div class="form-group">
+      <label for="paths">Allowed Paths (one per line, optional)</label>
+      <textarea id="paths" name="paths" placeholder="/blog/*">${(paths || []).map(p => p.path).join('\n')}</textarea>
+      <div class="help-text">Leave empty to allow every page. Use /docs/ for a prefix or * as a wildcard, e.g., /blog/*</div>
+    </div>
+    
+    <div class="section">
+      <h3>Availability</h3>
+      <div class="help-text">Paused instances hide the widget and refuse chats; maintenance shows the message below instead. The setup is kept either way</div>
+      <div class="form-group">
+        <label for="state">State</label>
+        <select id="state" name="state">
+          ${instanceStateOptions(instance.state)}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="maintenance_message">Maintenance Message (Optional)</label>
+        <textarea id="maintenance_message" name="maintenance_message" rows="2" maxlength="${MAX_MAINTENANCE_MESSAGE_LENGTH}" placeholder="${escapeHtml(DEFAULT_MAINTENANCE_MESSAGE)}">${escapeHtml(instance.maintenance_message || '')}</textarea>
+      </div>
+      <div class="form-group">
+        <label for="maintenance_starts_at">Maintenance Starts (UTC, Optional)</label>
+        <input type="datetime-local" id="maintenance_starts_at" name="maintenance_starts_at" value="${windowInputValue(instance.maintenance_starts_at)}">
+      </div>
+      <div class="form-group">
+        <label for="maintenance_ends_at">Maintenance Ends (UTC, Optional)</label>
+        <input type="datetime-local" id="maintenance_ends_at" name="maintenance_ends_at" value="${windowInputValue(instance.maintenance_ends_at)}">
+        <div class="help-text">With a start or end, maintenance only applies between them and the instance is active outside that window</div>
+      </div>
+    </div>
+    
     <div class="form-group">
       <label>Features</label>
       <div class="checkbox-group">
@@ -205,6 +703,190 @@ export function editInstanceForm(id, instanceData) {
       <input type="number" id="messages_per_session" name="messages_per_session" value="${rateLimits?.messages_per_session || 30}" min="1">
     </div>
     
+    <div class="section">
+      <h3>Network Access</h3>
+      <div class="help-text">Checked after the domain check, using the visitor's IP, country and network (ASN) as seen by Cloudflare. Blocked entries always win. When an allowed list has entries, visitors must also match it</div>
+      <div class="form-group">
+        <label for="deny_cidrs">Blocked IP Ranges (Optional)</label>
+        <textarea id="deny_cidrs" name="deny_cidrs" rows="2" placeholder="203.0.113.0/24&#10;2001:db8::/32">${escapeHtml(rules.denyCidrs.join('\n'))}</textarea>
+        <div class="help-text">IPv4 or IPv6 addresses or CIDR ranges, one per line</div>
+      </div>
+      <div class="form-group">
+        <label for="deny_countries">Blocked Countries (Optional)</label>
+        <input type="text" id="deny_countries" name="deny_countries" placeholder="KP, T1" value="${rules.denyCountries.join(', ')}">
+        <div class="help-text">Two-letter country codes, separated by commas. T1 is Tor and XX is unknown</div>
+      </div>
+      <div class="form-group">
+        <label for="deny_asns">Blocked Networks (Optional)</label>
+        <input type="text" id="deny_asns" name="deny_asns" placeholder="AS16509, AS14061" value="${asnList(rules.denyAsns)}">
+        <div class="help-text">AS numbers, separated by commas. Use this to block hosting providers</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_cidrs">Allowed IP Ranges (Optional)</label>
+        <textarea id="allow_cidrs" name="allow_cidrs" rows="2" placeholder="198.51.100.0/24">${escapeHtml(rules.allowCidrs.join('\n'))}</textarea>
+        <div class="help-text">Leave empty to allow every IP</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_countries">Allowed Countries (Optional)</label>
+        <input type="text" id="allow_countries" name="allow_countries" placeholder="US, CA" value="${rules.allowCountries.join(', ')}">
+        <div class="help-text">Leave empty to allow every country</div>
+      </div>
+      <div class="form-group">
+        <label for="allow_asns">Allowed Networks (Optional)</label>
+        <input type="text" id="allow_asns" name="allow_asns" placeholder="AS7922" value="${asnList(rules.allowAsns)}">
+        <div class="help-text">Leave empty to allow every network</div>
+      </div>
+      <div class="form-group">
+        <label for="network_test_ip">Test an IP</label>
+        <div class="inline-fields">
+          <input type="text" id="network_test_ip" placeholder="IP address">
+          <input type="text" id="network_test_country" placeholder="Country" maxlength="2">
+          <input type="text" id="network_test_asn" placeholder="ASN">
+          <button type="button" class="btn btn-sm btn-info" onclick="testNetworkRules(this)" data-instance-id="${id}">Test</button>
+        </div>
+        <div class="help-text" id="network_test_result">Checks the rules above, including unsaved changes. Leave every field empty to test your own connection</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Bot Challenge</h3>
+      <div class="help-text">Visitors solve a Turnstile challenge before their first message. The session is then trusted for a while, so scripts cannot get around session limits by making up new sessions</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="challenge_enabled" name="challenge_enabled" ${challengeEnabledChecked}>
+          <label for="challenge_enabled">Require a challenge</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="challenge_site_key">Site Key</label>
+        <input type="text" id="challenge_site_key" name="challenge_site_key" maxlength="200" value="${escapeHtml(challengeSettings?.site_key || '')}">
+      </div>
+      <div class="form-group">
+        <label for="challenge_secret_key">Secret Key (Optional)</label>
+        <input type="password" id="challenge_secret_key" name="challenge_secret_key" maxlength="200" autocomplete="off" value="${escapeHtml(challengeSettings?.secret_key || '')}">
+        <div class="help-text">Leave empty to use the worker's TURNSTILE_SECRET_KEY secret</div>
+      </div>
+      <div class="form-group">
+        <label for="challenge_trust_minutes">Trust Verified Sessions For (minutes)</label>
+        <input type="number" id="challenge_trust_minutes" name="challenge_trust_minutes" min="1" max="${MAX_CHALLENGE_TRUST_MINUTES}" value="${challengeSettings?.trust_minutes || DEFAULT_CHALLENGE_TRUST_MINUTES}">
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Signed Identity</h3>
+      <div class="help-text">Your site's backend signs the signed-in user's ID, name and email with this secret, and the page passes the token to <code>TypingMindChat.identify()</code>. Verified users are shown on their conversations</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="identity_enabled" name="identity_enabled" ${identityEnabledChecked}>
+          <label for="identity_enabled">Accept signed identities</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="identity_secret">Identity Secret</label>
+        <input type="text" id="identity_secret" name="identity_secret" maxlength="200" autocomplete="off" value="${escapeHtml(identitySettings?.secret || '')}">
+        <div class="help-text">At least 32 characters. Leave empty to generate one. Keep it on your server; never put it in the page</div>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="identity_forward_to_agent" name="identity_forward_to_agent" ${identityForwardChecked}>
+          <label for="identity_forward_to_agent">Tell the agent who the user is</label>
+        </div>
+        <div class="help-text">Adds the verified ID, name and email to the conversation sent to TypingMind</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Business Hours</h3>
+      <div class="help-text">Outside these hours and on holidays the widget tells visitors the team is offline. Leave a day empty to close all day; split overnight hours across two days</div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="business_hours_enabled" name="business_hours_enabled" ${businessHoursEnabledChecked}>
+          <label for="business_hours_enabled">Use business hours</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="business_timezone">Time Zone</label>
+        <input type="text" id="business_timezone" name="business_timezone" maxlength="100" value="${escapeHtml(businessHours?.timezone || 'UTC')}" placeholder="Europe/London">
+      </div>
+      ${BUSINESS_DAYS.map(day => `
+      <div class="form-group">
+        <label for="${day.field}">${day.label}</label>
+        <input type="text" id="${day.field}" name="${day.field}" value="${escapeHtml(formatHourRanges(schedule[day.key]))}" placeholder="09:00-17:00">
+      </div>`).join('')}
+      <div class="form-group">
+        <label for="business_holidays">Holidays (Optional)</label>
+        <textarea id="business_holidays" name="business_holidays" rows="3" placeholder="2026-12-25">${escapeHtml(holidayLines)}</textarea>
+        <div class="help-text">One date per line, closed all day</div>
+      </div>
+      <div class="form-group">
+        <label for="offline_behavior">While Offline</label>
+        <select id="offline_behavior" name="offline_behavior">
+          ${offlineBehaviorOptions(businessHours?.offline_behavior)}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="offline_message">Offline Message (Optional)</label>
+        <textarea id="offline_message" name="offline_message" rows="2" maxlength="${MAX_OFFLINE_MESSAGE_LENGTH}" placeholder="${escapeHtml(DEFAULT_OFFLINE_MESSAGE)}">${escapeHtml(businessHours?.offline_message || '')}</textarea>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="business_hours_strict" name="business_hours_strict" ${businessHoursStrictChecked}>
+          <label for="business_hours_strict">Refuse chat messages while offline</label>
+        </div>
+        <div class="help-text">Without this, visitors can still chat with the agent after hours</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Quotas</h3>
+      <div class="help-text">Instance-wide limits across all visitors. Leave a quota empty for no limit. Days and months follow UTC</div>
+      <div class="form-group">
+        <label for="messages_per_day">Messages Per Day</label>
+        <input type="number" id="messages_per_day" name="messages_per_day" min="1" value="${quotas?.messages_per_day || ''}">
+      </div>
+      <div class="form-group">
+        <label for="messages_per_month">Messages Per Month</label>
+        <input type="number" id="messages_per_month" name="messages_per_month" min="1" value="${quotas?.messages_per_month || ''}">
+      </div>
+      <div class="form-group">
+        <label for="tokens_per_month">Tokens Per Month</label>
+        <input type="number" id="tokens_per_month" name="tokens_per_month" min="1" value="${quotas?.tokens_per_month || ''}">
+        <div class="help-text">Estimated at four characters per token, counting the conversation sent to TypingMind and the reply</div>
+      </div>
+      <div class="form-group">
+        <label for="quota_warning_percent">Warning Level (%)</label>
+        <input type="number" id="quota_warning_percent" name="quota_warning_percent" min="1" max="100" value="${quotas?.warning_percent || DEFAULT_QUOTA_WARNING_PERCENT}">
+        <div class="help-text">A quota.warning webhook is sent when usage reaches this share of a quota, and quota.exceeded when it runs out</div>
+      </div>
+      <div class="form-group">
+        <label for="quota_message">Limit Message (Optional)</label>
+        <textarea id="quota_message" name="quota_message" rows="2" maxlength="500" placeholder="${escapeHtml(DEFAULT_QUOTA_MESSAGE)}">${escapeHtml(quotas?.limit_message || '')}</textarea>
+        <div class="help-text">Shown in the widget once a quota is used up</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Upstream Retries</h3>
+      <div class="form-group">
+        <label for="timeout_ms">Timeout Per Attempt (ms)</label>
+        <input type="number" id="timeout_ms" name="timeout_ms" value="${upstreamSettings?.timeout_ms || 30000}" min="1000" max="60000">
+      </div>
+      <div class="form-group">
+        <label for="max_retries">Retries</label>
+        <input type="number" id="max_retries" name="max_retries" value="${maxRetries}" min="0" max="5">
+        <div class="help-text">Only 429, 502, 503 and network errors are retried. Timeouts move straight to the next backup agent</div>
+      </div>
+      <div class="form-group">
+        <label for="backoff_base_ms">Backoff Base (ms)</label>
+        <input type="number" id="backoff_base_ms" name="backoff_base_ms" value="${upstreamSettings?.backoff_base_ms || 500}" min="50" max="30000">
+      </div>
+      <div class="form-group">
+        <label for="backoff_max_ms">Maximum Backoff (ms)</label>
+        <input type="number" id="backoff_max_ms" name="backoff_max_ms" value="${upstreamSettings?.backoff_max_ms || 8000}" min="50" max="30000">
+        <div class="help-text">Delays double on each retry up to this limit, with random jitter. A longer upstream Retry-After stops retrying</div>
+      </div>
+    </div>
+    
     <div class="form-group">
       <label for="primary_color">Primary Color</label>
       <input type="text" id="primary_color" name="primary_color" value="${theme?.primary_color || '#007bff'}" placeholder="#007bff">
@@ -257,6 +939,164 @@ export function editInstanceForm(id, instanceData) {
         </div>
       </div>
     </div>
+    
+    <div class="section">
+      <h3>Language</h3>
+      <div class="form-group">
+        <label for="default_locale">Default Language</label>
+        <select id="default_locale" name="default_locale">
+          ${localeOptions(localeSettings?.default_locale)}
+        </select>
+        <div class="help-text">Language of the widget's buttons, labels and messages. A locale set in the embed code takes precedence</div>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="locale_auto_detect" name="locale_auto_detect" ${localeAutoDetectChecked}>
+          <label for="locale_auto_detect">Use the visitor's browser language when it is supported</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="text_direction">Text Direction</label>
+        <select id="text_direction" name="text_direction">
+          ${directionOptions(localeSettings?.direction)}
+        </select>
+        <div class="help-text">Right to left mirrors the widget for languages such as Arabic and Hebrew, including which corner it opens from. Automatic follows the dir attribute of the page</div>
+      </div>
+      <div class="form-group">
+        <label for="welcome_translations">Welcome Message Translations (Optional)</label>
+        <textarea id="welcome_translations" name="welcome_translations" rows="3" placeholder="es | ¡Hola! ¿En qué puedo ayudarte?&#10;de | Hallo! Wie kann ich helfen?">${escapeHtml(welcomeTranslationLines)}</textarea>
+        <div class="help-text">One translation per line as language | message. Visitors in other languages see the welcome message above</div>
+      </div>
+      <div class="form-group">
+        <label for="string_overrides">Widget Text Overrides (Optional)</label>
+        <textarea id="string_overrides" name="string_overrides" rows="3" placeholder="en | talkToPerson | Chat with our team&#10;es | inputPlaceholder | Escribe tu pregunta...">${escapeHtml(stringOverrideLines)}</textarea>
+        <div class="help-text">One override per line as language | key | text. Keys: ${TRANSLATION_KEYS.join(', ')}</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Conversation Starters</h3>
+      <div class="form-group">
+        <label for="starters">Starter Prompts (Optional)</label>
+        <textarea id="starters" name="starters" rows="4" placeholder="What does it cost?&#10;Book a demo">${escapeHtml(starterLines)}</textarea>
+        <div class="help-text">One prompt per line, up to 6 (max 80 characters each). Shown as buttons under the welcome message. The agent can offer follow-ups by ending a reply with [SUGGESTIONS: First | Second]</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Experiments</h3>
+      <div class="form-group">
+        <label for="experiment_variants">Variants (Optional)</label>
+        <textarea id="experiment_variants" name="experiment_variants" rows="4" placeholder="control | 50&#10;short-welcome | 50 | | Hi! Ask me anything | Pricing; Book a demo">${escapeHtml(experimentLines)}</textarea>
+        <div class="help-text">One variant per line as key | weight | agent ID | welcome message | starters separated by ;, up to ${MAX_EXPERIMENT_VARIANTS}. Empty fields keep this instance's own setting. Each session is assigned a variant by weight and keeps it; changing the variants or weights reassigns sessions. Results are on the Experiments page</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Page Context</h3>
+      <div class="form-group">
+        <label for="context_template">Context Template (Optional)</label>
+        <textarea id="context_template" name="context_template" rows="4" maxlength="2000" placeholder="The visitor is on {{url}} ({{title}}).&#10;Selected text: {{selectedText}}&#10;{{custom}}">${escapeHtml(contextTemplate?.context_template || '')}</textarea>
+        <div class="help-text">Sent to the agent as a system message with every chat request. Placeholders: {{url}}, {{title}}, {{description}}, {{selectedText}}, {{custom}} (all values from setContext) or {{custom.sku}}. Leave empty to send no page context</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Lead Capture</h3>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="lead_form_enabled" name="lead_form_enabled" ${leadFormEnabledChecked}>
+          <label for="lead_form_enabled">Ask for contact details before the first message</label>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="lead_form_title">Form Title</label>
+        <input type="text" id="lead_form_title" name="lead_form_title" maxlength="100" value="${escapeHtml(leadForm?.title || '')}" placeholder="Before we start">
+      </div>
+      <div class="form-group">
+        <label for="lead_form_fields">Form Fields (Optional)</label>
+        <textarea id="lead_form_fields" name="lead_form_fields" rows="4" placeholder="name | Name | text | required&#10;email | Email | email | required&#10;company | Company | text">${escapeHtml(leadFieldLines)}</textarea>
+        <div class="help-text">One field per line: key | Label | type | required. Types: text, email, tel, textarea. Leave empty for required name and email fields</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Human Handoff</h3>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="handoff_enabled" name="handoff_enabled" ${handoffEnabledChecked}>
+          <label for="handoff_enabled">Let visitors and the agent hand the conversation to staff</label>
+        </div>
+        <div class="help-text">The agent can ask for a handoff by including [HANDOFF] in a reply. Open handoffs appear in the Handoff Inbox</div>
+      </div>
+      <div class="form-group">
+        <label for="handoff_staff_name">Staff Display Name</label>
+        <input type="text" id="handoff_staff_name" name="handoff_staff_name" maxlength="50" value="${escapeHtml(handoffSettings?.staff_name || '')}" placeholder="Support team">
+      </div>
+      <div class="form-group">
+        <label for="handoff_waiting_message">Waiting Message (Optional)</label>
+        <textarea id="handoff_waiting_message" name="handoff_waiting_message" rows="2" maxlength="500" placeholder="Connecting you with a member of our team. They will reply here shortly.">${escapeHtml(handoffSettings?.waiting_message || '')}</textarea>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Redaction</h3>
+      <div class="help-text">Checked in every visitor message before it is sent to TypingMind, stored or sent to webhooks. Mask hides the value, tokenize swaps it for a placeholder such as [EMAIL_1] and reject asks the visitor to remove it</div>
+      <div class="form-group">
+        <label for="redact_email">Email Addresses</label>
+        <select id="redact_email" name="redact_email">${redactionActionOptions(redactionSettings?.email_action)}</select>
+      </div>
+      <div class="form-group">
+        <label for="redact_phone">Phone Numbers</label>
+        <select id="redact_phone" name="redact_phone">${redactionActionOptions(redactionSettings?.phone_action)}</select>
+      </div>
+      <div class="form-group">
+        <label for="redact_card">Card Numbers</label>
+        <select id="redact_card" name="redact_card">${redactionActionOptions(redactionSettings?.card_action)}</select>
+        <div class="help-text">Only numbers that pass the Luhn check are treated as cards. Masking keeps the last four digits</div>
+      </div>
+      <div class="form-group">
+        <label for="redaction_patterns">Custom Patterns (Optional)</label>
+        <textarea id="redaction_patterns" name="redaction_patterns" rows="3" placeholder="mrn | tokenize | MRN-\\d{6}">${escapeHtml(redactionPatternLines)}</textarea>
+        <div class="help-text">One pattern per line: name | mask, tokenize or reject | regular expression. Names use lowercase letters, numbers and underscores. Patterns ignore case</div>
+      </div>
+      <div class="help-text">${escapeHtml(redactionSummary)}</div>
+    </div>
+    
+    <div class="section">
+      <h3>Guardrails</h3>
+      <div class="help-text">Visitor messages that match a rule get the refusal message instead of a reply. They are never sent to TypingMind and are listed on the Guardrails page</div>
+      <div class="form-group">
+        <label for="blocked_keywords">Blocked Keywords (Optional)</label>
+        <textarea id="blocked_keywords" name="blocked_keywords" rows="3" placeholder="crypto&#10;stock tips">${escapeHtml(blockedKeywordLines)}</textarea>
+        <div class="help-text">One word or phrase per line. Whole words only, ignoring case</div>
+      </div>
+      <div class="form-group">
+        <label for="blocked_patterns">Blocked Patterns (Optional)</label>
+        <textarea id="blocked_patterns" name="blocked_patterns" rows="3" placeholder="\\bbet(ting)?\\b">${escapeHtml(blockedPatternLines)}</textarea>
+        <div class="help-text">One regular expression per line. Patterns ignore case</div>
+      </div>
+      <div class="form-group">
+        <label for="refusal_message">Refusal Message (Optional)</label>
+        <textarea id="refusal_message" name="refusal_message" rows="2" maxlength="500" placeholder="${escapeHtml(DEFAULT_REFUSAL_MESSAGE)}">${escapeHtml(guardrails?.refusal_message || '')}</textarea>
+      </div>
+      <div class="form-group">
+        <div class="checkbox-group">
+          <input type="checkbox" id="guardrail_check_replies" name="guardrail_check_replies" ${guardrailCheckRepliesChecked}>
+          <label for="guardrail_check_replies">Also check agent replies</label>
+        </div>
+        <div class="help-text">Replies are checked before they reach the visitor, so streaming is turned off while this is on</div>
+      </div>
+    </div>
+    
+    <div class="section">
+      <h3>Webhooks</h3>
+      <div class="form-group">
+        <label for="webhooks">Webhook Endpoints (Optional)</label>
+        <textarea id="webhooks" name="webhooks" rows="3" placeholder="https://example.com/hooks/chat | lead.captured, agent.error">${escapeHtml(webhookLines)}</textarea>
+        <div class="help-text">One endpoint per line: https URL | events | secret. Events: ${WEBHOOK_EVENTS.join(', ')}. Leave events empty to receive all events and the secret empty to generate one</div>
+      </div>
+    </div>
   `;
 
   // Add data-instance-id attribute to form
@@ -270,4 +1110,80 @@ export function editInstanceForm(id, instanceData) {
     'id="edit-instance-form"',
     `id="edit-instance-form" data-instance-id="${id}"`
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Render the options of a redaction action select
+ * @param {string} selected - Stored action; anything unknown selects off
+ * @returns {string} Option elements HTML
+ */
+function redactionActionOptions(selected) {
+  const current = REDACTION_ACTIONS.includes(selected) ? selected : 'off';
+  return REDACTION_ACTIONS.map(action =>
+    `<option value="${action}" ${action === current ? 'selected' : ''}>${action.charAt(0).toUpperCase() + action.slice(1)}</option>`
+  ).join('');
+}
+
+/**
+ * Render the options of the offline behavior select
+ * @param {string} selected - Stored behavior; anything unknown selects banner
+ * @returns {string} Option elements HTML
+ */
+function offlineBehaviorOptions(selected) {
+  const labels = { banner: 'Show a banner', form: 'Show a message form', hide: 'Hide the widget' };
+  const current = OFFLINE_BEHAVIORS.includes(selected) ? selected : 'banner';
+  return OFFLINE_BEHAVIORS.map(behavior =>
+    `<option value="${behavior}" ${behavior === current ? 'selected' : ''}>${labels[behavior]}</option>`
+  ).join('');
+}
+
+/**
+ * Render the options of the default language select
+ * @param {string} selected - Stored locale; anything unknown selects English
+ * @returns {string} Option elements HTML
+ */
+function localeOptions(selected) {
+  const current = SUPPORTED_LOCALES.some(locale => locale.code === selected) ? selected : 'en';
+  return SUPPORTED_LOCALES.map(({ code, label }) =>
+    `<option value="${code}" ${code === current ? 'selected' : ''}>${label} (${code})</option>`
+  ).join('');
+}
+
+/**
+ * Render the options of the text direction select
+ * @param {string} selected - Stored direction; anything unknown selects automatic
+ * @returns {string} Option elements HTML
+ */
+function directionOptions(selected) {
+  const current = TEXT_DIRECTIONS.includes(selected) ? selected : 'auto';
+  const labels = {
+    auto: 'Automatic (follow the page)',
+    ltr: 'Left to right',
+    rtl: 'Right to left'
+  };
+  return TEXT_DIRECTIONS.map(direction =>
+    `<option value="${direction}" ${direction === current ? 'selected' : ''}>${labels[direction]}</option>`
+  ).join('');
+}
+
+/**
+ * Render the options of the instance state select
+ * @param {string} selected - Stored state; anything unknown selects active
+ * @returns {string} Option elements HTML
+ */
+function instanceStateOptions(selected) {
+  const current = INSTANCE_STATES.includes(selected) ? selected : 'active';
+  return INSTANCE_STATES.map(state =>
+    `<option value="${state}" ${state === current ? 'selected' : ''}>${state.charAt(0).toUpperCase() + state.slice(1)}</option>`
+  ).join('');
+}
+
+/**
+ * Format a stored maintenance window time for a datetime-local input
+ * @param {string|null} time - Stored ISO time
+ * @returns {string} YYYY-MM-DDTHH:MM in UTC, or an empty string
+ */
+function windowInputValue(time) {
+  const iso = parseWindowTime(time);
+  return iso ? iso.slice(0, 16) : '';
+}
@@ -25,6 +25,60 @@ describe('Admin Form Templates', () => {
       expect(html).toContain('name="typingmind_agent_id"');
       expect(html).toContain('name="api_key"');
       expect(html).toContain('name="domains"');
+      expect(html).toContain('name="paths"');
+      expect(html).toContain('name="backup_agents"');
+      expect(html).toContain('name="timeout_ms"');
+      expect(html).toContain('name="max_retries"');
+      expect(html).toContain('name="backoff_base_ms"');
+      expect(html).toContain('name="backoff_max_ms"');
+      expect(html).toContain('name="context_template"');
+      expect(html).toContain('name="lead_form_enabled"');
+      expect(html).toContain('name="lead_form_title"');
+      expect(html).toContain('name="lead_form_fields"');
+      expect(html).toContain('name="webhooks"');
+      expect(html).toContain('name="handoff_enabled"');
+      expect(html).toContain('name="handoff_staff_name"');
+      expect(html).toContain('name="handoff_waiting_message"');
+      expect(html).toContain('name="starters"');
+      expect(html).toContain('name="experiment_variants"');
+      expect(html).toContain('name="redact_email"');
+      expect(html).toContain('name="redact_phone"');
+      expect(html).toContain('name="redact_card"');
+      expect(html).toContain('name="redaction_patterns"');
+      expect(html).toContain('name="blocked_keywords"');
+      expect(html).toContain('name="blocked_patterns"');
+      expect(html).toContain('name="refusal_message"');
+      expect(html).toContain('name="guardrail_check_replies"');
+      expect(html).toContain('name="messages_per_day"');
+      expect(html).toContain('name="messages_per_month"');
+      expect(html).toContain('name="tokens_per_month"');
+      expect(html).toContain('name="quota_warning_percent"');
+      expect(html).toContain('name="quota_message"');
+      expect(html).toContain('name="deny_cidrs"');
+      expect(html).toContain('name="deny_countries"');
+      expect(html).toContain('name="deny_asns"');
+      expect(html).toContain('name="allow_cidrs"');
+      expect(html).toContain('name="allow_countries"');
+      expect(html).toContain('name="allow_asns"');
+      expect(html).toContain('name="challenge_enabled"');
+      expect(html).toContain('name="challenge_site_key"');
+      expect(html).toContain('name="challenge_secret_key"');
+      expect(html).toContain('name="challenge_trust_minutes"');
+      expect(html).toContain('name="identity_enabled"');
+      expect(html).toContain('name="identity_secret"');
+      expect(html).toContain('name="identity_forward_to_agent"');
+      expect(html).toContain('name="business_hours_enabled"');
+      expect(html).toContain('name="business_timezone"');
+      expect(html).toContain('name="hours_mon"');
+      expect(html).toContain('name="hours_sun"');
+      expect(html).toContain('name="business_holidays"');
+      expect(html).toContain('name="offline_behavior"');
+      expect(html).toContain('name="offline_message"');
+      expect(html).toContain('name="business_hours_strict"');
+      expect(html).toContain('name="state"');
+      expect(html).toContain('name="maintenance_message"');
+      expect(html).toContain('name="maintenance_starts_at"');
+      expect(html).toContain('name="maintenance_ends_at"');
 
       // Feature checkboxes
       expect(html).toContain('name="markdown"');
@@ -40,6 +94,13 @@ describe('Admin Form Templates', () => {
       // Rate limit fields
       expect(html).toContain('name="messages_per_hour"');
       expect(html).toContain('name="messages_per_session"');
+
+      // Language fields
+      expect(html).toContain('name="default_locale"');
+      expect(html).toContain('name="locale_auto_detect"');
+      expect(html).toContain('<option value="auto" selected>Automatic (follow the page)</option>');
+      expect(html).toContain('name="welcome_translations"');
+      expect(html).toContain('name="string_overrides"');
     });
 
     test('should have default values set', () => {
@@ -65,6 +126,22 @@ describe('Admin Form Templates', () => {
         { domain: '*.example.com' },
         { domain: 'app.example.com' }
       ],
+      paths: [
+        { path: '/blog/*' },
+        { path: '/docs/' }
+      ],
+      backupAgents: [
+        { typingmind_agent_id: 'agent-backup', api_key: null },
+        { typingmind_agent_id: 'agent-other', api_key: 'other-key' }
+      ],
+      starters: [
+        { prompt: 'What does it cost?' },
+        { prompt: 'Compare <Pro> & Team' }
+      ],
+      experimentVariants: [
+        { variant_key: 'control', weight: 1, typingmind_agent_id: null, welcome_message: null, starters: '[]' },
+        { variant_key: 'short', weight: 2, typingmind_agent_id: null, welcome_message: 'Hi <there>', starters: '["Pricing","Demo"]' }
+      ],
       features: {
         markdown: true,
         image_upload: false,
@@ -74,6 +151,83 @@ describe('Admin Form Templates', () => {
         messages_per_hour: 200,
         messages_per_session: 50
       },
+      upstreamSettings: {
+        timeout_ms: 12000,
+        max_retries: 0,
+        backoff_base_ms: 250,
+        backoff_max_ms: 4000
+      },
+      contextTemplate: {
+        context_template: 'Viewing <{{title}}>'
+      },
+      leadForm: {
+        enabled: 1,
+        title: 'Say "hi"',
+        fields: '[{"key":"email","label":"Email","type":"email","required":true},{"key":"company","label":"Company","type":"text","required":false}]'
+      },
+      webhooks: [
+        { url: 'https://hooks.example.com/a?x=1&y=2', secret: 'whsec_1', events: 'lead.captured,agent.error' },
+        { url: 'https://hooks.example.com/b', secret: 'whsec_2', events: '' }
+      ],
+      handoffSettings: {
+        enabled: 1,
+        staff_name: 'Sam & team',
+        waiting_message: 'One moment <please>'
+      },
+      redactionSettings: {
+        email_action: 'tokenize',
+        phone_action: null,
+        card_action: 'reject',
+        custom_patterns: '[{"name":"mrn","pattern":"MRN-\\\\d{6}|<id>","action":"mask"}]'
+      },
+      guardrails: {
+        blocked_keywords: '["crypto","stock tips"]',
+        blocked_patterns: '["<bet>"]',
+        refusal_message: 'Product questions only & nothing else',
+        check_replies: 1
+      },
+      quotas: {
+        messages_per_day: 500,
+        messages_per_month: null,
+        tokens_per_month: 2000000,
+        warning_percent: 90,
+        limit_message: 'Back <soon>'
+      },
+      networkRules: {
+        deny_cidrs: '["203.0.113.0/24","2001:db8::/32"]',
+        deny_countries: null,
+        deny_asns: '[16509,14061]',
+        allow_cidrs: null,
+        allow_countries: '["US","CA"]',
+        allow_asns: null
+      },
+      challengeSettings: {
+        enabled: 1,
+        site_key: '0x4AAAAAAA<site>',
+        secret_key: null,
+        trust_minutes: 30
+      },
+      identitySettings: {
+        enabled: 1,
+        secret: 'idsec_<secret>',
+        forward_to_agent: 0
+      },
+      businessHours: {
+        enabled: 1,
+        timezone: 'America/New_York',
+        schedule: '{"mon":[{"start":540,"end":720},{"start":780,"end":1020}],"sat":[]}',
+        holidays: '["2026-12-25","2027-01-01"]',
+        offline_behavior: 'form',
+        offline_message: 'Back at <9>',
+        strict: 0
+      },
+      localeSettings: {
+        default_locale: 'de',
+        auto_detect: 1,
+        direction: 'rtl',
+        string_overrides: '{"es":{"sendMessage":"Mandar"},"de":{"talkToPerson":"<Team>"}}',
+        welcome_translations: '{"es":"¡Hola!"}'
+      },
       theme: {
         primary_color: '#ff0000',
         position: 'top-left',
@@ -101,6 +255,41 @@ describe('Admin Form Templates', () => {
       
       // Domains
       expect(html).toContain('*.example.com\napp.example.com');
+      
+      // Paths
+      expect(html).toContain('>/blog/*\n/docs/</textarea>');
+      
+      // Backup agents
+      expect(html).toContain('>agent-backup\nagent-other, other-key</textarea>');
+      
+      // Conversation starters are escaped and shown one per line
+      expect(html).toContain('>What does it cost?\nCompare &lt;Pro&gt; &amp; Team</textarea>');
+      
+      // Experiment variants drop trailing empty fields
+      expect(html).toContain('>control | 1\nshort | 2 |  | Hi &lt;there&gt; | Pricing; Demo</textarea>');
+      
+      // Upstream retries
+      expect(html).toContain('name="timeout_ms" value="12000"');
+      expect(html).toContain('name="max_retries" value="0"');
+      expect(html).toContain('name="backoff_base_ms" value="250"');
+      
+      // Context template is escaped inside the textarea
+      expect(html).toContain('Viewing &lt;{{title}}&gt;</textarea>');
+      
+      // Lead form fields are shown one per line
+      expect(html).toMatch(/id="lead_form_enabled" name="lead_form_enabled" checked/);
+      expect(html).toContain('value="Say &quot;hi&quot;"');
+      expect(html).toContain('>email | Email | email | required\ncompany | Company | text</textarea>');
+      
+      // Webhooks are shown one per line with their secrets
+      expect(html).toContain(
+        '>https://hooks.example.com/a?x=1&amp;y=2 | lead.captured, agent.error | whsec_1\nhttps://hooks.example.com/b |  | whsec_2</textarea>'
+      );
+      
+      // Handoff settings
+      expect(html).toMatch(/id="handoff_enabled" name="handoff_enabled" checked/);
+      expect(html).toContain('value="Sam &amp; team"');
+      expect(html).toContain('>One moment &lt;please&gt;</textarea>');
 
       // Rate limits
       expect(html).toContain('value="200"'); // messages per hour
@@ -132,6 +321,111 @@ describe('Admin Form Templates', () => {
       
       // Embed mode select
       expect(html).toContain('<option value="inline" selected>Inline (Embedded)</option>');
+      
+      // Redaction selects fall back to off
+      expect(html).toMatch(/name="redact_email">[^]*?<option value="tokenize" selected>Tokenize<\/option>/);
+      expect(html).toMatch(/name="redact_phone"><option value="off" selected>Off<\/option>/);
+      expect(html).toMatch(/name="redact_card">[^]*?<option value="reject" selected>Reject<\/option>/);
+    });
+
+    test('should show redaction patterns and totals', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData, {
+        redactionCounts: [
+          { detector: 'email', action: 'tokenize', count: 12 },
+          { detector: 'card', action: 'reject', count: 3 }
+        ]
+      });
+
+      expect(html).toContain('>mrn | mask | MRN-\\d{6}|&lt;id&gt;</textarea>');
+      expect(html).toContain('Redacted so far: email (tokenize) 12, card (reject) 3');
+      expect(editInstanceForm('test-instance', mockInstanceData)).toContain('Nothing has been redacted yet');
+    });
+
+    test('should show guardrail rules and refusal message', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('>crypto\nstock tips</textarea>');
+      expect(html).toContain('>&lt;bet&gt;</textarea>');
+      expect(html).toContain('>Product questions only &amp; nothing else</textarea>');
+      expect(html).toMatch(/name="guardrail_check_replies"\s+checked/);
+    });
+
+    test('should show quotas, leaving unset ones empty', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('name="messages_per_day" min="1" value="500"');
+      expect(html).toContain('name="messages_per_month" min="1" value=""');
+      expect(html).toContain('name="tokens_per_month" min="1" value="2000000"');
+      expect(html).toContain('name="quota_warning_percent" min="1" max="100" value="90"');
+      expect(html).toContain('>Back &lt;soon&gt;</textarea>');
+    });
+
+    test('should show network rules and the IP test tool', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('>203.0.113.0/24\n2001:db8::/32</textarea>');
+      expect(html).toContain('name="deny_countries" placeholder="KP, T1" value=""');
+      expect(html).toContain('name="deny_asns" placeholder="AS16509, AS14061" value="AS16509, AS14061"');
+      expect(html).toContain('name="allow_countries" placeholder="US, CA" value="US, CA"');
+      expect(html).toContain('onclick="testNetworkRules(this)" data-instance-id="test-instance"');
+    });
+
+    test('should populate bot challenge settings', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('name="challenge_enabled" checked');
+      expect(html).toContain('name="challenge_site_key" maxlength="200" value="0x4AAAAAAA&lt;site&gt;"');
+      expect(html).toContain('name="challenge_secret_key" maxlength="200" autocomplete="off" value=""');
+      expect(html).toContain('name="challenge_trust_minutes" min="1" max="10080" value="30"');
+    });
+
+    test('should populate identity settings', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('name="identity_enabled" checked');
+      expect(html).toContain('name="identity_secret" maxlength="200" autocomplete="off" value="idsec_&lt;secret&gt;"');
+      expect(html).toContain('name="identity_forward_to_agent" >');
+    });
+
+    test('should populate the state and maintenance window', () => {
+      const html = editInstanceForm('test-instance', {
+        ...mockInstanceData,
+        instance: {
+          ...mockInstanceData.instance,
+          state: 'maintenance',
+          maintenance_message: 'Back <soon>',
+          maintenance_starts_at: '2026-10-20T22:00:00.000Z',
+          maintenance_ends_at: null
+        }
+      });
+
+      expect(html).toContain('<option value="maintenance" selected>Maintenance</option>');
+      expect(html).toContain('>Back &lt;soon&gt;</textarea>');
+      expect(html).toContain('name="maintenance_starts_at" value="2026-10-20T22:00"');
+      expect(html).toContain('name="maintenance_ends_at" value=""');
+    });
+
+    test('should populate business hours', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('name="business_hours_enabled" checked');
+      expect(html).toContain('value="America/New_York"');
+      expect(html).toContain('name="hours_mon" value="09:00-12:00, 13:00-17:00"');
+      expect(html).toContain('name="hours_sat" value=""');
+      expect(html).toContain('>2026-12-25\n2027-01-01</textarea>');
+      expect(html).toContain('<option value="form" selected>Show a message form</option>');
+      expect(html).toContain('>Back at &lt;9&gt;</textarea>');
+      expect(html).toContain('name="business_hours_strict" >');
+    });
+
+    test('should populate language settings', () => {
+      const html = editInstanceForm('test-instance', mockInstanceData);
+
+      expect(html).toContain('<option value="de" selected>Deutsch (de)</option>');
+      expect(html).toContain('name="locale_auto_detect" checked');
+      expect(html).toContain('<option value="rtl" selected>Right to left</option>');
+      expect(html).toContain('>es | ¡Hola!</textarea>');
+      expect(html).toContain('>es | sendMessage | Mandar\nde | talkToPerson | &lt;Team&gt;</textarea>');
     });
 
     test('should handle missing optional data', () => {
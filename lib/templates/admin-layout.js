@@ -3,6 +3,21 @@
  * Provides base HTML layout for admin pages
  */
 
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate base HTML layout for admin pages
  * @param {Object} options - Layout options
@@ -31,6 +46,7 @@ export function adminLayout({ title, content, includeAdminJs = true, styles = ''
     .btn-sm { padding: 0.25rem 0.5rem; font-size: 0.875rem; }
     .btn-info { background: #17a2b8; color: white; }
     .btn-success { background: #28a745; color: white; }
+    .btn-warning { background: #ffc107; color: #212529; }
     .btn-danger { background: #dc3545; color: white; }
     code { background: #f8f9fa; padding: 0.2rem 0.4rem; border-radius: 3px; font-size: 0.875rem; }
     ${styles}
@@ -71,6 +87,7 @@ export function formLayout({
     textarea { resize: vertical; min-height: 100px; }
     .checkbox-group { display: flex; align-items: center; }
     .checkbox-group input { width: auto; margin-right: 0.5rem; }
+    .inline-fields { display: flex; gap: 0.5rem; align-items: center; }
     .help-text { font-size: 0.875rem; color: #6c757d; margin-top: 0.25rem; }
     .section { margin-top: 2rem; padding-top: 2rem; border-top: 1px solid #dee2e6; }
     .section h3 { margin-top: 0; }
@@ -3,7 +3,7 @@
  */
 
 import { describe, test, expect } from '@jest/globals';
-import { adminLayout, formLayout } from './admin-layout.js';
+import { adminLayout, formLayout, escapeHtml } from './admin-layout.js';
 
 describe('Admin Layout Templates', () => {
   describe('adminLayout', () => {
@@ -81,4 +81,20 @@ describe('Admin Layout Templates', () => {
       expect(html).toContain('href="/admin/custom"');
     });
   });
-});
\ No newline at end of file
+
+  describe('escapeHtml', () => {
+    test('should escape HTML special characters', () => {
+      expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+        .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+
+    test('should return empty string for null and undefined', () => {
+      expect(escapeHtml(null)).toBe('');
+      expect(escapeHtml(undefined)).toBe('');
+    });
+
+    test('should stringify non-string values', () => {
+      expect(escapeHtml(42)).toBe('42');
+    });
+  });
+});
@@ -3,7 +3,8 @@
  * Provides HTML templates for admin pages
  */
 
-import { adminLayout } from './admin-layout.js';
+import { adminLayout, escapeHtml } from './admin-layout.js';
+import { parseStoredAvailability, getInstanceState } from '../instance-state.js';
 
 /**
  * Generate login page HTML
@@ -90,21 +91,118 @@ export function loginPage() {
   });
 }
 
+/**
+ * Format an instance's current state for the dashboard
+ * @param {Object} instance - agent_instances row
+ * @returns {string} State badge HTML, noting maintenance that is scheduled but not started
+ */
+function formatInstanceState(instance) {
+  const availability = parseStoredAvailability(instance);
+  const current = getInstanceState(availability);
+  
+  if (current.state === 'maintenance') {
+    const until = current.endsAt ? `<div class="muted">until ${escapeHtml(formatUtc(current.endsAt))}</div>` : '';
+    return `<span class="state state-maintenance">Maintenance</span>${until}`;
+  }
+  if (current.state === 'paused') {
+    return '<span class="state state-paused">Paused</span>';
+  }
+  
+  const scheduled = availability.state === 'maintenance' && availability.maintenanceStartsAt &&
+    Date.parse(availability.maintenanceStartsAt) > Date.now();
+  return `<span class="state state-active">Active</span>${scheduled
+    ? `<div class="muted">Maintenance from ${escapeHtml(formatUtc(availability.maintenanceStartsAt))}</div>`
+    : ''}`;
+}
+
+/**
+ * Render the one-click state buttons for an instance
+ * @param {Object} instance - agent_instances row
+ * @returns {string} Buttons for the states the instance is not in
+ */
+function instanceStateButtons(instance) {
+  const { state } = getInstanceState(parseStoredAvailability(instance));
+  const buttons = [];
+  
+  if (state !== 'active') {
+    buttons.push(`<button onclick="setInstanceState('${instance.id}', 'active')" class="btn btn-sm btn-success">Resume</button>`);
+  }
+  if (state !== 'paused') {
+    buttons.push(`<button onclick="setInstanceState('${instance.id}', 'paused')" class="btn btn-sm btn-warning">Pause</button>`);
+  }
+  if (state !== 'maintenance') {
+    buttons.push(`<button onclick="setInstanceState('${instance.id}', 'maintenance')" class="btn btn-sm btn-warning">Maintenance</button>`);
+  }
+  
+  return buttons.join('\n        ');
+}
+
+/**
+ * Format a UTC time for the dashboard
+ * @param {string} time - ISO time
+ * @returns {string} Time such as 2026-10-20 22:00 UTC
+ */
+function formatUtc(time) {
+  return `${new Date(time).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Format an instance's satisfaction rate for the dashboard
+ * @param {Object|undefined} rating - { up, down, rate } from getSatisfactionByInstance
+ * @returns {string} Rate and rating count, or a dash when there are no ratings
+ */
+function formatSatisfaction(rating) {
+  if (!rating || rating.rate === null) return '<span class="muted">-</span>';
+  const total = rating.up + rating.down;
+  return `${rating.rate}% <span class="muted">(${total} rating${total === 1 ? '' : 's'})</span>`;
+}
+
+/**
+ * Format one quota's usage for the dashboard
+ * @param {number} used - Usage so far this period
+ * @param {number|null} limit - Quota, or null when unlimited
+ * @param {number} warningPercent - Share of the quota that counts as a warning
+ * @returns {string} Usage, quota and a bar coloured by how close the quota is
+ */
+function formatQuota(used, limit, warningPercent) {
+  if (!limit) return `${used.toLocaleString()} <span class="muted">(no quota)</span>`;
+  
+  const percent = Math.min(100, Math.round((used / limit) * 100));
+  const level = used >= limit ? 'over' : percent >= warningPercent ? 'warn' : 'ok';
+  return `
+    ${used.toLocaleString()} / ${limit.toLocaleString()} <span class="muted">(${percent}%)</span>
+    <div class="quota-bar"><div class="quota-fill quota-${level}" style="width: ${percent}%"></div></div>
+  `;
+}
+
 /**
  * Generate dashboard page HTML
  * @param {Array} instances - Array of instance objects
+ * @param {Object} panels - Dashboard panels
+ * @param {Object} panels.satisfaction - Map of instance ID to { up, down, rate }
+ * @param {Array} panels.lowestRated - Rows from listLowestRatedAnswers
+ * @param {Array} panels.quotaUsage - Rows from listQuotaUsage
  * @returns {string} Dashboard page HTML
  */
-export function dashboardPage(instances) {
+export function dashboardPage(instances, { satisfaction = {}, lowestRated = [], quotaUsage = [] } = {}) {
   const instanceRows = instances.map(instance => `
     <tr>
       <td>${instance.name}</td>
       <td><code>${instance.id}</code></td>
       <td><code>${instance.typingmind_agent_id}</code></td>
       <td>${instance.domain_count} domains</td>
+      <td>${formatSatisfaction(satisfaction[instance.id])}</td>
+      <td>${formatInstanceState(instance)}</td>
       <td>${new Date(instance.created_at).toLocaleDateString()}</td>
       <td>
+        ${instanceStateButtons(instance)}
         <a href="/admin/instances/${instance.id}/edit" class="btn btn-sm">Edit</a>
+        <a href="/admin/instances/${instance.id}/conversations" class="btn btn-sm">Conversations</a>
+        <a href="/admin/instances/${instance.id}/leads" class="btn btn-sm">Leads</a>
+        <a href="/admin/instances/${instance.id}/offline-messages" class="btn btn-sm">Offline Messages</a>
+        <a href="/admin/instances/${instance.id}/experiments" class="btn btn-sm">Experiments</a>
+        <a href="/admin/instances/${instance.id}/webhooks" class="btn btn-sm">Webhooks</a>
+        <a href="/admin/instances/${instance.id}/guardrails" class="btn btn-sm">Guardrails</a>
         <button onclick="cloneInstance('${instance.id}')" class="btn btn-sm btn-info">Clone</button>
         <button onclick="copyWidgetCode(this)" data-instance-id="${instance.id}" class="btn btn-sm btn-success">Copy Widget</button>
         <button onclick="deleteInstance('${instance.id}')" class="btn btn-sm btn-danger">Delete</button>
@@ -112,14 +210,49 @@ export function dashboardPage(instances) {
     </tr>
   `).join('');
 
+  const lowestRatedRows = lowestRated.map(answer => `
+    <tr>
+      <td>${escapeHtml(answer.instance_name)}</td>
+      <td>
+        <div class="answer">${escapeHtml(answer.content)}</div>
+        ${answer.latest_comment ? `<div class="comment">&ldquo;${escapeHtml(answer.latest_comment)}&rdquo;</div>` : ''}
+      </td>
+      <td>${answer.down_count}</td>
+      <td>${answer.up_count}</td>
+      <td>${escapeHtml(new Date(answer.last_rated_at).toLocaleString())}</td>
+    </tr>
+  `).join('');
+
+  const quotaRows = quotaUsage.map(usage => `
+    <tr>
+      <td>${escapeHtml(usage.instance_name)}</td>
+      <td>${formatQuota(usage.day_messages, usage.messages_per_day, usage.warning_percent)}</td>
+      <td>${formatQuota(usage.month_messages, usage.messages_per_month, usage.warning_percent)}</td>
+      <td>${formatQuota(usage.month_tokens, usage.tokens_per_month, usage.warning_percent)}</td>
+    </tr>
+  `).join('');
+
   const styles = `
     .header { margin-bottom: 0; }
     .actions { margin-bottom: 2rem; }
     table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
     th { background: #f8f9fa; font-weight: 600; }
     tr:last-child td { border-bottom: none; }
     .logout { float: right; }
+    .muted { color: #6c757d; font-size: 0.875rem; }
+    h2 { margin: 2rem 0 1rem; }
+    .answer { white-space: pre-wrap; max-height: 8rem; overflow: hidden; }
+    .comment { color: #6c757d; font-size: 0.875rem; margin-top: 0.5rem; }
+    .quota-bar { background: #e9ecef; border-radius: 4px; height: 6px; margin-top: 0.4rem; max-width: 200px; }
+    .quota-fill { height: 100%; border-radius: 4px; }
+    .quota-ok { background: #28a745; }
+    .quota-warn { background: #ffc107; }
+    .quota-over { background: #dc3545; }
+    .state { padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.875rem; white-space: nowrap; }
+    .state-active { background: #d4edda; color: #155724; }
+    .state-paused { background: #e9ecef; color: #495057; }
+    .state-maintenance { background: #fff3cd; color: #856404; }
   `;
 
   const content = `
@@ -129,6 +262,7 @@ export function dashboardPage(instances) {
     <div class="container">
       <div class="actions">
         <a href="/admin/instances/new" class="btn btn-primary">Create New Instance</a>
+        <a href="/admin/inbox" class="btn">Handoff Inbox</a>
       </div>
       <table>
         <thead>
@@ -137,12 +271,45 @@ export function dashboardPage(instances) {
             <th>Instance ID</th>
             <th>TypingMind Agent ID</th>
             <th>Domains</th>
+            <th>Satisfaction</th>
+            <th>State</th>
             <th>Created</th>
             <th>Actions</th>
           </tr>
         </thead>
         <tbody>
-          ${instanceRows || '<tr><td colspan="6">No instances found</td></tr>'}
+          ${instanceRows || '<tr><td colspan="8">No instances found</td></tr>'}
+        </tbody>
+      </table>
+      
+      <h2>Quota Usage</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Instance</th>
+            <th>Messages today</th>
+            <th>Messages this month</th>
+            <th>Tokens this month</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${quotaRows || '<tr><td colspan="4">No instances have quotas</td></tr>'}
+        </tbody>
+      </table>
+      
+      <h2>Lowest-Rated Answers</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Instance</th>
+            <th>Answer</th>
+            <th>&#128078;</th>
+            <th>&#128077;</th>
+            <th>Last rated</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${lowestRatedRows || '<tr><td colspan="5">No answers have been rated down yet</td></tr>'}
         </tbody>
       </table>
     </div>
@@ -153,4 +320,777 @@ export function dashboardPage(instances) {
     content, 
     styles 
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Build a query string from conversation filters, skipping empty values
+ * @param {Object} filters - Conversation filters
+ * @param {Object} overrides - Values to add or replace
+ * @returns {string} Query string including the leading '?', or ''
+ */
+function conversationQuery(filters, overrides = {}) {
+  const merged = {
+    q: filters.search,
+    from: filters.from,
+    to: filters.to,
+    origin: filters.origin,
+    ...overrides
+  };
+  const params = new URLSearchParams();
+  Object.entries(merged).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, value);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Generate conversations list page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} data - Page data
+ * @param {Array} data.conversations - Conversation rows for the current page
+ * @param {number} data.total - Total matching conversations
+ * @param {Array<string>} data.origins - Known origins for the filter
+ * @param {Object} data.filters - Active filters
+ * @param {number} data.pageSize - Conversations per page
+ * @returns {string} Conversations page HTML
+ */
+export function conversationsPage(instance, { conversations, total, origins, filters, pageSize }) {
+  const basePath = `/admin/instances/${instance.id}/conversations`;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  
+  const conversationRows = conversations.map(conversation => `
+    <tr>
+      <td><code>${escapeHtml(conversation.session_id)}</code></td>
+      <td>${describeUser(conversation)}</td>
+      <td>${escapeHtml(conversation.origin || 'Unknown')}</td>
+      <td>${conversation.message_count}</td>
+      <td>${escapeHtml(new Date(conversation.started_at).toLocaleString())}</td>
+      <td>${escapeHtml(new Date(conversation.last_message_at).toLocaleString())}</td>
+      <td><a href="${basePath}/${conversation.id}" class="btn btn-sm btn-info">View</a></td>
+    </tr>
+  `).join('');
+  
+  const originOptions = origins.map(origin => 
+    `<option value="${escapeHtml(origin)}" ${filters.origin === origin ? 'selected' : ''}>${escapeHtml(origin)}</option>`
+  ).join('');
+  
+  const pagination = totalPages > 1 ? `
+    <div class="pagination">
+      ${filters.page > 1 ? `<a href="${basePath}${conversationQuery(filters, { page: filters.page - 1 })}" class="btn btn-sm">Previous</a>` : ''}
+      <span>Page ${filters.page} of ${totalPages}</span>
+      ${filters.page < totalPages ? `<a href="${basePath}${conversationQuery(filters, { page: filters.page + 1 })}" class="btn btn-sm">Next</a>` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .filters { background: white; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 1rem; display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: flex-end; }
+    .filters label { display: block; font-size: 0.875rem; font-weight: 600; margin-bottom: 0.25rem; }
+    .filters input, .filters select { padding: 0.4rem; border: 1px solid #ddd; border-radius: 4px; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .pagination { margin-top: 1rem; display: flex; gap: 1rem; align-items: center; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Conversations: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="${basePath}/export${conversationQuery(filters, { format: 'csv' })}" class="btn btn-success">Export CSV</a>
+        <a href="${basePath}/export${conversationQuery(filters, { format: 'json' })}" class="btn btn-success">Export JSON</a>
+      </div>
+      <form class="filters" method="get" action="${basePath}">
+        <div>
+          <label for="q">Search messages</label>
+          <input type="text" id="q" name="q" value="${escapeHtml(filters.search)}" placeholder="Text in any message">
+        </div>
+        <div>
+          <label for="from">From</label>
+          <input type="date" id="from" name="from" value="${escapeHtml(filters.from)}">
+        </div>
+        <div>
+          <label for="to">To</label>
+          <input type="date" id="to" name="to" value="${escapeHtml(filters.to)}">
+        </div>
+        <div>
+          <label for="origin">Origin</label>
+          <select id="origin" name="origin">
+            <option value="">All origins</option>
+            ${originOptions}
+          </select>
+        </div>
+        <div>
+          <button type="submit" class="btn btn-primary">Filter</button>
+          <a href="${basePath}" class="btn btn-sm">Reset</a>
+        </div>
+      </form>
+      <div class="summary">${total} conversation${total === 1 ? '' : 's'} found</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Session</th>
+            <th>User</th>
+            <th>Origin</th>
+            <th>Messages</th>
+            <th>Started</th>
+            <th>Last Message</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${conversationRows || '<tr><td colspan="7">No conversations found</td></tr>'}
+        </tbody>
+      </table>
+      ${pagination}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Conversations - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Describe the verified user of a conversation
+ * @param {Object} conversation - Conversation row with user_id, user_name and user_email
+ * @returns {string} Escaped name and email, the user ID, or "Anonymous"
+ */
+function describeUser(conversation) {
+  if (!conversation.user_id) return 'Anonymous';
+  
+  const name = escapeHtml(conversation.user_name || conversation.user_id);
+  return conversation.user_email ? `${name} &lt;${escapeHtml(conversation.user_email)}&gt;` : name;
+}
+
+// Transcript labels for each stored message role
+const ROLE_LABELS = {
+  user: 'Visitor',
+  assistant: 'Bot',
+  staff: 'Staff'
+};
+
+/**
+ * Generate conversation transcript page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} conversation - Conversation row
+ * @param {Array} messages - Message rows in order
+ * @param {Object|null} handoff - Handoff panel data when the instance has handoff enabled
+ * @param {string} handoff.status - 'none', 'requested', 'active' or 'resolved'
+ * @param {string|null} handoff.requestedBy - Who asked for the handoff
+ * @param {string|null} handoff.reason - Reason given with the request
+ * @returns {string} Transcript page HTML
+ */
+export function transcriptPage(instance, conversation, messages, handoff = null) {
+  const messageItems = messages.map(message => `
+    <div class="transcript-message from-${ROLE_LABELS[message.role] ? message.role : 'assistant'}">
+      <div class="meta">
+        <strong>${ROLE_LABELS[message.role] || 'Bot'}</strong>
+        <span>${escapeHtml(new Date(message.created_at).toLocaleString())}</span>
+        ${message.latency_ms ? `<span>${message.latency_ms}ms</span>` : ''}
+      </div>
+      <div class="text">${escapeHtml(message.content)}</div>
+    </div>
+  `).join('');
+  
+  const handoffOpen = handoff && (handoff.status === 'requested' || handoff.status === 'active');
+  const handoffPanel = handoff ? `
+    <div class="handoff-panel">
+      <div class="handoff-status">
+        <strong>Human handoff:</strong>
+        <span class="status status-${escapeHtml(handoff.status)}">${escapeHtml(handoff.status)}</span>
+        ${handoff.requestedBy ? `<span>requested by ${escapeHtml(handoff.requestedBy)}</span>` : ''}
+        ${handoff.reason ? `<span>&ldquo;${escapeHtml(handoff.reason)}&rdquo;</span>` : ''}
+      </div>
+      <div class="handoff-actions">
+        ${handoff.status !== 'active' ? `<button onclick="setHandoff('${instance.id}', ${conversation.id}, 'accept')" class="btn btn-sm btn-primary">Take Over</button>` : ''}
+        ${handoffOpen ? `<button onclick="setHandoff('${instance.id}', ${conversation.id}, 'resolve')" class="btn btn-sm">Resolve &amp; Return to Bot</button>` : ''}
+      </div>
+      ${handoffOpen ? `
+        <form id="staff-reply-form" data-instance-id="${instance.id}" data-conversation-id="${conversation.id}">
+          <textarea name="content" rows="3" placeholder="Reply to the visitor" required></textarea>
+          <button type="submit" class="btn btn-primary">Send Reply</button>
+        </form>
+      ` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .container { max-width: 900px; margin: 0 auto; }
+    .details { background: white; padding: 1rem 1.5rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 1rem; }
+    .details dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0; }
+    .details dt { font-weight: 600; }
+    .details dd { margin: 0; }
+    .transcript-message { background: white; padding: 1rem 1.5rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 0.75rem; border-left: 4px solid #007bff; }
+    .transcript-message.from-user { border-left-color: #6c757d; }
+    .transcript-message.from-staff { border-left-color: #28a745; background: #f3fbf5; }
+    .transcript-message .meta { display: flex; gap: 1rem; font-size: 0.875rem; color: #6c757d; margin-bottom: 0.5rem; }
+    .transcript-message .text { white-space: pre-wrap; word-wrap: break-word; }
+    .handoff-panel { background: white; padding: 1rem 1.5rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 1rem; }
+    .handoff-status { display: flex; gap: 0.75rem; align-items: center; margin-bottom: 0.75rem; }
+    .handoff-actions { display: flex; gap: 0.5rem; margin-bottom: 0.75rem; }
+    .status { padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.875rem; background: #e9ecef; }
+    .status-requested { background: #fff3cd; color: #856404; }
+    .status-active { background: #d4edda; color: #155724; }
+    #staff-reply-form textarea { margin-bottom: 0.5rem; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Transcript: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/instances/${instance.id}/conversations" class="btn btn-secondary">Back to Conversations</a>
+        ${handoff ? '<a href="/admin/inbox" class="btn">Handoff Inbox</a>' : ''}
+      </div>
+      <div class="details">
+        <dl>
+          <dt>Session</dt><dd><code>${escapeHtml(conversation.session_id)}</code></dd>
+          <dt>User</dt><dd>${describeUser(conversation)}</dd>
+          ${conversation.user_id ? `<dt>User ID</dt><dd><code>${escapeHtml(conversation.user_id)}</code></dd>` : ''}
+          <dt>Origin</dt><dd>${escapeHtml(conversation.origin || 'Unknown')}</dd>
+          <dt>Started</dt><dd>${escapeHtml(new Date(conversation.started_at).toLocaleString())}</dd>
+          <dt>Last message</dt><dd>${escapeHtml(new Date(conversation.last_message_at).toLocaleString())}</dd>
+          <dt>Messages</dt><dd>${messages.length}</dd>
+        </dl>
+      </div>
+      ${handoffPanel}
+      ${messageItems || '<p>No messages stored for this conversation.</p>'}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Transcript - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate handoff inbox page HTML
+ * Lists conversations waiting for or being handled by staff across all instances
+ * @param {Array} handoffs - Open handoff rows with instance_name and conversation_id
+ * @returns {string} Inbox page HTML
+ */
+export function inboxPage(handoffs) {
+  const handoffRows = handoffs.map(handoff => `
+    <tr>
+      <td>${escapeHtml(handoff.instance_name)}</td>
+      <td><code>${escapeHtml(handoff.session_id)}</code></td>
+      <td><span class="status status-${escapeHtml(handoff.status)}">${escapeHtml(handoff.status)}</span></td>
+      <td>${escapeHtml(handoff.requested_by)}${handoff.reason ? `<div class="reason">${escapeHtml(handoff.reason)}</div>` : ''}</td>
+      <td>${escapeHtml(new Date(handoff.requested_at).toLocaleString())}</td>
+      <td>${handoff.last_message_at ? escapeHtml(new Date(handoff.last_message_at).toLocaleString()) : '-'}</td>
+      <td>
+        ${handoff.conversation_id
+          ? `<a href="/admin/instances/${handoff.instance_id}/conversations/${handoff.conversation_id}" class="btn btn-sm btn-primary">Open</a>`
+          : '<span class="muted">No messages yet</span>'}
+      </td>
+    </tr>
+  `).join('');
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .status { padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.875rem; }
+    .status-requested { background: #fff3cd; color: #856404; }
+    .status-active { background: #d4edda; color: #155724; }
+    .reason { color: #6c757d; font-size: 0.875rem; margin-top: 0.25rem; }
+    .muted { color: #6c757d; font-size: 0.875rem; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Handoff Inbox</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="/admin/inbox" class="btn">Refresh</a>
+      </div>
+      <div class="summary">${handoffs.length} open handoff${handoffs.length === 1 ? '' : 's'}</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Instance</th>
+            <th>Session</th>
+            <th>Status</th>
+            <th>Requested by</th>
+            <th>Requested</th>
+            <th>Last message</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${handoffRows || '<tr><td colspan="7">No conversations are waiting for staff</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: 'Handoff Inbox', 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate leads list page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} data - Page data
+ * @param {Array} data.leads - Leads for the current page (custom values under data)
+ * @param {number} data.total - Total leads
+ * @param {Array<Object>} data.fields - Instance lead fields, used for the custom columns
+ * @param {number} data.page - Current page
+ * @param {number} data.pageSize - Leads per page
+ * @returns {string} Leads page HTML
+ */
+export function leadsPage(instance, { leads, total, fields, page, pageSize }) {
+  const basePath = `/admin/instances/${instance.id}/leads`;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const customFields = fields.filter(field => field.key !== 'name' && field.key !== 'email');
+  
+  const leadRows = leads.map(lead => `
+    <tr>
+      <td>${escapeHtml(new Date(lead.created_at).toLocaleString())}</td>
+      <td>${escapeHtml(lead.name || '')}</td>
+      <td>${lead.email ? `<a href="mailto:${escapeHtml(lead.email)}">${escapeHtml(lead.email)}</a>` : ''}</td>
+      ${customFields.map(field => `<td>${escapeHtml(lead.data[field.key] || '')}</td>`).join('')}
+      <td>${escapeHtml(lead.origin || 'Unknown')}</td>
+      <td>${lead.conversation_id
+        ? `<a href="/admin/instances/${instance.id}/conversations/${lead.conversation_id}" class="btn btn-sm btn-info">View</a>`
+        : '<span class="muted">No messages</span>'}</td>
+    </tr>
+  `).join('');
+  
+  const pagination = totalPages > 1 ? `
+    <div class="pagination">
+      ${page > 1 ? `<a href="${basePath}?page=${page - 1}" class="btn btn-sm">Previous</a>` : ''}
+      <span>Page ${page} of ${totalPages}</span>
+      ${page < totalPages ? `<a href="${basePath}?page=${page + 1}" class="btn btn-sm">Next</a>` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    .muted { color: #6c757d; font-size: 0.875rem; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .pagination { margin-top: 1rem; display: flex; gap: 1rem; align-items: center; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Leads: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="${basePath}/export" class="btn btn-success">Export CSV</a>
+      </div>
+      <div class="summary">${total} lead${total === 1 ? '' : 's'} captured</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Submitted</th>
+            <th>Name</th>
+            <th>Email</th>
+            ${customFields.map(field => `<th>${escapeHtml(field.label)}</th>`).join('')}
+            <th>Origin</th>
+            <th>Conversation</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${leadRows || `<tr><td colspan="${5 + customFields.length}">No leads captured yet</td></tr>`}
+        </tbody>
+      </table>
+      ${pagination}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Leads - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate offline messages page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} data - Page data
+ * @param {Array} data.messages - Messages left through the offline form for the current page
+ * @param {number} data.total - Total messages
+ * @param {number} data.page - Current page
+ * @param {number} data.pageSize - Messages per page
+ * @returns {string} Offline messages page HTML
+ */
+export function offlineMessagesPage(instance, { messages, total, page, pageSize }) {
+  const basePath = `/admin/instances/${instance.id}/offline-messages`;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  
+  const messageRows = messages.map(message => `
+    <tr>
+      <td>${escapeHtml(new Date(message.created_at).toLocaleString())}</td>
+      <td>${escapeHtml(message.name || '')}</td>
+      <td><a href="mailto:${escapeHtml(message.email)}">${escapeHtml(message.email)}</a></td>
+      <td class="message">${escapeHtml(message.message)}</td>
+      <td>${escapeHtml(message.origin || 'Unknown')}</td>
+    </tr>
+  `).join('');
+  
+  const pagination = totalPages > 1 ? `
+    <div class="pagination">
+      ${page > 1 ? `<a href="${basePath}?page=${page - 1}" class="btn btn-sm">Previous</a>` : ''}
+      <span>Page ${page} of ${totalPages}</span>
+      ${page < totalPages ? `<a href="${basePath}?page=${page + 1}" class="btn btn-sm">Next</a>` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .message { white-space: pre-wrap; max-width: 480px; }
+    .pagination { margin-top: 1rem; display: flex; gap: 1rem; align-items: center; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Offline Messages: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+      </div>
+      <div class="summary">${total} message${total === 1 ? '' : 's'} left while closed</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Submitted</th>
+            <th>Name</th>
+            <th>Email</th>
+            <th>Message</th>
+            <th>Origin</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${messageRows || '<tr><td colspan="5">No offline messages yet</td></tr>'}
+        </tbody>
+      </table>
+      ${pagination}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Offline Messages - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate experiment results page HTML
+ * @param {Object} instance - Instance row (id, name, typingmind_agent_id)
+ * @param {Object} data - Page data
+ * @param {Array} data.variants - Configured variants from parseStoredVariant
+ * @param {Array} data.results - Rows from getExperimentResults
+ * @returns {string} Experiment results page HTML
+ */
+export function experimentsPage(instance, { variants, results }) {
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const percent = (value) => value === null ? '<span class="muted">-</span>' : `${value}%`;
+  
+  const resultRows = results.map(result => {
+    const variant = variants.find(v => v.key === result.key);
+    const traffic = !variant
+      ? '<span class="muted">Ended</span>'
+      : `${variant.weight} <span class="muted">(${totalWeight > 0 ? Math.round((variant.weight / totalWeight) * 100) : 0}%)</span>`;
+    
+    return `
+    <tr>
+      <td><code>${escapeHtml(result.key)}</code></td>
+      <td>${traffic}</td>
+      <td><code>${escapeHtml(variant?.agentId || instance.typingmind_agent_id)}</code></td>
+      <td>${result.conversations}</td>
+      <td>${result.avgMessages === null ? '<span class="muted">-</span>' : result.avgMessages}</td>
+      <td>${percent(result.satisfaction)} <span class="muted">(${result.up} up, ${result.down} down)</span></td>
+      <td>${result.leads}</td>
+      <td>${percent(result.conversionRate)}</td>
+    </tr>
+  `;
+  }).join('');
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .muted { color: #6c757d; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Experiments: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="/admin/instances/${instance.id}/edit" class="btn">Edit Variants</a>
+      </div>
+      <div class="summary">Engagement is the average number of stored messages per conversation. Satisfaction is the share of thumbs up, and conversion the share of conversations whose visitor filled in the lead form</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Variant</th>
+            <th>Weight</th>
+            <th>Agent</th>
+            <th>Conversations</th>
+            <th>Avg Messages</th>
+            <th>Satisfaction</th>
+            <th>Leads</th>
+            <th>Conversion</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${resultRows || '<tr><td colspan="8">No experiment yet. Add variants in the instance settings</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Experiments - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate webhook delivery log page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} data - Page data
+ * @param {Array} data.deliveries - Delivery rows for the current page
+ * @param {number} data.total - Total matching deliveries
+ * @param {string} data.status - Active status filter ('', 'delivered' or 'failed')
+ * @param {number} data.page - Current page
+ * @param {number} data.pageSize - Deliveries per page
+ * @returns {string} Webhook deliveries page HTML
+ */
+export function webhooksPage(instance, { deliveries, total, status, page, pageSize }) {
+  const basePath = `/admin/instances/${instance.id}/webhooks`;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const pageQuery = (target) => `?${status ? `status=${status}&` : ''}page=${target}`;
+  
+  const deliveryRows = deliveries.map(delivery => `
+    <tr>
+      <td>${escapeHtml(new Date(delivery.created_at).toLocaleString())}</td>
+      <td><code>${escapeHtml(delivery.event)}</code></td>
+      <td>${escapeHtml(delivery.webhook_url)}</td>
+      <td><span class="status status-${delivery.status === 'delivered' ? 'delivered' : 'failed'}">${escapeHtml(delivery.status)}</span></td>
+      <td>${delivery.attempts}</td>
+      <td>${delivery.response_status ?? '-'}</td>
+      <td>
+        ${delivery.error ? `<div class="error-text">${escapeHtml(delivery.error)}</div>` : ''}
+        <details>
+          <summary>Payload</summary>
+          <pre>${escapeHtml(delivery.payload || '')}</pre>
+        </details>
+      </td>
+    </tr>
+  `).join('');
+  
+  const statusOptions = [['', 'All'], ['delivered', 'Delivered'], ['failed', 'Failed']].map(([value, label]) =>
+    `<option value="${value}" ${status === value ? 'selected' : ''}>${label}</option>`
+  ).join('');
+  
+  const pagination = totalPages > 1 ? `
+    <div class="pagination">
+      ${page > 1 ? `<a href="${basePath}${pageQuery(page - 1)}" class="btn btn-sm">Previous</a>` : ''}
+      <span>Page ${page} of ${totalPages}</span>
+      ${page < totalPages ? `<a href="${basePath}${pageQuery(page + 1)}" class="btn btn-sm">Next</a>` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .filters { background: white; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 1rem; display: flex; gap: 0.75rem; align-items: flex-end; }
+    .filters label { display: block; font-size: 0.875rem; font-weight: 600; margin-bottom: 0.25rem; }
+    .filters select { padding: 0.4rem; border: 1px solid #ddd; border-radius: 4px; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .status { padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.875rem; }
+    .status-delivered { background: #d4edda; color: #155724; }
+    .status-failed { background: #f8d7da; color: #721c24; }
+    .error-text { color: #721c24; font-size: 0.875rem; margin-bottom: 0.25rem; }
+    pre { white-space: pre-wrap; word-break: break-all; max-width: 480px; font-size: 0.8rem; }
+    .pagination { margin-top: 1rem; display: flex; gap: 1rem; align-items: center; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Webhook Deliveries: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="/admin/instances/${instance.id}/edit" class="btn">Edit Webhooks</a>
+      </div>
+      <form class="filters" method="get" action="${basePath}">
+        <div>
+          <label for="status">Status</label>
+          <select id="status" name="status">${statusOptions}</select>
+        </div>
+        <button type="submit" class="btn btn-sm">Filter</button>
+      </form>
+      <div class="summary">${total} deliver${total === 1 ? 'y' : 'ies'}</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Sent</th>
+            <th>Event</th>
+            <th>URL</th>
+            <th>Status</th>
+            <th>Attempts</th>
+            <th>Response</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${deliveryRows || '<tr><td colspan="7">No webhook deliveries yet</td></tr>'}
+        </tbody>
+      </table>
+      ${pagination}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Webhooks - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
+
+/**
+ * Generate guardrail log page HTML
+ * @param {Object} instance - Instance row (id, name)
+ * @param {Object} data - Page data
+ * @param {Array} data.events - Blocked message rows for the current page
+ * @param {number} data.total - Total matching blocked messages
+ * @param {string} data.direction - Active direction filter ('', 'user' or 'reply')
+ * @param {number} data.page - Current page
+ * @param {number} data.pageSize - Blocked messages per page
+ * @returns {string} Guardrails page HTML
+ */
+export function guardrailsPage(instance, { events, total, direction, page, pageSize }) {
+  const basePath = `/admin/instances/${instance.id}/guardrails`;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const pageQuery = (target) => `?${direction ? `direction=${direction}&` : ''}page=${target}`;
+  
+  const eventRows = events.map(event => `
+    <tr>
+      <td>${escapeHtml(new Date(event.created_at).toLocaleString())}</td>
+      <td><span class="direction direction-${event.direction === 'reply' ? 'reply' : 'user'}">${event.direction === 'reply' ? 'Agent reply' : 'Visitor message'}</span></td>
+      <td>${escapeHtml(event.rule_type)}: <code>${escapeHtml(event.rule)}</code></td>
+      <td><pre>${escapeHtml(event.content)}</pre></td>
+      <td>${event.session_id ? `<code>${escapeHtml(event.session_id)}</code>` : '-'}</td>
+    </tr>
+  `).join('');
+  
+  const directionOptions = [['', 'All'], ['user', 'Visitor messages'], ['reply', 'Agent replies']].map(([value, label]) =>
+    `<option value="${value}" ${direction === value ? 'selected' : ''}>${label}</option>`
+  ).join('');
+  
+  const pagination = totalPages > 1 ? `
+    <div class="pagination">
+      ${page > 1 ? `<a href="${basePath}${pageQuery(page - 1)}" class="btn btn-sm">Previous</a>` : ''}
+      <span>Page ${page} of ${totalPages}</span>
+      ${page < totalPages ? `<a href="${basePath}${pageQuery(page + 1)}" class="btn btn-sm">Next</a>` : ''}
+    </div>
+  ` : '';
+  
+  const styles = `
+    .header { margin-bottom: 0; }
+    .filters { background: white; padding: 1rem; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); margin-bottom: 1rem; display: flex; gap: 0.75rem; align-items: flex-end; }
+    .filters label { display: block; font-size: 0.875rem; font-weight: 600; margin-bottom: 0.25rem; }
+    .filters select { padding: 0.4rem; border: 1px solid #ddd; border-radius: 4px; }
+    .summary { margin-bottom: 1rem; color: #6c757d; }
+    table { width: 100%; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+    th, td { padding: 1rem; text-align: left; border-bottom: 1px solid #dee2e6; vertical-align: top; }
+    th { background: #f8f9fa; font-weight: 600; }
+    tr:last-child td { border-bottom: none; }
+    .direction { padding: 0.15rem 0.5rem; border-radius: 4px; font-size: 0.875rem; white-space: nowrap; }
+    .direction-user { background: #fff3cd; color: #856404; }
+    .direction-reply { background: #f8d7da; color: #721c24; }
+    pre { white-space: pre-wrap; word-break: break-word; max-width: 480px; font-size: 0.8rem; margin: 0; }
+    .pagination { margin-top: 1rem; display: flex; gap: 1rem; align-items: center; }
+  `;
+  
+  const content = `
+    <div class="header">
+      <h1>Blocked Messages: ${escapeHtml(instance.name)}</h1>
+    </div>
+    <div class="container">
+      <div class="actions" style="margin-bottom: 1rem;">
+        <a href="/admin/dashboard" class="btn btn-secondary">Back to Dashboard</a>
+        <a href="/admin/instances/${instance.id}/edit" class="btn">Edit Guardrails</a>
+      </div>
+      <form class="filters" method="get" action="${basePath}">
+        <div>
+          <label for="direction">Blocked</label>
+          <select id="direction" name="direction">${directionOptions}</select>
+        </div>
+        <button type="submit" class="btn btn-sm">Filter</button>
+      </form>
+      <div class="summary">${total} blocked message${total === 1 ? '' : 's'}</div>
+      <table>
+        <thead>
+          <tr>
+            <th>Blocked</th>
+            <th>Source</th>
+            <th>Rule</th>
+            <th>Message</th>
+            <th>Session</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${eventRows || '<tr><td colspan="5">No blocked messages yet</td></tr>'}
+        </tbody>
+      </table>
+      ${pagination}
+    </div>
+  `;
+  
+  return adminLayout({ 
+    title: `Guardrails - ${escapeHtml(instance.name)}`, 
+    content, 
+    styles 
+  });
+}
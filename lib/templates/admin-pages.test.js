@@ -3,7 +3,18 @@
  */
 
 import { describe, test, expect } from '@jest/globals';
-import { loginPage, dashboardPage } from './admin-pages.js';
+import {
+  loginPage,
+  dashboardPage,
+  conversationsPage,
+  transcriptPage,
+  leadsPage,
+  offlineMessagesPage,
+  experimentsPage,
+  webhooksPage,
+  guardrailsPage,
+  inboxPage
+} from './admin-pages.js';
 
 describe('Admin Page Templates', () => {
   describe('loginPage', () => {
@@ -56,6 +67,43 @@ describe('Admin Page Templates', () => {
       expect(html).toContain('<code>test-2</code>');
       expect(html).toContain('3 domains');
       expect(html).toContain('1 domains');
+      expect(html).toContain('href="/admin/instances/test-1/guardrails"');
+    });
+
+    test('should show each instance state with one-click switches', () => {
+      const instances = [
+        { id: 'live', name: 'Live', typingmind_agent_id: 'agent-1', domain_count: 1, created_at: '2023-01-01T00:00:00Z' },
+        { id: 'held', name: 'Held', typingmind_agent_id: 'agent-2', domain_count: 1, created_at: '2023-01-01T00:00:00Z', state: 'paused' },
+        {
+          id: 'fixing',
+          name: 'Fixing',
+          typingmind_agent_id: 'agent-3',
+          domain_count: 1,
+          created_at: '2023-01-01T00:00:00Z',
+          state: 'maintenance',
+          maintenance_ends_at: '2999-01-01T06:00:00.000Z'
+        },
+        {
+          id: 'later',
+          name: 'Later',
+          typingmind_agent_id: 'agent-4',
+          domain_count: 1,
+          created_at: '2023-01-01T00:00:00Z',
+          state: 'maintenance',
+          maintenance_starts_at: '2999-01-01T02:00:00.000Z'
+        }
+      ];
+
+      const html = dashboardPage(instances);
+
+      expect(html).toContain('<th>State</th>');
+      expect(html).toContain('<span class="state state-paused">Paused</span>');
+      expect(html).toContain('<span class="state state-maintenance">Maintenance</span><div class="muted">until 2999-01-01 06:00 UTC</div>');
+      expect(html).toContain('<div class="muted">Maintenance from 2999-01-01 02:00 UTC</div>');
+      expect(html).toContain(`setInstanceState('live', 'paused')`);
+      expect(html).not.toContain(`setInstanceState('live', 'active')`);
+      expect(html).toContain(`setInstanceState('held', 'active')`);
+      expect(html).not.toContain(`setInstanceState('fixing', 'maintenance')`);
     });
 
     test('should show no instances message when empty', () => {
@@ -64,6 +112,60 @@ describe('Admin Page Templates', () => {
       expect(html).toContain('No instances found');
     });
 
+    test('should show satisfaction rates and the lowest-rated answers', () => {
+      const instances = [
+        { id: 'test-1', name: 'Rated', typingmind_agent_id: 'agent-1', domain_count: 1, created_at: '2023-01-01T00:00:00Z' },
+        { id: 'test-2', name: 'Unrated', typingmind_agent_id: 'agent-2', domain_count: 1, created_at: '2023-01-01T00:00:00Z' }
+      ];
+      const lowestRated = [{
+        instance_id: 'test-1',
+        instance_name: 'Rated',
+        content: 'Use <b>bold</b> pricing',
+        up_count: 1,
+        down_count: 3,
+        latest_comment: 'Wrong & outdated',
+        last_rated_at: '2025-01-01T10:00:00Z'
+      }];
+
+      const html = dashboardPage(instances, {
+        satisfaction: { 'test-1': { up: 3, down: 1, rate: 75 } },
+        lowestRated
+      });
+
+      expect(html).toContain('75% <span class="muted">(4 ratings)</span>');
+      expect(html).toContain('<td><span class="muted">-</span></td>');
+      expect(html).toContain('Use &lt;b&gt;bold&lt;/b&gt; pricing');
+      expect(html).toContain('Wrong &amp; outdated');
+    });
+
+    test('should say when no answers have been rated down', () => {
+      const html = dashboardPage([]);
+
+      expect(html).toContain('No answers have been rated down yet');
+      expect(html).toContain('No instances have quotas');
+    });
+
+    test('should show quota usage against each quota', () => {
+      const html = dashboardPage([], {
+        quotaUsage: [{
+          instance_id: 'test-1',
+          instance_name: 'Busy <Bot>',
+          messages_per_day: 100,
+          messages_per_month: 1000,
+          tokens_per_month: null,
+          warning_percent: 80,
+          day_messages: 100,
+          month_messages: 850,
+          month_tokens: 42000
+        }]
+      });
+
+      expect(html).toContain('Busy &lt;Bot&gt;');
+      expect(html).toMatch(/100 \/ 100 <span class="muted">\(100%\)<\/span>\s*<div class="quota-bar"><div class="quota-fill quota-over"/);
+      expect(html).toMatch(/850 \/ 1,000 <span class="muted">\(85%\)<\/span>\s*<div class="quota-bar"><div class="quota-fill quota-warn"/);
+      expect(html).toContain('42,000 <span class="muted">(no quota)</span>');
+    });
+
     test('should include action buttons for each instance', () => {
       const instances = [{
         id: 'test-1',
@@ -76,6 +178,7 @@ describe('Admin Page Templates', () => {
       const html = dashboardPage(instances);
 
       expect(html).toContain('href="/admin/instances/test-1/edit"');
+      expect(html).toContain('href="/admin/instances/test-1/conversations"');
       expect(html).toContain('onclick="cloneInstance(\'test-1\')"');
       expect(html).toContain('onclick="deleteInstance(\'test-1\')"');
       expect(html).toContain('data-instance-id="test-1"');
@@ -87,6 +190,398 @@ describe('Admin Page Templates', () => {
       expect(html).toContain('onclick="logout()"');
       expect(html).toContain('href="/admin/instances/new"');
       expect(html).toContain('Create New Instance');
+      expect(html).toContain('href="/admin/inbox"');
+    });
+  });
+
+  describe('conversationsPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance' };
+    const baseData = {
+      conversations: [{
+        id: 12,
+        session_id: 'sess_abc',
+        origin: 'https://example.com',
+        message_count: 4,
+        started_at: '2024-01-01T10:00:00Z',
+        last_message_at: '2024-01-01T10:05:00Z'
+      }],
+      total: 1,
+      origins: ['https://example.com', 'https://other.com'],
+      filters: { search: '', from: '', to: '', origin: 'https://other.com', page: 1 },
+      pageSize: 50
+    };
+
+    test('should list conversations with transcript links', () => {
+      const html = conversationsPage(instance, baseData);
+
+      expect(html).toContain('Conversations: Test Instance');
+      expect(html).toContain('sess_abc');
+      expect(html).toContain('href="/admin/instances/test-1/conversations/12"');
+      expect(html).toContain('1 conversation found');
+    });
+
+    test('should keep filters in export links and select the active origin', () => {
+      const html = conversationsPage(instance, {
+        ...baseData,
+        filters: { ...baseData.filters, search: 'refund' }
+      });
+
+      expect(html).toContain('/conversations/export?q=refund&origin=https%3A%2F%2Fother.com&format=csv');
+      expect(html).toContain('<option value="https://other.com" selected>');
+      expect(html).toContain('value="refund"');
+    });
+
+    test('should escape user supplied values', () => {
+      const html = conversationsPage(instance, {
+        ...baseData,
+        conversations: [{ ...baseData.conversations[0], session_id: '<script>x</script>' }],
+        filters: { ...baseData.filters, search: '"><img>' }
+      });
+
+      expect(html).not.toContain('<script>x</script>');
+      expect(html).toContain('&lt;script&gt;x&lt;/script&gt;');
+      expect(html).toContain('value="&quot;&gt;&lt;img&gt;"');
+    });
+
+    test('should show the verified user of each conversation', () => {
+      const html = conversationsPage(instance, {
+        ...baseData,
+        conversations: [
+          { ...baseData.conversations[0], user_id: 'user-42', user_name: 'Renée <R>', user_email: 'renee@example.com' },
+          { ...baseData.conversations[0], id: 13, user_id: 'user-7', user_name: null, user_email: null }
+        ]
+      });
+
+      expect(html).toContain('<td>Renée &lt;R&gt; &lt;renee@example.com&gt;</td>');
+      expect(html).toContain('<td>user-7</td>');
+      expect(conversationsPage(instance, baseData)).toContain('<td>Anonymous</td>');
+    });
+
+    test('should render pagination when there are more pages', () => {
+      const html = conversationsPage(instance, {
+        ...baseData,
+        total: 120,
+        filters: { ...baseData.filters, page: 2 }
+      });
+
+      expect(html).toContain('Page 2 of 3');
+      expect(html).toContain('page=1');
+      expect(html).toContain('page=3');
+    });
+
+    test('should show empty state', () => {
+      const html = conversationsPage(instance, { ...baseData, conversations: [], total: 0 });
+
+      expect(html).toContain('No conversations found');
+    });
+  });
+
+  describe('transcriptPage', () => {
+    test('should render escaped messages in order', () => {
+      const html = transcriptPage(
+        { id: 'test-1', name: 'Test Instance' },
+        {
+          session_id: 'sess_abc',
+          origin: 'https://example.com',
+          started_at: '2024-01-01T10:00:00Z',
+          last_message_at: '2024-01-01T10:05:00Z'
+        },
+        [
+          { role: 'user', content: 'Hello <b>bot</b>', created_at: '2024-01-01T10:00:00Z', latency_ms: null },
+          { role: 'assistant', content: 'Hi there', created_at: '2024-01-01T10:00:01Z', latency_ms: 900 }
+        ]
+      );
+
+      expect(html).toContain('Transcript: Test Instance');
+      expect(html).toContain('Hello &lt;b&gt;bot&lt;/b&gt;');
+      expect(html).toContain('900ms');
+      expect(html.indexOf('Hello')).toBeLessThan(html.indexOf('Hi there'));
+      expect(html).toContain('href="/admin/instances/test-1/conversations"');
+      expect(html).not.toContain('class="handoff-panel"');
+    });
+
+    test('should show the verified user', () => {
+      const html = transcriptPage(
+        { id: 'test-1', name: 'Test Instance' },
+        {
+          session_id: 'sess_abc',
+          origin: null,
+          user_id: 'user-42',
+          user_name: 'Renée',
+          user_email: null,
+          started_at: '2024-01-01T10:00:00Z',
+          last_message_at: '2024-01-01T10:05:00Z'
+        },
+        []
+      );
+
+      expect(html).toContain('<dt>User</dt><dd>Renée</dd>');
+      expect(html).toContain('<dt>User ID</dt><dd><code>user-42</code></dd>');
+    });
+
+    test('should label staff replies and show the handoff controls', () => {
+      const html = transcriptPage(
+        { id: 'test-1', name: 'Test Instance' },
+        {
+          id: 42,
+          session_id: 'sess_abc',
+          origin: null,
+          started_at: '2024-01-01T10:00:00Z',
+          last_message_at: '2024-01-01T10:05:00Z'
+        },
+        [{ role: 'staff', content: 'Hi, this is Sam', created_at: '2024-01-01T10:02:00Z', latency_ms: null }],
+        { status: 'requested', requestedBy: 'visitor', reason: '<Billing>' }
+      );
+
+      expect(html).toContain('transcript-message from-staff');
+      expect(html).toContain('<strong>Staff</strong>');
+      expect(html).toContain('&lt;Billing&gt;');
+      expect(html).toContain(`setHandoff('test-1', 42, 'accept')`);
+      expect(html).toContain(`setHandoff('test-1', 42, 'resolve')`);
+      expect(html).toContain('id="staff-reply-form" data-instance-id="test-1" data-conversation-id="42"');
+    });
+
+    test('should hide the reply form once a handoff is resolved', () => {
+      const html = transcriptPage(
+        { id: 'test-1', name: 'Test Instance' },
+        { id: 42, session_id: 'sess_abc', started_at: '2024-01-01T10:00:00Z', last_message_at: '2024-01-01T10:05:00Z' },
+        [],
+        { status: 'resolved', requestedBy: 'agent', reason: null }
+      );
+
+      expect(html).toContain('Take Over');
+      expect(html).not.toContain('id="staff-reply-form"');
+    });
+  });
+
+  describe('inboxPage', () => {
+    test('should list open handoffs with transcript links', () => {
+      const html = inboxPage([
+        {
+          instance_id: 'test-1',
+          instance_name: 'Support <Bot>',
+          session_id: 'sess_abc',
+          status: 'requested',
+          requested_by: 'agent',
+          reason: null,
+          requested_at: '2024-01-01T10:00:00Z',
+          conversation_id: 42,
+          last_message_at: '2024-01-01T10:05:00Z'
+        },
+        {
+          instance_id: 'test-1',
+          instance_name: 'Support <Bot>',
+          session_id: 'sess_new',
+          status: 'requested',
+          requested_by: 'visitor',
+          reason: 'Call me',
+          requested_at: '2024-01-01T11:00:00Z',
+          conversation_id: null,
+          last_message_at: null
+        }
+      ]);
+
+      expect(html).toContain('2 open handoffs');
+      expect(html).toContain('Support &lt;Bot&gt;');
+      expect(html).toContain('href="/admin/instances/test-1/conversations/42"');
+      expect(html).toContain('No messages yet');
+      expect(html).toContain('Call me');
+    });
+
+    test('should show an empty state', () => {
+      expect(inboxPage([])).toContain('No conversations are waiting for staff');
+    });
+  });
+
+  describe('leadsPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance' };
+    const fields = [
+      { key: 'name', label: 'Name', type: 'text', required: true },
+      { key: 'email', label: 'Email', type: 'email', required: true },
+      { key: 'company', label: 'Company', type: 'text', required: false }
+    ];
+    const baseData = {
+      leads: [{
+        id: 1,
+        session_id: 'sess_abc',
+        name: 'Ada <script>',
+        email: 'ada@example.com',
+        data: { company: 'Analytical' },
+        origin: 'https://example.com',
+        conversation_id: 12,
+        created_at: '2024-01-01T10:00:00Z'
+      }],
+      total: 1,
+      fields,
+      page: 1,
+      pageSize: 50
+    };
+
+    test('should list leads with custom columns and conversation links', () => {
+      const html = leadsPage(instance, baseData);
+
+      expect(html).toContain('Leads: Test Instance');
+      expect(html).toContain('<th>Company</th>');
+      expect(html).toContain('<td>Analytical</td>');
+      expect(html).toContain('Ada &lt;script&gt;');
+      expect(html).toContain('href="mailto:ada@example.com"');
+      expect(html).toContain('href="/admin/instances/test-1/conversations/12"');
+      expect(html).toContain('href="/admin/instances/test-1/leads/export"');
+      expect(html).toContain('1 lead captured');
+    });
+
+    test('should show an empty state and paginate', () => {
+      const empty = leadsPage(instance, { ...baseData, leads: [], total: 0 });
+      expect(empty).toContain('No leads captured yet');
+
+      const paged = leadsPage(instance, { ...baseData, total: 120, page: 2 });
+      expect(paged).toContain('href="/admin/instances/test-1/leads?page=1"');
+      expect(paged).toContain('href="/admin/instances/test-1/leads?page=3"');
+      expect(paged).toContain('Page 2 of 3');
+    });
+  });
+
+  describe('offlineMessagesPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance' };
+
+    test('should list messages with escaped content', () => {
+      const html = offlineMessagesPage(instance, {
+        messages: [{
+          id: 1,
+          name: null,
+          email: 'ada@example.com',
+          message: 'Call me <b>tomorrow</b>',
+          origin: 'https://example.com',
+          created_at: '2026-10-19T22:00:00Z'
+        }],
+        total: 1,
+        page: 1,
+        pageSize: 50
+      });
+
+      expect(html).toContain('Offline Messages: Test Instance');
+      expect(html).toContain('href="mailto:ada@example.com"');
+      expect(html).toContain('Call me &lt;b&gt;tomorrow&lt;/b&gt;');
+      expect(html).toContain('1 message left while closed');
+    });
+
+    test('should show an empty state and paginate', () => {
+      const empty = offlineMessagesPage(instance, { messages: [], total: 0, page: 1, pageSize: 50 });
+      expect(empty).toContain('No offline messages yet');
+
+      const paged = offlineMessagesPage(instance, { messages: [], total: 120, page: 2, pageSize: 50 });
+      expect(paged).toContain('href="/admin/instances/test-1/offline-messages?page=3"');
+    });
+  });
+
+  describe('experimentsPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance', typingmind_agent_id: 'agent-main' };
+
+    test('should compare variants and mark ended ones', () => {
+      const html = experimentsPage(instance, {
+        variants: [
+          { key: 'control', weight: 1, agentId: null, welcomeMessage: null, starters: [] },
+          { key: 'friendly', weight: 3, agentId: 'agent-<new>', welcomeMessage: 'Hey!', starters: [] }
+        ],
+        results: [
+          { key: 'control', conversations: 0, avgMessages: null, up: 0, down: 0, satisfaction: null, leads: 0, conversionRate: null },
+          { key: 'friendly', conversations: 4, avgMessages: 4.5, up: 3, down: 1, satisfaction: 75, leads: 1, conversionRate: 25 },
+          { key: 'old', conversations: 2, avgMessages: 2, up: 0, down: 0, satisfaction: null, leads: 0, conversionRate: 0 }
+        ]
+      });
+
+      expect(html).toContain('Experiments: Test Instance');
+      expect(html).toContain('<code>agent-main</code>');
+      expect(html).toContain('<code>agent-&lt;new&gt;</code>');
+      expect(html).toContain('3 <span class="muted">(75%)</span>');
+      expect(html).toContain('75% <span class="muted">(3 up, 1 down)</span>');
+      expect(html).toContain('<span class="muted">Ended</span>');
+    });
+
+    test('should show an empty state', () => {
+      expect(experimentsPage(instance, { variants: [], results: [] })).toContain('No experiment yet');
+    });
+  });
+
+  describe('webhooksPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance' };
+    const baseData = {
+      deliveries: [{
+        id: 'evt_1',
+        webhook_url: 'https://hooks.example.com/chat',
+        event: 'lead.captured',
+        payload: '{"data":{"name":"<b>Ada</b>"}}',
+        status: 'failed',
+        attempts: 3,
+        response_status: 500,
+        error: 'HTTP 500: <oops>',
+        created_at: '2024-01-01T10:00:00Z'
+      }],
+      total: 1,
+      status: '',
+      page: 1,
+      pageSize: 50
+    };
+
+    test('should list deliveries with escaped payloads and errors', () => {
+      const html = webhooksPage(instance, baseData);
+
+      expect(html).toContain('Webhook Deliveries: Test Instance');
+      expect(html).toContain('<code>lead.captured</code>');
+      expect(html).toContain('status-failed');
+      expect(html).toContain('HTTP 500: &lt;oops&gt;');
+      expect(html).toContain('&lt;b&gt;Ada&lt;/b&gt;');
+      expect(html).toContain('1 delivery');
+    });
+
+    test('should keep the status filter when paginating', () => {
+      const empty = webhooksPage(instance, { ...baseData, deliveries: [], total: 0 });
+      expect(empty).toContain('No webhook deliveries yet');
+
+      const paged = webhooksPage(instance, { ...baseData, status: 'failed', total: 120, page: 2 });
+      expect(paged).toContain('<option value="failed" selected>');
+      expect(paged).toContain('href="/admin/instances/test-1/webhooks?status=failed&page=3"');
+      expect(paged).toContain('Page 2 of 3');
+    });
+  });
+
+  describe('guardrailsPage', () => {
+    const instance = { id: 'test-1', name: 'Test Instance' };
+    const baseData = {
+      events: [{
+        id: 1,
+        session_id: 'sess_1',
+        direction: 'reply',
+        rule_type: 'keyword',
+        rule: 'crypto',
+        content: 'Buy <b>crypto</b> now',
+        created_at: '2024-01-01T10:00:00Z'
+      }],
+      total: 1,
+      direction: '',
+      page: 1,
+      pageSize: 50
+    };
+
+    test('should list blocked messages with the rule that matched', () => {
+      const html = guardrailsPage(instance, baseData);
+
+      expect(html).toContain('Blocked Messages: Test Instance');
+      expect(html).toContain('direction-reply');
+      expect(html).toContain('keyword: <code>crypto</code>');
+      expect(html).toContain('Buy &lt;b&gt;crypto&lt;/b&gt; now');
+      expect(html).toContain('<code>sess_1</code>');
+      expect(html).toContain('1 blocked message<');
+    });
+
+    test('should keep the direction filter when paginating', () => {
+      const empty = guardrailsPage(instance, { ...baseData, events: [], total: 0 });
+      expect(empty).toContain('No blocked messages yet');
+
+      const paged = guardrailsPage(instance, { ...baseData, direction: 'user', total: 120, page: 2 });
+      expect(paged).toContain('<option value="user" selected>');
+      expect(paged).toContain('href="/admin/instances/test-1/guardrails?direction=user&page=3"');
+      expect(paged).toContain('Page 2 of 3');
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,295 @@
+/**
+ * Upstream module
+ * Calls the TypingMind chat API with retries and backoff, failing over across an instance's backup agents
+ */
+
+import { isEventStream } from './streaming.js';
+
+// Default time allowed for each upstream attempt (ms)
+export const DEFAULT_UPSTREAM_TIMEOUT = 30000;
+
+// Default retry settings, used when an instance has none configured
+export const DEFAULT_UPSTREAM_SETTINGS = {
+  timeoutMs: DEFAULT_UPSTREAM_TIMEOUT,
+  maxRetries: 2,
+  backoffBaseMs: 500,
+  backoffMaxMs: 8000
+};
+
+// Allowed range of each retry setting; stored values outside it are clamped
+export const UPSTREAM_SETTING_LIMITS = {
+  timeoutMs: { min: 1000, max: 60000 },
+  maxRetries: { min: 0, max: 5 },
+  backoffBaseMs: { min: 50, max: 30000 },
+  backoffMaxMs: { min: 50, max: 30000 }
+};
+
+// HTTP statuses that are safe to retry (the request was not processed)
+export const RETRYABLE_STATUSES = [429, 502, 503];
+
+/**
+ * Build the ordered list of agent/key pairs for an instance
+ * The primary agent comes first, followed by the configured backups
+ * @param {Object} instanceConfig - Instance configuration from getInstanceConfig
+ * @param {Object} env - Environment bindings
+ * @returns {Array<Object>} Backends as { label, agentId, apiKey }
+ */
+export function buildBackends(instanceConfig, env) {
+  const backends = [{
+    label: 'primary',
+    agentId: instanceConfig.typingmindAgentId,
+    apiKey: instanceConfig.apiKey || env.DEFAULT_API_KEY
+  }];
+
+  (instanceConfig.backupAgents || []).forEach((backup, index) => {
+    if (!backup?.agentId) return;
+    backends.push({
+      label: `backup-${index + 1}`,
+      agentId: backup.agentId,
+      apiKey: backup.apiKey || instanceConfig.apiKey || env.DEFAULT_API_KEY
+    });
+  });
+
+  return backends;
+}
+
+/**
+ * Call a single backend once
+ * @param {Object} backend - Backend from buildBackends
+ * @param {Object} options - Request options
+ * @param {string} options.apiHost - TypingMind API host
+ * @param {Array} options.messages - Chat messages
+ * @param {boolean} options.stream - Whether to ask for a streamed reply
+ * @param {number} options.timeout - Timeout in ms
+ * @returns {Promise<Object>} Attempt outcome (see callUpstream)
+ */
+export async function callBackend(backend, { apiHost, messages, stream = false, timeout = DEFAULT_UPSTREAM_TIMEOUT }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-API-KEY': backend.apiKey
+  };
+  if (stream) {
+    headers['Accept'] = 'text/event-stream';
+  }
+
+  let response;
+  try {
+    response = await fetch(`${apiHost}/api/v2/agents/${backend.agentId}/chat`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(stream ? { messages, stream: true } : { messages }),
+      signal: controller.signal
+    });
+  } catch (fetchError) {
+    if (fetchError.name === 'AbortError') {
+      return { ok: false, reason: 'timeout', error: fetchError };
+    }
+    return { ok: false, reason: 'network', error: fetchError };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const retryAfter = response.headers?.get('Retry-After') || null;
+    return { ok: false, reason: 'http', status: response.status, errorText, retryAfter, response };
+  }
+
+  // Streamed replies are relayed as-is; errors inside the stream are reported to the widget
+  if (stream && isEventStream(response)) {
+    return { ok: true, response, data: null };
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (jsonError) {
+    return { ok: false, reason: 'invalid_json', error: jsonError, response };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return { ok: false, reason: 'invalid_response', data, response };
+  }
+
+  // TypingMind reports agent problems (e.g. agent_not_found) in a successful response body
+  if (data.error) {
+    return { ok: false, reason: 'agent_error', data, response };
+  }
+
+  return { ok: true, response, data };
+}
+
+/**
+ * Merge an instance's upstream settings with the defaults
+ * Values outside UPSTREAM_SETTING_LIMITS are clamped, so a bad row cannot hold a request open
+ * @param {Object} settings - Instance upstream settings (may be partial)
+ * @returns {Object} Complete settings
+ */
+export function resolveUpstreamSettings(settings = {}) {
+  const resolved = { ...DEFAULT_UPSTREAM_SETTINGS };
+  for (const key of Object.keys(DEFAULT_UPSTREAM_SETTINGS)) {
+    if (Number.isFinite(settings?.[key])) {
+      const { min, max } = UPSTREAM_SETTING_LIMITS[key];
+      resolved[key] = Math.min(Math.max(settings[key], min), max);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Check whether a failed attempt can safely be sent again to the same backend
+ * Timeouts are not retried because TypingMind may still be answering the first request
+ * @param {Object} outcome - Attempt outcome
+ * @returns {boolean} True if the attempt may be retried
+ */
+export function isRetryable(outcome) {
+  if (outcome.ok) return false;
+  if (outcome.reason === 'network') return true;
+  return outcome.reason === 'http' && RETRYABLE_STATUSES.includes(outcome.status);
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value (delay in seconds or an HTTP date)
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Calculate an exponential backoff delay with jitter
+ * Half of the delay is fixed and the other half random, so retries spread out but never fire instantly
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} settings - Upstream settings
+ * @param {Function} random - Random number source (0 to 1)
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(attempt, settings, random = Math.random) {
+  const exponential = Math.min(settings.backoffMaxMs, settings.backoffBaseMs * Math.pow(2, attempt));
+  return Math.round(exponential / 2 + random() * exponential / 2);
+}
+
+/**
+ * Work out how long to wait before retrying an attempt
+ * An upstream Retry-After wins over backoff; if it asks for longer than backoffMaxMs we stop retrying
+ * @param {Object} outcome - Failed attempt outcome
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} settings - Upstream settings
+ * @returns {number|null} Delay in ms, or null to give up on this backend
+ */
+export function getRetryDelay(outcome, attempt, settings) {
+  const retryAfter = parseRetryAfter(outcome.retryAfter);
+  if (retryAfter !== null) {
+    return retryAfter <= settings.backoffMaxMs ? retryAfter : null;
+  }
+  return getBackoffDelay(attempt, settings);
+}
+
+/**
+ * Call a single backend, retrying idempotent failures
+ * @param {Object} backend - Backend from buildBackends
+ * @param {Object} options - Request options (see callUpstream)
+ * @returns {Promise<Object>} Attempt outcome with `retries` (number of retries made)
+ */
+export async function callBackendWithRetry(backend, options) {
+  const settings = resolveUpstreamSettings(options.settings);
+  const sleep = options.sleep || defaultSleep;
+  const requestOptions = { ...options, timeout: settings.timeoutMs };
+
+  for (let attempt = 0; ; attempt++) {
+    const outcome = await callBackend(backend, requestOptions);
+
+    if (!isRetryable(outcome) || attempt >= settings.maxRetries) {
+      return { ...outcome, retries: attempt };
+    }
+
+    const delay = getRetryDelay(outcome, attempt, settings);
+    if (delay === null) {
+      return { ...outcome, retries: attempt };
+    }
+
+    console.warn('[Upstream] Retrying backend:', {
+      backend: backend.label,
+      agentId: backend.agentId,
+      reason: outcome.reason,
+      status: outcome.status,
+      delay
+    });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Check whether a failed attempt should move on to the next backend
+ * Client errors (4xx) are caused by the request itself, so another agent would fail too
+ * @param {Object} outcome - Attempt outcome
+ * @returns {boolean} True if the next backend should be tried
+ */
+export function shouldFailover(outcome) {
+  if (outcome.ok) return false;
+  if (outcome.reason === 'http') return outcome.status >= 500;
+  return true;
+}
+
+/**
+ * Send a chat request, failing over to backup agents when a backend is unavailable
+ * Each backend is retried first (see callBackendWithRetry); it then fails over on timeouts,
+ * network errors, 5xx responses and agent errors
+ * @param {Array<Object>} backends - Backends from buildBackends
+ * @param {Object} options - Request options
+ * @param {string} options.apiHost - TypingMind API host
+ * @param {Array} options.messages - Chat messages
+ * @param {boolean} options.stream - Whether to ask for a streamed reply
+ * @param {Object} options.settings - Instance upstream settings (timeout, retries, backoff)
+ * @param {Function} options.sleep - Delay function, overridable for tests
+ * @returns {Promise<Object>} Final outcome with `backend` (the one that answered or failed last),
+ *   `failovers` (number of backends skipped) and `retries` (total retries across backends)
+ */
+export async function callUpstream(backends, options) {
+  let outcome = null;
+  let failovers = 0;
+  let retries = 0;
+
+  for (let i = 0; i < backends.length; i++) {
+    const backend = backends[i];
+    outcome = await callBackendWithRetry(backend, options);
+    retries += outcome.retries;
+
+    if (outcome.ok || !shouldFailover(outcome) || i === backends.length - 1) {
+      return { ...outcome, backend, failovers, retries };
+    }
+
+    console.warn('[Upstream] Backend failed, trying next:', {
+      backend: backend.label,
+      agentId: backend.agentId,
+      reason: outcome.reason,
+      status: outcome.status
+    });
+    failovers++;
+  }
+
+  return { ...outcome, failovers, retries };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,370 @@
+/**
+ * Tests for the upstream module
+ */
+
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  DEFAULT_UPSTREAM_SETTINGS,
+  UPSTREAM_SETTING_LIMITS,
+  buildBackends,
+  callBackend,
+  resolveUpstreamSettings,
+  isRetryable,
+  parseRetryAfter,
+  getBackoffDelay,
+  getRetryDelay,
+  callBackendWithRetry,
+  shouldFailover,
+  callUpstream
+} from './upstream.js';
+
+const apiHost = 'https://api.typingmind.com';
+const messages = [{ role: 'user', content: 'Hello' }];
+
+// Build a JSON response
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+describe('Upstream Module', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('buildBackends', () => {
+    test('should put the primary agent first', () => {
+      const backends = buildBackends({
+        typingmindAgentId: 'agent-1',
+        apiKey: 'key-1',
+        backupAgents: [
+          { agentId: 'agent-2', apiKey: 'key-2' },
+          { agentId: 'agent-3', apiKey: null }
+        ]
+      }, { DEFAULT_API_KEY: 'default-key' });
+
+      expect(backends).toEqual([
+        { label: 'primary', agentId: 'agent-1', apiKey: 'key-1' },
+        { label: 'backup-1', agentId: 'agent-2', apiKey: 'key-2' },
+        { label: 'backup-2', agentId: 'agent-3', apiKey: 'key-1' }
+      ]);
+    });
+
+    test('should fall back to the default API key', () => {
+      const backends = buildBackends({
+        typingmindAgentId: 'agent-1',
+        backupAgents: [{ agentId: 'agent-2' }]
+      }, { DEFAULT_API_KEY: 'default-key' });
+
+      expect(backends.map(b => b.apiKey)).toEqual(['default-key', 'default-key']);
+    });
+
+    test('should work without backup agents', () => {
+      const backends = buildBackends({ typingmindAgentId: 'agent-1' }, {});
+      expect(backends).toHaveLength(1);
+    });
+  });
+
+  describe('callBackend', () => {
+    const backend = { label: 'primary', agentId: 'agent-1', apiKey: 'key-1' };
+
+    test('should return parsed data on success', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ content: 'Hi' }));
+
+      const outcome = await callBackend(backend, { apiHost, messages });
+
+      expect(outcome.ok).toBe(true);
+      expect(outcome.data).toEqual({ content: 'Hi' });
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://api.typingmind.com/api/v2/agents/agent-1/chat',
+        expect.objectContaining({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-API-KEY': 'key-1' },
+          body: JSON.stringify({ messages })
+        })
+      );
+    });
+
+    test('should return streamed responses without reading them', async () => {
+      const response = new Response('data: {}\n\n', {
+        headers: { 'Content-Type': 'text/event-stream' }
+      });
+      global.fetch.mockResolvedValue(response);
+
+      const outcome = await callBackend(backend, { apiHost, messages, stream: true });
+
+      expect(outcome).toMatchObject({ ok: true, response, data: null });
+      expect(response.bodyUsed).toBe(false);
+      expect(global.fetch.mock.calls[0][1].headers.Accept).toBe('text/event-stream');
+    });
+
+    test('should report timeouts and network errors', async () => {
+      global.fetch.mockRejectedValueOnce(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+      global.fetch.mockRejectedValueOnce(new TypeError('fetch failed'));
+
+      expect((await callBackend(backend, { apiHost, messages })).reason).toBe('timeout');
+      expect((await callBackend(backend, { apiHost, messages })).reason).toBe('network');
+    });
+
+    test('should report HTTP errors with their body', async () => {
+      global.fetch.mockResolvedValue(new Response('Bad gateway', { status: 502 }));
+
+      const outcome = await callBackend(backend, { apiHost, messages });
+
+      expect(outcome).toMatchObject({ ok: false, reason: 'http', status: 502, errorText: 'Bad gateway', retryAfter: null });
+    });
+
+    test('should capture Retry-After on HTTP errors', async () => {
+      global.fetch.mockResolvedValue(new Response('Slow down', { status: 429, headers: { 'Retry-After': '2' } }));
+
+      const outcome = await callBackend(backend, { apiHost, messages });
+
+      expect(outcome.retryAfter).toBe('2');
+    });
+
+    test('should report invalid and error responses', async () => {
+      global.fetch.mockResolvedValueOnce(new Response('not json', { status: 200 }));
+      global.fetch.mockResolvedValueOnce(jsonResponse('text'));
+      global.fetch.mockResolvedValueOnce(jsonResponse({ error: { code: 'agent_not_found' } }));
+
+      expect((await callBackend(backend, { apiHost, messages })).reason).toBe('invalid_json');
+      expect((await callBackend(backend, { apiHost, messages })).reason).toBe('invalid_response');
+
+      const outcome = await callBackend(backend, { apiHost, messages });
+      expect(outcome.reason).toBe('agent_error');
+      expect(outcome.data.error.code).toBe('agent_not_found');
+    });
+  });
+
+  describe('resolveUpstreamSettings', () => {
+    test('should fill in missing settings with defaults', () => {
+      expect(resolveUpstreamSettings({ maxRetries: 0, timeoutMs: null })).toEqual({
+        ...DEFAULT_UPSTREAM_SETTINGS,
+        maxRetries: 0
+      });
+      expect(resolveUpstreamSettings(undefined)).toEqual(DEFAULT_UPSTREAM_SETTINGS);
+    });
+
+    test('should clamp settings to their limits', () => {
+      expect(resolveUpstreamSettings({
+        timeoutMs: 600000,
+        maxRetries: 50,
+        backoffBaseMs: 0,
+        backoffMaxMs: 3600000
+      })).toEqual({
+        timeoutMs: UPSTREAM_SETTING_LIMITS.timeoutMs.max,
+        maxRetries: 5,
+        backoffBaseMs: UPSTREAM_SETTING_LIMITS.backoffBaseMs.min,
+        backoffMaxMs: UPSTREAM_SETTING_LIMITS.backoffMaxMs.max
+      });
+    });
+  });
+
+  describe('isRetryable', () => {
+    test('should retry network errors and idempotent statuses', () => {
+      expect(isRetryable({ ok: false, reason: 'network' })).toBe(true);
+      expect(isRetryable({ ok: false, reason: 'http', status: 429 })).toBe(true);
+      expect(isRetryable({ ok: false, reason: 'http', status: 502 })).toBe(true);
+      expect(isRetryable({ ok: false, reason: 'http', status: 503 })).toBe(true);
+    });
+
+    test('should not retry other failures', () => {
+      expect(isRetryable({ ok: true })).toBe(false);
+      expect(isRetryable({ ok: false, reason: 'timeout' })).toBe(false);
+      expect(isRetryable({ ok: false, reason: 'http', status: 500 })).toBe(false);
+      expect(isRetryable({ ok: false, reason: 'http', status: 400 })).toBe(false);
+      expect(isRetryable({ ok: false, reason: 'agent_error' })).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should parse delays in seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(' 0 ')).toBe(0);
+    });
+
+    test('should parse HTTP dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+      expect(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now)).toBe(0);
+    });
+
+    test('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    const settings = { backoffBaseMs: 500, backoffMaxMs: 3000 };
+
+    test('should double the delay on each retry', () => {
+      expect(getBackoffDelay(0, settings, () => 1)).toBe(500);
+      expect(getBackoffDelay(1, settings, () => 1)).toBe(1000);
+      expect(getBackoffDelay(2, settings, () => 1)).toBe(2000);
+    });
+
+    test('should cap the delay at the maximum', () => {
+      expect(getBackoffDelay(5, settings, () => 1)).toBe(3000);
+    });
+
+    test('should apply jitter to half of the delay', () => {
+      expect(getBackoffDelay(1, settings, () => 0)).toBe(500);
+      expect(getBackoffDelay(1, settings, () => 0.5)).toBe(750);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const settings = { backoffBaseMs: 500, backoffMaxMs: 3000 };
+
+    test('should prefer Retry-After over backoff', () => {
+      expect(getRetryDelay({ retryAfter: '2' }, 0, settings)).toBe(2000);
+    });
+
+    test('should give up when Retry-After exceeds the maximum backoff', () => {
+      expect(getRetryDelay({ retryAfter: '60' }, 0, settings)).toBeNull();
+    });
+
+    test('should use backoff without Retry-After', () => {
+      const delay = getRetryDelay({ retryAfter: null }, 0, settings);
+      expect(delay).toBeGreaterThanOrEqual(250);
+      expect(delay).toBeLessThanOrEqual(500);
+    });
+  });
+
+  describe('callBackendWithRetry', () => {
+    const backend = { label: 'primary', agentId: 'agent-1', apiKey: 'key-1' };
+
+    test('should retry idempotent failures until one succeeds', async () => {
+      const sleep = jest.fn(async () => {});
+      global.fetch
+        .mockRejectedValueOnce(new TypeError('fetch failed'))
+        .mockResolvedValueOnce(new Response('busy', { status: 503, headers: { 'Retry-After': '1' } }))
+        .mockResolvedValueOnce(jsonResponse({ content: 'Hi' }));
+
+      const outcome = await callBackendWithRetry(backend, { apiHost, messages, sleep });
+
+      expect(outcome.ok).toBe(true);
+      expect(outcome.retries).toBe(2);
+      expect(sleep).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenLastCalledWith(1000);
+    });
+
+    test('should stop after the configured retries', async () => {
+      const sleep = jest.fn(async () => {});
+      global.fetch.mockImplementation(async () => new Response('busy', { status: 502 }));
+
+      const outcome = await callBackendWithRetry(backend, {
+        apiHost,
+        messages,
+        sleep,
+        settings: { maxRetries: 1 }
+      });
+
+      expect(outcome).toMatchObject({ ok: false, status: 502, retries: 1 });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry timeouts', async () => {
+      const sleep = jest.fn(async () => {});
+      global.fetch.mockRejectedValue(Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+
+      const outcome = await callBackendWithRetry(backend, { apiHost, messages, sleep });
+
+      expect(outcome).toMatchObject({ reason: 'timeout', retries: 0 });
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should give up when Retry-After is too long', async () => {
+      const sleep = jest.fn(async () => {});
+      global.fetch.mockResolvedValue(new Response('later', { status: 429, headers: { 'Retry-After': '120' } }));
+
+      const outcome = await callBackendWithRetry(backend, { apiHost, messages, sleep });
+
+      expect(outcome).toMatchObject({ status: 429, retries: 0 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should use the configured timeout', async () => {
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      global.fetch.mockResolvedValue(jsonResponse({ content: 'Hi' }));
+
+      await callBackendWithRetry(backend, { apiHost, messages, settings: { timeoutMs: 5000 } });
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 5000);
+      setTimeoutSpy.mockRestore();
+    });
+  });
+
+  describe('shouldFailover', () => {
+    test('should fail over on server errors and unavailable agents', () => {
+      expect(shouldFailover({ ok: false, reason: 'timeout' })).toBe(true);
+      expect(shouldFailover({ ok: false, reason: 'network' })).toBe(true);
+      expect(shouldFailover({ ok: false, reason: 'http', status: 503 })).toBe(true);
+      expect(shouldFailover({ ok: false, reason: 'agent_error' })).toBe(true);
+    });
+
+    test('should not fail over on success or client errors', () => {
+      expect(shouldFailover({ ok: true })).toBe(false);
+      expect(shouldFailover({ ok: false, reason: 'http', status: 400 })).toBe(false);
+      expect(shouldFailover({ ok: false, reason: 'http', status: 429 })).toBe(false);
+    });
+  });
+
+  describe('callUpstream', () => {
+    const backends = [
+      { label: 'primary', agentId: 'agent-1', apiKey: 'key-1' },
+      { label: 'backup-1', agentId: 'agent-2', apiKey: 'key-2' },
+      { label: 'backup-2', agentId: 'agent-3', apiKey: 'key-3' }
+    ];
+
+    test('should answer from the primary when it succeeds', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ content: 'Hi' }));
+
+      const outcome = await callUpstream(backends, { apiHost, messages });
+
+      expect(outcome.ok).toBe(true);
+      expect(outcome.backend.agentId).toBe('agent-1');
+      expect(outcome.failovers).toBe(0);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should move to the next backend until one answers', async () => {
+      global.fetch
+        .mockResolvedValueOnce(new Response('down', { status: 500 }))
+        .mockResolvedValueOnce(jsonResponse({ error: { code: 'agent_not_found' } }))
+        .mockResolvedValueOnce(jsonResponse({ content: 'Hi' }));
+
+      const outcome = await callUpstream(backends, { apiHost, messages });
+
+      expect(outcome.ok).toBe(true);
+      expect(outcome.backend.agentId).toBe('agent-3');
+      expect(outcome.failovers).toBe(2);
+      expect(global.fetch.mock.calls[2][0]).toBe('https://api.typingmind.com/api/v2/agents/agent-3/chat');
+    });
+
+    test('should stop on client errors', async () => {
+      global.fetch.mockResolvedValue(new Response('bad request', { status: 400 }));
+
+      const outcome = await callUpstream(backends, { apiHost, messages });
+
+      expect(outcome).toMatchObject({ ok: false, reason: 'http', status: 400, failovers: 0 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return the last failure when every backend fails', async () => {
+      const sleep = jest.fn(async () => {});
+      global.fetch.mockImplementation(async () => new Response('down', { status: 503 }));
+
+      const outcome = await callUpstream(backends, { apiHost, messages, sleep });
+
+      expect(outcome).toMatchObject({ ok: false, reason: 'http', status: 503, failovers: 2, retries: 6 });
+      expect(outcome.backend.agentId).toBe('agent-3');
+      expect(global.fetch).toHaveBeenCalledTimes(9);
+    });
+  });
+});
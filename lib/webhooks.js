@@ -0,0 +1,292 @@
+/**
+ * Webhooks module
+ * Sends signed chat events to per-instance webhook URLs and keeps a delivery log in D1
+ */
+
+import { getBackoffDelay } from './upstream.js';
+
+// Events an instance can subscribe to
+export const WEBHOOK_EVENTS = [
+  'conversation.started',
+  'message.created',
+  'lead.captured',
+  'rate_limit.exceeded',
+  'agent.error',
+  'quota.warning',
+  'quota.exceeded',
+  'offline.message'
+];
+
+// Retry schedule for failed deliveries (all attempts run inside ctx.waitUntil)
+export const WEBHOOK_RETRY_SETTINGS = {
+  maxAttempts: 3,
+  timeoutMs: 5000,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 8000
+};
+
+// Longest response body excerpt kept in the delivery log (characters)
+const MAX_LOGGED_ERROR_LENGTH = 500;
+
+/**
+ * Generate a signing secret for a webhook that was saved without one
+ * @returns {string} Secret such as whsec_3f9a...
+ */
+export function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return 'whsec_' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check whether a webhook receives an event
+ * An empty event list subscribes to every event
+ * @param {Object} webhook - Webhook from the instance config
+ * @param {string} event - Event name
+ * @returns {boolean} True if the event should be sent
+ */
+export function isSubscribed(webhook, event) {
+  return !webhook.events || webhook.events.length === 0 || webhook.events.includes(event);
+}
+
+/**
+ * Sign a webhook body
+ * The signed string is `${timestamp}.${body}` so receivers can reject replayed deliveries
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - JSON body
+ * @returns {Promise<string>} Hex HMAC-SHA256 signature
+ */
+export async function signPayload(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+
+  return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check whether a failed delivery is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are retried; other 4xx responses are not
+ * @param {Object} attempt - Attempt result from sendAttempt
+ * @returns {boolean} True if another attempt should be made
+ */
+export function isRetryableDelivery(attempt) {
+  if (attempt.ok) return false;
+  if (!attempt.status) return true;
+  return attempt.status === 429 || attempt.status >= 500;
+}
+
+/**
+ * Make a single delivery attempt
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @param {number} timeoutMs - Attempt timeout
+ * @returns {Promise<Object>} { ok, status, error }
+ */
+async function sendAttempt(url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+
+    if (response.ok) {
+      return { ok: true, status: response.status, error: null };
+    }
+
+    const text = await response.text().catch(() => '');
+    return {
+      ok: false,
+      status: response.status,
+      error: `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_LOGGED_ERROR_LENGTH)}` : ''}`
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      error: error.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Deliver an event to one webhook, retrying with backoff
+ * @param {Object} webhook - Webhook as { url, secret, events }
+ * @param {Object} payload - Event payload ({ id, event, instanceId, createdAt, data })
+ * @param {Object} options - Delivery options
+ * @param {Object} [options.settings] - Overrides for WEBHOOK_RETRY_SETTINGS
+ * @param {Function} [options.sleep] - Delay function (for tests)
+ * @returns {Promise<Object>} { status: 'delivered'|'failed', attempts, responseStatus, error }
+ */
+export async function deliverWebhook(webhook, payload, options = {}) {
+  const settings = { ...WEBHOOK_RETRY_SETTINGS, ...options.settings };
+  const sleep = options.sleep || defaultSleep;
+  const body = JSON.stringify(payload);
+
+  let attempt = null;
+  let attempts = 0;
+
+  while (attempts < settings.maxAttempts) {
+    // Sign each attempt so the timestamp stays fresh
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await signPayload(webhook.secret, timestamp, body);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TypingMind-Chatbot-Webhooks/1.0',
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signature}`
+    };
+
+    attempt = await sendAttempt(webhook.url, headers, body, settings.timeoutMs);
+    attempts++;
+
+    if (!isRetryableDelivery(attempt) || attempts >= settings.maxAttempts) {
+      break;
+    }
+
+    await sleep(getBackoffDelay(attempts - 1, settings));
+  }
+
+  return {
+    status: attempt.ok ? 'delivered' : 'failed',
+    attempts,
+    responseStatus: attempt.status,
+    error: attempt.error
+  };
+}
+
+/**
+ * Record a delivery in the log
+ * @param {D1Database} db - D1 database instance
+ * @param {Object} delivery - Delivery details
+ * @returns {Promise<void>}
+ */
+export async function recordDelivery(db, delivery) {
+  await db.prepare(`
+    INSERT INTO webhook_deliveries
+      (id, instance_id, webhook_url, event, payload, status, attempts, response_status, error, created_at, completed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    delivery.id,
+    delivery.instanceId,
+    delivery.url,
+    delivery.event,
+    delivery.payload,
+    delivery.status,
+    delivery.attempts,
+    delivery.responseStatus ?? null,
+    delivery.error || null,
+    delivery.createdAt,
+    new Date().toISOString()
+  ).run();
+}
+
+/**
+ * Send an event to every webhook of an instance that subscribes to it
+ * Deliveries run in the background through ctx.waitUntil, so the caller never waits on them.
+ * Failures are logged and recorded, never thrown
+ * @param {Object} env - Environment bindings
+ * @param {Object} ctx - Execution context
+ * @param {Object} instanceConfig - Instance configuration (uses id and webhooks)
+ * @param {string} event - Event name from WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<void>} Background task (already registered with ctx.waitUntil)
+ */
+export function dispatchWebhookEvent(env, ctx, instanceConfig, event, data) {
+  const webhooks = (instanceConfig?.webhooks || []).filter(webhook => isSubscribed(webhook, event));
+  if (webhooks.length === 0) return Promise.resolve();
+
+  const createdAt = new Date().toISOString();
+
+  const task = Promise.all(webhooks.map(async (webhook) => {
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      instanceId: instanceConfig.id,
+      createdAt,
+      data
+    };
+
+    try {
+      const result = await deliverWebhook(webhook, payload);
+      if (result.status === 'failed') {
+        console.warn('[Webhooks] Delivery failed:', { event, url: webhook.url, error: result.error });
+      }
+
+      await recordDelivery(env.DB, {
+        id: payload.id,
+        instanceId: instanceConfig.id,
+        url: webhook.url,
+        event,
+        payload: JSON.stringify(payload),
+        createdAt,
+        ...result
+      });
+    } catch (error) {
+      console.error('[Webhooks] Failed to deliver event:', { event, url: webhook.url, error: error.message });
+    }
+  })).then(() => {});
+
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(task);
+  }
+
+  return task;
+}
+
+/**
+ * List webhook deliveries for an instance, newest first
+ * @param {D1Database} db - D1 database instance
+ * @param {string} instanceId - Instance ID
+ * @param {Object} options - Listing options
+ * @param {string} [options.status] - Only 'delivered' or 'failed' deliveries
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Rows to skip
+ * @returns {Promise<Object>} { deliveries, total }
+ */
+export async function listDeliveries(db, instanceId, { status = '', limit = 50, offset = 0 } = {}) {
+  const where = status ? 'instance_id = ? AND status = ?' : 'instance_id = ?';
+  const params = status ? [instanceId, status] : [instanceId];
+
+  const deliveries = await db.prepare(`
+    SELECT id, webhook_url, event, payload, status, attempts, response_status, error, created_at, completed_at
+    FROM webhook_deliveries
+    WHERE ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...params, limit, offset).all();
+
+  const count = await db.prepare(`
+    SELECT COUNT(*) as total FROM webhook_deliveries WHERE ${where}
+  `).bind(...params).first();
+
+  return {
+    deliveries: deliveries.results,
+    total: count?.total || 0
+  };
+}
+
+/**
+ * Wait between delivery attempts
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,248 @@
+/**
+ * Tests for the webhooks module
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { createHmac } from 'node:crypto';
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  isSubscribed,
+  signPayload,
+  isRetryableDelivery,
+  deliverWebhook,
+  recordDelivery,
+  dispatchWebhookEvent,
+  listDeliveries
+} from './webhooks.js';
+
+// Mock D1 database that records prepared statements
+function createTrackingDB({ first = null, all = [] } = {}) {
+  const statements = [];
+
+  return {
+    statements,
+    prepare: (query) => ({
+      bind: (...params) => {
+        const statement = {
+          query: query.replace(/\s+/g, ' ').trim(),
+          params,
+          first: async () => first,
+          all: async () => ({ results: all }),
+          run: async () => ({ success: true })
+        };
+        statements.push(statement);
+        return statement;
+      }
+    })
+  };
+}
+
+const webhook = {
+  url: 'https://hooks.example.com/chat',
+  secret: 'whsec_test',
+  events: []
+};
+
+const payload = {
+  id: 'evt_1',
+  event: 'lead.captured',
+  instanceId: 'test-instance',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  data: { sessionId: 'sess_1' }
+};
+
+const noSleep = () => Promise.resolve();
+
+describe('Webhooks Module', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateWebhookSecret', () => {
+    test('should generate distinct prefixed secrets', () => {
+      const secret = generateWebhookSecret();
+      expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(generateWebhookSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('isSubscribed', () => {
+    test('should treat an empty event list as all events', () => {
+      WEBHOOK_EVENTS.forEach(event => {
+        expect(isSubscribed(webhook, event)).toBe(true);
+      });
+    });
+
+    test('should only match listed events', () => {
+      const filtered = { ...webhook, events: ['lead.captured'] };
+      expect(isSubscribed(filtered, 'lead.captured')).toBe(true);
+      expect(isSubscribed(filtered, 'message.created')).toBe(false);
+    });
+  });
+
+  describe('signPayload', () => {
+    test('should sign the timestamp and body with HMAC-SHA256', async () => {
+      const body = JSON.stringify(payload);
+      const expected = createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+      expect(await signPayload('whsec_test', 1700000000, body)).toBe(expected);
+    });
+  });
+
+  describe('isRetryableDelivery', () => {
+    test('should retry network errors, 429 and 5xx only', () => {
+      expect(isRetryableDelivery({ ok: false, status: null })).toBe(true);
+      expect(isRetryableDelivery({ ok: false, status: 429 })).toBe(true);
+      expect(isRetryableDelivery({ ok: false, status: 503 })).toBe(true);
+      expect(isRetryableDelivery({ ok: false, status: 404 })).toBe(false);
+      expect(isRetryableDelivery({ ok: true, status: 200 })).toBe(false);
+    });
+  });
+
+  describe('deliverWebhook', () => {
+    test('should POST the signed payload', async () => {
+      global.fetch.mockResolvedValue(new Response('ok', { status: 200 }));
+
+      const result = await deliverWebhook(webhook, payload, { sleep: noSleep });
+
+      expect(result).toEqual({ status: 'delivered', attempts: 1, responseStatus: 200, error: null });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe(webhook.url);
+      expect(options.body).toBe(JSON.stringify(payload));
+      expect(options.headers['X-Webhook-Event']).toBe('lead.captured');
+      expect(options.headers['X-Webhook-Id']).toBe('evt_1');
+
+      const timestamp = options.headers['X-Webhook-Timestamp'];
+      const expected = createHmac('sha256', 'whsec_test').update(`${timestamp}.${options.body}`).digest('hex');
+      expect(options.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    });
+
+    test('should retry server errors with backoff', async () => {
+      const sleep = jest.fn(noSleep);
+      global.fetch
+        .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+        .mockRejectedValueOnce(new Error('connection reset'))
+        .mockResolvedValueOnce(new Response('ok', { status: 200 }));
+
+      const result = await deliverWebhook(webhook, payload, { sleep });
+
+      expect(result.status).toBe('delivered');
+      expect(result.attempts).toBe(3);
+      expect(sleep).toHaveBeenCalledTimes(2);
+    });
+
+    test('should give up after the last attempt', async () => {
+      global.fetch.mockImplementation(async () => new Response('down', { status: 500 }));
+
+      const result = await deliverWebhook(webhook, payload, { sleep: noSleep, settings: { maxAttempts: 2 } });
+
+      expect(result).toEqual({ status: 'failed', attempts: 2, responseStatus: 500, error: 'HTTP 500: down' });
+    });
+
+    test('should not retry client errors', async () => {
+      global.fetch.mockResolvedValue(new Response('gone', { status: 410 }));
+
+      const result = await deliverWebhook(webhook, payload, { sleep: noSleep });
+
+      expect(result.status).toBe('failed');
+      expect(result.attempts).toBe(1);
+    });
+  });
+
+  describe('recordDelivery', () => {
+    test('should insert the delivery into the log', async () => {
+      const db = createTrackingDB();
+
+      await recordDelivery(db, {
+        id: 'evt_1',
+        instanceId: 'test-instance',
+        url: webhook.url,
+        event: 'lead.captured',
+        payload: '{}',
+        status: 'failed',
+        attempts: 3,
+        responseStatus: null,
+        error: 'Timed out after 5000ms',
+        createdAt: '2025-01-01T00:00:00.000Z'
+      });
+
+      expect(db.statements[0].query).toContain('INSERT INTO webhook_deliveries');
+      expect(db.statements[0].params.slice(0, 10)).toEqual([
+        'evt_1', 'test-instance', webhook.url, 'lead.captured', '{}', 'failed', 3, null,
+        'Timed out after 5000ms', '2025-01-01T00:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('dispatchWebhookEvent', () => {
+    test('should deliver to subscribed webhooks in the background', async () => {
+      global.fetch.mockResolvedValue(new Response('ok', { status: 200 }));
+      const env = { DB: createTrackingDB() };
+      const ctx = { waitUntil: jest.fn() };
+      const instanceConfig = {
+        id: 'test-instance',
+        webhooks: [
+          webhook,
+          { url: 'https://other.example.com', secret: 'whsec_other', events: ['agent.error'] }
+        ]
+      };
+
+      const task = dispatchWebhookEvent(env, ctx, instanceConfig, 'lead.captured', { sessionId: 'sess_1' });
+
+      expect(ctx.waitUntil).toHaveBeenCalledWith(task);
+      await task;
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body).toMatchObject({
+        event: 'lead.captured',
+        instanceId: 'test-instance',
+        data: { sessionId: 'sess_1' }
+      });
+      expect(env.DB.statements[0].params).toEqual(expect.arrayContaining([body.id, 'delivered']));
+    });
+
+    test('should do nothing without subscribed webhooks', async () => {
+      const ctx = { waitUntil: jest.fn() };
+
+      await dispatchWebhookEvent({ DB: createTrackingDB() }, ctx, { id: 'test-instance', webhooks: [] }, 'lead.captured', {});
+
+      expect(ctx.waitUntil).not.toHaveBeenCalled();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should swallow logging failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      global.fetch.mockResolvedValue(new Response('ok', { status: 200 }));
+      const env = {
+        DB: {
+          prepare: () => ({ bind: () => ({ run: () => Promise.reject(new Error('D1 unavailable')) }) })
+        }
+      };
+
+      await expect(
+        dispatchWebhookEvent(env, null, { id: 'test-instance', webhooks: [webhook] }, 'message.created', {})
+      ).resolves.toBeUndefined();
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('listDeliveries', () => {
+    test('should filter by status and page results', async () => {
+      const db = createTrackingDB({ first: { total: 3 }, all: [{ id: 'evt_1' }] });
+
+      const result = await listDeliveries(db, 'test-instance', { status: 'failed', limit: 10, offset: 20 });
+
+      expect(result).toEqual({ deliveries: [{ id: 'evt_1' }], total: 3 });
+      expect(db.statements[0].query).toContain('WHERE instance_id = ? AND status = ?');
+      expect(db.statements[0].params).toEqual(['test-instance', 'failed', 10, 20]);
+      expect(db.statements[1].params).toEqual(['test-instance', 'failed']);
+    });
+  });
+});
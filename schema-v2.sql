@@ -15,6 +15,10 @@ CREATE TABLE IF NOT EXISTS agent_instances (
   typingmind_agent_id TEXT NOT NULL, -- The actual TypingMind agent ID
   name TEXT NOT NULL, -- Instance display name
   api_key TEXT, -- Optional instance-specific API key
+  state TEXT DEFAULT 'active', -- 'active', 'paused' or 'maintenance'
+  maintenance_message TEXT, -- Shown in the widget during maintenance
+  maintenance_starts_at DATETIME, -- Optional maintenance window (UTC); maintenance applies only inside it
+  maintenance_ends_at DATETIME,
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -39,6 +43,27 @@ CREATE TABLE IF NOT EXISTS instance_paths (
   UNIQUE(instance_id, path)
 );
 
+-- Backup TypingMind agents, tried in position order when the primary agent fails
+CREATE TABLE IF NOT EXISTS instance_backup_agents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  typingmind_agent_id TEXT NOT NULL,
+  api_key TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Upstream timeout and retry settings
+CREATE TABLE IF NOT EXISTS instance_upstream_settings (
+  instance_id TEXT PRIMARY KEY,
+  timeout_ms INTEGER DEFAULT 30000,
+  max_retries INTEGER DEFAULT 2,
+  backoff_base_ms INTEGER DEFAULT 500,
+  backoff_max_ms INTEGER DEFAULT 8000,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
 -- Rate limits table
 CREATE TABLE IF NOT EXISTS instance_rate_limits (
   instance_id TEXT PRIMARY KEY,
@@ -77,10 +102,318 @@ CREATE TABLE IF NOT EXISTS instance_welcome_messages (
   FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
 );
 
+-- Page context template injected as a system message before each chat request
+CREATE TABLE IF NOT EXISTS instance_context_templates (
+  instance_id TEXT PRIMARY KEY,
+  context_template TEXT,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Pre-chat lead form (fields is a JSON list of { key, label, type, required })
+CREATE TABLE IF NOT EXISTS instance_lead_forms (
+  instance_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT 0,
+  title TEXT,
+  fields TEXT,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Human handoff settings
+CREATE TABLE IF NOT EXISTS instance_handoff_settings (
+  instance_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT 0,
+  staff_name TEXT, -- Author shown on staff replies in the widget
+  waiting_message TEXT, -- Shown to the visitor while waiting for staff
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Redaction of visitors' messages before they are sent to TypingMind
+-- Actions are 'off', 'mask', 'tokenize' or 'reject'; custom_patterns is a JSON list of { name, pattern, action }
+CREATE TABLE IF NOT EXISTS instance_redaction_settings (
+  instance_id TEXT PRIMARY KEY,
+  email_action TEXT DEFAULT 'off',
+  phone_action TEXT DEFAULT 'off',
+  card_action TEXT DEFAULT 'off',
+  custom_patterns TEXT,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Instance-wide quotas (NULL means unlimited)
+CREATE TABLE IF NOT EXISTS instance_quotas (
+  instance_id TEXT PRIMARY KEY,
+  messages_per_day INTEGER,
+  messages_per_month INTEGER,
+  tokens_per_month INTEGER, -- Estimated from message and reply length
+  warning_percent INTEGER DEFAULT 80, -- Share of a quota that triggers the quota.warning webhook
+  limit_message TEXT, -- Shown in the widget once a quota is used up
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Network access rules (JSON arrays; ASNs are numbers, countries two-letter codes)
+-- Deny lists win; every allow list with entries must also match
+CREATE TABLE IF NOT EXISTS instance_network_rules (
+  instance_id TEXT PRIMARY KEY,
+  deny_cidrs TEXT, -- IPv4/IPv6 addresses or CIDR ranges
+  deny_countries TEXT,
+  deny_asns TEXT,
+  allow_cidrs TEXT,
+  allow_countries TEXT,
+  allow_asns TEXT,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Bot challenge (Turnstile-style) required before a session may chat
+CREATE TABLE IF NOT EXISTS instance_challenge_settings (
+  instance_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT 0,
+  site_key TEXT, -- Public key the widget renders the challenge with
+  secret_key TEXT, -- Overrides the TURNSTILE_SECRET_KEY secret when set
+  trust_minutes INTEGER DEFAULT 60, -- How long a verified session is trusted
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- End-user identities signed by the host site's backend
+CREATE TABLE IF NOT EXISTS instance_identity_settings (
+  instance_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT 0,
+  secret TEXT, -- HMAC-SHA256 key shared with the host site's backend
+  forward_to_agent BOOLEAN DEFAULT 0, -- Tell the agent who the visitor is
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Business hours (schedule is a JSON object of day keys 'mon'..'sun' to lists of
+-- { start, end } minutes after midnight; holidays is a JSON list of YYYY-MM-DD dates)
+-- offline_behavior is 'banner', 'form' or 'hide'
+CREATE TABLE IF NOT EXISTS instance_business_hours (
+  instance_id TEXT PRIMARY KEY,
+  enabled BOOLEAN DEFAULT 0,
+  timezone TEXT DEFAULT 'UTC', -- IANA time zone the schedule and holidays are in
+  schedule TEXT,
+  holidays TEXT,
+  offline_behavior TEXT DEFAULT 'banner',
+  offline_message TEXT, -- Shown in the banner or above the offline form
+  strict BOOLEAN DEFAULT 0, -- Refuse /chat while closed
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Widget language and per-locale text
+CREATE TABLE IF NOT EXISTS instance_locale_settings (
+  instance_id TEXT PRIMARY KEY,
+  default_locale TEXT DEFAULT 'en',
+  auto_detect BOOLEAN DEFAULT 0, -- Use the visitor's browser language when supported
+  direction TEXT DEFAULT 'auto', -- 'auto' (follow the host page), 'ltr' or 'rtl'
+  string_overrides TEXT, -- JSON object of locale to { string key: text }
+  welcome_translations TEXT, -- JSON object of locale to welcome message
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Topic guardrails (keyword and pattern lists are JSON arrays of strings)
+CREATE TABLE IF NOT EXISTS instance_guardrails (
+  instance_id TEXT PRIMARY KEY,
+  blocked_keywords TEXT, -- Whole words or phrases, matched ignoring case
+  blocked_patterns TEXT, -- Regular expressions, matched ignoring case
+  refusal_message TEXT, -- Sent instead of the agent's reply
+  check_replies BOOLEAN DEFAULT 0, -- Also check agent replies (turns off streaming)
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Conversation starters shown as chips under the welcome message
+CREATE TABLE IF NOT EXISTS instance_starters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  prompt TEXT NOT NULL,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Outbound webhooks (events is a comma-separated list; empty means every event)
+CREATE TABLE IF NOT EXISTS instance_webhooks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC-SHA256 signing secret
+  events TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Experiment variants (empty fields keep the instance's own agent, welcome text or starters)
+CREATE TABLE IF NOT EXISTS instance_experiment_variants (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  variant_key TEXT NOT NULL,
+  weight INTEGER NOT NULL DEFAULT 1, -- Share of new sessions, relative to the other variants
+  typingmind_agent_id TEXT,
+  welcome_message TEXT,
+  starters TEXT, -- JSON array of starter prompts
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Conversations table (one row per widget session)
+CREATE TABLE IF NOT EXISTS conversations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID
+  origin TEXT, -- Origin of the first request
+  user_id TEXT, -- Verified end-user identity, set by the first identified request
+  user_name TEXT,
+  user_email TEXT,
+  variant TEXT, -- Experiment variant the session was assigned
+  message_count INTEGER DEFAULT 0,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_message_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE,
+  UNIQUE(instance_id, session_id)
+);
+
+-- Messages table (user messages and assistant replies)
+CREATE TABLE IF NOT EXISTS messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  conversation_id INTEGER NOT NULL,
+  role TEXT NOT NULL, -- 'user', 'assistant' or 'staff'
+  content TEXT NOT NULL,
+  latency_ms INTEGER, -- Upstream response time for assistant replies
+  variant TEXT, -- Experiment variant that produced the exchange
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+);
+
+-- Leads captured by the pre-chat form (one row per widget session)
+CREATE TABLE IF NOT EXISTS leads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID, matches conversations.session_id
+  name TEXT,
+  email TEXT,
+  data TEXT, -- JSON object of custom field values
+  origin TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE,
+  UNIQUE(instance_id, session_id)
+);
+
+-- Messages left through the offline form while an instance was closed
+CREATE TABLE IF NOT EXISTS offline_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID, matches conversations.session_id
+  name TEXT,
+  email TEXT NOT NULL,
+  message TEXT NOT NULL,
+  origin TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Human handoffs (one row per widget session; the bot is skipped while requested or active)
+CREATE TABLE IF NOT EXISTS handoffs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID, matches conversations.session_id
+  status TEXT NOT NULL, -- 'requested', 'active' or 'resolved'
+  requested_by TEXT NOT NULL, -- 'visitor', 'agent' or 'staff'
+  reason TEXT,
+  requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE,
+  UNIQUE(instance_id, session_id)
+);
+
+-- Visitor ratings of agent replies (one row per rated reply; rating again replaces it)
+CREATE TABLE IF NOT EXISTS message_feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID, matches conversations.session_id
+  message_key TEXT NOT NULL, -- Widget timestamp of the rated reply
+  rating INTEGER NOT NULL, -- 1 (thumbs up) or -1 (thumbs down)
+  comment TEXT,
+  content TEXT NOT NULL, -- The rated reply as the visitor saw it
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE,
+  UNIQUE(instance_id, session_id, message_key)
+);
+
+-- Running totals of redacted values per instance
+CREATE TABLE IF NOT EXISTS redaction_counts (
+  instance_id TEXT NOT NULL,
+  detector TEXT NOT NULL, -- 'email', 'phone', 'card' or a custom pattern name
+  action TEXT NOT NULL, -- 'mask', 'tokenize' or 'reject'
+  count INTEGER DEFAULT 0,
+  last_redacted_at DATETIME,
+  PRIMARY KEY (instance_id, detector, action),
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Quota usage per instance and period
+CREATE TABLE IF NOT EXISTS quota_usage (
+  instance_id TEXT NOT NULL,
+  period TEXT NOT NULL, -- UTC day (YYYY-MM-DD) or month (YYYY-MM)
+  messages INTEGER NOT NULL DEFAULT 0,
+  tokens INTEGER NOT NULL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (instance_id, period),
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Sessions that solved the instance's challenge, trusted until expires_at
+CREATE TABLE IF NOT EXISTS challenge_sessions (
+  instance_id TEXT NOT NULL,
+  session_id TEXT NOT NULL, -- Widget session ID
+  verified_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  PRIMARY KEY (instance_id, session_id),
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Messages and replies blocked by guardrails
+CREATE TABLE IF NOT EXISTS guardrail_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  instance_id TEXT NOT NULL,
+  session_id TEXT, -- Widget session ID, matches conversations.session_id
+  direction TEXT NOT NULL, -- 'user' (visitor message) or 'reply' (agent reply)
+  rule_type TEXT NOT NULL, -- 'keyword' or 'pattern'
+  rule TEXT NOT NULL,
+  content TEXT NOT NULL, -- Blocked text, after redaction
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
+-- Webhook delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY, -- Delivery ID, also sent as X-Webhook-Id
+  instance_id TEXT NOT NULL,
+  webhook_url TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL, -- 'delivered' or 'failed'
+  attempts INTEGER DEFAULT 1,
+  response_status INTEGER,
+  error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,
+  FOREIGN KEY (instance_id) REFERENCES agent_instances(id) ON DELETE CASCADE
+);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_instance_domains_instance_id ON instance_domains(instance_id);
 CREATE INDEX IF NOT EXISTS idx_instance_paths_instance_id ON instance_paths(instance_id);
+CREATE INDEX IF NOT EXISTS idx_instance_backup_agents_instance_id ON instance_backup_agents(instance_id, position);
 CREATE INDEX IF NOT EXISTS idx_typingmind_agent_id ON agent_instances(typingmind_agent_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_instance_id ON conversations(instance_id, last_message_at);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_leads_instance_id ON leads(instance_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_offline_messages_instance_id ON offline_messages(instance_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_instance_starters_instance_id ON instance_starters(instance_id, position);
+CREATE INDEX IF NOT EXISTS idx_instance_webhooks_instance_id ON instance_webhooks(instance_id, position);
+CREATE INDEX IF NOT EXISTS idx_instance_experiment_variants_instance_id ON instance_experiment_variants(instance_id, position);
+CREATE INDEX IF NOT EXISTS idx_conversations_variant ON conversations(instance_id, variant);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_instance_id ON webhook_deliveries(instance_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_handoffs_status ON handoffs(status, requested_at);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_instance_id ON message_feedback(instance_id, rating);
+CREATE INDEX IF NOT EXISTS idx_guardrail_events_instance_id ON guardrail_events(instance_id, created_at);
 
 -- Insert example instances
 -- SEO Bot for Newcastle (main site)
@@ -1,10 +1,13 @@
 // Chat Button Component
 // Handles the floating chat button for popup mode
 
+import { I18n } from '../utils/i18n.js';
+
 export class ChatButton {
-  constructor(position, icons) {
+  constructor(position, icons, i18n = new I18n()) {
     this.position = position;
     this.icons = icons;
+    this.i18n = i18n;
     this.element = null;
     this.badgeElement = null;
     this.onClick = null;
@@ -14,7 +17,7 @@ export class ChatButton {
   create() {
     const button = document.createElement('button');
     button.className = `tm-chat-button ${this.position}`;
-    button.setAttribute('aria-label', 'Open chat');
+    button.setAttribute('aria-label', this.i18n.t('openChat'));
     button.innerHTML = `
       ${this.icons.chat}
       <span class="tm-badge" style="display:none">0</span>
@@ -33,6 +36,13 @@ export class ChatButton {
     return this.element;
   }
   
+  // Relabel the button after the locale changes
+  applyTranslations() {
+    if (this.element) {
+      this.element.setAttribute('aria-label', this.i18n.t('openChat'));
+    }
+  }
+  
   // Update button position
   updatePosition(position) {
     if (!this.element) return;
@@ -1,13 +1,19 @@
 // Chat Window Component
 // Handles the main chat window container
 
+import { I18n } from '../utils/i18n.js';
+
 export class ChatWindow {
-  constructor(config, icons) {
+  constructor(config, icons, i18n = new I18n()) {
     this.config = config;
     this.icons = icons;
+    this.i18n = i18n;
     this.element = null;
     this.headerElement = null;
     this.titleElement = null;
+    this.leadFormElement = null;
+    this.bannerElement = null;
+    this.handoffButton = null;
     this.onMinimize = null;
     this.onClose = null;
   }
@@ -30,6 +36,7 @@ export class ChatWindow {
     this.element = windowDiv;
     this.headerElement = windowDiv.querySelector('.tm-header');
     this.titleElement = windowDiv.querySelector('.tm-header-title');
+    this.applyTranslations();
     
     // Setup event listeners for popup mode controls
     if (this.config.embedMode === 'popup') {
@@ -51,10 +58,10 @@ export class ChatWindow {
       ? '' // No minimize/close buttons in inline mode
       : `
         <div class="tm-header-actions">
-          <button class="tm-minimize" aria-label="Minimize chat">
+          <button class="tm-minimize">
             ${this.icons.minimize}
           </button>
-          <button class="tm-close" aria-label="Close chat">
+          <button class="tm-close">
             ${this.icons.close}
           </button>
         </div>
@@ -128,6 +135,18 @@ export class ChatWindow {
     }
   }
   
+  // Relabel the window controls after the locale changes
+  applyTranslations() {
+    if (!this.element) return;
+    
+    this.element.setAttribute('lang', this.i18n.locale);
+    this.element.querySelector('.tm-minimize')?.setAttribute('aria-label', this.i18n.t('minimizeChat'));
+    this.element.querySelector('.tm-close')?.setAttribute('aria-label', this.i18n.t('closeChat'));
+    if (this.handoffButton) {
+      this.handoffButton.textContent = this.i18n.t('talkToPerson');
+    }
+  }
+  
   // Show window
   show() {
     if (this.element) {
@@ -142,6 +161,171 @@ export class ChatWindow {
     }
   }
   
+  // Show the pre-chat form over the conversation
+  // onSubmit(values) should return a promise; a rejection's message is shown under the form
+  showLeadForm({ title, fields, submitLabel }, onSubmit) {
+    if (!this.element) return;
+    this.hideLeadForm();
+    
+    const form = document.createElement('form');
+    form.className = 'tm-lead-form';
+    form.noValidate = true;
+    
+    const heading = document.createElement('div');
+    heading.className = 'tm-lead-title';
+    heading.textContent = title || this.i18n.t('leadFormTitle');
+    form.appendChild(heading);
+    
+    fields.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'tm-lead-field';
+      
+      const id = `tm-lead-${field.key}`;
+      const label = document.createElement('label');
+      label.setAttribute('for', id);
+      label.textContent = field.required ? `${field.label} *` : field.label;
+      
+      const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+      if (field.type !== 'textarea') {
+        input.type = field.type;
+      }
+      input.id = id;
+      input.name = field.key;
+      input.required = !!field.required;
+      input.maxLength = field.maxLength || 1000;
+      if (field.type === 'email') input.autocomplete = 'email';
+      if (field.key === 'name') input.autocomplete = 'name';
+      
+      group.appendChild(label);
+      group.appendChild(input);
+      form.appendChild(group);
+    });
+    
+    const error = document.createElement('div');
+    error.className = 'tm-lead-error';
+    error.setAttribute('role', 'alert');
+    error.hidden = true;
+    form.appendChild(error);
+    
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'tm-lead-submit';
+    submit.textContent = submitLabel || this.i18n.t('leadFormSubmit');
+    form.appendChild(submit);
+    
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const values = {};
+      fields.forEach(field => {
+        values[field.key] = form.elements[field.key].value.trim();
+      });
+      
+      const problem = this.validateLeadValues(fields, values);
+      if (problem) {
+        this.showLeadFormError(problem);
+        return;
+      }
+      
+      this.showLeadFormError('');
+      submit.disabled = true;
+      try {
+        await onSubmit(values);
+      } catch (err) {
+        this.showLeadFormError(err.message || this.i18n.t('leadFormError'));
+      } finally {
+        submit.disabled = false;
+      }
+    });
+    
+    // Sit between the header and the conversation
+    this.headerElement.insertAdjacentElement('afterend', form);
+    this.element.classList.add('tm-lead-active');
+    this.leadFormElement = form;
+  }
+  
+  // Check values before sending so most mistakes are caught without a round trip
+  validateLeadValues(fields, values) {
+    for (const field of fields) {
+      const value = values[field.key];
+      if (field.required && !value) {
+        return this.i18n.t('fieldRequired', { label: field.label });
+      }
+      if (value && field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return this.i18n.t('fieldInvalidEmail', { label: field.label });
+      }
+    }
+    return null;
+  }
+  
+  // Show or clear the pre-chat form error
+  showLeadFormError(message) {
+    const error = this.leadFormElement?.querySelector('.tm-lead-error');
+    if (error) {
+      error.textContent = message;
+      error.hidden = !message;
+    }
+  }
+  
+  // Remove the pre-chat form
+  hideLeadForm() {
+    if (this.leadFormElement) {
+      this.leadFormElement.remove();
+      this.leadFormElement = null;
+    }
+    if (this.element) {
+      this.element.classList.remove('tm-lead-active');
+    }
+  }
+  
+  isLeadFormVisible() {
+    return !!this.leadFormElement;
+  }
+  
+  // Show a notice under the header, such as the offline message outside business hours
+  showBanner(text) {
+    if (!this.headerElement) return;
+    this.hideBanner();
+    
+    const banner = document.createElement('div');
+    banner.className = 'tm-offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.textContent = text;
+    
+    this.headerElement.insertAdjacentElement('afterend', banner);
+    this.bannerElement = banner;
+  }
+  
+  hideBanner() {
+    if (this.bannerElement) {
+      this.bannerElement.remove();
+      this.bannerElement = null;
+    }
+  }
+  
+  // Add a "Talk to a person" button to the header
+  showHandoffButton(onClick) {
+    if (!this.headerElement) return;
+    this.hideHandoffButton();
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tm-handoff-button';
+    button.textContent = this.i18n.t('talkToPerson');
+    button.addEventListener('click', () => onClick());
+    
+    // Keep the title on the left and the window controls on the right
+    this.titleElement.insertAdjacentElement('afterend', button);
+    this.handoffButton = button;
+  }
+  
+  hideHandoffButton() {
+    if (this.handoffButton) {
+      this.handoffButton.remove();
+      this.handoffButton = null;
+    }
+  }
+  
   // Append child element
   appendChild(child) {
     if (this.element) {
@@ -171,5 +355,8 @@ export class ChatWindow {
     this.element = null;
     this.headerElement = null;
     this.titleElement = null;
+    this.leadFormElement = null;
+    this.bannerElement = null;
+    this.handoffButton = null;
   }
 }
\ No newline at end of file
@@ -4,6 +4,7 @@
 
 import { describe, test, expect, jest, beforeEach } from '@jest/globals';
 import { ChatWindow } from './chat-window.js';
+import { I18n } from '../utils/i18n.js';
 
 describe('ChatWindow', () => {
   let chatWindow;
@@ -261,6 +262,158 @@ describe('ChatWindow', () => {
     });
   });
 
+  describe('lead form', () => {
+    const leadForm = {
+      title: 'Before we chat',
+      fields: [
+        { key: 'name', label: 'Name', type: 'text', required: true },
+        { key: 'email', label: 'Email', type: 'email', required: true },
+        { key: 'notes', label: 'Notes', type: 'textarea', required: false }
+      ]
+    };
+    
+    const submitForm = async (form) => {
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+      await Promise.resolve();
+      await Promise.resolve();
+    };
+    
+    test('should render the configured fields after the header', () => {
+      chatWindow.create();
+      chatWindow.showLeadForm(leadForm, jest.fn());
+      
+      const form = chatWindow.element.querySelector('.tm-lead-form');
+      expect(chatWindow.headerElement.nextElementSibling).toBe(form);
+      expect(chatWindow.element.classList.contains('tm-lead-active')).toBe(true);
+      expect(form.querySelector('.tm-lead-title').textContent).toBe('Before we chat');
+      expect(form.querySelector('input[name="email"]').type).toBe('email');
+      expect(form.querySelector('textarea[name="notes"]')).not.toBeNull();
+      expect(form.querySelector('label[for="tm-lead-name"]').textContent).toBe('Name *');
+      expect(chatWindow.isLeadFormVisible()).toBe(true);
+    });
+    
+    test('should not submit until required fields are valid', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve());
+      chatWindow.create();
+      chatWindow.showLeadForm(leadForm, onSubmit);
+      const form = chatWindow.leadFormElement;
+      
+      form.elements.name.value = 'Ada';
+      form.elements.email.value = 'not-an-email';
+      await submitForm(form);
+      
+      expect(onSubmit).not.toHaveBeenCalled();
+      const error = form.querySelector('.tm-lead-error');
+      expect(error.hidden).toBe(false);
+      expect(error.textContent).toBe('Email must be a valid email address');
+    });
+    
+    test('should pass trimmed values to the submit handler', async () => {
+      const onSubmit = jest.fn(() => Promise.resolve());
+      chatWindow.create();
+      chatWindow.showLeadForm(leadForm, onSubmit);
+      const form = chatWindow.leadFormElement;
+      
+      form.elements.name.value = ' Ada ';
+      form.elements.email.value = 'ada@example.com';
+      await submitForm(form);
+      
+      expect(onSubmit).toHaveBeenCalledWith({ name: 'Ada', email: 'ada@example.com', notes: '' });
+    });
+    
+    test('should show errors from a failed submission', async () => {
+      chatWindow.create();
+      chatWindow.showLeadForm(leadForm, () => Promise.reject(new Error('Email must be a valid email address')));
+      const form = chatWindow.leadFormElement;
+      
+      form.elements.name.value = 'Ada';
+      form.elements.email.value = 'ada@example.com';
+      await submitForm(form);
+      await Promise.resolve();
+      
+      expect(form.querySelector('.tm-lead-error').textContent).toBe('Email must be a valid email address');
+      expect(form.querySelector('.tm-lead-submit').disabled).toBe(false);
+    });
+    
+    test('should remove the form when hidden', () => {
+      chatWindow.create();
+      chatWindow.showLeadForm(leadForm, jest.fn());
+      chatWindow.hideLeadForm();
+      
+      expect(chatWindow.element.querySelector('.tm-lead-form')).toBeNull();
+      expect(chatWindow.element.classList.contains('tm-lead-active')).toBe(false);
+      expect(chatWindow.isLeadFormVisible()).toBe(false);
+    });
+    
+    test('should use a custom submit label', () => {
+      chatWindow.create();
+      chatWindow.showLeadForm({ ...leadForm, submitLabel: 'Send message' }, jest.fn());
+      
+      expect(chatWindow.leadFormElement.querySelector('.tm-lead-submit').textContent).toBe('Send message');
+    });
+  });
+
+  describe('offline banner', () => {
+    test('should show the text under the header and replace an earlier banner', () => {
+      chatWindow.create();
+      chatWindow.showBanner('We are closed');
+      chatWindow.showBanner('Back <b>tomorrow</b>');
+      
+      const banners = chatWindow.element.querySelectorAll('.tm-offline-banner');
+      expect(banners).toHaveLength(1);
+      expect(chatWindow.headerElement.nextElementSibling).toBe(banners[0]);
+      expect(banners[0].textContent).toBe('Back <b>tomorrow</b>');
+      
+      chatWindow.hideBanner();
+      expect(chatWindow.element.querySelector('.tm-offline-banner')).toBeNull();
+    });
+  });
+
+  describe('handoff button', () => {
+    test('should add a button after the title that calls the handler', () => {
+      const onClick = jest.fn();
+      chatWindow.create();
+      chatWindow.showHandoffButton(onClick);
+      
+      const button = chatWindow.element.querySelector('.tm-handoff-button');
+      expect(chatWindow.titleElement.nextElementSibling).toBe(button);
+      expect(button.textContent).toBe('Talk to a person');
+      
+      button.click();
+      expect(onClick).toHaveBeenCalled();
+    });
+    
+    test('should remove the button when hidden', () => {
+      chatWindow.create();
+      chatWindow.showHandoffButton(jest.fn());
+      chatWindow.showHandoffButton(jest.fn());
+      expect(chatWindow.element.querySelectorAll('.tm-handoff-button')).toHaveLength(1);
+      
+      chatWindow.hideHandoffButton();
+      expect(chatWindow.element.querySelector('.tm-handoff-button')).toBeNull();
+    });
+  });
+
+  describe('translations', () => {
+    test('should relabel controls and validate in the current locale', () => {
+      const i18n = new I18n();
+      chatWindow = new ChatWindow(mockConfig, mockIcons, i18n);
+      chatWindow.create();
+      chatWindow.showHandoffButton(jest.fn());
+      
+      i18n.setLocale('de');
+      chatWindow.applyTranslations();
+      
+      expect(chatWindow.element.getAttribute('lang')).toBe('de');
+      expect(chatWindow.element.querySelector('.tm-close').getAttribute('aria-label')).toBe('Chat schließen');
+      expect(chatWindow.handoffButton.textContent).toBe('Mit einer Person sprechen');
+      expect(chatWindow.validateLeadValues(
+        [{ key: 'email', label: 'E-Mail', type: 'email', required: true }],
+        { email: '' }
+      )).toBe('E-Mail ist erforderlich');
+    });
+  });
+  
   describe('destroy', () => {
     test('should remove element from DOM', () => {
       const parent = document.createElement('div');
@@ -1,13 +1,24 @@
 // Input Area Component
-// Handles the message input area with textarea and send button
+// Handles the message input area with textarea, image attachments and send button
+
+import { ImageUtils } from '../utils/image-utils.js';
+import { I18n } from '../utils/i18n.js';
 
 export class InputArea {
-  constructor(icons) {
+  constructor(icons, i18n = new I18n()) {
     this.icons = icons;
+    this.i18n = i18n;
     this.element = null;
     this.textareaElement = null;
     this.sendButtonElement = null;
+    this.attachButtonElement = null;
+    this.fileInputElement = null;
+    this.attachmentsElement = null;
     this.onSend = null;
+    this.onError = null;
+    this.imageUploadEnabled = false;
+    this.attachments = [];
+    this.maxAttachments = 3;
   }
   
   // Create input area element
@@ -16,13 +27,16 @@ export class InputArea {
     inputAreaDiv.className = 'tm-input-area';
     
     inputAreaDiv.innerHTML = `
+      <div class="tm-attachments" hidden></div>
+      <button class="tm-attach-button" hidden>
+        ${this.icons.attach || ''}
+      </button>
+      <input class="tm-file-input" type="file" accept="${ImageUtils.ALLOWED_TYPES.join(',')}" multiple hidden>
       <textarea 
         class="tm-input" 
-        placeholder="Type your message..."
-        aria-label="Type your message"
         rows="1"
       ></textarea>
-      <button class="tm-send-button" aria-label="Send message">
+      <button class="tm-send-button">
         ${this.icons.send}
       </button>
     `;
@@ -30,12 +44,28 @@ export class InputArea {
     this.element = inputAreaDiv;
     this.textareaElement = inputAreaDiv.querySelector('.tm-input');
     this.sendButtonElement = inputAreaDiv.querySelector('.tm-send-button');
+    this.attachButtonElement = inputAreaDiv.querySelector('.tm-attach-button');
+    this.fileInputElement = inputAreaDiv.querySelector('.tm-file-input');
+    this.attachmentsElement = inputAreaDiv.querySelector('.tm-attachments');
     
+    // Labels are set as properties so instance overrides are never read as markup
+    this.applyTranslations();
     this.setupEventListeners();
     
     return this.element;
   }
   
+  // Relabel the input and buttons after the locale changes
+  applyTranslations() {
+    if (!this.element) return;
+    
+    this.textareaElement.placeholder = this.i18n.t('inputPlaceholder');
+    this.textareaElement.setAttribute('aria-label', this.i18n.t('inputLabel'));
+    this.sendButtonElement.setAttribute('aria-label', this.i18n.t('sendMessage'));
+    this.attachButtonElement.setAttribute('aria-label', this.i18n.t('attachImage'));
+    this.renderAttachments();
+  }
+  
   // Setup event listeners
   setupEventListeners() {
     // Handle Enter key
@@ -55,12 +85,147 @@ export class InputArea {
     this.textareaElement.addEventListener('input', () => {
       this.autoResize();
     });
+    
+    // Open the file picker
+    this.attachButtonElement.addEventListener('click', () => {
+      this.fileInputElement.click();
+    });
+    
+    // Attach picked files
+    this.fileInputElement.addEventListener('change', () => {
+      this.addFiles(this.fileInputElement.files);
+      this.fileInputElement.value = '';
+    });
+    
+    // Attach pasted images
+    this.textareaElement.addEventListener('paste', (e) => {
+      if (!this.imageUploadEnabled || !e.clipboardData) return;
+      
+      const files = Array.from(e.clipboardData.items || [])
+        .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+      
+      if (files.length > 0) {
+        e.preventDefault();
+        this.addFiles(files);
+      }
+    });
+  }
+  
+  // Accept images dropped anywhere on the given element
+  attachDropTarget(target) {
+    if (!target) return;
+    
+    target.addEventListener('dragover', (e) => {
+      if (!this.imageUploadEnabled) return;
+      e.preventDefault();
+      target.classList.add('tm-drag-over');
+    });
+    
+    target.addEventListener('dragleave', () => {
+      target.classList.remove('tm-drag-over');
+    });
+    
+    target.addEventListener('drop', (e) => {
+      target.classList.remove('tm-drag-over');
+      if (!this.imageUploadEnabled) return;
+      e.preventDefault();
+      this.addFiles(e.dataTransfer ? e.dataTransfer.files : []);
+    });
+  }
+  
+  // Validate, resize and queue image files
+  async addFiles(files) {
+    if (!this.imageUploadEnabled) return;
+    
+    for (const file of Array.from(files || [])) {
+      if (!ImageUtils.isAllowedType(file)) {
+        this.reportError(this.i18n.t('attachTypeError'));
+        continue;
+      }
+      
+      if (this.attachments.length >= this.maxAttachments) {
+        this.reportError(this.i18n.t('attachLimitError', { count: this.maxAttachments }));
+        break;
+      }
+      
+      try {
+        const image = await ImageUtils.resizeImage(file);
+        if (ImageUtils.getDataUrlSize(image.dataUrl) > ImageUtils.MAX_BYTES) {
+          this.reportError(this.i18n.t('attachSizeError', { name: image.name }));
+          continue;
+        }
+        this.attachments.push(image);
+        this.renderAttachments();
+      } catch (error) {
+        console.error('Image attach error:', error);
+        this.reportError(this.i18n.t('attachError'));
+      }
+    }
+  }
+  
+  // Remove a queued image
+  removeAttachment(index) {
+    this.attachments.splice(index, 1);
+    this.renderAttachments();
+  }
+  
+  // Get queued images
+  getAttachments() {
+    return [...this.attachments];
+  }
+  
+  // Render previews of queued images
+  renderAttachments() {
+    if (!this.attachmentsElement) return;
+    
+    this.attachmentsElement.innerHTML = '';
+    this.attachmentsElement.hidden = this.attachments.length === 0;
+    
+    this.attachments.forEach((image, index) => {
+      const preview = document.createElement('div');
+      preview.className = 'tm-attachment';
+      
+      const img = document.createElement('img');
+      img.src = image.dataUrl;
+      img.alt = image.name;
+      
+      const removeButton = document.createElement('button');
+      removeButton.className = 'tm-attachment-remove';
+      removeButton.setAttribute('aria-label', this.i18n.t('removeAttachment', { name: image.name }));
+      removeButton.textContent = '×';
+      removeButton.addEventListener('click', () => this.removeAttachment(index));
+      
+      preview.appendChild(img);
+      preview.appendChild(removeButton);
+      this.attachmentsElement.appendChild(preview);
+    });
+  }
+  
+  // Show or hide the attach control
+  setImageUploadEnabled(enabled) {
+    this.imageUploadEnabled = !!enabled;
+    if (this.attachButtonElement) {
+      this.attachButtonElement.hidden = !this.imageUploadEnabled;
+    }
+    if (!this.imageUploadEnabled && this.attachments.length > 0) {
+      this.attachments = [];
+      this.renderAttachments();
+    }
+  }
+  
+  // Report an attachment problem
+  reportError(message) {
+    if (this.onError) {
+      this.onError(message);
+    }
   }
   
   // Handle send action
   handleSend() {
     const text = this.getValue();
-    if (text && this.onSend) {
+    if ((text || this.attachments.length > 0) && this.onSend) {
       this.onSend(text);
     }
   }
@@ -70,12 +235,16 @@ export class InputArea {
     return this.textareaElement ? this.textareaElement.value.trim() : '';
   }
   
-  // Clear input
+  // Clear input and queued images
   clear() {
     if (this.textareaElement) {
       this.textareaElement.value = '';
       this.autoResize();
     }
+    if (this.attachments.length > 0) {
+      this.attachments = [];
+      this.renderAttachments();
+    }
   }
   
   // Focus input
@@ -93,6 +262,9 @@ export class InputArea {
     if (this.sendButtonElement) {
       this.sendButtonElement.disabled = !enabled;
     }
+    if (this.attachButtonElement) {
+      this.attachButtonElement.disabled = !enabled;
+    }
   }
   
   // Auto-resize textarea
@@ -109,6 +281,11 @@ export class InputArea {
     this.onSend = handler;
   }
   
+  // Set attachment error handler
+  setOnError(handler) {
+    this.onError = handler;
+  }
+  
   // Get height
   getHeight() {
     return this.element ? this.element.offsetHeight : 0;
@@ -122,5 +299,9 @@ export class InputArea {
     this.element = null;
     this.textareaElement = null;
     this.sendButtonElement = null;
+    this.attachButtonElement = null;
+    this.fileInputElement = null;
+    this.attachmentsElement = null;
+    this.attachments = [];
   }
 }
\ No newline at end of file
@@ -4,6 +4,7 @@
 
 import { describe, test, expect, jest, beforeEach } from '@jest/globals';
 import { InputArea } from './input-area.js';
+import { I18n } from '../utils/i18n.js';
 
 describe('InputArea', () => {
   let inputArea;
@@ -338,5 +339,136 @@ describe('InputArea', () => {
       expect(inputArea.textareaElement.getAttribute('aria-label')).toBe('Type your message');
       expect(inputArea.sendButtonElement.getAttribute('aria-label')).toBe('Send message');
     });
+    
+    test('should use instance overrides for the current locale', () => {
+      const i18n = new I18n('es', { es: { inputPlaceholder: '¿Qué necesitas?' } });
+      inputArea = new InputArea(mockIcons, i18n);
+      inputArea.create();
+      
+      expect(inputArea.textareaElement.placeholder).toBe('¿Qué necesitas?');
+      expect(inputArea.sendButtonElement.getAttribute('aria-label')).toBe('Enviar mensaje');
+    });
+  });
+
+  describe('image attachments', () => {
+    const createImageFile = (name = 'photo.gif') => new File(['gif'], name, { type: 'image/gif' });
+
+    beforeEach(() => {
+      inputArea.create();
+    });
+
+    test('should hide the attach button until enabled', () => {
+      const attachButton = inputArea.element.querySelector('.tm-attach-button');
+      expect(attachButton.hidden).toBe(true);
+
+      inputArea.setImageUploadEnabled(true);
+      expect(attachButton.hidden).toBe(false);
+    });
+
+    test('should ignore files while uploads are disabled', async () => {
+      await inputArea.addFiles([createImageFile()]);
+
+      expect(inputArea.getAttachments()).toHaveLength(0);
+    });
+
+    test('should queue images and render previews', async () => {
+      inputArea.setImageUploadEnabled(true);
+
+      await inputArea.addFiles([createImageFile()]);
+
+      expect(inputArea.getAttachments()).toEqual([
+        { dataUrl: 'data:image/gif;base64,Z2lm', name: 'photo.gif', type: 'image/gif' }
+      ]);
+      const previews = inputArea.element.querySelectorAll('.tm-attachment img');
+      expect(previews).toHaveLength(1);
+      expect(inputArea.element.querySelector('.tm-attachments').hidden).toBe(false);
+    });
+
+    test('should report unsupported files', async () => {
+      const onError = jest.fn();
+      inputArea.setOnError(onError);
+      inputArea.setImageUploadEnabled(true);
+
+      await inputArea.addFiles([new File(['x'], 'doc.pdf', { type: 'application/pdf' })]);
+
+      expect(onError).toHaveBeenCalledWith('Only JPEG, PNG, GIF and WebP images can be attached.');
+      expect(inputArea.getAttachments()).toHaveLength(0);
+    });
+
+    test('should limit the number of attachments', async () => {
+      const onError = jest.fn();
+      inputArea.setOnError(onError);
+      inputArea.setImageUploadEnabled(true);
+
+      await inputArea.addFiles([
+        createImageFile('1.gif'),
+        createImageFile('2.gif'),
+        createImageFile('3.gif'),
+        createImageFile('4.gif')
+      ]);
+
+      expect(inputArea.getAttachments()).toHaveLength(3);
+      expect(onError).toHaveBeenCalledWith('You can attach up to 3 images per message.');
+    });
+
+    test('should remove an attachment from its preview', async () => {
+      inputArea.setImageUploadEnabled(true);
+      await inputArea.addFiles([createImageFile()]);
+
+      inputArea.element.querySelector('.tm-attachment-remove').click();
+
+      expect(inputArea.getAttachments()).toHaveLength(0);
+      expect(inputArea.element.querySelector('.tm-attachments').hidden).toBe(true);
+    });
+
+    test('should send with only an image attached', async () => {
+      const onSend = jest.fn();
+      inputArea.setOnSend(onSend);
+      inputArea.setImageUploadEnabled(true);
+      await inputArea.addFiles([createImageFile()]);
+
+      inputArea.handleSend();
+
+      expect(onSend).toHaveBeenCalledWith('');
+    });
+
+    test('should clear attachments with the input', async () => {
+      inputArea.setImageUploadEnabled(true);
+      await inputArea.addFiles([createImageFile()]);
+
+      inputArea.clear();
+
+      expect(inputArea.getAttachments()).toHaveLength(0);
+    });
+
+    test('should accept dropped images on a drop target', async () => {
+      const target = document.createElement('div');
+      const addFilesSpy = jest.spyOn(inputArea, 'addFiles').mockResolvedValue();
+      inputArea.attachDropTarget(target);
+      inputArea.setImageUploadEnabled(true);
+
+      const files = [createImageFile()];
+      const dropEvent = new Event('drop', { cancelable: true });
+      dropEvent.dataTransfer = { files };
+      target.dispatchEvent(dropEvent);
+
+      expect(dropEvent.defaultPrevented).toBe(true);
+      expect(addFilesSpy).toHaveBeenCalledWith(files);
+    });
+
+    test('should attach pasted images', () => {
+      const addFilesSpy = jest.spyOn(inputArea, 'addFiles').mockResolvedValue();
+      inputArea.setImageUploadEnabled(true);
+
+      const file = createImageFile();
+      const pasteEvent = new Event('paste', { cancelable: true });
+      pasteEvent.clipboardData = {
+        items: [{ kind: 'file', type: 'image/gif', getAsFile: () => file }]
+      };
+      inputArea.textareaElement.dispatchEvent(pasteEvent);
+
+      expect(pasteEvent.defaultPrevented).toBe(true);
+      expect(addFilesSpy).toHaveBeenCalledWith([file]);
+    });
   });
-});
\ No newline at end of file
+});
@@ -1,11 +1,21 @@
 // Message List Component
 // Handles the message display area and message rendering
 
+import { I18n } from '../utils/i18n.js';
+
 export class MessageList {
-  constructor() {
+  constructor(i18n = new I18n()) {
+    this.i18n = i18n;
     this.element = null;
     this.messages = [];
     this.loadingElement = null;
+    this.quickRepliesElement = null;
+    this.onFeedback = null;
+  }
+  
+  // Set the handler for thumbs up/down on assistant replies
+  setOnFeedback(callback) {
+    this.onFeedback = callback;
   }
   
   // Create message list element
@@ -18,19 +28,29 @@ export class MessageList {
     // Add welcome message
     messagesDiv.innerHTML = `
       <div class="tm-welcome">
-        <p>Hi! How can I help you today?</p>
+        <p></p>
       </div>
     `;
     
     this.element = messagesDiv;
+    this.applyTranslations();
     return this.element;
   }
   
+  // Translate the placeholder greeting after the locale changes
+  applyTranslations() {
+    const welcome = this.element?.querySelector('.tm-welcome p');
+    if (welcome) {
+      welcome.textContent = this.i18n.t('welcomePlaceholder');
+    }
+  }
+  
   // Clear messages
   clear() {
     if (this.element) {
       this.element.innerHTML = '';
       this.messages = [];
+      this.quickRepliesElement = null;
     }
   }
   
@@ -44,6 +64,9 @@ export class MessageList {
       welcomeMessage.remove();
     }
     
+    // Chips only belong to the latest message
+    this.clearQuickReplies();
+    
     const messageEl = this.createMessageElement(message);
     this.element.appendChild(messageEl);
     this.messages.push({ message, element: messageEl });
@@ -86,6 +109,8 @@ export class MessageList {
       welcomeMessage.remove();
     }
     
+    this.clearQuickReplies();
+    
     // Create the message element with empty content initially
     const emptyMessage = { ...message, content: '' };
     const messageEl = this.createMessageElement(emptyMessage);
@@ -151,11 +176,20 @@ export class MessageList {
     // Create avatar element
     const avatarDiv = document.createElement('div');
     avatarDiv.className = 'tm-message-avatar';
-    avatarDiv.textContent = message.role === 'user' ? 'U' : 'B';
+    avatarDiv.textContent = message.role === 'user' ? 'U' : message.role === 'staff' ? 'S' : 'B';
     
     // Create content wrapper
     const contentWrapper = document.createElement('div');
     
+    // Staff replies are labelled so visitors can tell them apart from the bot
+    if (message.role === 'staff' && message.author) {
+      const authorDiv = document.createElement('div');
+      authorDiv.className = 'tm-message-author';
+      authorDiv.dir = 'auto';
+      authorDiv.textContent = message.author;
+      contentWrapper.appendChild(authorDiv);
+    }
+    
     // Create message content element
     const contentDiv = document.createElement('div');
     contentDiv.className = 'tm-message-content';
@@ -167,16 +201,112 @@ export class MessageList {
     timeDiv.className = 'tm-message-time';
     timeDiv.textContent = time;
     
+    // Show attached image previews above the text
+    if (Array.isArray(message.images) && message.images.length > 0) {
+      contentWrapper.appendChild(this.createImagesElement(message.images));
+    }
+    
     // Assemble the message structure
-    contentWrapper.appendChild(contentDiv);
+    if (message.content || !message.images || message.images.length === 0) {
+      contentWrapper.appendChild(contentDiv);
+    }
     contentWrapper.appendChild(timeDiv);
     
+    // Let visitors rate agent replies (not the welcome message)
+    if (message.role === 'assistant' && !message.isWelcome && this.onFeedback) {
+      contentWrapper.appendChild(this.createFeedbackElement(message));
+    }
+    
     div.appendChild(avatarDiv);
     div.appendChild(contentWrapper);
     
     return div;
   }
   
+  // Create thumbs up/down buttons; a comment box opens after rating
+  createFeedbackElement(message) {
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'tm-message-feedback';
+    
+    const ratings = [
+      { rating: 'up', label: this.i18n.t('feedbackHelpful'), icon: '\u{1F44D}' },
+      { rating: 'down', label: this.i18n.t('feedbackNotHelpful'), icon: '\u{1F44E}' }
+    ];
+    
+    ratings.forEach(({ rating, label, icon }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tm-feedback-button';
+      button.setAttribute('data-rating', rating);
+      button.setAttribute('aria-label', label);
+      button.setAttribute('aria-pressed', String(message.feedback === rating));
+      button.textContent = icon;
+      button.addEventListener('click', () => this.selectFeedback(message, rating, feedbackDiv));
+      feedbackDiv.appendChild(button);
+    });
+    
+    return feedbackDiv;
+  }
+  
+  // Record a rating and offer an optional comment
+  selectFeedback(message, rating, feedbackDiv) {
+    message.feedback = rating;
+    feedbackDiv.querySelectorAll('.tm-feedback-button').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.getAttribute('data-rating') === rating));
+    });
+    
+    this.onFeedback(message, { rating });
+    
+    if (feedbackDiv.querySelector('.tm-feedback-comment, .tm-feedback-thanks')) return;
+    
+    const form = document.createElement('form');
+    form.className = 'tm-feedback-comment';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 1000;
+    input.placeholder = this.i18n.t('feedbackCommentPlaceholder');
+    input.setAttribute('aria-label', this.i18n.t('feedbackCommentLabel'));
+    
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = this.i18n.t('feedbackSend');
+    
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const comment = input.value.trim();
+      if (comment) {
+        this.onFeedback(message, { rating: message.feedback, comment });
+      }
+      
+      const thanks = document.createElement('span');
+      thanks.className = 'tm-feedback-thanks';
+      thanks.textContent = this.i18n.t('feedbackThanks');
+      form.replaceWith(thanks);
+    });
+    
+    feedbackDiv.appendChild(form);
+    this.scrollToBottom();
+  }
+  
+  // Create image previews for a message
+  createImagesElement(images) {
+    const imagesDiv = document.createElement('div');
+    imagesDiv.className = 'tm-message-images';
+    
+    images.forEach(image => {
+      const img = document.createElement('img');
+      img.src = image.dataUrl;
+      img.alt = image.name || this.i18n.t('attachedImage');
+      img.loading = 'lazy';
+      imagesDiv.appendChild(img);
+    });
+    
+    return imagesDiv;
+  }
+  
   // Format message content (basic markdown support)
   formatMessage(content) {
     const container = document.createElement('div');
@@ -186,6 +316,8 @@ export class MessageList {
     
     paragraphs.forEach(paragraph => {
       const p = document.createElement('p');
+      // Each paragraph takes the direction of its own text, isolated from the others
+      p.dir = 'auto';
       
       // Process the paragraph text safely
       const processedNodes = this.parseInlineMarkdown(paragraph);
@@ -234,6 +366,9 @@ export class MessageList {
         // Add the matched element
         const element = document.createElement(matchedPattern.tag);
         element.textContent = earliestMatch[1];
+        if (matchedPattern.tag === 'code') {
+          element.dir = 'auto';
+        }
         nodes.push(element);
         
         // Update remaining text
@@ -310,6 +445,57 @@ export class MessageList {
     }, 5000);
   }
   
+  // Show a status line in the conversation (e.g. handoff updates)
+  showNotice(text) {
+    if (!this.element || !text) return;
+    
+    const welcomeMessage = this.element.querySelector('.tm-welcome');
+    if (welcomeMessage) {
+      welcomeMessage.remove();
+    }
+    
+    const noticeEl = document.createElement('div');
+    noticeEl.className = 'tm-notice';
+    noticeEl.setAttribute('role', 'status');
+    noticeEl.textContent = text;
+    this.element.appendChild(noticeEl);
+    this.scrollToBottom();
+  }
+  
+  // Show clickable reply chips (conversation starters or suggested follow-ups)
+  showQuickReplies(replies, onSelect) {
+    this.clearQuickReplies();
+    if (!this.element || !Array.isArray(replies) || replies.length === 0) return;
+    
+    const repliesEl = document.createElement('div');
+    repliesEl.className = 'tm-quick-replies';
+    
+    replies.forEach(reply => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tm-quick-reply';
+      button.dir = 'auto';
+      button.textContent = reply;
+      button.addEventListener('click', () => {
+        this.clearQuickReplies();
+        onSelect(reply);
+      });
+      repliesEl.appendChild(button);
+    });
+    
+    this.quickRepliesElement = repliesEl;
+    this.element.appendChild(repliesEl);
+    this.scrollToBottom();
+  }
+  
+  // Remove reply chips
+  clearQuickReplies() {
+    if (this.quickRepliesElement) {
+      this.quickRepliesElement.remove();
+      this.quickRepliesElement = null;
+    }
+  }
+  
   // Show welcome message
   showWelcomeMessage(text) {
     if (!this.element || !text) return;
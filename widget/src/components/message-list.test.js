@@ -134,6 +134,33 @@ describe('MessageList', () => {
       expect(scrollToBottomSpy).toHaveBeenCalled();
     });
     
+    test('should show image previews for attached images', () => {
+      messageList.addMessage({
+        role: 'user',
+        content: 'What is this?',
+        images: [{ dataUrl: 'data:image/png;base64,AAAA', name: 'cat.png' }],
+        timestamp: Date.now()
+      });
+      
+      const img = messageList.element.querySelector('.tm-message-images img');
+      expect(img).toBeTruthy();
+      expect(img.getAttribute('src')).toBe('data:image/png;base64,AAAA');
+      expect(img.alt).toBe('cat.png');
+      expect(messageList.element.querySelector('.tm-message-content').textContent).toContain('What is this?');
+    });
+    
+    test('should omit the text bubble for image-only messages', () => {
+      messageList.addMessage({
+        role: 'user',
+        content: '',
+        images: [{ dataUrl: 'data:image/png;base64,AAAA', name: 'cat.png' }],
+        timestamp: Date.now()
+      });
+      
+      expect(messageList.element.querySelector('.tm-message-images img')).toBeTruthy();
+      expect(messageList.element.querySelector('.tm-message-content')).toBeNull();
+    });
+    
     test('should handle addMessage before create', () => {
       const newList = new MessageList();
       
@@ -240,6 +267,15 @@ describe('MessageList', () => {
       const brs = p.querySelectorAll('br');
       expect(brs.length).toBe(2);
     });
+    
+    test('should isolate the direction of each paragraph and code span', () => {
+      const container = messageList.formatMessage('مرحبا `npm install`\n\nHello');
+      
+      const paragraphs = container.querySelectorAll('p');
+      expect(paragraphs[0].dir).toBe('auto');
+      expect(paragraphs[1].dir).toBe('auto');
+      expect(container.querySelector('code').dir).toBe('auto');
+    });
   });
 
   describe('showLoading', () => {
@@ -307,6 +343,124 @@ describe('MessageList', () => {
     });
   });
 
+  describe('staff messages', () => {
+    beforeEach(() => {
+      messageList.create();
+    });
+    
+    test('should label staff replies with the author', () => {
+      messageList.addMessage({
+        role: 'staff',
+        author: 'Support team',
+        content: 'Hi, this is Sam',
+        timestamp: '2024-01-01T10:00:00Z'
+      });
+      
+      const message = messageList.element.querySelector('.tm-message-staff');
+      expect(message).toBeTruthy();
+      expect(message.querySelector('.tm-message-avatar').textContent).toBe('S');
+      expect(message.querySelector('.tm-message-author').textContent).toBe('Support team');
+    });
+    
+    test('should not label bot replies', () => {
+      messageList.addMessage({ role: 'assistant', content: 'Hello', timestamp: '2024-01-01T10:00:00Z' });
+      
+      expect(messageList.element.querySelector('.tm-message-author')).toBeNull();
+    });
+    
+    test('should show notices in the conversation', () => {
+      messageList.showNotice('Connecting you with our team.');
+      
+      const notice = messageList.element.querySelector('.tm-notice');
+      expect(notice.textContent).toBe('Connecting you with our team.');
+      expect(messageList.element.querySelector('.tm-welcome')).toBeNull();
+      expect(messageList.getMessageCount()).toBe(0);
+    });
+  });
+
+  describe('feedback', () => {
+    const reply = () => ({ role: 'assistant', content: 'Answer', timestamp: '2025-01-01T10:00:00.000Z' });
+    
+    beforeEach(() => {
+      messageList.create();
+    });
+    
+    test('should only add rating buttons to assistant replies when a handler is set', () => {
+      messageList.addMessage(reply());
+      expect(messageList.element.querySelector('.tm-message-feedback')).toBeNull();
+      
+      messageList.setOnFeedback(jest.fn());
+      messageList.addMessage({ role: 'user', content: 'Question', timestamp: new Date().toISOString() });
+      messageList.addMessage({ ...reply(), isWelcome: true });
+      messageList.addMessage(reply());
+      
+      expect(messageList.element.querySelectorAll('.tm-message-feedback')).toHaveLength(1);
+    });
+    
+    test('should send the rating and then an optional comment', () => {
+      const onFeedback = jest.fn();
+      messageList.setOnFeedback(onFeedback);
+      messageList.addMessage(reply());
+      
+      messageList.element.querySelector('[data-rating="down"]').click();
+      
+      expect(onFeedback).toHaveBeenCalledWith(expect.objectContaining({ content: 'Answer' }), { rating: 'down' });
+      expect(messageList.element.querySelector('[data-rating="down"]').getAttribute('aria-pressed')).toBe('true');
+      expect(messageList.element.querySelector('[data-rating="up"]').getAttribute('aria-pressed')).toBe('false');
+      
+      const form = messageList.element.querySelector('.tm-feedback-comment');
+      form.querySelector('input').value = ' Out of date ';
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+      
+      expect(onFeedback).toHaveBeenLastCalledWith(expect.any(Object), { rating: 'down', comment: 'Out of date' });
+      expect(messageList.element.querySelector('.tm-feedback-thanks').textContent).toBe('Thanks for your feedback');
+    });
+    
+    test('should show a saved rating as pressed', () => {
+      messageList.setOnFeedback(jest.fn());
+      messageList.addMessage({ ...reply(), feedback: 'up' });
+      
+      expect(messageList.element.querySelector('[data-rating="up"]').getAttribute('aria-pressed')).toBe('true');
+    });
+  });
+
+  describe('showQuickReplies', () => {
+    beforeEach(() => {
+      messageList.create();
+    });
+    
+    test('should render a chip per reply and pass the clicked text on', () => {
+      const onSelect = jest.fn();
+      messageList.showQuickReplies(['What does it cost?', 'Book a demo'], onSelect);
+      
+      const chips = messageList.element.querySelectorAll('.tm-quick-reply');
+      expect(Array.from(chips).map(chip => chip.textContent)).toEqual(['What does it cost?', 'Book a demo']);
+      
+      chips[1].click();
+      
+      expect(onSelect).toHaveBeenCalledWith('Book a demo');
+      expect(messageList.element.querySelector('.tm-quick-replies')).toBeNull();
+    });
+    
+    test('should replace earlier chips and clear them on the next message', () => {
+      messageList.showQuickReplies(['First'], jest.fn());
+      messageList.showQuickReplies(['Second'], jest.fn());
+      
+      expect(messageList.element.querySelectorAll('.tm-quick-replies')).toHaveLength(1);
+      expect(messageList.element.querySelector('.tm-quick-reply').textContent).toBe('Second');
+      
+      messageList.addMessage({ role: 'user', content: 'Hi', timestamp: new Date().toISOString() });
+      
+      expect(messageList.element.querySelector('.tm-quick-replies')).toBeNull();
+    });
+    
+    test('should render nothing for an empty list', () => {
+      messageList.showQuickReplies([], jest.fn());
+      
+      expect(messageList.element.querySelector('.tm-quick-replies')).toBeNull();
+    });
+  });
+
   describe('showError', () => {
     beforeEach(() => {
       messageList.create();
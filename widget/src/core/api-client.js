@@ -7,9 +7,12 @@ export class ApiClient {
   }
   
   // Fetch instance configuration
-  async fetchInstanceInfo(instanceId) {
+  // The session ID lets the worker return the welcome text and starters of the
+  // session's experiment variant
+  async fetchInstanceInfo(instanceId, sessionId) {
     try {
-      const response = await fetch(`${this.workerUrl}/instance/${instanceId}`);
+      const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+      const response = await fetch(`${this.workerUrl}/instance/${instanceId}${query}`);
       if (response.ok) {
         return await response.json();
       }
@@ -21,23 +24,47 @@ export class ApiClient {
   }
   
   // Send chat message
-  async sendMessage(instanceId, messages, sessionId) {
+  // Pass { stream: true } to ask the worker for a server-sent event stream
+  // and { context } to send page details for the instance's context template
+  // { challengeToken } carries a solved bot challenge and { identity } the signed-in
+  // user's identity token; failed requests throw an error
+  // with the response status and body so callers can tell a challenge refusal apart
+  async sendMessage(instanceId, messages, sessionId, options = {}) {
     try {
+      const payload = {
+        instanceId,
+        messages,
+        sessionId
+      };
+      if (options.stream) {
+        payload.stream = true;
+      }
+      if (options.context) {
+        payload.context = options.context;
+      }
+      if (options.challengeToken) {
+        payload.challengeToken = options.challengeToken;
+      }
+      if (options.identity) {
+        payload.identity = options.identity;
+      }
+      
       const response = await fetch(`${this.workerUrl}/chat`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          instanceId,
-          messages,
-          sessionId
-        })
+        // Send the full page URL so the worker can enforce allowed paths
+        referrerPolicy: 'no-referrer-when-downgrade',
+        body: JSON.stringify(payload)
       });
       
       if (!response.ok) {
         const error = await this.parseErrorResponse(response);
-        throw new Error(error.message);
+        const apiError = new Error(error.message);
+        apiError.status = error.status;
+        apiError.details = error.details;
+        throw apiError;
       }
       
       // Check if it's a streaming response
@@ -55,6 +82,97 @@ export class ApiClient {
     }
   }
   
+  // Submit the pre-chat form for this session
+  async submitLead(instanceId, sessionId, values) {
+    const response = await fetch(`${this.workerUrl}/lead`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      referrerPolicy: 'no-referrer-when-downgrade',
+      body: JSON.stringify({ instanceId, sessionId, values })
+    });
+    
+    if (!response.ok) {
+      const error = await this.parseErrorResponse(response);
+      throw new Error(error.message);
+    }
+    
+    return await response.json();
+  }
+  
+  // Leave a message for the team while the instance is closed; values are { name, email, message }
+  async sendOfflineMessage(instanceId, sessionId, values) {
+    const response = await fetch(`${this.workerUrl}/offline-message`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      referrerPolicy: 'no-referrer-when-downgrade',
+      body: JSON.stringify({ instanceId, sessionId, values })
+    });
+    
+    if (!response.ok) {
+      const error = await this.parseErrorResponse(response);
+      throw new Error(error.message);
+    }
+    
+    return await response.json();
+  }
+  
+  // Rate an assistant reply; feedback is { messageKey, rating, comment, content }
+  async sendFeedback(instanceId, sessionId, feedback) {
+    const response = await fetch(`${this.workerUrl}/feedback`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      referrerPolicy: 'no-referrer-when-downgrade',
+      body: JSON.stringify({ instanceId, sessionId, ...feedback })
+    });
+    
+    if (!response.ok) {
+      const error = await this.parseErrorResponse(response);
+      throw new Error(error.message);
+    }
+    
+    return await response.json();
+  }
+  
+  // Ask for a member of staff to take over this session
+  async requestHandoff(instanceId, sessionId, reason) {
+    const response = await fetch(`${this.workerUrl}/handoff`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      referrerPolicy: 'no-referrer-when-downgrade',
+      body: JSON.stringify({ instanceId, sessionId, reason })
+    });
+    
+    if (!response.ok) {
+      const error = await this.parseErrorResponse(response);
+      throw new Error(error.message);
+    }
+    
+    return await response.json();
+  }
+  
+  // Poll for staff replies newer than the last one received
+  async fetchHandoffMessages(instanceId, sessionId, after = 0) {
+    const params = new URLSearchParams({ instanceId, sessionId, after: String(after) });
+    const response = await fetch(`${this.workerUrl}/handoff?${params}`, {
+      referrerPolicy: 'no-referrer-when-downgrade'
+    });
+    
+    if (!response.ok) {
+      const error = await this.parseErrorResponse(response);
+      throw new Error(error.message);
+    }
+    
+    return await response.json();
+  }
+  
   // Parse error response
   async parseErrorResponse(response) {
     let error;
@@ -105,14 +223,20 @@ export class ApiClient {
             const data = line.slice(6);
             if (data === '[DONE]') continue;
             
+            let parsed;
             try {
-              const parsed = JSON.parse(data);
-              if (parsed.content) {
-                yield parsed.content;
-              }
+              parsed = JSON.parse(data);
             } catch (e) {
               // Ignore parse errors
               console.warn('Failed to parse SSE data:', e);
+              continue;
+            }
+            
+            if (parsed && parsed.error) {
+              throw new Error(parsed.error);
+            }
+            if (parsed && parsed.content) {
+              yield parsed.content;
             }
           }
         }
@@ -161,10 +285,31 @@ export class ApiClient {
   }
   
   // Prepare messages for API
+  // Only the latest message carries its images; earlier ones are sent as text to keep requests small
+  // Staff replies are sent as assistant turns so the agent sees them when it takes back over
   prepareMessagesForApi(messages) {
-    return messages.map(m => ({
-      role: m.role,
-      content: m.content
-    }));
+    const lastIndex = messages.length - 1;
+    
+    return messages.map((m, index) => {
+      const role = m.role === 'staff' ? 'assistant' : m.role;
+      const images = Array.isArray(m.images) ? m.images : [];
+      if (images.length === 0) {
+        return { role, content: m.content };
+      }
+      
+      if (index !== lastIndex) {
+        return { role, content: m.content || '[image]' };
+      }
+      
+      const content = [];
+      if (m.content) {
+        content.push({ type: 'text', text: m.content });
+      }
+      images.forEach(image => {
+        content.push({ type: 'image_url', image_url: { url: image.dataUrl } });
+      });
+      
+      return { role, content };
+    });
   }
 }
\ No newline at end of file
@@ -39,6 +39,14 @@ describe('ApiClient', () => {
       expect(result).toEqual(mockInstanceInfo);
     });
 
+    test('should pass the session ID for experiment variants', async () => {
+      mockFetch({ name: 'Test Agent' });
+      
+      await apiClient.fetchInstanceInfo(instanceId, 'sess_a b');
+      
+      expect(fetch).toHaveBeenCalledWith(`${workerUrl}/instance/${instanceId}?sessionId=sess_a%20b`);
+    });
+
     test('should throw error on non-OK response', async () => {
       mockFetch(null, { ok: false, status: 404 });
       
@@ -96,6 +104,75 @@ describe('ApiClient', () => {
       });
     });
 
+    test('should send the full page referrer for path checks', async () => {
+      mockFetch({ content: 'Hi' }, {
+        headers: new Headers({ 'content-type': 'application/json' })
+      });
+      
+      await apiClient.sendMessage(instanceId, messages, sessionId);
+      
+      expect(fetch).toHaveBeenCalledWith(
+        `${workerUrl}/chat`,
+        expect.objectContaining({ referrerPolicy: 'no-referrer-when-downgrade' })
+      );
+    });
+
+    test('should request a stream when asked to', async () => {
+      mockFetch({ content: 'Hi' }, {
+        headers: new Headers({ 'content-type': 'application/json' })
+      });
+      
+      await apiClient.sendMessage(instanceId, messages, sessionId, { stream: true });
+      
+      expect(fetch).toHaveBeenCalledWith(
+        `${workerUrl}/chat`,
+        expect.objectContaining({
+          body: JSON.stringify({
+            instanceId,
+            messages,
+            sessionId,
+            stream: true
+          })
+        })
+      );
+    });
+
+    test('should send page context when provided', async () => {
+      mockFetch({ content: 'Hi' }, {
+        headers: new Headers({ 'content-type': 'application/json' })
+      });
+      const context = { url: 'https://example.com/p/1', title: 'Product', custom: { sku: 'A-1' } };
+      
+      await apiClient.sendMessage(instanceId, messages, sessionId, { context });
+      
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.context).toEqual(context);
+    });
+
+    test('should send the challenge token when provided', async () => {
+      const headers = new Headers({ 'content-type': 'application/json' });
+      mockFetch({ content: 'Hi' }, { headers });
+      mockFetch({ content: 'Hi' }, { headers });
+      
+      await apiClient.sendMessage(instanceId, messages, sessionId, { challengeToken: 'token-1' });
+      await apiClient.sendMessage(instanceId, messages, sessionId);
+      
+      expect(JSON.parse(fetch.mock.calls[0][1].body).challengeToken).toBe('token-1');
+      expect(JSON.parse(fetch.mock.calls[1][1].body)).not.toHaveProperty('challengeToken');
+    });
+
+    test('should send the identity token when provided', async () => {
+      const headers = new Headers({ 'content-type': 'application/json' });
+      mockFetch({ content: 'Hi' }, { headers });
+      mockFetch({ content: 'Hi' }, { headers });
+      
+      await apiClient.sendMessage(instanceId, messages, sessionId, { identity: 'header.payload.signature' });
+      await apiClient.sendMessage(instanceId, messages, sessionId, { identity: null });
+      
+      expect(JSON.parse(fetch.mock.calls[0][1].body).identity).toBe('header.payload.signature');
+      expect(JSON.parse(fetch.mock.calls[1][1].body)).not.toHaveProperty('identity');
+    });
+
     test('should detect streaming response', async () => {
       const mockResponse = {
         ok: true,
@@ -140,6 +217,142 @@ describe('ApiClient', () => {
       await expect(apiClient.sendMessage(instanceId, messages, sessionId))
         .rejects.toThrow('Custom error message');
     });
+
+    test('should attach the status and body to errors', async () => {
+      mockFetch(
+        { error: 'Challenge required', details: 'Please complete the verification to continue.', challenge: 'required' },
+        { ok: false, status: 403 }
+      );
+      
+      await expect(apiClient.sendMessage(instanceId, messages, sessionId)).rejects.toMatchObject({
+        message: 'Please complete the verification to continue.',
+        status: 403,
+        details: { challenge: 'required' }
+      });
+    });
+  });
+
+  describe('submitLead', () => {
+    test('should post the form values for the session', async () => {
+      mockFetch({ success: true });
+      
+      const result = await apiClient.submitLead('test-instance', 'sess_123', { email: 'ada@example.com' });
+      
+      expect(result).toEqual({ success: true });
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${workerUrl}/lead`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({
+            instanceId: 'test-instance',
+            sessionId: 'sess_123',
+            values: { email: 'ada@example.com' }
+          })
+        })
+      );
+    });
+    
+    test('should throw the validation details from the worker', async () => {
+      mockFetch(
+        { error: 'Invalid lead', details: 'Email is required' },
+        { ok: false, status: 400 }
+      );
+      
+      await expect(apiClient.submitLead('test-instance', 'sess_123', {}))
+        .rejects.toThrow('Email is required');
+    });
+  });
+
+  describe('sendOfflineMessage', () => {
+    test('should post the message for the session', async () => {
+      mockFetch({ success: true });
+      
+      await apiClient.sendOfflineMessage('test-instance', 'sess_123', { email: 'ada@example.com', message: 'Call me' });
+      
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${workerUrl}/offline-message`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({
+            instanceId: 'test-instance',
+            sessionId: 'sess_123',
+            values: { email: 'ada@example.com', message: 'Call me' }
+          })
+        })
+      );
+    });
+  });
+
+  describe('handoff', () => {
+    test('should request a handoff for the session', async () => {
+      mockFetch({ status: 'requested', waitingMessage: 'One moment' });
+      
+      const result = await apiClient.requestHandoff('test-instance', 'sess_123', 'Billing');
+      
+      expect(result.status).toBe('requested');
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${workerUrl}/handoff`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ instanceId: 'test-instance', sessionId: 'sess_123', reason: 'Billing' })
+        })
+      );
+    });
+    
+    test('should poll for staff messages after the last ID', async () => {
+      mockFetch({ status: 'active', open: true, messages: [] });
+      
+      await apiClient.fetchHandoffMessages('test-instance', 'sess_123', 7);
+      
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        `${workerUrl}/handoff?instanceId=test-instance&sessionId=sess_123&after=7`
+      );
+    });
+    
+    test('should throw when handoff is not available', async () => {
+      mockFetch(
+        { error: 'Human handoff is not enabled for this instance' },
+        { ok: false, status: 404 }
+      );
+      
+      await expect(apiClient.requestHandoff('test-instance', 'sess_123'))
+        .rejects.toThrow('Human handoff is not enabled for this instance');
+    });
+  });
+
+  describe('sendFeedback', () => {
+    test('should post the rating for the session', async () => {
+      mockFetch({ success: true });
+      
+      await apiClient.sendFeedback('test-instance', 'sess_123', {
+        messageKey: '2025-01-01T10:00:00.000Z',
+        rating: 'down',
+        comment: 'Out of date',
+        content: 'The Pro plan costs $5.'
+      });
+      
+      expect(global.fetch).toHaveBeenCalledWith(
+        `${workerUrl}/feedback`,
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({
+            instanceId: 'test-instance',
+            sessionId: 'sess_123',
+            messageKey: '2025-01-01T10:00:00.000Z',
+            rating: 'down',
+            comment: 'Out of date',
+            content: 'The Pro plan costs $5.'
+          })
+        })
+      );
+    });
+    
+    test('should throw when the rating is rejected', async () => {
+      mockFetch({ error: 'Invalid feedback', details: 'Rating must be "up" or "down"' }, { ok: false, status: 400 });
+      
+      await expect(apiClient.sendFeedback('test-instance', 'sess_123', { rating: 'meh' }))
+        .rejects.toThrow('Rating must be "up" or "down"');
+    });
   });
 
   describe('parseErrorResponse', () => {
@@ -257,6 +470,42 @@ describe('ApiClient', () => {
       consoleSpy.mockRestore();
     });
 
+    test('should throw on error events', async () => {
+      const encoder = new TextEncoder();
+      
+      const chunks = [
+        encoder.encode('data: {"content":"Partial"}\n\n'),
+        encoder.encode('event: error\ndata: {"error":"Upstream failure"}\n\n')
+      ];
+      
+      let index = 0;
+      const reader = {
+        read: async () => {
+          if (index >= chunks.length) {
+            return { done: true };
+          }
+          return { done: false, value: chunks[index++] };
+        },
+        releaseLock: jest.fn()
+      };
+      
+      const response = {
+        body: {
+          getReader: () => reader
+        }
+      };
+      
+      const chunks_received = [];
+      await expect((async () => {
+        for await (const chunk of apiClient.handleStreamingResponse(response)) {
+          chunks_received.push(chunk);
+        }
+      })()).rejects.toThrow('Upstream failure');
+      
+      expect(chunks_received).toEqual(['Partial']);
+      expect(reader.releaseLock).toHaveBeenCalled();
+    });
+
     test('should handle empty chunks', async () => {
       const encoder = new TextEncoder();
       
@@ -293,4 +542,43 @@ describe('ApiClient', () => {
       expect(reader.releaseLock).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('prepareMessagesForApi', () => {
+    test('should keep plain messages unchanged', () => {
+      const result = apiClient.prepareMessagesForApi([
+        { role: 'user', content: 'Hi', timestamp: '2024-01-01' }
+      ]);
+      
+      expect(result).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+
+    test('should send staff replies as assistant turns', () => {
+      const result = apiClient.prepareMessagesForApi([
+        { role: 'user', content: 'Can I talk to someone?' },
+        { role: 'staff', author: 'Support team', content: 'Hi, this is Sam' }
+      ]);
+      
+      expect(result[1]).toEqual({ role: 'assistant', content: 'Hi, this is Sam' });
+    });
+
+    test('should send images of the latest message as content parts', () => {
+      const result = apiClient.prepareMessagesForApi([
+        { role: 'user', content: '', images: [{ dataUrl: 'data:image/png;base64,OLD' }] },
+        { role: 'assistant', content: 'Nice picture' },
+        { role: 'user', content: 'And this?', images: [{ dataUrl: 'data:image/png;base64,NEW' }] }
+      ]);
+      
+      expect(result).toEqual([
+        { role: 'user', content: '[image]' },
+        { role: 'assistant', content: 'Nice picture' },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'And this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,NEW' } }
+          ]
+        }
+      ]);
+    });
+  });
+});
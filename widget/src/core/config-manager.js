@@ -13,8 +13,8 @@ export class ConfigManager {
       height: null, // null means use CSS default
       embedMode: 'popup',
       container: null,
-      // Streaming simulation options
-      enableStreaming: true,      // Enable/disable streaming simulation
+      // Streaming options (real SSE from the worker, simulated for JSON replies)
+      enableStreaming: true,      // Enable/disable streaming
       streamingSpeed: 40,         // Milliseconds between chunks
       streamingMode: 'word'       // 'word' or 'character'
     };
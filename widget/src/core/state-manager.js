@@ -98,7 +98,17 @@ export class StateManager {
   saveMessages() {
     const key = `tm-messages-${this.instanceId}`;
     const toSave = this.state.messages.slice(-50); // Keep last 50 messages
-    localStorage.setItem(key, JSON.stringify(toSave));
+    try {
+      localStorage.setItem(key, JSON.stringify(toSave));
+    } catch (e) {
+      // Images can exceed the storage quota; keep the text history instead
+      const withoutImages = toSave.map(({ images, ...message }) => message);
+      try {
+        localStorage.setItem(key, JSON.stringify(withoutImages));
+      } catch (retryError) {
+        console.warn('Failed to save messages:', retryError);
+      }
+    }
   }
   
   loadMessages() {
@@ -157,6 +167,38 @@ export class StateManager {
     return this.state.hasShownWelcome || sessionStorage.getItem(key) === 'true';
   }
   
+  // Lead capture (remembered per instance so returning visitors skip the pre-chat form)
+  setLeadCaptured() {
+    localStorage.setItem(`tm-lead-${this.instanceId}`, 'true');
+  }
+  
+  hasLeadBeenCaptured() {
+    return localStorage.getItem(`tm-lead-${this.instanceId}`) === 'true';
+  }
+  
+  // Handoff (the last staff message ID is remembered so polling only fetches new replies)
+  setLastStaffMessageId(id) {
+    localStorage.setItem(`tm-staff-${this.instanceId}`, String(id));
+  }
+  
+  getLastStaffMessageId() {
+    return parseInt(localStorage.getItem(`tm-staff-${this.instanceId}`)) || 0;
+  }
+  
+  // Identity (the signed-in user is remembered so a different user gets a fresh conversation)
+  setIdentifiedUser(userId) {
+    const key = `tm-user-${this.instanceId}`;
+    if (userId) {
+      localStorage.setItem(key, userId);
+    } else {
+      localStorage.removeItem(key);
+    }
+  }
+  
+  getIdentifiedUser() {
+    return localStorage.getItem(`tm-user-${this.instanceId}`);
+  }
+  
   isNewSession() {
     return this.state.messages.length === 0;
   }
@@ -174,4 +216,12 @@ export class StateManager {
     const welcomeKey = `tm-welcome-shown-${this.instanceId}`;
     sessionStorage.removeItem(welcomeKey);
   }
+  
+  // Start a new conversation with a new session ID
+  startNewSession() {
+    localStorage.removeItem(`tm-session-${this.instanceId}`);
+    localStorage.removeItem(`tm-staff-${this.instanceId}`);
+    this.clearState();
+    this.setState({ sessionId: this.getOrCreateSessionId() });
+  }
 }
\ No newline at end of file
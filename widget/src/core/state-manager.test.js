@@ -236,6 +236,61 @@ describe('StateManager', () => {
     });
   });
 
+  describe('lead capture', () => {
+    test('should remember a captured lead across instances of the manager', () => {
+      expect(stateManager.hasLeadBeenCaptured()).toBe(false);
+      
+      stateManager.setLeadCaptured();
+      
+      expect(new StateManager(instanceId).hasLeadBeenCaptured()).toBe(true);
+      expect(new StateManager('other-instance').hasLeadBeenCaptured()).toBe(false);
+    });
+    
+    test('should keep the captured lead when the conversation is cleared', () => {
+      stateManager.setLeadCaptured();
+      stateManager.clearState();
+      
+      expect(stateManager.hasLeadBeenCaptured()).toBe(true);
+    });
+  });
+
+  describe('handoff', () => {
+    test('should remember the last staff message ID', () => {
+      expect(stateManager.getLastStaffMessageId()).toBe(0);
+      
+      stateManager.setLastStaffMessageId(12);
+      
+      expect(new StateManager(instanceId).getLastStaffMessageId()).toBe(12);
+      expect(new StateManager('other-instance').getLastStaffMessageId()).toBe(0);
+    });
+  });
+
+  describe('identity', () => {
+    test('should remember the identified user until signed out', () => {
+      expect(stateManager.getIdentifiedUser()).toBeNull();
+      
+      stateManager.setIdentifiedUser('user-42');
+      expect(new StateManager(instanceId).getIdentifiedUser()).toBe('user-42');
+      expect(new StateManager('other-instance').getIdentifiedUser()).toBeNull();
+      
+      stateManager.setIdentifiedUser(null);
+      expect(stateManager.getIdentifiedUser()).toBeNull();
+    });
+    
+    test('should start a new session without the previous conversation', () => {
+      const sessionId = stateManager.getState().sessionId;
+      stateManager.addMessage({ role: 'user', content: 'Hello' });
+      stateManager.setLastStaffMessageId(12);
+      
+      stateManager.startNewSession();
+      
+      expect(stateManager.getState().sessionId).not.toBe(sessionId);
+      expect(stateManager.getState().messages).toEqual([]);
+      expect(stateManager.getLastStaffMessageId()).toBe(0);
+      expect(new StateManager(instanceId).getState().sessionId).toBe(stateManager.getState().sessionId);
+    });
+  });
+
   describe('loadMessages and saveMessages', () => {
     test('should save and load messages from localStorage', () => {
       const messages = [
@@ -17,6 +17,12 @@ export const icons = {
     <path d="M18 10L2 2L6 10L2 18L18 10Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
   </svg>`,
   
+  attach: `<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
+    <rect x="2.5" y="3.5" width="15" height="13" rx="2" stroke="currentColor" stroke-width="1.5"/>
+    <circle cx="7" cy="8" r="1.5" fill="currentColor"/>
+    <path d="M3 15L8 10.5L11 13L14 10L17 13" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+  </svg>`,
+  
   loading: `<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
     <path d="M10 2V6M10 14V18M18 10H14M6 10H2M15.36 15.36L12.83 12.83M7.17 7.17L4.64 4.64M15.36 4.64L12.83 7.17M7.17 12.83L4.64 15.36" stroke="currentColor" stroke-width="2" stroke-linecap="round" opacity="0.3"/>
     <path d="M10 2V6" stroke="currentColor" stroke-width="2" stroke-linecap="round">
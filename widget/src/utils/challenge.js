@@ -0,0 +1,85 @@
+// Challenge Module
+// Gets a Turnstile-style challenge token for the worker to verify before it serves /chat
+
+export class Challenge {
+  // How long to wait for the challenge script to load (ms)
+  static SCRIPT_TIMEOUT = 15000;
+
+  // challenge is { siteKey, scriptUrl } from the instance info
+  constructor(challenge) {
+    this.siteKey = challenge.siteKey;
+    this.scriptUrl = challenge.scriptUrl;
+    this.scriptPromise = null;
+  }
+
+  // Load the challenge script once per page; another widget may already have loaded it
+  loadScript() {
+    if (window.turnstile) {
+      return Promise.resolve(window.turnstile);
+    }
+    if (this.scriptPromise) {
+      return this.scriptPromise;
+    }
+
+    this.scriptPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      const timer = setTimeout(() => fail(new Error('Challenge script timed out')), Challenge.SCRIPT_TIMEOUT);
+      const fail = (error) => {
+        clearTimeout(timer);
+        script.remove();
+        this.scriptPromise = null;
+        reject(error);
+      };
+
+      script.src = this.scriptUrl;
+      script.async = true;
+      script.onload = () => {
+        clearTimeout(timer);
+        if (window.turnstile) {
+          resolve(window.turnstile);
+        } else {
+          fail(new Error('Challenge script did not load'));
+        }
+      };
+      script.onerror = () => fail(new Error('Challenge script did not load'));
+      document.head.appendChild(script);
+    });
+
+    return this.scriptPromise;
+  }
+
+  // Render the challenge and resolve with its token
+  // The challenge lives in the page rather than the widget's shadow root, since the
+  // script looks its container up in the document; it is removed once solved
+  async getToken() {
+    const turnstile = await this.loadScript();
+
+    return new Promise((resolve, reject) => {
+      const container = document.createElement('div');
+      container.className = 'tm-challenge';
+      container.style.cssText = 'position:fixed;bottom:16px;left:50%;transform:translateX(-50%);z-index:2147483647;';
+      document.body.appendChild(container);
+
+      let widgetId = null;
+      const finish = (callback, value) => {
+        if (widgetId !== null && turnstile.remove) {
+          turnstile.remove(widgetId);
+        }
+        container.remove();
+        callback(value);
+      };
+
+      try {
+        widgetId = turnstile.render(container, {
+          sitekey: this.siteKey,
+          callback: (token) => finish(resolve, token),
+          'error-callback': () => finish(reject, new Error('Verification failed. Please try again.')),
+          'expired-callback': () => finish(reject, new Error('Verification expired. Please try again.')),
+          'timeout-callback': () => finish(reject, new Error('Verification timed out. Please try again.'))
+        });
+      } catch (error) {
+        finish(reject, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Tests for the Challenge utility
+ */
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Challenge } from './challenge.js';
+
+describe('Challenge', () => {
+  const settings = { siteKey: 'site-key', scriptUrl: 'http://localhost:8788/stub.js' };
+
+  beforeEach(() => {
+    window.turnstile = {
+      render: jest.fn(() => 'widget-1'),
+      remove: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    delete window.turnstile;
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  describe('getToken', () => {
+    test('should render the challenge and resolve with its token', async () => {
+      window.turnstile.render.mockImplementation((container, options) => {
+        options.callback('token-1');
+        return 'widget-1';
+      });
+
+      const token = await new Challenge(settings).getToken();
+
+      expect(token).toBe('token-1');
+      expect(window.turnstile.render.mock.calls[0][1].sitekey).toBe('site-key');
+    });
+
+    test('should remove the challenge once solved', async () => {
+      const challenge = new Challenge(settings);
+      const promise = challenge.getToken();
+      await Promise.resolve();
+
+      expect(document.querySelector('.tm-challenge')).not.toBeNull();
+
+      window.turnstile.render.mock.calls[0][1].callback('token-1');
+      await promise;
+
+      expect(window.turnstile.remove).toHaveBeenCalledWith('widget-1');
+      expect(document.querySelector('.tm-challenge')).toBeNull();
+    });
+
+    test('should reject when the challenge errors', async () => {
+      window.turnstile.render.mockImplementation((container, options) => {
+        options['error-callback']();
+        return 'widget-1';
+      });
+
+      await expect(new Challenge(settings).getToken()).rejects.toThrow('Verification failed. Please try again.');
+      expect(document.querySelector('.tm-challenge')).toBeNull();
+    });
+  });
+
+  describe('loadScript', () => {
+    test('should use a script that is already on the page', async () => {
+      await new Challenge(settings).loadScript();
+
+      expect(document.querySelector('script')).toBeNull();
+    });
+
+    test('should load the script once from the configured URL', async () => {
+      const turnstile = window.turnstile;
+      delete window.turnstile;
+      const challenge = new Challenge(settings);
+
+      const first = challenge.loadScript();
+      const second = challenge.loadScript();
+      const scripts = document.querySelectorAll('script');
+
+      expect(scripts).toHaveLength(1);
+      expect(scripts[0].src).toBe('http://localhost:8788/stub.js');
+
+      window.turnstile = turnstile;
+      scripts[0].onload();
+
+      await expect(first).resolves.toBe(turnstile);
+      expect(second).toBe(first);
+    });
+
+    test('should reject when the script fails to load', async () => {
+      delete window.turnstile;
+      const challenge = new Challenge(settings);
+
+      const promise = challenge.loadScript();
+      document.querySelector('script').onerror();
+
+      await expect(promise).rejects.toThrow('Challenge script did not load');
+      expect(document.querySelector('script')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,181 @@
+// I18n Module
+// Bundled widget strings per locale, instance overrides, and locale and text direction detection
+
+// Widget strings; {name} placeholders are filled in by t()
+// Keep the keys in step with TRANSLATION_KEYS in lib/locales.js
+const CATALOGS = {
+  en: {
+    chatTitle: 'Chat Support',
+    openChat: 'Open chat',
+    minimizeChat: 'Minimize chat',
+    closeChat: 'Close chat',
+    welcomePlaceholder: 'Hi! How can I help you today?',
+    inputPlaceholder: 'Type your message...',
+    inputLabel: 'Type your message',
+    sendMessage: 'Send message',
+    attachImage: 'Attach image',
+    removeAttachment: 'Remove {name}',
+    attachedImage: 'Attached image',
+    attachTypeError: 'Only JPEG, PNG, GIF and WebP images can be attached.',
+    attachLimitError: 'You can attach up to {count} images per message.',
+    attachSizeError: '{name} is too large to send.',
+    attachError: 'Could not attach that image.',
+    sendError: 'Failed to send message. Please try again.',
+    streamError: 'The response was interrupted. Please try again.',
+    leadFormTitle: 'Before we start',
+    leadFormSubmit: 'Start chat',
+    leadFormError: 'Could not submit the form. Please try again.',
+    fieldRequired: '{label} is required',
+    fieldInvalidEmail: '{label} must be a valid email address',
+    offlineFormSubmit: 'Send message',
+    offlineName: 'Name',
+    offlineEmail: 'Email',
+    offlineMessage: 'Message',
+    offlineThanks: "Thanks! We'll get back to you soon.",
+    talkToPerson: 'Talk to a person',
+    handoffError: 'Could not reach our team. Please try again.',
+    handoffEnded: 'The assistant is back to help with anything else.',
+    feedbackHelpful: 'Helpful',
+    feedbackNotHelpful: 'Not helpful',
+    feedbackCommentPlaceholder: 'Add a comment (optional)',
+    feedbackCommentLabel: 'Feedback comment',
+    feedbackSend: 'Send',
+    feedbackThanks: 'Thanks for your feedback'
+  },
+  es: {
+    chatTitle: 'Atención al cliente',
+    openChat: 'Abrir chat',
+    minimizeChat: 'Minimizar chat',
+    closeChat: 'Cerrar chat',
+    welcomePlaceholder: '¡Hola! ¿En qué puedo ayudarte hoy?',
+    inputPlaceholder: 'Escribe tu mensaje...',
+    inputLabel: 'Escribe tu mensaje',
+    sendMessage: 'Enviar mensaje',
+    attachImage: 'Adjuntar imagen',
+    removeAttachment: 'Quitar {name}',
+    attachedImage: 'Imagen adjunta',
+    attachTypeError: 'Solo se pueden adjuntar imágenes JPEG, PNG, GIF y WebP.',
+    attachLimitError: 'Puedes adjuntar hasta {count} imágenes por mensaje.',
+    attachSizeError: '{name} es demasiado grande para enviarla.',
+    attachError: 'No se pudo adjuntar esa imagen.',
+    sendError: 'No se pudo enviar el mensaje. Inténtalo de nuevo.',
+    streamError: 'La respuesta se interrumpió. Inténtalo de nuevo.',
+    leadFormTitle: 'Antes de empezar',
+    leadFormSubmit: 'Iniciar chat',
+    leadFormError: 'No se pudo enviar el formulario. Inténtalo de nuevo.',
+    fieldRequired: '{label} es obligatorio',
+    fieldInvalidEmail: '{label} debe ser un correo electrónico válido',
+    offlineFormSubmit: 'Enviar mensaje',
+    offlineName: 'Nombre',
+    offlineEmail: 'Correo electrónico',
+    offlineMessage: 'Mensaje',
+    offlineThanks: '¡Gracias! Te responderemos pronto.',
+    talkToPerson: 'Hablar con una persona',
+    handoffError: 'No pudimos contactar con nuestro equipo. Inténtalo de nuevo.',
+    handoffEnded: 'El asistente vuelve a estar disponible para cualquier otra consulta.',
+    feedbackHelpful: 'Útil',
+    feedbackNotHelpful: 'No útil',
+    feedbackCommentPlaceholder: 'Añade un comentario (opcional)',
+    feedbackCommentLabel: 'Comentario',
+    feedbackSend: 'Enviar',
+    feedbackThanks: 'Gracias por tu opinión'
+  },
+  de: {
+    chatTitle: 'Kundensupport',
+    openChat: 'Chat öffnen',
+    minimizeChat: 'Chat minimieren',
+    closeChat: 'Chat schließen',
+    welcomePlaceholder: 'Hallo! Wie kann ich Ihnen heute helfen?',
+    inputPlaceholder: 'Nachricht eingeben...',
+    inputLabel: 'Nachricht eingeben',
+    sendMessage: 'Nachricht senden',
+    attachImage: 'Bild anhängen',
+    removeAttachment: '{name} entfernen',
+    attachedImage: 'Angehängtes Bild',
+    attachTypeError: 'Es können nur JPEG-, PNG-, GIF- und WebP-Bilder angehängt werden.',
+    attachLimitError: 'Sie können bis zu {count} Bilder pro Nachricht anhängen.',
+    attachSizeError: '{name} ist zu groß zum Senden.',
+    attachError: 'Das Bild konnte nicht angehängt werden.',
+    sendError: 'Die Nachricht konnte nicht gesendet werden. Bitte versuchen Sie es erneut.',
+    streamError: 'Die Antwort wurde unterbrochen. Bitte versuchen Sie es erneut.',
+    leadFormTitle: 'Bevor es losgeht',
+    leadFormSubmit: 'Chat starten',
+    leadFormError: 'Das Formular konnte nicht gesendet werden. Bitte versuchen Sie es erneut.',
+    fieldRequired: '{label} ist erforderlich',
+    fieldInvalidEmail: '{label} muss eine gültige E-Mail-Adresse sein',
+    offlineFormSubmit: 'Nachricht senden',
+    offlineName: 'Name',
+    offlineEmail: 'E-Mail',
+    offlineMessage: 'Nachricht',
+    offlineThanks: 'Vielen Dank! Wir melden uns in Kürze bei Ihnen.',
+    talkToPerson: 'Mit einer Person sprechen',
+    handoffError: 'Unser Team ist gerade nicht erreichbar. Bitte versuchen Sie es erneut.',
+    handoffEnded: 'Der Assistent hilft Ihnen gerne bei weiteren Fragen.',
+    feedbackHelpful: 'Hilfreich',
+    feedbackNotHelpful: 'Nicht hilfreich',
+    feedbackCommentPlaceholder: 'Kommentar hinzufügen (optional)',
+    feedbackCommentLabel: 'Kommentar zum Feedback',
+    feedbackSend: 'Senden',
+    feedbackThanks: 'Vielen Dank für Ihr Feedback'
+  }
+};
+
+export class I18n {
+  // Locales with a bundled catalog; English is the fallback for missing strings
+  static LOCALES = Object.keys(CATALOGS);
+  static DEFAULT_LOCALE = 'en';
+
+  // overrides replace single strings of any locale, as { es: { sendMessage: 'Enviar' } }
+  constructor(locale = I18n.DEFAULT_LOCALE, overrides = {}) {
+    this.setLocale(locale, overrides);
+  }
+
+  // Switch locale; unknown locales fall back to English
+  setLocale(locale, overrides = this.overrides) {
+    this.locale = I18n.LOCALES.includes(locale) ? locale : I18n.DEFAULT_LOCALE;
+    this.overrides = overrides && typeof overrides === 'object' ? overrides : {};
+  }
+
+  // Get a string for the current locale, filling in {name} placeholders from params
+  t(key, params = {}) {
+    const text = this.overrides[this.locale]?.[key]
+      ?? CATALOGS[this.locale][key]
+      ?? CATALOGS[I18n.DEFAULT_LOCALE][key]
+      ?? key;
+
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  }
+
+  // Pick the first supported locale from a list such as ['de-AT', 'en'],
+  // matching the full tag first and then its language
+  static resolveLocale(candidates, fallback = I18n.DEFAULT_LOCALE) {
+    for (const candidate of candidates || []) {
+      if (typeof candidate !== 'string' || !candidate) continue;
+
+      const tag = candidate.toLowerCase();
+      if (I18n.LOCALES.includes(tag)) return tag;
+
+      const language = tag.split(/[-_]/)[0];
+      if (I18n.LOCALES.includes(language)) return language;
+    }
+    return I18n.LOCALES.includes(fallback) ? fallback : I18n.DEFAULT_LOCALE;
+  }
+
+  // Get the host page's text direction from the dir attribute of <html> or <body>
+  static detectPageDirection() {
+    if (typeof document === 'undefined') return 'ltr';
+    const dir = document.documentElement.getAttribute('dir') || document.body?.getAttribute('dir') || '';
+    return dir.toLowerCase() === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  // Get the visitor's preferred languages from the browser
+  static detectLocales() {
+    if (typeof navigator === 'undefined') return [];
+    if (Array.isArray(navigator.languages) && navigator.languages.length > 0) {
+      return [...navigator.languages];
+    }
+    return navigator.language ? [navigator.language] : [];
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Tests for the I18n utility
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { I18n } from './i18n.js';
+
+describe('I18n', () => {
+  const originalLanguages = Object.getOwnPropertyDescriptor(window.navigator, 'languages');
+
+  afterEach(() => {
+    if (originalLanguages) {
+      Object.defineProperty(window.navigator, 'languages', originalLanguages);
+    } else {
+      delete window.navigator.languages;
+    }
+  });
+
+  describe('t', () => {
+    test('should default to English', () => {
+      const i18n = new I18n();
+
+      expect(i18n.locale).toBe('en');
+      expect(i18n.t('sendMessage')).toBe('Send message');
+    });
+
+    test('should use the bundled catalog of the locale', () => {
+      expect(new I18n('es').t('inputPlaceholder')).toBe('Escribe tu mensaje...');
+      expect(new I18n('de').t('talkToPerson')).toBe('Mit einer Person sprechen');
+    });
+
+    test('should fill in placeholders', () => {
+      const i18n = new I18n('de');
+
+      expect(i18n.t('attachLimitError', { count: 3 })).toBe('Sie können bis zu 3 Bilder pro Nachricht anhängen.');
+      expect(i18n.t('fieldRequired', { label: 'E-Mail' })).toBe('E-Mail ist erforderlich');
+      expect(i18n.t('removeAttachment')).toBe('{name} entfernen');
+    });
+
+    test('should prefer overrides for the current locale only', () => {
+      const i18n = new I18n('es', { es: { sendMessage: 'Mandar' }, de: { sendMessage: 'Abschicken' } });
+
+      expect(i18n.t('sendMessage')).toBe('Mandar');
+      expect(i18n.t('feedbackSend')).toBe('Enviar');
+
+      i18n.setLocale('de');
+      expect(i18n.t('sendMessage')).toBe('Abschicken');
+    });
+
+    test('should fall back to English for unknown locales and to the key for unknown strings', () => {
+      const i18n = new I18n('fr');
+
+      expect(i18n.locale).toBe('en');
+      expect(i18n.t('closeChat')).toBe('Close chat');
+      expect(i18n.t('noSuchString')).toBe('noSuchString');
+    });
+  });
+
+  describe('resolveLocale', () => {
+    test('should match full tags and then languages', () => {
+      expect(I18n.resolveLocale(['fr-FR', 'de-AT', 'en'])).toBe('de');
+      expect(I18n.resolveLocale(['ES'])).toBe('es');
+      expect(I18n.resolveLocale(['es_MX'])).toBe('es');
+    });
+
+    test('should fall back when nothing matches', () => {
+      expect(I18n.resolveLocale(['fr', 'it'], 'es')).toBe('es');
+      expect(I18n.resolveLocale([], 'pt')).toBe('en');
+      expect(I18n.resolveLocale([null, ''])).toBe('en');
+    });
+  });
+
+  describe('detectPageDirection', () => {
+    afterEach(() => {
+      document.documentElement.removeAttribute('dir');
+      document.body.removeAttribute('dir');
+    });
+
+    test('should read the dir attribute of the page', () => {
+      expect(I18n.detectPageDirection()).toBe('ltr');
+
+      document.body.setAttribute('dir', 'RTL');
+      expect(I18n.detectPageDirection()).toBe('rtl');
+
+      document.documentElement.setAttribute('dir', 'ltr');
+      expect(I18n.detectPageDirection()).toBe('ltr');
+    });
+  });
+
+  describe('detectLocales', () => {
+    test('should read the browser languages', () => {
+      Object.defineProperty(window.navigator, 'languages', { value: ['de-DE', 'en-US'], configurable: true });
+
+      expect(I18n.detectLocales()).toEqual(['de-DE', 'en-US']);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// Image Utilities Module
+// Reads, validates and resizes images before they are attached to a message
+
+export class ImageUtils {
+  // Image types accepted by the worker
+  static ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+  // Longest edge (in pixels) of a resized image
+  static MAX_DIMENSION = 1024;
+
+  // Largest encoded image the worker accepts (bytes)
+  static MAX_BYTES = 512 * 1024;
+
+  // Check if a file is an accepted image type
+  static isAllowedType(file) {
+    return !!file && ImageUtils.ALLOWED_TYPES.includes(file.type);
+  }
+
+  // Get the decoded size in bytes of a base64 data URL
+  static getDataUrlSize(dataUrl) {
+    const base64 = (dataUrl || '').split(',')[1] || '';
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+  }
+
+  // Read a file as a data URL
+  static readAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Could not read image'));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Load a data URL into an image element
+  static loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not load image'));
+      img.src = src;
+    });
+  }
+
+  // Scale dimensions so the longest edge fits within maxDimension
+  static fitDimensions(width, height, maxDimension = ImageUtils.MAX_DIMENSION) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return {
+      width: Math.round(width * scale),
+      height: Math.round(height * scale)
+    };
+  }
+
+  // Resize an image file and return { dataUrl, name, type }
+  // GIFs are kept as-is so animations survive; everything else is redrawn on a canvas
+  static async resizeImage(file, options = {}) {
+    const {
+      maxDimension = ImageUtils.MAX_DIMENSION,
+      quality = 0.85
+    } = options;
+
+    const original = await ImageUtils.readAsDataUrl(file);
+    const result = { dataUrl: original, name: file.name || 'image', type: file.type };
+
+    if (file.type === 'image/gif') return result;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return result;
+
+    const img = await ImageUtils.loadImage(original);
+    const { width, height } = ImageUtils.fitDimensions(img.width, img.height, maxDimension);
+    canvas.width = width;
+    canvas.height = height;
+    context.drawImage(img, 0, 0, width, height);
+
+    // PNG keeps transparency; photos compress far better as JPEG
+    const outputType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const resized = canvas.toDataURL(outputType, quality);
+
+    // Keep whichever encoding is smaller
+    if (ImageUtils.getDataUrlSize(resized) < ImageUtils.getDataUrlSize(original)) {
+      result.dataUrl = resized;
+      result.type = outputType;
+    }
+
+    return result;
+  }
+}
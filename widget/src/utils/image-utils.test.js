@@ -0,0 +1,74 @@
+/**
+ * Tests for the ImageUtils utility
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { ImageUtils } from './image-utils.js';
+
+describe('ImageUtils', () => {
+  describe('isAllowedType', () => {
+    test('should accept supported image types', () => {
+      expect(ImageUtils.isAllowedType(new File(['x'], 'a.png', { type: 'image/png' }))).toBe(true);
+      expect(ImageUtils.isAllowedType(new File(['x'], 'a.webp', { type: 'image/webp' }))).toBe(true);
+    });
+
+    test('should reject other files', () => {
+      expect(ImageUtils.isAllowedType(new File(['x'], 'a.svg', { type: 'image/svg+xml' }))).toBe(false);
+      expect(ImageUtils.isAllowedType(new File(['x'], 'a.pdf', { type: 'application/pdf' }))).toBe(false);
+      expect(ImageUtils.isAllowedType(null)).toBe(false);
+    });
+  });
+
+  describe('getDataUrlSize', () => {
+    test('should return decoded byte size', () => {
+      expect(ImageUtils.getDataUrlSize('data:image/png;base64,AAAA')).toBe(3);
+      expect(ImageUtils.getDataUrlSize('data:image/png;base64,AAA=')).toBe(2);
+      expect(ImageUtils.getDataUrlSize('data:image/png;base64,AA==')).toBe(1);
+      expect(ImageUtils.getDataUrlSize('')).toBe(0);
+    });
+  });
+
+  describe('fitDimensions', () => {
+    test('should scale the longest edge down', () => {
+      expect(ImageUtils.fitDimensions(2048, 1024, 1024)).toEqual({ width: 1024, height: 512 });
+      expect(ImageUtils.fitDimensions(600, 1200, 1024)).toEqual({ width: 512, height: 1024 });
+    });
+
+    test('should never upscale', () => {
+      expect(ImageUtils.fitDimensions(300, 200, 1024)).toEqual({ width: 300, height: 200 });
+    });
+  });
+
+  describe('readAsDataUrl', () => {
+    test('should read a file as a data URL', async () => {
+      const file = new File(['hello'], 'a.png', { type: 'image/png' });
+      const dataUrl = await ImageUtils.readAsDataUrl(file);
+
+      expect(dataUrl).toBe('data:image/png;base64,aGVsbG8=');
+    });
+  });
+
+  describe('resizeImage', () => {
+    test('should keep GIFs unchanged', async () => {
+      const file = new File(['gif'], 'anim.gif', { type: 'image/gif' });
+      const result = await ImageUtils.resizeImage(file);
+
+      expect(result).toEqual({
+        dataUrl: 'data:image/gif;base64,Z2lm',
+        name: 'anim.gif',
+        type: 'image/gif'
+      });
+    });
+
+    test('should fall back to the original when canvas is unavailable', async () => {
+      const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+      const file = new File(['photo'], 'photo.jpg', { type: 'image/jpeg' });
+
+      const result = await ImageUtils.resizeImage(file);
+
+      expect(result.dataUrl).toBe('data:image/jpeg;base64,cGhvdG8=');
+      expect(result.type).toBe('image/jpeg');
+      getContext.mockRestore();
+    });
+  });
+});
@@ -1,5 +1,8 @@
 // Markdown Parser Module
 // Safe markdown to DOM conversion with XSS prevention
+// Blocks and inline code get dir="auto" so each takes the direction of its own text:
+// an Arabic reply reads right to left in an English page and vice versa, and embedded
+// runs such as code or URLs cannot reorder the text around them
 
 export class MarkdownParser {
   constructor() {
@@ -21,6 +24,7 @@ export class MarkdownParser {
     paragraphs.forEach(paragraph => {
       if (paragraph.trim()) {
         const element = this.parseParagraph(paragraph);
+        this.isolate(element);
         container.appendChild(element);
       }
     });
@@ -86,6 +90,8 @@ export class MarkdownParser {
       }
       code.textContent = codeContent;
       pre.appendChild(code);
+      // Code reads left to right whatever the language around it
+      pre.dir = 'ltr';
       return pre;
     }
     
@@ -126,6 +132,9 @@ export class MarkdownParser {
         // Add the matched element
         const element = document.createElement(matchedPattern.tag);
         element.textContent = earliestMatch[1];
+        if (matchedPattern.tag === 'code') {
+          element.dir = 'auto';
+        }
         nodes.push(element);
         
         // Update remaining text
@@ -177,6 +186,7 @@ export class MarkdownParser {
       link.textContent = match[1];
       link.target = '_blank';
       link.rel = 'noopener noreferrer';
+      link.dir = 'auto';
       nodes.push(link);
       
       lastIndex = match.index + match[0].length;
@@ -190,6 +200,17 @@ export class MarkdownParser {
     return nodes;
   }
   
+  // Let a block take the direction of its own text (list items and code blocks set their own)
+  isolate(element) {
+    if (element.dir) return;
+    
+    if (element.tagName === 'UL' || element.tagName === 'OL') {
+      element.querySelectorAll('li').forEach(li => { li.dir = 'auto'; });
+    } else {
+      element.dir = 'auto';
+    }
+  }
+  
   // Sanitize URL to prevent XSS
   sanitizeUrl(url) {
     // Remove any javascript: or data: URLs
@@ -39,6 +39,16 @@ describe('MarkdownParser', () => {
       expect(paragraphs[1].textContent).toBe('Second paragraph');
       expect(paragraphs[2].textContent).toBe('Third paragraph');
     });
+    
+    test('should isolate the direction of each block', () => {
+      const result = parser.parse('שלום **עולם**\n\n* First\n\n```\nconst a = 1;\n```');
+      
+      expect(result.querySelector('p').dir).toBe('auto');
+      expect(result.querySelector('ul').dir).toBe('');
+      expect(result.querySelector('li').dir).toBe('auto');
+      expect(result.querySelector('pre').dir).toBe('ltr');
+      expect(parser.parseLinks('See [docs](https://example.com)')[1].dir).toBe('auto');
+    });
   });
 
   describe('parseParagraph - headers', () => {
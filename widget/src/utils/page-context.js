@@ -0,0 +1,69 @@
+// Page Context Module
+// Collects details about the host page so the agent knows what the visitor is looking at
+
+export class PageContext {
+  // Longest selection kept (the worker trims to the same length)
+  static MAX_SELECTION_LENGTH = 1000;
+
+  constructor(custom = {}) {
+    this.custom = {};
+    this.lastSelection = '';
+    this.set(custom);
+  }
+
+  // Merge custom values such as { sku: 'A-100', cartValue: 59 }; pass null to clear them
+  set(values) {
+    if (values === null) {
+      this.custom = {};
+      return;
+    }
+    if (!values || typeof values !== 'object') return;
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        delete this.custom[key];
+      } else {
+        this.custom[key] = value;
+      }
+    });
+  }
+
+  // Get the custom values
+  getCustom() {
+    return { ...this.custom };
+  }
+
+  // Remember text selected on the page, since clicking into the chat clears the selection
+  // isInsideWidget(node) lets the widget ignore selections made inside its own messages
+  trackSelection(isInsideWidget = () => false) {
+    const handleSelectionChange = () => {
+      const selection = window.getSelection ? window.getSelection() : null;
+      if (!selection || isInsideWidget(selection.anchorNode)) return;
+
+      const text = selection.toString().trim();
+      if (text) {
+        this.lastSelection = text.slice(0, PageContext.MAX_SELECTION_LENGTH);
+      }
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }
+
+  // Get the page meta description
+  getMetaDescription() {
+    const meta = document.querySelector('meta[name="description"]');
+    return meta ? (meta.getAttribute('content') || '').trim() : '';
+  }
+
+  // Collect the context sent with each chat request
+  collect() {
+    return {
+      url: window.location.href,
+      title: document.title || '',
+      description: this.getMetaDescription(),
+      selectedText: this.lastSelection,
+      custom: this.getCustom()
+    };
+  }
+}
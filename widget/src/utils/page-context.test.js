@@ -0,0 +1,111 @@
+/**
+ * Tests for the PageContext utility
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { PageContext } from './page-context.js';
+
+describe('PageContext', () => {
+  beforeEach(() => {
+    document.head.innerHTML = '<meta name="description" content=" The best blue widget ">';
+    document.title = 'Blue Widget - Shop';
+    document.body.innerHTML = '<p id="page-text">Blue widget, model A-100</p><div id="widget"><p id="widget-text">Chat text</p></div>';
+  });
+
+  afterEach(() => {
+    window.getSelection().removeAllRanges();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+  });
+
+  // Select the contents of an element and fire selectionchange
+  function selectText(element) {
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.dispatchEvent(new Event('selectionchange'));
+  }
+
+  describe('set', () => {
+    test('should merge custom values', () => {
+      const context = new PageContext({ sku: 'A-100' });
+      context.set({ cartValue: 59 });
+
+      expect(context.getCustom()).toEqual({ sku: 'A-100', cartValue: 59 });
+    });
+
+    test('should remove keys set to null and clear everything with null', () => {
+      const context = new PageContext({ sku: 'A-100', cartValue: 59 });
+
+      context.set({ sku: null });
+      expect(context.getCustom()).toEqual({ cartValue: 59 });
+
+      context.set(null);
+      expect(context.getCustom()).toEqual({});
+    });
+
+    test('should ignore non-object values', () => {
+      const context = new PageContext({ sku: 'A-100' });
+      context.set('sku');
+
+      expect(context.getCustom()).toEqual({ sku: 'A-100' });
+    });
+  });
+
+  describe('collect', () => {
+    test('should collect page details and custom values', () => {
+      const context = new PageContext({ sku: 'A-100' });
+
+      expect(context.collect()).toEqual({
+        url: window.location.href,
+        title: 'Blue Widget - Shop',
+        description: 'The best blue widget',
+        selectedText: '',
+        custom: { sku: 'A-100' }
+      });
+    });
+
+    test('should handle pages without a meta description', () => {
+      document.head.innerHTML = '';
+
+      expect(new PageContext().collect().description).toBe('');
+    });
+  });
+
+  describe('trackSelection', () => {
+    test('should remember the last page selection', () => {
+      const context = new PageContext();
+      const cleanup = context.trackSelection();
+
+      selectText(document.getElementById('page-text'));
+      window.getSelection().removeAllRanges();
+      document.dispatchEvent(new Event('selectionchange'));
+
+      expect(context.collect().selectedText).toBe('Blue widget, model A-100');
+      cleanup();
+    });
+
+    test('should ignore selections inside the widget', () => {
+      const context = new PageContext();
+      const widget = document.getElementById('widget');
+      const cleanup = context.trackSelection(node => widget.contains(node));
+
+      selectText(document.getElementById('widget-text'));
+
+      expect(context.collect().selectedText).toBe('');
+      cleanup();
+    });
+
+    test('should stop tracking after cleanup', () => {
+      const context = new PageContext();
+      const cleanup = context.trackSelection();
+      cleanup();
+
+      selectText(document.getElementById('page-text'));
+
+      expect(context.collect().selectedText).toBe('');
+    });
+  });
+});
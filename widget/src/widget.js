@@ -11,11 +11,40 @@ import { InputArea } from './components/input-area.js';
 import { DomUtils } from './utils/dom-utils.js';
 import { MarkdownParser } from './utils/markdown-parser.js';
 import { Storage } from './utils/storage.js';
+import { PageContext } from './utils/page-context.js';
+import { Challenge } from './utils/challenge.js';
+import { I18n } from './utils/i18n.js';
+import {
+  HANDOFF_MARKER,
+  PARTIAL_SUGGESTIONS_PATTERN,
+  MAX_SUGGESTIONS
+} from '../../lib/reply-markers.js';
 
 // Import icons and styles (will be inlined by build process)
 const icons = WIDGET_ICONS;
 const styles = WIDGET_STYLES;
 
+// How often to check for staff replies during a handoff (ms)
+const HANDOFF_POLL_INTERVAL = 5000;
+
+// Swap the side of a position, so right-to-left layouts open from the mirrored corner
+function mirrorPosition(position) {
+  if (position.endsWith('-right')) return position.replace(/-right$/, '-left');
+  if (position.endsWith('-left')) return position.replace(/-left$/, '-right');
+  return position;
+}
+
+// Read the user ID from a signed identity token (the worker checks the signature)
+function readTokenUserId(token) {
+  try {
+    const payload = String(token).split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const sub = JSON.parse(atob(payload)).sub;
+    return sub === undefined || sub === null ? null : String(sub);
+  } catch (error) {
+    return null;
+  }
+}
+
 // Widget class
 class TypingMindChatWidget {
   constructor(config) {
@@ -26,8 +55,16 @@ class TypingMindChatWidget {
       this.apiClient = new ApiClient(this.configManager.get('workerUrl'));
       this.storage = new Storage(`tm-${config.instanceId}`);
       this.markdownParser = new MarkdownParser();
+      this.pageContext = new PageContext(config.context);
+      
+      // Widget strings; a locale set in the embed code wins over the instance settings
+      this.i18n = new I18n(config.locale);
+      
+      // Text direction, 'ltr' or 'rtl'; set from the host page and the instance settings
+      this.direction = 'ltr';
       
       // Initialize components (will be created during render)
+      this.wrapper = null;
       this.chatButton = null;
       this.chatWindow = null;
       this.messageList = null;
@@ -40,6 +77,17 @@ class TypingMindChatWidget {
       // Event cleanup functions
       this.cleanupFunctions = [];
       
+      // Human handoff state
+      this.handoffOpen = false;
+      this.handoffTimer = null;
+      
+      // Bot challenge, set up from the instance info when the instance requires one
+      this.challenge = null;
+      this.challengeVerified = false;
+      
+      // Signed identity token for the signed-in user, sent with every message
+      this.identity = null;
+      
       // Initialize widget
       this.init();
       
@@ -55,6 +103,11 @@ class TypingMindChatWidget {
     // Create UI
     this.render();
     
+    // Identify the signed-in user first, so a different user's conversation is never loaded
+    if (this.configManager.get('identity') !== undefined) {
+      this.identify(this.configManager.get('identity'));
+    }
+    
     // Load saved messages
     this.loadMessages();
     
@@ -108,29 +161,37 @@ class TypingMindChatWidget {
       // Create chat button
       this.chatButton = new ChatButton(
         this.configManager.get('position'),
-        icons
+        icons,
+        this.i18n
       );
       this.chatButton.setOnClick(() => this.toggle());
       wrapper.appendChild(this.chatButton.create());
     }
     
     // Create chat window
-    this.chatWindow = new ChatWindow(this.configManager.config, icons);
+    this.chatWindow = new ChatWindow(this.configManager.config, icons, this.i18n);
     this.chatWindow.setOnMinimize(() => this.close());
     this.chatWindow.setOnClose(() => this.close());
     const windowElement = this.chatWindow.create();
     
     // Create message list
-    this.messageList = new MessageList();
+    this.messageList = new MessageList(this.i18n);
+    this.messageList.setOnFeedback((message, feedback) => this.submitFeedback(message, feedback));
     windowElement.appendChild(this.messageList.create());
     
     // Create input area
-    this.inputArea = new InputArea(icons);
-    this.inputArea.setOnSend((text) => this.sendMessage(text));
+    this.inputArea = new InputArea(icons, this.i18n);
+    this.inputArea.setOnSend((text) => this.sendMessage(text, this.inputArea.getAttachments()));
+    this.inputArea.setOnError((message) => this.messageList.showError(message));
     windowElement.appendChild(this.inputArea.create());
+    this.inputArea.attachDropTarget(windowElement);
     
     wrapper.appendChild(windowElement);
     this.shadowRoot.appendChild(wrapper);
+    this.wrapper = wrapper;
+    
+    // Follow the host page's direction until the instance settings arrive
+    this.applyDirection();
     
     // Add to page
     if (this.configManager.isInlineMode() && this.configManager.get('container')) {
@@ -179,22 +240,49 @@ class TypingMindChatWidget {
   async fetchAgentInfo() {
     try {
       const agentInfo = await this.apiClient.fetchInstanceInfo(
-        this.configManager.get('instanceId')
+        this.configManager.get('instanceId'),
+        this.stateManager.getState().sessionId
       );
       
       // Apply configuration from agent info
       this.configManager.applyAgentInfo(agentInfo);
       this.stateManager.setAgentInfo(agentInfo);
       
+      // Switch to the visitor's language before anything else is shown
+      this.applyLocale(agentInfo.locale);
+      
       // Update theme
       this.configManager.applyThemeToElement(this.container);
       
-      // Update position if changed
-      const newPosition = this.configManager.get('position');
-      if (this.chatButton) {
-        this.chatButton.updatePosition(newPosition);
+      // Apply the instance's text direction, which also updates the position
+      this.applyDirection(agentInfo.locale?.direction);
+      
+      // Only offer image attachments when the instance allows them
+      this.inputArea.setImageUploadEnabled(!!agentInfo.features?.imageUpload);
+      
+      // Visitors solve the instance's bot challenge before their first message
+      this.challenge = agentInfo.challenge ? new Challenge(agentInfo.challenge) : null;
+      
+      // A paused instance hides the widget and maintenance replaces the chat with its message
+      if (this.applyInstanceState(agentInfo.state)) {
+        return;
+      }
+      
+      // Outside business hours, tell visitors the team is offline; the offline form replaces the pre-chat form
+      const offlineFormShown = this.applyBusinessHours(agentInfo.businessHours);
+      
+      // Ask new visitors for their details before the first message
+      if (!offlineFormShown) {
+        this.checkLeadForm();
+      }
+      
+      // Offer a person and resume a handoff left open on an earlier page
+      this.checkHandoff();
+      
+      // Inline widgets are already open, so greet them now that the settings are known
+      if (this.stateManager.getState().isOpen) {
+        this.checkAndShowWelcomeMessage();
       }
-      this.chatWindow.updatePosition(newPosition);
       
     } catch (error) {
       console.error('Failed to fetch agent info:', error);
@@ -202,6 +290,11 @@ class TypingMindChatWidget {
   }
   
   setupGlobalListeners() {
+    // Remember page selections so they can be sent as context
+    this.cleanupFunctions.push(
+      this.pageContext.trackSelection((node) => !!node && this.container.contains(node))
+    );
+    
     // Handle clicks outside widget (for popup mode)
     if (this.configManager.isPopupMode()) {
       const handleOutsideClick = (e) => {
@@ -280,8 +373,9 @@ class TypingMindChatWidget {
     }
   }
   
-  async sendMessage(text) {
-    if (!text || this.stateManager.getState().isLoading) return;
+  async sendMessage(text, images = []) {
+    if ((!text && images.length === 0) || this.stateManager.getState().isLoading) return;
+    if (this.chatWindow.isLeadFormVisible()) return;
     
     // Clear input
     this.inputArea.clear();
@@ -289,9 +383,12 @@ class TypingMindChatWidget {
     // Add user message
     const userMessage = {
       role: 'user',
-      content: text,
+      content: text || '',
       timestamp: new Date().toISOString()
     };
+    if (images.length > 0) {
+      userMessage.images = images;
+    }
     
     this.stateManager.addMessage(userMessage);
     this.messageList.addMessage(userMessage);
@@ -306,19 +403,24 @@ class TypingMindChatWidget {
         this.stateManager.getState().messages
       );
       
-      // Send to API
-      const result = await this.apiClient.sendMessage(
-        this.configManager.get('instanceId'),
-        messages,
-        this.stateManager.getState().sessionId
-      );
+      // Send to API, asking the worker to relay a real stream when possible
+      const result = await this.sendChatRequest(messages);
       
       if (result.streaming) {
         // Handle streaming response
         await this.handleStreamingResponse(result.response);
+      } else if (result.data?.handoff) {
+        // Staff are handling this session; their reply arrives through polling
+        this.enterHandoff();
       } else {
         // Handle regular response
-        const content = this.apiClient.extractAssistantContent(result.data);
+        const { requested, content: reply } = this.extractHandoffMarker(
+          this.apiClient.extractAssistantContent(result.data)
+        );
+        if (requested) {
+          this.enterHandoff();
+        }
+        const { suggestions, content } = this.extractSuggestions(reply);
         const assistantMessage = {
           role: 'assistant',
           content: content,
@@ -347,10 +449,12 @@ class TypingMindChatWidget {
               this.triggerMessageCallback(assistantMessage);
             }
           });
+          this.showSuggestions(suggestions);
         } else {
           // Display message instantly (original behavior)
           this.stateManager.addMessage(assistantMessage);
           this.messageList.addMessage(assistantMessage);
+          this.showSuggestions(suggestions);
           
           // Trigger callback
           this.triggerMessageCallback(assistantMessage);
@@ -359,7 +463,7 @@ class TypingMindChatWidget {
       
     } catch (error) {
       console.error('Chat error:', error);
-      this.messageList.showError(error.message || 'Failed to send message. Please try again.');
+      this.messageList.showError(error.message || this.i18n.t('sendError'));
     } finally {
       this.stateManager.setLoading(false);
       // Always ensure loading indicator is hidden
@@ -367,6 +471,37 @@ class TypingMindChatWidget {
     }
   }
   
+  // Send the conversation, solving the bot challenge first while this session is not
+  // verified, and once more if the worker asks for a new one (e.g. the trust expired)
+  async sendChatRequest(messages) {
+    const send = (challengeToken) => this.apiClient.sendMessage(
+      this.configManager.get('instanceId'),
+      messages,
+      this.stateManager.getState().sessionId,
+      {
+        stream: this.configManager.get('enableStreaming', true),
+        context: this.pageContext.collect(),
+        challengeToken,
+        identity: this.identity
+      }
+    );
+    
+    if (!this.challenge) {
+      return send(null);
+    }
+    
+    let result;
+    try {
+      result = await send(this.challengeVerified ? null : await this.challenge.getToken());
+    } catch (error) {
+      if (!error.details?.challenge) throw error;
+      this.challengeVerified = false;
+      result = await send(await this.challenge.getToken());
+    }
+    this.challengeVerified = true;
+    return result;
+  }
+  
   async handleStreamingResponse(response) {
     const assistantMessage = {
       role: 'assistant',
@@ -383,9 +518,17 @@ class TypingMindChatWidget {
     this.messageList.addMessage(assistantMessage);
     
     try {
-      // Process streaming chunks
+      // Process streaming chunks, keeping the handoff marker and suggestions out of the visible text
+      let rawContent = '';
+      let handoffRequested = false;
+      let suggestions = [];
       for await (const chunk of this.apiClient.handleStreamingResponse(response)) {
-        assistantMessage.content += chunk;
+        rawContent += chunk;
+        const { requested, content: reply } = this.extractHandoffMarker(rawContent);
+        const extracted = this.extractSuggestions(reply);
+        handoffRequested = requested;
+        suggestions = extracted.suggestions;
+        assistantMessage.content = extracted.content;
         this.stateManager.updateMessage(messageIndex, assistantMessage);
         this.messageList.updateMessage(
           this.messageList.getMessageCount() - 1,
@@ -393,12 +536,308 @@ class TypingMindChatWidget {
         );
       }
       
+      if (handoffRequested) {
+        this.enterHandoff();
+      }
+      this.showSuggestions(suggestions);
+      
       // Trigger callback
       this.triggerMessageCallback(assistantMessage);
       
     } catch (error) {
       console.error('Streaming error:', error);
+      this.messageList.showError(error.message || this.i18n.t('streamError'));
+    }
+  }
+  
+  // Pick the widget language: the embed code's locale, then the browser's languages when the
+  // instance auto-detects, then the instance default
+  applyLocale(settings) {
+    const candidates = [this.configManager.get('locale')];
+    if (settings?.autoDetect) {
+      candidates.push(...I18n.detectLocales());
+    }
+    
+    this.i18n.setLocale(I18n.resolveLocale(candidates, settings?.defaultLocale), settings?.strings || {});
+    
+    if (this.chatButton) this.chatButton.applyTranslations();
+    this.chatWindow.applyTranslations();
+    this.messageList.applyTranslations();
+    this.inputArea.applyTranslations();
+    
+    // Instances without a name keep a translated default title unless the embed code sets one
+    if (this.configManager.get('agentName') === this.configManager.defaultConfig.agentName) {
+      this.chatWindow.updateTitle(this.i18n.t('chatTitle'));
+    }
+  }
+  
+  // Lay the widget out left to right or right to left: 'ltr' and 'rtl' are fixed,
+  // anything else follows the host page's dir attribute
+  applyDirection(direction) {
+    this.direction = direction === 'rtl' || direction === 'ltr' ? direction : I18n.detectPageDirection();
+    this.wrapper.setAttribute('dir', this.direction);
+    this.updatePosition();
+  }
+  
+  // Move the button and window to the configured corner, mirrored in right-to-left layouts
+  updatePosition() {
+    const position = this.configManager.get('position');
+    const placed = this.direction === 'rtl' ? mirrorPosition(position) : position;
+    
+    if (this.chatButton) {
+      this.chatButton.updatePosition(placed);
     }
+    this.chatWindow.updatePosition(placed);
+  }
+  
+  // Apply a paused or maintenance state; returns true when the chat is unavailable
+  applyInstanceState(state) {
+    if (!state || state.state === 'active') return false;
+    
+    if (state.state === 'paused') {
+      this.container.style.display = 'none';
+      return true;
+    }
+    
+    this.inputArea.setEnabled(false);
+    this.chatWindow.showBanner(state.message);
+    return true;
+  }
+  
+  // Apply the instance's offline behavior while it is closed; returns true when the offline form is shown
+  applyBusinessHours(businessHours) {
+    if (!businessHours || businessHours.open) return false;
+    
+    if (businessHours.offlineBehavior === 'hide') {
+      this.container.style.display = 'none';
+      return false;
+    }
+    
+    if (businessHours.offlineBehavior === 'form') {
+      this.inputArea.setEnabled(false);
+      this.chatWindow.showLeadForm({
+        title: businessHours.offlineMessage,
+        submitLabel: this.i18n.t('offlineFormSubmit'),
+        fields: [
+          { key: 'name', label: this.i18n.t('offlineName'), type: 'text', required: false },
+          { key: 'email', label: this.i18n.t('offlineEmail'), type: 'email', required: true },
+          { key: 'message', label: this.i18n.t('offlineMessage'), type: 'textarea', required: true, maxLength: 2000 }
+        ]
+      }, (values) => this.sendOfflineMessage(values));
+      return true;
+    }
+    
+    this.chatWindow.showBanner(businessHours.offlineMessage);
+    return false;
+  }
+  
+  // Leave a message for the team, then thank the visitor
+  async sendOfflineMessage(values) {
+    await this.apiClient.sendOfflineMessage(
+      this.configManager.get('instanceId'),
+      this.stateManager.getState().sessionId,
+      values
+    );
+    
+    this.chatWindow.hideLeadForm();
+    this.messageList.showNotice(this.i18n.t('offlineThanks'));
+  }
+  
+  // Show the pre-chat form when the instance collects leads and this visitor hasn't filled it in
+  checkLeadForm() {
+    const leadForm = this.stateManager.getState().agentInfo?.leadForm;
+    if (!leadForm || !leadForm.enabled) return;
+    if (this.stateManager.hasLeadBeenCaptured() || !this.stateManager.isNewSession()) return;
+    
+    this.inputArea.setEnabled(false);
+    this.chatWindow.showLeadForm(leadForm, (values) => this.submitLead(values));
+  }
+  
+  // Send the pre-chat form, then unlock the chat
+  async submitLead(values) {
+    await this.apiClient.submitLead(
+      this.configManager.get('instanceId'),
+      this.stateManager.getState().sessionId,
+      values
+    );
+    
+    this.stateManager.setLeadCaptured();
+    this.chatWindow.hideLeadForm();
+    this.inputArea.setEnabled(true);
+    this.inputArea.focus();
+    this.showStarters();
+  }
+  
+  // Remove the handoff marker from an agent reply
+  extractHandoffMarker(text) {
+    if (typeof text !== 'string' || !text.includes(HANDOFF_MARKER)) {
+      return { requested: false, content: text };
+    }
+    return { requested: true, content: text.split(HANDOFF_MARKER).join('').trim() };
+  }
+  
+  // Send a reply rating and remember it so the buttons stay pressed after a reload
+  async submitFeedback(message, { rating, comment }) {
+    const messages = this.stateManager.getState().messages;
+    const index = messages.findIndex(m => m.role === 'assistant' && m.timestamp === message.timestamp);
+    if (index !== -1) {
+      this.stateManager.updateMessage(index, { ...messages[index], feedback: rating });
+    }
+    
+    try {
+      await this.apiClient.sendFeedback(
+        this.configManager.get('instanceId'),
+        this.stateManager.getState().sessionId,
+        {
+          messageKey: message.timestamp,
+          rating,
+          comment,
+          content: message.content
+        }
+      );
+    } catch (error) {
+      console.error('Feedback error:', error);
+    }
+  }
+  
+  // Pull suggested follow-up replies out of an agent reply
+  extractSuggestions(text) {
+    const match = typeof text === 'string' ? text.match(PARTIAL_SUGGESTIONS_PATTERN) : null;
+    if (!match) {
+      return { suggestions: [], content: text };
+    }
+    
+    const suggestions = match[1].split('|')
+      .map(s => s.trim())
+      .filter(s => s)
+      .slice(0, MAX_SUGGESTIONS);
+    return { suggestions, content: text.replace(PARTIAL_SUGGESTIONS_PATTERN, '').trim() };
+  }
+  
+  // Offer the agent's follow-ups as chips; staff replies take over during a handoff
+  showSuggestions(suggestions) {
+    if (this.handoffOpen || suggestions.length === 0) return;
+    this.messageList.showQuickReplies(suggestions, (text) => this.sendMessage(text));
+  }
+  
+  // Offer the instance's conversation starters until the visitor sends a first message
+  showStarters() {
+    const starters = this.stateManager.getState().agentInfo?.starters;
+    if (!Array.isArray(starters) || starters.length === 0) return;
+    if (this.stateManager.getState().messages.length > 0 || this.chatWindow.isLeadFormVisible()) return;
+    
+    this.messageList.showQuickReplies(starters, (text) => this.sendMessage(text));
+  }
+  
+  // Show the "Talk to a person" button and pick up any handoff still open for this session
+  checkHandoff() {
+    const handoff = this.stateManager.getState().agentInfo?.handoff;
+    if (!handoff || !handoff.enabled) return;
+    
+    this.chatWindow.showHandoffButton(() => this.requestHandoff());
+    this.pollHandoff();
+  }
+  
+  // Ask for a member of staff from the header button
+  async requestHandoff() {
+    try {
+      await this.apiClient.requestHandoff(
+        this.configManager.get('instanceId'),
+        this.stateManager.getState().sessionId
+      );
+      this.enterHandoff();
+    } catch (error) {
+      console.error('Handoff request error:', error);
+      this.messageList.showError(error.message || this.i18n.t('handoffError'));
+    }
+  }
+  
+  // Switch to staff mode: tell the visitor and start polling for replies
+  enterHandoff() {
+    const handoff = this.stateManager.getState().agentInfo?.handoff;
+    if (this.handoffOpen || !handoff || !handoff.enabled) return;
+    
+    this.handoffOpen = true;
+    this.chatWindow.hideHandoffButton();
+    this.messageList.showNotice(handoff.waitingMessage);
+    
+    this.handoffTimer = setInterval(() => this.pollHandoff(), HANDOFF_POLL_INTERVAL);
+  }
+  
+  // Hand the conversation back to the agent once staff resolve it
+  exitHandoff() {
+    this.handoffOpen = false;
+    if (this.handoffTimer) {
+      clearInterval(this.handoffTimer);
+      this.handoffTimer = null;
+    }
+    
+    this.messageList.showNotice(this.i18n.t('handoffEnded'));
+    this.chatWindow.showHandoffButton(() => this.requestHandoff());
+  }
+  
+  // Fetch new staff replies and follow the handoff status
+  async pollHandoff() {
+    try {
+      const result = await this.apiClient.fetchHandoffMessages(
+        this.configManager.get('instanceId'),
+        this.stateManager.getState().sessionId,
+        this.stateManager.getLastStaffMessageId()
+      );
+      
+      if (result.open && !this.handoffOpen) {
+        this.enterHandoff();
+      }
+      
+      result.messages.forEach(reply => {
+        const staffMessage = {
+          role: 'staff',
+          author: result.staffName,
+          content: reply.content,
+          timestamp: reply.createdAt
+        };
+        this.stateManager.addMessage(staffMessage);
+        this.messageList.addMessage(staffMessage);
+        this.stateManager.setLastStaffMessageId(reply.id);
+        this.triggerMessageCallback(staffMessage);
+      });
+      
+      if (!result.open && this.handoffOpen) {
+        this.exitHandoff();
+      }
+    } catch (error) {
+      console.error('Handoff poll error:', error);
+    }
+  }
+  
+  // Add custom page context (e.g. product SKU or cart value); null clears it
+  setContext(values) {
+    this.pageContext.set(values);
+  }
+  
+  // Identify the signed-in user with a token signed by the host site's backend; null signs out
+  // Signing out or switching user starts a new conversation so users never see each other's
+  identify(token) {
+    const userId = token ? readTokenUserId(token) : null;
+    const previousUserId = this.stateManager.getIdentifiedUser();
+    
+    if (previousUserId && previousUserId !== userId) {
+      this.startNewSession();
+    }
+    
+    this.stateManager.setIdentifiedUser(userId);
+    this.identity = token || null;
+  }
+  
+  // Drop the current conversation and continue with a new session
+  startNewSession() {
+    if (this.handoffOpen) {
+      this.exitHandoff();
+    }
+    
+    this.stateManager.startNewSession();
+    this.messageList?.clear();
+    this.challengeVerified = false;
   }
   
   triggerMessageCallback(message) {
@@ -414,9 +853,20 @@ class TypingMindChatWidget {
   
   checkAndShowWelcomeMessage() {
     const agentInfo = this.stateManager.getState().agentInfo;
-    if (!agentInfo || !agentInfo.welcomeMessage) return;
+    if (!agentInfo) return;
     
-    const { text, showOnNewSession, showOnReturn } = agentInfo.welcomeMessage;
+    // Starter chips sit under the welcome message, or alone when there is none
+    if (agentInfo.welcomeMessage) {
+      this.showWelcomeMessage(agentInfo.welcomeMessage);
+    }
+    this.showStarters();
+  }
+  
+  // Show the welcome message once per session, as configured for new and returning visitors
+  // A translation for the widget's locale replaces the default text
+  showWelcomeMessage(welcomeMessage) {
+    const { showOnNewSession, showOnReturn } = welcomeMessage;
+    const text = welcomeMessage.translations?.[this.i18n.locale] || welcomeMessage.text;
     const isNewSession = this.stateManager.isNewSession();
     const hasBeenShown = this.stateManager.hasWelcomeBeenShown();
     
@@ -439,6 +889,12 @@ class TypingMindChatWidget {
     // Cleanup event listeners
     this.cleanupFunctions.forEach(cleanup => cleanup());
     
+    // Stop polling for staff replies
+    if (this.handoffTimer) {
+      clearInterval(this.handoffTimer);
+      this.handoffTimer = null;
+    }
+    
     // Destroy components
     if (this.chatButton) this.chatButton.destroy();
     if (this.chatWindow) this.chatWindow.destroy();
@@ -496,5 +952,17 @@ window.TypingMindChat = {
     if (this.instances[id]) {
       this.instances[id].close();
     }
+  },
+  
+  setContext(id, values) {
+    if (this.instances[id]) {
+      this.instances[id].setContext(values);
+    }
+  },
+  
+  identify(id, token) {
+    if (this.instances[id]) {
+      this.instances[id].identify(token);
+    }
   }
 };
\ No newline at end of file
@@ -1,13 +1,30 @@
 import { Router } from 'itty-router';
 import { handleCORSPreflight } from './lib/security.js';
 import { handleGetInstance, handleChat } from './lib/routes/chat.js';
+import { handleSubmitLead } from './lib/routes/leads.js';
+import { handleSubmitOfflineMessage } from './lib/routes/offline.js';
+import { handleSubmitFeedback } from './lib/routes/feedback.js';
+import { handleRequestHandoff, handleHandoffMessages } from './lib/routes/handoff.js';
 import { handleWidgetDelivery } from './lib/routes/widget.js';
 import {
   handleAdminJs,
   handleAdminLoginPage,
   handleAdminLogin,
   handleAdminLogout,
-  handleAdminDashboard
+  handleAdminDashboard,
+  handleAdminConversations,
+  handleAdminConversationExport,
+  handleAdminConversationTranscript,
+  handleAdminLeads,
+  handleAdminLeadExport,
+  handleAdminOfflineMessages,
+  handleAdminExperiments,
+  handleAdminWebhookDeliveries,
+  handleAdminGuardrailEvents,
+  handleAdminNetworkRuleTest,
+  handleAdminInbox,
+  handleAdminHandoffAction,
+  handleAdminStaffReply
 } from './lib/routes/admin.js';
 import {
   handleCreateInstanceForm,
@@ -15,7 +32,8 @@ import {
   handleDeleteInstance,
   handleEditInstanceForm,
   handleUpdateInstance,
-  handleCloneInstance
+  handleCloneInstance,
+  handleSetInstanceState
 } from './lib/routes/admin-crud.js';
 
 const router = Router();
@@ -28,6 +46,11 @@ router.options('*', (request) => {
 // Chat routes
 router.get('/instance/:id', handleGetInstance);
 router.post('/chat', handleChat);
+router.post('/lead', handleSubmitLead);
+router.post('/offline-message', handleSubmitOfflineMessage);
+router.post('/feedback', handleSubmitFeedback);
+router.post('/handoff', handleRequestHandoff);
+router.get('/handoff', handleHandoffMessages);
 
 // Status route
 router.get('/status/:id', async (request, env, ctx) => {
@@ -48,6 +71,7 @@ router.get('/admin', handleAdminLoginPage);
 router.post('/admin/login', handleAdminLogin);
 router.post('/admin/logout', handleAdminLogout);
 router.get('/admin/dashboard', handleAdminDashboard);
+router.get('/admin/inbox', handleAdminInbox);
 
 // Admin CRUD routes
 router.get('/admin/instances/new', handleCreateInstanceForm);
@@ -56,6 +80,35 @@ router.delete('/admin/instances/:id', handleDeleteInstance);
 router.get('/admin/instances/:id/edit', handleEditInstanceForm);
 router.put('/admin/instances/:id', handleUpdateInstance);
 router.post('/admin/instances/:id/clone', handleCloneInstance);
+router.post('/admin/instances/:id/state', handleSetInstanceState);
+
+// Admin conversation routes (export must be registered before :conversationId)
+router.get('/admin/instances/:id/conversations', handleAdminConversations);
+router.get('/admin/instances/:id/conversations/export', handleAdminConversationExport);
+router.get('/admin/instances/:id/conversations/:conversationId', handleAdminConversationTranscript);
+
+// Admin handoff routes
+router.post('/admin/instances/:id/conversations/:conversationId/handoff', handleAdminHandoffAction);
+router.post('/admin/instances/:id/conversations/:conversationId/messages', handleAdminStaffReply);
+
+// Admin lead routes
+router.get('/admin/instances/:id/leads', handleAdminLeads);
+router.get('/admin/instances/:id/leads/export', handleAdminLeadExport);
+
+// Admin offline message routes
+router.get('/admin/instances/:id/offline-messages', handleAdminOfflineMessages);
+
+// Admin experiment routes
+router.get('/admin/instances/:id/experiments', handleAdminExperiments);
+
+// Admin webhook routes
+router.get('/admin/instances/:id/webhooks', handleAdminWebhookDeliveries);
+
+// Admin guardrail routes
+router.get('/admin/instances/:id/guardrails', handleAdminGuardrailEvents);
+
+// Admin network rule routes
+router.post('/admin/instances/:id/network-rules/test', handleAdminNetworkRuleTest);
 
 // Test route
 router.get('/test', () => {
@@ -74,6 +127,9 @@ router.get('/', () => {
 // 404 handler
 router.all('*', () => new Response('Not Found', { status: 404 }));
 
+// Durable Object classes must be exported from the worker entry point
+export { RateLimiter } from './lib/rate-limiter-object.js';
+
 // Export worker
 export default {
   async fetch(request, env, ctx) {